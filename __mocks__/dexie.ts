@@ -39,8 +39,14 @@ const createMockTable = (): MockTable => ({
   filter: jest.fn().mockReturnThis(),
 });
 
+export interface MockVersion {
+  stores: jest.Mock;
+  upgrade: jest.Mock;
+}
+
 export interface MockDexie {
-  version: () => { stores: jest.Mock };
+  version: (versionNumber: number) => MockVersion;
+  versions: Record<number, MockVersion>;
   table: () => MockTable;
   users: MockTable;
   patients: MockTable;
@@ -50,6 +56,10 @@ export interface MockDexie {
   timeSlots: MockTable;
   appointments: MockTable;
   pendingChanges: MockTable;
+  syncConflicts: MockTable;
+  syncState: MockTable;
+  deadLetters: MockTable;
+  keySlots: MockTable;
 }
 
 class MockDexieImpl implements MockDexie {
@@ -61,6 +71,10 @@ class MockDexieImpl implements MockDexie {
   timeSlots: MockTable;
   appointments: MockTable;
   pendingChanges: MockTable;
+  syncConflicts: MockTable;
+  syncState: MockTable;
+  deadLetters: MockTable;
+  keySlots: MockTable;
 
   constructor() {
     this.users = createMockTable();
@@ -71,17 +85,34 @@ class MockDexieImpl implements MockDexie {
     this.timeSlots = createMockTable();
     this.appointments = createMockTable();
     this.pendingChanges = createMockTable();
+    this.syncConflicts = createMockTable();
+    this.syncState = createMockTable();
+    this.deadLetters = createMockTable();
+    this.keySlots = createMockTable();
   }
 
-  version() {
-    return {
+  // Declared versions, so tests can see the schema and upgrade of each
+  versions: Record<number, MockVersion> = {};
+
+  version(versionNumber: number) {
+    this.versions[versionNumber] ??= {
       stores: jest.fn().mockReturnThis(),
+      upgrade: jest.fn().mockReturnThis(),
     };
+    return this.versions[versionNumber];
   }
 
   table() {
     return createMockTable();
   }
+
+  use() {
+    return this;
+  }
+
+  on() {
+    return undefined;
+  }
 }
 
 // Export the mock class
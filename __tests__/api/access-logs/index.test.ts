@@ -0,0 +1,131 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for listing the caller's access events through GET /api/access-logs
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import handler from '@/pages/api/access-logs';
+import { prisma } from '@/lib/prisma';
+import { getServerSession } from 'next-auth/next';
+
+jest.mock('next-auth/next', () => ({
+  getServerSession: jest.fn(),
+}));
+
+jest.mock('@/lib/auth', () => ({
+  authOptions: {},
+}));
+
+jest.mock('@/lib/prisma', () => ({
+  prisma: {
+    accessEvent: {
+      findMany: jest.fn(),
+      count: jest.fn(),
+    },
+  },
+}));
+
+const mockPrisma = prisma as any;
+const mockGetServerSession = getServerSession as jest.Mock;
+
+const owner = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+function createMocks(query: Record<string, string> = {}, headers: Record<string, string> = {}) {
+  const req = {
+    method: 'GET',
+    query,
+    headers,
+  } as unknown as NextApiRequest;
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(),
+  } as unknown as NextApiResponse;
+  return { req, res };
+}
+
+describe('GET /api/access-logs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetServerSession.mockResolvedValue({ user: { id: 'user-1', role: 'PATIENT', ethereumAddress: owner.toLowerCase() } });
+    mockPrisma.accessEvent.findMany.mockResolvedValue([
+      {
+        id: 'event-1',
+        viewerAddress: '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc',
+        viewerSession: 'tab-1',
+        ipAddress: '203.0.113.7',
+        userAgent: 'Mozilla/5.0',
+        outcome: 'granted',
+        resourceTypes: 'Patient,Observation',
+        createdAt: new Date('2026-04-20T10:00:00Z'),
+        sharedData: { accessId: '0xabc', ipfsCid: 'bafy', dataTypes: 'lab-results' },
+      },
+    ]);
+    mockPrisma.accessEvent.count.mockResolvedValue(31);
+  });
+
+  it('returns a page of the caller\'s events only', async () => {
+    const { req, res } = createMocks({ page: '2', pageSize: '10' });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockPrisma.accessEvent.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { ownerId: owner.toLowerCase() },
+      skip: 10,
+      take: 10,
+    }));
+
+    const body = (res.json as jest.Mock).mock.calls[0][0];
+    expect(body).toMatchObject({ total: 31, page: 2, pageSize: 10 });
+    expect(body.events[0]).toMatchObject({
+      accessId: '0xabc',
+      viewerAddress: '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc',
+      outcome: 'granted',
+      resourceTypes: ['Patient', 'Observation'],
+    });
+  });
+
+  it('filters by outcome, share and time range', async () => {
+    const { req, res } = createMocks({
+      outcome: 'wrong_password',
+      accessId: '0xabc',
+      from: '2026-04-01',
+      to: '2026-04-30',
+    });
+    await handler(req, res);
+
+    expect(mockPrisma.accessEvent.findMany.mock.calls[0][0].where).toEqual({
+      ownerId: owner.toLowerCase(),
+      outcome: 'wrong_password',
+      sharedData: { accessId: '0xabc' },
+      createdAt: { gte: new Date('2026-04-01'), lte: new Date('2026-04-30') },
+    });
+  });
+
+  it('rejects invalid filters and anonymous callers', async () => {
+    let mocks = createMocks({ outcome: 'unknown' });
+    await handler(mocks.req, mocks.res);
+    expect(mocks.res.status).toHaveBeenCalledWith(400);
+
+    mockGetServerSession.mockResolvedValue(null);
+    mocks = createMocks();
+    await handler(mocks.req, mocks.res);
+    expect(mocks.res.status).toHaveBeenCalledWith(401);
+    expect(mockPrisma.accessEvent.findMany).not.toHaveBeenCalled();
+  });
+
+  it('takes the owner from the session, not from an address header', async () => {
+    mockGetServerSession.mockResolvedValue(null);
+    let mocks = createMocks({}, { 'x-wallet-address': owner });
+    await handler(mocks.req, mocks.res);
+    expect(mocks.res.status).toHaveBeenCalledWith(401);
+
+    // Signed in without a wallet
+    mockGetServerSession.mockResolvedValue({ user: { id: 'user-2', role: 'STAFF', ethereumAddress: null } });
+    mocks = createMocks({}, { 'x-wallet-address': owner });
+    await handler(mocks.req, mocks.res);
+    expect(mocks.res.status).toHaveBeenCalledWith(403);
+
+    expect(mockPrisma.accessEvent.findMany).not.toHaveBeenCalled();
+  });
+});
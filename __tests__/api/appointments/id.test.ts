@@ -0,0 +1,199 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for reading, updating and deleting an appointment through /api/appointments/[id]
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import handler from '@/pages/api/appointments/[id]';
+import { prisma } from '@/lib/prisma';
+
+jest.mock('next-auth/next', () => ({
+  getServerSession: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('@/lib/auth', () => ({
+  authOptions: {},
+}));
+
+jest.mock('@/lib/prisma', () => ({
+  prisma: {
+    appointment: {
+      findUnique: jest.fn(),
+      findFirst: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+    },
+    patient: { findUnique: jest.fn() },
+    provider: { findUnique: jest.fn() },
+    appointmentType: { findUnique: jest.fn() },
+    syncDeletion: { create: jest.fn() },
+  },
+}));
+
+const mockPrisma = prisma as any;
+const mockGetServerSession = getServerSession as jest.Mock;
+
+const appointment = {
+  id: 'appointment-1',
+  title: 'Check-up',
+  patientId: 'patient-1',
+  providerId: 'provider-1',
+  appointmentTypeId: null,
+  startTime: new Date('2026-10-20T09:00:00Z'),
+  endTime: new Date('2026-10-20T09:30:00Z'),
+  notes: null,
+  status: 'SCHEDULED',
+  createdAt: new Date('2026-10-01T09:00:00Z'),
+  updatedAt: new Date('2026-10-05T12:00:00Z'),
+};
+
+function createMocks(method: string, body?: unknown, headers: Record<string, string> = {}) {
+  const req = { method, query: { id: appointment.id }, body, headers } as unknown as NextApiRequest;
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(),
+    end: jest.fn(),
+    setHeader: jest.fn(),
+  } as unknown as NextApiResponse;
+  return { req, res };
+}
+
+describe('/api/appointments/[id]', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetServerSession.mockResolvedValue({ user: { id: 'user-1', role: 'STAFF' } });
+    mockPrisma.appointment.findUnique.mockResolvedValue(appointment);
+    mockPrisma.appointment.findFirst.mockResolvedValue(null);
+    mockPrisma.appointment.update.mockImplementation(({ data }: any) => Promise.resolve({ ...appointment, ...data }));
+    mockPrisma.provider.findUnique.mockResolvedValue({ id: 'provider-2' });
+  });
+
+  it('returns the appointment', async () => {
+    const { req, res } = createMocks('GET');
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(appointment);
+  });
+
+  it('returns 404 for an unknown appointment', async () => {
+    mockPrisma.appointment.findUnique.mockResolvedValue(null);
+    const { req, res } = createMocks('GET');
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it('updates the fields sent, guarding against concurrent writes', async () => {
+    const { req, res } = createMocks('PATCH', { status: 'CONFIRMED', notes: 'Bring lab results' });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockPrisma.appointment.update).toHaveBeenCalledWith({
+      where: { id: appointment.id, updatedAt: appointment.updatedAt },
+      data: { status: 'CONFIRMED', notes: 'Bring lab results' },
+    });
+  });
+
+  it('refuses to double-book the provider', async () => {
+    const other = { ...appointment, id: 'appointment-2', startTime: new Date('2026-10-20T10:00:00Z') };
+    mockPrisma.appointment.findFirst.mockResolvedValue(other);
+
+    const { req, res } = createMocks('PUT', {
+      startTime: '2026-10-20T10:15:00.000Z',
+      endTime: '2026-10-20T10:45:00.000Z',
+    });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith({ error: 'The provider already has an appointment at this time', record: other });
+    expect(mockPrisma.appointment.findFirst).toHaveBeenCalledWith({
+      where: {
+        providerId: 'provider-1',
+        startTime: { lt: new Date('2026-10-20T10:45:00.000Z') },
+        endTime: { gt: new Date('2026-10-20T10:15:00.000Z') },
+        id: { not: appointment.id },
+        status: { notIn: ['CANCELLED', 'NO_SHOW'] },
+      },
+    });
+    expect(mockPrisma.appointment.update).not.toHaveBeenCalled();
+  });
+
+  it('does not check for overlaps when cancelling', async () => {
+    const { req, res } = createMocks('PATCH', { status: 'CANCELLED' });
+    await handler(req, res);
+
+    expect(mockPrisma.appointment.findFirst).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('rejects an end before the start', async () => {
+    const { req, res } = createMocks('PATCH', { endTime: '2026-10-20T08:00:00.000Z' });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'endTime must be after startTime' });
+  });
+
+  it('rejects references to records that do not exist', async () => {
+    mockPrisma.provider.findUnique.mockResolvedValue(null);
+    const { req, res } = createMocks('PATCH', { providerId: 'provider-9' });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'providerId does not match any provider' });
+  });
+
+  it('returns the current record when the client copy is stale', async () => {
+    const { req, res } = createMocks('PATCH', { status: 'CONFIRMED' }, {
+      'if-unmodified-since': new Date('2026-10-04T12:00:00Z').toUTCString(),
+    });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(412);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ record: appointment }));
+    expect(mockPrisma.appointment.update).not.toHaveBeenCalled();
+  });
+
+  it('only updates the version named by If-Match', async () => {
+    const stale = createMocks('PATCH', { status: 'CONFIRMED' }, { 'if-match': '"1759000000000"' });
+    await handler(stale.req, stale.res);
+    expect(stale.res.status).toHaveBeenCalledWith(412);
+
+    const current = createMocks('PATCH', { status: 'CONFIRMED' }, { 'if-match': `"${appointment.updatedAt.getTime()}"` });
+    await handler(current.req, current.res);
+    expect(current.res.status).toHaveBeenCalledWith(200);
+    expect(current.res.setHeader).toHaveBeenCalledWith('ETag', `"${appointment.updatedAt.getTime()}"`);
+  });
+
+  it('reports a write that lost a race as a conflict', async () => {
+    mockPrisma.appointment.update.mockRejectedValue(Object.assign(new Error('Record not found'), { code: 'P2025' }));
+    const { req, res } = createMocks('PATCH', { status: 'CONFIRMED' }, {
+      'if-unmodified-since': appointment.updatedAt.toUTCString(),
+    });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(412);
+  });
+
+  it('deletes the appointment', async () => {
+    const { req, res } = createMocks('DELETE');
+    await handler(req, res);
+
+    expect(mockPrisma.appointment.delete).toHaveBeenCalledWith({ where: { id: appointment.id, updatedAt: appointment.updatedAt } });
+    expect(mockPrisma.syncDeletion.create).toHaveBeenCalledWith({ data: { entityType: 'appointments', recordId: appointment.id } });
+    expect(res.status).toHaveBeenCalledWith(204);
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  it('does not let patient accounts change appointments', async () => {
+    mockGetServerSession.mockResolvedValue({ user: { id: 'user-2', role: 'PATIENT' } });
+    const { req, res } = createMocks('DELETE');
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(mockPrisma.appointment.delete).not.toHaveBeenCalled();
+  });
+});
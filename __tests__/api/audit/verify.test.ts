@@ -0,0 +1,162 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for checking the caller's audit log through GET /api/audit/verify
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import handler from '@/pages/api/audit/verify';
+import { prisma } from '@/lib/prisma';
+import { getServerSession } from 'next-auth/next';
+import { GENESIS_HASH, getAuditLeafHash, getMerkleRoot, hashAuditEntry } from '@/lib/audit-log';
+import { isAuditRootAnchored } from '@/lib/web3/audit-anchor';
+
+jest.mock('next-auth/next', () => ({
+  getServerSession: jest.fn(),
+}));
+
+jest.mock('@/lib/auth', () => ({
+  authOptions: {},
+}));
+
+jest.mock('@/lib/prisma', () => ({
+  prisma: {
+    auditEntry: {
+      findMany: jest.fn(),
+    },
+    auditAnchor: {
+      findMany: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('@/lib/web3/audit-anchor', () => ({
+  isAuditRootAnchored: jest.fn(),
+}));
+
+const mockPrisma = prisma as any;
+const mockGetServerSession = getServerSession as jest.Mock;
+const mockIsAuditRootAnchored = isAuditRootAnchored as jest.Mock;
+
+const owner = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+// A one-entry chain of the owner and an anchor of its head
+const fields = {
+  ownerId: owner.toLowerCase(),
+  sequence: 1,
+  action: 'share.created',
+  details: '{}',
+  prevHash: GENESIS_HASH,
+  createdAt: new Date('2026-05-03T09:00:00Z'),
+};
+const entry = { ...fields, hash: hashAuditEntry(fields) };
+const leaf = { ownerId: entry.ownerId, sequence: entry.sequence, hash: entry.hash };
+const anchor = {
+  root: getMerkleRoot([getAuditLeafHash(leaf)]),
+  leaves: JSON.stringify([leaf]),
+  transactionHash: '0x' + 'ab'.repeat(32),
+  blockNumber: 12,
+  anchoredAt: new Date('2026-05-03T10:00:00Z'),
+};
+
+function createMocks(headers: Record<string, string> = {}) {
+  const req = {
+    method: 'GET',
+    query: {},
+    headers,
+  } as unknown as NextApiRequest;
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(),
+    setHeader: jest.fn(),
+  } as unknown as NextApiResponse;
+  return { req, res };
+}
+
+describe('GET /api/audit/verify', () => {
+  beforeAll(() => {
+    process.env.FHIR_INDEXER_CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+  });
+
+  afterAll(() => {
+    delete process.env.FHIR_INDEXER_CONTRACT_ADDRESS;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetServerSession.mockResolvedValue({ user: { id: 'user-1', role: 'PATIENT', ethereumAddress: owner } });
+    mockPrisma.auditEntry.findMany.mockResolvedValue([]);
+    mockPrisma.auditAnchor.findMany.mockResolvedValue([]);
+  });
+
+  it('checks the chain of the session wallet', async () => {
+    const { req, res } = createMocks({ 'x-wallet-address': '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc' });
+
+    await handler(req, res);
+
+    expect(mockPrisma.auditEntry.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { ownerId: owner.toLowerCase() } })
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('is valid once the anchored root is found on chain', async () => {
+    mockPrisma.auditEntry.findMany.mockResolvedValue([entry]);
+    mockPrisma.auditAnchor.findMany.mockResolvedValue([anchor]);
+    mockIsAuditRootAnchored.mockResolvedValue(true);
+    const { req, res } = createMocks();
+
+    await handler(req, res);
+
+    expect(mockIsAuditRootAnchored).toHaveBeenCalledWith(expect.anything(), anchor.root);
+    expect((res.json as jest.Mock).mock.calls[0][0]).toMatchObject({
+      valid: true,
+      breaks: [],
+      anchor: { root: anchor.root, included: true, anchoredOnChain: true },
+    });
+  });
+
+  it('is not valid when the anchored root is missing on chain', async () => {
+    mockPrisma.auditEntry.findMany.mockResolvedValue([entry]);
+    mockPrisma.auditAnchor.findMany.mockResolvedValue([anchor]);
+    mockIsAuditRootAnchored.mockResolvedValue(false);
+    const { req, res } = createMocks();
+
+    await handler(req, res);
+
+    expect((res.json as jest.Mock).mock.calls[0][0]).toMatchObject({
+      valid: false,
+      anchor: { anchoredOnChain: false },
+    });
+  });
+
+  it('reports a chain without an anchor as unverified', async () => {
+    mockPrisma.auditEntry.findMany.mockResolvedValue([entry]);
+    const { req, res } = createMocks();
+
+    await handler(req, res);
+
+    expect(mockIsAuditRootAnchored).not.toHaveBeenCalled();
+    expect((res.json as jest.Mock).mock.calls[0][0]).toMatchObject({ valid: false, breaks: [], anchor: null });
+  });
+
+  it('rejects an address header without a session', async () => {
+    mockGetServerSession.mockResolvedValue(null);
+    const { req, res } = createMocks({ 'x-wallet-address': owner });
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(mockPrisma.auditEntry.findMany).not.toHaveBeenCalled();
+  });
+
+  it('rejects a session without a wallet', async () => {
+    mockGetServerSession.mockResolvedValue({ user: { id: 'user-1', role: 'PATIENT' } });
+    const { req, res } = createMocks();
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(mockPrisma.auditEntry.findMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * @jest-environment node
+ *
+ * Integration tests for the Verifiable Credential issuance API
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { ethers } from 'ethers';
+import handler from '@/pages/api/credentials/index';
+import { PrismaClient } from '@prisma/client';
+import { getServerSession } from 'next-auth/next';
+import {
+  createHolderProofMessage,
+  getEthereumDid,
+  getIssuerDid,
+  verifyHealthRecordCredential,
+} from '@/lib/web3/credentials';
+
+// Mock Prisma
+jest.mock('@prisma/client', () => {
+  const mockPrisma = {
+    patient: { findUnique: jest.fn() },
+    visit: { findMany: jest.fn() },
+    appointment: { findMany: jest.fn() },
+    observation: { findMany: jest.fn() },
+    condition: { findMany: jest.fn() },
+    medicationRequest: { findMany: jest.fn() },
+    allergyIntolerance: { findMany: jest.fn() },
+    user: { findMany: jest.fn() },
+  };
+
+  return {
+    PrismaClient: jest.fn(() => mockPrisma),
+  };
+});
+
+jest.mock('next-auth/next', () => ({
+  getServerSession: jest.fn(),
+}));
+
+jest.mock('@/lib/auth', () => ({
+  authOptions: {},
+}));
+
+const mockPrisma = new PrismaClient() as any;
+const mockGetServerSession = getServerSession as jest.Mock;
+
+const ISSUER_KEY = '0x0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef';
+const holderWallet = new ethers.Wallet('0xfedcba9876543210fedcba9876543210fedcba9876543210fedcba9876543210');
+const HOLDER = getEthereumDid(holderWallet.address, 137);
+
+// Helper to create mock request and response
+function createMocks(method: string, body: any = {}) {
+  const req: Partial<NextApiRequest> = {
+    method,
+    query: {},
+    body,
+    headers: {
+      host: 'localhost:3000',
+    },
+  };
+
+  const res: Partial<NextApiResponse> = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(),
+    setHeader: jest.fn(),
+  };
+
+  return { req: req as NextApiRequest, res: res as NextApiResponse };
+}
+
+async function createProof(patientId: string) {
+  const issuedAt = new Date().toISOString();
+  const signature = await holderWallet.signMessage(createHolderProofMessage(patientId, HOLDER, issuedAt));
+  return { holder: HOLDER, issuedAt, signature };
+}
+
+const mockPatient = {
+  id: 'pat-1',
+  patientId: 'PAT-000001',
+  name: 'Jane Doe',
+  dob: '1985-02-10',
+  gender: 'female',
+  createdAt: new Date('2024-01-01T00:00:00Z'),
+  updatedAt: new Date('2024-01-01T00:00:00Z'),
+};
+
+const mockCondition = {
+  id: 'cond-1',
+  patientId: 'pat-1',
+  clinicalStatus: 'active',
+  verificationStatus: 'confirmed',
+  code: '44054006',
+  codeSystem: 'http://snomed.info/sct',
+  codeDisplay: 'Diabetes mellitus type 2',
+  recordedDate: new Date('2024-01-15T00:00:00Z'),
+  createdAt: new Date('2024-01-15T00:00:00Z'),
+  updatedAt: new Date('2024-01-15T00:00:00Z'),
+};
+
+describe('Credentials API', () => {
+  const originalIssuerKey = process.env.CREDENTIAL_ISSUER_PRIVATE_KEY;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.CREDENTIAL_ISSUER_PRIVATE_KEY = ISSUER_KEY;
+    mockPrisma.patient.findUnique.mockResolvedValue(mockPatient);
+    mockPrisma.visit.findMany.mockResolvedValue([]);
+    mockPrisma.appointment.findMany.mockResolvedValue([]);
+    mockPrisma.observation.findMany.mockResolvedValue([]);
+    mockPrisma.condition.findMany.mockResolvedValue([mockCondition]);
+    mockPrisma.medicationRequest.findMany.mockResolvedValue([]);
+    mockPrisma.allergyIntolerance.findMany.mockResolvedValue([]);
+    mockPrisma.user.findMany.mockResolvedValue([
+      { id: 'user-1', email: 'jane@example.com', role: 'PATIENT', ethereumAddress: holderWallet.address.toLowerCase() },
+    ]);
+    mockGetServerSession.mockResolvedValue(null);
+  });
+
+  afterAll(() => {
+    process.env.CREDENTIAL_ISSUER_PRIVATE_KEY = originalIssuerKey;
+  });
+
+  it('should return the issuer DID', async () => {
+    const { req, res } = createMocks('GET');
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({
+      issuer: getIssuerDid(ISSUER_KEY, 137),
+      formats: ['jwt_vc', 'sd_jwt_vc'],
+    });
+  });
+
+  it('should issue the requested records as a verifiable credential', async () => {
+    const { req, res } = createMocks('POST', {
+      patientId: 'pat-1',
+      format: 'sd_jwt_vc',
+      resourceTypes: ['Condition'],
+      expiresIn: 3600,
+      proof: await createProof('pat-1'),
+    });
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const issued = (res.json as jest.Mock).mock.calls[0][0];
+    expect(issued.holder).toBe(HOLDER);
+    expect(issued.bundle.entry.map((entry: any) => entry.resource.resourceType)).toEqual(['Patient', 'Condition']);
+    expect(mockPrisma.visit.findMany).not.toHaveBeenCalled();
+    expect(mockPrisma.observation.findMany).not.toHaveBeenCalled();
+
+    const result = verifyHealthRecordCredential(issued.credential, {
+      trustedIssuers: [getIssuerDid(ISSUER_KEY, 137)],
+      bundle: issued.bundle,
+    });
+    expect(result.errors).toEqual([]);
+    expect(result.valid).toBe(true);
+  });
+
+  it('should sign only the selected records and fields of a W3C VC', async () => {
+    const { req, res } = createMocks('POST', {
+      patientId: 'pat-1',
+      resourceTypes: ['Condition'],
+      selection: { entries: ['Patient/pat-1'], hiddenFields: { 'Patient/pat-1': ['birthDate'] } },
+      proof: await createProof('pat-1'),
+    });
+
+    await handler(req, res);
+
+    const issued = (res.json as jest.Mock).mock.calls[0][0];
+    expect(issued.bundle.entry).toHaveLength(1);
+    expect(issued.bundle.entry[0].resource.birthDate).toBeUndefined();
+    expect(verifyHealthRecordCredential(issued.credential, { bundle: issued.bundle }).valid).toBe(true);
+  });
+
+  it('should issue an IPS document when requested', async () => {
+    const { req, res } = createMocks('POST', {
+      patientId: 'pat-1',
+      payloadFormat: 'ips',
+      proof: await createProof('pat-1'),
+    });
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const issued = (res.json as jest.Mock).mock.calls[0][0];
+    expect(issued.format).toBe('jwt_vc');
+    expect(issued.bundle.type).toBe('document');
+    expect(issued.bundle.entry[0].resource.resourceType).toBe('Composition');
+  });
+
+  it('should reject a proof signed for another patient', async () => {
+    const { req, res } = createMocks('POST', {
+      patientId: 'pat-2',
+      proof: await createProof('pat-1'),
+    });
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(mockPrisma.patient.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('should refuse to issue a patient\'s records to a wallet that is not theirs', async () => {
+    const otherWallet = ethers.Wallet.createRandom();
+    const otherHolder = getEthereumDid(otherWallet.address, 137);
+    const issuedAt = new Date().toISOString();
+    const proof = {
+      holder: otherHolder,
+      issuedAt,
+      signature: await otherWallet.signMessage(createHolderProofMessage('pat-1', otherHolder, issuedAt)),
+    };
+    const { req, res } = createMocks('POST', { patientId: 'pat-1', proof });
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({ error: expect.stringMatching(/not the patient's wallet/) });
+    expect(mockPrisma.condition.findMany).not.toHaveBeenCalled();
+    expect(mockPrisma.user.findMany).toHaveBeenCalledWith({ where: { OR: [{ id: 'pat-1' }] } });
+  });
+
+  it('should issue to another wallet of the patient while the patient is signed in', async () => {
+    mockPrisma.user.findMany.mockResolvedValue([{ id: 'pat-1', email: 'jane@example.com', role: 'PATIENT', ethereumAddress: null }]);
+    mockGetServerSession.mockResolvedValue({ user: { id: 'pat-1', role: 'PATIENT' } });
+    const { req, res } = createMocks('POST', { patientId: 'pat-1', proof: await createProof('pat-1') });
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+
+    mockGetServerSession.mockResolvedValue({ user: { id: 'someone-else', role: 'PATIENT' } });
+    const other = createMocks('POST', { patientId: 'pat-1', proof: await createProof('pat-1') });
+
+    await handler(other.req, other.res);
+
+    expect(other.res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('should validate the request body', async () => {
+    const missing = createMocks('POST', { patientId: 'pat-1' });
+    await handler(missing.req, missing.res);
+    expect(missing.res.status).toHaveBeenCalledWith(400);
+
+    const format = createMocks('POST', { patientId: 'pat-1', format: 'mdoc', proof: await createProof('pat-1') });
+    await handler(format.req, format.res);
+    expect(format.res.status).toHaveBeenCalledWith(400);
+  });
+
+  it('should return 404 for an unknown patient', async () => {
+    mockPrisma.patient.findUnique.mockResolvedValue(null);
+    const { req, res } = createMocks('POST', { patientId: 'pat-1', proof: await createProof('pat-1') });
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it('should return 503 when no issuer key is configured', async () => {
+    delete process.env.CREDENTIAL_ISSUER_PRIVATE_KEY;
+    const { req, res } = createMocks('POST', { patientId: 'pat-1', proof: await createProof('pat-1') });
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(503);
+  });
+});
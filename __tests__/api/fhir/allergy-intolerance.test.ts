@@ -0,0 +1,170 @@
+/**
+ * Integration tests for FHIR AllergyIntolerance API endpoints
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import allergyIntoleranceIndexHandler from '@/pages/api/fhir/AllergyIntolerance/index';
+import allergyIntoleranceIdHandler from '@/pages/api/fhir/AllergyIntolerance/[id]';
+import { PrismaClient } from '@prisma/client';
+
+jest.mock('next-auth/next', () => ({
+  getServerSession: jest.fn(),
+}));
+
+jest.mock('@/lib/auth', () => ({
+  authOptions: {},
+}));
+
+// Mock Prisma
+jest.mock('@prisma/client', () => {
+  const mockPrisma = {
+    consent: {
+      findMany: jest.fn().mockResolvedValue([]),
+    },
+    patient: {
+      findUnique: jest.fn(),
+    },
+    allergyIntolerance: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+      count: jest.fn(),
+    },
+    resourceVersion: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+    },
+  };
+
+  return {
+    PrismaClient: jest.fn(() => mockPrisma),
+  };
+});
+
+const mockPrisma = new PrismaClient();
+
+// Helper to create mock request and response
+function createMocks(method: string, query: any = {}, body: any = {}) {
+  const req: Partial<NextApiRequest> = {
+    method,
+    query,
+    body,
+    headers: {
+      host: 'localhost:3000',
+    },
+  };
+
+  const res: Partial<NextApiResponse> = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(),
+    setHeader: jest.fn(),
+    end: jest.fn(),
+  };
+
+  return { req: req as NextApiRequest, res: res as NextApiResponse };
+}
+
+const mockAllergy = {
+  id: 'allergy-1',
+  patientId: 'pat-123',
+  clinicalStatus: 'active',
+  verificationStatus: null,
+  type: 'allergy',
+  category: 'medication',
+  criticality: 'high',
+  code: '91936005',
+  codeSystem: 'http://snomed.info/sct',
+  codeDisplay: 'Allergy to penicillin',
+  reaction: null,
+  reactionSeverity: null,
+  onsetDate: null,
+  recordedDate: new Date('2024-03-20T10:30:00Z'),
+  notes: null,
+  createdAt: new Date('2024-03-20T10:30:00Z'),
+  updatedAt: new Date('2024-03-20T10:30:00Z'),
+};
+
+const fhirAllergy = {
+  resourceType: 'AllergyIntolerance',
+  clinicalStatus: {
+    coding: [{ system: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical', code: 'active' }],
+  },
+  category: ['medication'],
+  criticality: 'high',
+  code: {
+    coding: [{ system: 'http://snomed.info/sct', code: '91936005', display: 'Allergy to penicillin' }],
+  },
+  patient: { reference: 'Patient/pat-123' },
+};
+
+describe('FHIR AllergyIntolerance API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/fhir/AllergyIntolerance', () => {
+    it('should search by patient, criticality and category', async () => {
+      (mockPrisma.allergyIntolerance.findMany as jest.Mock).mockResolvedValue([mockAllergy]);
+      (mockPrisma.allergyIntolerance.count as jest.Mock).mockResolvedValue(1);
+
+      const { req, res } = createMocks('GET', { patient: 'Patient/pat-123', criticality: 'high', category: 'food,medication' });
+      await allergyIntoleranceIndexHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { where } = (mockPrisma.allergyIntolerance.findMany as jest.Mock).mock.calls[0][0];
+      expect(where.AND).toEqual([
+        { patientId: 'pat-123' },
+        { criticality: 'high' },
+        { OR: [{ category: { contains: 'food' } }, { category: { contains: 'medication' } }] },
+      ]);
+    });
+  });
+
+  describe('POST /api/fhir/AllergyIntolerance', () => {
+    it('should create a new allergy from FHIR resource', async () => {
+      (mockPrisma.patient.findUnique as jest.Mock).mockResolvedValue({ id: 'pat-123' });
+      (mockPrisma.allergyIntolerance.create as jest.Mock).mockResolvedValue(mockAllergy);
+
+      const { req, res } = createMocks('POST', {}, fhirAllergy);
+      await allergyIntoleranceIndexHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(mockPrisma.allergyIntolerance.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          patientId: 'pat-123',
+          category: 'medication',
+          criticality: 'high',
+          codeDisplay: 'Allergy to penicillin',
+        }),
+      });
+    });
+
+    it('should reject an allergy for an unknown patient', async () => {
+      (mockPrisma.patient.findUnique as jest.Mock).mockResolvedValue(null);
+
+      const { req, res } = createMocks('POST', {}, fhirAllergy);
+      await allergyIntoleranceIndexHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockPrisma.allergyIntolerance.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/fhir/AllergyIntolerance/[id]', () => {
+    it('should return a specific allergy', async () => {
+      (mockPrisma.allergyIntolerance.findUnique as jest.Mock).mockResolvedValue(mockAllergy);
+
+      const { req, res } = createMocks('GET', { id: 'allergy-1' });
+      await allergyIntoleranceIdHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        resourceType: 'AllergyIntolerance',
+        id: 'allergy-1',
+      }));
+    });
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Integration tests for FHIR Condition API endpoints
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import conditionIndexHandler from '@/pages/api/fhir/Condition/index';
+import conditionIdHandler from '@/pages/api/fhir/Condition/[id]';
+import { PrismaClient } from '@prisma/client';
+
+jest.mock('next-auth/next', () => ({
+  getServerSession: jest.fn(),
+}));
+
+jest.mock('@/lib/auth', () => ({
+  authOptions: {},
+}));
+
+// Mock Prisma
+jest.mock('@prisma/client', () => {
+  const mockPrisma = {
+    consent: {
+      findMany: jest.fn().mockResolvedValue([]),
+    },
+    patient: {
+      findUnique: jest.fn(),
+    },
+    condition: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+      count: jest.fn(),
+    },
+    resourceVersion: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+    },
+  };
+
+  return {
+    PrismaClient: jest.fn(() => mockPrisma),
+  };
+});
+
+const mockPrisma = new PrismaClient();
+
+// Helper to create mock request and response
+function createMocks(method: string, query: any = {}, body: any = {}) {
+  const req: Partial<NextApiRequest> = {
+    method,
+    query,
+    body,
+    headers: {
+      host: 'localhost:3000',
+    },
+  };
+
+  const res: Partial<NextApiResponse> = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(),
+    setHeader: jest.fn(),
+    end: jest.fn(),
+  };
+
+  return { req: req as NextApiRequest, res: res as NextApiResponse };
+}
+
+const mockCondition = {
+  id: 'cond-1',
+  patientId: 'pat-123',
+  visitId: null,
+  clinicalStatus: 'active',
+  verificationStatus: 'confirmed',
+  category: 'problem-list-item',
+  severity: null,
+  code: '44054006',
+  codeSystem: 'http://snomed.info/sct',
+  codeDisplay: 'Diabetes mellitus type 2',
+  onsetDate: null,
+  abatementDate: null,
+  recordedDate: new Date('2024-03-20T10:30:00Z'),
+  notes: null,
+  createdAt: new Date('2024-03-20T10:30:00Z'),
+  updatedAt: new Date('2024-03-20T10:30:00Z'),
+};
+
+const fhirCondition = {
+  resourceType: 'Condition',
+  clinicalStatus: {
+    coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-clinical', code: 'active' }],
+  },
+  code: {
+    coding: [{ system: 'http://snomed.info/sct', code: '44054006', display: 'Diabetes mellitus type 2' }],
+  },
+  subject: { reference: 'Patient/pat-123' },
+};
+
+describe('FHIR Condition API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/fhir/Condition', () => {
+    it('should return a FHIR Bundle of conditions', async () => {
+      (mockPrisma.condition.findMany as jest.Mock).mockResolvedValue([mockCondition]);
+      (mockPrisma.condition.count as jest.Mock).mockResolvedValue(1);
+
+      const { req, res } = createMocks('GET', { patient: 'Patient/pat-123', 'clinical-status': 'active' });
+      await conditionIndexHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { where } = (mockPrisma.condition.findMany as jest.Mock).mock.calls[0][0];
+      expect(where.AND).toEqual([
+        { patientId: 'pat-123' },
+        { clinicalStatus: 'active' },
+      ]);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        resourceType: 'Bundle',
+        type: 'searchset',
+        total: 1,
+      }));
+    });
+  });
+
+  describe('POST /api/fhir/Condition', () => {
+    it('should create a new condition from FHIR resource', async () => {
+      (mockPrisma.patient.findUnique as jest.Mock).mockResolvedValue({ id: 'pat-123' });
+      (mockPrisma.condition.create as jest.Mock).mockResolvedValue(mockCondition);
+
+      const { req, res } = createMocks('POST', {}, fhirCondition);
+      await conditionIndexHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(mockPrisma.condition.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          patientId: 'pat-123',
+          code: '44054006',
+          clinicalStatus: 'active',
+        }),
+      });
+      expect(res.setHeader).toHaveBeenCalledWith('Location', expect.stringContaining('/Condition/cond-1'));
+    });
+
+    it('should reject a condition without a subject', async () => {
+      const { req, res } = createMocks('POST', {}, { ...fhirCondition, subject: undefined });
+      await conditionIndexHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockPrisma.condition.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/fhir/Condition/[id]', () => {
+    it('should return 404 for non-existent condition', async () => {
+      (mockPrisma.condition.findUnique as jest.Mock).mockResolvedValue(null);
+
+      const { req, res } = createMocks('GET', { id: 'missing' });
+      await conditionIdHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('PUT /api/fhir/Condition/[id]', () => {
+    it('should mark a condition as resolved', async () => {
+      (mockPrisma.condition.findUnique as jest.Mock).mockResolvedValue(mockCondition);
+      (mockPrisma.condition.update as jest.Mock).mockResolvedValue({
+        ...mockCondition,
+        clinicalStatus: 'resolved',
+      });
+
+      const { req, res } = createMocks('PUT', { id: 'cond-1' }, {
+        ...fhirCondition,
+        id: 'cond-1',
+        clinicalStatus: {
+          coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-clinical', code: 'resolved' }],
+        },
+      });
+      await conditionIdHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(mockPrisma.condition.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'cond-1' },
+        data: expect.objectContaining({ clinicalStatus: 'resolved' }),
+      }));
+    });
+  });
+});
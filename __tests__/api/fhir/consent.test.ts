@@ -0,0 +1,316 @@
+/**
+ * Integration tests for FHIR Consent API endpoints and consent enforcement on reads
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import consentIndexHandler from '@/pages/api/fhir/Consent/index';
+import consentIdHandler from '@/pages/api/fhir/Consent/[id]';
+import consentCheckHandler from '@/pages/api/fhir/Consent/$check';
+import observationIndexHandler from '@/pages/api/fhir/Observation/index';
+import observationIdHandler from '@/pages/api/fhir/Observation/[id]';
+import { PrismaClient } from '@prisma/client';
+import { getServerSession } from 'next-auth/next';
+
+jest.mock('next-auth/next', () => ({
+  getServerSession: jest.fn(),
+}));
+
+jest.mock('@/lib/auth', () => ({
+  authOptions: {},
+}));
+
+// Mock Prisma
+jest.mock('@prisma/client', () => {
+  const mockPrisma = {
+    consent: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+      count: jest.fn(),
+    },
+    patient: {
+      findUnique: jest.fn(),
+    },
+    provider: {
+      findUnique: jest.fn(),
+    },
+    observation: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      count: jest.fn(),
+    },
+    resourceVersion: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+    },
+  };
+
+  return {
+    PrismaClient: jest.fn(() => mockPrisma),
+  };
+});
+
+const mockPrisma = new PrismaClient() as any;
+const mockGetServerSession = getServerSession as jest.Mock;
+
+// Helper to create mock request and response
+function createMocks(method: string, query: any = {}, body: any = {}, headers: Record<string, string> = {}) {
+  const req: Partial<NextApiRequest> = {
+    method,
+    query,
+    body,
+    headers: {
+      host: 'localhost:3000',
+      ...headers,
+    },
+  };
+
+  const res: Partial<NextApiResponse> = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(),
+    setHeader: jest.fn(),
+    end: jest.fn(),
+  };
+
+  return { req: req as NextApiRequest, res: res as NextApiResponse };
+}
+
+const doctor = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+
+const mockConsent = {
+  id: 'consent-1',
+  patientId: 'pat-123',
+  status: 'active',
+  provisionType: 'deny',
+  actor: null,
+  purposes: 'TREAT',
+  categories: null,
+  periodStart: null,
+  periodEnd: null,
+  versionId: 1,
+  createdAt: new Date('2026-05-10T09:00:00Z'),
+  updatedAt: new Date('2026-05-10T09:00:00Z'),
+};
+
+const fhirConsent = {
+  resourceType: 'Consent',
+  status: 'active',
+  scope: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/consentscope', code: 'patient-privacy' }] },
+  category: [{ coding: [{ system: 'http://loinc.org', code: '59284-0' }] }],
+  patient: { reference: 'Patient/pat-123' },
+  provision: {
+    type: 'permit',
+    actor: [{
+      role: { coding: [{ code: 'IRCP' }] },
+      reference: { identifier: { system: 'https://ethereum.org/address', value: doctor } },
+    }],
+    purpose: [{ code: 'TREAT' }],
+  },
+};
+
+const mockObservation = {
+  id: 'obs-1',
+  patientId: 'pat-123',
+  status: 'final',
+  category: 'vital-signs',
+  code: '8867-4',
+  codeSystem: 'http://loinc.org',
+  codeDisplay: 'Heart rate',
+  valueQuantity: 72,
+  valueUnit: 'beats/minute',
+  effectiveDate: new Date('2024-03-20T10:30:00Z'),
+  issued: new Date('2024-03-20T10:30:00Z'),
+  createdAt: new Date('2024-03-20T10:30:00Z'),
+  updatedAt: new Date('2024-03-20T10:30:00Z'),
+};
+
+describe('FHIR Consent API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetServerSession.mockResolvedValue(null);
+    mockPrisma.consent.findMany.mockResolvedValue([]);
+    mockPrisma.provider.findUnique.mockResolvedValue(null);
+  });
+
+  describe('POST /api/fhir/Consent', () => {
+    it('records a consent for the signed-in patient', async () => {
+      mockGetServerSession.mockResolvedValue({ user: { id: 'pat-123' } });
+      mockPrisma.patient.findUnique.mockResolvedValue({ id: 'pat-123' });
+      mockPrisma.consent.create.mockResolvedValue({ ...mockConsent, provisionType: 'permit', actor: doctor });
+
+      const { req, res } = createMocks('POST', {}, fhirConsent);
+      await consentIndexHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(mockPrisma.consent.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          patientId: 'pat-123',
+          provisionType: 'permit',
+          actor: doctor,
+          purposes: 'TREAT',
+          categories: null,
+        }),
+      });
+      expect(mockPrisma.resourceVersion.create).toHaveBeenCalled();
+    });
+
+    it('rejects consents recorded by anyone but the patient', async () => {
+      mockGetServerSession.mockResolvedValue({ user: { id: 'someone-else' } });
+
+      const { req, res } = createMocks('POST', {}, fhirConsent);
+      await consentIndexHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(mockPrisma.consent.create).not.toHaveBeenCalled();
+    });
+
+    it('rejects unsupported purposes', async () => {
+      const { req, res } = createMocks('POST', {}, {
+        ...fhirConsent,
+        provision: { ...fhirConsent.provision, purpose: [{ code: 'MARKETING' }] },
+      });
+      await consentIndexHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('DELETE /api/fhir/Consent/[id]', () => {
+    it('only lets the patient delete their consent', async () => {
+      mockPrisma.consent.findUnique.mockResolvedValue(mockConsent);
+
+      const { req, res } = createMocks('DELETE', { id: 'consent-1' });
+      await consentIdHandler(req, res);
+      expect(res.status).toHaveBeenCalledWith(403);
+
+      mockGetServerSession.mockResolvedValue({ user: { id: 'pat-123' } });
+      mockPrisma.consent.delete.mockResolvedValue(mockConsent);
+      const allowed = createMocks('DELETE', { id: 'consent-1' });
+      await consentIdHandler(allowed.req, allowed.res);
+      expect(allowed.res.status).toHaveBeenCalledWith(204);
+    });
+  });
+
+  describe('GET /api/fhir/Consent/$check', () => {
+    it('returns the decision and the denied categories', async () => {
+      mockPrisma.consent.findMany.mockResolvedValue([{ ...mockConsent, purposes: null, categories: 'Condition' }]);
+
+      const { req, res } = createMocks('GET', { patient: 'Patient/pat-123', actor: doctor, category: 'Observation,Condition' });
+      await consentCheckHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        resourceType: 'Parameters',
+        parameter: [
+          { name: 'decision', valueCode: 'deny' },
+          {
+            name: 'denied',
+            part: [
+              { name: 'category', valueCode: 'Condition' },
+              { name: 'actor', valueString: doctor },
+              { name: 'consent', valueReference: { reference: 'Consent/consent-1' } },
+            ],
+          },
+        ],
+      });
+    });
+  });
+
+  describe('Consent enforcement on reads', () => {
+    it('denies reading an observation when the patient denied treatment access', async () => {
+      mockPrisma.observation.findUnique.mockResolvedValue(mockObservation);
+      mockPrisma.consent.findMany.mockResolvedValue([mockConsent]);
+
+      mockGetServerSession.mockResolvedValue({ user: { id: 'user-2', ethereumAddress: doctor } });
+
+      const { req, res } = createMocks('GET', { id: 'obs-1' });
+      await observationIdHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('does not take a permitted wallet from the x-wallet-address header', async () => {
+      mockPrisma.observation.findUnique.mockResolvedValue(mockObservation);
+      mockPrisma.consent.findMany.mockResolvedValue([
+        mockConsent,
+        { ...mockConsent, id: 'consent-2', provisionType: 'permit', actor: doctor },
+      ]);
+
+      const { req, res } = createMocks('GET', { id: 'obs-1' }, {}, { 'x-wallet-address': doctor });
+      await observationIdHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('lets the session wallet the patient permitted read', async () => {
+      mockPrisma.observation.findUnique.mockResolvedValue(mockObservation);
+      mockPrisma.consent.findMany.mockResolvedValue([
+        mockConsent,
+        { ...mockConsent, id: 'consent-2', provisionType: 'permit', actor: doctor },
+      ]);
+      mockGetServerSession.mockResolvedValue({ user: { id: 'user-2', ethereumAddress: doctor } });
+
+      const { req, res } = createMocks('GET', { id: 'obs-1' });
+      await observationIdHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('lets a provider the patient permitted read despite a deny for anyone', async () => {
+      mockPrisma.observation.findUnique.mockResolvedValue(mockObservation);
+      mockPrisma.consent.findMany.mockResolvedValue([
+        mockConsent,
+        { ...mockConsent, id: 'consent-2', provisionType: 'permit', actor: 'Practitioner/prov-1' },
+      ]);
+      mockGetServerSession.mockResolvedValue({ user: { id: 'user-1', email: 'doctor@example.com' } });
+      mockPrisma.provider.findUnique.mockResolvedValue({ id: 'prov-1' });
+
+      const { req, res } = createMocks('GET', { id: 'obs-1' });
+      await observationIdHandler(req, res);
+
+      expect(mockPrisma.provider.findUnique).toHaveBeenCalledWith({ where: { email: 'doctor@example.com' } });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('lets patients read their own data', async () => {
+      mockPrisma.observation.findUnique.mockResolvedValue(mockObservation);
+      mockPrisma.consent.findMany.mockResolvedValue([mockConsent]);
+      mockGetServerSession.mockResolvedValue({ user: { id: 'pat-123' } });
+
+      const { req, res } = createMocks('GET', { id: 'obs-1' });
+      await observationIdHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('leaves denied patients out of searches', async () => {
+      mockPrisma.consent.findMany.mockResolvedValue([mockConsent]);
+      mockPrisma.observation.findMany.mockResolvedValue([]);
+      mockPrisma.observation.count.mockResolvedValue(0);
+
+      const { req, res } = createMocks('GET', { code: '8867-4' });
+      await observationIndexHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(mockPrisma.observation.findMany.mock.calls[0][0].where).toEqual({
+        AND: [{ code: '8867-4' }, { patientId: { notIn: ['pat-123'] } }],
+      });
+    });
+
+    it('only returns patients who permitted research to research requests', async () => {
+      mockPrisma.consent.findMany.mockResolvedValue([
+        { ...mockConsent, provisionType: 'permit', purposes: 'HRESCH' },
+      ]);
+      mockPrisma.observation.findMany.mockResolvedValue([mockObservation]);
+      mockPrisma.observation.count.mockResolvedValue(1);
+
+      const { req, res } = createMocks('GET', {}, {}, { 'x-purpose-of-use': 'HRESCH' });
+      await observationIndexHandler(req, res);
+
+      expect(mockPrisma.observation.findMany.mock.calls[0][0].where).toEqual({ patientId: { in: ['pat-123'] } });
+    });
+  });
+});
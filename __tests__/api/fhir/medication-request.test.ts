@@ -0,0 +1,160 @@
+/**
+ * Integration tests for FHIR MedicationRequest API endpoints
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import medicationRequestIndexHandler from '@/pages/api/fhir/MedicationRequest/index';
+import medicationRequestIdHandler from '@/pages/api/fhir/MedicationRequest/[id]';
+import { PrismaClient } from '@prisma/client';
+
+jest.mock('next-auth/next', () => ({
+  getServerSession: jest.fn(),
+}));
+
+jest.mock('@/lib/auth', () => ({
+  authOptions: {},
+}));
+
+// Mock Prisma
+jest.mock('@prisma/client', () => {
+  const mockPrisma = {
+    consent: {
+      findMany: jest.fn().mockResolvedValue([]),
+    },
+    patient: {
+      findUnique: jest.fn(),
+    },
+    medicationRequest: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+      count: jest.fn(),
+    },
+    resourceVersion: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+    },
+  };
+
+  return {
+    PrismaClient: jest.fn(() => mockPrisma),
+  };
+});
+
+const mockPrisma = new PrismaClient();
+
+// Helper to create mock request and response
+function createMocks(method: string, query: any = {}, body: any = {}) {
+  const req: Partial<NextApiRequest> = {
+    method,
+    query,
+    body,
+    headers: {
+      host: 'localhost:3000',
+    },
+  };
+
+  const res: Partial<NextApiResponse> = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(),
+    setHeader: jest.fn(),
+    end: jest.fn(),
+  };
+
+  return { req: req as NextApiRequest, res: res as NextApiResponse };
+}
+
+const mockMedicationRequest = {
+  id: 'med-1',
+  patientId: 'pat-123',
+  visitId: null,
+  providerId: null,
+  status: 'active',
+  intent: 'order',
+  medicationCode: '860975',
+  medicationSystem: 'http://www.nlm.nih.gov/research/umls/rxnorm',
+  medicationDisplay: 'Metformin 500 MG Oral Tablet',
+  dosageText: 'One tablet twice daily',
+  authoredOn: new Date('2024-03-20T10:30:00Z'),
+  reason: null,
+  notes: null,
+  createdAt: new Date('2024-03-20T10:30:00Z'),
+  updatedAt: new Date('2024-03-20T10:30:00Z'),
+};
+
+const fhirMedicationRequest = {
+  resourceType: 'MedicationRequest',
+  status: 'active',
+  intent: 'order',
+  medicationCodeableConcept: {
+    coding: [{ system: 'http://www.nlm.nih.gov/research/umls/rxnorm', code: '860975', display: 'Metformin 500 MG Oral Tablet' }],
+  },
+  subject: { reference: 'Patient/pat-123' },
+  dosageInstruction: [{ text: 'One tablet twice daily' }],
+};
+
+describe('FHIR MedicationRequest API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/fhir/MedicationRequest', () => {
+    it('should search by patient, status and code', async () => {
+      (mockPrisma.medicationRequest.findMany as jest.Mock).mockResolvedValue([mockMedicationRequest]);
+      (mockPrisma.medicationRequest.count as jest.Mock).mockResolvedValue(1);
+
+      const { req, res } = createMocks('GET', { patient: 'pat-123', status: 'active,on-hold', code: '860975' });
+      await medicationRequestIndexHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { where } = (mockPrisma.medicationRequest.findMany as jest.Mock).mock.calls[0][0];
+      expect(where.AND).toEqual([
+        { patientId: 'pat-123' },
+        { OR: [{ status: 'active' }, { status: 'on-hold' }] },
+        { medicationCode: '860975' },
+      ]);
+    });
+  });
+
+  describe('POST /api/fhir/MedicationRequest', () => {
+    it('should create a new medication request from FHIR resource', async () => {
+      (mockPrisma.patient.findUnique as jest.Mock).mockResolvedValue({ id: 'pat-123' });
+      (mockPrisma.medicationRequest.create as jest.Mock).mockResolvedValue(mockMedicationRequest);
+
+      const { req, res } = createMocks('POST', {}, fhirMedicationRequest);
+      await medicationRequestIndexHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(mockPrisma.medicationRequest.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          patientId: 'pat-123',
+          medicationCode: '860975',
+          medicationDisplay: 'Metformin 500 MG Oral Tablet',
+          dosageText: 'One tablet twice daily',
+        }),
+      });
+    });
+
+    it('should reject a medication request with an invalid intent', async () => {
+      const { req, res } = createMocks('POST', {}, { ...fhirMedicationRequest, intent: 'wish' });
+      await medicationRequestIndexHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockPrisma.medicationRequest.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/fhir/MedicationRequest/[id]', () => {
+    it('should return 404 when the medication request does not exist', async () => {
+      (mockPrisma.medicationRequest.delete as jest.Mock).mockRejectedValue({ code: 'P2025' });
+
+      const { req, res } = createMocks('DELETE', { id: 'missing' });
+      await medicationRequestIdHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
@@ -0,0 +1,285 @@
+/**
+ * Integration tests for FHIR Observation API endpoints
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import observationIndexHandler from '@/pages/api/fhir/Observation/index';
+import observationIdHandler from '@/pages/api/fhir/Observation/[id]';
+import { PrismaClient } from '@prisma/client';
+
+jest.mock('next-auth/next', () => ({
+  getServerSession: jest.fn(),
+}));
+
+jest.mock('@/lib/auth', () => ({
+  authOptions: {},
+}));
+
+// Mock Prisma
+jest.mock('@prisma/client', () => {
+  const mockPrisma = {
+    consent: {
+      findMany: jest.fn().mockResolvedValue([]),
+    },
+    patient: {
+      findUnique: jest.fn(),
+    },
+    observation: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+      count: jest.fn(),
+    },
+    resourceVersion: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+    },
+  };
+
+  return {
+    PrismaClient: jest.fn(() => mockPrisma),
+  };
+});
+
+const mockPrisma = new PrismaClient();
+
+// Helper to create mock request and response
+function createMocks(method: string, query: any = {}, body: any = {}) {
+  const req: Partial<NextApiRequest> = {
+    method,
+    query,
+    body,
+    headers: {
+      host: 'localhost:3000',
+    },
+  };
+
+  const res: Partial<NextApiResponse> = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(),
+    setHeader: jest.fn(),
+    end: jest.fn(),
+  };
+
+  return { req: req as NextApiRequest, res: res as NextApiResponse };
+}
+
+const mockObservation = {
+  id: 'obs-1',
+  patientId: 'pat-123',
+  visitId: null,
+  status: 'final',
+  category: 'vital-signs',
+  code: '8867-4',
+  codeSystem: 'http://loinc.org',
+  codeDisplay: 'Heart rate',
+  effectiveDate: new Date('2024-03-20T10:30:00Z'),
+  valueQuantity: 72,
+  valueUnit: '/min',
+  valueString: null,
+  components: null,
+  notes: null,
+  createdAt: new Date('2024-03-20T10:30:00Z'),
+  updatedAt: new Date('2024-03-20T10:30:00Z'),
+};
+
+const fhirObservation = {
+  resourceType: 'Observation',
+  status: 'final',
+  category: [
+    {
+      coding: [
+        {
+          system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+          code: 'vital-signs',
+        },
+      ],
+    },
+  ],
+  code: {
+    coding: [{ system: 'http://loinc.org', code: '8867-4', display: 'Heart rate' }],
+  },
+  subject: { reference: 'Patient/pat-123' },
+  effectiveDateTime: '2024-03-20T10:30:00Z',
+  valueQuantity: { value: 72, unit: '/min' },
+};
+
+describe('FHIR Observation API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/fhir/Observation', () => {
+    it('should return a FHIR Bundle of observations', async () => {
+      (mockPrisma.observation.findMany as jest.Mock).mockResolvedValue([mockObservation]);
+      (mockPrisma.observation.count as jest.Mock).mockResolvedValue(1);
+
+      const { req, res } = createMocks('GET', { patient: 'Patient/pat-123' });
+      await observationIndexHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(mockPrisma.observation.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: expect.objectContaining({ patientId: 'pat-123' }),
+        })
+      );
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        resourceType: 'Bundle',
+        type: 'searchset',
+        total: 1,
+        entry: expect.arrayContaining([
+          expect.objectContaining({
+            resource: expect.objectContaining({
+              resourceType: 'Observation',
+              id: 'obs-1',
+            }),
+          }),
+        ]),
+      }));
+    });
+
+    it('should support search by code and category', async () => {
+      (mockPrisma.observation.findMany as jest.Mock).mockResolvedValue([]);
+      (mockPrisma.observation.count as jest.Mock).mockResolvedValue(0);
+
+      const { req, res } = createMocks('GET', {
+        code: 'http://loinc.org|8867-4',
+        category: 'vital-signs',
+      });
+      await observationIndexHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { where } = (mockPrisma.observation.findMany as jest.Mock).mock.calls[0][0];
+      expect(where.AND).toEqual([
+        { codeSystem: 'http://loinc.org', code: '8867-4' },
+        { category: 'vital-signs' },
+      ]);
+    });
+
+    it('should support date ranges with prefixes', async () => {
+      (mockPrisma.observation.findMany as jest.Mock).mockResolvedValue([]);
+      (mockPrisma.observation.count as jest.Mock).mockResolvedValue(0);
+
+      const { req, res } = createMocks('GET', { date: ['ge2024-01-01', 'lt2024-02'] });
+      await observationIndexHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { where } = (mockPrisma.observation.findMany as jest.Mock).mock.calls[0][0];
+      expect(where.AND).toEqual([
+        { effectiveDate: { gte: new Date('2024-01-01T00:00:00Z') } },
+        { effectiveDate: { lt: new Date('2024-02-01T00:00:00Z') } },
+      ]);
+    });
+
+    it('should reject an invalid date parameter', async () => {
+      const { req, res } = createMocks('GET', { date: 'yesterday' });
+      await observationIndexHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockPrisma.observation.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/fhir/Observation', () => {
+    it('should create a new observation from FHIR resource', async () => {
+      (mockPrisma.patient.findUnique as jest.Mock).mockResolvedValue({ id: 'pat-123' });
+      (mockPrisma.observation.create as jest.Mock).mockResolvedValue(mockObservation);
+
+      const { req, res } = createMocks('POST', {}, fhirObservation);
+      await observationIndexHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(mockPrisma.observation.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          patientId: 'pat-123',
+          code: '8867-4',
+          category: 'vital-signs',
+          valueQuantity: 72,
+        }),
+      });
+      expect(res.setHeader).toHaveBeenCalledWith('Location', expect.stringContaining('/Observation/obs-1'));
+    });
+
+    it('should reject an observation that fails validation', async () => {
+      const { req, res } = createMocks('POST', {}, { ...fhirObservation, status: 'bogus' });
+      await observationIndexHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        resourceType: 'OperationOutcome',
+      }));
+      expect(mockPrisma.observation.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject an observation for an unknown patient', async () => {
+      (mockPrisma.patient.findUnique as jest.Mock).mockResolvedValue(null);
+
+      const { req, res } = createMocks('POST', {}, fhirObservation);
+      await observationIndexHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockPrisma.observation.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/fhir/Observation/[id]', () => {
+    it('should return a specific observation', async () => {
+      (mockPrisma.observation.findUnique as jest.Mock).mockResolvedValue(mockObservation);
+
+      const { req, res } = createMocks('GET', { id: 'obs-1' });
+      await observationIdHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        resourceType: 'Observation',
+        id: 'obs-1',
+      }));
+    });
+
+    it('should return 404 for non-existent observation', async () => {
+      (mockPrisma.observation.findUnique as jest.Mock).mockResolvedValue(null);
+
+      const { req, res } = createMocks('GET', { id: 'missing' });
+      await observationIdHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('PUT /api/fhir/Observation/[id]', () => {
+    it('should update an existing observation', async () => {
+      (mockPrisma.observation.findUnique as jest.Mock).mockResolvedValue(mockObservation);
+      (mockPrisma.observation.update as jest.Mock).mockResolvedValue({
+        ...mockObservation,
+        valueQuantity: 80,
+      });
+
+      const { req, res } = createMocks('PUT', { id: 'obs-1' }, {
+        ...fhirObservation,
+        id: 'obs-1',
+        valueQuantity: { value: 80, unit: '/min' },
+      });
+      await observationIdHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(mockPrisma.observation.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'obs-1' },
+        data: expect.objectContaining({ valueQuantity: 80 }),
+      }));
+    });
+  });
+
+  describe('DELETE /api/fhir/Observation/[id]', () => {
+    it('should delete an observation', async () => {
+      (mockPrisma.observation.delete as jest.Mock).mockResolvedValue({});
+
+      const { req, res } = createMocks('DELETE', { id: 'obs-1' });
+      await observationIdHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(204);
+    });
+  });
+});
@@ -7,9 +7,20 @@ import patientIndexHandler from '@/pages/api/fhir/Patient/index';
 import patientIdHandler from '@/pages/api/fhir/Patient/[id]';
 import { PrismaClient } from '@prisma/client';
 
+jest.mock('next-auth/next', () => ({
+  getServerSession: jest.fn(),
+}));
+
+jest.mock('@/lib/auth', () => ({
+  authOptions: {},
+}));
+
 // Mock Prisma
 jest.mock('@prisma/client', () => {
   const mockPrisma = {
+    consent: {
+      findMany: jest.fn().mockResolvedValue([]),
+    },
     patient: {
       findMany: jest.fn(),
       findUnique: jest.fn(),
@@ -18,6 +29,14 @@ jest.mock('@prisma/client', () => {
       delete: jest.fn(),
       count: jest.fn(),
     },
+    resourceVersion: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+    },
+    syncDeletion: {
+      create: jest.fn(),
+    },
   };
 
   return {
@@ -27,14 +46,25 @@ jest.mock('@prisma/client', () => {
 
 const mockPrisma = new PrismaClient();
 
+const mockPatient = {
+  id: 'pat-123',
+  patientId: 'PAT-000001',
+  name: 'John Doe',
+  dob: '1990-05-15',
+  gender: 'male',
+  createdAt: new Date('2024-01-01'),
+  updatedAt: new Date('2024-01-01'),
+};
+
 // Helper to create mock request and response
-function createMocks(method: string, query: any = {}, body: any = {}) {
+function createMocks(method: string, query: any = {}, body: any = {}, headers: any = {}) {
   const req: Partial<NextApiRequest> = {
     method,
     query,
     body,
     headers: {
       host: 'localhost:3000',
+      ...headers,
     },
   };
 
@@ -276,6 +306,69 @@ describe('FHIR Patient API', () => {
       expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
         resourceType: 'Patient',
       }));
+      expect(mockPrisma.resourceVersion.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ resourceType: 'Patient', resourceId: 'pat-123', method: 'PUT' }),
+      });
+    });
+
+    it('should reject a stale If-Match version with 412', async () => {
+      (mockPrisma.patient.findUnique as jest.Mock).mockResolvedValue({ ...mockPatient, versionId: 3 });
+
+      const { req, res } = createMocks('PUT', { id: 'pat-123' }, { resourceType: 'Patient' }, { 'if-match': 'W/"2"' });
+      await patientIdHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(412);
+      expect(mockPrisma.patient.update).not.toHaveBeenCalled();
+    });
+
+    it('should increment the version on update', async () => {
+      (mockPrisma.patient.findUnique as jest.Mock).mockResolvedValue({ ...mockPatient, versionId: 2 });
+      (mockPrisma.patient.update as jest.Mock).mockResolvedValue({ ...mockPatient, versionId: 3 });
+
+      const { req, res } = createMocks('PUT', { id: 'pat-123' }, { resourceType: 'Patient' }, { 'if-match': 'W/"2"' });
+      await patientIdHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(mockPrisma.patient.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'pat-123', versionId: 2 },
+        data: expect.objectContaining({ versionId: { increment: 1 } }),
+      }));
+      expect(res.setHeader).toHaveBeenCalledWith('ETag', 'W/"3"');
+    });
+  });
+
+  describe('Conditional requests', () => {
+    it('should return the existing patient for If-None-Exist', async () => {
+      (mockPrisma.patient.findMany as jest.Mock).mockResolvedValue([mockPatient]);
+
+      const { req, res } = createMocks('POST', {}, { resourceType: 'Patient' }, { 'if-none-exist': 'identifier=PAT-000001' });
+      await patientIndexHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(mockPrisma.patient.create).not.toHaveBeenCalled();
+    });
+
+    it('should update the patient matched by identifier', async () => {
+      (mockPrisma.patient.findMany as jest.Mock).mockResolvedValue([{ ...mockPatient, versionId: 1 }]);
+      (mockPrisma.patient.update as jest.Mock).mockResolvedValue({ ...mockPatient, versionId: 2 });
+
+      const { req, res } = createMocks('PUT', { identifier: 'PAT-000001' }, { resourceType: 'Patient', gender: 'male' });
+      await patientIndexHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(mockPrisma.patient.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'pat-123', versionId: 1 },
+      }));
+    });
+
+    it('should reject a conditional update that matches several patients', async () => {
+      (mockPrisma.patient.findMany as jest.Mock).mockResolvedValue([mockPatient, { ...mockPatient, id: 'pat-456' }]);
+
+      const { req, res } = createMocks('PUT', { name: 'Doe' }, { resourceType: 'Patient' });
+      await patientIndexHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(412);
+      expect(mockPrisma.patient.update).not.toHaveBeenCalled();
     });
   });
 
@@ -288,6 +381,7 @@ describe('FHIR Patient API', () => {
 
       expect(res.status).toHaveBeenCalledWith(204);
       expect(res.end).toHaveBeenCalled();
+      expect(mockPrisma.syncDeletion.create).toHaveBeenCalledWith({ data: { entityType: 'patients', recordId: 'pat-123' } });
     });
   });
 });
\ No newline at end of file
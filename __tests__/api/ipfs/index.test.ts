@@ -63,13 +63,36 @@ jest.mock('@/lib/prisma', () => ({
   prisma: {
     sharedMedicalData: {
       findFirst: jest.fn(),
+      findMany: jest.fn(),
       update: jest.fn(),
     },
   },
 }));
 
+jest.mock('next-auth/next', () => ({
+  getServerSession: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('@/lib/auth', () => ({
+  authOptions: {},
+}));
+
+jest.mock('@/lib/share-expiry', () => ({
+  claimShareView: jest.fn(),
+}));
+
+jest.mock('@/lib/access-events', () => ({
+  recordAccessEvent: jest.fn(),
+}));
+
 // Import the mocked prisma client
 import { prisma } from '@/lib/prisma';
+import { claimShareView } from '@/lib/share-expiry';
+import { recordAccessEvent } from '@/lib/access-events';
+import { getServerSession } from 'next-auth/next';
+
+const mockClaimShareView = claimShareView as jest.Mock;
+const mockGetServerSession = getServerSession as jest.Mock;
 
 describe('IPFS API Handler', () => {
   let req: Partial<NextApiRequest>;
@@ -93,6 +116,9 @@ describe('IPFS API Handler', () => {
 
     // Reset the fetch mock
     mockFetch.mockReset();
+    mockClaimShareView.mockResolvedValue({ outcome: 'granted', accessCount: 1, remainingViews: null });
+    (prisma.sharedMedicalData.findMany as jest.Mock).mockResolvedValue([]);
+    mockGetServerSession.mockResolvedValue(null);
   });
 
   it('should return 405 for non-GET requests', async () => {
@@ -149,6 +175,34 @@ describe('IPFS API Handler', () => {
     expect(true).toBe(true);
   });
 
+  it('should not serve the CID of a share without going through the share', async () => {
+    const sharedCid = 'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e';
+    (prisma.sharedMedicalData.findMany as jest.Mock).mockResolvedValue([{ userId: '0xowner' }]);
+    mockGetServerSession.mockResolvedValue({ user: { ethereumAddress: '0xSomeoneElse' } });
+    req.query = { cid: sharedCid };
+
+    await handler(req as NextApiRequest, res as NextApiResponse);
+
+    expect(prisma.sharedMedicalData.findMany).toHaveBeenCalledWith({
+      where: { ipfsCid: { in: [sharedCid] } },
+      select: { userId: true },
+    });
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(mockClaimShareView).not.toHaveBeenCalled();
+    expect(mockFetch).not.toHaveBeenCalled();
+  });
+
+  it('should serve the CID of a share to the wallet that shared it', async () => {
+    (prisma.sharedMedicalData.findMany as jest.Mock).mockResolvedValue([{ userId: '0xowner' }]);
+    mockGetServerSession.mockResolvedValue({ user: { ethereumAddress: '0xOwner' } });
+    mockFetch.mockResolvedValue(new MockResponse('mock content', { status: 200, headers: { 'content-type': 'text/plain' } }));
+    req.query = { cid: 'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e' };
+
+    await handler(req as NextApiRequest, res as NextApiResponse);
+
+    expect(res.status).not.toHaveBeenCalledWith(403);
+  });
+
   it('should handle accessId parameter and lookup CID from database', async () => {
     // Mock the database response - using a valid CID
     (prisma.sharedMedicalData.findFirst as jest.Mock).mockResolvedValueOnce({
@@ -177,6 +231,10 @@ describe('IPFS API Handler', () => {
       where: { accessId: 'test-access-id', isActive: true }
     });
 
+    // The view is claimed and logged for the owner before the content is read
+    expect(claimShareView).toHaveBeenCalledWith(prisma, expect.objectContaining({ accessId: 'test-access-id' }));
+    expect(recordAccessEvent).toHaveBeenCalledWith(prisma, req, expect.objectContaining({ accessId: 'test-access-id' }), expect.objectContaining({ outcome: 'granted' }));
+
     // Either returns success or passes content through (may call send or json)
     expect(res.status).toHaveBeenCalled();
   });
@@ -204,6 +262,7 @@ describe('IPFS API Handler', () => {
     };
 
     (prisma.sharedMedicalData.findFirst as jest.Mock).mockResolvedValueOnce(mockSharedData);
+    mockClaimShareView.mockResolvedValueOnce({ outcome: 'expired', accessCount: null, remainingViews: null });
 
     req.query = { accessId: 'test-access-id' };
 
@@ -211,9 +270,39 @@ describe('IPFS API Handler', () => {
 
     expect(res.status).toHaveBeenCalledWith(403);
     expect(res.json).toHaveBeenCalledWith({ error: 'Access has expired' });
+    expect(recordAccessEvent).toHaveBeenCalledWith(prisma, req, mockSharedData, expect.objectContaining({ outcome: 'expired' }));
   });
 
-  it('should return metadata for password-protected content', async () => {
+  it('should send nothing once a share has used up its views', async () => {
+    const mockSharedData = {
+      id: 1,
+      accessId: 'test-access-id',
+      ipfsCid: 'QmTestFromDB',
+      isActive: true,
+      expiryTime: new Date(Date.now() + 86400000),
+      accessCount: 1,
+      maxViews: 1,
+      hasPassword: false
+    };
+
+    (prisma.sharedMedicalData.findFirst as jest.Mock).mockResolvedValueOnce(mockSharedData);
+    mockClaimShareView.mockResolvedValueOnce({ outcome: 'view_limit', accessCount: null, remainingViews: 0 });
+
+    req.query = { accessId: 'test-access-id', viewerAddress: '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC', sessionId: 'tab-1' };
+
+    await handler(req as NextApiRequest, res as NextApiResponse);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({ error: 'This share has reached its view limit' });
+    expect(recordAccessEvent).toHaveBeenCalledWith(prisma, req, mockSharedData, expect.objectContaining({
+      outcome: 'view_limit',
+      viewerAddress: '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC',
+      sessionId: 'tab-1',
+    }));
+    expect(mockFetch).not.toHaveBeenCalled();
+  });
+
+  it('should return password-protected content, which is encrypted, after claiming a view', async () => {
     const mockSharedData = {
       id: 1,
       accessId: 'test-access-id',
@@ -230,14 +319,8 @@ describe('IPFS API Handler', () => {
 
     await handler(req as NextApiRequest, res as NextApiResponse);
 
-    expect(res.status).toHaveBeenCalledWith(200);
-    expect(res.json).toHaveBeenCalledWith({
-      accessId: mockSharedData.accessId,
-      ipfsCid: mockSharedData.ipfsCid,
-      hasPassword: true,
-      expiryTime: mockSharedData.expiryTime,
-      message: 'This content is password protected. Please use the password to decrypt it.',
-    });
+    expect(claimShareView).toHaveBeenCalled();
+    expect(res.json).not.toHaveBeenCalledWith(expect.objectContaining({ hasPassword: true }));
   });
 
   it('should handle errors when fetching from IPFS gateways', async () => {
@@ -0,0 +1,98 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for streaming large content from GET /api/ipfs
+ */
+
+import { EventEmitter } from 'events';
+import { NextApiRequest, NextApiResponse } from 'next';
+import handler from '@/pages/api/ipfs/index';
+
+jest.mock('next-auth/next', () => ({
+  getServerSession: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('@/lib/auth', () => ({
+  authOptions: {},
+}));
+
+jest.mock('@/lib/prisma', () => ({
+  prisma: {
+    sharedMedicalData: {
+      findMany: jest.fn().mockResolvedValue([]),
+    },
+  },
+}));
+
+const mockStorage = {
+  stream: jest.fn(),
+};
+
+jest.mock('@/lib/storage', () => ({
+  ...jest.requireActual('@/lib/storage'),
+  getStorageProvider: () => mockStorage,
+}));
+
+const cid = 'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e';
+
+// A response whose buffer is always full: every write waits for a drain
+function createSlowResponse() {
+  const res = Object.assign(new EventEmitter(), {
+    destroyed: false,
+    chunks: [] as Buffer[],
+    setHeader: jest.fn(),
+    status: jest.fn(),
+    end: jest.fn(),
+    destroy: jest.fn(),
+    write: jest.fn((chunk: Buffer) => {
+      res.chunks.push(chunk);
+      setImmediate(() => res.emit('drain'));
+      return false;
+    }),
+  });
+  res.status.mockReturnValue(res);
+  return res;
+}
+
+async function* createBody(count: number) {
+  for (let i = 0; i < count; i++) {
+    yield Buffer.from([i]);
+  }
+}
+
+describe('GET /api/ipfs streaming', () => {
+  it('waits for each drain without leaving listeners on the response', async () => {
+    mockStorage.stream.mockResolvedValue({ contentType: 'application/octet-stream', body: createBody(50) });
+    const res = createSlowResponse();
+    const warning = jest.fn();
+    process.on('warning', warning);
+
+    await handler({ method: 'GET', query: { cid } } as unknown as NextApiRequest, res as unknown as NextApiResponse);
+    process.off('warning', warning);
+
+    expect(res.chunks).toHaveLength(50);
+    expect(res.end).toHaveBeenCalled();
+    expect(res.listenerCount('close')).toBe(0);
+    expect(res.listenerCount('drain')).toBe(0);
+    expect(warning).not.toHaveBeenCalled();
+  });
+
+  it('stops reading when the client goes away', async () => {
+    mockStorage.stream.mockResolvedValue({ contentType: 'application/octet-stream', body: createBody(50) });
+    const res = createSlowResponse();
+    res.write.mockImplementation((chunk: Buffer) => {
+      res.chunks.push(chunk);
+      setImmediate(() => {
+        res.destroyed = true;
+        res.emit('close');
+      });
+      return false;
+    });
+
+    await handler({ method: 'GET', query: { cid } } as unknown as NextApiRequest, res as unknown as NextApiResponse);
+
+    expect(res.chunks).toHaveLength(1);
+    expect(res.end).not.toHaveBeenCalled();
+    expect(res.listenerCount('drain')).toBe(0);
+  });
+});
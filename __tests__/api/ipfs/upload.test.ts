@@ -0,0 +1,111 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for storing share payloads through POST /api/ipfs/upload
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import handler from '@/pages/api/ipfs/upload';
+
+jest.mock('next-auth/next', () => ({
+  getServerSession: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('@/lib/auth', () => ({
+  authOptions: {},
+}));
+
+const mockStorage = {
+  driver: 'filesystem',
+  isConfigured: jest.fn(),
+  put: jest.fn(),
+};
+
+jest.mock('@/lib/storage', () => ({
+  ...jest.requireActual('@/lib/storage'),
+  getStorageProvider: () => mockStorage,
+}));
+
+const wallet = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const cid = 'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e';
+
+const mockGetServerSession = getServerSession as jest.Mock;
+
+function createMocks(method: string, body?: any, headers: Record<string, string> = {}) {
+  const req = { method, headers, body } as unknown as NextApiRequest;
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(),
+    setHeader: jest.fn(),
+  } as unknown as NextApiResponse;
+  return { req, res };
+}
+
+describe('/api/ipfs/upload', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockStorage.isConfigured.mockReturnValue(true);
+    mockStorage.put.mockResolvedValue(cid);
+    mockGetServerSession.mockResolvedValue({ user: { id: 'user-1', ethereumAddress: wallet } });
+  });
+
+  it('requires a session', async () => {
+    mockGetServerSession.mockResolvedValue(null);
+    const { req, res } = createMocks('POST', { data: {} });
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(mockStorage.put).not.toHaveBeenCalled();
+  });
+
+  it('does not take a wallet address header for a session', async () => {
+    mockGetServerSession.mockResolvedValue(null);
+    const { req, res } = createMocks('POST', { data: {} }, { 'x-wallet-address': wallet });
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(mockStorage.put).not.toHaveBeenCalled();
+  });
+
+  it('reports the configured driver', async () => {
+    const { req, res } = createMocks('GET');
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ driver: 'filesystem', configured: true });
+  });
+
+  it('stores the payload as JSON and returns its CID', async () => {
+    const { req, res } = createMocks('POST', { data: { version: 1 }, name: 'Patient-1-Data' });
+
+    await handler(req, res);
+
+    expect(mockStorage.put).toHaveBeenCalledWith('{"version":1}', { name: 'Patient-1-Data', contentType: 'application/json' });
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith({ cid, driver: 'filesystem' });
+  });
+
+  it('returns 503 when the driver is not configured', async () => {
+    mockStorage.isConfigured.mockReturnValue(false);
+    const { req, res } = createMocks('POST', { data: 'payload' });
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(mockStorage.put).not.toHaveBeenCalled();
+  });
+
+  it('passes on the status of storage errors', async () => {
+    const { StorageError } = jest.requireActual('@/lib/storage');
+    mockStorage.put.mockRejectedValue(new StorageError(502, 'Pinata upload failed'));
+    const { req, res } = createMocks('POST', { data: 'payload' });
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(502);
+  });
+});
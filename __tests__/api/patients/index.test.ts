@@ -0,0 +1,183 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for listing and creating patients through /api/patients
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import handler from '@/pages/api/patients';
+import { prisma } from '@/lib/prisma';
+
+jest.mock('next-auth/next', () => ({
+  getServerSession: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('@/lib/auth', () => ({
+  authOptions: {},
+}));
+
+jest.mock('@/lib/prisma', () => ({
+  prisma: {
+    patient: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      count: jest.fn(),
+      create: jest.fn(),
+    },
+    resourceVersion: {
+      create: jest.fn(),
+    },
+  },
+}));
+
+const mockPrisma = prisma as any;
+const mockGetServerSession = getServerSession as jest.Mock;
+
+const patient = {
+  id: 'c6f1b0e2-6f8e-4c57-a7d4-2f0d7d4b8a11',
+  patientId: 'PAT-000001',
+  name: 'Jane Doe',
+  dob: '1990-04-01',
+  gender: 'female',
+  phone: null,
+  email: null,
+  address: null,
+  versionId: 1,
+  createdAt: new Date('2026-10-01T09:00:00Z'),
+  updatedAt: new Date('2026-10-01T09:00:00Z'),
+};
+
+function createMocks(method: string, { query = {}, body }: { query?: Record<string, string>; body?: unknown } = {}) {
+  const req = { method, query, body, headers: {} } as unknown as NextApiRequest;
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(),
+    setHeader: jest.fn(),
+  } as unknown as NextApiResponse;
+  return { req, res };
+}
+
+const signInAs = (role: string) =>
+  mockGetServerSession.mockResolvedValue({ user: { id: 'user-1', name: 'Staff', email: 'staff@example.com', role } });
+
+describe('/api/patients', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetServerSession.mockResolvedValue(null);
+    mockPrisma.patient.findUnique.mockResolvedValue(null);
+    mockPrisma.patient.count.mockResolvedValue(0);
+    mockPrisma.resourceVersion.create.mockResolvedValue({});
+  });
+
+  it('requires a session', async () => {
+    const { req, res } = createMocks('GET');
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(mockPrisma.patient.findMany).not.toHaveBeenCalled();
+  });
+
+  it('does not serve patient accounts', async () => {
+    signInAs('PATIENT');
+    const { req, res } = createMocks('GET');
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('lists patients with their last visit and the total count', async () => {
+    signInAs('STAFF');
+    mockPrisma.patient.findMany.mockResolvedValue([{ ...patient, visits: [{ date: new Date('2026-10-10T14:00:00Z') }] }]);
+    mockPrisma.patient.count.mockResolvedValue(42);
+
+    const { req, res } = createMocks('GET', { query: { q: 'Jane', limit: '10' } });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.setHeader).toHaveBeenCalledWith('X-Total-Count', '42');
+    const [listed] = (res.json as jest.Mock).mock.calls[0][0];
+    expect(listed.lastVisit).toEqual(new Date('2026-10-10T14:00:00Z'));
+    expect(listed.visits).toBeUndefined();
+    expect(mockPrisma.patient.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { OR: [{ name: { contains: 'Jane' } }, { patientId: { contains: 'Jane' } }] },
+      take: 10,
+    }));
+  });
+
+  it('reports invalid query parameters', async () => {
+    signInAs('DOCTOR');
+    const { req, res } = createMocks('GET', { query: { limit: 'all' } });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it('creates a patient with the id it was given offline and records its FHIR version', async () => {
+    signInAs('STAFF');
+    mockPrisma.patient.create.mockImplementation(({ data }: any) => Promise.resolve({ ...patient, ...data, visits: [] }));
+
+    const { req, res } = createMocks('POST', {
+      body: { id: patient.id, patientId: 'PAT-1000', name: 'Jane Doe', dob: '1990-04-01', gender: 'female' },
+    });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.setHeader).toHaveBeenCalledWith('Location', `/api/patients/${patient.id}`);
+    expect(mockPrisma.patient.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: { id: patient.id, patientId: 'PAT-1000', name: 'Jane Doe', dob: '1990-04-01', gender: 'female' },
+    }));
+    expect(mockPrisma.resourceVersion.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ resourceType: 'Patient', resourceId: patient.id, method: 'POST' }),
+    });
+    expect((res.json as jest.Mock).mock.calls[0][0].lastVisit).toBeNull();
+  });
+
+  it('numbers the patient when the offline patientId is taken', async () => {
+    signInAs('ADMIN');
+    mockPrisma.patient.findUnique.mockImplementation(({ where }: any) =>
+      Promise.resolve(where.patientId === 'PAT-1000' ? { ...patient, id: 'other', patientId: 'PAT-1000' } : null));
+    mockPrisma.patient.count.mockResolvedValue(7);
+    mockPrisma.patient.create.mockImplementation(({ data }: any) => Promise.resolve({ ...patient, ...data }));
+
+    const { req, res } = createMocks('POST', {
+      body: { patientId: 'PAT-1000', name: 'Jane Doe', dob: '1990-04-01', gender: 'female' },
+    });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(mockPrisma.patient.create.mock.calls[0][0].data.patientId).toBe('PAT-000008');
+  });
+
+  it('returns the existing record when an offline create is replayed', async () => {
+    signInAs('STAFF');
+    mockPrisma.patient.findUnique.mockImplementation(({ where }: any) =>
+      Promise.resolve(where.id === patient.id ? { ...patient, visits: [] } : null));
+
+    const { req, res } = createMocks('POST', {
+      body: { id: patient.id, name: 'Jane Doe', dob: '1990-04-01', gender: 'female' },
+    });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ record: expect.objectContaining({ id: patient.id }) }));
+    expect(mockPrisma.patient.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects patients without the required fields', async () => {
+    signInAs('STAFF');
+    const { req, res } = createMocks('POST', { body: { name: 'Jane Doe' } });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'dob is required' });
+  });
+
+  it('rejects other methods', async () => {
+    signInAs('STAFF');
+    const { req, res } = createMocks('DELETE');
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(405);
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for revoking shares through PUT /api/shared-data/[id]
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { ethers } from 'ethers';
+import { getServerSession } from 'next-auth/next';
+import handler from '@/pages/api/shared-data/[id]';
+import { prisma } from '@/lib/prisma';
+import { appendAuditEntry } from '@/lib/audit-log';
+import { connectFHIRAccessControl } from '@/lib/web3/generated/FHIRAccessControl';
+
+jest.mock('next-auth/next', () => ({
+  getServerSession: jest.fn(),
+}));
+
+jest.mock('@/lib/auth', () => ({
+  authOptions: {},
+}));
+
+jest.mock('@/lib/prisma', () => ({
+  prisma: {
+    sharedMedicalData: {
+      findUnique: jest.fn(),
+      update: jest.fn(),
+      count: jest.fn(),
+    },
+  },
+}));
+
+const mockStorage = {
+  isConfigured: jest.fn(),
+  unpin: jest.fn(),
+};
+
+jest.mock('@/lib/storage', () => ({
+  getStorageProvider: () => mockStorage,
+}));
+
+jest.mock('@/lib/audit-log', () => ({
+  appendAuditEntry: jest.fn(),
+}));
+
+const mockPrisma = prisma as any;
+const mockGetServerSession = getServerSession as jest.Mock;
+
+const owner = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const txHash = '0x' + 'ab'.repeat(32);
+const contractAddress = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+const share = {
+  id: 'share-1',
+  accessId: '0x' + '12'.repeat(32),
+  ipfsCid: 'bafkreigh2akiscaildcqabsyg3dfr6chu3fgpregiymsck7e7aqa4s52zy',
+  userId: owner,
+  isActive: true,
+  revocationTxHash: null,
+};
+
+// A mined receipt holding a FHIRAccessRevoked log emitted by `address`
+function revocationReceipt(accessId: string, address = contractAddress) {
+  const log = connectFHIRAccessControl(address).interface.encodeEventLog('FHIRAccessRevoked', [accessId, owner]);
+  return { status: 1, logs: [{ address, ...log }] };
+}
+
+function createMocks(body: any, wallet: string | null = owner, headers: Record<string, string> = {}) {
+  mockGetServerSession.mockResolvedValue(wallet ? { user: { id: 'user-1', role: 'PATIENT', ethereumAddress: wallet } } : null);
+  const req = {
+    method: 'PUT',
+    query: { id: share.id },
+    headers,
+    body,
+  } as unknown as NextApiRequest;
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(),
+  } as unknown as NextApiResponse;
+  return { req, res };
+}
+
+describe('PUT /api/shared-data/[id]', () => {
+  let getTransactionReceipt: jest.SpyInstance;
+
+  beforeAll(() => {
+    process.env.FHIR_INDEXER_CONTRACT_ADDRESS = contractAddress;
+  });
+
+  afterAll(() => {
+    delete process.env.FHIR_INDEXER_CONTRACT_ADDRESS;
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    getTransactionReceipt = jest.spyOn(ethers.JsonRpcProvider.prototype, 'getTransactionReceipt')
+      .mockResolvedValue(revocationReceipt(share.accessId) as any);
+    mockPrisma.sharedMedicalData.findUnique.mockResolvedValue(share);
+    mockPrisma.sharedMedicalData.update.mockImplementation(({ data }: any) => Promise.resolve({ ...share, ...data }));
+    mockPrisma.sharedMedicalData.count.mockResolvedValue(0);
+    mockStorage.isConfigured.mockReturnValue(true);
+    mockStorage.unpin.mockResolvedValue(true);
+  });
+
+  it('records the revocation time and transaction', async () => {
+    const { req, res } = createMocks({ isActive: false, revocationTxHash: txHash });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(getTransactionReceipt).toHaveBeenCalledWith(txHash);
+    const data = mockPrisma.sharedMedicalData.update.mock.calls[0][0].data;
+    expect(data).toMatchObject({ isActive: false, revocationTxHash: txHash });
+    expect(data.revokedAt).toBeInstanceOf(Date);
+    expect(mockStorage.unpin).not.toHaveBeenCalled();
+    expect(appendAuditEntry).toHaveBeenCalledWith(mockPrisma, owner, 'share.revoked', expect.objectContaining({
+      accessId: share.accessId,
+      revocationTxHash: txHash,
+    }));
+  });
+
+  it('rejects malformed transaction hashes and other owners', async () => {
+    let mocks = createMocks({ isActive: false, revocationTxHash: '0x1234' });
+    await handler(mocks.req, mocks.res);
+    expect(mocks.res.status).toHaveBeenCalledWith(400);
+
+    mocks = createMocks({ isActive: false }, '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc');
+    await handler(mocks.req, mocks.res);
+    expect(mocks.res.status).toHaveBeenCalledWith(403);
+    expect(mockPrisma.sharedMedicalData.update).not.toHaveBeenCalled();
+  });
+
+  it('does not take the owner from the x-wallet-address header', async () => {
+    const { req, res } = createMocks({ isActive: false, unpin: true }, null, { 'x-wallet-address': owner });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(mockPrisma.sharedMedicalData.update).not.toHaveBeenCalled();
+    expect(mockStorage.unpin).not.toHaveBeenCalled();
+  });
+
+  it('rejects transactions that did not revoke the share on chain', async () => {
+    for (const receipt of [
+      null,
+      revocationReceipt('0x' + '34'.repeat(32)),
+      revocationReceipt(share.accessId, '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc'),
+      { ...revocationReceipt(share.accessId), status: 0 },
+    ]) {
+      getTransactionReceipt.mockResolvedValueOnce(receipt as any);
+
+      const { req, res } = createMocks({ isActive: false, revocationTxHash: txHash });
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'The transaction did not revoke this share on chain' });
+    }
+    expect(mockPrisma.sharedMedicalData.update).not.toHaveBeenCalled();
+  });
+
+  it('does not reactivate shares revoked on chain', async () => {
+    mockPrisma.sharedMedicalData.findUnique.mockResolvedValue({ ...share, isActive: false, revocationTxHash: txHash });
+
+    const { req, res } = createMocks({ isActive: true });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it('does not reactivate shares whose data was unpinned', async () => {
+    mockPrisma.sharedMedicalData.findUnique.mockResolvedValue({ ...share, isActive: false, unpinnedAt: new Date() });
+
+    const { req, res } = createMocks({ isActive: true, expiryTime: '2026-06-01T00:00:00Z' });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(mockPrisma.sharedMedicalData.update).not.toHaveBeenCalled();
+  });
+
+  it('unpins the CID when asked', async () => {
+    const { req, res } = createMocks({ isActive: false, unpin: true });
+    await handler(req, res);
+
+    expect(mockStorage.unpin).toHaveBeenCalledWith(share.ipfsCid);
+    expect(mockPrisma.sharedMedicalData.update).toHaveBeenLastCalledWith({
+      where: { id: share.id },
+      data: { unpinnedAt: expect.any(Date) },
+    });
+    expect((res.json as jest.Mock).mock.calls[0][0]).toMatchObject({ unpinStatus: 'unpinned' });
+  });
+
+  it('keeps the CID pinned while another active share uses it', async () => {
+    mockPrisma.sharedMedicalData.count.mockResolvedValue(1);
+
+    const { req, res } = createMocks({ isActive: false, unpin: true });
+    await handler(req, res);
+
+    expect(mockStorage.unpin).not.toHaveBeenCalled();
+    expect((res.json as jest.Mock).mock.calls[0][0]).toMatchObject({ unpinStatus: 'still-shared' });
+  });
+});
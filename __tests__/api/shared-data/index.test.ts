@@ -27,6 +27,22 @@ describe('Shared Data API', () => {
       findMany: jest.fn(),
       create: jest.fn(),
     },
+    consent: {
+      findMany: jest.fn(),
+    },
+  };
+
+  const share = {
+    accessId: 'access-1',
+    ipfsCid: 'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e',
+    expiryTime: '2026-11-01T00:00:00Z',
+    resourceTypes: ['Condition'],
+  };
+
+  // A fresh handler, so it is built with the mocked Prisma client
+  const loadHandler = () => {
+    require('next-auth/next').getServerSession.mockResolvedValue({ user: { ethereumAddress: '0x123' } });
+    return require('../../../pages/api/shared-data/index').default;
   };
 
   beforeEach(() => {
@@ -92,4 +108,36 @@ describe('Shared Data API', () => {
     expect(res.status).toHaveBeenCalledWith(400);
     expect(res.json).toHaveBeenCalledWith({ error: 'Missing required fields' });
   });
+
+  it('should require the patient whose consents are checked', async () => {
+    req.method = 'POST';
+    req.body = share;
+
+    await loadHandler()(req as NextApiRequest, res as NextApiResponse);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockPrisma.sharedMedicalData.create).not.toHaveBeenCalled();
+  });
+
+  it('should refuse a share the patient\'s consents deny before storing it', async () => {
+    mockPrisma.consent.findMany.mockResolvedValue([{
+      id: 'consent-1',
+      patientId: 'pat-123',
+      status: 'active',
+      provisionType: 'deny',
+      actor: null,
+      purposes: 'TREAT',
+      categories: 'Condition',
+      periodStart: null,
+      periodEnd: null,
+    }]);
+    req.method = 'POST';
+    req.body = { ...share, patientId: 'pat-123' };
+
+    await loadHandler()(req as NextApiRequest, res as NextApiResponse);
+
+    expect(mockPrisma.consent.findMany).toHaveBeenCalledWith({ where: { patientId: 'pat-123', status: 'active' } });
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(mockPrisma.sharedMedicalData.create).not.toHaveBeenCalled();
+  });
 });
@@ -0,0 +1,262 @@
+/**
+ * @jest-environment node
+ *
+ * Integration tests for OpenID4VP presentation requests and the direct_post response endpoint
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { ethers } from 'ethers';
+import requestsHandler from '@/pages/api/shared-data/presentation-requests/index';
+import statusHandler from '@/pages/api/shared-data/presentation-requests/[id]';
+import responseHandler from '@/pages/api/shared-data/presentation-response';
+import { PrismaClient } from '@prisma/client';
+import {
+  appendKeyBinding,
+  createKeyBindingInput,
+  getEthereumDid,
+  issueHealthRecordCredential,
+  selectDisclosures,
+} from '@/lib/web3/credentials';
+import { PRESENTATION_TEMPLATES, createPresentationSubmission, hashPollToken } from '@/lib/web3/presentation';
+
+// Mock Prisma
+jest.mock('@prisma/client', () => {
+  const mockPrisma = {
+    presentationRequest: {
+      create: jest.fn(),
+      findUnique: jest.fn(),
+      update: jest.fn(),
+    },
+  };
+
+  return {
+    PrismaClient: jest.fn(() => mockPrisma),
+  };
+});
+
+const mockPrisma = new PrismaClient() as any;
+
+const ISSUER_KEY = '0x0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef';
+const holderWallet = new ethers.Wallet('0xfedcba9876543210fedcba9876543210fedcba9876543210fedcba9876543210');
+const HOLDER = getEthereumDid(holderWallet.address, 137);
+const RESPONSE_URI = 'http://localhost:3000/api/shared-data/presentation-response';
+
+const definition = PRESENTATION_TEMPLATES['patient-demographics'].build(new Date());
+
+const storedRequest = {
+  id: 'req-1',
+  state: 'state-1',
+  nonce: 'nonce-1',
+  verifierName: 'Demo Clinic',
+  presentationDefinition: JSON.stringify(definition),
+  status: 'pending',
+  createdAt: new Date(),
+  expiresAt: new Date(Date.now() + 600000),
+};
+
+// Helper to create mock request and response
+function createMocks(method: string, body: any = {}, query: any = {}, headers: Record<string, string> = {}) {
+  const req: Partial<NextApiRequest> = {
+    method,
+    query,
+    body,
+    headers: {
+      host: 'localhost:3000',
+      ...headers,
+    },
+  };
+
+  const res: Partial<NextApiResponse> = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(),
+    setHeader: jest.fn(),
+  };
+
+  return { req: req as NextApiRequest, res: res as NextApiResponse };
+}
+
+function createVpToken(nonce: string) {
+  const issued = issueHealthRecordCredential(ISSUER_KEY, {
+    bundle: {
+      resourceType: 'Bundle',
+      type: 'collection',
+      entry: [
+        { resource: { resourceType: 'Patient', id: 'pat-1' } as any },
+        { resource: { resourceType: 'Condition', id: 'cond-1' } as any },
+      ],
+    },
+    holder: HOLDER,
+    format: 'sd_jwt_vc',
+  }, 137);
+  const presentation = selectDisclosures(issued.credential, { entries: ['Patient/pat-1'] });
+  const signingInput = createKeyBindingInput(presentation, { audience: RESPONSE_URI, nonce });
+  return appendKeyBinding(presentation, signingInput, holderWallet.signMessageSync(signingInput));
+}
+
+describe('Presentation Requests API', () => {
+  const originalIssuerKey = process.env.CREDENTIAL_ISSUER_PRIVATE_KEY;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.CREDENTIAL_ISSUER_PRIVATE_KEY = ISSUER_KEY;
+  });
+
+  afterAll(() => {
+    process.env.CREDENTIAL_ISSUER_PRIVATE_KEY = originalIssuerKey;
+  });
+
+  describe('POST /api/shared-data/presentation-requests', () => {
+    it('should create a request from a template', async () => {
+      mockPrisma.presentationRequest.create.mockImplementation(({ data }) => Promise.resolve({ id: 'req-1', ...data }));
+      const { req, res } = createMocks('POST', { template: 'patient-observations-12m', verifierName: 'Demo Clinic' });
+
+      await requestsHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      const data = mockPrisma.presentationRequest.create.mock.calls[0][0].data;
+      expect(JSON.parse(data.presentationDefinition).id).toBe('patient-observations-12m');
+      expect(data.nonce).toMatch(/^[0-9a-f]{32}$/);
+
+      const body = (res.json as jest.Mock).mock.calls[0][0];
+      expect(body.id).toBe('req-1');
+      expect(body.pollToken).toMatch(/^[0-9a-f]{32}$/);
+      expect(data.pollTokenHash).toBe(hashPollToken(body.pollToken));
+      expect(data).not.toHaveProperty('pollToken');
+      expect(body.requestUri).toBe(`http://localhost:3000/api/shared-data/presentation-requests?state=${data.state}`);
+      expect(body.authorizationRequestUrl).toContain('openid4vp://?client_id=');
+      expect(body.walletUrl).toContain('/patient/presentation?request_uri=');
+    });
+
+    it('should reject unknown templates', async () => {
+      const { req, res } = createMocks('POST', { template: 'everything' });
+
+      await requestsHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockPrisma.presentationRequest.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/shared-data/presentation-requests', () => {
+    it('should return the authorization request for the wallet', async () => {
+      mockPrisma.presentationRequest.findUnique.mockResolvedValue(storedRequest);
+      const { req, res } = createMocks('GET', {}, { state: 'state-1' });
+
+      await requestsHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        response_type: 'vp_token',
+        response_mode: 'direct_post',
+        client_id: RESPONSE_URI,
+        nonce: 'nonce-1',
+        state: 'state-1',
+        presentation_definition: definition,
+      }));
+    });
+
+    it('should return 410 for answered requests', async () => {
+      mockPrisma.presentationRequest.findUnique.mockResolvedValue({ ...storedRequest, status: 'submitted' });
+      const { req, res } = createMocks('GET', {}, { state: 'state-1' });
+
+      await requestsHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(410);
+    });
+  });
+
+  describe('POST /api/shared-data/presentation-response', () => {
+    it('should verify and store a valid presentation', async () => {
+      mockPrisma.presentationRequest.findUnique.mockResolvedValue(storedRequest);
+      const { req, res } = createMocks('POST', {
+        state: 'state-1',
+        vp_token: createVpToken('nonce-1'),
+        presentation_submission: JSON.stringify(createPresentationSubmission(definition, 'sub-1')),
+      });
+
+      await responseHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const data = mockPrisma.presentationRequest.update.mock.calls[0][0].data;
+      expect(data.status).toBe('submitted');
+      expect(data.holder).toBe(HOLDER);
+      expect(JSON.parse(data.verificationResult)).toMatchObject({ valid: true, undisclosedEntries: 1 });
+    });
+
+    it('should reject a presentation bound to another nonce', async () => {
+      mockPrisma.presentationRequest.findUnique.mockResolvedValue(storedRequest);
+      const { req, res } = createMocks('POST', {
+        state: 'state-1',
+        vp_token: createVpToken('other-nonce'),
+        presentation_submission: JSON.stringify(createPresentationSubmission(definition, 'sub-1')),
+      });
+
+      await responseHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'invalid_presentation' }));
+      expect(mockPrisma.presentationRequest.update.mock.calls[0][0].data.status).toBe('rejected');
+    });
+
+    it('should refuse to verify presentations when no issuer is configured', async () => {
+      delete process.env.CREDENTIAL_ISSUER_PRIVATE_KEY;
+      mockPrisma.presentationRequest.findUnique.mockResolvedValue(storedRequest);
+      const { req, res } = createMocks('POST', {
+        state: 'state-1',
+        vp_token: createVpToken('nonce-1'),
+        presentation_submission: JSON.stringify(createPresentationSubmission(definition, 'sub-1')),
+      });
+
+      await responseHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(mockPrisma.presentationRequest.update).not.toHaveBeenCalled();
+    });
+
+    it('should record a declined request', async () => {
+      mockPrisma.presentationRequest.findUnique.mockResolvedValue(storedRequest);
+      const { req, res } = createMocks('POST', { state: 'state-1', error: 'access_denied' });
+
+      await responseHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(mockPrisma.presentationRequest.update.mock.calls[0][0].data.status).toBe('declined');
+    });
+  });
+
+  describe('GET /api/shared-data/presentation-requests/[id]', () => {
+    const answeredRequest = {
+      ...storedRequest,
+      status: 'submitted',
+      holder: HOLDER,
+      pollTokenHash: hashPollToken('poll-token-1'),
+      verificationResult: JSON.stringify({ valid: true, errors: [] }),
+    };
+
+    it('should report the verification result to the verifier', async () => {
+      mockPrisma.presentationRequest.findUnique.mockResolvedValue(answeredRequest);
+      const { req, res } = createMocks('GET', {}, { id: 'req-1' }, { authorization: 'Bearer poll-token-1' });
+
+      await statusHandler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'submitted',
+        holder: HOLDER,
+        result: { valid: true, errors: [] },
+      }));
+    });
+
+    it('should not report the result without the poll token', async () => {
+      mockPrisma.presentationRequest.findUnique.mockResolvedValue(answeredRequest);
+
+      for (const headers of [{}, { authorization: 'Bearer guessed' }]) {
+        const { req, res } = createMocks('GET', {}, { id: 'req-1' }, headers);
+        await statusHandler(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith({ error: 'Poll token required' });
+      }
+    });
+  });
+});
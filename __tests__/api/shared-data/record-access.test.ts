@@ -0,0 +1,149 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for recording access events through POST /api/shared-data/record-access
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import handler from '@/pages/api/shared-data/record-access';
+import { prisma } from '@/lib/prisma';
+import { getServerSession } from 'next-auth/next';
+import { appendAuditEntry } from '@/lib/audit-log';
+
+jest.mock('next-auth/next', () => ({
+  getServerSession: jest.fn(),
+}));
+
+jest.mock('@/lib/auth', () => ({
+  authOptions: {},
+}));
+
+jest.mock('@/lib/prisma', () => ({
+  prisma: {
+    sharedMedicalData: {
+      findFirst: jest.fn(),
+      update: jest.fn(),
+    },
+    accessEvent: {
+      create: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('@/lib/audit-log', () => ({
+  appendAuditEntry: jest.fn(),
+}));
+
+const mockPrisma = prisma as any;
+const mockGetServerSession = getServerSession as jest.Mock;
+
+const owner = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const viewer = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+const share = {
+  id: 'share-1',
+  accessId: '0x' + '12'.repeat(32),
+  userId: owner,
+  expiryTime: new Date(Date.now() + 60 * 60 * 1000),
+  isActive: true,
+  accessCount: 2,
+  maxViews: null,
+};
+
+function createMocks(body: any) {
+  const req = {
+    method: 'POST',
+    headers: { 'x-forwarded-for': '203.0.113.7, 10.0.0.1', 'user-agent': 'Mozilla/5.0' },
+    socket: { remoteAddress: '10.0.0.1' },
+    body,
+  } as unknown as NextApiRequest;
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(),
+  } as unknown as NextApiResponse;
+  return { req, res };
+}
+
+describe('POST /api/shared-data/record-access', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetServerSession.mockResolvedValue(null);
+    mockPrisma.sharedMedicalData.findFirst.mockResolvedValue(share);
+    mockPrisma.accessEvent.create.mockImplementation(({ data }: any) => Promise.resolve({ id: 'event-1', ...data }));
+  });
+
+  it('stores who failed to open the share', async () => {
+    const { req, res } = createMocks({
+      accessId: share.accessId,
+      outcome: 'not_grantee',
+      viewerAddress: viewer,
+      sessionId: 'tab-1',
+    });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ success: true });
+    expect(mockPrisma.accessEvent.create).toHaveBeenCalledWith({
+      data: {
+        sharedDataId: share.id,
+        ownerId: owner,
+        viewerAddress: viewer.toLowerCase(),
+        viewerSession: 'tab-1',
+        ipAddress: '203.0.113.7',
+        userAgent: 'Mozilla/5.0',
+        outcome: 'not_grantee',
+        resourceTypes: null,
+      },
+    });
+    expect(appendAuditEntry).toHaveBeenCalledWith(mockPrisma, owner, 'access', expect.objectContaining({
+      accessEventId: 'event-1',
+      accessId: share.accessId,
+      outcome: 'not_grantee',
+    }));
+  });
+
+  it('logs wrong passwords without counting a view and prefers the signed-in user', async () => {
+    mockGetServerSession.mockResolvedValue({ user: { id: 'user-9' } });
+
+    const { req, res } = createMocks({ accessId: share.accessId, outcome: 'wrong_password', sessionId: 'tab-1' });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(mockPrisma.sharedMedicalData.update).not.toHaveBeenCalled();
+    expect(mockPrisma.accessEvent.create.mock.calls[0][0].data).toMatchObject({
+      outcome: 'wrong_password',
+      viewerSession: 'user-9',
+      viewerAddress: null,
+    });
+  });
+
+  it('logs attempts on expired or revoked shares as expired', async () => {
+    mockPrisma.sharedMedicalData.findFirst.mockResolvedValue({ ...share, isActive: false });
+
+    const { req, res } = createMocks({ accessId: share.accessId, outcome: 'wrong_password' });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(mockPrisma.accessEvent.create.mock.calls[0][0].data.outcome).toBe('expired');
+    expect(mockPrisma.sharedMedicalData.update).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown outcomes', async () => {
+    const { req, res } = createMocks({ accessId: share.accessId, outcome: 'hacked' });
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(mockPrisma.accessEvent.create).not.toHaveBeenCalled();
+  });
+
+  it('leaves views to /api/ipfs, so a caller cannot use up a share\'s views', async () => {
+    for (const outcome of [undefined, 'granted', 'view_limit']) {
+      const { req, res } = createMocks({ accessId: share.accessId, outcome });
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    }
+    expect(mockPrisma.accessEvent.create).not.toHaveBeenCalled();
+    expect(mockPrisma.sharedMedicalData.update).not.toHaveBeenCalled();
+  });
+});
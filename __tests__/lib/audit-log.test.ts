@@ -0,0 +1,132 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for the hash-chained audit log and its Merkle anchoring
+ */
+
+import { ethers } from 'ethers';
+import {
+  GENESIS_HASH,
+  appendAuditEntry,
+  getAuditLeafHash,
+  getMerkleProof,
+  getMerkleRoot,
+  hashAuditEntry,
+  verifyAuditAnchor,
+  verifyAuditChain,
+  verifyMerkleProof,
+} from '@/lib/audit-log';
+
+const owner = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+
+// Prisma stand-in keeping audit entries in an array
+function createPrisma() {
+  const entries: any[] = [];
+  const prisma: any = {
+    entries,
+    auditEntry: {
+      findFirst: async ({ where }: any) =>
+        entries.filter(entry => entry.ownerId === where.ownerId).sort((a, b) => b.sequence - a.sequence)[0] || null,
+      create: async ({ data }: any) => {
+        if (entries.some(entry => entry.ownerId === data.ownerId && entry.sequence === data.sequence)) {
+          throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+        }
+        entries.push({ id: `entry-${entries.length + 1}`, ...data });
+        return entries[entries.length - 1];
+      },
+    },
+    $transaction: (operation: any) => operation(prisma),
+  };
+  return prisma;
+}
+
+async function createChain(length = 3) {
+  const prisma = createPrisma();
+  for (let i = 0; i < length; i++) {
+    // Chains are keyed by the lowercased address
+    await appendAuditEntry(prisma, ethers.getAddress(owner), 'access', { accessId: `share-${i}`, outcome: 'granted' });
+  }
+  return prisma.entries;
+}
+
+describe('audit chain', () => {
+  it('links each entry to the previous one', async () => {
+    const entries = await createChain();
+
+    expect(entries.map((entry: any) => entry.sequence)).toEqual([1, 2, 3]);
+    expect(entries[0]).toMatchObject({ ownerId: owner, prevHash: GENESIS_HASH });
+    expect(entries[1].prevHash).toBe(entries[0].hash);
+    expect(entries[2].hash).toBe(hashAuditEntry(entries[2]));
+    expect(verifyAuditChain(entries)).toEqual({
+      valid: true,
+      entries: 3,
+      head: { sequence: 3, hash: entries[2].hash },
+      breaks: [],
+    });
+  });
+
+  it('detects edited and removed entries', async () => {
+    const edited = await createChain();
+    edited[1] = { ...edited[1], details: JSON.stringify({ accessId: 'share-1', outcome: 'wrong_password' }) };
+    expect(verifyAuditChain(edited).breaks).toEqual([{ sequence: 2, reason: 'hash-mismatch' }]);
+
+    const removed = await createChain();
+    removed.splice(1, 1);
+    expect(verifyAuditChain(removed).breaks).toEqual([
+      { sequence: 3, reason: 'sequence-gap' },
+      { sequence: 3, reason: 'prev-hash-mismatch' },
+    ]);
+  });
+
+  it('retries when another request appended first', async () => {
+    const prisma = createPrisma();
+    await appendAuditEntry(prisma, owner, 'share.created', { accessId: 'share-0' });
+
+    // The first attempt reads a stale head and collides with the existing entry
+    const findFirst = prisma.auditEntry.findFirst;
+    prisma.auditEntry.findFirst = jest.fn().mockResolvedValueOnce(null).mockImplementation(findFirst);
+
+    const entry = await appendAuditEntry(prisma, owner, 'share.revoked', { accessId: 'share-0' });
+    expect(entry.sequence).toBe(2);
+    expect(verifyAuditChain(prisma.entries).valid).toBe(true);
+  });
+});
+
+describe('Merkle anchoring', () => {
+  const leaves = ['a', 'b', 'c', 'd', 'e'].map((ownerId, i) => getAuditLeafHash({ ownerId, sequence: i + 1, hash: GENESIS_HASH }));
+
+  it('builds proofs for every leaf, including the odd one out', () => {
+    const root = getMerkleRoot(leaves);
+    leaves.forEach((leaf, index) => {
+      expect(verifyMerkleProof(leaf, getMerkleProof(leaves, index), root)).toBe(true);
+    });
+    expect(verifyMerkleProof(leaves[0], getMerkleProof(leaves, 1), root)).toBe(false);
+  });
+
+  it('catches chains cut short after they were anchored', async () => {
+    const entries = await createChain();
+    const anchoredLeaves = [
+      { ownerId: '0x1111111111111111111111111111111111111111', sequence: 7, hash: GENESIS_HASH },
+      { ownerId: owner, sequence: 3, hash: entries[2].hash },
+    ];
+    const anchor = {
+      root: getMerkleRoot(anchoredLeaves.map(getAuditLeafHash)),
+      leaves: JSON.stringify(anchoredLeaves),
+      transactionHash: '0x' + 'ab'.repeat(32),
+      blockNumber: 12,
+      anchoredAt: new Date(),
+    };
+
+    expect(verifyAuditAnchor(owner, entries, anchor)).toMatchObject({ anchor: { included: true }, breaks: [] });
+
+    // Dropping the newest entry still leaves a valid chain, but not the anchored one
+    const truncated = entries.slice(0, 2);
+    expect(verifyAuditChain(truncated).valid).toBe(true);
+    expect(verifyAuditAnchor(owner, truncated, anchor)).toMatchObject({
+      anchor: { included: false },
+      breaks: [{ sequence: 3, reason: 'anchored-entry-missing' }],
+    });
+
+    expect(verifyAuditAnchor('0x2222222222222222222222222222222222222222', entries, anchor)).toBeNull();
+  });
+});
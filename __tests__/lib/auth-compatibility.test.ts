@@ -0,0 +1,70 @@
+/**
+ * Tests for wallet logins unlocking the offline store
+ */
+
+import { ethers } from 'ethers';
+import { signIn } from 'next-auth/react';
+import { getWalletLoginMessage, getWalletVaultMessage, hybridWalletLogin, unlockWithWallet } from '@/lib/auth-compatibility';
+import { openOfflineVault } from '@/lib/vault/keys';
+
+jest.mock('uuid', () => ({ v4: () => 'id-1' }));
+
+jest.mock('@/lib/db', () => ({
+  db: jest.requireActual('./sync/memory-db').createMemoryDb(),
+}));
+
+jest.mock('next-auth/react', () => ({
+  signIn: jest.fn().mockResolvedValue({ ok: true }),
+  signOut: jest.fn(),
+}));
+
+jest.mock('@/lib/vault/keys', () => ({
+  openOfflineVault: jest.fn().mockResolvedValue(undefined),
+}));
+
+const wallet = new ethers.Wallet('0xfedcba9876543210fedcba9876543210fedcba9876543210fedcba9876543210');
+
+// An EIP-1193 provider backed by the test wallet
+const ethereum = {
+  request: jest.fn(async ({ method, params }: { method: string; params?: string[] }) => {
+    switch (method) {
+      case 'eth_chainId':
+        return '0x1';
+      case 'eth_accounts':
+      case 'eth_requestAccounts':
+        return [wallet.address];
+      case 'personal_sign':
+        return wallet.signMessage(ethers.getBytes(params[0]));
+      default:
+        throw new Error(`Unexpected call: ${method}`);
+    }
+  }),
+};
+
+describe('wallet vault unlocking', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    localStorage.clear();
+    Object.defineProperty(window, 'ethereum', { value: ethereum, configurable: true });
+  });
+
+  it('unlocks with a signature of the vault message only', async () => {
+    await unlockWithWallet(wallet.address, await wallet.signMessage(getWalletVaultMessage(wallet.address)), null);
+    expect(openOfflineVault).toHaveBeenCalledWith(expect.objectContaining({ kind: 'wallet', subject: wallet.address }), null);
+
+    await expect(unlockWithWallet(wallet.address, await wallet.signMessage(getWalletLoginMessage(wallet.address)), null))
+      .rejects.toThrow('The signature is not from this wallet');
+  });
+
+  it('never sends the vault signature to the server', async () => {
+    await hybridWalletLogin(wallet.address);
+
+    const vaultSignature = await wallet.signMessage(getWalletVaultMessage(wallet.address));
+    expect(openOfflineVault).toHaveBeenCalledWith(expect.objectContaining({ secret: vaultSignature }), expect.anything());
+    expect(signIn).toHaveBeenCalledWith('ethereum', expect.objectContaining({
+      message: getWalletLoginMessage(wallet.address),
+      signature: await wallet.signMessage(getWalletLoginMessage(wallet.address)),
+    }));
+    expect(JSON.stringify((signIn as jest.Mock).mock.calls)).not.toContain(vaultSignature);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for validating clinic records and building their collection queries
+ */
+
+import { ClinicRecordError, buildClinicQuery, parseClinicRecord } from '@/lib/clinic-records';
+
+jest.mock('next-auth/next', () => ({
+  getServerSession: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('@/lib/auth', () => ({
+  authOptions: {},
+}));
+
+jest.mock('@/lib/prisma', () => ({
+  prisma: {},
+}));
+
+// The stored record an update is applied to
+const existing = { id: 'record-1', updatedAt: new Date('2026-10-01T09:00:00Z') };
+
+const expectStatus = (fn: () => unknown, status: number, message?: RegExp) => {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).toBeInstanceOf(ClinicRecordError);
+    expect((error as ClinicRecordError).status).toBe(status);
+    if (message) {
+      expect((error as Error).message).toMatch(message);
+    }
+    return;
+  }
+  throw new Error('Expected a ClinicRecordError');
+};
+
+describe('parseClinicRecord', () => {
+  it('keeps known fields and ignores the rest of a Dexie record', () => {
+    const data = parseClinicRecord('patients', {
+      id: 'c6f1b0e2-6f8e-4c57-a7d4-2f0d7d4b8a11',
+      patientId: 'PAT-1001',
+      name: '  Jane Doe ',
+      dob: '1990-04-01',
+      gender: 'female',
+      phone: '',
+      createdAt: '2026-10-01T09:00:00.000Z',
+      lastVisit: null,
+    });
+
+    expect(data).toEqual({
+      id: 'c6f1b0e2-6f8e-4c57-a7d4-2f0d7d4b8a11',
+      patientId: 'PAT-1001',
+      name: 'Jane Doe',
+      dob: '1990-04-01',
+      gender: 'female',
+      phone: null,
+    });
+  });
+
+  it('requires the required fields on create only', () => {
+    expectStatus(() => parseClinicRecord('patients', { name: 'Jane Doe', dob: '1990-04-01' }), 400, /gender is required/);
+    expect(parseClinicRecord('patients', { phone: '555-0100' }, existing)).toEqual({ phone: '555-0100' });
+  });
+
+  it('does not let an update clear a required field', () => {
+    expectStatus(() => parseClinicRecord('patients', { name: null }, existing), 400, /name is required/);
+  });
+
+  it('converts dates and checks types', () => {
+    const data = parseClinicRecord('appointments', {
+      title: 'Check-up',
+      patientId: 'patient-1',
+      providerId: 'provider-1',
+      startTime: '2026-10-20T09:00:00.000Z',
+      endTime: '2026-10-20T09:30:00.000Z',
+      status: 'CONFIRMED',
+    });
+    expect(data.startTime).toEqual(new Date('2026-10-20T09:00:00.000Z'));
+
+    expectStatus(() => parseClinicRecord('appointments', { status: 'LATE' }, existing), 400, /status must be one of/);
+    expectStatus(() => parseClinicRecord('appointments', { startTime: 'tomorrow' }, existing), 400, /ISO 8601/);
+    expectStatus(() => parseClinicRecord('appointmentTypes', { name: 'Consult', duration: 0 }), 400, /positive whole number/);
+    expectStatus(() => parseClinicRecord('timeSlots', { isAvailable: 'yes' }, existing), 400, /true or false/);
+  });
+
+  it('rejects ids that are not safe client ids', () => {
+    expectStatus(() => parseClinicRecord('providers', { id: '../admin', name: 'Dr. Lee', email: 'lee@example.com' }), 400, /id must be/);
+  });
+
+  it('rejects bodies that are not objects', () => {
+    expectStatus(() => parseClinicRecord('visits', [{ patientId: 'patient-1' }]), 400, /JSON object/);
+  });
+});
+
+describe('buildClinicQuery', () => {
+  it('pages with defaults in the resource order', () => {
+    expect(buildClinicQuery('appointments', {})).toEqual({
+      where: {},
+      orderBy: [{ startTime: 'asc' }, { id: 'asc' }],
+      skip: 0,
+      take: 100,
+    });
+  });
+
+  it('applies filters, search and date ranges', () => {
+    const query = buildClinicQuery('appointments', {
+      providerId: 'provider-1',
+      status: 'SCHEDULED',
+      from: '2026-10-20T00:00:00.000Z',
+      to: '2026-10-21T00:00:00.000Z',
+      limit: '20',
+      offset: '40',
+    });
+    expect(query.where).toEqual({
+      providerId: 'provider-1',
+      status: 'SCHEDULED',
+      startTime: { gte: new Date('2026-10-20T00:00:00.000Z'), lte: new Date('2026-10-21T00:00:00.000Z') },
+    });
+    expect(query).toMatchObject({ skip: 40, take: 20 });
+
+    expect(buildClinicQuery('patients', { q: 'PAT-0001' }).where).toEqual({
+      OR: [{ name: { contains: 'PAT-0001' } }, { patientId: { contains: 'PAT-0001' } }],
+    });
+    expect(buildClinicQuery('timeSlots', { isAvailable: 'false' }).where).toEqual({ isAvailable: false });
+  });
+
+  it('pages through changes oldest first for incremental sync', () => {
+    const query = buildClinicQuery('visits', { updatedSince: '2026-10-01T00:00:00.000Z' });
+    expect(query.where).toEqual({ updatedAt: { gt: new Date('2026-10-01T00:00:00.000Z') } });
+    expect(query.orderBy).toEqual([{ updatedAt: 'asc' }, { id: 'asc' }]);
+  });
+
+  it('rejects invalid parameters', () => {
+    expectStatus(() => buildClinicQuery('patients', { limit: '5000' }), 400, /limit/);
+    expectStatus(() => buildClinicQuery('patients', { offset: '-1' }), 400, /offset/);
+    expectStatus(() => buildClinicQuery('appointments', { status: 'LATE' }), 400, /status/);
+    expectStatus(() => buildClinicQuery('visits', { updatedSince: 'yesterday' }), 400, /updatedSince/);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Tests for the offline database versions and their data upgrades
+ */
+
+import Dexie, { Transaction } from 'dexie';
+import { ImagingHubDB } from '@/lib/db';
+import {
+  DB_MIGRATIONS,
+  DbMigration,
+  getSchemaAtVersion,
+  LATEST_DB_VERSION,
+  registerMigrations,
+  validateMigrations,
+} from '@/lib/db-migrations';
+import { isVaultLocked, setVaultPresent } from '@/lib/vault/session';
+import type { MockDexie } from '../../__mocks__/dexie';
+import type { Row } from './sync/memory-db';
+
+// Records as devices in the field hold them, by table
+const createFieldData = (): Record<string, Row[]> => ({
+  users: [{ id: 'user-1', email: 'ada@example.com', role: 'DOCTOR', password: '$2a$10$hash' }],
+  patients: [{ id: 'patient-1', patientId: 'PAT-0001', name: 'Ada Lovelace', dob: '1815-12-10', gender: 'female' }],
+  visits: [{ id: 'visit-1', patientId: 'patient-1', date: new Date('2026-10-01T09:00:00Z'), notes: 'Check-up' }],
+  providers: [{ id: 'provider-1', name: 'Dr. Jane Smith', email: 'jsmith@example.com', specialty: 'Radiology' }],
+  appointmentTypes: [{ id: 'type-1', name: 'X-Ray', duration: 30 }],
+  timeSlots: [{ id: 'slot-1', providerId: 'provider-1', startTime: new Date('2026-10-02T09:00:00Z'), endTime: new Date('2026-10-02T09:30:00Z'), isAvailable: true }],
+  appointments: [{ id: 'appointment-1', title: 'X-Ray', patientId: 'patient-1', providerId: 'provider-1', status: 'SCHEDULED' }],
+  pendingChanges: [
+    { id: 'change-1', entityType: 'patients', action: 'create', data: { id: 'patient-1', name: 'Ada Lovelace' }, timestamp: new Date('2026-10-01T09:00:00Z') },
+    { id: 'change-2', entityType: 'visits', action: 'update', data: { id: 'visit-1', notes: 'Check-up' }, timestamp: new Date('2026-10-01T10:00:00Z') },
+  ],
+  syncConflicts: [{ id: 'conflict-1', entityType: 'patients', recordId: 'patient-1', reason: 'modified', detectedAt: new Date() }],
+  syncState: [{ key: 'cursor', value: 'abc' }],
+  deadLetters: [{ id: 'letter-1', entityType: 'visits', recordId: 'visit-1', failedAt: new Date() }],
+  keySlots: [],
+});
+
+// The part of a Dexie upgrade transaction the upgrades use, over the tables of a version
+function createUpgradeTransaction(data: Record<string, Row[]>): Transaction {
+  return {
+    storeNames: Object.keys(data),
+    table: (name: string) => ({
+      count: async () => data[name].length,
+      toArray: async () => data[name],
+      toCollection: () => ({
+        modify: async (change: (row: Row) => void) => data[name].forEach(row => change(row)),
+      }),
+    }),
+  } as unknown as Transaction;
+}
+
+// The field data of the tables a database of this version has
+const getDataAtVersion = (version: number) => {
+  const data = createFieldData();
+  return Object.fromEntries(Object.keys(getSchemaAtVersion(version)).map(table => [table, data[table]]));
+};
+
+describe('DB_MIGRATIONS', () => {
+  it('lists the versions in order', () => {
+    expect(() => validateMigrations(DB_MIGRATIONS)).not.toThrow();
+    expect(LATEST_DB_VERSION).toBe(Math.max(...DB_MIGRATIONS.map(migration => migration.version)));
+  });
+
+  it('adds no index on patient details', () => {
+    expect(getSchemaAtVersion(LATEST_DB_VERSION).patients).toBe('id, patientId');
+  });
+
+  describe.each(DB_MIGRATIONS.filter(migration => migration.upgrade).map(migration => [migration.version, migration]))(
+    'the upgrade to version %i',
+    (_version, migration: DbMigration) => {
+      it('keeps every record with every field it had', async () => {
+        const data = getDataAtVersion(migration.version - 1);
+        const before = createFieldData();
+
+        await migration.upgrade(createUpgradeTransaction(data));
+
+        for (const [table, rows] of Object.entries(data)) {
+          expect(rows).toHaveLength(before[table].length);
+          rows.forEach((row, index) => expect(row).toEqual(expect.objectContaining(before[table][index])));
+        }
+      });
+    }
+  );
+});
+
+describe('the upgrade to version 2', () => {
+  const upgrade = DB_MIGRATIONS.find(migration => migration.version === 2).upgrade;
+
+  it('gives changes queued before the sync engine their record and edit time', async () => {
+    const data = getDataAtVersion(1);
+
+    await upgrade(createUpgradeTransaction(data));
+
+    expect(data.pendingChanges[0]).toMatchObject({ recordId: 'patient-1', editedAt: data.pendingChanges[0].timestamp, baseVersion: null });
+    expect(data.pendingChanges[1]).toMatchObject({ recordId: 'visit-1', editedAt: data.pendingChanges[1].timestamp });
+    expect(data.pendingChanges[1].baseVersion).toBeUndefined();
+  });
+
+  it('leaves changes that already have them alone', async () => {
+    const editedAt = new Date('2026-10-03T09:00:00Z');
+    const data = { pendingChanges: [{ id: 'change-1', action: 'update', data: { id: 'other' }, recordId: 'patient-1', editedAt, baseVersion: '2026-10-01T00:00:00.000Z' }] };
+
+    await upgrade(createUpgradeTransaction(data));
+
+    expect(data.pendingChanges[0]).toMatchObject({ recordId: 'patient-1', editedAt, baseVersion: '2026-10-01T00:00:00.000Z' });
+  });
+});
+
+describe('validateMigrations', () => {
+  const migration = (version: number): DbMigration => ({ version, description: '', stores: {} });
+
+  it('refuses versions out of order, repeated or not whole', () => {
+    expect(() => validateMigrations([migration(1), migration(3), migration(2)])).toThrow('comes after');
+    expect(() => validateMigrations([migration(1), migration(1)])).toThrow('comes after');
+    expect(() => validateMigrations([migration(1.5)])).toThrow('Invalid');
+  });
+});
+
+describe('getSchemaAtVersion', () => {
+  it('has each table as the newest version up to then left it', () => {
+    expect(getSchemaAtVersion(1).patients).toBe('id, patientId, name, dob, gender');
+    expect(getSchemaAtVersion(2).deadLetters).toBeUndefined();
+    expect(getSchemaAtVersion(3).deadLetters).toBe('id, entityType, recordId, failedAt');
+  });
+
+  it('drops tables removed by a version', () => {
+    const migrations = [
+      { version: 1, description: '', stores: { a: 'id', b: 'id' } },
+      { version: 2, description: '', stores: { b: null } },
+    ];
+
+    expect(getSchemaAtVersion(2, migrations)).toEqual({ a: 'id' });
+  });
+});
+
+describe('registerMigrations', () => {
+  it('declares every version on the database, with its upgrade', () => {
+    const db = new ImagingHubDB() as unknown as MockDexie;
+
+    expect(Object.keys(db.versions).map(Number)).toEqual(DB_MIGRATIONS.map(migration => migration.version));
+    for (const migration of DB_MIGRATIONS) {
+      expect(db.version(migration.version).stores).toHaveBeenCalledWith(migration.stores);
+      expect(db.version(migration.version).upgrade).toHaveBeenCalledTimes(migration.upgrade ? 1 : 0);
+    }
+  });
+
+  it('lets upgrades write records while the database has no key slots', async () => {
+    const upgrade = jest.fn(async () => {
+      expect(isVaultLocked()).toBe(false);
+    });
+    const db = new Dexie('test') as unknown as MockDexie;
+    setVaultPresent(true);
+
+    registerMigrations(db as unknown as Dexie, [{ version: 1, description: '', stores: {}, upgrade }]);
+    await db.version(1).upgrade.mock.calls[0][0](createUpgradeTransaction(getDataAtVersion(1)));
+
+    expect(upgrade).toHaveBeenCalled();
+  });
+});
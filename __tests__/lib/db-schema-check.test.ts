@@ -0,0 +1,57 @@
+/**
+ * Tests for checking the offline schema against the Prisma schema
+ */
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { checkOfflineSchema, parseOfflineSchema, parsePrismaModels } from '@/lib/db-schema-check';
+import { getSchemaAtVersion, LATEST_DB_VERSION } from '@/lib/db-migrations';
+
+const prismaSchema = readFileSync(path.join(__dirname, '../../prisma/schema.prisma'), 'utf8');
+
+describe('checkOfflineSchema', () => {
+  it('finds the offline schema in step with prisma/schema.prisma', () => {
+    expect(checkOfflineSchema(prismaSchema)).toEqual([]);
+  });
+
+  it('reports indexes on fields the server does not store', () => {
+    const schema = { ...getSchemaAtVersion(LATEST_DB_VERSION), visits: 'id, patientId, vitals, patient' };
+
+    expect(checkOfflineSchema(prismaSchema, schema)).toEqual([
+      'visits: index vitals is not a field of Visit',
+      'visits: index patient is a relation of Visit, not a stored field',
+    ]);
+  });
+
+  it('reports a primary key other than the model\'s id, and missing tables', () => {
+    const { providers: _, ...schema } = getSchemaAtVersion(LATEST_DB_VERSION);
+
+    expect(checkOfflineSchema(prismaSchema, { ...schema, patients: 'patientId' })).toEqual([
+      'patients: primary key patientId is not the @id of Patient (id)',
+      'providers: not in the offline schema',
+    ]);
+  });
+});
+
+describe('parsePrismaModels', () => {
+  it('reads the fields of each model', () => {
+    const visit = parsePrismaModels(prismaSchema).get('Visit');
+
+    expect(visit.get('id')).toMatchObject({ type: 'String', isId: true, isStored: true });
+    expect(visit.get('notes')).toMatchObject({ type: 'String', optional: true, isStored: true });
+    expect(visit.get('patient')).toMatchObject({ type: 'Patient', isStored: false });
+  });
+
+  it('takes enums for stored fields', () => {
+    expect(parsePrismaModels(prismaSchema).get('Appointment').get('status')).toMatchObject({ isStored: true });
+  });
+});
+
+describe('parseOfflineSchema', () => {
+  it('reads the primary key and every indexed field', () => {
+    expect(parseOfflineSchema('++id, &email, *tags, [providerId+startTime]')).toEqual({
+      primaryKey: 'id',
+      indexes: ['email', 'tags', 'providerId', 'startTime'],
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Tests for FHIR Consent evaluation
+ */
+
+import {
+  ConsentRecord,
+  evaluateConsent,
+  evaluateShareConsent,
+  getPurposeOfUse,
+  getResourcePatientId,
+  normalizeConsentActor,
+} from '@/lib/fhir/consent';
+import { consentToFHIR, fhirToConsent } from '@/lib/fhir/converters';
+import { validateConsent } from '@/lib/fhir/validation';
+
+const provider = 'Practitioner/prov-1';
+const wallet = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+
+function consent(fields: Partial<ConsentRecord>): ConsentRecord {
+  return {
+    id: `consent-${Math.random().toString(36).slice(2)}`,
+    patientId: 'pat-123',
+    status: 'active',
+    provisionType: 'permit',
+    actor: null,
+    purposes: null,
+    categories: null,
+    periodStart: null,
+    periodEnd: null,
+    ...fields,
+  };
+}
+
+describe('evaluateConsent', () => {
+  it('permits treatment and denies other purposes without consents', () => {
+    expect(evaluateConsent([], { actors: [provider], purpose: 'TREAT', resourceType: 'Observation' }).permitted).toBe(true);
+    expect(evaluateConsent([], { actors: [provider], purpose: 'HRESCH', resourceType: 'Observation' }).permitted).toBe(false);
+  });
+
+  it('lets a provision for the requester override one for anyone', () => {
+    const denyAll = consent({ id: 'deny-all', provisionType: 'deny', purposes: 'TREAT' });
+    const trusted = consent({ id: 'trusted', actor: provider });
+
+    expect(evaluateConsent([denyAll, trusted], { actors: [provider], purpose: 'TREAT', resourceType: 'Condition' }))
+      .toEqual({ permitted: true, consentId: 'trusted' });
+    expect(evaluateConsent([denyAll, trusted], { actors: ['Practitioner/other'], purpose: 'TREAT', resourceType: 'Condition' }))
+      .toEqual({ permitted: false, consentId: 'deny-all' });
+  });
+
+  it('prefers a deny over a permit at the same level', () => {
+    const permit = consent({ actor: wallet });
+    const deny = consent({ id: 'deny', actor: wallet, provisionType: 'deny', categories: 'Condition' });
+
+    expect(evaluateConsent([permit, deny], { actors: ['0x70997970C51812dc3A010C7d01b50e0d17dc79C8'], purpose: 'TREAT', resourceType: 'Condition' }))
+      .toEqual({ permitted: false, consentId: 'deny' });
+    expect(evaluateConsent([permit, deny], { actors: [wallet], purpose: 'TREAT', resourceType: 'Observation' }).permitted)
+      .toBe(true);
+  });
+
+  it('ignores inactive consents and provisions outside their period', () => {
+    const at = new Date('2026-06-01T00:00:00Z');
+    const consents = [
+      consent({ provisionType: 'deny', status: 'inactive' }),
+      consent({ provisionType: 'deny', periodEnd: new Date('2026-05-01T00:00:00Z') }),
+      consent({ provisionType: 'deny', periodStart: new Date('2026-07-01T00:00:00Z') }),
+      consent({ purposes: 'HRESCH', periodStart: new Date('2026-05-01T00:00:00Z'), periodEnd: new Date('2026-07-01T00:00:00Z') }),
+    ];
+
+    expect(evaluateConsent(consents, { actors: [], purpose: 'TREAT', resourceType: 'Patient', at }).permitted).toBe(true);
+    expect(evaluateConsent(consents, { actors: [], purpose: 'HRESCH', resourceType: 'Patient', at }).permitted).toBe(true);
+  });
+});
+
+describe('evaluateShareConsent', () => {
+  it('reports every recipient and resource type the consents deny', async () => {
+    const prisma = {
+      consent: {
+        findMany: jest.fn().mockResolvedValue([
+          consent({ id: 'deny-conditions', provisionType: 'deny', categories: 'Condition' }),
+          consent({ actor: wallet, categories: 'Condition' }),
+        ]),
+      },
+    };
+
+    const result = await evaluateShareConsent(prisma, 'pat-123', {
+      recipients: [wallet, '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc'],
+      resourceTypes: ['Observation', 'Condition'],
+    });
+
+    expect(prisma.consent.findMany).toHaveBeenCalledWith({ where: { patientId: 'pat-123', status: 'active' } });
+    expect(result).toEqual({
+      permitted: false,
+      denied: [{ resourceType: 'Condition', actor: '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc', consentId: 'deny-conditions' }],
+    });
+  });
+});
+
+describe('Consent helpers', () => {
+  it('normalizes actors and reads the purpose of use header', () => {
+    expect(normalizeConsentActor('0x70997970C51812dc3A010C7d01b50e0d17dc79C8')).toBe(wallet);
+    expect(normalizeConsentActor(provider)).toBe(provider);
+    expect(normalizeConsentActor('Patient/pat-123')).toBeNull();
+    expect(getPurposeOfUse({ 'x-purpose-of-use': 'hresch' })).toBe('HRESCH');
+    expect(getPurposeOfUse({})).toBe('TREAT');
+  });
+
+  it('finds the patient a resource belongs to', () => {
+    expect(getResourcePatientId({ resourceType: 'Patient', id: 'pat-123' })).toBe('pat-123');
+    expect(getResourcePatientId({ resourceType: 'Observation', subject: { reference: 'Patient/pat-123' } })).toBe('pat-123');
+    expect(getResourcePatientId({ resourceType: 'AllergyIntolerance', patient: { reference: 'Patient/pat-9' } })).toBe('pat-9');
+  });
+
+  it('round-trips a consent through FHIR and validates it', () => {
+    const record = {
+      ...consent({ id: 'consent-1', actor: wallet, purposes: 'TREAT,ETREAT', categories: 'Observation' }),
+      periodEnd: new Date('2027-01-01T00:00:00Z'),
+      createdAt: new Date('2026-05-10T09:00:00Z'),
+      updatedAt: new Date('2026-05-10T09:00:00Z'),
+    };
+    const fhirConsent = consentToFHIR(record);
+
+    expect(fhirConsent.provision.actor[0].reference.identifier.value).toBe(wallet);
+    expect(validateConsent(fhirConsent).valid).toBe(true);
+    expect(fhirToConsent(fhirConsent)).toEqual(expect.objectContaining({
+      patientId: 'pat-123',
+      provisionType: 'permit',
+      actor: wallet,
+      purposes: 'TREAT,ETREAT',
+      categories: 'Observation',
+      periodEnd: new Date('2027-01-01T00:00:00Z'),
+    }));
+
+    const invalid = { ...fhirConsent, provision: { ...fhirConsent.provision, class: [{ code: 'Appointment' }] } };
+    expect(validateConsent(invalid).valid).toBe(false);
+  });
+});
@@ -7,6 +7,14 @@ import {
   fhirToPatient,
   visitToFHIREncounter,
   fhirEncounterToVisit,
+  observationToFHIR,
+  fhirToObservation,
+  conditionToFHIR,
+  fhirToCondition,
+  medicationRequestToFHIR,
+  fhirToMedicationRequest,
+  allergyIntoleranceToFHIR,
+  fhirToAllergyIntolerance,
   appointmentToFHIR,
   fhirToAppointment,
   providerToFHIRPractitioner,
@@ -126,6 +134,226 @@ describe('FHIR Converters', () => {
     });
   });
 
+  describe('Observation Conversion', () => {
+    const mockObservation = {
+      id: 'obs-1',
+      patientId: 'pat-123',
+      visitId: 'visit-456',
+      status: 'final',
+      category: 'vital-signs',
+      code: '8867-4',
+      codeSystem: 'http://loinc.org',
+      codeDisplay: 'Heart rate',
+      effectiveDate: new Date('2024-03-20T10:30:00Z'),
+      valueQuantity: 72,
+      valueUnit: '/min',
+      valueString: null,
+      components: null,
+      notes: 'Resting',
+      createdAt: new Date('2024-03-20T10:30:00Z'),
+      updatedAt: new Date('2024-03-20T10:30:00Z'),
+    };
+
+    it('should convert Prisma Observation to FHIR Observation', () => {
+      const observation = observationToFHIR(mockObservation);
+
+      expect(observation.resourceType).toBe('Observation');
+      expect(observation.id).toBe('obs-1');
+      expect(observation.status).toBe('final');
+      expect(observation.code.coding?.[0].code).toBe('8867-4');
+      expect(observation.category?.[0].coding?.[0].code).toBe('vital-signs');
+      expect(observation.subject?.reference).toBe('Patient/pat-123');
+      expect(observation.encounter?.reference).toBe('Encounter/visit-456');
+      expect(observation.valueQuantity?.value).toBe(72);
+      expect(observation.effectiveDateTime).toBe('2024-03-20T10:30:00.000Z');
+      expect(observation.note?.[0].text).toBe('Resting');
+    });
+
+    it('should convert FHIR Observation to Prisma Observation', () => {
+      const observation = observationToFHIR(mockObservation);
+      const prismaObservation = fhirToObservation(observation);
+
+      expect(prismaObservation.patientId).toBe('pat-123');
+      expect(prismaObservation.visitId).toBe('visit-456');
+      expect(prismaObservation.code).toBe('8867-4');
+      expect(prismaObservation.category).toBe('vital-signs');
+      expect(prismaObservation.valueQuantity).toBe(72);
+      expect(prismaObservation.valueUnit).toBe('/min');
+      expect(prismaObservation.effectiveDate).toEqual(mockObservation.effectiveDate);
+    });
+
+    it('should round-trip observation components', () => {
+      const bloodPressure = {
+        resourceType: 'Observation' as const,
+        status: 'final' as const,
+        code: { coding: [{ system: 'http://loinc.org', code: '85354-9' }] },
+        subject: { reference: 'Patient/pat-123' },
+        effectiveDateTime: '2024-03-20T10:30:00Z',
+        component: [
+          { code: { coding: [{ code: '8480-6' }] }, valueQuantity: { value: 120, unit: 'mm[Hg]' } },
+          { code: { coding: [{ code: '8462-4' }] }, valueQuantity: { value: 80, unit: 'mm[Hg]' } },
+        ],
+      };
+
+      const prismaObservation = fhirToObservation(bloodPressure);
+      const fhirObservation = observationToFHIR({
+        ...mockObservation,
+        ...prismaObservation,
+        valueQuantity: null,
+      } as any);
+
+      expect(fhirObservation.component).toHaveLength(2);
+      expect(fhirObservation.component?.[0].valueQuantity?.value).toBe(120);
+    });
+  });
+
+  describe('Condition Conversion', () => {
+    const mockCondition = {
+      id: 'cond-1',
+      patientId: 'pat-123',
+      visitId: 'visit-456',
+      clinicalStatus: 'active',
+      verificationStatus: 'confirmed',
+      category: 'problem-list-item',
+      severity: null,
+      code: '44054006',
+      codeSystem: 'http://snomed.info/sct',
+      codeDisplay: 'Diabetes mellitus type 2',
+      onsetDate: new Date('2020-01-15T00:00:00Z'),
+      abatementDate: null,
+      recordedDate: new Date('2024-03-20T10:30:00Z'),
+      notes: null,
+      createdAt: new Date('2024-03-20T10:30:00Z'),
+      updatedAt: new Date('2024-03-20T10:30:00Z'),
+    };
+
+    it('should convert Prisma Condition to FHIR Condition', () => {
+      const condition = conditionToFHIR(mockCondition);
+
+      expect(condition.resourceType).toBe('Condition');
+      expect(condition.id).toBe('cond-1');
+      expect(condition.clinicalStatus?.coding?.[0].code).toBe('active');
+      expect(condition.verificationStatus?.coding?.[0].code).toBe('confirmed');
+      expect(condition.category?.[0].coding?.[0].code).toBe('problem-list-item');
+      expect(condition.code?.coding?.[0].code).toBe('44054006');
+      expect(condition.subject.reference).toBe('Patient/pat-123');
+      expect(condition.encounter?.reference).toBe('Encounter/visit-456');
+      expect(condition.onsetDateTime).toBe('2020-01-15T00:00:00.000Z');
+      expect(condition.abatementDateTime).toBeUndefined();
+    });
+
+    it('should convert FHIR Condition to Prisma Condition', () => {
+      const prismaCondition = fhirToCondition(conditionToFHIR(mockCondition));
+
+      expect(prismaCondition.patientId).toBe('pat-123');
+      expect(prismaCondition.visitId).toBe('visit-456');
+      expect(prismaCondition.clinicalStatus).toBe('active');
+      expect(prismaCondition.category).toBe('problem-list-item');
+      expect(prismaCondition.code).toBe('44054006');
+      expect(prismaCondition.codeSystem).toBe('http://snomed.info/sct');
+      expect(prismaCondition.onsetDate).toEqual(mockCondition.onsetDate);
+    });
+  });
+
+  describe('MedicationRequest Conversion', () => {
+    const mockMedicationRequest = {
+      id: 'med-1',
+      patientId: 'pat-123',
+      visitId: null,
+      providerId: 'prov-1',
+      status: 'active',
+      intent: 'order',
+      medicationCode: '860975',
+      medicationSystem: 'http://www.nlm.nih.gov/research/umls/rxnorm',
+      medicationDisplay: 'Metformin 500 MG Oral Tablet',
+      dosageText: 'One tablet twice daily',
+      authoredOn: new Date('2024-03-20T10:30:00Z'),
+      reason: 'Diabetes',
+      notes: null,
+      createdAt: new Date('2024-03-20T10:30:00Z'),
+      updatedAt: new Date('2024-03-20T10:30:00Z'),
+    };
+
+    it('should convert Prisma MedicationRequest to FHIR MedicationRequest', () => {
+      const medicationRequest = medicationRequestToFHIR(mockMedicationRequest);
+
+      expect(medicationRequest.resourceType).toBe('MedicationRequest');
+      expect(medicationRequest.status).toBe('active');
+      expect(medicationRequest.intent).toBe('order');
+      expect(medicationRequest.medicationCodeableConcept?.coding?.[0].code).toBe('860975');
+      expect(medicationRequest.requester?.reference).toBe('Practitioner/prov-1');
+      expect(medicationRequest.dosageInstruction?.[0].text).toBe('One tablet twice daily');
+      expect(medicationRequest.encounter).toBeUndefined();
+    });
+
+    it('should fall back to text when there is no medication code', () => {
+      const medicationRequest = medicationRequestToFHIR({
+        ...mockMedicationRequest,
+        medicationCode: null,
+        medicationSystem: null,
+      });
+
+      expect(medicationRequest.medicationCodeableConcept).toEqual({ text: 'Metformin 500 MG Oral Tablet' });
+    });
+
+    it('should convert FHIR MedicationRequest to Prisma MedicationRequest', () => {
+      const prismaMedicationRequest = fhirToMedicationRequest(medicationRequestToFHIR(mockMedicationRequest));
+
+      expect(prismaMedicationRequest.patientId).toBe('pat-123');
+      expect(prismaMedicationRequest.providerId).toBe('prov-1');
+      expect(prismaMedicationRequest.medicationCode).toBe('860975');
+      expect(prismaMedicationRequest.medicationDisplay).toBe('Metformin 500 MG Oral Tablet');
+      expect(prismaMedicationRequest.dosageText).toBe('One tablet twice daily');
+      expect(prismaMedicationRequest.reason).toBe('Diabetes');
+    });
+  });
+
+  describe('AllergyIntolerance Conversion', () => {
+    const mockAllergy = {
+      id: 'allergy-1',
+      patientId: 'pat-123',
+      clinicalStatus: 'active',
+      verificationStatus: 'confirmed',
+      type: 'allergy',
+      category: 'medication',
+      criticality: 'high',
+      code: '91936005',
+      codeSystem: 'http://snomed.info/sct',
+      codeDisplay: 'Allergy to penicillin',
+      reaction: 'Hives',
+      reactionSeverity: 'moderate',
+      onsetDate: null,
+      recordedDate: new Date('2024-03-20T10:30:00Z'),
+      notes: null,
+      createdAt: new Date('2024-03-20T10:30:00Z'),
+      updatedAt: new Date('2024-03-20T10:30:00Z'),
+    };
+
+    it('should convert Prisma AllergyIntolerance to FHIR AllergyIntolerance', () => {
+      const allergy = allergyIntoleranceToFHIR(mockAllergy);
+
+      expect(allergy.resourceType).toBe('AllergyIntolerance');
+      expect(allergy.clinicalStatus?.coding?.[0].code).toBe('active');
+      expect(allergy.category).toEqual(['medication']);
+      expect(allergy.criticality).toBe('high');
+      expect(allergy.code?.coding?.[0].code).toBe('91936005');
+      expect(allergy.patient.reference).toBe('Patient/pat-123');
+      expect(allergy.reaction?.[0].manifestation[0].text).toBe('Hives');
+      expect(allergy.reaction?.[0].severity).toBe('moderate');
+    });
+
+    it('should convert FHIR AllergyIntolerance to Prisma AllergyIntolerance', () => {
+      const prismaAllergy = fhirToAllergyIntolerance(allergyIntoleranceToFHIR(mockAllergy));
+
+      expect(prismaAllergy.patientId).toBe('pat-123');
+      expect(prismaAllergy.category).toBe('medication');
+      expect(prismaAllergy.criticality).toBe('high');
+      expect(prismaAllergy.codeDisplay).toBe('Allergy to penicillin');
+      expect(prismaAllergy.reaction).toBe('Hives');
+      expect(prismaAllergy.reactionSeverity).toBe('moderate');
+    });
+  });
+
   describe('Appointment Conversion', () => {
     const mockAppointment = {
       id: 'appt-789',
@@ -279,5 +507,28 @@ describe('FHIR Converters', () => {
       const encounter = bundle.entry?.find(e => e.resource?.resourceType === 'Encounter');
       expect(encounter).toBeDefined();
     });
+
+    it('should include observations in the patient summary bundle', () => {
+      const mockObservation = {
+        id: 'obs-1',
+        patientId: 'pat-123',
+        status: 'final',
+        category: 'laboratory',
+        code: '2339-0',
+        effectiveDate: new Date('2024-03-20T10:30:00Z'),
+        valueQuantity: 95,
+        valueUnit: 'mg/dL',
+        createdAt: new Date('2024-03-20T10:30:00Z'),
+        updatedAt: new Date('2024-03-20T10:30:00Z'),
+      };
+
+      const bundle = createPatientSummaryBundle(mockPatient, [], [], undefined, {
+        observations: [mockObservation],
+      });
+
+      expect(bundle.total).toBe(2); // Patient + Observation
+      const observation = bundle.entry?.find(e => e.resource?.resourceType === 'Observation');
+      expect(observation).toBeDefined();
+    });
   });
 });
@@ -0,0 +1,150 @@
+/**
+ * Tests for FHIR resource versioning and conditional request matching
+ */
+
+import {
+  getResourceHistory,
+  readResourceVersion,
+  findConditionalMatch,
+  recordVersion,
+  recordDeletion,
+  matchesVersion,
+  parseETag,
+} from '@/lib/fhir/history';
+
+const BASE_URL = 'http://localhost:3000/api/fhir';
+
+function createMockDb() {
+  const versions: any[] = [];
+
+  return {
+    versions,
+    resourceVersion: {
+      create: jest.fn(async ({ data }) => {
+        versions.push({ ...data, createdAt: new Date('2024-03-20T10:30:00Z') });
+      }),
+      findMany: jest.fn(async ({ where }) =>
+        versions
+          .filter(v => v.resourceType === where.resourceType && v.resourceId === where.resourceId)
+          .sort((a, b) => b.versionId - a.versionId)
+      ),
+      findUnique: jest.fn(async ({ where }) => {
+        const key = where.resourceType_resourceId_versionId;
+        return versions.find(v =>
+          v.resourceType === key.resourceType && v.resourceId === key.resourceId && v.versionId === key.versionId
+        ) || null;
+      }),
+    },
+    patient: {
+      findUnique: jest.fn().mockResolvedValue(null),
+      findMany: jest.fn().mockResolvedValue([]),
+    },
+  };
+}
+
+const patientVersion = (versionId: number, gender: string) => ({
+  resourceType: 'Patient' as const,
+  id: 'pat-1',
+  meta: { versionId: String(versionId) },
+  gender: gender as any,
+});
+
+describe('FHIR Resource History', () => {
+  it('should list every version newest first, including deletions', async () => {
+    const db = createMockDb();
+    await recordVersion(db, patientVersion(1, 'female'), 'POST');
+    await recordVersion(db, patientVersion(2, 'other'), 'PUT');
+    await recordDeletion(db, 'Patient', 'pat-1', 2);
+
+    const result = await getResourceHistory(db, 'Patient', 'pat-1', BASE_URL);
+    const bundle = result.body as any;
+
+    expect(result.status).toBe(200);
+    expect(bundle.type).toBe('history');
+    expect(bundle.total).toBe(3);
+    expect(bundle.entry.map((e: any) => e.request.method)).toEqual(['DELETE', 'PUT', 'POST']);
+    expect(bundle.entry[0].resource).toBeUndefined();
+    expect(bundle.entry[1].resource.gender).toBe('other');
+    expect(bundle.entry[1].response.etag).toBe('W/"2"');
+    expect(bundle.entry[2].request.url).toBe('Patient');
+  });
+
+  it('should fall back to the current resource when no versions were stored', async () => {
+    const db = createMockDb();
+    db.patient.findUnique.mockResolvedValue({
+      id: 'pat-1',
+      patientId: 'PAT-000001',
+      name: 'Jane Doe',
+      dob: '1985-02-10',
+      gender: 'female',
+      createdAt: new Date('2024-01-01T00:00:00Z'),
+      updatedAt: new Date('2024-01-01T00:00:00Z'),
+    });
+
+    const bundle = (await getResourceHistory(db, 'Patient', 'pat-1', BASE_URL)).body as any;
+
+    expect(bundle.total).toBe(1);
+    expect(bundle.entry[0].resource.id).toBe('pat-1');
+  });
+
+  it('should return 404 for an unknown resource', async () => {
+    const result = await getResourceHistory(createMockDb(), 'Patient', 'missing', BASE_URL);
+
+    expect(result.status).toBe(404);
+  });
+
+  it('should read a specific version', async () => {
+    const db = createMockDb();
+    await recordVersion(db, patientVersion(1, 'female'), 'POST');
+    await recordVersion(db, patientVersion(2, 'other'), 'PUT');
+    await recordDeletion(db, 'Patient', 'pat-1', 2);
+
+    const first = await readResourceVersion(db, 'Patient', 'pat-1', '1', BASE_URL);
+    expect(first.status).toBe(200);
+    expect((first.body as any).gender).toBe('female');
+    expect(first.version?.versionId).toBe(1);
+
+    expect((await readResourceVersion(db, 'Patient', 'pat-1', '3', BASE_URL)).status).toBe(410);
+    expect((await readResourceVersion(db, 'Patient', 'pat-1', '9', BASE_URL)).status).toBe(404);
+    expect((await readResourceVersion(db, 'Patient', 'pat-1', 'abc', BASE_URL)).status).toBe(400);
+  });
+
+  describe('findConditionalMatch', () => {
+    it('should return the single match', async () => {
+      const db = createMockDb();
+      db.patient.findMany.mockResolvedValue([{ id: 'pat-1' }]);
+
+      const match = await findConditionalMatch(db, 'Patient', 'Patient?identifier=PAT-000001');
+
+      expect(match.record).toEqual({ id: 'pat-1' });
+      expect(db.patient.findMany).toHaveBeenCalledWith({
+        where: { OR: [{ patientId: 'PAT-000001' }, { id: 'PAT-000001' }] },
+        take: 2,
+      });
+    });
+
+    it('should report multiple matches as a precondition failure', async () => {
+      const db = createMockDb();
+      db.patient.findMany.mockResolvedValue([{ id: 'pat-1' }, { id: 'pat-2' }]);
+
+      const match = await findConditionalMatch(db, 'Patient', 'name=Doe');
+
+      expect(match.status).toBe(412);
+      expect(match.body?.issue[0].code).toBe('multiple-matches');
+    });
+
+    it('should reject missing or unknown criteria', async () => {
+      expect((await findConditionalMatch(createMockDb(), 'Patient', '')).status).toBe(400);
+      expect((await findConditionalMatch(createMockDb(), 'Patient', 'nickname=JD')).status).toBe(400);
+    });
+  });
+
+  it('should compare If-Match ETags with the current version', () => {
+    expect(parseETag('W/"3"')).toBe(3);
+    expect(parseETag('"3"')).toBe(3);
+    expect(parseETag('*')).toBeNull();
+    expect(matchesVersion(undefined, 2)).toBe(true);
+    expect(matchesVersion('W/"2"', 2)).toBe(true);
+    expect(matchesVersion('W/"1"', 2)).toBe(false);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for International Patient Summary document generation
+ */
+
+import { createIPSDocumentBundle, IPS_BUNDLE_PROFILE, IPS_COMPOSITION_PROFILE } from '@/lib/fhir/ips';
+import { FHIRPatient, FHIRCondition, FHIRObservation } from '@/lib/fhir/types';
+
+const BASE_URL = 'http://localhost:3000/api/fhir';
+
+const patient: FHIRPatient = {
+  resourceType: 'Patient',
+  id: 'pat-123',
+  name: [{ text: 'Jane <Doe>', given: ['Jane'], family: 'Doe' }],
+  gender: 'female',
+  birthDate: '1985-02-10',
+};
+
+const activeCondition: FHIRCondition = {
+  resourceType: 'Condition',
+  id: 'cond-1',
+  clinicalStatus: { coding: [{ code: 'active' }] },
+  code: { coding: [{ system: 'http://snomed.info/sct', code: '44054006', display: 'Diabetes mellitus type 2' }] },
+  subject: { reference: 'Patient/pat-123' },
+  onsetDateTime: '2020-01-15T00:00:00.000Z',
+};
+
+const resolvedCondition: FHIRCondition = {
+  ...activeCondition,
+  id: 'cond-2',
+  clinicalStatus: { coding: [{ code: 'resolved' }] },
+  code: { text: 'Appendicitis' },
+};
+
+const heartRate: FHIRObservation = {
+  resourceType: 'Observation',
+  id: 'obs-1',
+  status: 'final',
+  category: [{ coding: [{ code: 'vital-signs' }] }],
+  code: { coding: [{ code: '8867-4', display: 'Heart rate' }] },
+  subject: { reference: 'Patient/pat-123' },
+  effectiveDateTime: '2024-03-20T10:30:00.000Z',
+  valueQuantity: { value: 72, unit: '/min' },
+};
+
+describe('IPS Document Generation', () => {
+  it('should build a document Bundle with the Composition first', () => {
+    const bundle = createIPSDocumentBundle(patient, {}, BASE_URL);
+
+    expect(bundle.type).toBe('document');
+    expect(bundle.meta?.profile).toEqual([IPS_BUNDLE_PROFILE]);
+    expect(bundle.identifier?.value).toMatch(/^urn:uuid:/);
+    expect(bundle.timestamp).toBeDefined();
+    expect(bundle.total).toBeUndefined();
+
+    const composition = bundle.entry?.[0].resource as any;
+    expect(composition.resourceType).toBe('Composition');
+    expect(composition.meta.profile).toEqual([IPS_COMPOSITION_PROFILE]);
+    expect(composition.type.coding[0].code).toBe('60591-5');
+    expect(composition.subject.reference).toBe('Patient/pat-123');
+    expect(composition.author).toHaveLength(1);
+    expect(bundle.entry?.[1].fullUrl).toBe(`${BASE_URL}/Patient/pat-123`);
+  });
+
+  it('should include the required sections with an empty reason when there is no data', () => {
+    const bundle = createIPSDocumentBundle(patient, {}, BASE_URL);
+    const composition = bundle.entry?.[0].resource as any;
+
+    expect(composition.section.map((s: any) => s.code.coding[0].code)).toEqual([
+      '11450-4',
+      '48765-2',
+      '10160-0',
+    ]);
+    composition.section.forEach((section: any) => {
+      expect(section.emptyReason.coding[0].code).toBe('unavailable');
+      expect(section.text.div).toContain('No information available');
+      expect(section.entry).toBeUndefined();
+    });
+  });
+
+  it('should split problems from past illness and reference every entry', () => {
+    const bundle = createIPSDocumentBundle(patient, {
+      conditions: [activeCondition, resolvedCondition],
+      observations: [heartRate],
+    }, BASE_URL);
+    const composition = bundle.entry?.[0].resource as any;
+    const sectionByCode = (code: string) => composition.section.find((s: any) => s.code.coding[0].code === code);
+
+    expect(sectionByCode('11450-4').entry).toEqual([{ reference: 'Condition/cond-1' }]);
+    expect(sectionByCode('11348-0').entry).toEqual([{ reference: 'Condition/cond-2' }]);
+    expect(sectionByCode('8716-3').entry).toEqual([{ reference: 'Observation/obs-1' }]);
+    expect(sectionByCode('30954-2')).toBeUndefined();
+
+    const fullUrls = bundle.entry?.map(e => e.fullUrl);
+    expect(fullUrls).toContain(`${BASE_URL}/Condition/cond-1`);
+    expect(fullUrls).toContain(`${BASE_URL}/Observation/obs-1`);
+  });
+
+  it('should generate escaped narrative for sections and the Composition', () => {
+    const bundle = createIPSDocumentBundle(patient, { conditions: [activeCondition], observations: [heartRate] }, BASE_URL);
+    const composition = bundle.entry?.[0].resource as any;
+    const problems = composition.section[0];
+
+    expect(problems.text.status).toBe('generated');
+    expect(problems.text.div).toContain('xmlns="http://www.w3.org/1999/xhtml"');
+    expect(problems.text.div).toContain('<td>Diabetes mellitus type 2</td>');
+    expect(problems.text.div).toContain('<td>2020-01-15</td>');
+    expect(composition.text.div).toContain('Jane &lt;Doe&gt;');
+
+    const vitals = composition.section.find((s: any) => s.code.coding[0].code === '8716-3');
+    expect(vitals.text.div).toContain('<td>72 /min</td>');
+  });
+});
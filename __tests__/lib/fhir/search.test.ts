@@ -0,0 +1,250 @@
+/**
+ * Tests for the FHIR search parameter engine
+ */
+
+import {
+  parseSearchParameters,
+  searchResources,
+  getCapabilitySearchParams,
+  getCapabilitySearchIncludes,
+  getCapabilitySearchRevIncludes,
+  getSearchOptions,
+} from '@/lib/fhir/search';
+
+const BASE_URL = 'http://localhost:3000/api/fhir';
+
+function createMockPrisma() {
+  const model = () => ({
+    findMany: jest.fn().mockResolvedValue([]),
+    count: jest.fn().mockResolvedValue(0),
+  });
+
+  return {
+    patient: model(),
+    visit: model(),
+    observation: model(),
+    condition: model(),
+    medicationRequest: model(),
+    allergyIntolerance: model(),
+    provider: model(),
+  };
+}
+
+const mockPatient = {
+  id: 'pat-123',
+  patientId: 'PAT-000001',
+  name: 'Jane Doe',
+  dob: '1985-02-10',
+  gender: 'Female',
+  createdAt: new Date('2024-01-01T00:00:00Z'),
+  updatedAt: new Date('2024-01-01T00:00:00Z'),
+};
+
+const mockObservation = {
+  id: 'obs-1',
+  patientId: 'pat-123',
+  status: 'final',
+  category: 'vital-signs',
+  code: '8867-4',
+  codeSystem: 'http://loinc.org',
+  codeDisplay: 'Heart rate',
+  effectiveDate: new Date('2024-03-20T10:30:00Z'),
+  valueQuantity: 72,
+  valueUnit: '/min',
+  createdAt: new Date('2024-03-20T10:30:00Z'),
+  updatedAt: new Date('2024-03-20T10:30:00Z'),
+};
+
+describe('FHIR Search', () => {
+  describe('parseSearchParameters', () => {
+    it('should match strings by prefix, or exactly and by substring with modifiers', () => {
+      expect(parseSearchParameters('Patient', { phone: '555' }).where).toEqual({ phone: { startsWith: '555' } });
+      expect(parseSearchParameters('Patient', { 'name:exact': 'Jane Doe' }).where).toEqual({ name: { equals: 'Jane Doe' } });
+      expect(parseSearchParameters('Patient', { 'email:contains': 'example' }).where).toEqual({ email: { contains: 'example' } });
+    });
+
+    it('should never use case-insensitive mode, which SQLite does not support', () => {
+      const { where } = parseSearchParameters('Patient', { name: 'jane', gender: 'female' });
+
+      expect(JSON.stringify(where)).not.toContain('insensitive');
+      expect(where.AND).toContainEqual({ gender: { in: ['female', 'Female'] } });
+    });
+
+    it('should OR comma-separated values and AND repeated parameters', () => {
+      const { where } = parseSearchParameters('Condition', {
+        code: 'http://snomed.info/sct|44054006,|38341003',
+        'clinical-status': ['active', 'recurrence'],
+      });
+
+      expect(where).toEqual({
+        AND: [
+          {
+            OR: [
+              { codeSystem: 'http://snomed.info/sct', code: '44054006' },
+              { codeSystem: null, code: '38341003' },
+            ],
+          },
+          { clinicalStatus: 'active' },
+          { clinicalStatus: 'recurrence' },
+        ],
+      });
+    });
+
+    it('should apply date prefixes at the precision given', () => {
+      expect(parseSearchParameters('Observation', { date: '2024-03' }).where).toEqual({
+        effectiveDate: { gte: new Date('2024-03-01T00:00:00Z'), lt: new Date('2024-04-01T00:00:00Z') },
+      });
+      expect(parseSearchParameters('Observation', { date: 'gt2024' }).where).toEqual({
+        effectiveDate: { gte: new Date('2025-01-01T00:00:00Z') },
+      });
+      expect(parseSearchParameters('Patient', { birthdate: 'le1990-12-31' }).where).toEqual({
+        dob: { lt: '1991-01-01' },
+      });
+    });
+
+    it('should support quantity prefixes with an optional unit', () => {
+      expect(parseSearchParameters('Observation', { 'value-quantity': 'ge100||mg/dL' }).where).toEqual({
+        valueQuantity: { gte: 100 },
+        valueUnit: 'mg/dL',
+      });
+    });
+
+    it('should support :not and :missing', () => {
+      expect(parseSearchParameters('Observation', { 'status:not': 'cancelled' }).where).toEqual({
+        NOT: { status: 'cancelled' },
+      });
+      expect(parseSearchParameters('Condition', { 'onset-date:missing': 'true' }).where).toEqual({ onsetDate: null });
+      expect(parseSearchParameters('Condition', { 'onset-date:missing': 'false' }).where).toEqual({
+        NOT: { onsetDate: null },
+      });
+    });
+
+    it('should accept relative, typed and absolute references', () => {
+      expect(parseSearchParameters('Observation', { patient: 'pat-123' }).where).toEqual({ patientId: 'pat-123' });
+      expect(parseSearchParameters('Observation', { 'subject:Patient': 'Patient/pat-123' }).where).toEqual({ patientId: 'pat-123' });
+      expect(parseSearchParameters('Observation', { patient: `${BASE_URL}/Patient/pat-123` }).where).toEqual({ patientId: 'pat-123' });
+      expect(parseSearchParameters('Observation', { patient: 'Practitioner/1' }).issues[0].severity).toBe('error');
+    });
+
+    it('should translate chained parameters into relation filters', () => {
+      const { where } = parseSearchParameters('Observation', { 'subject:Patient.name': 'Doe' });
+
+      expect(where).toEqual({ patient: { is: { name: { contains: 'Doe' } } } });
+    });
+
+    it('should parse _sort, _count and _offset', () => {
+      const search = parseSearchParameters('Observation', { _sort: '-date,code', _count: '500', _offset: '40' });
+
+      expect(search.orderBy).toEqual([{ effectiveDate: 'desc' }, { code: 'asc' }]);
+      expect(search.take).toBe(100);
+      expect(search.skip).toBe(40);
+    });
+
+    it('should default to the resource sort order', () => {
+      expect(parseSearchParameters('Condition', {}).orderBy).toEqual([{ recordedDate: 'desc' }]);
+    });
+
+    it('should report unknown parameters and invalid values as errors', () => {
+      const search = parseSearchParameters('Observation', { foo: 'bar', date: 'yesterday', 'code:exact': '1' });
+
+      expect(search.issues).toHaveLength(3);
+      expect(search.issues.every(issue => issue.severity === 'error')).toBe(true);
+      expect(search.issues[0].code).toBe('not-supported');
+    });
+
+    it('should downgrade unknown parameters to warnings when lenient', () => {
+      const search = parseSearchParameters('Observation', { foo: 'bar', patient: 'pat-123' }, { lenient: true });
+
+      expect(search.issues).toHaveLength(1);
+      expect(search.issues[0].severity).toBe('warning');
+      expect(search.where).toEqual({ patientId: 'pat-123' });
+    });
+  });
+
+  describe('searchResources', () => {
+    it('should return a searchset Bundle with paging links', async () => {
+      const prisma = createMockPrisma();
+      prisma.observation.findMany.mockResolvedValue([mockObservation]);
+      prisma.observation.count.mockResolvedValue(45);
+
+      const result = await searchResources(prisma, 'Observation', { patient: 'pat-123', _count: '20', _offset: '20' }, BASE_URL);
+      const bundle = result.body as any;
+
+      expect(result.status).toBe(200);
+      expect(bundle.type).toBe('searchset');
+      expect(bundle.total).toBe(45);
+      expect(bundle.entry[0].search.mode).toBe('match');
+      expect(bundle.link.map((l: any) => l.relation)).toEqual(['self', 'next', 'previous']);
+      expect(bundle.link[1].url).toContain('_offset=40');
+    });
+
+    it('should add _include and _revinclude resources with include mode', async () => {
+      const prisma = createMockPrisma();
+      prisma.observation.findMany.mockResolvedValue([mockObservation]);
+      prisma.observation.count.mockResolvedValue(1);
+      prisma.patient.findMany.mockResolvedValue([mockPatient]);
+
+      const result = await searchResources(prisma, 'Observation', { _include: 'Observation:patient' }, BASE_URL);
+      const bundle = result.body as any;
+
+      expect(prisma.patient.findMany).toHaveBeenCalledWith({ where: { id: { in: ['pat-123'] } } });
+      expect(bundle.total).toBe(1);
+      expect(bundle.entry).toHaveLength(2);
+      expect(bundle.entry[1]).toEqual(expect.objectContaining({
+        fullUrl: `${BASE_URL}/Patient/pat-123`,
+        search: { mode: 'include' },
+      }));
+
+      prisma.patient.findMany.mockReset().mockResolvedValue([mockPatient]);
+      prisma.patient.count.mockResolvedValue(1);
+      await searchResources(prisma, 'Patient', { _revinclude: 'Observation:subject' }, BASE_URL);
+
+      expect(prisma.observation.findMany).toHaveBeenLastCalledWith({ where: { patientId: { in: ['pat-123'] } } });
+    });
+
+    it('should return an OperationOutcome for an unknown parameter', async () => {
+      const prisma = createMockPrisma();
+
+      const result = await searchResources(prisma, 'Patient', { nickname: 'JD' }, BASE_URL);
+
+      expect(result.status).toBe(400);
+      expect(result.body.resourceType).toBe('OperationOutcome');
+      expect((result.body as any).issue[0].diagnostics).toContain("Unknown search parameter 'nickname'");
+      expect(prisma.patient.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unsupported _include', async () => {
+      const result = await searchResources(createMockPrisma(), 'Observation', { _include: 'Observation:code' }, BASE_URL);
+
+      expect(result.status).toBe(400);
+    });
+  });
+
+  describe('capability statement helpers', () => {
+    it('should list every supported parameter with its type', () => {
+      const params = getCapabilitySearchParams('Observation');
+
+      expect(params).toContainEqual(expect.objectContaining({ name: 'code', type: 'token' }));
+      expect(params).toContainEqual(expect.objectContaining({ name: '_lastUpdated', type: 'date' }));
+    });
+
+    it('should list includes and reverse includes', () => {
+      expect(getCapabilitySearchIncludes('MedicationRequest')).toEqual([
+        'MedicationRequest:patient',
+        'MedicationRequest:subject',
+        'MedicationRequest:encounter',
+        'MedicationRequest:requester',
+      ]);
+      expect(getCapabilitySearchRevIncludes('Encounter')).toEqual([
+        'Observation:encounter',
+        'Condition:encounter',
+        'MedicationRequest:encounter',
+      ]);
+    });
+  });
+
+  it('should read handling=lenient from the Prefer header', () => {
+    expect(getSearchOptions({ prefer: 'handling=lenient' })).toEqual({ lenient: true });
+    expect(getSearchOptions({})).toEqual({ lenient: false });
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Tests for selective disclosure of Bundle entries and fields
+ */
+
+import {
+  applyBundleSelection,
+  getDisclosableFields,
+  getEntryKey,
+  isEntrySelected,
+} from '@/lib/fhir/selection';
+import { FHIRBundle } from '@/lib/fhir/types';
+
+const bundle: FHIRBundle = {
+  resourceType: 'Bundle',
+  type: 'collection',
+  entry: [
+    {
+      fullUrl: 'Patient/pat-1',
+      resource: {
+        resourceType: 'Patient',
+        id: 'pat-1',
+        meta: { versionId: '1' },
+        birthDate: '1985-02-10',
+        address: [{ text: '1 Main St' }],
+      } as any,
+    },
+    { fullUrl: 'Encounter/enc-1', resource: { resourceType: 'Encounter', id: 'enc-1', status: 'finished' } as any },
+    { fullUrl: 'Observation/obs-1', resource: { resourceType: 'Observation', id: 'obs-1', status: 'final' } as any },
+  ],
+};
+
+describe('Bundle Selection', () => {
+  it('should identify entries by resource type and id', () => {
+    expect(bundle.entry.map(getEntryKey)).toEqual(['Patient/pat-1', 'Encounter/enc-1', 'Observation/obs-1']);
+  });
+
+  it('should never offer identifying fields for hiding', () => {
+    expect(getDisclosableFields(bundle.entry[0].resource)).toEqual(['birthDate', 'address']);
+  });
+
+  it('should keep everything without a selection or entry list', () => {
+    expect(applyBundleSelection(bundle, undefined)).toBe(bundle);
+    expect(isEntrySelected(bundle.entry[1], {})).toBe(true);
+    expect(applyBundleSelection(bundle, {}).entry).toHaveLength(3);
+  });
+
+  it('should share only the selected entries and drop hidden fields', () => {
+    const selected = applyBundleSelection(bundle, {
+      entries: ['Patient/pat-1', 'Observation/obs-1'],
+      hiddenFields: { 'Patient/pat-1': ['address', 'id'] },
+    });
+
+    expect(selected.entry.map(getEntryKey)).toEqual(['Patient/pat-1', 'Observation/obs-1']);
+    expect(selected.entry[0].resource).toEqual({
+      resourceType: 'Patient',
+      id: 'pat-1',
+      meta: { versionId: '1' },
+      birthDate: '1985-02-10',
+    });
+    // The original Bundle is left untouched
+    expect((bundle.entry[0].resource as any).address).toBeDefined();
+  });
+});
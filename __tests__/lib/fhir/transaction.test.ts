@@ -0,0 +1,289 @@
+/**
+ * Tests for FHIR transaction/batch Bundle processing
+ */
+
+import { processBundle } from '@/lib/fhir/transaction';
+
+const BASE_URL = 'http://localhost:3000/api/fhir';
+
+// Supports the equality, AND and OR filters produced by simple searches
+function matchesWhere(record: any, where: any = {}): boolean {
+  return Object.entries(where).every(([key, value]: [string, any]) => {
+    if (key === 'OR') return value.some((w: any) => matchesWhere(record, w));
+    if (key === 'AND') return value.every((w: any) => matchesWhere(record, w));
+    return typeof value !== 'string' || record[key] === value;
+  });
+}
+
+// Minimal in-memory stand-in for the Prisma models used by bundle processing
+function createMockDb() {
+  let tables: Record<string, any[]> = {
+    patient: [],
+    visit: [],
+    observation: [],
+    condition: [],
+    medicationRequest: [],
+    allergyIntolerance: [],
+    resourceVersion: [],
+  };
+  let nextId = 1;
+
+  const model = (name: string) => ({
+    findUnique: jest.fn(async ({ where }) => tables[name].find(r => r.id === where.id) || null),
+    findMany: jest.fn(async ({ where }) => tables[name].filter(r => matchesWhere(r, where))),
+    count: jest.fn(async () => tables[name].length),
+    create: jest.fn(async ({ data }) => {
+      const now = new Date('2024-03-20T10:30:00Z');
+      const record = { id: `gen-${nextId++}`, versionId: 1, ...data, createdAt: now, updatedAt: now };
+      tables[name].push(record);
+      return record;
+    }),
+    update: jest.fn(async ({ where, data }) => {
+      const record = tables[name].find(r => r.id === where.id && (where.versionId === undefined || r.versionId === where.versionId));
+      if (!record) throw { code: 'P2025' };
+      Object.assign(record, data, { versionId: record.versionId + (data.versionId?.increment || 0) });
+      return record;
+    }),
+    delete: jest.fn(async ({ where }) => {
+      const index = tables[name].findIndex(r => r.id === where.id);
+      if (index === -1) throw { code: 'P2025' };
+      return tables[name].splice(index, 1)[0];
+    }),
+  });
+
+  const db: any = {
+    tables: () => tables,
+    $transaction: jest.fn(async (fn: (tx: any) => Promise<any>) => {
+      const snapshot = JSON.parse(JSON.stringify(tables));
+      try {
+        return await fn(db);
+      } catch (error) {
+        tables = snapshot;
+        throw error;
+      }
+    }),
+  };
+  Object.keys(tables).forEach(name => {
+    db[name] = model(name);
+  });
+
+  return db;
+}
+
+const patientEntry = {
+  fullUrl: 'urn:uuid:61ebe359-bfdc-4613-8bf2-c5e300945f0a',
+  resource: {
+    resourceType: 'Patient',
+    name: [{ given: ['Jane'], family: 'Doe' }],
+    gender: 'female',
+    birthDate: '1985-02-10',
+  },
+  request: { method: 'POST', url: 'Patient' },
+};
+
+const conditionEntry = {
+  fullUrl: 'urn:uuid:88f151c0-a954-468a-88bd-5ae15c08e059',
+  resource: {
+    resourceType: 'Condition',
+    clinicalStatus: {
+      coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-clinical', code: 'active' }],
+    },
+    code: { coding: [{ system: 'http://snomed.info/sct', code: '44054006' }] },
+    subject: { reference: 'urn:uuid:61ebe359-bfdc-4613-8bf2-c5e300945f0a' },
+  },
+  request: { method: 'POST', url: 'Condition' },
+};
+
+describe('FHIR Bundle Processing', () => {
+  describe('transaction', () => {
+    it('should create entries and resolve urn:uuid references', async () => {
+      const db = createMockDb();
+
+      const result = await processBundle(db, {
+        resourceType: 'Bundle',
+        type: 'transaction',
+        entry: [conditionEntry, patientEntry],
+      } as any, BASE_URL);
+
+      expect(result.status).toBe(200);
+      const bundle = result.body as any;
+      expect(bundle.type).toBe('transaction-response');
+      expect(bundle.entry).toHaveLength(2);
+      expect(bundle.entry[0].response.status).toBe('201 Created');
+      expect(bundle.entry[0].response.outcome.resourceType).toBe('OperationOutcome');
+
+      const [patient] = db.tables().patient;
+      const [condition] = db.tables().condition;
+      expect(patient.patientId).toBe('PAT-000001');
+      expect(condition.patientId).toBe(patient.id);
+      expect(bundle.entry[0].resource.subject.reference).toBe(`Patient/${patient.id}`);
+      expect(bundle.entry[1].response.location).toBe(`Patient/${patient.id}/_history/1`);
+    });
+
+    it('should roll back every entry when one fails', async () => {
+      const db = createMockDb();
+
+      const result = await processBundle(db, {
+        resourceType: 'Bundle',
+        type: 'transaction',
+        entry: [
+          patientEntry,
+          { ...conditionEntry, resource: { ...conditionEntry.resource, code: undefined } },
+        ],
+      } as any, BASE_URL);
+
+      expect(result.status).toBe(400);
+      expect(result.body.resourceType).toBe('OperationOutcome');
+      expect((result.body as any).issue[0].diagnostics).toContain('Bundle entry 1');
+      expect(db.tables().patient).toHaveLength(0);
+    });
+
+    it('should reuse the existing resource for a conditional create', async () => {
+      const db = createMockDb();
+      db.tables().patient.push({ id: 'pat-1', patientId: 'PAT-000042', name: 'Jane Doe', dob: '1985-02-10', gender: 'female', versionId: 1, createdAt: new Date(), updatedAt: new Date() });
+
+      const result = await processBundle(db, {
+        resourceType: 'Bundle',
+        type: 'transaction',
+        entry: [
+          conditionEntry,
+          { ...patientEntry, request: { ...patientEntry.request, ifNoneExist: 'identifier=PAT-000042' } },
+        ],
+      } as any, BASE_URL);
+
+      expect(result.status).toBe(200);
+      const bundle = result.body as any;
+      expect(bundle.entry[1].response.status).toBe('200 OK');
+      expect(db.tables().patient).toHaveLength(1);
+      expect(db.tables().condition[0].patientId).toBe('pat-1');
+    });
+
+    it('should reject unresolved urn:uuid references', async () => {
+      const db = createMockDb();
+
+      const result = await processBundle(db, {
+        resourceType: 'Bundle',
+        type: 'transaction',
+        entry: [conditionEntry],
+      } as any, BASE_URL);
+
+      expect(result.status).toBe(400);
+      expect((result.body as any).issue[0].diagnostics).toContain('Unresolved reference');
+      expect(db.$transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('batch', () => {
+    it('should report success and failure per entry', async () => {
+      const db = createMockDb();
+      db.tables().patient.push({
+        id: 'pat-1',
+        patientId: 'PAT-000001',
+        name: 'Jane Doe',
+        dob: '1985-02-10',
+        gender: 'female',
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+
+      const result = await processBundle(db, {
+        resourceType: 'Bundle',
+        type: 'batch',
+        entry: [
+          { request: { method: 'GET', url: 'Patient/pat-1' } },
+          { request: { method: 'DELETE', url: 'Condition/missing' } },
+          { request: { method: 'GET', url: 'Binary/1' } },
+        ],
+      } as any, BASE_URL);
+
+      expect(result.status).toBe(200);
+      const bundle = result.body as any;
+      expect(bundle.type).toBe('batch-response');
+      expect(bundle.entry.map((e: any) => e.response.status)).toEqual([
+        '200 OK',
+        '404 Not Found',
+        '400 Bad Request',
+      ]);
+      expect(bundle.entry[1].response.outcome.issue[0].severity).toBe('error');
+      expect(db.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should run GET entries without an id as searches', async () => {
+      const db = createMockDb();
+
+      const result = await processBundle(db, {
+        resourceType: 'Bundle',
+        type: 'batch',
+        entry: [
+          { request: { method: 'GET', url: 'Condition?patient=pat-1&clinical-status=active' } },
+          { request: { method: 'GET', url: 'Condition?unknown=1' } },
+        ],
+      } as any, BASE_URL);
+
+      const bundle = result.body as any;
+      expect(bundle.entry[0].response.status).toBe('200 OK');
+      expect(bundle.entry[0].resource.type).toBe('searchset');
+      expect(db.condition.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { AND: [{ patientId: 'pat-1' }, { clinicalStatus: 'active' }] },
+      }));
+      expect(bundle.entry[1].response.status).toBe('400 Bad Request');
+    });
+  });
+
+  describe('versioning', () => {
+    it('should record a version for every write and honour ifMatch', async () => {
+      const db = createMockDb();
+      await processBundle(db, { resourceType: 'Bundle', type: 'transaction', entry: [patientEntry] } as any, BASE_URL);
+      const [patient] = db.tables().patient;
+      const update = (ifMatch: string) => ({
+        resource: { ...patientEntry.resource, id: patient.id },
+        request: { method: 'PUT', url: `Patient/${patient.id}`, ifMatch },
+      });
+
+      const result = await processBundle(db, {
+        resourceType: 'Bundle',
+        type: 'batch',
+        entry: [update('W/"1"'), update('W/"1"')],
+      } as any, BASE_URL);
+
+      const bundle = result.body as any;
+      expect(bundle.entry[0].response.status).toBe('200 OK');
+      expect(bundle.entry[0].response.etag).toBe('W/"2"');
+      expect(bundle.entry[1].response.status).toBe('412 Precondition Failed');
+      expect(db.tables().resourceVersion.map((v: any) => [v.versionId, v.method])).toEqual([
+        [1, 'POST'],
+        [2, 'PUT'],
+      ]);
+    });
+
+    it('should update or create by search criteria for a conditional PUT', async () => {
+      const db = createMockDb();
+      db.tables().patient.push({ id: 'pat-1', patientId: 'PAT-000042', name: 'Jane Doe', dob: '1985-02-10', gender: 'female', versionId: 1, createdAt: new Date(), updatedAt: new Date() });
+
+      const result = await processBundle(db, {
+        resourceType: 'Bundle',
+        type: 'batch',
+        entry: [
+          { resource: { ...patientEntry.resource, gender: 'other' }, request: { method: 'PUT', url: 'Patient?identifier=PAT-000042' } },
+          { resource: patientEntry.resource, request: { method: 'PUT', url: 'Patient?identifier=PAT-999999' } },
+        ],
+      } as any, BASE_URL);
+
+      const bundle = result.body as any;
+      expect(bundle.entry[0].response.status).toBe('200 OK');
+      expect(bundle.entry[0].response.location).toBe('Patient/pat-1/_history/2');
+      expect(bundle.entry[1].response.status).toBe('201 Created');
+      expect(db.tables().patient).toHaveLength(2);
+    });
+  });
+
+  it('should reject bundles that are not transactions or batches', async () => {
+    const result = await processBundle(createMockDb(), {
+      resourceType: 'Bundle',
+      type: 'collection',
+    }, BASE_URL);
+
+    expect(result.status).toBe(400);
+    expect(result.body.resourceType).toBe('OperationOutcome');
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for offline logins unlocking the encrypted store
+ */
+
+import { webcrypto } from 'crypto';
+import bcrypt from 'bcryptjs';
+import { db } from '@/lib/db';
+import { authenticateOffline, getCurrentUser, logoutUser } from '@/lib/offline-auth';
+import { isVaultUnlocked, setVaultPresent, wipeVaultSession } from '@/lib/vault/session';
+import { clearMemoryDb, MemoryDb } from './sync/memory-db';
+
+jest.mock('uuid', () => {
+  let count = 0;
+  return { v4: () => `id-${++count}` };
+});
+
+jest.mock('@/lib/db', () => ({
+  db: jest.requireActual('./sync/memory-db').createMemoryDb(),
+}));
+
+// jsdom has no SubtleCrypto
+Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true });
+
+const memoryDb = db as unknown as MemoryDb;
+
+describe('authenticateOffline', () => {
+  beforeEach(async () => {
+    clearMemoryDb(memoryDb);
+    wipeVaultSession(false);
+    setVaultPresent(false);
+    localStorage.clear();
+    await memoryDb.users.put({
+      id: 'user-1',
+      email: 'ada@example.com',
+      name: 'Ada Lovelace',
+      role: 'DOCTOR',
+      password: await bcrypt.hash('correct horse', 4),
+    });
+  });
+
+  it('unlocks the store on the first login and forgets the password hash', async () => {
+    const user = await authenticateOffline('ada@example.com', 'correct horse');
+
+    expect(user).toEqual({ id: 'user-1', email: 'ada@example.com', name: 'Ada Lovelace', role: 'DOCTOR' });
+    expect(isVaultUnlocked()).toBe(true);
+    expect(getCurrentUser()).toEqual(user);
+    expect((await memoryDb.users.get('user-1')).password).toBeUndefined();
+  });
+
+  it('checks later logins against the key slot', async () => {
+    await authenticateOffline('ada@example.com', 'correct horse');
+    await logoutUser();
+
+    expect(await authenticateOffline('ada@example.com', 'wrong')).toBeNull();
+    expect(isVaultUnlocked()).toBe(false);
+    expect(await authenticateOffline('ada@example.com', 'correct horse')).not.toBeNull();
+  });
+
+  it('turns away a wrong password or role', async () => {
+    expect(await authenticateOffline('ada@example.com', 'wrong')).toBeNull();
+    expect(await authenticateOffline('ada@example.com', 'correct horse', 'admin')).toBeNull();
+    expect(isVaultUnlocked()).toBe(false);
+  });
+});
+
+describe('getCurrentUser', () => {
+  it('does not take a user from localStorage on trust', () => {
+    wipeVaultSession(false);
+    localStorage.setItem('currentUser', JSON.stringify({ id: 'user-1', role: 'ADMIN' }));
+
+    expect(getCurrentUser()).toBeNull();
+  });
+});
+
+describe('logoutUser', () => {
+  it('locks the store and clears the stored session', async () => {
+    await memoryDb.users.update('user-1', { password: await bcrypt.hash('correct horse', 4) });
+    await authenticateOffline('ada@example.com', 'correct horse');
+    localStorage.setItem('currentUser', '{}');
+
+    await logoutUser();
+
+    expect(isVaultUnlocked()).toBe(false);
+    expect(getCurrentUser()).toBeNull();
+    expect(localStorage.getItem('currentUser')).toBeNull();
+  });
+  it('deletes the clinic records but keeps unsynced changes and key slots', async () => {
+    await memoryDb.users.update('user-1', { password: await bcrypt.hash('correct horse', 4) });
+    await authenticateOffline('ada@example.com', 'correct horse');
+    for (const name of ['patients', 'visits', 'providers', 'appointmentTypes', 'timeSlots', 'appointments']) {
+      await memoryDb.table(name).put({ id: `${name}-1` });
+    }
+    await memoryDb.pendingChanges.put({ id: 'change-1', entityType: 'patients', recordId: 'patients-1' });
+    await memoryDb.syncState.put({ key: 'cursor', value: 'abc' });
+
+    await logoutUser();
+
+    for (const name of ['patients', 'visits', 'providers', 'appointmentTypes', 'timeSlots', 'appointments']) {
+      expect(memoryDb.table(name).rows.size).toBe(0);
+    }
+    expect(await memoryDb.syncState.get('cursor')).toBeUndefined();
+    expect(memoryDb.pendingChanges.rows.size).toBe(1);
+    expect(memoryDb.keySlots.rows.size).toBe(1);
+
+    // The same login still unlocks the queue offline
+    expect(await authenticateOffline('ada@example.com', 'correct horse')).not.toBeNull();
+    expect(await memoryDb.pendingChanges.get('change-1')).toEqual(expect.objectContaining({ recordId: 'patients-1' }));
+  });
+});
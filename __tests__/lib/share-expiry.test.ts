@@ -0,0 +1,206 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for the expired share cleanup job
+ */
+
+import { claimShareView, cleanupExpiredShares, parseMaxViews } from '@/lib/share-expiry';
+import { appendAuditEntry } from '@/lib/audit-log';
+
+jest.mock('@/lib/audit-log', () => ({
+  appendAuditEntry: jest.fn(),
+}));
+
+const owner = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+const now = new Date('2026-05-17T09:00:00Z');
+
+function share(fields: Record<string, any>) {
+  return {
+    accessId: '0x' + fields.id.replace(/\D/g, '').padStart(64, '0'),
+    ipfsCid: 'bafkreigh2akiscaildcqabsyg3dfr6chu3fgpregiymsck7e7aqa4s52zy',
+    userId: owner,
+    expiryTime: new Date('2026-05-16T09:00:00Z'),
+    accessCount: 0,
+    isActive: true,
+    expiredAt: null,
+    unpinnedAt: null,
+    ...fields,
+  };
+}
+
+// Prisma stand-in filtering shares in an array on the fields the cleanup queries
+function createPrisma(shares: any[]) {
+  const matches = (row: any, where: any) => Object.entries(where).every(([key, condition]: [string, any]) => {
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      if ('lte' in condition) return row[key] <= condition.lte;
+      if ('lt' in condition) return row[key] < condition.lt;
+      if ('in' in condition) return condition.in.includes(row[key]);
+      if ('not' in condition) return row[key] !== condition.not;
+    }
+    return row[key] === condition;
+  });
+
+  // Apply an update's data, including `{ increment }`
+  const apply = (row: any, data: any) => Object.entries(data).forEach(([key, value]: [string, any]) => {
+    row[key] = value && typeof value === 'object' && 'increment' in value ? row[key] + value.increment : value;
+  });
+
+  const prisma = {
+    shares,
+    sharedMedicalData: {
+      findMany: jest.fn(async ({ where, take }: any) => shares.filter(row => matches(row, where)).slice(0, take)),
+      findUnique: jest.fn(async ({ where }: any) => ({ ...shares.find(row => row.id === where.id) })),
+      count: jest.fn(async ({ where }: any) => shares.filter(row => matches(row, where)).length),
+      update: jest.fn(async ({ where, data }: any) => apply(shares.find(row => row.id === where.id), data)),
+      updateMany: jest.fn(async ({ where, data }: any) => {
+        const rows = shares.filter(row => matches(row, where));
+        rows.forEach(row => apply(row, data));
+        return { count: rows.length };
+      }),
+    },
+    $transaction: jest.fn(async (operation: (tx: any) => Promise<any>) => operation(prisma)),
+  };
+  return prisma;
+}
+
+function createStorage(configured = true) {
+  return {
+    isConfigured: jest.fn(() => configured),
+    unpin: jest.fn(async () => true),
+  };
+}
+
+describe('cleanupExpiredShares', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('deactivates expired shares, unpins their content and audits both', async () => {
+    const prisma = createPrisma([
+      share({ id: 'share-1' }),
+      share({ id: 'share-2', expiryTime: new Date('2026-06-01T00:00:00Z'), ipfsCid: 'bafy-active' }),
+    ]);
+    const storage = createStorage();
+
+    const result = await cleanupExpiredShares({ prisma, storage, now });
+
+    expect(result).toEqual({ expired: 1, unpinned: 1, stillShared: 0, failed: 0, unpinSkipped: false });
+    expect(prisma.shares[0]).toMatchObject({ isActive: false, expiredAt: now, unpinnedAt: now });
+    expect(prisma.shares[1]).toMatchObject({ isActive: true, expiredAt: null });
+    expect(storage.unpin).toHaveBeenCalledTimes(1);
+    expect(storage.unpin).toHaveBeenCalledWith(prisma.shares[0].ipfsCid);
+    expect(appendAuditEntry).toHaveBeenCalledWith(prisma, owner, 'share.expired', expect.objectContaining({
+      accessId: prisma.shares[0].accessId,
+      reason: 'expired',
+    }));
+    expect(appendAuditEntry).toHaveBeenCalledWith(prisma, owner, 'share.unpinned', {
+      ipfsCid: prisma.shares[0].ipfsCid,
+      accessIds: [prisma.shares[0].accessId],
+    });
+  });
+
+  it('works through the backlog in batches', async () => {
+    const prisma = createPrisma([1, 2, 3, 4, 5].map(n => share({ id: `share-${n}`, ipfsCid: `bafy-${n}` })));
+
+    const result = await cleanupExpiredShares({ prisma, storage: createStorage(false), now, batchSize: 2 });
+
+    expect(result.expired).toBe(5);
+    expect(prisma.shares.every((row: any) => !row.isActive)).toBe(true);
+  });
+
+  it('keeps content pinned while an active share uses it and retries failed unpins', async () => {
+    const prisma = createPrisma([
+      share({ id: 'share-1' }),
+      share({ id: 'share-2', expiryTime: new Date('2026-06-01T00:00:00Z') }),
+      share({ id: 'share-3', ipfsCid: 'bafy-other', isActive: false, expiredAt: new Date('2026-05-10T00:00:00Z') }),
+    ]);
+    const storage = createStorage();
+    storage.unpin.mockResolvedValue(false);
+
+    const result = await cleanupExpiredShares({ prisma, storage, now });
+
+    expect(result).toEqual({ expired: 1, unpinned: 0, stillShared: 1, failed: 1, unpinSkipped: false });
+    expect(storage.unpin).toHaveBeenCalledWith('bafy-other');
+    expect(prisma.shares[2].unpinnedAt).toBeNull();
+  });
+
+  it('leaves revoked shares and unconfigured storage alone', async () => {
+    const prisma = createPrisma([
+      share({ id: 'share-1', isActive: false, revokedAt: new Date('2026-05-01T00:00:00Z') }),
+      share({ id: 'share-2', ipfsCid: 'bafy-2' }),
+    ]);
+    const storage = createStorage(false);
+
+    const result = await cleanupExpiredShares({ prisma, storage, now });
+
+    expect(result).toEqual({ expired: 1, unpinned: 0, stillShared: 0, failed: 0, unpinSkipped: true });
+    expect(prisma.shares[0].expiredAt).toBeNull();
+    expect(storage.unpin).not.toHaveBeenCalled();
+  });
+});
+
+describe('claimShareView', () => {
+  const viewed = new Date('2026-05-15T09:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('counts views of a share without a limit', async () => {
+    const prisma = createPrisma([share({ id: 'share-1', accessCount: 4, maxViews: null })]);
+
+    expect(await claimShareView(prisma, prisma.shares[0], viewed)).toEqual({
+      outcome: 'granted',
+      accessCount: 5,
+      remainingViews: null,
+    });
+    expect(prisma.shares[0]).toMatchObject({ accessCount: 5, isActive: true });
+  });
+
+  it('deactivates the share in the same transaction as its last view', async () => {
+    const prisma = createPrisma([share({ id: 'share-1', maxViews: 1 })]);
+
+    expect(await claimShareView(prisma, { ...prisma.shares[0] }, viewed)).toEqual({
+      outcome: 'granted',
+      accessCount: 1,
+      remainingViews: 0,
+    });
+    expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+    expect(prisma.shares[0]).toMatchObject({ accessCount: 1, isActive: false, expiredAt: viewed });
+    expect(appendAuditEntry).toHaveBeenCalledWith(prisma, owner, 'share.expired', expect.objectContaining({
+      reason: 'view_limit',
+      accessCount: 1,
+    }));
+  });
+
+  it('gives the last view to only one of two viewers who read the share together', async () => {
+    const prisma = createPrisma([share({ id: 'share-1', maxViews: 1 })]);
+    const read = { ...prisma.shares[0] };
+
+    const claims = await Promise.all([claimShareView(prisma, read, viewed), claimShareView(prisma, read, viewed)]);
+
+    expect(claims.map(claim => claim.outcome).sort()).toEqual(['granted', 'view_limit']);
+    expect(prisma.shares[0].accessCount).toBe(1);
+  });
+
+  it('refuses expired and inactive shares without counting a view', async () => {
+    const prisma = createPrisma([share({ id: 'share-1' }), share({ id: 'share-2', isActive: false, expiryTime: now })]);
+
+    expect((await claimShareView(prisma, prisma.shares[0], now)).outcome).toBe('expired');
+    expect((await claimShareView(prisma, prisma.shares[1], viewed)).outcome).toBe('expired');
+    expect(prisma.sharedMedicalData.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('parseMaxViews', () => {
+  it('accepts whole numbers within the limit and treats empty values as unlimited', () => {
+    expect(parseMaxViews(undefined)).toBeNull();
+    expect(parseMaxViews(null)).toBeNull();
+    expect(parseMaxViews(1)).toBe(1);
+    expect(parseMaxViews('5')).toBe(5);
+    expect(parseMaxViews(0)).toBeUndefined();
+    expect(parseMaxViews(2.5)).toBeUndefined();
+    expect(parseMaxViews('many')).toBeUndefined();
+    expect(parseMaxViews(1001)).toBeUndefined();
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for content identifiers of stored content
+ */
+
+import {
+  DAG_PB_CODEC,
+  SHA2_256,
+  assertValidCid,
+  computeCid,
+  isValidCid,
+  normalizeCid,
+  parseCid,
+  toCidV0,
+  toCidV1,
+  verifyBlock,
+} from '@/lib/storage/cid';
+import { StorageError } from '@/lib/storage';
+
+describe('computeCid', () => {
+  it('matches the CID IPFS gives raw-leaf content', () => {
+    // `ipfs add --cid-version=1 --raw-leaves` of "hello world"
+    expect(computeCid(Buffer.from('hello world'))).toBe('bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e');
+  });
+
+  it('gives different content different CIDs', () => {
+    expect(computeCid(Buffer.from('a'))).not.toBe(computeCid(Buffer.from('b')));
+  });
+});
+
+describe('isValidCid', () => {
+  it('accepts CIDv0 and base32 CIDv1', () => {
+    expect(isValidCid('QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG')).toBe(true);
+    expect(isValidCid('bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e')).toBe(true);
+  });
+
+  it('rejects anything that could escape a path or key', () => {
+    expect(isValidCid('../etc/passwd')).toBe(false);
+    expect(isValidCid('bafkrei/../../secret')).toBe(false);
+    expect(() => assertValidCid('not-a-cid')).toThrow(StorageError);
+  });
+});
+
+describe('CID conversion', () => {
+  const v0 = 'QmbWqxBEKC3P8tqsKc98xmWNzrzDtRLMiMPL8wBuTGsMnR';
+  const v1 = 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi';
+
+  it('converts between CIDv0 and CIDv1', () => {
+    expect(toCidV1(v0)).toBe(v1);
+    expect(toCidV0(v1)).toBe(v0);
+  });
+
+  it('normalizes every form of a CID to base32 CIDv1', () => {
+    expect(normalizeCid(v0)).toBe(v1);
+    expect(normalizeCid('zdj7Wic6KcJAfWz1c9o4M6kq9Lwd5BfbxkVafnrojaaGiSFxM')).toBe(v1);
+    expect(normalizeCid(v1.toUpperCase())).toBe(v1);
+  });
+
+  it('parses the codec and multihash', () => {
+    const parsed = parseCid(v0);
+    expect(parsed).toMatchObject({ version: 0, codec: DAG_PB_CODEC, multihash: { code: SHA2_256 } });
+    expect(parsed.multihash.digest).toHaveLength(32);
+  });
+
+  it('has no CIDv0 for raw content', () => {
+    expect(() => toCidV0('bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e')).toThrow(StorageError);
+  });
+
+  it('rejects CIDs with a truncated multihash', () => {
+    expect(isValidCid(v1.slice(0, -4))).toBe(false);
+  });
+});
+
+describe('verifyBlock', () => {
+  it('checks bytes against the multihash of the CID', () => {
+    // The dag-pb block `ipfs add` creates for "hello world\n"
+    const block = Buffer.from('0a120802120c68656c6c6f20776f726c640a180c', 'hex');
+
+    expect(verifyBlock('QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o', block)).toBe(true);
+    expect(verifyBlock('QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o', Buffer.from('forged'))).toBe(false);
+  });
+});
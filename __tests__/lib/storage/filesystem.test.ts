@@ -0,0 +1,68 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for the filesystem storage driver
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { FilesystemStorageProvider } from '@/lib/storage/filesystem';
+import { collectStream, computeCid } from '@/lib/storage';
+
+describe('FilesystemStorageProvider', () => {
+  let directory: string;
+  let storage: FilesystemStorageProvider;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ehr-storage-'));
+    storage = new FilesystemStorageProvider({ directory });
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('stores content under its CID and reads it back', async () => {
+    const content = JSON.stringify({ resourceType: 'Bundle' });
+
+    const cid = await storage.put(content, { contentType: 'application/json' });
+
+    expect(cid).toBe(computeCid(Buffer.from(content)));
+    const stored = await storage.get(cid);
+    expect(stored.data.toString('utf8')).toBe(content);
+    expect(stored.contentType).toBe('application/json');
+    expect(await storage.stat(cid)).toMatchObject({ cid, size: content.length, pinned: true });
+  });
+
+  it('deletes content on unpin', async () => {
+    const cid = await storage.put('temporary');
+
+    expect(await storage.unpin(cid)).toBe(true);
+
+    expect(await storage.stat(cid)).toBeNull();
+    await expect(storage.get(cid)).rejects.toMatchObject({ status: 404 });
+    await expect(storage.pin(cid)).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('streams stored content', async () => {
+    const cid = await storage.put('streamed', { contentType: 'text/plain' });
+
+    const stream = await storage.stream(cid);
+
+    expect(stream).toMatchObject({ contentType: 'text/plain', size: 8 });
+    expect((await collectStream(stream)).data.toString()).toBe('streamed');
+  });
+
+  it('refuses content that no longer matches its CID', async () => {
+    const cid = await storage.put('original');
+    await fs.writeFile(path.join(directory, cid), 'tampered');
+
+    await expect(storage.get(cid)).rejects.toMatchObject({ status: 502 });
+    await expect(collectStream(await storage.stream(cid))).rejects.toMatchObject({ status: 502 });
+  });
+
+  it('rejects CIDs that are not CIDs', async () => {
+    await expect(storage.get('../outside')).rejects.toMatchObject({ status: 400 });
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for verified, raced reads from IPFS gateways
+ */
+
+import { createHash } from 'crypto';
+import { DAG_PB_CODEC, SHA2_256, computeCid, formatCid } from '@/lib/storage/cid';
+import {
+  MAX_BLOCK_BYTES,
+  fetchFromGateways,
+  getGatewayHealth,
+  rankGateways,
+  resetGatewayHealth,
+  streamFromGateways,
+} from '@/lib/storage/gateways';
+
+const honest = 'https://honest.example/ipfs';
+const forger = 'https://forger.example/ipfs';
+const broken = 'https://broken.example/ipfs';
+
+// The dag-pb block `ipfs add` creates for "hello world\n"
+const helloCid = 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o';
+const helloBlock = Buffer.from('0a120802120c68656c6c6f20776f726c640a180c', 'hex');
+
+const varint = (value: number): Buffer => {
+  const bytes: number[] = [];
+  while (value >= 0x80) {
+    bytes.push((value & 0x7f) | 0x80);
+    value >>>= 7;
+  }
+  bytes.push(value);
+  return Buffer.from(bytes);
+};
+
+const field = (number: number, value: Buffer): Buffer =>
+  Buffer.concat([varint(number * 8 + 2), varint(value.length), value]);
+
+// A UnixFS file node linking to raw leaves, encoded as dag-pb
+function createFileNode(leaves: Buffer[]): { cid: string; block: Buffer } {
+  const size = leaves.reduce((total, leaf) => total + leaf.length, 0);
+  const unixFs = Buffer.concat([Buffer.from([0x08, 0x02, 0x18]), varint(size)]);
+  const links = leaves.map(leaf => {
+    const leafCid = Buffer.concat([Buffer.from([0x01, 0x55, SHA2_256, 32]), createHash('sha256').update(leaf).digest()]);
+    return field(2, Buffer.concat([field(1, leafCid), Buffer.from([0x18]), varint(leaf.length)]));
+  });
+  const block = Buffer.concat([...links, field(1, unixFs)]);
+  const digest = createHash('sha256').update(block).digest();
+  return { cid: formatCid({ version: 1, codec: DAG_PB_CODEC, multihash: { code: SHA2_256, digest } }), block };
+}
+
+// Serve blocks from `blocks` on the honest gateway; the forger changes every block
+function serveBlocks(blocks: Record<string, Buffer>) {
+  global.fetch = jest.fn(async (url: string) => {
+    const [gateway, path] = url.split(/\/(?=[^/]+$)/);
+    const block = blocks[path.split('?')[0]];
+    if (gateway === broken) {
+      return new Response('gateway timeout', { status: 504 });
+    }
+    if (!block) {
+      return new Response('not found', { status: 404 });
+    }
+    const body = gateway === forger ? Buffer.from('forged medical data') : block;
+    return new Response(new Uint8Array(body), { status: 200, headers: { 'content-type': 'application/vnd.ipld.raw' } });
+  }) as any;
+}
+
+describe('IPFS gateways', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    resetGatewayHealth();
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  it('returns the verified block when another gateway forges it', async () => {
+    const content = Buffer.from('{"resourceType":"Bundle"}');
+    const cid = computeCid(content);
+    serveBlocks({ [cid]: content });
+
+    const result = await fetchFromGateways(cid, [forger, honest]);
+
+    expect(result.data.equals(content)).toBe(true);
+  });
+
+  it('skips a gateway that forged content', async () => {
+    const content = Buffer.from('record');
+    const cid = computeCid(content);
+    serveBlocks({ [cid]: content });
+
+    await expect(fetchFromGateways(cid, [forger])).rejects.toMatchObject({ status: 502 });
+
+    expect(getGatewayHealth()).toEqual([expect.objectContaining({ gateway: forger, forgeries: 1 })]);
+    expect(rankGateways([forger, honest])).toEqual([honest]);
+    expect(rankGateways([forger])).toEqual([]);
+  });
+
+  it('stops reading a body larger than a block and treats it as forged', async () => {
+    const content = Buffer.from('record');
+    const cid = computeCid(content);
+    let served = 0;
+    // An endless body: reading all of it would never finish
+    global.fetch = jest.fn(async () => new Response(new ReadableStream({
+      pull(controller) {
+        served += 64 * 1024;
+        controller.enqueue(new Uint8Array(64 * 1024));
+      },
+    }), { status: 200, headers: { 'content-type': 'application/vnd.ipld.raw' } })) as any;
+
+    await expect(fetchFromGateways(cid, [forger])).rejects.toMatchObject({ status: 502 });
+
+    expect(served).toBeLessThan(MAX_BLOCK_BYTES + 256 * 1024);
+    expect(getGatewayHealth()).toEqual([expect.objectContaining({ gateway: forger, forgeries: 1 })]);
+  });
+
+  it('backs off from failing gateways and prefers healthy ones', async () => {
+    const content = Buffer.from('record');
+    const cid = computeCid(content);
+    serveBlocks({ [cid]: content });
+
+    await fetchFromGateways(cid, [broken, honest]);
+
+    expect(rankGateways([broken, honest])).toEqual([honest]);
+    // Once every gateway is backing off, failing ones are tried again
+    expect(rankGateways([broken])).toEqual([broken]);
+  });
+
+  it('reports content no gateway has as not found', async () => {
+    serveBlocks({});
+
+    await expect(fetchFromGateways(computeCid(Buffer.from('missing')), [honest])).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('reads a single-block UnixFS file', async () => {
+    serveBlocks({ [helloCid]: helloBlock });
+
+    const stream = await streamFromGateways(helloCid, [honest]);
+    const chunks: Buffer[] = [];
+    for await (const chunk of stream.body) {
+      chunks.push(chunk);
+    }
+
+    expect(stream.size).toBe(12);
+    expect(Buffer.concat(chunks).toString()).toBe('hello world\n');
+  });
+
+  it('puts a file together from verified leaves in order', async () => {
+    const leaves = [Buffer.from('first block, '), Buffer.from('second block, '), Buffer.from('third block')];
+    const root = createFileNode(leaves);
+    serveBlocks({
+      [root.cid]: root.block,
+      ...Object.fromEntries(leaves.map(leaf => [computeCid(leaf), leaf])),
+    });
+
+    const stream = await streamFromGateways(root.cid, [honest]);
+    const chunks: Buffer[] = [];
+    for await (const chunk of stream.body) {
+      chunks.push(chunk);
+    }
+
+    expect(stream.size).toBe(38);
+    expect(Buffer.concat(chunks).toString()).toBe('first block, second block, third block');
+  });
+
+  it('fails the stream when a leaf cannot be found', async () => {
+    const leaves = [Buffer.from('genuine'), Buffer.from('tampered')];
+    const root = createFileNode(leaves);
+    serveBlocks({ [root.cid]: root.block, [computeCid(leaves[0])]: leaves[0] });
+
+    const stream = await streamFromGateways(root.cid, [honest]);
+    const read = async () => {
+      for await (const chunk of stream.body) {
+        expect(chunk.toString()).toBe('genuine');
+      }
+    };
+
+    await expect(read()).rejects.toMatchObject({ status: 404 });
+  });
+});
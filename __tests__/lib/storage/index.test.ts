@@ -0,0 +1,31 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for selecting the storage driver
+ */
+
+import { createStorageProvider, getStorageDriver } from '@/lib/storage';
+
+describe('getStorageDriver', () => {
+  it('uses STORAGE_DRIVER when it is set', () => {
+    expect(getStorageDriver({ STORAGE_DRIVER: 'kubo' } as any)).toBe('kubo');
+    expect(getStorageDriver({ STORAGE_DRIVER: ' S3 ' } as any)).toBe('s3');
+  });
+
+  it('rejects unknown drivers', () => {
+    expect(() => getStorageDriver({ STORAGE_DRIVER: 'ftp' } as any)).toThrow('Unknown STORAGE_DRIVER');
+  });
+
+  it('defaults to Pinata when its credentials are set and to the filesystem otherwise', () => {
+    expect(getStorageDriver({ PINATA_JWT: 'jwt' } as any)).toBe('pinata');
+    expect(getStorageDriver({} as any)).toBe('filesystem');
+  });
+});
+
+describe('createStorageProvider', () => {
+  it('creates the provider for each driver', () => {
+    for (const driver of ['pinata', 'kubo', 'filesystem', 's3'] as const) {
+      expect(createStorageProvider(driver).driver).toBe(driver);
+    }
+  });
+});
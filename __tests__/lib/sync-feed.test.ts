@@ -0,0 +1,111 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for reading the clinic records change feed
+ */
+
+import { prisma } from '@/lib/prisma';
+import { FEED_SETTLE_MS, decodeFeedCursor, encodeFeedCursor, readChangeFeed } from '@/lib/sync-feed';
+
+jest.mock('next-auth/next', () => ({
+  getServerSession: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('@/lib/auth', () => ({
+  authOptions: {},
+}));
+
+jest.mock('@/lib/prisma', () => ({
+  prisma: {
+    patient: { findMany: jest.fn() },
+    visit: { findMany: jest.fn() },
+    provider: { findMany: jest.fn() },
+    appointmentType: { findMany: jest.fn() },
+    timeSlot: { findMany: jest.fn() },
+    appointment: { findMany: jest.fn() },
+    syncDeletion: { findMany: jest.fn() },
+  },
+}));
+
+const mockPrisma = prisma as any;
+
+const NOW = new Date('2026-10-18T12:00:00Z').getTime();
+const at = (seconds: number) => new Date(NOW - 60000 + seconds * 1000);
+
+describe('readChangeFeed', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.values(mockPrisma).forEach((delegate: any) => delegate.findMany.mockResolvedValue([]));
+  });
+
+  it('merges records and deletions in time order', async () => {
+    mockPrisma.patient.findMany.mockResolvedValue([
+      { id: 'patient-1', name: 'Jane Doe', updatedAt: at(1) },
+      { id: 'patient-2', name: 'John Doe', updatedAt: at(3) },
+    ]);
+    mockPrisma.visit.findMany.mockResolvedValue([{ id: 'visit-1', patientId: 'patient-1', updatedAt: at(2) }]);
+    mockPrisma.syncDeletion.findMany.mockResolvedValue([
+      { id: 'deletion-1', entityType: 'appointments', recordId: 'appointment-1', deletedAt: at(2) },
+    ]);
+
+    const page = await readChangeFeed(null, 10, NOW);
+
+    expect(page.changes.map(change => `${change.action} ${change.entityType}/${change.id}`)).toEqual([
+      'upsert patients/patient-1',
+      'upsert visits/visit-1',
+      'delete appointments/appointment-1',
+      'upsert patients/patient-2',
+    ]);
+    expect(page.changes[0].record).toMatchObject({ name: 'Jane Doe' });
+    expect(page.changes[2].record).toBeUndefined();
+    expect(page.hasMore).toBe(false);
+    expect(decodeFeedCursor(page.cursor)).toEqual({ t: at(3).getTime(), e: 0, id: 'patient-2' });
+  });
+
+  it('holds back changes that have not settled', async () => {
+    await readChangeFeed(null, 10, NOW);
+
+    const { where } = mockPrisma.patient.findMany.mock.calls[0][0];
+    expect(where.AND[1]).toEqual({ updatedAt: { lte: new Date(NOW - FEED_SETTLE_MS) } });
+  });
+
+  it('pages by the limit and reports what is left', async () => {
+    mockPrisma.patient.findMany.mockResolvedValue([
+      { id: 'patient-1', updatedAt: at(1) },
+      { id: 'patient-2', updatedAt: at(2) },
+      { id: 'patient-3', updatedAt: at(3) },
+    ]);
+
+    const page = await readChangeFeed(null, 2, NOW);
+
+    expect(mockPrisma.patient.findMany.mock.calls[0][0].take).toBe(3);
+    expect(page.changes.map(change => change.id)).toEqual(['patient-1', 'patient-2']);
+    expect(page.hasMore).toBe(true);
+    expect(decodeFeedCursor(page.cursor).id).toBe('patient-2');
+  });
+
+  it('continues after the cursor, breaking time ties by table and id', async () => {
+    const cursor = encodeFeedCursor({ t: at(5).getTime(), e: 1, id: 'visit-5' });
+
+    await readChangeFeed(cursor, 10, NOW);
+
+    const whereOf = (delegate: any) => delegate.findMany.mock.calls[0][0].where.AND[0];
+    expect(whereOf(mockPrisma.patient)).toEqual({ updatedAt: { gt: at(5) } });
+    expect(whereOf(mockPrisma.visit)).toEqual({
+      OR: [{ updatedAt: { gt: at(5) } }, { updatedAt: at(5), id: { gt: 'visit-5' } }],
+    });
+    expect(whereOf(mockPrisma.provider)).toEqual({ updatedAt: { gte: at(5) } });
+    expect(whereOf(mockPrisma.syncDeletion)).toEqual({ deletedAt: { gte: at(5) } });
+  });
+
+  it('keeps the cursor when nothing changed', async () => {
+    const cursor = encodeFeedCursor({ t: at(5).getTime(), e: 0, id: 'patient-1' });
+
+    expect(await readChangeFeed(cursor, 10, NOW)).toEqual({ changes: [], cursor, hasMore: false });
+  });
+
+  it('rejects cursors it did not issue', async () => {
+    await expect(readChangeFeed('not-a-cursor', 10, NOW)).rejects.toThrow('Invalid sync cursor');
+    expect(() => decodeFeedCursor(Buffer.from('{"t":"soon"}').toString('base64url'))).toThrow('Invalid sync cursor');
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Tests for copying server users into the offline users table
+ */
+
+import { db } from '@/lib/db';
+import { syncUserToOfflineDB } from '@/lib/sync-users';
+import { clearMemoryDb, MemoryDb } from './sync/memory-db';
+
+jest.mock('uuid', () => ({ v4: () => 'generated-id' }));
+
+jest.mock('@/lib/db', () => ({
+  db: jest.requireActual('./sync/memory-db').createMemoryDb(),
+}));
+
+const memoryDb = db as unknown as MemoryDb;
+
+const user = {
+  id: 'user-1',
+  name: 'Ada Lovelace',
+  email: 'Ada@example.com',
+  password: '$2a$10$hashhashhashhashhashhu',
+  role: 'DOCTOR',
+};
+
+describe('syncUserToOfflineDB', () => {
+  beforeEach(() => {
+    clearMemoryDb(memoryDb);
+  });
+
+  it('keeps the password hash of a login without a key slot', async () => {
+    await syncUserToOfflineDB(user);
+
+    expect((await memoryDb.users.get('user-1'))?.password).toBe(user.password);
+  });
+
+  it('does not write the password hash once the login has a key slot', async () => {
+    await memoryDb.keySlots.put({ id: 'password:ada@example.com', kind: 'password', subject: 'ada@example.com' });
+
+    const result = await syncUserToOfflineDB(user);
+
+    expect(result.success).toBe(true);
+    expect((await memoryDb.users.get('user-1'))?.password).toBeUndefined();
+  });
+
+  it('drops a stored hash when updating a login with a key slot', async () => {
+    await memoryDb.users.put(user);
+    await memoryDb.keySlots.put({ id: 'password:ada@example.com', kind: 'password', subject: 'ada@example.com' });
+
+    await syncUserToOfflineDB({ ...user, name: 'Ada King' });
+
+    const stored = await memoryDb.users.get('user-1');
+    expect(stored).toMatchObject({ name: 'Ada King' });
+    expect(stored?.password).toBeUndefined();
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for registering background syncs and hearing back from the service worker
+ */
+
+import {
+  PERIODIC_SYNC_INTERVAL_MS,
+  PERIODIC_SYNC_TAG,
+  SYNC_MESSAGE_TYPE,
+  SYNC_TAG,
+  onBackgroundSync,
+  registerPeriodicSync,
+  requestBackgroundSync,
+} from '@/lib/sync/background';
+
+const setServiceWorker = (serviceWorker: unknown) => {
+  Object.defineProperty(navigator, 'serviceWorker', { value: serviceWorker, configurable: true });
+};
+
+const setPermission = (state: PermissionState) => {
+  Object.defineProperty(navigator, 'permissions', {
+    value: { query: jest.fn().mockResolvedValue({ state }) },
+    configurable: true,
+  });
+};
+
+describe('background sync', () => {
+  const registration = {
+    sync: { register: jest.fn().mockResolvedValue(undefined) },
+    periodicSync: { register: jest.fn().mockResolvedValue(undefined) },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setServiceWorker({ getRegistration: jest.fn().mockResolvedValue(registration) });
+  });
+
+  afterEach(() => {
+    delete (navigator as unknown as Record<string, unknown>).serviceWorker;
+    delete (navigator as unknown as Record<string, unknown>).permissions;
+  });
+
+  describe('requestBackgroundSync', () => {
+    it('registers a one-off sync with the service worker', async () => {
+      expect(await requestBackgroundSync()).toBe(true);
+      expect(registration.sync.register).toHaveBeenCalledWith(SYNC_TAG);
+    });
+
+    it('leaves the sync to the page without Background Sync support', async () => {
+      setServiceWorker({ getRegistration: jest.fn().mockResolvedValue({}) });
+      expect(await requestBackgroundSync()).toBe(false);
+    });
+
+    it('leaves the sync to the page without a service worker', async () => {
+      delete (navigator as unknown as Record<string, unknown>).serviceWorker;
+      expect(await requestBackgroundSync()).toBe(false);
+    });
+
+    it('does not fail when the browser refuses the registration', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      registration.sync.register.mockRejectedValueOnce(new Error('Permission denied'));
+
+      expect(await requestBackgroundSync()).toBe(false);
+    });
+  });
+
+  describe('registerPeriodicSync', () => {
+    it('registers a periodic sync once the browser allows it', async () => {
+      setPermission('granted');
+
+      expect(await registerPeriodicSync()).toBe(true);
+      expect(registration.periodicSync.register).toHaveBeenCalledWith(PERIODIC_SYNC_TAG, {
+        minInterval: PERIODIC_SYNC_INTERVAL_MS,
+      });
+    });
+
+    it('does nothing without permission', async () => {
+      setPermission('denied');
+
+      expect(await registerPeriodicSync()).toBe(false);
+      expect(registration.periodicSync.register).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('onBackgroundSync', () => {
+    it('passes on the sync reports of the service worker', () => {
+      const target = new EventTarget();
+      setServiceWorker(target);
+      const listener = jest.fn();
+
+      const stop = onBackgroundSync(listener);
+      const report = { type: SYNC_MESSAGE_TYPE, error: { status: 0, message: 'Could not reach the server' } };
+      target.dispatchEvent(new MessageEvent('message', { data: report }));
+      target.dispatchEvent(new MessageEvent('message', { data: { type: 'SKIP_WAITING' } }));
+      stop();
+      target.dispatchEvent(new MessageEvent('message', { data: report }));
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(report);
+    });
+  });
+});
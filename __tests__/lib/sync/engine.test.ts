@@ -0,0 +1,395 @@
+/**
+ * Tests for the offline sync engine: pushing pending changes, pulling the
+ * change feed and resolving conflicts
+ */
+
+import { db } from '@/lib/db';
+import { recordChange } from '@/lib/sync/queue';
+import {
+  discardDeadLetter,
+  pullChanges,
+  pushChanges,
+  resolveConflict,
+  setConflictPolicy,
+  syncNow,
+} from '@/lib/sync/engine';
+import { MAX_PUSH_ATTEMPTS } from '@/lib/sync/retry';
+import { clearMemoryDb, MemoryDb } from './memory-db';
+
+jest.mock('uuid', () => {
+  let count = 0;
+  return { v4: () => `change-${++count}` };
+});
+
+jest.mock('@/lib/db', () => ({
+  db: jest.requireActual('./memory-db').createMemoryDb(),
+}));
+
+const memoryDb = db as unknown as MemoryDb;
+
+const fetchMock = jest.fn();
+
+const respond = (status: number, body?: unknown) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  text: async () => (body === undefined ? '' : JSON.stringify(body)),
+});
+
+const patient = {
+  id: 'patient-1',
+  patientId: 'PAT-000001',
+  name: 'Jane Doe',
+  dob: '1990-04-01',
+  gender: 'female',
+  phone: '555-0100',
+  updatedAt: new Date('2026-10-01T09:00:00Z'),
+};
+
+// The patient as the server returns it
+const serverPatient = (changes: Record<string, unknown> = {}) => ({
+  ...patient,
+  createdAt: '2026-10-01T09:00:00.000Z',
+  updatedAt: '2026-10-01T09:00:00.000Z',
+  ...changes,
+});
+
+const emptyFeed = { changes: [], cursor: null, hasMore: false };
+
+// Store the patient as synced, then edit it offline
+const editPatientOffline = async (changes: Record<string, unknown>) => {
+  const edited = { ...patient, ...changes, updatedAt: new Date() };
+  await memoryDb.patients.put(edited);
+  await recordChange('patients', 'update', edited, patient);
+  return edited;
+};
+
+describe('sync engine', () => {
+  beforeEach(() => {
+    clearMemoryDb(memoryDb);
+    fetchMock.mockReset();
+    global.fetch = fetchMock;
+    jest.useFakeTimers({ now: new Date('2026-10-18T12:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('pushChanges', () => {
+    it('creates records on the server and stores the server copy', async () => {
+      await memoryDb.patients.put(patient);
+      await recordChange('patients', 'create', patient);
+      fetchMock.mockResolvedValueOnce(respond(201, serverPatient({ updatedAt: '2026-10-18T12:00:01.000Z' })));
+
+      expect(await pushChanges('manual')).toEqual({ pushed: 1, conflicts: 0, deadLettered: 0, retryAt: null });
+
+      const [url, init] = fetchMock.mock.calls[0];
+      expect(url).toBe('/api/patients');
+      expect(init.method).toBe('POST');
+      expect(JSON.parse(init.body)).toMatchObject({ id: 'patient-1', name: 'Jane Doe' });
+      expect(await memoryDb.pendingChanges.count()).toBe(0);
+      expect((await memoryDb.patients.get('patient-1')).updatedAt).toEqual(new Date('2026-10-18T12:00:01Z'));
+    });
+
+    it('treats a replayed create as done', async () => {
+      await recordChange('patients', 'create', patient);
+      fetchMock.mockResolvedValueOnce(respond(409, { error: 'Record already exists', record: serverPatient() }));
+
+      expect(await pushChanges('manual')).toEqual({ pushed: 1, conflicts: 0, deadLettered: 0, retryAt: null });
+      expect(await memoryDb.pendingChanges.count()).toBe(0);
+    });
+
+    it('treats a replayed delete as done', async () => {
+      await recordChange('patients', 'delete', patient);
+      fetchMock.mockResolvedValueOnce(respond(404, { error: 'Patient not found' }));
+
+      expect(await pushChanges('manual')).toEqual({ pushed: 1, conflicts: 0, deadLettered: 0, retryAt: null });
+    });
+
+    it('sends updates with the version they were made on', async () => {
+      await editPatientOffline({ phone: '555-0199' });
+      fetchMock.mockResolvedValueOnce(respond(200, serverPatient({ phone: '555-0199', updatedAt: '2026-10-18T12:00:01.000Z' })));
+
+      await pushChanges('manual');
+
+      const [url, init] = fetchMock.mock.calls[0];
+      expect(url).toBe('/api/patients/patient-1');
+      expect(init.method).toBe('PUT');
+      expect(init.headers['If-Match']).toBe(`"${patient.updatedAt.getTime()}"`);
+    });
+
+    it('treats an update the server already holds as done', async () => {
+      await editPatientOffline({ phone: '555-0199' });
+      fetchMock.mockResolvedValueOnce(respond(412, {
+        error: 'Record has been modified',
+        record: serverPatient({ phone: '555-0199', updatedAt: '2026-10-18T12:00:01.000Z' }),
+      }));
+
+      expect(await pushChanges('manual')).toEqual({ pushed: 1, conflicts: 0, deadLettered: 0, retryAt: null });
+      expect(await memoryDb.syncConflicts.count()).toBe(0);
+    });
+
+    it('stores a conflict for the user when the record changed on the server', async () => {
+      await editPatientOffline({ phone: '555-0199' });
+      const remote = serverPatient({ phone: '555-0142', updatedAt: '2026-10-18T11:00:00.000Z' });
+      fetchMock.mockResolvedValueOnce(respond(412, { error: 'Record has been modified', record: remote }));
+
+      expect(await pushChanges('manual')).toEqual({ pushed: 0, conflicts: 1, deadLettered: 0, retryAt: null });
+
+      const [conflict] = await memoryDb.syncConflicts.toArray();
+      expect(conflict).toMatchObject({
+        entityType: 'patients',
+        recordId: 'patient-1',
+        reason: 'modified',
+        local: { phone: '555-0199' },
+        remote,
+      });
+      expect(await memoryDb.pendingChanges.count()).toBe(0);
+    });
+
+    it('stores a conflict when the record was deleted on the server', async () => {
+      await editPatientOffline({ phone: '555-0199' });
+      fetchMock.mockResolvedValueOnce(respond(404, { error: 'Patient not found' }));
+
+      await pushChanges('manual');
+
+      const [conflict] = await memoryDb.syncConflicts.toArray();
+      expect(conflict).toMatchObject({ reason: 'deleted', remote: null });
+    });
+
+    it('stores changes the server refuses as conflicts', async () => {
+      await recordChange('appointments', 'create', { id: 'appointment-1' });
+      fetchMock.mockResolvedValueOnce(respond(409, { error: 'Time slot is already booked' }));
+
+      await pushChanges('manual');
+
+      const [conflict] = await memoryDb.syncConflicts.toArray();
+      expect(conflict).toMatchObject({ reason: 'rejected', message: 'Time slot is already booked' });
+    });
+
+    it('keeps the change pending when the server cannot be reached', async () => {
+      await recordChange('patients', 'create', patient);
+      fetchMock.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+      await expect(pushChanges('manual')).rejects.toMatchObject({ status: 0 });
+      expect(await memoryDb.pendingChanges.count()).toBe(1);
+    });
+
+    describe('last-writer-wins', () => {
+      it('overwrites an older server change with the local edit', async () => {
+        await editPatientOffline({ phone: '555-0199' });
+        const remote = serverPatient({ phone: '555-0142', updatedAt: '2026-10-18T11:00:00.000Z' });
+        fetchMock
+          .mockResolvedValueOnce(respond(412, { error: 'Record has been modified', record: remote }))
+          .mockResolvedValueOnce(respond(200, serverPatient({ phone: '555-0199', updatedAt: '2026-10-18T12:00:01.000Z' })));
+
+        expect(await pushChanges('last-writer-wins')).toEqual({ pushed: 1, conflicts: 0, deadLettered: 0, retryAt: null });
+
+        const [, init] = fetchMock.mock.calls[1];
+        expect(init.method).toBe('PUT');
+        expect(init.headers['If-Match']).toBeUndefined();
+        expect((await memoryDb.patients.get('patient-1')).phone).toBe('555-0199');
+      });
+
+      it('keeps a newer server change', async () => {
+        await editPatientOffline({ phone: '555-0199' });
+        const remote = serverPatient({ phone: '555-0142', updatedAt: '2026-10-18T12:30:00.000Z' });
+        fetchMock.mockResolvedValueOnce(respond(412, { error: 'Record has been modified', record: remote }));
+
+        expect(await pushChanges('last-writer-wins')).toEqual({ pushed: 1, conflicts: 0, deadLettered: 0, retryAt: null });
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+        expect((await memoryDb.patients.get('patient-1')).phone).toBe('555-0142');
+        expect(await memoryDb.syncConflicts.count()).toBe(0);
+      });
+    });
+  });
+
+  describe('retries', () => {
+    const serverError = () => respond(500, { error: 'Failed to update patient' });
+
+    it('backs off a change the server fails on and stops the queue at it', async () => {
+      await editPatientOffline({ phone: '555-0199' });
+      await recordChange('visits', 'create', { id: 'visit-1' });
+      fetchMock.mockResolvedValueOnce(serverError());
+
+      await expect(pushChanges('manual')).rejects.toMatchObject({ status: 500 });
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      const change = (await memoryDb.pendingChanges.toArray()).find(item => item.recordId === 'patient-1');
+      expect(change).toMatchObject({ attempts: 1, lastError: 'Failed to update patient' });
+      expect(change.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+      // Not due yet: nothing is sent, and the visit does not overtake the patient
+      fetchMock.mockClear();
+      expect(await pushChanges('manual')).toEqual({ pushed: 0, conflicts: 0, deadLettered: 0, retryAt: change.nextAttemptAt });
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('retries at once when asked to', async () => {
+      await editPatientOffline({ phone: '555-0199' });
+      fetchMock
+        .mockResolvedValueOnce(serverError())
+        .mockResolvedValueOnce(respond(200, serverPatient({ phone: '555-0199', updatedAt: '2026-10-18T12:00:01.000Z' })));
+      await expect(pushChanges('manual')).rejects.toThrow();
+
+      expect(await pushChanges('manual', true)).toMatchObject({ pushed: 1 });
+      expect(await memoryDb.pendingChanges.count()).toBe(0);
+    });
+
+    it('does not count failures to reach the server', async () => {
+      await editPatientOffline({ phone: '555-0199' });
+      fetchMock.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+      await expect(pushChanges('manual')).rejects.toMatchObject({ status: 0 });
+
+      const [change] = await memoryDb.pendingChanges.toArray();
+      expect(change.attempts).toBeUndefined();
+    });
+
+    it('sets a change aside after its last attempt and pushes the rest', async () => {
+      await editPatientOffline({ phone: '555-0199' });
+      await recordChange('visits', 'create', { id: 'visit-1' });
+      const [patientChange] = await memoryDb.pendingChanges.toArray();
+      await memoryDb.pendingChanges.update(patientChange.id, { attempts: MAX_PUSH_ATTEMPTS - 1 });
+      fetchMock
+        .mockResolvedValueOnce(serverError())
+        .mockResolvedValueOnce(respond(201, { id: 'visit-1', updatedAt: '2026-10-18T12:00:01.000Z' }));
+
+      expect(await pushChanges('manual')).toEqual({ pushed: 1, conflicts: 0, deadLettered: 1, retryAt: null });
+
+      const [letter] = await memoryDb.deadLetters.toArray();
+      expect(letter).toMatchObject({
+        recordId: 'patient-1',
+        attempts: MAX_PUSH_ATTEMPTS,
+        lastError: 'Failed to update patient',
+        failedAt: new Date('2026-10-18T12:00:00Z'),
+      });
+      expect(await memoryDb.pendingChanges.count()).toBe(0);
+    });
+
+    it('leaves records with a dead letter alone when pulling', async () => {
+      await memoryDb.deadLetters.put({ id: 'change-1', entityType: 'patients', recordId: 'patient-1', action: 'update' });
+      fetchMock.mockResolvedValueOnce(respond(200, {
+        changes: [{ entityType: 'patients', action: 'upsert', id: 'patient-1', record: serverPatient() }],
+        cursor: 'cursor-1',
+        hasMore: false,
+      }));
+
+      expect(await pullChanges()).toBe(0);
+    });
+
+    it('puts the server copy back when a dead letter is discarded', async () => {
+      await memoryDb.patients.put({ ...patient, phone: '555-0199' });
+      await memoryDb.deadLetters.put({ id: 'change-1', entityType: 'patients', recordId: 'patient-1', action: 'update' });
+      fetchMock.mockResolvedValueOnce(respond(200, serverPatient()));
+
+      await discardDeadLetter('change-1');
+
+      expect(fetchMock.mock.calls[0][0]).toBe('/api/patients/patient-1');
+      expect((await memoryDb.patients.get('patient-1')).phone).toBe('555-0100');
+      expect(await memoryDb.deadLetters.count()).toBe(0);
+    });
+  });
+
+  describe('pullChanges', () => {
+    it('applies the feed page by page and keeps the cursor', async () => {
+      await memoryDb.patients.put({ id: 'patient-2', name: 'John Doe' });
+      await memoryDb.visits.put({ id: 'visit-2', patientId: 'patient-2' });
+      fetchMock
+        .mockResolvedValueOnce(respond(200, {
+          changes: [{ entityType: 'patients', action: 'upsert', id: 'patient-1', record: serverPatient() }],
+          cursor: 'cursor-1',
+          hasMore: true,
+        }))
+        .mockResolvedValueOnce(respond(200, {
+          changes: [{ entityType: 'patients', action: 'delete', id: 'patient-2' }],
+          cursor: 'cursor-2',
+          hasMore: false,
+        }));
+
+      expect(await pullChanges()).toBe(2);
+
+      expect(fetchMock.mock.calls[0][0]).toBe('/api/sync/changes?limit=500');
+      expect(fetchMock.mock.calls[1][0]).toBe('/api/sync/changes?limit=500&since=cursor-1');
+      expect((await memoryDb.patients.get('patient-1')).updatedAt).toEqual(new Date('2026-10-01T09:00:00Z'));
+      expect(await memoryDb.patients.get('patient-2')).toBeUndefined();
+      expect(await memoryDb.visits.get('visit-2')).toBeUndefined();
+      expect((await memoryDb.syncState.get('cursor')).value).toBe('cursor-2');
+    });
+
+    it('leaves records with a pending change alone', async () => {
+      const edited = await editPatientOffline({ phone: '555-0199' });
+      fetchMock.mockResolvedValueOnce(respond(200, {
+        changes: [{ entityType: 'patients', action: 'upsert', id: 'patient-1', record: serverPatient({ phone: '555-0142' }) }],
+        cursor: 'cursor-1',
+        hasMore: false,
+      }));
+
+      expect(await pullChanges()).toBe(0);
+      expect((await memoryDb.patients.get('patient-1')).phone).toBe(edited.phone);
+    });
+  });
+
+  describe('syncNow', () => {
+    it('pushes with the stored policy, then pulls', async () => {
+      await setConflictPolicy('last-writer-wins');
+      await editPatientOffline({ phone: '555-0199' });
+      fetchMock
+        .mockResolvedValueOnce(respond(412, {
+          error: 'Record has been modified',
+          record: serverPatient({ phone: '555-0142', updatedAt: '2026-10-18T12:30:00.000Z' }),
+        }))
+        .mockResolvedValueOnce(respond(200, emptyFeed));
+
+      expect(await syncNow()).toEqual({ pushed: 1, pulled: 0, conflicts: 0, deadLettered: 0, retryAt: null, pending: 0 });
+    });
+  });
+
+  describe('resolveConflict', () => {
+    const storeModifiedConflict = async () => {
+      await editPatientOffline({ phone: '555-0199', name: 'Jane Roe' });
+      const remote = serverPatient({ phone: '555-0142', updatedAt: '2026-10-18T11:00:00.000Z' });
+      fetchMock.mockResolvedValueOnce(respond(412, { error: 'Record has been modified', record: remote }));
+      await pushChanges('manual');
+      const [conflict] = await memoryDb.syncConflicts.toArray();
+      return conflict;
+    };
+
+    it('keeps the server version', async () => {
+      const conflict = await storeModifiedConflict();
+
+      await resolveConflict(conflict.id, 'remote');
+
+      expect(await memoryDb.syncConflicts.count()).toBe(0);
+      expect(await memoryDb.pendingChanges.count()).toBe(0);
+      expect(await memoryDb.patients.get('patient-1')).toMatchObject({ name: 'Jane Doe', phone: '555-0142' });
+    });
+
+    it('queues a merge on top of the server version', async () => {
+      const conflict = await storeModifiedConflict();
+
+      await resolveConflict(conflict.id, { phone: '555-0142' });
+
+      expect(await memoryDb.syncConflicts.count()).toBe(0);
+      expect(await memoryDb.patients.get('patient-1')).toMatchObject({ name: 'Jane Roe', phone: '555-0142' });
+      const [change] = await memoryDb.pendingChanges.toArray();
+      expect(change).toMatchObject({
+        action: 'update',
+        data: { name: 'Jane Roe', phone: '555-0142' },
+        baseVersion: '2026-10-18T11:00:00.000Z',
+      });
+    });
+
+    it('recreates a record deleted on the server when the local version is kept', async () => {
+      await editPatientOffline({ phone: '555-0199' });
+      fetchMock.mockResolvedValueOnce(respond(404, { error: 'Patient not found' }));
+      await pushChanges('manual');
+      const [conflict] = await memoryDb.syncConflicts.toArray();
+
+      await resolveConflict(conflict.id, 'local');
+
+      const [change] = await memoryDb.pendingChanges.toArray();
+      expect(change).toMatchObject({ action: 'create', recordId: 'patient-1', baseVersion: null });
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * In-memory stand-in for the Dexie tables the sync and vault modules use
+ */
+
+// Rows are read back as loosely as Dexie's own tables
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export type Row = Record<string, any>;
+
+export interface MemoryTable {
+  rows: Map<string, Row>;
+  get(key: string): Promise<Row | undefined>;
+  put(row: Row): Promise<string>;
+  add(row: Row): Promise<string>;
+  update(key: string, changes: Row): Promise<number>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+  bulkPut(rows: Row[]): Promise<void>;
+  toArray(): Promise<Row[]>;
+  count(): Promise<number>;
+  where(field: string): { equals(value: unknown): { toArray(): Promise<Row[]>; first(): Promise<Row | undefined> } };
+  orderBy(field: string): { toArray(): Promise<Row[]> };
+}
+
+const createTable = (primaryKey = 'id'): MemoryTable => {
+  const rows = new Map<string, Row>();
+  const copy = (row: Row) => ({ ...row });
+
+  return {
+    rows,
+    get: async key => (rows.has(key) ? copy(rows.get(key)) : undefined),
+    put: async row => {
+      rows.set(row[primaryKey], copy(row));
+      return row[primaryKey];
+    },
+    add: async row => {
+      if (rows.has(row[primaryKey])) {
+        throw new Error('ConstraintError');
+      }
+      rows.set(row[primaryKey], copy(row));
+      return row[primaryKey];
+    },
+    update: async (key, changes) => {
+      if (!rows.has(key)) {
+        return 0;
+      }
+      rows.set(key, { ...rows.get(key), ...changes });
+      return 1;
+    },
+    delete: async key => {
+      rows.delete(key);
+    },
+    clear: async () => {
+      rows.clear();
+    },
+    bulkPut: async list => {
+      list.forEach(row => rows.set(row[primaryKey], copy(row)));
+    },
+    toArray: async () => [...rows.values()].map(copy),
+    count: async () => rows.size,
+    where: field => ({
+      equals: value => ({
+        toArray: async () => [...rows.values()].filter(row => row[field] === value).map(copy),
+        first: async () => [...rows.values()].filter(row => row[field] === value).map(copy)[0],
+      }),
+    }),
+    orderBy: field => ({
+      toArray: async () => [...rows.values()]
+        .sort((a, b) => new Date(a[field]).getTime() - new Date(b[field]).getTime())
+        .map(copy),
+    }),
+  };
+};
+
+const createTables = () => ({
+  users: createTable(),
+  patients: createTable(),
+  visits: createTable(),
+  providers: createTable(),
+  appointmentTypes: createTable(),
+  timeSlots: createTable(),
+  appointments: createTable(),
+  pendingChanges: createTable(),
+  syncConflicts: createTable(),
+  syncState: createTable('key'),
+  deadLetters: createTable(),
+  keySlots: createTable(),
+});
+
+type MemoryTables = ReturnType<typeof createTables>;
+
+export const createMemoryDb = () => {
+  const tables = createTables();
+  return {
+    ...tables,
+    table: (name: keyof MemoryTables) => tables[name],
+    // Without concurrency there is nothing to isolate
+    transaction: (_mode: string, _tables: unknown, scope: () => Promise<unknown>) => scope(),
+  };
+};
+
+export type MemoryDb = ReturnType<typeof createMemoryDb>;
+
+/**
+ * Empty every table between tests
+ */
+export const clearMemoryDb = (db: MemoryDb) => {
+  Object.values(db).forEach(table => {
+    if (typeof table === 'object') {
+      table.rows.clear();
+    }
+  });
+};
@@ -0,0 +1,118 @@
+/**
+ * Tests for recording local writes as pending changes
+ */
+
+import { db } from '@/lib/db';
+import { SyncedRecord, recordChange } from '@/lib/sync/queue';
+import { clearMemoryDb, MemoryDb } from './memory-db';
+
+jest.mock('uuid', () => {
+  let count = 0;
+  return { v4: () => `change-${++count}` };
+});
+
+jest.mock('@/lib/db', () => ({
+  db: jest.requireActual('./memory-db').createMemoryDb(),
+}));
+
+const memoryDb = db as unknown as MemoryDb;
+
+const patient = {
+  id: 'patient-1',
+  patientId: 'PAT-000001',
+  name: 'Jane Doe',
+  dob: '1990-04-01',
+  gender: 'female',
+  updatedAt: new Date('2026-10-01T09:00:00Z'),
+};
+
+// A record of any of the synced tables
+const record = (fields: Record<string, unknown>) => fields as unknown as SyncedRecord;
+
+const pending = async () => memoryDb.pendingChanges.toArray();
+
+describe('recordChange', () => {
+  beforeEach(() => {
+    clearMemoryDb(memoryDb);
+    jest.useFakeTimers({ now: new Date('2026-10-18T12:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('queues a create without a base version', async () => {
+    await recordChange('patients', 'create', patient);
+
+    const [change] = await pending();
+    expect(change).toMatchObject({
+      entityType: 'patients',
+      action: 'create',
+      recordId: 'patient-1',
+      data: patient,
+      baseVersion: null,
+      timestamp: new Date('2026-10-18T12:00:00Z'),
+    });
+  });
+
+  it('bases an update on the version of the record before the edit', async () => {
+    const edited = { ...patient, phone: '555-0100', updatedAt: new Date('2026-10-18T12:00:00Z') };
+    await recordChange('patients', 'update', edited, patient);
+
+    const [change] = await pending();
+    expect(change).toMatchObject({ action: 'update', data: edited, baseVersion: '2026-10-01T09:00:00.000Z' });
+  });
+
+  it('folds later edits into the pending change, keeping its base version and place in the queue', async () => {
+    await recordChange('patients', 'update', record({ ...patient, phone: '555-0100' }), patient);
+    jest.setSystemTime(new Date('2026-10-18T12:05:00Z'));
+    await recordChange('patients', 'update', record({ ...patient, phone: '555-0199' }), { ...patient, updatedAt: new Date() });
+
+    const changes = await pending();
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({
+      action: 'update',
+      data: { phone: '555-0199' },
+      baseVersion: '2026-10-01T09:00:00.000Z',
+      timestamp: new Date('2026-10-18T12:00:00Z'),
+      editedAt: new Date('2026-10-18T12:05:00Z'),
+    });
+  });
+
+  it('keeps an edited offline record a create', async () => {
+    await recordChange('patients', 'create', patient);
+    await recordChange('patients', 'update', record({ ...patient, name: 'Jane Roe' }), patient);
+
+    const [change] = await pending();
+    expect(change).toMatchObject({ action: 'create', data: { name: 'Jane Roe' }, baseVersion: null });
+  });
+
+  it('drops a record deleted before it reached the server', async () => {
+    await recordChange('patients', 'create', patient);
+    await recordChange('patients', 'delete', patient);
+
+    expect(await pending()).toHaveLength(0);
+  });
+
+  it('turns a pending update into a delete', async () => {
+    await recordChange('patients', 'update', record({ ...patient, phone: '555-0100' }), patient);
+    await recordChange('patients', 'delete', patient);
+
+    const [change] = await pending();
+    expect(change).toMatchObject({ action: 'delete', baseVersion: '2026-10-01T09:00:00.000Z' });
+  });
+
+  it('drops the pending changes of records the server deletes along with a deleted one', async () => {
+    await recordChange('visits', 'create', record({ id: 'visit-1', patientId: 'patient-1' }));
+    await recordChange('visits', 'create', record({ id: 'visit-2', patientId: 'patient-2' }));
+    await recordChange('appointmentTypes', 'update', record({ id: 'type-1', name: 'Consult' }), { id: 'type-1' });
+    await recordChange('appointments', 'create', record({ id: 'appointment-1', appointmentTypeId: 'type-1' }));
+
+    await recordChange('patients', 'delete', patient);
+    await recordChange('appointmentTypes', 'delete', { id: 'type-1' });
+
+    const changes = await pending();
+    expect(changes.map(change => change.recordId).sort()).toEqual(['appointment-1', 'patient-1', 'type-1', 'visit-2']);
+    expect(changes.find(change => change.recordId === 'appointment-1').data.appointmentTypeId).toBeNull();
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for backing off failed pushes and setting poison changes aside
+ */
+
+import { db, PendingChangeType } from '@/lib/db';
+import { recordChange } from '@/lib/sync/queue';
+import {
+  MAX_PUSH_ATTEMPTS,
+  RETRY_BASE_DELAY_MS,
+  RETRY_MAX_DELAY_MS,
+  getRetryDelay,
+  recordPushFailure,
+  retryDeadLetter,
+} from '@/lib/sync/retry';
+import { clearMemoryDb, MemoryDb } from './memory-db';
+
+jest.mock('uuid', () => {
+  let count = 0;
+  return { v4: () => `change-${++count}` };
+});
+
+jest.mock('@/lib/db', () => ({
+  db: jest.requireActual('./memory-db').createMemoryDb(),
+}));
+
+const memoryDb = db as unknown as MemoryDb;
+
+const patient = { id: 'patient-1', updatedAt: new Date('2026-10-01T09:00:00Z') };
+
+describe('getRetryDelay', () => {
+  it('doubles from the base delay up to the maximum', () => {
+    const noJitter = () => 0;
+    expect(getRetryDelay(1, noJitter)).toBe(RETRY_BASE_DELAY_MS);
+    expect(getRetryDelay(2, noJitter)).toBe(RETRY_BASE_DELAY_MS * 2);
+    expect(getRetryDelay(4, noJitter)).toBe(RETRY_BASE_DELAY_MS * 8);
+    expect(getRetryDelay(20, noJitter)).toBe(RETRY_MAX_DELAY_MS);
+  });
+
+  it('adds up to a fifth on top', () => {
+    expect(getRetryDelay(1, () => 0.5)).toBe(RETRY_BASE_DELAY_MS * 1.1);
+    expect(getRetryDelay(1, () => 0.999)).toBeLessThan(RETRY_BASE_DELAY_MS * 1.2);
+  });
+});
+
+describe('recordPushFailure', () => {
+  beforeEach(() => {
+    clearMemoryDb(memoryDb);
+    jest.useFakeTimers({ now: new Date('2026-10-18T12:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('schedules the next attempt', async () => {
+    await recordChange('patients', 'update', patient, patient);
+    const [change] = (await memoryDb.pendingChanges.toArray()) as PendingChangeType[];
+
+    expect(await recordPushFailure(change, 'Server returned status 502')).toBe('retry');
+
+    const [updated] = await memoryDb.pendingChanges.toArray();
+    expect(updated.attempts).toBe(1);
+    expect(updated.lastError).toBe('Server returned status 502');
+    expect(updated.nextAttemptAt.getTime() - Date.now()).toBeGreaterThanOrEqual(RETRY_BASE_DELAY_MS);
+  });
+
+  it('moves the change to the dead letters after its last attempt', async () => {
+    await recordChange('patients', 'update', patient, patient);
+    const [change] = (await memoryDb.pendingChanges.toArray()) as PendingChangeType[];
+    await memoryDb.pendingChanges.update(change.id, { attempts: MAX_PUSH_ATTEMPTS - 1, nextAttemptAt: new Date() });
+
+    expect(await recordPushFailure(change, 'Server returned status 500')).toBe('dead-letter');
+
+    expect(await memoryDb.pendingChanges.count()).toBe(0);
+    const [letter] = await memoryDb.deadLetters.toArray();
+    expect(letter).toMatchObject({ id: change.id, action: 'update', attempts: MAX_PUSH_ATTEMPTS, failedAt: new Date() });
+    expect(letter.nextAttemptAt).toBeUndefined();
+  });
+});
+
+describe('retryDeadLetter', () => {
+  const letter = {
+    id: 'change-0',
+    entityType: 'patients',
+    recordId: 'patient-1',
+    action: 'create',
+    data: patient,
+    baseVersion: null,
+    attempts: MAX_PUSH_ATTEMPTS,
+    timestamp: new Date('2026-10-17T08:00:00Z'),
+    failedAt: new Date('2026-10-17T09:00:00Z'),
+  };
+
+  beforeEach(() => {
+    clearMemoryDb(memoryDb);
+  });
+
+  it('queues the change again with fresh attempts', async () => {
+    await memoryDb.deadLetters.put(letter);
+
+    await retryDeadLetter('change-0');
+
+    const [change] = await memoryDb.pendingChanges.toArray();
+    expect(change).toMatchObject({ id: 'change-0', action: 'create', attempts: 0, timestamp: letter.timestamp });
+    expect(change.failedAt).toBeUndefined();
+    expect(await memoryDb.deadLetters.count()).toBe(0);
+  });
+
+  it('folds later changes of the record into it', async () => {
+    await memoryDb.deadLetters.put(letter);
+    await recordChange('patients', 'update', { ...patient, updatedAt: new Date() }, patient);
+
+    await retryDeadLetter('change-0');
+
+    const changes = await memoryDb.pendingChanges.toArray();
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ action: 'create', baseVersion: null, timestamp: letter.timestamp });
+  });
+
+  it('drops a create whose record has been deleted since', async () => {
+    await memoryDb.deadLetters.put(letter);
+    await recordChange('patients', 'delete', patient);
+
+    await retryDeadLetter('change-0');
+
+    expect(await memoryDb.pendingChanges.count()).toBe(0);
+    expect(await memoryDb.deadLetters.count()).toBe(0);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests for the offline vault's key wrapping and record sealing
+ */
+
+import { webcrypto } from 'crypto';
+import { generateDataKey, openRecord, sealRecord, SEALED_FIELD, unwrapDataKey, wrapDataKey } from '@/lib/vault/crypto';
+
+// jsdom has no SubtleCrypto
+Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true });
+
+// Few PBKDF2 rounds keep the tests fast
+const ITERATIONS = 1000;
+
+const patient = {
+  id: 'patient-1',
+  patientId: 'PAT-0001',
+  name: 'Ada Lovelace',
+  dob: '1815-12-10',
+  updatedAt: new Date('2026-10-01T09:00:00Z'),
+};
+
+describe('wrapDataKey', () => {
+  it('unwraps with the secret it was wrapped with', async () => {
+    const dataKey = await generateDataKey();
+    const slot = await wrapDataKey(dataKey, 'correct horse', ITERATIONS);
+
+    const key = await unwrapDataKey(slot, 'correct horse');
+
+    expect(key).not.toBeNull();
+    expect(key.extractable).toBe(false);
+    const sealed = await sealRecord(dataKey, 'patients', 'id', [], patient);
+    expect(await openRecord(key, 'patients', 'id', sealed)).toEqual(patient);
+  });
+
+  it('gives nothing for another secret', async () => {
+    const slot = await wrapDataKey(await generateDataKey(), 'correct horse', ITERATIONS);
+
+    expect(await unwrapDataKey(slot, 'battery staple')).toBeNull();
+  });
+});
+
+describe('sealRecord', () => {
+  let key: CryptoKey;
+
+  beforeAll(async () => {
+    key = await generateDataKey();
+  });
+
+  it('keeps only the primary key and indexed fields in clear', async () => {
+    const sealed = await sealRecord(key, 'patients', 'id', ['patientId'], patient);
+
+    expect(Object.keys(sealed).sort()).toEqual([SEALED_FIELD, 'id', 'patientId']);
+    const { data } = sealed[SEALED_FIELD] as { data: ArrayBuffer };
+    expect(new TextDecoder().decode(data)).not.toContain('Lovelace');
+  });
+
+  it('opens to the record, dates included', async () => {
+    const sealed = await sealRecord(key, 'patients', 'id', ['patientId'], patient);
+
+    const opened = await openRecord(key, 'patients', 'id', sealed);
+
+    expect(opened).toEqual(patient);
+    expect(opened.updatedAt).toBeInstanceOf(Date);
+  });
+
+  it('does not open a payload moved to another record', async () => {
+    const sealed = await sealRecord(key, 'patients', 'id', ['patientId'], patient);
+
+    await expect(openRecord(key, 'patients', 'id', { ...sealed, id: 'patient-2' })).rejects.toThrow();
+    await expect(openRecord(key, 'visits', 'id', sealed)).rejects.toThrow();
+  });
+
+  it('does not open with another key', async () => {
+    const sealed = await sealRecord(key, 'patients', 'id', [], patient);
+
+    await expect(openRecord(await generateDataKey(), 'patients', 'id', sealed)).rejects.toThrow();
+  });
+
+  it('leaves records that were never sealed as they are', async () => {
+    expect(await openRecord(key, 'patients', 'id', patient)).toBe(patient);
+  });
+});
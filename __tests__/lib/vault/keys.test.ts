@@ -0,0 +1,119 @@
+/**
+ * Tests for key slots: enrolling logins, unlocking, sharing the key and starting over
+ */
+
+import { webcrypto } from 'crypto';
+import { db } from '@/lib/db';
+import { enrolOfflineVault, getKeySlotId, openOfflineVault, unlockOfflineVault, VaultCredential } from '@/lib/vault/keys';
+import { getVaultUser, isVaultUnlocked, setVaultPresent, wipeVaultSession } from '@/lib/vault/session';
+import { clearMemoryDb, MemoryDb } from '../sync/memory-db';
+
+jest.mock('uuid', () => {
+  let count = 0;
+  return { v4: () => `key-${++count}` };
+});
+
+jest.mock('@/lib/db', () => ({
+  db: jest.requireActual('../sync/memory-db').createMemoryDb(),
+}));
+
+// jsdom has no SubtleCrypto
+Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true });
+
+const memoryDb = db as unknown as MemoryDb;
+
+const ada: VaultCredential = { kind: 'password', subject: 'Ada@example.com', secret: 'correct horse' };
+const grace: VaultCredential = { kind: 'password', subject: 'grace@example.com', secret: 'battery staple' };
+const adaUser = { id: 'user-1', email: 'ada@example.com', role: 'DOCTOR' as const };
+
+describe('offline vault key slots', () => {
+  beforeEach(() => {
+    clearMemoryDb(memoryDb);
+    wipeVaultSession(false);
+    setVaultPresent(false);
+    jest.useFakeTimers({ now: new Date('2026-10-18T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('enrols the first login, keeping the records', async () => {
+    await memoryDb.patients.put({ id: 'patient-1', name: 'Ada Lovelace' });
+
+    await enrolOfflineVault(ada, adaUser);
+
+    expect(isVaultUnlocked()).toBe(true);
+    expect(getVaultUser()).toEqual(adaUser);
+    expect(memoryDb.keySlots.rows.has('password:ada@example.com')).toBe(true);
+    expect(await memoryDb.patients.get('patient-1')).toEqual({ id: 'patient-1', name: 'Ada Lovelace' });
+  });
+
+  it('unlocks with the secret of a slot only', async () => {
+    await enrolOfflineVault(ada, adaUser);
+    wipeVaultSession(false);
+
+    expect(await unlockOfflineVault({ ...ada, secret: 'wrong' }, adaUser)).toBe('wrong-secret');
+    expect(await unlockOfflineVault(grace, null)).toBe('no-slot');
+    expect(isVaultUnlocked()).toBe(false);
+
+    expect(await unlockOfflineVault(ada, adaUser)).toBe('unlocked');
+    expect(isVaultUnlocked()).toBe(true);
+  });
+
+  it('gives a new login a slot of the key the page holds', async () => {
+    await enrolOfflineVault(ada, adaUser);
+    await memoryDb.patients.put({ id: 'patient-1', name: 'Ada Lovelace' });
+    await memoryDb.pendingChanges.put({ id: 'change-1', entityType: 'patients', recordId: 'patient-1' });
+    jest.advanceTimersByTime(1000);
+
+    await enrolOfflineVault(grace, null);
+
+    expect(getVaultUser()).toBeNull();
+    expect(await memoryDb.patients.get('patient-1')).toEqual({ id: 'patient-1', name: 'Ada Lovelace' });
+    expect(memoryDb.pendingChanges.rows.size).toBe(1);
+    wipeVaultSession(false);
+
+    // Both slots hold the same, current key
+    expect(await unlockOfflineVault(ada, adaUser)).toBe('unlocked');
+    wipeVaultSession(false);
+    expect(await unlockOfflineVault(grace, null)).toBe('unlocked');
+    expect(await memoryDb.patients.get('patient-1')).toEqual({ id: 'patient-1', name: 'Ada Lovelace' });
+  });
+
+  it('refuses a new login while the store holds unsynced changes', async () => {
+    await enrolOfflineVault(ada, adaUser);
+    await memoryDb.pendingChanges.put({ id: 'change-1', entityType: 'patients', recordId: 'patient-1' });
+    wipeVaultSession(false);
+
+    await expect(enrolOfflineVault(grace, null)).rejects.toThrow('have not been synced');
+    expect(isVaultUnlocked()).toBe(false);
+    expect(memoryDb.pendingChanges.rows.size).toBe(1);
+  });
+
+  it('starts over for a new login when everything is synced', async () => {
+    await enrolOfflineVault(ada, adaUser);
+    await memoryDb.patients.put({ id: 'patient-1', name: 'Ada Lovelace' });
+    await memoryDb.syncState.put({ key: 'cursor', value: 'abc' });
+    wipeVaultSession(false);
+    jest.advanceTimersByTime(1000);
+
+    await enrolOfflineVault(grace, null);
+
+    expect(memoryDb.patients.rows.size).toBe(0);
+    expect(await memoryDb.syncState.get('cursor')).toBeUndefined();
+    wipeVaultSession(false);
+
+    // The first login's slot still knows its secret, and gets the new key when it signs in again
+    expect(await unlockOfflineVault(ada, adaUser)).toBe('stale');
+    expect(isVaultUnlocked()).toBe(false);
+    jest.advanceTimersByTime(1000);
+    await openOfflineVault(ada, adaUser);
+    expect(isVaultUnlocked()).toBe(true);
+    expect(await unlockOfflineVault(ada, adaUser)).toBe('unlocked');
+  });
+
+  it('names slots by kind and lower-case subject', () => {
+    expect(getKeySlotId({ kind: 'wallet', subject: '0xAbC' })).toBe('wallet:0xabc');
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Tests for sealing records on their way through Dexie
+ */
+
+import { webcrypto } from 'crypto';
+import { DBCore, DBCoreCursor, DBCoreIndex, DBCoreTable } from 'dexie';
+import { generateDataKey, SEALED_FIELD } from '@/lib/vault/crypto';
+import { createVaultMiddleware } from '@/lib/vault/middleware';
+import { lockVaultSession, setVaultPresent, unlockVaultSession, wipeVaultSession } from '@/lib/vault/session';
+
+jest.unmock('dexie');
+
+// jsdom has no SubtleCrypto
+Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true });
+
+type Row = Record<string, unknown>;
+
+const index = (keyPath: string | null): DBCoreIndex => ({
+  name: keyPath,
+  keyPath,
+  isPrimaryKey: keyPath === 'id',
+  extractKey: (value: Row) => value[keyPath ?? 'id'],
+});
+
+// The IndexedDB end of the stack, keeping rows as they are written
+function createStoredTable(name: string, rows: Map<string, Row>): DBCoreTable {
+  const ordered = () => [...rows.values()];
+  return {
+    name,
+    schema: { name, primaryKey: index('id'), indexes: [index('patientId')], getIndexByKeyPath: () => undefined },
+    mutate: async req => {
+      if (req.type === 'add' || req.type === 'put') {
+        req.values.forEach(value => rows.set(value.id, value));
+      } else if (req.type === 'delete') {
+        req.keys.forEach(key => rows.delete(key));
+      } else {
+        rows.clear();
+      }
+      return { numFailures: 0, failures: {}, lastResult: undefined };
+    },
+    get: async req => rows.get(req.key),
+    getMany: async req => req.keys.map(key => rows.get(key)),
+    query: async req => ({ result: req.values === false ? [...rows.keys()] : ordered() }),
+    openCursor: async () => {
+      const values = ordered();
+      let position = 0;
+      let onNext: () => void;
+      let resolveDone: (value?: unknown) => void;
+      let rejectDone: (error: Error) => void;
+      const cursor = {
+        get value() {
+          return values[position];
+        },
+        get done() {
+          return position >= values.length;
+        },
+        continue: () => {
+          position += 1;
+          if (position < values.length) {
+            onNext();
+          } else {
+            resolveDone();
+          }
+        },
+        fail: (error: Error) => rejectDone(error),
+        start: (next: () => void) => new Promise((resolve, reject) => {
+          onNext = next;
+          resolveDone = resolve;
+          rejectDone = reject;
+          next();
+        }),
+      };
+      return values.length ? (cursor as unknown as DBCoreCursor) : null;
+    },
+    count: async () => rows.size,
+  };
+}
+
+const trans = { abort: () => {} };
+const anyRange = { type: 3, lower: undefined, upper: undefined } as const;
+
+describe('createVaultMiddleware', () => {
+  let stored: Map<string, Row>;
+  let patients: DBCoreTable;
+  let users: DBCoreTable;
+
+  const patient = { id: 'patient-1', patientId: 'PAT-0001', name: 'Ada Lovelace', dob: '1815-12-10' };
+
+  beforeEach(async () => {
+    stored = new Map();
+    const storedUsers = new Map<string, Row>();
+    const down = {
+      stack: 'dbcore',
+      table: (name: string) => createStoredTable(name, name === 'users' ? storedUsers : stored),
+    } as unknown as DBCore;
+    const core = createVaultMiddleware().create(down) as DBCore;
+    patients = core.table('patients');
+    users = core.table('users');
+
+    unlockVaultSession(await generateDataKey(), null);
+  });
+
+  afterEach(() => {
+    wipeVaultSession(false);
+    setVaultPresent(false);
+  });
+
+  it('stores patient details sealed, with the indexed fields in clear', async () => {
+    await patients.mutate({ type: 'put', trans, values: [patient] });
+
+    const row = stored.get('patient-1');
+    expect(row).toEqual({ id: 'patient-1', patientId: 'PAT-0001', [SEALED_FIELD]: expect.anything() });
+  });
+
+  it('opens records read by key, by query and by cursor', async () => {
+    await patients.mutate({ type: 'add', trans, values: [patient] });
+
+    expect(await patients.get({ trans, key: 'patient-1' })).toEqual(patient);
+    expect(await patients.getMany({ trans, keys: ['patient-1', 'missing'] })).toEqual([patient, undefined]);
+    expect((await patients.query({ trans, values: true, query: { index: index('id'), range: anyRange } })).result).toEqual([patient]);
+
+    const cursor = await patients.openCursor({ trans, values: true, query: { index: index('id'), range: anyRange } });
+    const seen: unknown[] = [];
+    await cursor.start(() => {
+      seen.push(cursor.value);
+      cursor.continue();
+    });
+    expect(seen).toEqual([patient]);
+  });
+
+  it('leaves tables without PHI alone', async () => {
+    const user = { id: 'user-1', email: 'ada@example.com', role: 'DOCTOR' };
+
+    await users.mutate({ type: 'put', trans, values: [user] });
+
+    expect(await users.get({ trans, key: 'user-1' })).toEqual(user);
+  });
+
+  it('refuses sealed records while the store is locked, except to delete them', async () => {
+    await patients.mutate({ type: 'put', trans, values: [patient] });
+    lockVaultSession();
+
+    await expect(patients.get({ trans, key: 'patient-1' })).rejects.toThrow('locked');
+    await expect(patients.mutate({ type: 'put', trans, values: [patient] })).rejects.toThrow('locked');
+
+    await patients.mutate({ type: 'delete', trans, keys: ['patient-1'] });
+    expect(stored.size).toBe(0);
+  });
+
+  it('writes records in clear until the store has a key slot', async () => {
+    wipeVaultSession(false);
+    setVaultPresent(false);
+
+    await patients.mutate({ type: 'put', trans, values: [patient] });
+
+    expect(stored.get('patient-1')).toEqual(patient);
+  });
+});
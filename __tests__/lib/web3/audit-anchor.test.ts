@@ -0,0 +1,64 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for anchoring audit chain heads on FHIRAccessControl, against an
+ * in-process Hardhat network
+ */
+
+import { ethers } from 'ethers';
+import artifact from '@/artifacts/contracts/FHIRAccessControl.sol/FHIRAccessControl.json';
+import { connectFHIRAccessControl } from '@/lib/web3/generated/FHIRAccessControl';
+import { anchorAuditLog, isAuditRootAnchored } from '@/lib/web3/audit-anchor';
+import { getAuditLeafHash, getMerkleRoot } from '@/lib/audit-log';
+
+jest.setTimeout(60000);
+
+const heads = [
+  { ownerId: '0x3c44cdddb6a900fa2b585dd299e03d12fa4293bc', sequence: 2, hash: ethers.id('entry-2') },
+  { ownerId: '0x70997970c51812dc3a010c7d01b50e0d17dc79c8', sequence: 5, hash: ethers.id('entry-5') },
+];
+
+function createPrisma() {
+  const anchors: any[] = [];
+  return {
+    anchors,
+    auditEntry: {
+      findMany: async () => heads,
+    },
+    auditAnchor: {
+      findUnique: async ({ where }: any) => anchors.find(anchor => anchor.root === where.root) || null,
+      create: async ({ data }: any) => {
+        anchors.push(data);
+        return data;
+      },
+    },
+  };
+}
+
+describe('anchorAuditLog', () => {
+  it('anchors the chain heads once and records the anchor', async () => {
+    const hre = require('hardhat');
+    const provider = new ethers.BrowserProvider(hre.network.provider, undefined, { cacheTimeout: -1 });
+    const signer = await provider.getSigner(0);
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+    const deployed = await factory.deploy();
+    await deployed.waitForDeployment();
+    const contract = connectFHIRAccessControl(await deployed.getAddress(), signer);
+
+    const prisma = createPrisma();
+    const result = await anchorAuditLog(prisma, contract);
+
+    const root = getMerkleRoot(heads.map(getAuditLeafHash));
+    expect(result).toMatchObject({ root, leafCount: 2 });
+    expect(await isAuditRootAnchored(contract, root)).toBe(true);
+    expect(prisma.anchors[0]).toMatchObject({
+      root,
+      chainId: 1337,
+      transactionHash: result.transactionHash,
+      leaves: JSON.stringify(heads),
+    });
+
+    // No new entries since the last anchor
+    expect(await anchorAuditLog(prisma, contract)).toBeNull();
+  });
+});
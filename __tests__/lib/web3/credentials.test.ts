@@ -0,0 +1,215 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for Verifiable Credential issuance and verification
+ * (ethers hashing rejects jsdom's Uint8Array, so these run in the node environment)
+ */
+
+import { ethers } from 'ethers';
+import {
+  appendKeyBinding,
+  createHolderProofMessage,
+  createKeyBindingInput,
+  getAddressFromDid,
+  getEthereumDid,
+  getIssuerDid,
+  issueHealthRecordCredential,
+  selectDisclosures,
+  verifyHealthRecordCredential,
+  verifyHolderProof,
+  verifyKeyBinding,
+} from '@/lib/web3/credentials';
+import { FHIRBundle } from '@/lib/fhir/types';
+
+const ISSUER_KEY = '0x0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef';
+const holderWallet = new ethers.Wallet('0xfedcba9876543210fedcba9876543210fedcba9876543210fedcba9876543210');
+const HOLDER = getEthereumDid(holderWallet.address, '0x89');
+
+const bundle: FHIRBundle = {
+  resourceType: 'Bundle',
+  type: 'collection',
+  timestamp: '2024-03-20T10:30:00.000Z',
+  entry: [
+    {
+      fullUrl: 'Patient/pat-1',
+      resource: {
+        resourceType: 'Patient',
+        id: 'pat-1',
+        birthDate: '1985-02-10',
+        address: [{ text: '1 Main St' }],
+      } as any,
+    },
+    { fullUrl: 'Condition/cond-1', resource: { resourceType: 'Condition', id: 'cond-1' } as any },
+    { fullUrl: 'AllergyIntolerance/allergy-1', resource: { resourceType: 'AllergyIntolerance', id: 'allergy-1' } as any },
+  ],
+};
+
+const encodePayload = (payload: any) =>
+  ethers.encodeBase64(ethers.toUtf8Bytes(JSON.stringify(payload))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const decodePayload = (jws: string) =>
+  JSON.parse(ethers.toUtf8String(ethers.decodeBase64(jws.split('.')[1].replace(/-/g, '+').replace(/_/g, '/'))));
+
+describe('Verifiable Credentials', () => {
+  it('should build did:pkh DIDs from MetaMask chain ids', () => {
+    expect(HOLDER).toBe(`did:pkh:eip155:137:${holderWallet.address}`);
+    expect(getAddressFromDid(HOLDER)).toBe(holderWallet.address);
+    expect(getAddressFromDid('did:web:example.com')).toBeNull();
+  });
+
+  describe('W3C VC (vc+jwt)', () => {
+    it('should issue a credential that verifies against the issuer DID', () => {
+      const issued = issueHealthRecordCredential(ISSUER_KEY, {
+        bundle,
+        holder: HOLDER,
+        patientReference: 'Patient/pat-1',
+        expiresIn: 3600,
+      }, 137);
+
+      const payload = decodePayload(issued.credential);
+      expect(payload.type).toEqual(['VerifiableCredential', 'HealthRecordCredential']);
+      expect(payload.issuer).toBe(getIssuerDid(ISSUER_KEY, 137));
+      expect(payload.credentialSubject).toEqual({ id: HOLDER, patient: 'Patient/pat-1', fhirBundle: bundle });
+
+      const result = verifyHealthRecordCredential(issued.credential, {
+        trustedIssuers: [issued.issuer],
+        bundle: JSON.parse(JSON.stringify(bundle)),
+      });
+
+      expect(result.errors).toEqual([]);
+      expect(result.valid).toBe(true);
+      expect(result.format).toBe('jwt_vc');
+      expect(result.holder).toBe(HOLDER);
+      expect(result.bundle).toEqual(bundle);
+    });
+
+    it('should reject tampered payloads, other issuers and expired credentials', () => {
+      const issued = issueHealthRecordCredential(ISSUER_KEY, { bundle, holder: HOLDER, expiresIn: 60 });
+      const [header, , signature] = issued.credential.split('.');
+      const payload = decodePayload(issued.credential);
+      payload.credentialSubject.fhirBundle.entry.pop();
+      const tampered = `${header}.${encodePayload(payload)}.${signature}`;
+
+      expect(verifyHealthRecordCredential(tampered).errors).toContain('Signature does not match the issuer');
+      expect(verifyHealthRecordCredential(issued.credential, { trustedIssuers: [HOLDER] }).valid).toBe(false);
+      expect(verifyHealthRecordCredential(issued.credential, { now: new Date(Date.now() + 120000) }).errors)
+        .toContain('Credential has expired');
+    });
+
+    it('should detect shared records that differ from the signed Bundle', () => {
+      const issued = issueHealthRecordCredential(ISSUER_KEY, { bundle, holder: HOLDER });
+
+      const result = verifyHealthRecordCredential(issued.credential, {
+        bundle: { ...bundle, entry: bundle.entry.slice(1) },
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Shared records do not match the signed credential');
+    });
+  });
+
+  describe('SD-JWT VC', () => {
+    it('should replace Bundle entries and resource fields with disclosure digests', () => {
+      const issued = issueHealthRecordCredential(ISSUER_KEY, { bundle, holder: HOLDER, format: 'sd_jwt_vc' });
+      const [jws, ...disclosures] = issued.credential.split('~').filter(Boolean);
+      const payload = decodePayload(jws);
+
+      expect(issued.credential.endsWith('~')).toBe(true);
+      // Three entries plus the Patient's birthDate and address
+      expect(disclosures).toHaveLength(5);
+      expect(payload._sd_alg).toBe('sha-256');
+      expect(payload.cnf).toEqual({ kid: HOLDER });
+      expect(payload.fhirBundle.entry.every((entry: any) => Object.keys(entry).join() === '...')).toBe(true);
+      expect(JSON.stringify(payload)).not.toContain('cond-1');
+      expect(JSON.stringify(payload)).not.toContain('1985-02-10');
+
+      const result = verifyHealthRecordCredential(issued.credential, { bundle });
+      expect(result.errors).toEqual([]);
+      expect(result.valid).toBe(true);
+      expect(result.format).toBe('sd_jwt_vc');
+      expect(result.undisclosedEntries).toBe(0);
+      expect(result.undisclosedFields).toBe(0);
+    });
+
+    it('should present only the selected entries and fields', () => {
+      const issued = issueHealthRecordCredential(ISSUER_KEY, { bundle, holder: HOLDER, format: 'sd_jwt_vc' });
+
+      const presented = selectDisclosures(issued.credential, {
+        entries: ['Patient/pat-1', 'AllergyIntolerance/allergy-1'],
+        hiddenFields: { 'Patient/pat-1': ['address'] },
+      });
+      const result = verifyHealthRecordCredential(presented);
+
+      expect(result.valid).toBe(true);
+      expect(result.undisclosedEntries).toBe(1);
+      expect(result.undisclosedFields).toBe(1);
+      expect(result.bundle.entry.map(entry => entry.resource.id)).toEqual(['pat-1', 'allergy-1']);
+      expect(result.bundle.entry[0].resource).toEqual({ resourceType: 'Patient', id: 'pat-1', birthDate: '1985-02-10' });
+      // Patient entry, its birthDate and the allergy entry
+      expect(presented.split('~').filter(Boolean)).toHaveLength(4);
+    });
+
+    it('should reject disclosures from another credential', () => {
+      const issued = issueHealthRecordCredential(ISSUER_KEY, { bundle, holder: HOLDER, format: 'sd_jwt_vc' });
+      const other = issueHealthRecordCredential(ISSUER_KEY, { bundle, holder: HOLDER, format: 'sd_jwt_vc' });
+      const [jws] = issued.credential.split('~');
+      const foreign = other.credential.split('~')[1];
+
+      expect(verifyHealthRecordCredential(`${jws}~${foreign}~`).errors)
+        .toContain('Disclosure is not covered by the issuer signature');
+    });
+  });
+
+  describe('key binding', () => {
+    const options = { audience: 'https://verifier.example/response', nonce: 'n-1' };
+
+    it('should bind a presentation to the holder, verifier and nonce', () => {
+      const issued = issueHealthRecordCredential(ISSUER_KEY, { bundle, holder: HOLDER, format: 'sd_jwt_vc' }, 137);
+      const presentation = selectDisclosures(issued.credential, { entries: ['Patient/pat-1'] });
+      const signingInput = createKeyBindingInput(presentation, options);
+      const presented = appendKeyBinding(presentation, signingInput, holderWallet.signMessageSync(signingInput));
+
+      expect(verifyKeyBinding(presented, HOLDER, options)).toBeNull();
+      expect(verifyKeyBinding(presented, HOLDER, { ...options, audience: 'https://other.example' }))
+        .toBe('Key binding JWT was issued for another request');
+      expect(verifyKeyBinding(presentation, HOLDER, options)).toBe('Presentation has no key binding JWT');
+    });
+
+    it('should reject a key binding over other disclosures or from another wallet', () => {
+      const issued = issueHealthRecordCredential(ISSUER_KEY, { bundle, holder: HOLDER, format: 'sd_jwt_vc' }, 137);
+      const presentation = selectDisclosures(issued.credential, { entries: ['Patient/pat-1'] });
+      const signingInput = createKeyBindingInput(presentation, options);
+      const signature = holderWallet.signMessageSync(signingInput);
+      const widened = selectDisclosures(issued.credential, {});
+
+      expect(verifyKeyBinding(appendKeyBinding(widened, signingInput, signature), HOLDER, options))
+        .toBe('Key binding JWT does not match the disclosures');
+      expect(verifyKeyBinding(
+        appendKeyBinding(presentation, signingInput, new ethers.Wallet(ISSUER_KEY).signMessageSync(signingInput)),
+        HOLDER,
+        options
+      )).toBe('Key binding JWT was not signed by the credential holder');
+    });
+  });
+
+  describe('verifyHolderProof', () => {
+    const issuedAt = '2024-03-20T10:30:00.000Z';
+    const now = new Date('2024-03-20T10:31:00.000Z');
+
+    it('should accept a fresh proof signed by the holder wallet', async () => {
+      const signature = await holderWallet.signMessage(createHolderProofMessage('pat-1', HOLDER, issuedAt));
+
+      expect(verifyHolderProof({ patientId: 'pat-1', holder: HOLDER, issuedAt, signature }, now)).toBeNull();
+    });
+
+    it('should reject proofs for another patient, another wallet or an old timestamp', async () => {
+      const signature = await holderWallet.signMessage(createHolderProofMessage('pat-1', HOLDER, issuedAt));
+      const otherHolder = getEthereumDid(ethers.computeAddress(ISSUER_KEY), 137);
+
+      expect(verifyHolderProof({ patientId: 'pat-2', holder: HOLDER, issuedAt, signature }, now)).not.toBeNull();
+      expect(verifyHolderProof({ patientId: 'pat-1', holder: otherHolder, issuedAt, signature }, now)).not.toBeNull();
+      expect(verifyHolderProof({ patientId: 'pat-1', holder: HOLDER, issuedAt, signature }, new Date('2024-03-21T00:00:00Z')))
+        .toBe('Holder proof has expired, please sign a new request');
+    });
+  });
+});
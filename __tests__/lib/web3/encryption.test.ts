@@ -0,0 +1,108 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for envelope encryption of IPFS payloads
+ * (WebCrypto and ethers need the node environment)
+ */
+
+import { ethers } from 'ethers';
+import {
+  ENVELOPE_VERSION,
+  appendContentKey,
+  decryptEnvelope,
+  decryptPayload,
+  encryptEnvelope,
+  getContentKeyFromHash,
+  getPayloadEncryption,
+  parseEnvelope,
+} from '@/lib/web3/encryption';
+
+const recipient = new ethers.Wallet('0xfedcba9876543210fedcba9876543210fedcba9876543210fedcba9876543210');
+const outsider = new ethers.Wallet('0x0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef');
+
+const payload = {
+  patientId: 'pat-1',
+  fhirBundle: { resourceType: 'Bundle', type: 'collection', entry: [] },
+};
+
+// Version 1 payloads: base64 of IV + AES-GCM ciphertext keyed by SHA-256 of the password
+async function encryptLegacy(data: any, password: string): Promise<string> {
+  const keyData = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(password));
+  const key = await crypto.subtle.importKey('raw', keyData, { name: 'AES-GCM' }, false, ['encrypt']);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const encrypted = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(data)));
+  return Buffer.concat([Buffer.from(iv), Buffer.from(encrypted)]).toString('base64');
+}
+
+describe('Envelope encryption', () => {
+  it('should encrypt for a password with a salted KDF', async () => {
+    const { envelope } = await encryptEnvelope(payload, { password: 'correct horse' });
+
+    expect(envelope.header).toEqual({ typ: 'ehr-wallet+encrypted', v: ENVELOPE_VERSION, enc: 'A256GCM' });
+    expect(envelope.recipients).toHaveLength(1);
+    expect(envelope.recipients[0]).toMatchObject({ type: 'password', kdf: 'PBKDF2-SHA256' });
+    expect(JSON.stringify(envelope)).not.toContain('pat-1');
+
+    await expect(decryptPayload(JSON.stringify(envelope), 'correct horse')).resolves.toEqual(payload);
+    await expect(decryptPayload(envelope, 'wrong password')).rejects.toThrow('Invalid password or corrupted data');
+  });
+
+  it('should use a fresh salt and content key for every envelope', async () => {
+    const first = await encryptEnvelope(payload, { password: 'secret' });
+    const second = await encryptEnvelope(payload, { password: 'secret' });
+
+    expect(first.contentKey).not.toBe(second.contentKey);
+    expect((first.envelope.recipients[0] as any).salt).not.toBe((second.envelope.recipients[0] as any).salt);
+  });
+
+  it('should wrap the content key for recipient public keys', async () => {
+    const { envelope } = await encryptEnvelope(payload, {
+      publicKeys: [recipient.signingKey.publicKey],
+    });
+
+    expect(envelope.recipients[0]).toMatchObject({
+      type: 'ecies-secp256k1',
+      publicKey: recipient.signingKey.compressedPublicKey,
+    });
+    await expect(decryptEnvelope(envelope, { privateKey: recipient.privateKey })).resolves.toEqual(payload);
+    await expect(decryptEnvelope(envelope, { privateKey: outsider.privateKey }))
+      .rejects.toThrow('This data is not encrypted for this key');
+    await expect(decryptEnvelope(envelope, { password: 'secret' }))
+      .rejects.toThrow('This data is not protected by a password');
+  });
+
+  it('should decrypt with the content key carried in the link fragment', async () => {
+    const { envelope, contentKey } = await encryptEnvelope(payload);
+    const link = appendContentKey('https://example.com/ipfs/bafy', contentKey);
+
+    expect(envelope.recipients).toEqual([]);
+    expect(getContentKeyFromHash(new URL(link).hash)).toBe(contentKey);
+    await expect(decryptEnvelope(envelope, { contentKey })).resolves.toEqual(payload);
+  });
+
+  it('should reject envelopes with a modified header', async () => {
+    const { envelope, contentKey } = await encryptEnvelope(payload);
+
+    await expect(decryptEnvelope({ ...envelope, header: { ...envelope.header, v: 3 } }, { contentKey }))
+      .rejects.toThrow('Unsupported encryption format version: 3');
+    await expect(decryptEnvelope({ ...envelope, header: { ...envelope.header, enc: 'A128GCM' as any } }, { contentKey }))
+      .rejects.toThrow('Invalid key or corrupted data');
+  });
+
+  it('should still decrypt legacy password payloads', async () => {
+    const legacy = await encryptLegacy(payload, 'secret');
+
+    expect(getPayloadEncryption(legacy)).toBe('legacy');
+    expect(parseEnvelope(legacy)).toBeNull();
+    await expect(decryptPayload(legacy, 'secret')).resolves.toEqual(payload);
+  });
+
+  it('should recognise unencrypted payloads', async () => {
+    const { envelope } = await encryptEnvelope(payload);
+
+    expect(getPayloadEncryption(payload)).toBeNull();
+    expect(getPayloadEncryption(JSON.stringify(payload))).toBeNull();
+    expect(getPayloadEncryption(envelope)).toBe('envelope');
+    expect(getPayloadEncryption(JSON.stringify(envelope))).toBe('envelope');
+  });
+});
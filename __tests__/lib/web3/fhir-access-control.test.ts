@@ -0,0 +1,170 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for the FHIRAccessControl client and its mock
+ * (ethers needs the node environment)
+ */
+
+import { ethers } from 'ethers';
+import { FHIRAccessControlAbi } from '@/lib/web3/generated/FHIRAccessControl';
+import { FHIRGrantDetails, createFHIRAccessClient, getShareSyncState } from '@/lib/web3/fhir-access-control';
+import { createMockFHIRAccessClient, MockGrantStorage } from '@/lib/web3/mock-contract';
+
+const owner = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const provider = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const outsider = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+
+const createStorage = (): MockGrantStorage => {
+  const items = new Map<string, string>();
+  return {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => { items.set(key, value); },
+  };
+};
+
+describe('createMockFHIRAccessClient', () => {
+  const metadata = { fhirResourceType: 'Bundle', fhirResourceId: 'pat-1', resourceTypes: ['Patient', 'Observation'] };
+
+  it('creates link grants that anyone with the accessId can verify', async () => {
+    const storage = createStorage();
+    const client = createMockFHIRAccessClient({ account: owner, storage });
+    const accessId = await client.createGrant('bafy-cid', 3600, metadata);
+
+    await expect(createMockFHIRAccessClient({ account: outsider, storage }).verifyAccess(accessId)).resolves.toEqual({
+      ipfsCid: 'bafy-cid',
+      fhirResourceType: 'Bundle',
+      fhirResourceId: 'pat-1',
+      resourceTypes: ['Patient', 'Observation'],
+    });
+
+    const details = await client.getGrantDetails(accessId);
+    expect(details).toMatchObject({ owner, fhirVersion: '4.0.1', recipientBound: false, isExpired: false });
+  });
+
+  it('only lets grantees and the owner verify recipient-bound grants', async () => {
+    const storage = createStorage();
+    const client = createMockFHIRAccessClient({ account: owner, storage });
+    const accessId = await client.createGrant('bafy-cid', 3600, { ...metadata, grantees: [provider.toLowerCase()] });
+
+    await expect(createMockFHIRAccessClient({ account: provider, storage }).verifyAccess(accessId)).resolves.toMatchObject({ ipfsCid: 'bafy-cid' });
+    await expect(createMockFHIRAccessClient({ account: outsider, storage }).verifyAccess(accessId)).rejects.toThrow('Caller is not a grantee');
+    await expect(client.verifyAccess(accessId)).resolves.toMatchObject({ ipfsCid: 'bafy-cid' });
+
+    await client.addGrantee(accessId, outsider);
+    await client.removeGrantee(accessId, provider);
+    expect((await client.getGrantDetails(accessId)).grantees).toEqual([outsider]);
+    await expect(createMockFHIRAccessClient({ account: provider, storage }).verifyAccess(accessId)).rejects.toThrow('Caller is not a grantee');
+  });
+
+  it('lists grants by owner and lets only the owner revoke them', async () => {
+    const storage = createStorage();
+    const client = createMockFHIRAccessClient({ account: owner, storage });
+    const first = await client.createGrant('bafy-one', 3600);
+    const second = await client.createGrant('bafy-two', 3600);
+
+    expect(await client.getGrantsByOwner(owner.toLowerCase())).toEqual([first, second]);
+    expect(await client.getGrantsByOwner(outsider)).toEqual([]);
+
+    await expect(createMockFHIRAccessClient({ account: outsider, storage }).revokeGrant(first)).rejects.toThrow('Only owner can perform this action');
+    await client.revokeGrant(first);
+    await expect(client.verifyAccess(first)).rejects.toThrow('Access grant has expired');
+    expect((await client.getGrantDetails(first)).isExpired).toBe(true);
+    await expect(client.verifyAccess(second)).resolves.toMatchObject({ ipfsCid: 'bafy-two' });
+  });
+
+  it('rejects the same inputs as the contract', async () => {
+    const client = createMockFHIRAccessClient({ account: owner, storage: createStorage() });
+
+    await expect(client.createGrant('bafy-cid', 0)).rejects.toThrow('Duration must be positive');
+    await expect(client.createGrant('', 3600)).rejects.toThrow('IPFS CID cannot be empty');
+    await expect(client.createGrant('bafy-cid', 3600, { grantees: [provider, provider] })).rejects.toThrow('Address is already a grantee');
+    await expect(client.getGrantDetails(ethers.ZeroHash)).rejects.toThrow('Access grant does not exist');
+
+    const unbound = await client.createGrant('bafy-cid', 3600);
+    await expect(client.addGrantee(unbound, provider)).rejects.toThrow('Grant is not bound to grantees');
+  });
+});
+
+describe('createFHIRAccessClient', () => {
+  const accessId = ethers.id('grant');
+  const contractInterface = new ethers.Interface(FHIRAccessControlAbi as any);
+
+  const createContract = (overrides: Record<string, jest.Mock> = {}) => {
+    const createdLog = contractInterface.encodeEventLog('FHIRAccessCreated', [accessId, owner, 'bafy-cid', BigInt(1000), 'Bundle', 'pat-1']);
+    const revokedLog = contractInterface.encodeEventLog('FHIRAccessRevoked', [accessId, owner]);
+    const transaction = { wait: jest.fn().mockResolvedValue({ logs: [createdLog] }) };
+    const revokeTransaction = { wait: jest.fn().mockResolvedValue({ hash: ethers.id('revoke'), blockNumber: 42, logs: [revokedLog] }) };
+    return {
+      interface: contractInterface,
+      createFHIRAccess: jest.fn().mockResolvedValue(transaction),
+      createFHIRAccessForGrantees: jest.fn().mockResolvedValue(transaction),
+      revokeFHIRAccess: jest.fn().mockResolvedValue(revokeTransaction),
+      isRecipientBound: jest.fn().mockResolvedValue(false),
+      verifyFHIRAccess: jest.fn().mockResolvedValue(['bafy-cid', 'Bundle', 'pat-1', ['Patient']]),
+      verifyGranteeAccess: jest.fn().mockResolvedValue(['bafy-cid', 'Bundle', 'pat-1', ['Patient']]),
+      ...overrides,
+    } as any;
+  };
+
+  it('creates link grants and returns the event accessId', async () => {
+    const contract = createContract();
+    const client = createFHIRAccessClient(contract);
+
+    await expect(client.createGrant('bafy-cid', 3600, { resourceTypes: ['Patient'] })).resolves.toBe(accessId);
+    expect(contract.createFHIRAccess).toHaveBeenCalledWith('bafy-cid', 3600, 'Bundle', '', '4.0.1', ['Patient']);
+    expect(contract.createFHIRAccessForGrantees).not.toHaveBeenCalled();
+  });
+
+  it('creates recipient-bound grants when grantees are given', async () => {
+    const contract = createContract();
+    const client = createFHIRAccessClient(contract);
+
+    await client.createGrant('bafy-cid', 3600, { grantees: [provider.toLowerCase()], fhirResourceId: 'pat-1' });
+    expect(contract.createFHIRAccessForGrantees).toHaveBeenCalledWith('bafy-cid', 3600, 'Bundle', 'pat-1', '4.0.1', [], [provider]);
+  });
+
+  it('verifies recipient-bound grants as the caller and surfaces revert reasons', async () => {
+    const contract = createContract({
+      isRecipientBound: jest.fn().mockResolvedValue(true),
+      verifyGranteeAccess: jest.fn().mockRejectedValue(Object.assign(new Error('execution reverted'), { reason: 'Caller is not a grantee' })),
+    });
+    const client = createFHIRAccessClient(contract);
+
+    await expect(client.verifyAccess(accessId)).rejects.toThrow('Caller is not a grantee');
+    expect(contract.verifyFHIRAccess).not.toHaveBeenCalled();
+  });
+
+  it('resolves revocations once FHIRAccessRevoked is emitted', async () => {
+    const client = createFHIRAccessClient(createContract());
+    await expect(client.revokeGrant(accessId)).resolves.toEqual({ accessId, transactionHash: ethers.id('revoke'), blockNumber: 42 });
+
+    const silent = createContract({
+      revokeFHIRAccess: jest.fn().mockResolvedValue({ wait: jest.fn().mockResolvedValue({ hash: ethers.id('revoke'), logs: [] }) }),
+    });
+    await expect(createFHIRAccessClient(silent).revokeGrant(accessId)).rejects.toThrow('FHIRAccessRevoked event not found');
+  });
+});
+
+describe('getShareSyncState', () => {
+  const accessId = ethers.id('grant');
+  const expiryTime = new Date(Date.now() + 86400000);
+  const grant = (overrides: Partial<FHIRGrantDetails> = {}) => ({ accessId, expiryTime, isExpired: false, ...overrides }) as FHIRGrantDetails;
+
+  it('flags rows whose grant was revoked on chain, or is still valid after a revoke', () => {
+    const revoked = grant({ isExpired: true, expiryTime: new Date() });
+
+    expect(getShareSyncState({ accessId, isActive: true, expiryTime }, grant())).toBe('in-sync');
+    expect(getShareSyncState({ accessId, isActive: true, expiryTime }, revoked)).toBe('revoked-on-chain');
+    expect(getShareSyncState({ accessId, isActive: false, expiryTime }, grant())).toBe('active-on-chain');
+    expect(getShareSyncState({ accessId, isActive: false, expiryTime }, revoked)).toBe('in-sync');
+    expect(getShareSyncState({ accessId, isActive: true, expiryTime }, undefined)).toBe('missing-on-chain');
+  });
+
+  it('treats natural expiry and direct IPFS shares as in sync', () => {
+    const expiredAt = new Date(Date.now() - 60000);
+    const expired = grant({ isExpired: true, expiryTime: new Date(expiredAt.getTime() - 5000) });
+
+    expect(getShareSyncState({ accessId, isActive: true, expiryTime: expiredAt }, expired)).toBe('in-sync');
+    expect(getShareSyncState({ accessId: 'bafy-cid', isActive: true, expiryTime }, undefined)).toBe('in-sync');
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for the FHIRAccessControl event indexer against an in-process Hardhat
+ * network, with the contract deployed from the committed artifact
+ */
+
+import { ethers } from 'ethers';
+import artifact from '@/artifacts/contracts/FHIRAccessControl.sol/FHIRAccessControl.json';
+import { DEFAULT_INDEXER_CONFIRMATIONS, getCheckpointId, getIndexerConfig, syncGrantEvents } from '@/lib/web3/indexer';
+
+jest.setTimeout(60000);
+
+// Just enough of the Prisma client for the indexer, keeping rows in maps
+function createPrisma() {
+  const tables: Record<string, Map<string, any>> = {
+    sharedMedicalData: new Map(),
+    grantEvent: new Map(),
+    indexerCheckpoint: new Map(),
+  };
+  const keyOf = (where: any) => where.id ?? where.accessId;
+
+  const model = (table: Map<string, any>) => ({
+    findUnique: async ({ where }: any) => table.get(keyOf(where)) || null,
+    upsert: async ({ where, create, update }: any) => {
+      const key = keyOf(where);
+      const row = table.has(key)
+        ? { ...table.get(key), ...update }
+        : { isActive: true, accessCount: 0, ...create };
+      table.set(key, row);
+      return row;
+    },
+    updateMany: async ({ where, data }: any) => {
+      const matches = [...table.values()].filter(row => row.accessId === where.accessId);
+      matches.forEach(row => Object.assign(row, data));
+      return { count: matches.length };
+    },
+  });
+
+  return {
+    tables,
+    sharedMedicalData: model(tables.sharedMedicalData),
+    grantEvent: model(tables.grantEvent),
+    indexerCheckpoint: model(tables.indexerCheckpoint),
+  };
+}
+
+describe('syncGrantEvents', () => {
+  let provider: ethers.BrowserProvider;
+  let owner: ethers.Signer;
+  let contract: ethers.Contract;
+  let contractAddress: string;
+
+  const createGrant = async (cid: string) => {
+    const tx = await contract.createFHIRAccess(cid, 3600, 'Bundle', 'pat-1', '4.0.1', ['Patient']);
+    const receipt = await tx.wait();
+    return receipt.logs.map((log: any) => contract.interface.parseLog(log)).find((event: any) => event?.name === 'FHIRAccessCreated').args.accessId;
+  };
+
+  beforeAll(async () => {
+    // Importing Hardhat starts its in-process network
+    const hre = require('hardhat');
+    // Without the block number cache, each sync sees the blocks mined just before it
+    provider = new ethers.BrowserProvider(hre.network.provider, undefined, { cacheTimeout: -1 });
+    owner = await provider.getSigner(0);
+
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, owner);
+    contract = await factory.deploy() as ethers.Contract;
+    await contract.waitForDeployment();
+    contractAddress = await contract.getAddress();
+  });
+
+  it('upserts created grants and marks revoked ones inactive', async () => {
+    const prisma = createPrisma();
+    const ownerAddress = (await owner.getAddress()).toLowerCase();
+
+    const activeGrant = await createGrant('bafy-one');
+    const revokedGrant = await createGrant('bafy-two');
+    await (await contract.revokeFHIRAccess(revokedGrant)).wait();
+
+    const result = await syncGrantEvents({ provider, contractAddress, prisma, confirmations: 0 });
+
+    expect(result).toMatchObject({ chainId: 1337, fromBlock: 0, events: 3, grants: 2 });
+    expect(prisma.tables.sharedMedicalData.get(activeGrant)).toMatchObject({
+      ipfsCid: 'bafy-one',
+      userId: ownerAddress,
+      isActive: true,
+    });
+
+    const revoked = prisma.tables.sharedMedicalData.get(revokedGrant);
+    expect(revoked).toMatchObject({ ipfsCid: 'bafy-two', isActive: false });
+    expect(revoked.revocationTxHash).toMatch(/^0x[0-9a-f]{64}$/);
+    expect(revoked.revokedAt).toEqual(revoked.expiryTime);
+
+    const events = [...prisma.tables.grantEvent.values()].map(event => [event.event, event.accessId, event.actor]);
+    expect(events).toEqual([
+      ['created', activeGrant, ownerAddress],
+      ['created', revokedGrant, ownerAddress],
+      ['revoked', revokedGrant, ownerAddress],
+    ]);
+
+    const checkpoint = prisma.tables.indexerCheckpoint.get(getCheckpointId(1337, contractAddress));
+    expect(checkpoint.blockNumber).toBe(result.toBlock);
+  });
+
+  it('continues from the checkpoint and keeps client-written fields', async () => {
+    const prisma = createPrisma();
+    await syncGrantEvents({ provider, contractAddress, prisma, confirmations: 0 });
+    const { toBlock } = await syncGrantEvents({ provider, contractAddress, prisma, confirmations: 0 });
+
+    const accessId = await createGrant('bafy-three');
+    await prisma.sharedMedicalData.upsert({
+      where: { accessId },
+      create: { accessId, ipfsCid: 'bafy-three', userId: 'x', dataTypes: 'observations', accessCount: 4 },
+      update: {},
+    });
+
+    const result = await syncGrantEvents({ provider, contractAddress, prisma, batchSize: 1, confirmations: 0 });
+    expect(result).toMatchObject({ fromBlock: toBlock + 1, events: 1, grants: 1 });
+    expect(prisma.tables.sharedMedicalData.get(accessId)).toMatchObject({ dataTypes: 'observations', accessCount: 4 });
+
+    // Nothing new to read
+    expect(await syncGrantEvents({ provider, contractAddress, prisma, confirmations: 0 })).toMatchObject({ events: 0 });
+  });
+
+  it('stays behind the chain head by the given confirmations', async () => {
+    const prisma = createPrisma();
+    const head = await provider.getBlockNumber();
+
+    const result = await syncGrantEvents({ provider, contractAddress, prisma, confirmations: 2 });
+    expect(result.toBlock).toBe(head - 2);
+  });
+
+  it('stays 12 blocks behind the chain head by default', async () => {
+    const prisma = createPrisma();
+    await provider.send('hardhat_mine', ['0x10']);
+    const head = await provider.getBlockNumber();
+
+    const result = await syncGrantEvents({ provider, contractAddress, prisma });
+    expect(result.toBlock).toBe(head - DEFAULT_INDEXER_CONFIRMATIONS);
+  });
+});
+
+describe('getIndexerConfig', () => {
+  afterEach(() => {
+    delete process.env.FHIR_INDEXER_CONFIRMATIONS;
+  });
+
+  it('stays 12 blocks behind unless FHIR_INDEXER_CONFIRMATIONS says otherwise', () => {
+    delete process.env.FHIR_INDEXER_CONFIRMATIONS;
+    expect(getIndexerConfig().confirmations).toBe(12);
+
+    process.env.FHIR_INDEXER_CONFIRMATIONS = '0';
+    expect(getIndexerConfig().confirmations).toBe(0);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for OpenID4VP presentation requests and Presentation Exchange matching
+ * (ethers hashing rejects jsdom's Uint8Array, so these run in the node environment)
+ */
+
+import { ethers } from 'ethers';
+import {
+  appendKeyBinding,
+  createKeyBindingInput,
+  getEthereumDid,
+  getIssuerDid,
+  issueHealthRecordCredential,
+  selectDisclosures,
+} from '@/lib/web3/credentials';
+import {
+  PRESENTATION_TEMPLATES,
+  createAuthorizationRequest,
+  createPresentationSubmission,
+  getRequestedResourceTypes,
+  matchPresentationDefinition,
+  selectForPresentation,
+  verifyPresentation,
+} from '@/lib/web3/presentation';
+import { FHIRBundle } from '@/lib/fhir/types';
+
+const ISSUER_KEY = '0x0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef';
+const holderWallet = new ethers.Wallet('0xfedcba9876543210fedcba9876543210fedcba9876543210fedcba9876543210');
+const HOLDER = getEthereumDid(holderWallet.address, 137);
+const CLIENT_ID = 'http://localhost:3000/api/shared-data/presentation-response';
+const NONCE = 'nonce-123';
+// Credentials are issued at the current time, so the records are dated relative to it
+const NOW = new Date();
+const daysAgo = (days: number) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const bundle: FHIRBundle = {
+  resourceType: 'Bundle',
+  type: 'collection',
+  entry: [
+    { resource: { resourceType: 'Patient', id: 'pat-1', birthDate: '1985-02-10' } as any },
+    { resource: { resourceType: 'Observation', id: 'obs-recent', effectiveDateTime: daysAgo(30) } as any },
+    { resource: { resourceType: 'Observation', id: 'obs-old', effectiveDateTime: daysAgo(500) } as any },
+    { resource: { resourceType: 'Condition', id: 'cond-1' } as any },
+  ],
+};
+
+const definition = PRESENTATION_TEMPLATES['patient-observations-12m'].build(NOW);
+
+const presentSelection = (entries: string[], options = { audience: CLIENT_ID, nonce: NONCE, now: NOW }, holder = HOLDER) => {
+  const issued = issueHealthRecordCredential(ISSUER_KEY, {
+    bundle,
+    holder,
+    patientReference: 'Patient/pat-1',
+    format: 'sd_jwt_vc',
+  }, 137);
+  const presentation = selectDisclosures(issued.credential, { entries });
+  const signingInput = createKeyBindingInput(presentation, options);
+  return appendKeyBinding(presentation, signingInput, holderWallet.signMessageSync(signingInput));
+};
+
+describe('OpenID4VP presentations', () => {
+  it('should build a direct_post authorization request', () => {
+    const request = createAuthorizationRequest({
+      responseUri: CLIENT_ID,
+      nonce: NONCE,
+      state: 'state-1',
+      definition,
+      clientName: 'Demo Clinic',
+    });
+
+    expect(request).toMatchObject({
+      response_type: 'vp_token',
+      response_mode: 'direct_post',
+      client_id: CLIENT_ID,
+      response_uri: CLIENT_ID,
+      client_metadata: { client_name: 'Demo Clinic' },
+    });
+    expect(getRequestedResourceTypes(definition)).toEqual(['Patient', 'Observation']);
+  });
+
+  it('should match input descriptors against the resources of a Bundle', () => {
+    expect(matchPresentationDefinition(definition, bundle)).toEqual({
+      patient: ['Patient/pat-1'],
+      observations: ['Observation/obs-recent'],
+    });
+    expect(selectForPresentation(definition, bundle)).toEqual({
+      entries: ['Patient/pat-1', 'Observation/obs-recent'],
+    });
+  });
+
+  it('should verify a key-bound presentation of the matching records', () => {
+    const vpToken = presentSelection(['Patient/pat-1', 'Observation/obs-recent']);
+
+    const result = verifyPresentation(vpToken, createPresentationSubmission(definition, 'sub-1'), {
+      definition,
+      clientId: CLIENT_ID,
+      nonce: NONCE,
+      trustedIssuers: [getIssuerDid(ISSUER_KEY, 137)],
+      now: NOW,
+    });
+
+    expect(result.errors).toEqual([]);
+    expect(result.valid).toBe(true);
+    expect(result.credential.undisclosedEntries).toBe(2);
+    expect(result.matches.observations).toEqual(['Observation/obs-recent']);
+  });
+
+  it('should reject a presentation bound to another nonce', () => {
+    const vpToken = presentSelection(['Patient/pat-1', 'Observation/obs-recent'], {
+      audience: CLIENT_ID,
+      nonce: 'replayed',
+      now: NOW,
+    });
+
+    const result = verifyPresentation(vpToken, createPresentationSubmission(definition, 'sub-1'), {
+      definition,
+      clientId: CLIENT_ID,
+      nonce: NONCE,
+      trustedIssuers: [getIssuerDid(ISSUER_KEY, 137)],
+      now: NOW,
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain('Key binding JWT was issued for another request');
+  });
+
+  it('should reject a presentation that leaves out a requested descriptor', () => {
+    const vpToken = presentSelection(['Patient/pat-1', 'Observation/obs-old']);
+
+    const result = verifyPresentation(vpToken, createPresentationSubmission(definition, 'sub-1'), {
+      definition,
+      clientId: CLIENT_ID,
+      nonce: NONCE,
+      trustedIssuers: [getIssuerDid(ISSUER_KEY, 137)],
+      now: NOW,
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(["No disclosed record satisfies 'Observations from the last 12 months'"]);
+  });
+
+  it('should reject a submission for another definition', () => {
+    const vpToken = presentSelection(['Patient/pat-1', 'Observation/obs-recent']);
+
+    const result = verifyPresentation(vpToken, { id: 'sub-1', definition_id: 'other', descriptor_map: [] }, {
+      definition,
+      clientId: CLIENT_ID,
+      nonce: NONCE,
+      trustedIssuers: [getIssuerDid(ISSUER_KEY, 137)],
+      now: NOW,
+    });
+
+    expect(result.errors).toContain('Presentation submission does not answer this presentation definition');
+  });
+
+  it('should reject a credential without a holder key', () => {
+    const vpToken = presentSelection(['Patient/pat-1', 'Observation/obs-recent'], undefined, '');
+
+    const result = verifyPresentation(vpToken, createPresentationSubmission(definition, 'sub-1'), {
+      definition,
+      clientId: CLIENT_ID,
+      nonce: NONCE,
+      trustedIssuers: [getIssuerDid(ISSUER_KEY, 137)],
+      now: NOW,
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain('Credential has no holder key to bind the presentation to');
+  });
+
+  it('should reject every credential when no issuer is trusted', () => {
+    const vpToken = presentSelection(['Patient/pat-1', 'Observation/obs-recent']);
+
+    const result = verifyPresentation(vpToken, createPresentationSubmission(definition, 'sub-1'), {
+      definition,
+      clientId: CLIENT_ID,
+      nonce: NONCE,
+      trustedIssuers: [],
+      now: NOW,
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain('No trusted credential issuer is configured');
+  });
+});
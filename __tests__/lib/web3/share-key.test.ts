@@ -0,0 +1,51 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for wallet-derived share keys
+ * (WebCrypto and ethers need the node environment)
+ */
+
+import { ethers } from 'ethers';
+import { decryptEnvelope, encryptEnvelope } from '@/lib/web3/encryption';
+import { deriveShareKey, getShareKeyMessage, isEncryptedForShareKeys } from '@/lib/web3/share-key';
+
+const recipient = new ethers.Wallet('0xfedcba9876543210fedcba9876543210fedcba9876543210fedcba9876543210');
+const outsider = new ethers.Wallet('0x0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef');
+
+const payload = { patientId: 'pat-1', fhirBundle: { resourceType: 'Bundle', type: 'collection', entry: [] } };
+
+// What MetaMask's personal_sign returns for the share key message
+const signShareKeyMessage = (wallet: ethers.Wallet) => wallet.signMessage(getShareKeyMessage(wallet.address));
+
+describe('Share keys', () => {
+  it('should derive the same key from every signature of a wallet', async () => {
+    const first = deriveShareKey(await signShareKeyMessage(recipient));
+    const second = deriveShareKey(await signShareKeyMessage(recipient));
+    const other = deriveShareKey(await signShareKeyMessage(outsider));
+
+    expect(first.privateKey).toBe(second.privateKey);
+    expect(first.privateKey).not.toBe(other.privateKey);
+    expect(first.privateKey).not.toBe(recipient.privateKey);
+  });
+
+  it('should name the wallet in the message', () => {
+    expect(getShareKeyMessage(recipient.address.toLowerCase())).toContain(recipient.address);
+  });
+
+  it('should open envelopes encrypted for the share key, and only with it', async () => {
+    const shareKey = deriveShareKey(await signShareKeyMessage(recipient));
+    const { envelope } = await encryptEnvelope(payload, { publicKeys: [shareKey.compressedPublicKey] });
+
+    expect(isEncryptedForShareKeys(envelope)).toBe(true);
+    await expect(decryptEnvelope(envelope, { privateKey: shareKey.privateKey })).resolves.toEqual(payload);
+    await expect(decryptEnvelope(envelope, { privateKey: recipient.privateKey }))
+      .rejects.toThrow('This data is not encrypted for this key');
+  });
+
+  it('should tell envelopes without share keys apart', async () => {
+    const { envelope } = await encryptEnvelope(payload, { password: 'correct horse' });
+
+    expect(isEncryptedForShareKeys(envelope)).toBe(false);
+    expect(isEncryptedForShareKeys(null)).toBe(false);
+  });
+});
@@ -3,6 +3,7 @@ import { LogOut } from 'lucide-react';
 import { Button } from '@mantine/core';
 import { useRouter } from 'next/router';
 import { hybridSignOut } from '@/lib/auth-compatibility';
+import { getCurrentUser } from '@/lib/offline-auth';
 import { useSession } from 'next-auth/react';
 
 export function LogoutButton() {
@@ -10,11 +11,8 @@ export function LogoutButton() {
   const router = useRouter();
   const { data: session } = useSession();
 
-  // Check if we have either a NextAuth session or localStorage authentication
-  const hasOfflineUser = typeof window !== 'undefined' && (
-    !!localStorage.getItem('currentUser') ||
-    !!localStorage.getItem('patientSession')
-  );
+  // Check if we have either a NextAuth session or a user who unlocked the offline store
+  const hasOfflineUser = !!getCurrentUser();
 
   const isAuthenticated = !!session?.user || hasOfflineUser;
 
@@ -25,6 +23,7 @@ export function LogoutButton() {
   const handleLogout = async () => {
     setIsLoading(true);
     try {
+      // Locks and wipes the offline store's key and cached data before redirecting
       await hybridSignOut('/login');
       // The hybridSignOut will handle the redirect
     } catch (error) {
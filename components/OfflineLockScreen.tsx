@@ -0,0 +1,118 @@
+import { useEffect, useState } from 'react';
+import { useSession } from 'next-auth/react';
+import { Button, Modal, PasswordInput, Stack, Text } from '@mantine/core';
+import { Lock } from 'lucide-react';
+import { db } from '@/lib/db';
+import { unlockWithPassword } from '@/lib/offline-auth';
+import { hybridSignOut, signWalletVaultMessage, unlockWithWallet } from '@/lib/auth-compatibility';
+import { getVaultUser, isVaultLocked, onVaultChange, OfflineVaultError, startIdleLock } from '@/lib/vault/session';
+
+/**
+ * Covers the app while the encrypted offline store is locked for a signed-in
+ * user: after being idle, or after a reload, which forgets the key. Unlocking
+ * takes the user's password or wallet signature again.
+ */
+export function OfflineLockScreen() {
+  const { data: session } = useSession();
+  const [locked, setLocked] = useState(false);
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [isUnlocking, setIsUnlocking] = useState(false);
+
+  useEffect(() => {
+    const update = () => setLocked(isVaultLocked());
+    // Whether the offline store is encrypted is known once the database is open
+    db.open().then(update, (error: unknown) => console.error('Failed to open the offline database:', error));
+    const unsubscribe = onVaultChange(update);
+    const stopIdleLock = startIdleLock();
+
+    return () => {
+      unsubscribe();
+      stopIdleLock();
+    };
+  }, []);
+
+  const user = getVaultUser() ?? session?.user;
+  const walletAddress = user?.ethereumAddress;
+  const email = user?.email;
+
+  if (!locked || !(walletAddress || email)) {
+    return null;
+  }
+
+  const unlock = async (attempt: () => Promise<boolean>) => {
+    setError(null);
+    setIsUnlocking(true);
+    try {
+      if (await attempt()) {
+        setPassword('');
+      } else {
+        setError('Incorrect password');
+      }
+    } catch (error) {
+      console.error('Error unlocking offline data:', error);
+      setError(error instanceof OfflineVaultError ? error.message : 'Could not unlock the offline data. Please try again.');
+    } finally {
+      setIsUnlocking(false);
+    }
+  };
+
+  const unlockWithSignature = () => unlock(async () => {
+    await unlockWithWallet(walletAddress, await signWalletVaultMessage(walletAddress), getVaultUser());
+    return true;
+  });
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    unlock(() => unlockWithPassword(email, password));
+  };
+
+  return (
+    <Modal
+      opened
+      onClose={() => {}}
+      withCloseButton={false}
+      closeOnClickOutside={false}
+      closeOnEscape={false}
+      overlayProps={{ blur: 8 }}
+      centered
+      title="Offline data locked"
+    >
+      <Stack gap="md">
+        <Text size="sm">
+          The patient data stored on this device is encrypted. {walletAddress
+            ? 'Sign the unlock message with your wallet to unlock it.'
+            : `Enter the password for ${email} to unlock it.`}
+        </Text>
+
+        {walletAddress ? (
+          <Button leftSection={<Lock size={16} />} onClick={unlockWithSignature} loading={isUnlocking}>
+            Unlock with wallet
+          </Button>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <Stack gap="sm">
+              <PasswordInput
+                label="Password"
+                value={password}
+                onChange={(e) => setPassword(e.currentTarget.value)}
+                error={error}
+                autoFocus
+                required
+              />
+              <Button type="submit" leftSection={<Lock size={16} />} loading={isUnlocking}>
+                Unlock
+              </Button>
+            </Stack>
+          </form>
+        )}
+
+        {walletAddress && error && <Text size="sm" c="red">{error}</Text>}
+
+        <Button variant="subtle" color="gray" onClick={() => hybridSignOut('/login')}>
+          Sign out
+        </Button>
+      </Stack>
+    </Modal>
+  );
+}
@@ -3,6 +3,7 @@ import { useRouter } from 'next/router';
 import { authenticateOffline } from '@/lib/offline-auth';
 import { initDatabase } from '@/lib/db';
 import { seedOfflineDatabase } from '@/lib/seed-offline-db';
+import { OfflineVaultError } from '@/lib/vault/session';
 
 export function OfflineLoginForm() {
   const [email, setEmail] = useState('');
@@ -46,7 +47,8 @@ export function OfflineLoginForm() {
         setError('Invalid email or password');
       }
     } catch (error) {
-      setError('Authentication failed. Please try again.');
+      // The offline store holds another user's unsynced changes
+      setError(error instanceof OfflineVaultError ? error.message : 'Authentication failed. Please try again.');
       console.error(error);
     } finally {
       setIsLoading(false);
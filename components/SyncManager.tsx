@@ -1,103 +1,412 @@
-import { useEffect, useState } from 'react';
-import { syncPendingChanges } from '@/services/patientService';
-import { db } from '@/lib/db';
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { db, DeadLetterType, SyncConflictType } from '@/lib/db';
+import {
+  SyncError,
+  SyncResult,
+  discardDeadLetter,
+  getConflicts,
+  getDifferingFields,
+  resolveConflict,
+  syncNow,
+} from '@/lib/sync/engine';
+import { getDeadLetters, retryDeadLetter } from '@/lib/sync/retry';
+import { onBackgroundSync, registerPeriodicSync } from '@/lib/sync/background';
+import { isVaultLocked, onVaultChange } from '@/lib/vault/session';
 import { toast } from '@/hooks/use-toast';
 
+const AUTO_SYNC_INTERVAL_MS = 30000;
+
+const ENTITY_LABELS: Record<string, string> = {
+  patients: 'Patient',
+  visits: 'Visit',
+  providers: 'Provider',
+  appointmentTypes: 'Appointment type',
+  timeSlots: 'Time slot',
+  appointments: 'Appointment',
+};
+
+const describeConflict = (conflict: SyncConflictType): string => {
+  const edit = conflict.action === 'delete' ? 'deleted' : 'edited';
+  if (conflict.reason === 'modified') return `was changed on the server after you ${edit} it.`;
+  if (conflict.reason === 'deleted') return `was deleted on the server after you ${edit} it.`;
+  return 'could not be saved: the server refused your change.';
+};
+
+// The name or title of the record, for the conflict's heading
+const getRecordLabel = (conflict: SyncConflictType): string => {
+  const record = conflict.local ?? conflict.remote;
+  return String(record?.name || record?.title || conflict.recordId);
+};
+
+// Tell the user about conflicts and changes set aside by a sync they did not start
+const describeProblems = (result: SyncResult): string | null => {
+  const problems = [
+    result.conflicts > 0 && `${result.conflicts} ${result.conflicts === 1 ? 'change needs' : 'changes need'} your review`,
+    result.deadLettered > 0 && `${result.deadLettered} ${result.deadLettered === 1 ? 'change' : 'changes'} could not be saved`,
+  ].filter(Boolean);
+  return problems.length ? `${problems.join(' and ')}.` : null;
+};
+
+const formatValue = (value: unknown): string => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (value instanceof Date) return value.toLocaleString();
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return new Date(value).toLocaleString();
+  return String(value);
+};
+
+function DeadLetterCard({ letter, onRetry, onDiscard }: {
+  letter: DeadLetterType;
+  onRetry: () => Promise<void>;
+  onDiscard: () => Promise<void>;
+}) {
+  const [isResolving, setIsResolving] = useState(false);
+
+  const resolve = (action: () => Promise<void>) => async () => {
+    setIsResolving(true);
+    try {
+      await action();
+    } finally {
+      setIsResolving(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 rounded border border-gray-200 bg-gray-50 p-3">
+      <p className="text-sm text-gray-900">
+        <span className="font-medium">{ENTITY_LABELS[letter.entityType] || letter.entityType}</span>{' '}
+        {String(letter.data?.name || letter.data?.title || letter.recordId)} could not be{' '}
+        {letter.action === 'create' ? 'created' : letter.action === 'delete' ? 'deleted' : 'updated'} after{' '}
+        {letter.attempts} attempts.
+      </p>
+      {letter.lastError && <p className="mt-1 text-xs text-gray-600">{letter.lastError}</p>}
+      <div className="mt-2 flex gap-2">
+        <button
+          onClick={resolve(onRetry)}
+          disabled={isResolving}
+          className="flex-1 rounded bg-gray-800 px-2 py-1 text-xs font-medium text-white disabled:opacity-50"
+        >
+          Try again
+        </button>
+        <button
+          onClick={resolve(onDiscard)}
+          disabled={isResolving}
+          className="flex-1 rounded border border-gray-300 bg-white px-2 py-1 text-xs font-medium text-gray-800 disabled:opacity-50"
+        >
+          Discard mine
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function ConflictCard({ conflict, onResolve }: {
+  conflict: SyncConflictType;
+  onResolve: (resolution: 'local' | 'remote' | Record<string, unknown>) => Promise<void>;
+}) {
+  const fields = conflict.reason === 'modified' ? getDifferingFields(conflict.local, conflict.remote) : [];
+  // Fields for which the server's value is kept in a merge
+  const [serverFields, setServerFields] = useState<string[]>([]);
+  const [isResolving, setIsResolving] = useState(false);
+
+  const resolve = async (resolution: 'local' | 'remote' | Record<string, unknown>) => {
+    setIsResolving(true);
+    try {
+      await onResolve(resolution);
+    } finally {
+      setIsResolving(false);
+    }
+  };
+
+  const merge = () => resolve(Object.fromEntries(serverFields.map(field => [field, conflict.remote?.[field] ?? null])));
+
+  const toggleField = (field: string, useServer: boolean) =>
+    setServerFields(current => useServer ? [...current, field] : current.filter(name => name !== field));
+
+  return (
+    <div className="mt-3 rounded border border-red-200 bg-red-50 p-3">
+      <p className="text-sm text-gray-900">
+        <span className="font-medium">{ENTITY_LABELS[conflict.entityType] || conflict.entityType}</span>{' '}
+        {getRecordLabel(conflict)}{' '}
+        {describeConflict(conflict)}
+      </p>
+      {conflict.message && <p className="mt-1 text-xs text-red-700">{conflict.message}</p>}
+
+      {fields.length > 0 && (
+        <table className="mt-2 w-full text-xs">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="pr-2">Field</th>
+              <th className="pr-2">Mine</th>
+              <th>Server</th>
+            </tr>
+          </thead>
+          <tbody>
+            {fields.map(field => (
+              <tr key={field} className="align-top">
+                <td className="pr-2 font-medium text-gray-700">{field}</td>
+                <td className="pr-2">
+                  <label className="flex items-start gap-1">
+                    <input
+                      type="radio"
+                      name={`${conflict.id}-${field}`}
+                      checked={!serverFields.includes(field)}
+                      onChange={() => toggleField(field, false)}
+                    />
+                    <span>{formatValue(conflict.local?.[field])}</span>
+                  </label>
+                </td>
+                <td>
+                  <label className="flex items-start gap-1">
+                    <input
+                      type="radio"
+                      name={`${conflict.id}-${field}`}
+                      checked={serverFields.includes(field)}
+                      onChange={() => toggleField(field, true)}
+                    />
+                    <span>{formatValue(conflict.remote?.[field])}</span>
+                  </label>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="mt-2 flex gap-2">
+        <button
+          onClick={() => resolve('local')}
+          disabled={isResolving}
+          className="flex-1 rounded bg-gray-800 px-2 py-1 text-xs font-medium text-white disabled:opacity-50"
+        >
+          {conflict.reason === 'rejected' ? 'Retry mine' : 'Keep mine'}
+        </button>
+        {fields.length > 0 && (
+          <button
+            onClick={merge}
+            disabled={isResolving}
+            className="flex-1 rounded bg-amber-500 px-2 py-1 text-xs font-medium text-white disabled:opacity-50"
+          >
+            Merge
+          </button>
+        )}
+        <button
+          onClick={() => resolve('remote')}
+          disabled={isResolving}
+          className="flex-1 rounded border border-gray-300 bg-white px-2 py-1 text-xs font-medium text-gray-800 disabled:opacity-50"
+        >
+          {conflict.reason === 'rejected' ? 'Discard mine' : 'Use server'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
 export function SyncManager() {
   const [pendingCount, setPendingCount] = useState(0);
+  const [conflicts, setConflicts] = useState<SyncConflictType[]>([]);
+  const [deadLetters, setDeadLetters] = useState<DeadLetterType[]>([]);
+  // When a change that failed to push is tried again
+  const [retryAt, setRetryAt] = useState<Date | null>(null);
   const [isSyncing, setIsSyncing] = useState(false);
+  // Set when the server refused this session, so auto-sync stops asking
+  const autoSyncBlocked = useRef(false);
 
-  // Check for pending changes on load and whenever online status changes
-  useEffect(() => {
-    const checkPendingChanges = async () => {
-      const count = await db.pendingChanges.count();
-      setPendingCount(count);
-    };
+  const refresh = useCallback(async () => {
+    // Nothing can be read until the offline store is unlocked
+    if (isVaultLocked()) return;
+    setPendingCount(await db.pendingChanges.count());
+    setConflicts(await getConflicts());
+    setDeadLetters(await getDeadLetters());
+  }, []);
 
-    checkPendingChanges();
+  const runSync = useCallback(async (manual: boolean) => {
+    if (!navigator.onLine || isVaultLocked() || (!manual && autoSyncBlocked.current)) return;
 
-    // Set up event listeners for online status
-    const handleOnline = async () => {
-      // When we come back online, check for pending changes and sync
-      await checkPendingChanges();
-      // Note: Removed automatic sync to prevent infinite loops
-      // User can manually sync using the button
-    };
+    try {
+      setIsSyncing(true);
+      const result = await syncNow({ retryNow: manual });
+      autoSyncBlocked.current = false;
+      setRetryAt(result.retryAt);
 
-    window.addEventListener('online', handleOnline);
-    
-    // Set up interval to check for pending changes
-    const interval = setInterval(checkPendingChanges, 30000); // Check every 30 seconds
+      const problems = describeProblems(result);
+      if (manual || problems) {
+        toast({
+          title: problems ? 'Sync needs attention' : 'Sync complete',
+          description: problems || 'All pending changes have been synchronized with the server.',
+          variant: problems ? 'destructive' : undefined,
+        });
+      }
+    } catch (error) {
+      console.error('Error syncing changes:', error);
+      if (error instanceof SyncError && (error.status === 401 || error.status === 403)) {
+        autoSyncBlocked.current = true;
+      }
+      if (manual) {
+        toast({
+          title: 'Sync failed',
+          description: 'There was an error synchronizing with the server. Will retry later.',
+          variant: 'destructive',
+        });
+      }
+    } finally {
+      setIsSyncing(false);
+      await refresh();
+    }
+  }, [refresh]);
+
+  // Syncs run by the service worker while this page is open
+  useEffect(() => onBackgroundSync(message => {
+    refresh();
+    if (message.result) {
+      setRetryAt(message.result.retryAt);
+    }
+    const problems = message.result && describeProblems(message.result);
+    if (problems) {
+      toast({ title: 'Sync needs attention', description: problems, variant: 'destructive' });
+    }
+  }), [refresh]);
+
+  // Catch up as soon as the offline store is unlocked
+  useEffect(() => onVaultChange(() => {
+    if (!isVaultLocked()) {
+      refresh();
+      runSync(false);
+    }
+  }), [refresh, runSync]);
+
+  // Sync on load, whenever the connection comes back and then periodically
+  useEffect(() => {
+    const autoSync = () => runSync(false);
+
+    // Whether the offline store is encrypted is known once the database is open
+    db.open().then(() => {
+      refresh();
+      autoSync();
+    }, (error: unknown) => console.error('Failed to open the offline database:', error));
+    registerPeriodicSync();
+
+    window.addEventListener('online', autoSync);
+    const interval = setInterval(autoSync, AUTO_SYNC_INTERVAL_MS);
 
     return () => {
-      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('online', autoSync);
       clearInterval(interval);
     };
-  }, []); // Removed pendingCount dependency to prevent infinite loops
+  }, [refresh, runSync]);
 
-  // Function to sync pending changes
-  const syncChanges = async () => {
-    if (!navigator.onLine || isSyncing) return;
-    
+  const handleResolve = (id: string) => async (resolution: 'local' | 'remote' | Record<string, unknown>) => {
     try {
-      setIsSyncing(true);
-      await syncPendingChanges();
-      
-      // Recheck count after sync
-      const newCount = await db.pendingChanges.count();
-      setPendingCount(newCount);
-      
-      if (newCount === 0) {
-        toast({
-          title: "Sync complete",
-          description: "All pending changes have been synchronized with the server.",
-        });
+      await resolveConflict(id, resolution);
+      await refresh();
+      // Push the kept version right away
+      if (resolution !== 'remote') {
+        await runSync(false);
+      }
+    } catch (error) {
+      console.error('Error resolving sync conflict:', error);
+      toast({
+        title: 'Could not resolve conflict',
+        description: 'The server copy could not be loaded. Try again when online.',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  const handleDeadLetter = (id: string, action: 'retry' | 'discard') => async () => {
+    try {
+      if (action === 'retry') {
+        await retryDeadLetter(id);
+        await refresh();
+        await runSync(false);
       } else {
-        toast({
-          title: "Sync incomplete",
-          description: `${newCount} changes still pending. Will retry later.`,
-          variant: "destructive"
-        });
+        await discardDeadLetter(id);
+        await refresh();
       }
     } catch (error) {
-      console.error('Error syncing changes:', error);
+      console.error('Error handling failed change:', error);
       toast({
-        title: "Sync failed",
-        description: "There was an error synchronizing with the server. Will retry later.",
-        variant: "destructive"
+        title: 'Could not discard change',
+        description: 'The server copy could not be loaded. Try again when online.',
+        variant: 'destructive',
       });
-    } finally {
-      setIsSyncing(false);
     }
   };
 
-  // Only render notification if there are pending changes
-  if (pendingCount === 0) return null;
+  // Only render notification if there are pending changes, conflicts or failed changes
+  if (pendingCount === 0 && conflicts.length === 0 && deadLetters.length === 0) return null;
 
   return (
     <div className="fixed bottom-4 right-4 z-50">
-      <div className="bg-white rounded-lg shadow-lg p-4 border border-gray-200 max-w-sm">
-        <div className="flex items-center justify-between">
-          <div className="flex items-center">
-            <div className="h-2 w-2 bg-amber-500 rounded-full mr-2 animate-pulse"></div>
-            <h3 className="font-medium text-gray-900">Pending Changes</h3>
+      <div className="bg-white rounded-lg shadow-lg p-4 border border-gray-200 max-w-sm max-h-[80vh] overflow-y-auto">
+        {pendingCount > 0 && (
+          <>
+            <div className="flex items-center justify-between">
+              <div className="flex items-center">
+                <div className="h-2 w-2 bg-amber-500 rounded-full mr-2 animate-pulse"></div>
+                <h3 className="font-medium text-gray-900">Pending Changes</h3>
+              </div>
+              <span className="bg-amber-100 text-amber-800 text-xs font-medium px-2.5 py-0.5 rounded-full">
+                {pendingCount}
+              </span>
+            </div>
+            <p className="mt-2 text-sm text-gray-600">
+              You have {pendingCount} {pendingCount === 1 ? 'change' : 'changes'} that needs to be synchronized.
+            </p>
+            {retryAt && (
+              <p className="mt-1 text-xs text-gray-500">
+                The server did not accept the last attempt. Retrying automatically at {retryAt.toLocaleTimeString()}.
+              </p>
+            )}
+            <div className="mt-3">
+              <button
+                onClick={() => runSync(true)}
+                disabled={!navigator.onLine || isSyncing}
+                className="w-full bg-amber-500 hover:bg-amber-600 text-white py-2 px-4 rounded text-sm font-medium disabled:opacity-50"
+              >
+                {isSyncing ? 'Syncing...' : navigator.onLine ? 'Sync Now' : 'Waiting for connection'}
+              </button>
+            </div>
+          </>
+        )}
+
+        {conflicts.length > 0 && (
+          <div className={pendingCount > 0 ? 'mt-4' : ''}>
+            <div className="flex items-center justify-between">
+              <div className="flex items-center">
+                <div className="h-2 w-2 bg-red-500 rounded-full mr-2"></div>
+                <h3 className="font-medium text-gray-900">Sync Conflicts</h3>
+              </div>
+              <span className="bg-red-100 text-red-800 text-xs font-medium px-2.5 py-0.5 rounded-full">
+                {conflicts.length}
+              </span>
+            </div>
+            {conflicts.map(conflict => (
+              <ConflictCard key={conflict.id} conflict={conflict} onResolve={handleResolve(conflict.id)} />
+            ))}
           </div>
-          <span className="bg-amber-100 text-amber-800 text-xs font-medium px-2.5 py-0.5 rounded-full">
-            {pendingCount}
-          </span>
-        </div>
-        <p className="mt-2 text-sm text-gray-600">
-          You have {pendingCount} {pendingCount === 1 ? 'change' : 'changes'} that needs to be synchronized.
-        </p>
-        <div className="mt-3">
-          <button
-            onClick={syncChanges}
-            disabled={!navigator.onLine || isSyncing}
-            className="w-full bg-amber-500 hover:bg-amber-600 text-white py-2 px-4 rounded text-sm font-medium disabled:opacity-50"
-          >
-            {isSyncing ? 'Syncing...' : navigator.onLine ? 'Sync Now' : 'Waiting for connection'}
-          </button>
-        </div>
+        )}
+
+        {deadLetters.length > 0 && (
+          <div className={pendingCount > 0 || conflicts.length > 0 ? 'mt-4' : ''}>
+            <div className="flex items-center justify-between">
+              <div className="flex items-center">
+                <div className="h-2 w-2 bg-gray-500 rounded-full mr-2"></div>
+                <h3 className="font-medium text-gray-900">Failed Changes</h3>
+              </div>
+              <span className="bg-gray-100 text-gray-800 text-xs font-medium px-2.5 py-0.5 rounded-full">
+                {deadLetters.length}
+              </span>
+            </div>
+            {deadLetters.map(letter => (
+              <DeadLetterCard
+                key={letter.id}
+                letter={letter}
+                onRetry={handleDeadLetter(letter.id, 'retry')}
+                onDiscard={handleDeadLetter(letter.id, 'discard')}
+              />
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,366 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Alert, ActionIcon, Badge, Button, Divider, Group, LoadingOverlay, MultiSelect, Select, Switch, Table, Text, TextInput } from '@mantine/core';
+import { DatePickerInput } from '@mantine/dates';
+import { notifications } from '@mantine/notifications';
+import { AlertCircle, Trash2 } from 'lucide-react';
+import { consentToFHIR, fhirToConsent } from '@/lib/fhir/converters';
+import { CONSENT_CATEGORIES, PURPOSES_OF_USE, normalizeConsentActor } from '@/lib/fhir/consent';
+import { FHIRBundle, FHIRConsent } from '@/lib/fhir/types';
+
+interface ConsentRow {
+  id: string;
+  status: string;
+  provisionType: string;
+  actor: string | null;
+  purposes: string | null;
+  categories: string | null;
+  periodStart: Date | null;
+  periodEnd: Date | null;
+}
+
+type ConsentFields = Omit<ConsentRow, 'id'>;
+
+interface ConsentManagerProps {
+  /** Patient id of the signed-in user */
+  patientId?: string;
+}
+
+const purposeOptions = Object.entries(PURPOSES_OF_USE).map(([value, label]) => ({ value, label }));
+const categoryOptions = CONSENT_CATEGORIES.map(value => ({ value, label: value }));
+
+// Standing rules behind the privacy toggles: a deny for everyone (trusted
+// providers get their own permits, which override it) and a research permit
+const RESTRICT_TO_TRUSTED: Partial<ConsentFields> = { provisionType: 'deny', actor: null, purposes: 'TREAT', categories: null };
+const SHARE_FOR_RESEARCH: Partial<ConsentFields> = { provisionType: 'permit', actor: null, purposes: 'HRESCH', categories: null };
+
+const matchesRule = (consent: ConsentRow, rule: Partial<ConsentFields>) =>
+  consent.status === 'active' &&
+  !consent.periodStart &&
+  !consent.periodEnd &&
+  Object.entries(rule).every(([key, value]) => consent[key as keyof ConsentRow] === value);
+
+const formatList = (value: string | null, labels?: Record<string, string>) =>
+  value ? value.split(',').map(item => labels?.[item] || item).join(', ') : null;
+
+const formatPeriod = (consent: ConsentRow) => {
+  if (!consent.periodStart && !consent.periodEnd) return 'Always';
+  const start = consent.periodStart ? consent.periodStart.toLocaleDateString() : '…';
+  const end = consent.periodEnd ? consent.periodEnd.toLocaleDateString() : '…';
+  return `${start} – ${end}`;
+};
+
+const toConsentRow = (resource: FHIRConsent): ConsentRow => {
+  const consent = fhirToConsent(resource);
+  return {
+    id: resource.id,
+    status: consent.status,
+    provisionType: consent.provisionType,
+    actor: consent.actor || null,
+    purposes: consent.purposes || null,
+    categories: consent.categories || null,
+    periodStart: consent.periodStart || null,
+    periodEnd: consent.periodEnd || null,
+  };
+};
+
+/**
+ * Lists the patient's FHIR Consents and edits them. The FHIR read routes and
+ * the share flow enforce these (see lib/fhir/consent.ts).
+ */
+export default function ConsentManager({ patientId }: ConsentManagerProps) {
+  const [consents, setConsents] = useState<ConsentRow[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // New consent form
+  const [provisionType, setProvisionType] = useState('permit');
+  const [actor, setActor] = useState('');
+  const [purposes, setPurposes] = useState<string[]>([]);
+  const [categories, setCategories] = useState<string[]>([]);
+  const [periodStart, setPeriodStart] = useState<string | null>(null);
+  const [periodEnd, setPeriodEnd] = useState<string | null>(null);
+
+  const fetchConsents = useCallback(async () => {
+    if (!patientId) return;
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await fetch(`/api/fhir/Consent?patient=${encodeURIComponent(patientId)}&_count=100`);
+      if (!response.ok) {
+        throw new Error('Failed to load your consents');
+      }
+
+      const bundle: FHIRBundle = await response.json();
+      setConsents((bundle.entry || []).map(entry => toConsentRow(entry.resource as FHIRConsent)));
+    } catch (err: any) {
+      setError(err.message || 'Failed to load your consents');
+    } finally {
+      setLoading(false);
+    }
+  }, [patientId]);
+
+  useEffect(() => {
+    fetchConsents();
+  }, [fetchConsents]);
+
+  // Create (no id) or replace a consent, then reload the list
+  const saveConsent = async (fields: ConsentFields, id?: string) => {
+    const now = new Date();
+    const resource = consentToFHIR({ id, patientId, ...fields, createdAt: now, updatedAt: now });
+    if (!id) delete resource.id;
+    delete resource.meta;
+
+    const response = await fetch(id ? `/api/fhir/Consent/${id}` : '/api/fhir/Consent', {
+      method: id ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(resource),
+    });
+    if (!response.ok) {
+      const outcome = await response.json().catch(() => null);
+      throw new Error(outcome?.issue?.[0]?.details?.text || outcome?.issue?.[0]?.diagnostics || 'Failed to save consent');
+    }
+  };
+
+  const deleteConsent = async (id: string) => {
+    const response = await fetch(`/api/fhir/Consent/${id}`, { method: 'DELETE' });
+    if (!response.ok && response.status !== 404) {
+      throw new Error('Failed to delete consent');
+    }
+  };
+
+  const runUpdate = async (update: () => Promise<void>, message: string) => {
+    try {
+      setSaving(true);
+      await update();
+      notifications.show({ title: 'Privacy Settings Updated', message });
+    } catch (err: any) {
+      notifications.show({ title: 'Could not update consents', message: err.message, color: 'red' });
+    } finally {
+      setSaving(false);
+      fetchConsents();
+    }
+  };
+
+  // A toggle adds its standing rule, or removes every consent matching it
+  const toggleRule = (rule: Partial<ConsentFields>, enabled: boolean, message: string) =>
+    runUpdate(async () => {
+      if (enabled) {
+        await saveConsent({ status: 'active', periodStart: null, periodEnd: null, ...rule } as ConsentFields);
+      } else {
+        await Promise.all(consents.filter(consent => matchesRule(consent, rule)).map(consent => deleteConsent(consent.id)));
+      }
+    }, message);
+
+  const handleAdd = () => {
+    const normalizedActor = actor.trim() ? normalizeConsentActor(actor) : null;
+    if (actor.trim() && !normalizedActor) {
+      notifications.show({
+        title: 'Invalid recipient',
+        message: 'Enter a wallet address (0x…) or a Practitioner reference (Practitioner/<id>)',
+        color: 'red',
+      });
+      return;
+    }
+
+    runUpdate(async () => {
+      await saveConsent({
+        status: 'active',
+        provisionType,
+        actor: normalizedActor,
+        purposes: purposes.length ? purposes.join(',') : null,
+        categories: categories.length ? categories.join(',') : null,
+        periodStart: periodStart ? new Date(periodStart) : null,
+        periodEnd: periodEnd ? new Date(`${periodEnd}T23:59:59`) : null,
+      });
+      setActor('');
+      setPurposes([]);
+      setCategories([]);
+      setPeriodStart(null);
+      setPeriodEnd(null);
+    }, 'Your consent has been recorded.');
+  };
+
+  if (!patientId) {
+    return <Text size="sm" c="dimmed">Sign in to manage your consents.</Text>;
+  }
+
+  const restrictToTrusted = consents.some(consent => matchesRule(consent, RESTRICT_TO_TRUSTED));
+  const shareForResearch = consents.some(consent => matchesRule(consent, SHARE_FOR_RESEARCH));
+
+  return (
+    <div style={{ position: 'relative', display: 'flex', flexDirection: 'column', gap: '1.5rem' }}>
+      <LoadingOverlay visible={loading || saving} />
+
+      {error && (
+        <Alert color="red" title="Error" icon={<AlertCircle size={16} />}>
+          {error}
+        </Alert>
+      )}
+
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        <div>
+          <Text size="sm" fw={500}>Only Trusted Providers</Text>
+          <Text size="xs" c="dimmed">
+            Deny treatment access to everyone except the providers you permit below. Emergency treatment stays allowed.
+          </Text>
+        </div>
+        <Switch
+          id="trusted-providers-only"
+          checked={restrictToTrusted}
+          disabled={saving}
+          onChange={(event) => toggleRule(
+            RESTRICT_TO_TRUSTED,
+            event.currentTarget.checked,
+            event.currentTarget.checked ? 'Only providers you permit can now access your records.' : 'Providers can access your records for treatment again.'
+          )}
+        />
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        <div>
+          <Text size="sm" fw={500}>Share Data for Research</Text>
+          <Text size="xs" c="dimmed">
+            Allow your medical data to be used for research purposes
+          </Text>
+        </div>
+        <Switch
+          id="research-data"
+          checked={shareForResearch}
+          disabled={saving}
+          onChange={(event) => toggleRule(
+            SHARE_FOR_RESEARCH,
+            event.currentTarget.checked,
+            event.currentTarget.checked ? 'Your data may now be used for research.' : 'Your data will no longer be used for research.'
+          )}
+        />
+      </div>
+
+      <Divider />
+
+      <div>
+        <Text fw={500} size="md" mb={4}>Your Consents</Text>
+        <Text size="xs" c="dimmed" mb="sm">
+          Rules for a specific recipient take precedence over rules for anyone, and a deny wins over a permit.
+          Without a matching rule, treatment access is allowed and every other purpose is denied.
+        </Text>
+
+        {consents.length === 0 ? (
+          <Text size="sm" c="dimmed">No consents recorded yet.</Text>
+        ) : (
+          <Table striped highlightOnHover>
+            <Table.Thead>
+              <Table.Tr>
+                <Table.Th>Rule</Table.Th>
+                <Table.Th>Recipient</Table.Th>
+                <Table.Th>Purposes</Table.Th>
+                <Table.Th>Data</Table.Th>
+                <Table.Th>Period</Table.Th>
+                <Table.Th>Active</Table.Th>
+                <Table.Th />
+              </Table.Tr>
+            </Table.Thead>
+            <Table.Tbody>
+              {consents.map(consent => (
+                <Table.Tr key={consent.id}>
+                  <Table.Td>
+                    <Badge color={consent.provisionType === 'deny' ? 'red' : 'green'}>
+                      {consent.provisionType === 'deny' ? 'Deny' : 'Permit'}
+                    </Badge>
+                  </Table.Td>
+                  <Table.Td>
+                    <Text size="sm" style={{ wordBreak: 'break-all' }}>{consent.actor || 'Anyone'}</Text>
+                  </Table.Td>
+                  <Table.Td>{formatList(consent.purposes, PURPOSES_OF_USE) || 'Any purpose'}</Table.Td>
+                  <Table.Td>{formatList(consent.categories) || 'All data'}</Table.Td>
+                  <Table.Td>{formatPeriod(consent)}</Table.Td>
+                  <Table.Td>
+                    <Switch
+                      checked={consent.status === 'active'}
+                      disabled={saving}
+                      onChange={(event) => {
+                        const active = event.currentTarget.checked;
+                        const { id, ...fields } = consent;
+                        runUpdate(
+                          () => saveConsent({ ...fields, status: active ? 'active' : 'inactive' }, id),
+                          active ? 'The consent is active again.' : 'The consent is no longer enforced.'
+                        );
+                      }}
+                    />
+                  </Table.Td>
+                  <Table.Td>
+                    <ActionIcon
+                      variant="subtle"
+                      color="red"
+                      aria-label="Delete consent"
+                      disabled={saving}
+                      onClick={() => runUpdate(() => deleteConsent(consent.id), 'The consent has been deleted.')}
+                    >
+                      <Trash2 size={16} />
+                    </ActionIcon>
+                  </Table.Td>
+                </Table.Tr>
+              ))}
+            </Table.Tbody>
+          </Table>
+        )}
+      </div>
+
+      <div>
+        <Text fw={500} size="md" mb="sm">Add a Consent</Text>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(14rem, 1fr))', gap: '1rem' }}>
+          <Select
+            label="Rule"
+            data={[{ value: 'permit', label: 'Permit' }, { value: 'deny', label: 'Deny' }]}
+            value={provisionType}
+            onChange={(value) => setProvisionType(value || 'permit')}
+            allowDeselect={false}
+          />
+          <TextInput
+            label="Recipient"
+            description="Wallet address or Practitioner/<id>; empty for anyone"
+            placeholder="0x…"
+            value={actor}
+            onChange={(event) => setActor(event.currentTarget.value)}
+          />
+          <MultiSelect
+            label="Purposes of use"
+            description="Empty for any purpose"
+            data={purposeOptions}
+            value={purposes}
+            onChange={setPurposes}
+            clearable
+          />
+          <MultiSelect
+            label="Data"
+            description="Empty for all data"
+            data={categoryOptions}
+            value={categories}
+            onChange={setCategories}
+            clearable
+          />
+          <DatePickerInput
+            label="From"
+            placeholder="Now"
+            value={periodStart}
+            // eslint-disable-next-line @typescript-eslint/no-explicit-any
+            onChange={setPeriodStart as any}
+            clearable
+          />
+          <DatePickerInput
+            label="Until"
+            placeholder="No end"
+            value={periodEnd}
+            // eslint-disable-next-line @typescript-eslint/no-explicit-any
+            onChange={setPeriodEnd as any}
+            clearable
+          />
+        </div>
+        <Group justify="flex-end" mt="md">
+          <Button onClick={handleAdd} disabled={saving}>Add Consent</Button>
+        </Group>
+      </div>
+    </div>
+  );
+}
@@ -7,6 +7,7 @@ import { MobileBottomNav } from "./MobileBottomNav";
 import { MobileNav } from "./MobileNav";
 import { useIsMobile } from "@/hooks/use-mobile";
 import SyncManager from "@/components/SyncManager";
+import { OfflineLockScreen } from "@/components/OfflineLockScreen";
 import { Box, Flex, AppShell } from "@mantine/core";
 
 interface MainLayoutProps {
@@ -138,6 +139,9 @@ export const MainLayout = ({ children }: MainLayoutProps) => {
 
       {/* Sync Manager for offline data synchronization */}
       <SyncManager />
+
+      {/* Asks for the login again while the encrypted offline data is locked */}
+      <OfflineLockScreen />
     </Box>
   );
 };
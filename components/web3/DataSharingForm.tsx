@@ -1,14 +1,21 @@
 'use client';
 
-import { useState, useRef } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import { useForm, Controller } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import * as z from 'zod';
-import { Card, Text, Button, Checkbox, Select, Tabs, Progress, TextInput, PasswordInput, Group, Stack, Badge, Alert } from '@mantine/core';
-import { Loader2, FileText, FlaskConical, Image, Pill, ClipboardList, Clock, Shield, AlertCircle, Info, Upload } from 'lucide-react';
-import { encryptData, uploadToIpfs, checkIpfsAvailability } from '@/lib/web3/ipfs';
-import { pinataService } from '@/lib/web3/pinata';
-import { createAccessGrant, generateShareableLink } from '@/lib/web3/contract';
+import { Card, Text, Button, Checkbox, Select, Tabs, Progress, TextInput, PasswordInput, Textarea, Group, Stack, Badge, Alert } from '@mantine/core';
+import { Loader2, FileText, FlaskConical, Image, Pill, ClipboardList, Clock, Shield, ShieldCheck, AlertCircle, Info, Upload, KeyRound } from 'lucide-react';
+import { ethers } from 'ethers';
+import { uploadToIpfs, getStorageStatus } from '@/lib/web3/ipfs';
+import { appendContentKey, encryptEnvelope } from '@/lib/web3/encryption';
+import { createAccessGrant, generateShareableLink, isFHIRAccessConfigured } from '@/lib/web3/contract';
+import { createHolderProofMessage, getEthereumDid, selectDisclosures, verifyHealthRecordCredential } from '@/lib/web3/credentials';
+import { applyBundleSelection, BundleSelection, getEntryKey } from '@/lib/fhir/selection';
+import { PURPOSES_OF_USE } from '@/lib/fhir/consent';
+import RecordPicker from '@/components/web3/RecordPicker';
+import { useMetaMask } from '@/components/web3/MetaMaskProvider';
+import { BundleEntry, FHIRBundle } from '@/lib/fhir/types';
 import { FileUpload } from '@/components/ui/file-upload';
 import { toast } from 'sonner';
 
@@ -16,6 +23,7 @@ import { toast } from 'sonner';
 const formSchema = z.object({
   dataTypes: z.array(z.string()).min(1, { message: 'Please select at least one data type to share' }),
   duration: z.string().min(1, { message: 'Access duration is required' }),
+  viewLimit: z.string().default('unlimited'),
   password: z.string()
     .optional()
     .refine(
@@ -23,7 +31,23 @@ const formSchema = z.object({
       { message: 'Password must be at least 6 characters long' }
     ),
   usePassword: z.boolean().default(false),
+  recipientKeys: z.string()
+    .optional()
+    .refine(
+      (val) => parseRecipientKeys(val).every(isValidPublicKey),
+      { message: 'Recipient share keys must be compressed public keys (0x02... or 0x03...)' }
+    ),
+  recipientAddresses: z.string()
+    .optional()
+    .refine(
+      (val) => parseRecipientKeys(val).every(address => ethers.isAddress(address)),
+      { message: 'Recipient addresses must be Ethereum addresses (0x...)' }
+    ),
+  purpose: z.string().default('TREAT'),
   uploadMode: z.enum(['data', 'documents']).default('data'),
+  payloadFormat: z.enum(['bundle', 'ips']).default('bundle'),
+  issueCredential: z.boolean().default(false),
+  credentialFormat: z.enum(['jwt_vc', 'sd_jwt_vc']).default('jwt_vc'),
   documents: z.array(z.any())
     .optional()
     .refine(
@@ -37,6 +61,28 @@ const formSchema = z.object({
 
 type FormValues = z.infer<typeof formSchema>;
 
+// Recipient share keys or addresses, one per line or comma separated
+function parseRecipientKeys(value?: string): string[] {
+  return (value || '').split(/[\s,]+/).filter(Boolean);
+}
+
+// Wallets a grant is bound to. Share keys are derived from a wallet signature,
+// so their addresses are not the recipients' wallets.
+function getGrantees(values: FormValues): string[] {
+  const addresses = parseRecipientKeys(values.recipientAddresses).map(address => ethers.getAddress(address));
+  return [...new Set(addresses)];
+}
+
+// Share keys are handed out compressed (see ShareKeyCard)
+function isValidPublicKey(key: string): boolean {
+  try {
+    ethers.SigningKey.computePublicKey(key, true);
+    return /^0x0[23]/.test(key);
+  } catch {
+    return false;
+  }
+}
+
 // Available data types with descriptions and icons
 const dataTypeOptions = [
   {
@@ -57,6 +103,12 @@ const dataTypeOptions = [
     description: 'Share X-rays, MRIs, CT scans, and other imaging results',
     icon: 'Image'
   },
+  {
+    id: 'allergies',
+    label: 'Allergies',
+    description: 'Share known allergies and intolerances',
+    icon: 'AlertCircle'
+  },
   {
     id: 'prescriptions',
     label: 'Prescriptions',
@@ -71,6 +123,29 @@ const dataTypeOptions = [
   },
 ];
 
+// FHIR searches backing each data type; types without an entry are shared as labels only
+const fhirSearchesByDataType: Record<string, string[]> = {
+  'medical-history': ['Condition'],
+  'lab-results': ['Observation?category=laboratory'],
+  'allergies': ['AllergyIntolerance'],
+  'prescriptions': ['MedicationRequest'],
+  'visit-notes': ['Encounter'],
+};
+
+const formatSearchLabel = (search: string) => search.split('?')[0];
+
+// Shared payload formats for data sharing
+const payloadFormatOptions = [
+  { value: 'bundle', label: 'FHIR records (selected data types)' },
+  { value: 'ips', label: 'IPS document (International Patient Summary)' },
+];
+
+// Verifiable Credential formats offered by /api/credentials
+const credentialFormatOptions = [
+  { value: 'jwt_vc', label: 'W3C Verifiable Credential (JWT)' },
+  { value: 'sd_jwt_vc', label: 'SD-JWT VC (selective disclosure)' },
+];
+
 // Duration options in seconds
 const durationOptions = [
   { value: '3600', label: '1 hour' },
@@ -79,6 +154,15 @@ const durationOptions = [
   { value: '2592000', label: '30 days' },
 ];
 
+// Views allowed before the share deactivates; enforced when views are recorded
+const viewLimitOptions = [
+  { value: 'unlimited', label: 'Unlimited views' },
+  { value: '1', label: 'View once' },
+  { value: '3', label: 'Up to 3 views' },
+  { value: '5', label: 'Up to 5 views' },
+  { value: '10', label: 'Up to 10 views' },
+];
+
 interface DataSharingFormProps {
   patientId: string;
   onSuccess: (shareableLink: string, accessId: string) => void;
@@ -97,9 +181,16 @@ const DataSharingForm = ({ patientId, onSuccess }: DataSharingFormProps) => {
     defaultValues: {
       dataTypes: [],
       duration: '86400', // Default to 1 day
+      viewLimit: 'unlimited',
       usePassword: false,
       password: '',
+      recipientKeys: '',
+      recipientAddresses: '',
+      purpose: 'TREAT',
       uploadMode: 'data',
+      payloadFormat: 'bundle',
+      issueCredential: false,
+      credentialFormat: 'jwt_vc',
       documents: [],
       termsAccepted: false,
     },
@@ -107,6 +198,22 @@ const DataSharingForm = ({ patientId, onSuccess }: DataSharingFormProps) => {
 
   const usePassword = watch('usePassword');
   const uploadMode = watch('uploadMode');
+  const issueCredential = watch('issueCredential');
+  const selectedDataTypes = watch('dataTypes');
+  const selectedDataTypesKey = selectedDataTypes.join(',');
+  const payloadFormat = watch('payloadFormat');
+  const { chainId } = useMetaMask();
+
+  // Records loaded into the picker, and which of them (and which fields) to share
+  const [pickerBundle, setPickerBundle] = useState<FHIRBundle | null>(null);
+  const [selection, setSelection] = useState<BundleSelection | null>(null);
+  const [loadingRecords, setLoadingRecords] = useState(false);
+
+  // The picked records no longer match once the data types change
+  useEffect(() => {
+    setPickerBundle(null);
+    setSelection(null);
+  }, [selectedDataTypesKey, payloadFormat]);
   const [uploadedFiles, setUploadedFiles] = useState<File[]>([]);
   const [showLogs, setShowLogs] = useState(false);
 
@@ -121,6 +228,134 @@ const DataSharingForm = ({ patientId, onSuccess }: DataSharingFormProps) => {
     }, 100);
   };
 
+  // Fetch the patient's FHIR records for the selected data types into a collection bundle
+  const collectFHIRRecords = async (dataTypes: string[]): Promise<FHIRBundle> => {
+    const entries: BundleEntry[] = [];
+
+    // Include the patient's demographics so individual fields can be shared or hidden
+    const patientResponse = await fetch(`/api/fhir/Patient/${encodeURIComponent(patientId)}`);
+    if (patientResponse.ok) {
+      const patient = await patientResponse.json();
+      entries.push({ fullUrl: `Patient/${patient.id}`, resource: patient });
+    } else {
+      addLog(`WARNING: Could not load Patient record (${patientResponse.status})`);
+    }
+
+    for (const dataType of dataTypes) {
+      for (const search of fhirSearchesByDataType[dataType] || []) {
+        const separator = search.includes('?') ? '&' : '?';
+        const url = `/api/fhir/${search}${separator}patient=${encodeURIComponent(patientId)}&_count=100`;
+        const response = await fetch(url);
+
+        if (!response.ok) {
+          addLog(`WARNING: Could not load ${formatSearchLabel(search)} records (${response.status})`);
+          continue;
+        }
+
+        const searchset: FHIRBundle = await response.json();
+        const resources = (searchset.entry || []).map(entry => entry.resource).filter(Boolean);
+        addLog(`Loaded ${resources.length} ${formatSearchLabel(search)} record(s)`);
+
+        resources.forEach(resource => {
+          entries.push({ fullUrl: `${resource.resourceType}/${resource.id}`, resource });
+        });
+      }
+    }
+
+    return {
+      resourceType: 'Bundle',
+      type: 'collection',
+      timestamp: new Date().toISOString(),
+      entry: entries,
+    };
+  };
+
+  // Load the records for the selected data types into the record picker
+  const loadRecordsForPicker = async () => {
+    setLoadingRecords(true);
+    try {
+      const bundle = await collectFHIRRecords(selectedDataTypes);
+      setPickerBundle(bundle);
+      setSelection({ entries: bundle.entry.map(getEntryKey) });
+    } catch (err: any) {
+      setError(err.message || 'Could not load records');
+    } finally {
+      setLoadingRecords(false);
+    }
+  };
+
+  // Fetch the patient's International Patient Summary document bundle
+  const fetchPatientSummary = async (): Promise<FHIRBundle> => {
+    const response = await fetch(`/api/fhir/Patient/${encodeURIComponent(patientId)}/$summary`);
+
+    if (!response.ok) {
+      addLog(`ERROR: Patient summary request failed (${response.status})`);
+      throw new Error('Could not generate the patient summary document');
+    }
+
+    return response.json();
+  };
+
+  // Have the EHR issue the records as a Verifiable Credential bound to the patient's wallet.
+  // The patient signs a proof with MetaMask; the signed Bundle is built by the server.
+  const requestCredential = async (address: string, values: FormValues, recordSelection?: BundleSelection) => {
+    if (!window.ethereum || !address.startsWith('0x')) {
+      throw new Error('Connect MetaMask to issue a Verifiable Credential');
+    }
+
+    const holder = getEthereumDid(address, chainId || await window.ethereum.request({ method: 'eth_chainId' }));
+    const issuedAt = new Date().toISOString();
+    addLog('Requesting wallet signature for credential holder proof...');
+    const signature = await window.ethereum.request({
+      method: 'personal_sign',
+      params: [createHolderProofMessage(patientId, holder, issuedAt), address],
+    });
+
+    const response = await fetch('/api/credentials', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        patientId,
+        format: values.credentialFormat,
+        payloadFormat: values.payloadFormat,
+        resourceTypes: values.dataTypes.flatMap(type => (fhirSearchesByDataType[type] || []).map(formatSearchLabel)),
+        selection: recordSelection,
+        expiresIn: parseInt(values.duration),
+        proof: { holder, issuedAt, signature },
+      }),
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      addLog(`ERROR: Credential issuance failed (${response.status}): ${result.error}`);
+      throw new Error(result.error || 'Could not issue the Verifiable Credential');
+    }
+
+    addLog(`Credential ${result.id} issued by ${result.issuer}`);
+    return result;
+  };
+
+  // Ask the server whether the patient's consents allow this share before anything is uploaded
+  const checkConsent = async (purpose: string, grantees: string[], resourceTypes: string[]) => {
+    const params = new URLSearchParams({ patient: patientId, purpose });
+    grantees.forEach(grantee => params.append('actor', grantee));
+    resourceTypes.forEach(resourceType => params.append('category', resourceType));
+
+    const response = await fetch(`/api/fhir/Consent/$check?${params}`);
+    if (!response.ok) {
+      throw new Error('Could not check your consent settings');
+    }
+
+    const result = await response.json();
+    const denied = (result.parameter || []).filter((parameter: any) => parameter.name === 'denied');
+    if (denied.length > 0) {
+      const details = denied.map((parameter: any) =>
+        parameter.part.map((part: any) => part.valueCode || part.valueString).filter(Boolean).join(' for ')
+      ).filter(Boolean);
+      throw new Error(`Your consent settings do not allow this share${details.length ? `: ${details.join(', ')}` : ''}. Review them in Settings > Privacy.`);
+    }
+  };
+
   const onSubmit = async (values: FormValues) => {
     // Reset state
     setIsSubmitting(true);
@@ -143,8 +378,11 @@ const DataSharingForm = ({ patientId, onSuccess }: DataSharingFormProps) => {
       return;
     }
 
+    // Shares with recipients are bound to their wallets by the FHIRAccessControl contract
+    const grantees = getGrantees(values);
+
     // Flag to track if we should use direct IPFS (no contract)
-    const useDirectIpfs = !process.env.NEXT_PUBLIC_ACCESS_CONTRACT_ADDRESS;
+    const useDirectIpfs = !isFHIRAccessConfigured() && grantees.length === 0;
     if (useDirectIpfs) {
       addLog('No contract address configured - using direct IPFS upload');
     }
@@ -185,7 +423,6 @@ const DataSharingForm = ({ patientId, onSuccess }: DataSharingFormProps) => {
         addLog(`Using test address: ${address}`);
       }
 
-      let ipfsData;
       let dataToShare;
 
       if (values.uploadMode === 'documents') {
@@ -228,78 +465,99 @@ const DataSharingForm = ({ patientId, onSuccess }: DataSharingFormProps) => {
         };
       } else {
         // Regular data sharing
+        setUploadProgress(20);
+        let fhirBundle: FHIRBundle;
+        if (values.payloadFormat === 'ips') {
+          setUploadStage('Generating patient summary...');
+          addLog('Requesting International Patient Summary document...');
+          fhirBundle = await fetchPatientSummary();
+          addLog(`IPS document generated with ${fhirBundle.entry.length} entries`);
+        } else if (pickerBundle) {
+          fhirBundle = pickerBundle;
+        } else {
+          setUploadStage('Collecting records...');
+          addLog('Collecting FHIR records for selected data types...');
+          fhirBundle = await collectFHIRRecords(values.dataTypes);
+          addLog(`Collected ${fhirBundle.entry.length} record(s)`);
+        }
+
+        // Only records picked in the record picker are shared
+        const recordSelection = values.payloadFormat === 'bundle' && selection ? selection : undefined;
+
+        // Share the issuer-signed Bundle so recipients can verify what they receive
+        let credential;
+        if (values.issueCredential) {
+          setUploadStage('Issuing Verifiable Credential...');
+          const issued = await requestCredential(address, values, recordSelection);
+          fhirBundle = issued.bundle;
+          credential = { format: issued.format, credential: issued.credential };
+
+          // SD-JWT VCs are issued complete; withhold the disclosures that were not picked
+          if (issued.format === 'sd_jwt_vc' && recordSelection) {
+            credential.credential = selectDisclosures(issued.credential, recordSelection);
+            fhirBundle = verifyHealthRecordCredential(credential.credential).bundle;
+            addLog('Withheld disclosures for records and fields that were not selected');
+          }
+        } else if (recordSelection) {
+          fhirBundle = applyBundleSelection(fhirBundle, recordSelection);
+        }
+        if (recordSelection) {
+          addLog(`Sharing ${fhirBundle.entry.length} selected record(s)`);
+        }
+
         // Prepare data to be shared
         dataToShare = {
           patientId,
           dataTypes: values.dataTypes,
+          payloadFormat: values.payloadFormat,
+          fhirBundle,
+          ...(credential ? { credential } : {}),
           createdAt: new Date().toISOString(),
           createdBy: address,
         };
       }
 
-      // Encrypt data if password is used
+      const sharedResourceTypes: string[] = [...new Set((dataToShare.fhirBundle?.entry || []).map((entry: BundleEntry) => entry.resource?.resourceType))] as string[];
+
+      setUploadStage('Checking consent settings...');
+      addLog(`Checking consent settings for ${PURPOSES_OF_USE[values.purpose as keyof typeof PURPOSES_OF_USE] || values.purpose}...`);
+      await checkConsent(values.purpose, grantees, sharedResourceTypes);
+      addLog('Consent settings allow this share');
+
+      // Encrypt the data with a random content key, wrapped for the password and each recipient share key
       setUploadProgress(40);
-      if (values.usePassword && values.password) {
-        setUploadStage('Encrypting data...');
-        addLog('Encrypting data with password...');
-        ipfsData = await encryptData(dataToShare, values.password);
-        addLog('Data encrypted successfully');
+      setUploadStage('Encrypting data...');
+      const password = values.usePassword && values.password ? values.password : undefined;
+      const publicKeys = parseRecipientKeys(values.recipientKeys);
+      addLog(`Encrypting data for ${[password ? 'the password' : null, publicKeys.length ? `${publicKeys.length} share key(s)` : null].filter(Boolean).join(' and ') || 'the share link'}...`);
+      const { envelope, contentKey } = await encryptEnvelope(dataToShare, { password, publicKeys });
+      const ipfsData = JSON.stringify(envelope);
+      addLog('Data encrypted successfully');
+
+      // Without a password or recipient, the content key travels in the link fragment
+      const linkKey = !password && publicKeys.length === 0 ? contentKey : null;
+
+      // Check which storage provider the server will use
+      addLog('Checking storage availability...');
+      const storageStatus = await getStorageStatus();
+      if (!storageStatus) {
+        addLog('WARNING: Could not verify storage availability. Will attempt upload anyway.');
+      } else if (!storageStatus.configured) {
+        addLog(`WARNING: The ${storageStatus.driver} storage driver is not configured.`);
       } else {
-        setUploadStage('Preparing data...');
-        addLog('Preparing data for IPFS (unencrypted)...');
-        ipfsData = JSON.stringify(dataToShare);
-        addLog('Data prepared successfully');
-      }
-
-      // Check IPFS availability and Pinata configuration
-      addLog('Checking IPFS and Pinata availability...');
-      try {
-        // Check if Pinata is configured
-        const isPinataConfigured = pinataService.isConfigured();
-        if (isPinataConfigured) {
-          addLog('Pinata service is configured and will be used as primary IPFS provider.');
-        } else {
-          addLog('Pinata service is not configured. Will use alternative IPFS providers.');
-
-          // Check other IPFS availability
-          const isIpfsAvailable = await checkIpfsAvailability();
-          if (!isIpfsAvailable) {
-            addLog('WARNING: IPFS service may not be fully available. Will attempt upload with fallbacks.');
-          } else {
-            addLog('IPFS service is available.');
-          }
-        }
-      } catch (error) {
-        addLog('WARNING: Could not verify IPFS availability. Will attempt upload with fallbacks.');
+        addLog(`Storage driver: ${storageStatus.driver}`);
       }
 
-      // Upload to IPFS with Pinata prioritized
+      // Upload through the server's storage provider
       setUploadProgress(60);
       setUploadStage('Uploading to IPFS...');
       addLog('Uploading to IPFS...');
       addLog('Data to upload: ' + (typeof ipfsData === 'string' ? ipfsData.substring(0, 50) + '...' : JSON.stringify(dataToShare).substring(0, 50) + '...'));
       try {
-        let ipfsCid;
-
-        // Try Pinata first if configured
-        if (pinataService.isConfigured()) {
-          try {
-            addLog('Attempting upload via Pinata...');
-            // Convert string to JSON if needed
-            const jsonData = typeof ipfsData === 'string' ? JSON.parse(ipfsData) : ipfsData;
-            ipfsCid = await pinataService.uploadJSON(jsonData, `Patient-${patientId}-Data-${Date.now()}`);
-            addLog(`Successfully uploaded to IPFS via Pinata with CID: ${ipfsCid}`);
-          } catch (pinataError: any) {
-            addLog(`Pinata upload failed: ${pinataError.message}. Falling back to alternative IPFS providers...`);
-            // Fall back to regular IPFS upload
-            ipfsCid = await uploadToIpfs(ipfsData);
-            addLog(`Successfully uploaded to IPFS with CID: ${ipfsCid} using fallback method`);
-          }
-        } else {
-          // Use regular IPFS upload if Pinata not configured
-          ipfsCid = await uploadToIpfs(ipfsData);
-          addLog(`Successfully uploaded to IPFS with CID: ${ipfsCid}`);
-        }
+        const ipfsCid = await uploadToIpfs(ipfsData, {
+          name: `Patient-${patientId}-Data-${Date.now()}`,
+        });
+        addLog(`Successfully uploaded with CID: ${ipfsCid}`);
 
         if (useDirectIpfs) {
           // Direct IPFS approach (no contract)
@@ -309,10 +567,11 @@ const DataSharingForm = ({ patientId, onSuccess }: DataSharingFormProps) => {
 
           // Generate a simple shareable link with the CID
           const baseUrl = window.location.origin;
-          const shareableLink = `${baseUrl}/ipfs/${ipfsCid}`;
+          const directLink = `${baseUrl}/ipfs/${ipfsCid}`;
+          const shareableLink = linkKey ? appendContentKey(directLink, linkKey) : directLink;
           const accessId = ipfsCid; // Use CID as the access ID
 
-          addLog(`Direct IPFS link generated: ${shareableLink}`);
+          addLog(`Direct IPFS link generated: ${directLink}`);
           addLog('Process completed successfully!');
           setUploadProgress(100);
           setUploadStage('Complete!');
@@ -330,16 +589,22 @@ const DataSharingForm = ({ patientId, onSuccess }: DataSharingFormProps) => {
           setUploadStage('Creating blockchain access grant...');
           const durationInSeconds = parseInt(values.duration);
           addLog(`Creating access grant on blockchain (duration: ${durationInSeconds} seconds)...`);
-          const accessId = await createAccessGrant(
-            ipfsCid,
-            durationInSeconds,
-            values.usePassword ? values.password : undefined
-          );
+          if (grantees.length > 0) {
+            addLog(`Binding the grant to ${grantees.length} recipient wallet(s): ${grantees.join(', ')}`);
+          }
+          // The password only encrypts the payload and is never sent to the contract
+          const accessId = await createAccessGrant(ipfsCid, durationInSeconds, {
+            grantees,
+            fhirResourceType: 'Bundle',
+            fhirResourceId: patientId,
+            resourceTypes: sharedResourceTypes,
+          });
           addLog(`Access grant created with ID: ${accessId}`);
 
           // Generate shareable link
-          const shareableLink = generateShareableLink(accessId);
-          addLog(`Generated shareable link: ${shareableLink}`);
+          const accessLink = generateShareableLink(accessId);
+          const shareableLink = linkKey ? appendContentKey(accessLink, linkKey) : accessLink;
+          addLog(`Generated shareable link: ${accessLink}`);
 
           // Save the shared data to the database via API
           setUploadProgress(85);
@@ -357,7 +622,12 @@ const DataSharingForm = ({ patientId, onSuccess }: DataSharingFormProps) => {
               ipfsCid,
               expiryTime: expiryTime.toISOString(),
               hasPassword: values.usePassword,
-              dataTypes: values.dataTypes
+              dataTypes: values.dataTypes,
+              maxViews: values.viewLimit === 'unlimited' ? null : parseInt(values.viewLimit),
+              patientId,
+              purpose: values.purpose,
+              resourceTypes: sharedResourceTypes,
+              grantees
             };
 
             addLog(`Sending payload to API: ${JSON.stringify(sharedDataPayload)}`);
@@ -466,13 +736,22 @@ const DataSharingForm = ({ patientId, onSuccess }: DataSharingFormProps) => {
     reset({
       dataTypes: [],
       duration: '86400', // Default to 1 day
+      viewLimit: 'unlimited',
       usePassword: false,
       password: '',
+      recipientKeys: '',
+      recipientAddresses: '',
+      purpose: 'TREAT',
       uploadMode: 'data',
+      payloadFormat: 'bundle',
+      issueCredential: false,
+      credentialFormat: 'jwt_vc',
       documents: [],
       termsAccepted: false,
     });
     setUploadedFiles([]);
+    setPickerBundle(null);
+    setSelection(null);
     setError(null);
     setLogs([]);
   };
@@ -485,6 +764,7 @@ const DataSharingForm = ({ patientId, onSuccess }: DataSharingFormProps) => {
       case 'Image': return Image;
       case 'Pill': return Pill;
       case 'ClipboardList': return ClipboardList;
+      case 'AlertCircle': return AlertCircle;
       default: return FileText;
     }
   };
@@ -640,6 +920,105 @@ const DataSharingForm = ({ patientId, onSuccess }: DataSharingFormProps) => {
               />
             )}
 
+            {/* Payload Format */}
+            {uploadMode === 'data' && (
+              <Controller
+                name="payloadFormat"
+                control={control}
+                render={({ field }) => (
+                  <div>
+                    <Text fw={500} size="md" mb={4}>Payload Format</Text>
+                    <Text size="sm" c="dimmed" mb="sm">
+                      An IPS document is a standard summary any FHIR-capable clinician can read; it always includes problems, allergies, medications and results
+                    </Text>
+                    <Select
+                      {...field}
+                      data={payloadFormatOptions}
+                      allowDeselect={false}
+                      styles={{
+                        input: { height: 44 }
+                      }}
+                    />
+                  </div>
+                )}
+              />
+            )}
+
+            {/* Record Picker */}
+            {uploadMode === 'data' && payloadFormat === 'bundle' && selectedDataTypes.length > 0 && (
+              <div>
+                <Group justify="space-between" mb={4}>
+                  <Text fw={500} size="md">Choose Records</Text>
+                  {!pickerBundle && (
+                    <Button
+                      variant="light"
+                      size="xs"
+                      onClick={loadRecordsForPicker}
+                      loading={loadingRecords}
+                    >
+                      Pick individual records
+                    </Button>
+                  )}
+                </Group>
+                <Text size="sm" c="dimmed" mb="sm">
+                  {pickerBundle
+                    ? 'Untick records or hide fields you do not want to share. With an SD-JWT credential the recipient can see that hidden items exist, but not their contents.'
+                    : 'All records of the selected data types are shared. Pick individual records to share only some of them, or to hide fields such as your address.'}
+                </Text>
+                {pickerBundle && selection && (
+                  <RecordPicker bundle={pickerBundle} selection={selection} onChange={setSelection} />
+                )}
+              </div>
+            )}
+
+            {/* Verifiable Credential */}
+            {uploadMode === 'data' && (
+              <Controller
+                name="issueCredential"
+                control={control}
+                render={({ field }) => (
+                  <div style={{
+                    display: 'flex',
+                    flexDirection: 'row',
+                    alignItems: 'flex-start',
+                    padding: 16,
+                    borderRadius: 8,
+                    border: '1px solid #e5e7eb',
+                    backgroundColor: 'rgba(0, 0, 0, 0.02)'
+                  }}>
+                    <Checkbox
+                      checked={field.value}
+                      onChange={field.onChange}
+                      mt={4}
+                    />
+                    <div style={{ marginLeft: 12, flex: 1 }}>
+                      <Group gap="xs">
+                        <ShieldCheck size={16} color="#3b82f6" />
+                        <Text fw={500}>Issue as a Verifiable Credential</Text>
+                      </Group>
+                      <Text size="sm" c="dimmed">
+                        The records are signed by this EHR and bound to your wallet, so recipients can check who issued them and that they were not changed. You will be asked to sign a message in MetaMask.
+                      </Text>
+                      {issueCredential && (
+                        <Controller
+                          name="credentialFormat"
+                          control={control}
+                          render={({ field: formatField }) => (
+                            <Select
+                              {...formatField}
+                              data={credentialFormatOptions}
+                              allowDeselect={false}
+                              mt="sm"
+                            />
+                          )}
+                        />
+                      )}
+                    </div>
+                  </div>
+                )}
+              />
+            )}
+
             {/* Document Upload */}
             {uploadMode === 'documents' && (
               <Controller
@@ -748,6 +1127,23 @@ const DataSharingForm = ({ patientId, onSuccess }: DataSharingFormProps) => {
               )}
             />
 
+            <Controller
+              name="viewLimit"
+              control={control}
+              render={({ field }) => (
+                <Select
+                  {...field}
+                  label="View limit"
+                  description="The link stops working once the recipient has opened it this many times"
+                  data={viewLimitOptions}
+                  allowDeselect={false}
+                  styles={{
+                    input: { height: 44 }
+                  }}
+                />
+              )}
+            />
+
             {/* Password Option */}
             <Controller
               name="usePassword"
@@ -832,6 +1228,64 @@ const DataSharingForm = ({ patientId, onSuccess }: DataSharingFormProps) => {
               />
             )}
 
+            {/* Recipients */}
+            <div style={{
+              padding: 16,
+              borderRadius: 8,
+              backgroundColor: 'rgba(0, 0, 0, 0.02)',
+              border: '1px dashed #e5e7eb'
+            }}>
+              <Group gap="xs" mb="xs">
+                <KeyRound size={16} color="#3b82f6" />
+                <Text size="md" fw={600}>Share with specific recipients (optional)</Text>
+              </Group>
+              <Controller
+                name="recipientAddresses"
+                control={control}
+                render={({ field }) => (
+                  <Textarea
+                    {...field}
+                    label="Recipient wallet addresses"
+                    description="Only these wallets can open the share. Enter a provider's address, one per line."
+                    placeholder="0x..."
+                    autosize
+                    minRows={1}
+                    mb="sm"
+                    error={errors.recipientAddresses?.message}
+                  />
+                )}
+              />
+              <Controller
+                name="purpose"
+                control={control}
+                render={({ field }) => (
+                  <Select
+                    {...field}
+                    label="Purpose of use"
+                    description="Checked against the consents in your privacy settings"
+                    data={Object.entries(PURPOSES_OF_USE).map(([value, label]) => ({ value, label }))}
+                    allowDeselect={false}
+                    mb="sm"
+                  />
+                )}
+              />
+              <Controller
+                name="recipientKeys"
+                control={control}
+                render={({ field }) => (
+                  <Textarea
+                    {...field}
+                    label="Recipient share keys"
+                    description="To also encrypt the data for a recipient, paste the share key from their Settings page, one per line. Without a password or share keys, the decryption key is part of the link itself."
+                    placeholder="0x02..."
+                    autosize
+                    minRows={2}
+                    error={errors.recipientKeys?.message}
+                  />
+                )}
+              />
+            </div>
+
             {/* Terms Acceptance */}
             <Controller
               name="termsAccepted"
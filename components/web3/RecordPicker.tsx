@@ -0,0 +1,139 @@
+'use client';
+
+import { useState } from 'react';
+import { Button, Checkbox, Group, Stack, Text, Badge } from '@mantine/core';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+import { BundleEntry, FHIRBundle } from '@/lib/fhir/types';
+import { BundleSelection, getDisclosableFields, getEntryKey, isEntrySelected } from '@/lib/fhir/selection';
+
+interface RecordPickerProps {
+  bundle: FHIRBundle;
+  selection: BundleSelection;
+  onChange: (selection: BundleSelection) => void;
+}
+
+// Human-readable label for a record in the picker
+const describeEntry = (entry: BundleEntry) => {
+  const resource: any = entry.resource || {};
+  const name = resource.name?.[0];
+  const label = resource.resourceType === 'Patient'
+    ? name?.text || [...(name?.given || []), name?.family].filter(Boolean).join(' ')
+    : resource.code?.text
+      || resource.code?.coding?.[0]?.display
+      || resource.medicationCodeableConcept?.text
+      || resource.medicationCodeableConcept?.coding?.[0]?.display
+      || resource.type?.[0]?.text
+      || resource.description;
+  const date = resource.effectiveDateTime
+    || resource.recordedDate
+    || resource.authoredOn
+    || resource.period?.start
+    || resource.start;
+
+  return [label || resource.id, date ? new Date(date).toLocaleDateString() : null].filter(Boolean).join(' · ');
+};
+
+/**
+ * Lets the patient pick the individual records, and fields of each record,
+ * to include in a share
+ */
+const RecordPicker = ({ bundle, selection, onChange }: RecordPickerProps) => {
+  const [expanded, setExpanded] = useState<string[]>([]);
+  const entries = (bundle.entry || []).filter(entry => entry.resource);
+  const allKeys = entries.map(getEntryKey);
+
+  const toggleEntry = (key: string) => {
+    const selected = selection.entries || allKeys;
+    onChange({
+      ...selection,
+      entries: selected.includes(key) ? selected.filter(k => k !== key) : [...selected, key],
+    });
+  };
+
+  const toggleField = (key: string, field: string) => {
+    const hidden = selection.hiddenFields?.[key] || [];
+    onChange({
+      ...selection,
+      hiddenFields: {
+        ...selection.hiddenFields,
+        [key]: hidden.includes(field) ? hidden.filter(f => f !== field) : [...hidden, field],
+      },
+    });
+  };
+
+  const toggleExpanded = (key: string) => {
+    setExpanded(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]);
+  };
+
+  const selectedCount = entries.filter(entry => isEntrySelected(entry, selection)).length;
+
+  return (
+    <Stack gap="xs">
+      <Group justify="space-between">
+        <Text size="sm" c="dimmed">{selectedCount} of {entries.length} records selected</Text>
+        <Group gap="xs">
+          <Button variant="subtle" size="xs" onClick={() => onChange({ ...selection, entries: allKeys })}>
+            Select all
+          </Button>
+          <Button variant="subtle" size="xs" onClick={() => onChange({ ...selection, entries: [] })}>
+            Select none
+          </Button>
+        </Group>
+      </Group>
+
+      {entries.map(entry => {
+        const key = getEntryKey(entry);
+        const isSelected = isEntrySelected(entry, selection);
+        const isExpanded = expanded.includes(key);
+        const hidden = selection.hiddenFields?.[key] || [];
+        const fields = getDisclosableFields(entry.resource);
+
+        return (
+          <div
+            key={key}
+            style={{
+              padding: 12,
+              borderRadius: 8,
+              border: '1px solid #e5e7eb',
+              backgroundColor: isSelected ? 'rgba(59, 130, 246, 0.05)' : 'transparent',
+            }}
+          >
+            <Group justify="space-between" wrap="nowrap">
+              <Group gap="sm" wrap="nowrap">
+                <Checkbox checked={isSelected} onChange={() => toggleEntry(key)} />
+                <Badge variant="light" size="sm">{entry.resource.resourceType}</Badge>
+                <Text size="sm">{describeEntry(entry)}</Text>
+              </Group>
+              {isSelected && fields.length > 0 && (
+                <Button
+                  variant="subtle"
+                  size="xs"
+                  leftSection={isExpanded ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                  onClick={() => toggleExpanded(key)}
+                >
+                  {hidden.length > 0 ? `${hidden.length} hidden` : 'Fields'}
+                </Button>
+              )}
+            </Group>
+
+            {isSelected && isExpanded && (
+              <Group gap="md" mt="sm" ml={32}>
+                {fields.map(field => (
+                  <Checkbox
+                    key={field}
+                    size="xs"
+                    label={field}
+                    checked={!hidden.includes(field)}
+                    onChange={() => toggleField(key, field)}
+                  />
+                ))}
+              </Group>
+            )}
+          </div>
+        );
+      })}
+    </Stack>
+  );
+};
+
+export default RecordPicker;
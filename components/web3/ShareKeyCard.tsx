@@ -0,0 +1,72 @@
+'use client';
+
+import { useState } from 'react';
+import { Card, Text, Title, Button, TextInput, Group, Alert, Divider } from '@mantine/core';
+import { Clipboard, KeyRound } from 'lucide-react';
+import { useMetaMask } from '@/components/web3/MetaMaskProvider';
+import { requestShareKey } from '@/lib/web3/share-key';
+
+/**
+ * Shows the connected wallet's share key, which patients paste into the
+ * sharing form to encrypt records for this wallet
+ */
+const ShareKeyCard = () => {
+  const { currentAccount, connectWallet } = useMetaMask();
+  const [shareKey, setShareKey] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const showShareKey = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const account = currentAccount || await connectWallet();
+      if (!account) {
+        throw new Error('Connect MetaMask to see your share key');
+      }
+      setShareKey((await requestShareKey(account)).compressedPublicKey);
+    } catch (err: any) {
+      setError(err.message || 'Could not derive your share key');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const copyToClipboard = () => {
+    navigator.clipboard.writeText(shareKey);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <Card shadow="sm" padding="lg" radius="md" withBorder>
+      <Title order={3}>Share Key</Title>
+      <Text size="sm" c="dimmed" mb="md">
+        Give this key to patients so they can encrypt records for your wallet. MetaMask asks you to sign a
+        message; the key is derived from that signature in your browser, and you sign the same message again to open
+        the records.
+      </Text>
+      <Divider mb="md" />
+
+      {error && (
+        <Alert color="red" title="Error" mb="md">{error}</Alert>
+      )}
+
+      {shareKey ? (
+        <Group gap="xs">
+          <TextInput value={shareKey} readOnly style={{ flex: 1, fontFamily: 'monospace' }} />
+          <Button variant="outline" onClick={copyToClipboard} leftSection={<Clipboard size={16} />}>
+            {copied ? 'Copied!' : 'Copy'}
+          </Button>
+        </Group>
+      ) : (
+        <Button onClick={showShareKey} loading={loading} leftSection={<KeyRound size={16} />}>
+          Show my share key
+        </Button>
+      )}
+    </Card>
+  );
+};
+
+export default ShareKeyCard;
@@ -1,10 +1,20 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useRouter } from 'next/navigation';
-import { Card, Text, Button, Table, Badge, Group, Stack, ThemeIcon, Loader, Alert } from '@mantine/core';
-import { AlertCircle, Clock, ExternalLink, Plus, Trash, RefreshCw } from 'lucide-react';
+import { Card, Text, Button, Table, Badge, Group, Stack, ThemeIcon, Loader, Alert, Modal, Checkbox, Tooltip } from '@mantine/core';
+import { AlertCircle, AlertTriangle, Clock, ExternalLink, Plus, Trash, RefreshCw } from 'lucide-react';
 import { toast } from 'sonner';
+import {
+  FHIRGrantDetails,
+  ShareSyncState,
+  getAccessGrantDetails,
+  getGrantsByOwner,
+  getShareSyncState,
+  isFHIRAccessConfigured,
+  revokeAccessGrant,
+} from '@/lib/web3/contract';
+import { getIpfsGatewayUrl } from '@/lib/web3/ipfs';
 
 // Fetch shared records from the API
 const fetchSharedRecords = async (address?: string) => {
@@ -56,6 +66,38 @@ const fetchSharedRecords = async (address?: string) => {
   }
 };
 
+// Fetch the on-chain FHIRAccessControl grants of the owner, keyed by accessId
+const fetchOnChainGrants = async (owner: string): Promise<Record<string, FHIRGrantDetails>> => {
+  const accessIds = await getGrantsByOwner(owner);
+  const details = await Promise.all(accessIds.map(accessId => getAccessGrantDetails(accessId).catch(() => null)));
+  return Object.fromEntries(details.filter(Boolean).map(grant => [grant.accessId.toLowerCase(), grant]));
+};
+
+// Why the CID was not unpinned after a revoke
+const unpinMessages: Record<string, string> = {
+  'still-shared': 'The data is still used by another active share, so it stays pinned.',
+  'not-configured': 'Pinata is not configured, so the data was not unpinned.',
+  failed: 'Pinata could not unpin the data. Try again from the Pinata dashboard.',
+};
+
+const syncStateLabels: Record<Exclude<ShareSyncState, 'in-sync'>, { label: string; color: string; description: string }> = {
+  'revoked-on-chain': {
+    label: 'Revoked on chain only',
+    color: 'orange',
+    description: 'The grant was revoked on the blockchain, but this share is still marked active.',
+  },
+  'active-on-chain': {
+    label: 'Still valid on chain',
+    color: 'red',
+    description: 'This share is marked revoked, but the blockchain grant can still be verified.',
+  },
+  'missing-on-chain': {
+    label: 'Not found on chain',
+    color: 'gray',
+    description: 'The access grant of this share is not among your grants on the configured contract.',
+  },
+};
+
 interface SharedDataDashboardProps {
   ethereumAddress?: string;
 }
@@ -65,8 +107,22 @@ const SharedDataDashboard = ({ ethereumAddress }: SharedDataDashboardProps) => {
   const [sharedRecords, setSharedRecords] = useState<any[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [onChainGrants, setOnChainGrants] = useState<Record<string, FHIRGrantDetails> | null>(null);
+  const [revokeTarget, setRevokeTarget] = useState<any | null>(null);
+  const [unpinOnRevoke, setUnpinOnRevoke] = useState(false);
+  const [revokingId, setRevokingId] = useState<string | null>(null);
+
+  // Read resource types, recipients and revocations from the contract; the table still works without them
+  const loadOnChainGrants = useCallback(() => {
+    if (!ethereumAddress || !isFHIRAccessConfigured()) {
+      return;
+    }
+    fetchOnChainGrants(ethereumAddress)
+      .then(setOnChainGrants)
+      .catch(err => console.error('Error loading on-chain grants:', err));
+  }, [ethereumAddress]);
 
-  const loadSharedRecords = async () => {
+  const loadSharedRecords = useCallback(async () => {
     const addressToUse = ethereumAddress || '0x123456789abcdef123456789abcdef123456789a';
 
     setLoading(true);
@@ -95,13 +151,15 @@ const SharedDataDashboard = ({ ethereumAddress }: SharedDataDashboardProps) => {
       } else {
         setSharedRecords([]);
       }
+
+      loadOnChainGrants();
     } catch (err: any) {
       setError(err.message || 'Failed to load shared records');
       setSharedRecords([]);
     } finally {
       setLoading(false);
     }
-  };
+  }, [ethereumAddress, loadOnChainGrants]);
 
   useEffect(() => {
     loadSharedRecords();
@@ -124,60 +182,88 @@ const SharedDataDashboard = ({ ethereumAddress }: SharedDataDashboardProps) => {
       document.removeEventListener('visibilitychange', handleVisibilityChange);
       window.removeEventListener('focus', handleFocus);
     };
-  }, [ethereumAddress]);
+  }, [loadSharedRecords]);
 
 
   const handleShareNew = () => {
     router.push('/patient/share-data');
   };
 
-  const handleViewShared = (accessId: string) => {
-    // Use the direct IPFS API endpoint instead of the shared page
-    // This avoids the Web3Provider dependency that causes errors
-    window.open(`/api/ipfs?accessId=${accessId}`, '_blank');
+  const handleViewShared = (ipfsCid: string) => {
+    // Open the content by CID, so the owner's own look does not use up a view of the share
+    window.open(getIpfsGatewayUrl(ipfsCid), '_blank');
   };
 
-  // Revoke access by setting isActive to false
-  const handleRevokeAccess = async (recordId: string) => {
-    try {
-      const checkResponse = await fetch(`/api/shared-data/${recordId}`, {
-        method: 'GET',
-      });
+  // Mark a share inactive in the database, recording the revoke transaction
+  const markRevoked = async (record: any, revocationTxHash?: string | null, unpin = false) => {
+    const response = await fetch(`/api/shared-data/${record.id}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ isActive: false, revocationTxHash: revocationTxHash || undefined, unpin }),
+    });
 
-      if (!checkResponse.ok) {
-        throw new Error(`Record not found: ${recordId}`);
-      }
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Failed to update the share: ${errorText}`);
+    }
 
-      const response = await fetch(`/api/shared-data/${recordId}`, {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-wallet-address': ethereumAddress || '',
-        },
-        body: JSON.stringify({ isActive: false }),
-      });
+    const updated = await response.json();
+    setSharedRecords(prevRecords =>
+      prevRecords.map(r => r.id === record.id ? { ...r, isActive: false } : r)
+    );
+    return updated;
+  };
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Failed to revoke access: ${errorText}`);
+  // Revoke the grant on chain first, then mark the share inactive and optionally unpin it
+  const handleRevokeAccess = async (record: any, unpin: boolean) => {
+    setRevokingId(record.id);
+    try {
+      const grant = onChainGrants?.[record.accessId?.toLowerCase()];
+      let transactionHash: string | null = null;
+
+      if (grant && !grant.isExpired) {
+        toast.info('Confirm the revoke transaction in your wallet');
+        const revocation = await revokeAccessGrant(record.accessId);
+        transactionHash = revocation.transactionHash;
       }
 
-      // Update the UI by setting the record to inactive
-      setSharedRecords(prevRecords =>
-        prevRecords.map(record =>
-          record.id === recordId ? { ...record, isActive: false } : record
-        )
-      );
+      const updated = await markRevoked(record, transactionHash, unpin);
 
-      // Show success toast
       toast.success('Access revoked', {
-        description: 'The recipient can no longer access this shared data.',
+        description: transactionHash
+          ? `The grant was revoked on chain in transaction ${truncate(transactionHash, 10, 8)}.`
+          : 'The recipient can no longer access this shared data.',
       });
+      if (unpin && updated.unpinStatus !== 'unpinned') {
+        toast.warning('Data not unpinned', { description: unpinMessages[updated.unpinStatus] });
+      }
     } catch (error) {
-      // Show error toast
       toast.error('Failed to revoke access', {
         description: error instanceof Error ? error.message : 'Unknown error occurred',
       });
+    } finally {
+      setRevokingId(null);
+      loadOnChainGrants();
+    }
+  };
+
+  const confirmRevoke = () => {
+    const record = revokeTarget;
+    setRevokeTarget(null);
+    handleRevokeAccess(record, unpinOnRevoke);
+  };
+
+  // Bring the database in line with a grant that was revoked on chain elsewhere
+  const handleMarkRevoked = async (record: any) => {
+    try {
+      await markRevoked(record);
+      toast.success('Share marked as revoked');
+    } catch (error) {
+      toast.error('Failed to update the share', {
+        description: error instanceof Error ? error.message : 'Unknown error occurred',
+      });
     }
   };
 
@@ -220,6 +306,18 @@ const SharedDataDashboard = ({ ethereumAddress }: SharedDataDashboardProps) => {
     return 'Revoked';
   };
 
+  const getSyncState = (record: any): ShareSyncState =>
+    onChainGrants ? getShareSyncState(record, onChainGrants[record.accessId?.toLowerCase()]) : 'in-sync';
+
+  const outOfSyncCount = sharedRecords.filter(record => getSyncState(record) !== 'in-sync').length;
+
+  const getSecurityLabel = (record: any, grant?: FHIRGrantDetails) => {
+    if (grant?.recipientBound) {
+      return `${grant.grantees.length} recipient ${grant.grantees.length === 1 ? 'wallet' : 'wallets'}`;
+    }
+    return record.hasPassword ? 'Password Protected' : 'No Password';
+  };
+
   return (
     <Card shadow="sm" padding="lg" radius="md" withBorder w="100%">
       <Card.Section withBorder inheritPadding py="md">
@@ -271,73 +369,141 @@ const SharedDataDashboard = ({ ethereumAddress }: SharedDataDashboardProps) => {
             </Button>
           </Stack>
         ) : (
-          <Table striped highlightOnHover>
-            <Table.Thead>
-              <Table.Tr>
-                <Table.Th>Shared On</Table.Th>
-                <Table.Th>Status</Table.Th>
-                <Table.Th>Time Remaining</Table.Th>
-                <Table.Th>Security</Table.Th>
-                <Table.Th>Access Count</Table.Th>
-                <Table.Th ta="right">Actions</Table.Th>
-              </Table.Tr>
-            </Table.Thead>
-            <Table.Tbody>
-              {sharedRecords.map((record) => {
-                const isExpired = new Date() > record.expiryTime;
-                return (
-                  <Table.Tr key={record.id}>
-                    <Table.Td>
-                      <Text fw={500}>{record.createdAt.toLocaleDateString()}</Text>
-                    </Table.Td>
-                    <Table.Td>
-                      <Badge color={getBadgeColor(isExpired, record.isActive)} variant="light">
-                        {getBadgeLabel(isExpired, record.isActive)}
-                      </Badge>
-                    </Table.Td>
-                    <Table.Td>
-                      <Group gap={4}>
-                        <Clock size={12} />
-                        <Text size="sm">{formatTimeRemaining(record.expiryTime)}</Text>
-                      </Group>
-                    </Table.Td>
-                    <Table.Td>
-                      <Text size="sm">{record.hasPassword ? 'Password Protected' : 'No Password'}</Text>
-                    </Table.Td>
-                    <Table.Td>
-                      <Text size="sm">{record.accessCount}</Text>
-                    </Table.Td>
-                    <Table.Td ta="right">
-                      <Group gap="xs" justify="flex-end">
-                        <Button
-                          variant="outline"
-                          size="xs"
-                          onClick={() => handleViewShared(record.accessId)}
-                          disabled={isExpired || !record.isActive}
-                          title="View shared data"
-                        >
-                          <ExternalLink size={14} />
-                        </Button>
-                        <Button
-                          variant="outline"
-                          size="xs"
-                          color="red"
-                          onClick={() => handleRevokeAccess(record.id)}
-                          disabled={isExpired || !record.isActive}
-                          title="Revoke access"
-                        >
-                          <Trash size={14} />
-                        </Button>
-                      </Group>
-                    </Table.Td>
-                  </Table.Tr>
-                );
-              })}
-            </Table.Tbody>
-          </Table>
+          <>
+            {outOfSyncCount > 0 && (
+              <Alert color="orange" icon={<AlertTriangle size={16} />} title="Blockchain and database disagree" mb="md">
+                {outOfSyncCount === 1 ? '1 share has' : `${outOfSyncCount} shares have`} a different status on the
+                blockchain than in your share list. The affected rows are marked below.
+              </Alert>
+            )}
+            <Table striped highlightOnHover>
+              <Table.Thead>
+                <Table.Tr>
+                  <Table.Th>Shared On</Table.Th>
+                  <Table.Th>Status</Table.Th>
+                  <Table.Th>Time Remaining</Table.Th>
+                  <Table.Th>Contents</Table.Th>
+                  <Table.Th>Security</Table.Th>
+                  <Table.Th>Access Count</Table.Th>
+                  <Table.Th ta="right">Actions</Table.Th>
+                </Table.Tr>
+              </Table.Thead>
+              <Table.Tbody>
+                {sharedRecords.map((record) => {
+                  const isExpired = new Date() > record.expiryTime;
+                  const grant = onChainGrants?.[record.accessId?.toLowerCase()];
+                  const syncState = getSyncState(record);
+                  return (
+                    <Table.Tr key={record.id}>
+                      <Table.Td>
+                        <Text fw={500}>{record.createdAt.toLocaleDateString()}</Text>
+                      </Table.Td>
+                      <Table.Td>
+                        <Stack gap={4} align="flex-start">
+                          <Badge color={getBadgeColor(isExpired, record.isActive)} variant="light">
+                            {getBadgeLabel(isExpired, record.isActive)}
+                          </Badge>
+                          {syncState !== 'in-sync' && (
+                            <Tooltip label={syncStateLabels[syncState].description} multiline w={260}>
+                              <Badge color={syncStateLabels[syncState].color} variant="outline" size="xs" leftSection={<AlertTriangle size={10} />}>
+                                {syncStateLabels[syncState].label}
+                              </Badge>
+                            </Tooltip>
+                          )}
+                        </Stack>
+                      </Table.Td>
+                      <Table.Td>
+                        <Group gap={4}>
+                          <Clock size={12} />
+                          <Text size="sm">{formatTimeRemaining(record.expiryTime)}</Text>
+                        </Group>
+                      </Table.Td>
+                      <Table.Td>
+                        {grant?.resourceTypes.length ? (
+                          <Group gap={4}>
+                            {grant.resourceTypes.map(type => (
+                              <Badge key={type} variant="outline" size="xs">{type}</Badge>
+                            ))}
+                          </Group>
+                        ) : (
+                          <Text size="sm" c="dimmed">{grant?.fhirResourceType || '—'}</Text>
+                        )}
+                      </Table.Td>
+                      <Table.Td>
+                        <Text size="sm">{getSecurityLabel(record, grant)}</Text>
+                      </Table.Td>
+                      <Table.Td>
+                        <Text size="sm">{record.accessCount}</Text>
+                      </Table.Td>
+                      <Table.Td ta="right">
+                        <Group gap="xs" justify="flex-end">
+                          <Button
+                            variant="outline"
+                            size="xs"
+                            onClick={() => handleViewShared(record.ipfsCid)}
+                            disabled={isExpired || !record.isActive}
+                            title="View shared data"
+                          >
+                            <ExternalLink size={14} />
+                          </Button>
+                          {syncState === 'revoked-on-chain' && (
+                            <Button variant="light" size="xs" color="orange" onClick={() => handleMarkRevoked(record)}>
+                              Mark revoked
+                            </Button>
+                          )}
+                          {syncState === 'active-on-chain' && (
+                            <Button
+                              variant="light"
+                              size="xs"
+                              color="red"
+                              onClick={() => handleRevokeAccess(record, false)}
+                              loading={revokingId === record.id}
+                            >
+                              Revoke on chain
+                            </Button>
+                          )}
+                          <Button
+                            variant="outline"
+                            size="xs"
+                            color="red"
+                            onClick={() => { setUnpinOnRevoke(false); setRevokeTarget(record); }}
+                            disabled={isExpired || !record.isActive}
+                            loading={revokingId === record.id}
+                            title="Revoke access"
+                          >
+                            <Trash size={14} />
+                          </Button>
+                        </Group>
+                      </Table.Td>
+                    </Table.Tr>
+                  );
+                })}
+              </Table.Tbody>
+            </Table>
+          </>
         )}
       </Card.Section>
 
+      <Modal opened={!!revokeTarget} onClose={() => setRevokeTarget(null)} title="Revoke access" centered>
+        <Stack gap="md">
+          <Text size="sm">
+            {onChainGrants?.[revokeTarget?.accessId?.toLowerCase()]?.isExpired === false
+              ? 'This sends a transaction that revokes the grant on the blockchain. Recipients can no longer verify access once it is mined.'
+              : 'This share has no active blockchain grant, so it is only marked as revoked. Anyone who already has the link and key can still read the data while it stays pinned.'}
+          </Text>
+          <Checkbox
+            label="Also unpin the data from IPFS (Pinata)"
+            description="Other IPFS nodes may still hold copies, but the data is no longer kept available by your account."
+            checked={unpinOnRevoke}
+            onChange={(event) => setUnpinOnRevoke(event.currentTarget.checked)}
+          />
+          <Group justify="flex-end">
+            <Button variant="default" onClick={() => setRevokeTarget(null)}>Cancel</Button>
+            <Button color="red" onClick={confirmRevoke}>Revoke</Button>
+          </Group>
+        </Stack>
+      </Modal>
+
       <Card.Section inheritPadding py="md">
         <Text size="xs" c="dimmed">
           Your data is securely stored on IPFS and access is managed by a blockchain smart contract
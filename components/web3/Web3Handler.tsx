@@ -1,7 +1,13 @@
 import { ReactNode, createContext, useContext, useState, useEffect } from 'react';
 import { ethers } from 'ethers';
 import { getFromIpfs as fetchFromIpfs, decryptData as decryptIpfsData } from '@/lib/web3/ipfs';
-import { verifyAccess as verifyContractAccess, getAccessGrantDetails as getContractAccessDetails } from '@/lib/web3/contract';
+import { DecryptionKey } from '@/lib/web3/encryption';
+import {
+  FHIRAccessResult,
+  FHIRGrantDetails,
+  verifyAccess as verifyContractAccess,
+  getAccessGrantDetails as getContractAccessDetails,
+} from '@/lib/web3/contract';
 
 // Create a context for Web3 functionality
 interface Web3ContextType {
@@ -9,10 +15,10 @@ interface Web3ContextType {
   currentAccount: string | null;
   chainId: string | null;
   connectWallet: () => Promise<string | null>;
-  verifyAccess: (accessId: string, password?: string) => Promise<string>;
-  getAccessGrantDetails: (accessId: string) => Promise<any>;
+  verifyAccess: (accessId: string) => Promise<FHIRAccessResult>;
+  getAccessGrantDetails: (accessId: string) => Promise<FHIRGrantDetails>;
   getFromIpfs: (cid: string) => Promise<any>;
-  decryptData: (encryptedData: string, password: string) => Promise<any>;
+  decryptData: (encryptedData: any, key: string | DecryptionKey) => Promise<any>;
 }
 
 const Web3Context = createContext<Web3ContextType | null>(null);
@@ -84,10 +90,10 @@ export default function Web3Handler({ children }: Web3HandlerProps) {
   };
 
   // Function for verifying access
-  const verifyAccess = async (accessId: string, password?: string): Promise<string> => {
+  const verifyAccess = async (accessId: string): Promise<FHIRAccessResult> => {
     try {
       // Call the actual contract function
-      return await verifyContractAccess(accessId, password);
+      return await verifyContractAccess(accessId);
     } catch (error) {
       console.error('Error verifying access:', error);
       throw error;
@@ -95,7 +101,7 @@ export default function Web3Handler({ children }: Web3HandlerProps) {
   };
 
   // Function for getting access grant details
-  const getAccessGrantDetails = async (accessId: string) => {
+  const getAccessGrantDetails = async (accessId: string): Promise<FHIRGrantDetails> => {
     try {
       // Call the actual contract function
       return await getContractAccessDetails(accessId);
@@ -117,10 +123,10 @@ export default function Web3Handler({ children }: Web3HandlerProps) {
   };
 
   // Function for decrypting data
-  const decryptData = async (encryptedData: string, password: string) => {
+  const decryptData = async (encryptedData: any, key: string | DecryptionKey) => {
     try {
       // Use the actual decryption function
-      return await decryptIpfsData(encryptedData, password);
+      return await decryptIpfsData(encryptedData, key);
     } catch (error) {
       console.error('Error decrypting data:', error);
       throw error;
@@ -6,23 +6,40 @@ pragma solidity ^0.8.19;
  *
  * Extends the base AccessControl contract to support FHIR resource references
  * and metadata, enabling interoperable health data sharing.
+ *
+ * Grants are either link grants, which anyone holding the accessId can verify,
+ * or bound to a list of grantee addresses. Recipient-bound grants are checked
+ * against msg.sender, and the owner can add and remove grantees until the
+ * grant expires. There are no password grants: anything stored here is public,
+ * so a password hash could be brute-forced offline. Password-protected shares
+ * are link grants whose payload is encrypted with a key derived from the
+ * password, which never leaves the browser.
+ *
+ * The contract also timestamps Merkle roots of the EHR's hash-chained audit
+ * log, so a patient can later prove their access log was complete. Only the
+ * audit anchorer (the deployer, until handed over) can anchor roots, so an
+ * anchored root always comes from the EHR.
  */
 contract FHIRAccessControl {
     struct FHIRAccessGrant {
         address owner;
         string ipfsCid; // CID of the encrypted FHIR Bundle on IPFS
         uint256 expiryTime; // Unix timestamp
-        bytes32 passwordHash; // Optional password hash (keccak256)
         string fhirResourceType; // e.g., "Patient", "Bundle", "DocumentReference"
         string fhirResourceId; // FHIR resource ID
         string fhirVersion; // e.g., "4.0.1" (R4)
         string[] resourceTypes; // Types of resources in Bundle (e.g., ["Patient", "Observation"])
         bool exists;
+        bool recipientBound; // Only grantees (and the owner) can verify access
     }
 
     mapping(bytes32 => FHIRAccessGrant) public accessGrants; // accessId => FHIRAccessGrant
     mapping(address => bytes32[]) public ownerGrants; // owner => accessIds
     mapping(string => bytes32[]) public resourceGrants; // fhirResourceId => accessIds
+    mapping(bytes32 => address[]) private grantees; // accessId => grantee addresses
+    mapping(bytes32 => mapping(address => uint256)) private granteeIndex; // accessId => grantee => index + 1
+    mapping(bytes32 => uint256) public auditRootAnchoredAt; // Merkle root => block timestamp
+    address public auditAnchorer; // Only account that can anchor audit roots
 
     event FHIRAccessCreated(
         bytes32 indexed accessId,
@@ -50,6 +67,27 @@ contract FHIRAccessControl {
         address indexed owner
     );
 
+    event FHIRGranteeAdded(
+        bytes32 indexed accessId,
+        address indexed grantee
+    );
+
+    event FHIRGranteeRemoved(
+        bytes32 indexed accessId,
+        address indexed grantee
+    );
+
+    event AuditRootAnchored(
+        bytes32 indexed root,
+        address indexed anchorer,
+        uint256 leafCount
+    );
+
+    event AuditAnchorerChanged(
+        address indexed previousAnchorer,
+        address indexed newAnchorer
+    );
+
     modifier onlyValidGrant(bytes32 accessId) {
         require(accessGrants[accessId].exists, "Access grant does not exist");
         require(block.timestamp < accessGrants[accessId].expiryTime, "Access grant has expired");
@@ -61,12 +99,21 @@ contract FHIRAccessControl {
         _;
     }
 
+    modifier onlyAuditAnchorer() {
+        require(msg.sender == auditAnchorer, "Only the audit anchorer can perform this action");
+        _;
+    }
+
+    constructor() {
+        auditAnchorer = msg.sender;
+        emit AuditAnchorerChanged(address(0), msg.sender);
+    }
+
     /**
      * Create a FHIR-based access grant
      *
      * @param _ipfsCid IPFS CID of the encrypted FHIR Bundle
      * @param _durationSeconds Duration in seconds
-     * @param _passwordHash Optional password hash (use bytes32(0) for no password)
      * @param _fhirResourceType FHIR resource type (e.g., "Patient", "Bundle")
      * @param _fhirResourceId FHIR resource ID
      * @param _fhirVersion FHIR version (e.g., "4.0.1")
@@ -76,12 +123,73 @@ contract FHIRAccessControl {
     function createFHIRAccess(
         string memory _ipfsCid,
         uint256 _durationSeconds,
-        bytes32 _passwordHash,
         string memory _fhirResourceType,
         string memory _fhirResourceId,
         string memory _fhirVersion,
         string[] memory _resourceTypes
     ) external returns (bytes32 accessId) {
+        return _createGrant(
+            _ipfsCid,
+            _durationSeconds,
+            _fhirResourceType,
+            _fhirResourceId,
+            _fhirVersion,
+            _resourceTypes,
+            false
+        );
+    }
+
+    /**
+     * Create a FHIR-based access grant bound to specific grantee addresses
+     *
+     * Only the grantees (and the owner) can verify access, with verifyGranteeAccess.
+     *
+     * @param _ipfsCid IPFS CID of the encrypted FHIR Bundle
+     * @param _durationSeconds Duration in seconds
+     * @param _fhirResourceType FHIR resource type (e.g., "Patient", "Bundle")
+     * @param _fhirResourceId FHIR resource ID
+     * @param _fhirVersion FHIR version (e.g., "4.0.1")
+     * @param _resourceTypes Array of resource types included in Bundle
+     * @param _grantees Addresses allowed to access the grant
+     * @return accessId Unique access identifier
+     */
+    function createFHIRAccessForGrantees(
+        string memory _ipfsCid,
+        uint256 _durationSeconds,
+        string memory _fhirResourceType,
+        string memory _fhirResourceId,
+        string memory _fhirVersion,
+        string[] memory _resourceTypes,
+        address[] memory _grantees
+    ) external returns (bytes32 accessId) {
+        require(_grantees.length > 0, "At least one grantee is required");
+
+        accessId = _createGrant(
+            _ipfsCid,
+            _durationSeconds,
+            _fhirResourceType,
+            _fhirResourceId,
+            _fhirVersion,
+            _resourceTypes,
+            true
+        );
+
+        for (uint256 i = 0; i < _grantees.length; i++) {
+            _addGrantee(accessId, _grantees[i]);
+        }
+
+        return accessId;
+    }
+
+    function _createGrant(
+        string memory _ipfsCid,
+        uint256 _durationSeconds,
+        string memory _fhirResourceType,
+        string memory _fhirResourceId,
+        string memory _fhirVersion,
+        string[] memory _resourceTypes,
+        bool _recipientBound
+    ) internal returns (bytes32 accessId) {
         require(_durationSeconds > 0, "Duration must be positive");
         require(bytes(_ipfsCid).length > 0, "IPFS CID cannot be empty");
         require(bytes(_fhirResourceType).length > 0, "FHIR resource type cannot be empty");
@@ -102,12 +210,12 @@ contract FHIRAccessControl {
             owner: msg.sender,
             ipfsCid: _ipfsCid,
             expiryTime: expiry,
-            passwordHash: _passwordHash,
             fhirResourceType: _fhirResourceType,
             fhirResourceId: _fhirResourceId,
             fhirVersion: _fhirVersion,
             resourceTypes: _resourceTypes,
-            exists: true
+            exists: true,
+            recipientBound: _recipientBound
         });
 
         // Track by owner
@@ -131,18 +239,16 @@ contract FHIRAccessControl {
     }
 
     /**
-     * Verify and retrieve FHIR access details
+     * Verify a link grant and retrieve the FHIR access details
      *
      * @param _accessId Access identifier
-     * @param _passwordInput Password attempt (empty string if no password)
      * @return ipfsCid IPFS CID
      * @return fhirResourceType FHIR resource type
      * @return fhirResourceId FHIR resource ID
      * @return resourceTypes Array of resource types
      */
     function verifyFHIRAccess(
-        bytes32 _accessId,
-        string memory _passwordInput
+        bytes32 _accessId
     ) external view onlyValidGrant(_accessId) returns (
         string memory ipfsCid,
         string memory fhirResourceType,
@@ -150,14 +256,46 @@ contract FHIRAccessControl {
         string[] memory resourceTypes
     ) {
         FHIRAccessGrant storage grant = accessGrants[_accessId];
+        require(!grant.recipientBound, "Grant is bound to grantees");
 
-        // Check password if set
-        if (grant.passwordHash != bytes32(0)) {
-            require(
-                keccak256(abi.encodePacked(_passwordInput)) == grant.passwordHash,
-                "Invalid password"
-            );
-        }
+        return (
+            grant.ipfsCid,
+            grant.fhirResourceType,
+            grant.fhirResourceId,
+            grant.resourceTypes
+        );
+    }
+
+    /**
+     * Verify that msg.sender is a grantee (or the owner) of a recipient-bound grant
+     * and retrieve the FHIR access details
+     *
+     * Note that `from` can be set freely in an eth_call, so this gates honest
+     * clients only; the payload itself must be encrypted to the grantees' keys.
+     *
+     * @param _accessId Access identifier
+     * @return ipfsCid IPFS CID
+     * @return fhirResourceType FHIR resource type
+     * @return fhirResourceId FHIR resource ID
+     * @return resourceTypes Array of resource types
+     */
+    function verifyGranteeAccess(bytes32 _accessId)
+        external
+        view
+        onlyValidGrant(_accessId)
+        returns (
+            string memory ipfsCid,
+            string memory fhirResourceType,
+            string memory fhirResourceId,
+            string[] memory resourceTypes
+        )
+    {
+        FHIRAccessGrant storage grant = accessGrants[_accessId];
+        require(grant.recipientBound, "Grant is not bound to grantees");
+        require(
+            msg.sender == grant.owner || granteeIndex[_accessId][msg.sender] != 0,
+            "Caller is not a grantee"
+        );
 
         return (
             grant.ipfsCid,
@@ -167,6 +305,90 @@ contract FHIRAccessControl {
         );
     }
 
+    /**
+     * Add a grantee to a recipient-bound grant
+     * Only the owner can add grantees, while the grant is valid
+     *
+     * @param _accessId Access identifier
+     * @param _grantee Address to grant access to
+     */
+    function addGrantee(bytes32 _accessId, address _grantee)
+        external
+        onlyValidGrant(_accessId)
+        onlyOwner(_accessId)
+    {
+        require(accessGrants[_accessId].recipientBound, "Grant is not bound to grantees");
+        _addGrantee(_accessId, _grantee);
+    }
+
+    /**
+     * Remove a grantee from a recipient-bound grant
+     * Only the owner can remove grantees
+     *
+     * @param _accessId Access identifier
+     * @param _grantee Address to remove
+     */
+    function removeGrantee(bytes32 _accessId, address _grantee)
+        external
+        onlyOwner(_accessId)
+    {
+        uint256 index = granteeIndex[_accessId][_grantee];
+        require(index != 0, "Address is not a grantee");
+
+        // Move the last grantee into the removed slot
+        address[] storage list = grantees[_accessId];
+        address last = list[list.length - 1];
+        list[index - 1] = last;
+        granteeIndex[_accessId][last] = index;
+        list.pop();
+        delete granteeIndex[_accessId][_grantee];
+
+        emit FHIRGranteeRemoved(_accessId, _grantee);
+    }
+
+    /**
+     * Check whether an address is a grantee of an access grant
+     *
+     * @param _accessId Access identifier
+     * @param _grantee Address to check
+     * @return bool True if the address is a grantee
+     */
+    function isGrantee(bytes32 _accessId, address _grantee)
+        external
+        view
+        returns (bool)
+    {
+        return granteeIndex[_accessId][_grantee] != 0;
+    }
+
+    /**
+     * Get the grantees of an access grant
+     *
+     * @param _accessId Access identifier
+     * @return Array of grantee addresses
+     */
+    function getGrantees(bytes32 _accessId)
+        external
+        view
+        returns (address[] memory)
+    {
+        return grantees[_accessId];
+    }
+
+    /**
+     * Check whether an access grant is bound to grantees
+     *
+     * @param _accessId Access identifier
+     * @return bool True if only grantees can verify access
+     */
+    function isRecipientBound(bytes32 _accessId)
+        external
+        view
+        returns (bool)
+    {
+        return accessGrants[_accessId].recipientBound;
+    }
+
     /**
      * Get full FHIR access grant details
      *
@@ -179,7 +401,6 @@ contract FHIRAccessControl {
             address owner,
             string memory ipfsCid,
             uint256 expiryTime,
-            bool hasPassword,
             string memory fhirResourceType,
             string memory fhirResourceId,
             string memory fhirVersion,
@@ -194,7 +415,6 @@ contract FHIRAccessControl {
             grant.owner,
             grant.ipfsCid,
             grant.expiryTime,
-            grant.passwordHash != bytes32(0),
             grant.fhirResourceType,
             grant.fhirResourceId,
             grant.fhirVersion,
@@ -279,4 +499,44 @@ contract FHIRAccessControl {
     {
         return ownerGrants[_owner].length;
     }
+
+    /**
+     * Anchor the Merkle root of a batch of audit log entries
+     * Only the audit anchorer can anchor roots
+     *
+     * @param _root Merkle root of the batch
+     * @param _leafCount Number of leaves in the tree
+     */
+    function anchorAuditRoot(bytes32 _root, uint256 _leafCount) external onlyAuditAnchorer {
+        require(_root != bytes32(0), "Root cannot be empty");
+        require(_leafCount > 0, "Leaf count must be positive");
+        require(auditRootAnchoredAt[_root] == 0, "Root is already anchored");
+
+        auditRootAnchoredAt[_root] = block.timestamp;
+
+        emit AuditRootAnchored(_root, msg.sender, _leafCount);
+    }
+
+    /**
+     * Hand anchoring over to another account, e.g. the EHR's anchoring wallet
+     * Only the current audit anchorer can do this
+     *
+     * @param _anchorer Account that anchors audit roots from now on
+     */
+    function setAuditAnchorer(address _anchorer) external onlyAuditAnchorer {
+        require(_anchorer != address(0), "Anchorer cannot be the zero address");
+
+        emit AuditAnchorerChanged(auditAnchorer, _anchorer);
+        auditAnchorer = _anchorer;
+    }
+
+    function _addGrantee(bytes32 _accessId, address _grantee) internal {
+        require(_grantee != address(0), "Grantee cannot be the zero address");
+        require(granteeIndex[_accessId][_grantee] == 0, "Address is already a grantee");
+
+        grantees[_accessId].push(_grantee);
+        granteeIndex[_accessId][_grantee] = grantees[_accessId].length;
+
+        emit FHIRGranteeAdded(_accessId, _grantee);
+    }
 }
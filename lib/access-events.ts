@@ -0,0 +1,153 @@
+/**
+ * Access Events
+ *
+ * Every attempt to open a share on `/shared/[accessId]` is stored as an
+ * AccessEvent for the share's owner: who opened it (wallet and/or session),
+ * from where (IP and user agent), whether it worked and which resources were
+ * viewed. `/api/ipfs?accessId=` records each view when it releases the
+ * content, `/api/shared-data/record-access` the attempts that failed in the
+ * viewer's browser, and `/api/access-logs` lets the owner page through them.
+ */
+
+import { NextApiRequest } from 'next';
+import { ethers } from 'ethers';
+import { appendAuditEntry } from './audit-log';
+
+export const ACCESS_OUTCOMES = ['granted', 'wrong_password', 'not_grantee', 'expired', 'view_limit'] as const;
+
+export type AccessOutcome = typeof ACCESS_OUTCOMES[number];
+
+export const DEFAULT_ACCESS_LOG_PAGE_SIZE = 25;
+export const MAX_ACCESS_LOG_PAGE_SIZE = 100;
+
+// Longer headers and session ids are cut rather than rejected
+const MAX_FIELD_LENGTH = 512;
+
+export interface AccessEventDetails {
+  outcome: AccessOutcome;
+  /** Wallet connected on the shared page, as sent by the client */
+  viewerAddress?: unknown;
+  /** Browser session id sent by the client, used when no one is signed in */
+  sessionId?: unknown;
+  /** Id of the signed-in user, if any */
+  userId?: string | null;
+  resourceTypes?: unknown;
+}
+
+export interface AccessLogQuery {
+  where: Record<string, any>;
+  page: number;
+  pageSize: number;
+}
+
+export const isAccessOutcome = (value: unknown): value is AccessOutcome =>
+  ACCESS_OUTCOMES.includes(value as AccessOutcome);
+
+/**
+ * Truncate an optional client-supplied string for storage
+ */
+export const toStoredString = (value: unknown): string | null =>
+  typeof value === 'string' && value.length > 0 ? value.slice(0, MAX_FIELD_LENGTH) : null;
+
+/**
+ * The client IP, preferring the first X-Forwarded-For hop set by the proxy
+ */
+export const getClientIp = (req: NextApiRequest): string | null => {
+  const forwarded = req.headers['x-forwarded-for'];
+  const first = (Array.isArray(forwarded) ? forwarded[0] : forwarded)?.split(',')[0].trim();
+  return first || req.socket?.remoteAddress || null;
+};
+
+/**
+ * Lowercased wallet address, or null if the value is not an address
+ */
+export const normalizeViewerAddress = (value: unknown): string | null =>
+  typeof value === 'string' && ethers.isAddress(value) ? value.toLowerCase() : null;
+
+/**
+ * Store an attempt to open a share for its owner, and append it to the owner's
+ * audit log
+ */
+export async function recordAccessEvent(
+  prisma: any,
+  req: NextApiRequest,
+  share: { id: string; userId: string; accessId: string },
+  details: AccessEventDetails
+) {
+  const { outcome, viewerAddress, sessionId, userId, resourceTypes } = details;
+  const accessEvent = await prisma.accessEvent.create({
+    data: {
+      sharedDataId: share.id,
+      ownerId: share.userId,
+      viewerAddress: normalizeViewerAddress(viewerAddress),
+      viewerSession: userId || toStoredString(sessionId),
+      ipAddress: getClientIp(req),
+      userAgent: toStoredString(req.headers['user-agent']),
+      outcome,
+      resourceTypes: Array.isArray(resourceTypes)
+        ? toStoredString(resourceTypes.filter(type => typeof type === 'string').join(','))
+        : null,
+    },
+  });
+
+  await appendAuditEntry(prisma, share.userId, 'access', {
+    accessEventId: accessEvent.id,
+    accessId: share.accessId,
+    outcome: accessEvent.outcome,
+    viewerAddress: accessEvent.viewerAddress,
+    viewerSession: accessEvent.viewerSession,
+    ipAddress: accessEvent.ipAddress,
+    resourceTypes: accessEvent.resourceTypes,
+  });
+  return accessEvent;
+}
+
+/**
+ * Build the Prisma filter and page for an owner's access log from query parameters:
+ * `outcome`, `accessId`, `viewer`, `from`, `to`, `page` (1-based) and `pageSize`
+ */
+export const parseAccessLogQuery = (ownerId: string, query: NextApiRequest['query']): AccessLogQuery => {
+  const param = (name: string) => {
+    const value = query[name];
+    return Array.isArray(value) ? value[0] : value;
+  };
+
+  const where: Record<string, any> = { ownerId };
+
+  const outcome = param('outcome');
+  if (outcome) {
+    if (!isAccessOutcome(outcome)) {
+      throw new Error(`outcome must be one of ${ACCESS_OUTCOMES.join(', ')}`);
+    }
+    where.outcome = outcome;
+  }
+
+  const accessId = param('accessId');
+  if (accessId) {
+    where.sharedData = { accessId };
+  }
+
+  const viewer = param('viewer');
+  if (viewer) {
+    where.viewerAddress = viewer.toLowerCase();
+  }
+
+  for (const [name, operator] of [['from', 'gte'], ['to', 'lte']]) {
+    const value = param(name);
+    if (value) {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        throw new Error(`${name} must be a date`);
+      }
+      where.createdAt = { ...where.createdAt, [operator]: date };
+    }
+  }
+
+  const page = Math.max(parseInt(param('page') || '1', 10) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(parseInt(param('pageSize') || String(DEFAULT_ACCESS_LOG_PAGE_SIZE), 10) || DEFAULT_ACCESS_LOG_PAGE_SIZE, 1),
+    MAX_ACCESS_LOG_PAGE_SIZE
+  );
+
+  return { where, page, pageSize };
+};
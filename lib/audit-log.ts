@@ -0,0 +1,247 @@
+/**
+ * Hash-Chained Audit Log
+ *
+ * Access and sharing events are appended to a per-patient chain of AuditEntry
+ * rows. Each entry stores the hash of the previous one and its own hash over
+ * its contents, so editing, reordering or removing an entry breaks the chain.
+ *
+ * Removing the newest entries leaves a valid but shorter chain. To catch that,
+ * `lib/web3/audit-anchor.ts` periodically anchors the Merkle root of every
+ * chain's latest entry on FHIRAccessControl; a patient's chain must still
+ * contain the entry that was anchored.
+ */
+
+import { ethers } from 'ethers';
+
+export const GENESIS_HASH = ethers.ZeroHash;
+
+export const AUDIT_ACTIONS = [
+  'access',
+  'share.created',
+  'share.updated',
+  'share.revoked',
+  'share.expired',
+  'share.unpinned',
+  'share.deleted',
+] as const;
+
+export type AuditAction = typeof AUDIT_ACTIONS[number];
+
+// Appends to the same chain race on the (ownerId, sequence) unique index
+const MAX_APPEND_ATTEMPTS = 3;
+
+export interface AuditEntryFields {
+  ownerId: string;
+  sequence: number;
+  action: string;
+  details: string;
+  prevHash: string;
+  createdAt: Date | string;
+}
+
+export interface AuditEntryRecord extends AuditEntryFields {
+  hash: string;
+}
+
+export interface AuditChainBreak {
+  sequence: number;
+  reason: 'sequence-gap' | 'prev-hash-mismatch' | 'hash-mismatch' | 'anchored-entry-missing' | 'anchor-root-mismatch';
+}
+
+export interface AuditChainVerification {
+  valid: boolean;
+  entries: number;
+  head: { sequence: number; hash: string } | null;
+  breaks: AuditChainBreak[];
+}
+
+export interface AuditLeaf {
+  ownerId: string;
+  sequence: number;
+  hash: string;
+}
+
+export interface AuditAnchorVerification {
+  root: string;
+  transactionHash: string;
+  blockNumber: number;
+  anchoredAt: Date;
+  leaf: AuditLeaf;
+  proof: string[];
+  /** Whether the anchored entry is still in the chain and the proof leads to the root */
+  included: boolean;
+}
+
+/**
+ * Hash an entry's contents, including the previous entry's hash
+ */
+export const hashAuditEntry = (entry: AuditEntryFields): string =>
+  ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify([
+    entry.ownerId,
+    entry.sequence,
+    entry.action,
+    entry.details,
+    entry.prevHash,
+    new Date(entry.createdAt).toISOString(),
+  ])));
+
+/**
+ * Append an entry to the owner's chain
+ */
+export async function appendAuditEntry(
+  prisma: any,
+  ownerId: string,
+  action: AuditAction,
+  details: Record<string, unknown>
+): Promise<AuditEntryRecord> {
+  const owner = ownerId.toLowerCase();
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await prisma.$transaction(async (tx: any) => {
+        const head = await tx.auditEntry.findFirst({
+          where: { ownerId: owner },
+          orderBy: { sequence: 'desc' },
+        });
+
+        const entry: AuditEntryFields = {
+          ownerId: owner,
+          sequence: (head?.sequence || 0) + 1,
+          action,
+          details: JSON.stringify(details),
+          prevHash: head?.hash || GENESIS_HASH,
+          createdAt: new Date(),
+        };
+
+        return tx.auditEntry.create({ data: { ...entry, hash: hashAuditEntry(entry) } });
+      });
+    } catch (error: any) {
+      // Another request took this sequence number; retry on the new head
+      if (error?.code !== 'P2002' || attempt >= MAX_APPEND_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Recompute a chain, sorted by sequence, and report every place it breaks
+ */
+export const verifyAuditChain = (entries: AuditEntryRecord[]): AuditChainVerification => {
+  const breaks: AuditChainBreak[] = [];
+  let prevHash = GENESIS_HASH;
+  let expectedSequence = 1;
+
+  for (const entry of entries) {
+    if (entry.sequence !== expectedSequence) {
+      breaks.push({ sequence: entry.sequence, reason: 'sequence-gap' });
+    }
+    if (entry.prevHash !== prevHash) {
+      breaks.push({ sequence: entry.sequence, reason: 'prev-hash-mismatch' });
+    }
+    if (hashAuditEntry(entry) !== entry.hash) {
+      breaks.push({ sequence: entry.sequence, reason: 'hash-mismatch' });
+    }
+    prevHash = entry.hash;
+    expectedSequence = entry.sequence + 1;
+  }
+
+  const last = entries[entries.length - 1];
+  return {
+    valid: breaks.length === 0,
+    entries: entries.length,
+    head: last ? { sequence: last.sequence, hash: last.hash } : null,
+    breaks,
+  };
+};
+
+/**
+ * Merkle leaf committing to a chain's head
+ */
+export const getAuditLeafHash = (leaf: AuditLeaf): string =>
+  ethers.solidityPackedKeccak256(['string', 'uint256', 'bytes32'], [leaf.ownerId, leaf.sequence, leaf.hash]);
+
+// Pairs are sorted before hashing, so proofs don't need to record sides
+const hashPair = (a: string, b: string): string =>
+  ethers.keccak256(ethers.concat(a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a]));
+
+// Build the tree bottom-up; an odd node is carried to the next level as is
+const getMerkleLayers = (leaves: string[]): string[][] => {
+  const layers = [leaves];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next: string[] = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+  return layers;
+};
+
+export const getMerkleRoot = (leaves: string[]): string => {
+  if (leaves.length === 0) {
+    throw new Error('Cannot build a Merkle tree without leaves');
+  }
+  const layers = getMerkleLayers(leaves);
+  return layers[layers.length - 1][0];
+};
+
+export const getMerkleProof = (leaves: string[], index: number): string[] => {
+  const proof: string[] = [];
+  let position = index;
+  for (const layer of getMerkleLayers(leaves).slice(0, -1)) {
+    const sibling = position % 2 === 0 ? position + 1 : position - 1;
+    if (sibling < layer.length) {
+      proof.push(layer[sibling]);
+    }
+    position = Math.floor(position / 2);
+  }
+  return proof;
+};
+
+export const verifyMerkleProof = (leaf: string, proof: string[], root: string): boolean =>
+  proof.reduce((hash, sibling) => hashPair(hash, sibling), leaf) === root;
+
+/**
+ * Check that an owner's chain still contains the entry of theirs that was
+ * anchored, and build the Merkle proof of it against the anchored root.
+ * Returns null when the anchor does not include the owner.
+ */
+export const verifyAuditAnchor = (
+  ownerId: string,
+  entries: AuditEntryRecord[],
+  anchor: { root: string; leaves: string; transactionHash: string; blockNumber: number; anchoredAt: Date }
+): { anchor: AuditAnchorVerification; breaks: AuditChainBreak[] } | null => {
+  const leaves: AuditLeaf[] = JSON.parse(anchor.leaves);
+  const index = leaves.findIndex(leaf => leaf.ownerId === ownerId.toLowerCase());
+  if (index === -1) {
+    return null;
+  }
+
+  const leaf = leaves[index];
+  const leafHashes = leaves.map(getAuditLeafHash);
+  const proof = getMerkleProof(leafHashes, index);
+  const breaks: AuditChainBreak[] = [];
+
+  if (getMerkleRoot(leafHashes) !== anchor.root) {
+    breaks.push({ sequence: leaf.sequence, reason: 'anchor-root-mismatch' });
+  }
+  const entry = entries.find(candidate => candidate.sequence === leaf.sequence);
+  if (!entry || entry.hash !== leaf.hash) {
+    breaks.push({ sequence: leaf.sequence, reason: 'anchored-entry-missing' });
+  }
+
+  return {
+    anchor: {
+      root: anchor.root,
+      transactionHash: anchor.transactionHash,
+      blockNumber: anchor.blockNumber,
+      anchoredAt: anchor.anchoredAt,
+      leaf,
+      proof,
+      included: breaks.length === 0 && verifyMerkleProof(leafHashes[index], proof, anchor.root),
+    },
+    breaks,
+  };
+};
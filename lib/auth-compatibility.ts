@@ -6,10 +6,53 @@
  * Also handles MetaMask wallet authentication for web3 features.
  */
 
-import { authenticateOffline, getCurrentUser, logoutUser } from './offline-auth';
+import { authenticateOffline, getCurrentUser, logoutUser, unlockWithPassword } from './offline-auth';
 import { Session } from 'next-auth';
 import { signIn, signOut } from 'next-auth/react';
+import Router from 'next/router';
 import { ethers } from 'ethers';
+import { openOfflineVault } from './vault/keys';
+import { OfflineVaultError, VaultUser } from './vault/session';
+
+// Signed by the wallet to log in; the signature is sent to NextAuth
+export const getWalletLoginMessage = (account: string) => `Login to RadiantFlow with address: ${account}`;
+
+// Signed by the wallet to unlock the offline store; the signature never leaves the browser
+export const getWalletVaultMessage = (account: string) => [
+  'Unlock RadiantFlow offline data',
+  '',
+  `Wallet: ${ethers.getAddress(account)}`,
+  'This signature is the key to the patient data stored on this device. Only sign it in RadiantFlow.',
+].join('\n');
+
+/**
+ * Ask the wallet to sign the vault message
+ */
+export async function signWalletVaultMessage(account: string): Promise<string> {
+  const provider = new ethers.BrowserProvider(window.ethereum);
+  const signer = await provider.getSigner(account);
+  return signer.signMessage(getWalletVaultMessage(account));
+}
+
+/**
+ * Unlock the offline store, or give it a key slot, with the signature of the
+ * vault message. The signature must be the account's own: a wallet signs the
+ * same message the same way every time, so it is the account's secret on this
+ * device. It is a different message from the login one, whose signature goes
+ * to the server.
+ */
+export async function unlockWithWallet(account: string, signature: string, user: VaultUser | null): Promise<void> {
+  const signer = ethers.verifyMessage(getWalletVaultMessage(account), signature);
+  if (signer.toLowerCase() !== account.toLowerCase()) {
+    throw new Error('The signature is not from this wallet');
+  }
+  await openOfflineVault({ kind: 'wallet', subject: account, secret: signature }, user);
+}
+
+// An online login goes on when the offline store cannot be opened, e.g. as it holds someone else's unsynced changes
+function warnVaultLocked(error: unknown) {
+  console.warn('Offline data stays locked:', error instanceof Error ? error.message : error);
+}
 
 /**
  * Attempts sign-in using NextAuth with fallback to offline auth
@@ -29,15 +72,23 @@ export async function hybridSignIn(
   // If NextAuth fails but we have an offline DB, try that
   if (nextAuthResult?.error) {
     
-    const offlineUser = await authenticateOffline(email, password, options?.role);
+    let offlineUser: Awaited<ReturnType<typeof authenticateOffline>>;
+    try {
+      offlineUser = await authenticateOffline(email, password, options?.role);
+    } catch (error) {
+      if (error instanceof OfflineVaultError) {
+        return { success: false, error: error.message };
+      }
+      throw error;
+    }
     
     if (offlineUser) {
       // Store in localStorage for compatibility
       localStorage.setItem('currentUser', JSON.stringify(offlineUser));
       
-      // If redirect requested and we have a callback URL
+      // If redirect requested and we have a callback URL; client-side, as a reload would lock the offline store again
       if (options?.redirect && options.callbackUrl) {
-        window.location.href = options.callbackUrl;
+        Router.push(options.callbackUrl);
         return { success: true, offline: true };
       }
       
@@ -47,9 +98,15 @@ export async function hybridSignIn(
     return { success: false, error: 'Authentication failed' };
   }
   
-  // NextAuth succeeded
+  // NextAuth succeeded, which vouches for the password
+  try {
+    await unlockWithPassword(email, password, true);
+  } catch (error) {
+    warnVaultLocked(error);
+  }
+  
   if (nextAuthResult?.url && options?.redirect) {
-    window.location.href = nextAuthResult.url;
+    Router.push(nextAuthResult.url);
   }
   
   return { success: !nextAuthResult?.error, nextAuth: true };
@@ -77,9 +134,7 @@ export async function hybridWalletLogin(
     };
     
     // Store session data in localStorage for legacy code compatibility
-    localStorage.setItem('patientWalletAddress', account);
-    localStorage.setItem('patientSession', JSON.stringify(patientSession));
-    localStorage.setItem('currentUser', JSON.stringify({
+    const walletUser: VaultUser = {
       id: `eth-${account}`,
       name: displayName,
       email: null,
@@ -87,16 +142,25 @@ export async function hybridWalletLogin(
       ethereumAddress: account,
       createdAt: new Date(),
       updatedAt: new Date()
-    }));
+    };
+    localStorage.setItem('patientWalletAddress', account);
+    localStorage.setItem('patientSession', JSON.stringify(patientSession));
+    localStorage.setItem('currentUser', JSON.stringify(walletUser));
     
     // Try to also authenticate with NextAuth
     try {
       // Create signature for authentication
-      const message = `Login to RadiantFlow with address: ${account}`;
+      const message = getWalletLoginMessage(account);
       const provider = new ethers.BrowserProvider(window.ethereum);
       const signer = await provider.getSigner();
       const signature = await signer.signMessage(message);
       
+      try {
+        await unlockWithWallet(account, await signWalletVaultMessage(account), walletUser);
+      } catch (error) {
+        warnVaultLocked(error);
+      }
+      
       // Call NextAuth ethereum provider
       const result = await signIn('ethereum', {
         redirect: false,
@@ -110,7 +174,7 @@ export async function hybridWalletLogin(
       if (!result?.error) {
         // If NextAuth succeeds and redirect is requested
         if (options?.redirect) {
-          window.location.href = options.callbackUrl || '/patient/dashboard';
+          Router.push(options.callbackUrl || '/patient/dashboard');
         }
         return { success: true, nextAuth: true, offline: true };
       }
@@ -119,7 +183,7 @@ export async function hybridWalletLogin(
     
     // Fallback to localStorage authentication
     if (options?.redirect) {
-      window.location.href = options.callbackUrl || '/patient/dashboard';
+      Router.push(options.callbackUrl || '/patient/dashboard');
     }
     
     return { success: true, offline: true };
@@ -134,8 +198,8 @@ export async function hybridWalletLogin(
  * Signs out of both auth systems
  */
 export async function hybridSignOut(callbackUrl?: string) {
-  // Clear offline auth
-  logoutUser();
+  // Clear offline auth and lock the offline store
+  await logoutUser();
   
   // Clear NextAuth session
   await signOut({ redirect: !!callbackUrl, callbackUrl });
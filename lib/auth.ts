@@ -108,6 +108,7 @@ export const authOptions: NextAuthOptions = {
             email: user.email,
             name: user.name || null,
             role: user.role,
+            ethereumAddress: user.ethereumAddress,
           };
         } catch (error) {
           console.error('Ethereum auth error:', error);
@@ -0,0 +1,639 @@
+/**
+ * Clinic Records REST API
+ *
+ * Prisma-backed CRUD for the records the offline client keeps in Dexie
+ * (lib/db.ts): patients, visits, providers, appointment types, time slots and
+ * appointments. Each resource is served at `/api/<path>` and `/api/<path>/[id]`
+ * with the field names of its Dexie table, so offline changes can be replayed
+ * as they are and records created offline keep their client-generated ids.
+ *
+ * Every request needs a staff session (ADMIN, DOCTOR or STAFF); which roles
+ * may change or delete each resource is set in CLINIC_RESOURCES. A record's
+ * version is its `updatedAt`, sent as its ETag. Updates and deletes honour
+ * `If-Match` and `If-Unmodified-Since`, so a device replaying a stale change
+ * gets a 412 with the current record instead of overwriting someone else's.
+ * Deletes leave a SyncDeletion tombstone for the change feed (lib/sync-feed.ts).
+ * Patients and visits are also FHIR resources, so their writes are recorded in
+ * the FHIR version history.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { patientToFHIR, visitToFHIREncounter } from '@/lib/fhir/converters';
+import { recordDeletion, recordVersion } from '@/lib/fhir/history';
+
+export const STAFF_ROLES = ['ADMIN', 'DOCTOR', 'STAFF'] as const;
+
+export type StaffRole = typeof STAFF_ROLES[number];
+
+export const APPOINTMENT_STATUSES = ['SCHEDULED', 'CONFIRMED', 'COMPLETED', 'CANCELLED', 'NO_SHOW'] as const;
+
+// Appointments in these states do not hold their provider's time
+const INACTIVE_APPOINTMENT_STATUSES = ['CANCELLED', 'NO_SHOW'];
+
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 1000;
+
+const MAX_STRING_LENGTH = 10000;
+
+// Client-generated ids: cuids, uuids and the like
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+export type ClinicResourceName = 'patients' | 'visits' | 'providers' | 'appointmentTypes' | 'timeSlots' | 'appointments';
+
+/** Field values as they are stored */
+export type ClinicRecordData = Record<string, string | number | boolean | Date | null>;
+
+/** A record as Prisma returns it */
+export interface StoredClinicRecord {
+  id: string;
+  updatedAt: Date;
+  versionId?: number;
+  visits?: { date: Date }[];
+  [field: string]: unknown;
+}
+
+interface ClinicDelegate {
+  findMany(args: object): Promise<StoredClinicRecord[]>;
+  findUnique(args: object): Promise<StoredClinicRecord | null>;
+  count(args: object): Promise<number>;
+  create(args: object): Promise<StoredClinicRecord>;
+  update(args: object): Promise<StoredClinicRecord>;
+  delete(args: object): Promise<StoredClinicRecord>;
+}
+
+interface FieldSpec {
+  type: 'string' | 'date' | 'duration' | 'boolean' | 'enum';
+  required?: boolean;
+  values?: readonly string[];
+}
+
+interface ClinicResource {
+  /** URL segment under /api */
+  path: string;
+  /** Prisma model delegate */
+  model: string;
+  label: string;
+  fields: Record<string, FieldSpec>;
+  /** Fields holding the id of another resource, which must exist */
+  references?: Record<string, ClinicResourceName>;
+  writeRoles: readonly StaffRole[];
+  deleteRoles: readonly StaffRole[];
+  /** Fields that can be filtered on with `?field=value` */
+  filters?: string[];
+  /** Fields searched by `?q=` */
+  search?: string[];
+  /** Date field limited by `?from=` and `?to=` */
+  range?: string;
+  orderBy: Record<string, 'asc' | 'desc'>;
+  /** Checks that span fields or records, run on the record as it will be stored */
+  validate?: (record: Record<string, unknown>, id?: string) => Promise<void>;
+}
+
+/**
+ * Error with the HTTP status to report, and the current record for conflicts
+ */
+export class ClinicRecordError extends Error {
+  status: number;
+  record?: StoredClinicRecord;
+
+  constructor(status: number, message: string, record?: StoredClinicRecord) {
+    super(message);
+    this.status = status;
+    this.record = record;
+  }
+}
+
+const assertTimeRange = (record: Record<string, unknown>) => {
+  if ((record.endTime as Date) <= (record.startTime as Date)) {
+    throw new ClinicRecordError(400, 'endTime must be after startTime');
+  }
+};
+
+// Records of a provider whose time overlaps [startTime, endTime), other than the record itself
+const overlapping = (record: Record<string, unknown>, id?: string) => ({
+  providerId: record.providerId,
+  startTime: { lt: record.endTime },
+  endTime: { gt: record.startTime },
+  ...(id ? { id: { not: id } } : {}),
+});
+
+export const CLINIC_RESOURCES: Record<ClinicResourceName, ClinicResource> = {
+  patients: {
+    path: 'patients',
+    model: 'patient',
+    label: 'Patient',
+    fields: {
+      patientId: { type: 'string' },
+      name: { type: 'string', required: true },
+      dob: { type: 'string', required: true },
+      gender: { type: 'string', required: true },
+      phone: { type: 'string' },
+      email: { type: 'string' },
+      address: { type: 'string' },
+    },
+    writeRoles: STAFF_ROLES,
+    deleteRoles: ['ADMIN'],
+    filters: ['patientId', 'gender'],
+    search: ['name', 'patientId'],
+    orderBy: { createdAt: 'desc' },
+  },
+  visits: {
+    path: 'visits',
+    model: 'visit',
+    label: 'Visit',
+    fields: {
+      date: { type: 'date' },
+      notes: { type: 'string' },
+      patientId: { type: 'string', required: true },
+    },
+    references: { patientId: 'patients' },
+    writeRoles: ['ADMIN', 'DOCTOR'],
+    deleteRoles: ['ADMIN'],
+    filters: ['patientId'],
+    range: 'date',
+    orderBy: { date: 'desc' },
+  },
+  providers: {
+    path: 'providers',
+    model: 'provider',
+    label: 'Provider',
+    fields: {
+      name: { type: 'string', required: true },
+      specialty: { type: 'string' },
+      email: { type: 'string', required: true },
+      phone: { type: 'string' },
+    },
+    writeRoles: ['ADMIN'],
+    deleteRoles: ['ADMIN'],
+    filters: ['specialty', 'email'],
+    search: ['name'],
+    orderBy: { name: 'asc' },
+  },
+  appointmentTypes: {
+    path: 'appointment-types',
+    model: 'appointmentType',
+    label: 'Appointment type',
+    fields: {
+      name: { type: 'string', required: true },
+      description: { type: 'string' },
+      duration: { type: 'duration', required: true },
+      color: { type: 'string' },
+    },
+    writeRoles: ['ADMIN'],
+    deleteRoles: ['ADMIN'],
+    search: ['name'],
+    orderBy: { name: 'asc' },
+  },
+  timeSlots: {
+    path: 'time-slots',
+    model: 'timeSlot',
+    label: 'Time slot',
+    fields: {
+      providerId: { type: 'string', required: true },
+      startTime: { type: 'date', required: true },
+      endTime: { type: 'date', required: true },
+      isAvailable: { type: 'boolean' },
+    },
+    references: { providerId: 'providers' },
+    writeRoles: STAFF_ROLES,
+    deleteRoles: STAFF_ROLES,
+    filters: ['providerId', 'isAvailable'],
+    range: 'startTime',
+    orderBy: { startTime: 'asc' },
+    validate: async (record, id) => {
+      assertTimeRange(record);
+      const conflict = await prisma.timeSlot.findFirst({ where: overlapping(record, id) });
+      if (conflict) {
+        throw new ClinicRecordError(409, 'The provider already has a time slot at this time', conflict);
+      }
+    },
+  },
+  appointments: {
+    path: 'appointments',
+    model: 'appointment',
+    label: 'Appointment',
+    fields: {
+      title: { type: 'string', required: true },
+      patientId: { type: 'string', required: true },
+      providerId: { type: 'string', required: true },
+      appointmentTypeId: { type: 'string' },
+      startTime: { type: 'date', required: true },
+      endTime: { type: 'date', required: true },
+      notes: { type: 'string' },
+      status: { type: 'enum', values: APPOINTMENT_STATUSES },
+    },
+    references: { patientId: 'patients', providerId: 'providers', appointmentTypeId: 'appointmentTypes' },
+    writeRoles: STAFF_ROLES,
+    deleteRoles: STAFF_ROLES,
+    filters: ['patientId', 'providerId', 'status'],
+    range: 'startTime',
+    orderBy: { startTime: 'asc' },
+    validate: async (record, id) => {
+      assertTimeRange(record);
+      if (INACTIVE_APPOINTMENT_STATUSES.includes(record.status as string)) {
+        return;
+      }
+      const conflict = await prisma.appointment.findFirst({
+        where: { ...overlapping(record, id), status: { notIn: INACTIVE_APPOINTMENT_STATUSES } },
+      });
+      if (conflict) {
+        throw new ClinicRecordError(409, 'The provider already has an appointment at this time', conflict);
+      }
+    },
+  },
+};
+
+// The first value of a query parameter
+const param = (query: NextApiRequest['query'], name: string): string | undefined => {
+  const value = query[name];
+  return Array.isArray(value) ? value[0] : value;
+};
+
+const parseDate = (value: unknown, name: string): Date => {
+  const date = value instanceof Date ? value : new Date(value as string);
+  if ((typeof value !== 'string' && !(value instanceof Date)) || isNaN(date.getTime())) {
+    throw new ClinicRecordError(400, `${name} must be an ISO 8601 date`);
+  }
+  return date;
+};
+
+const parseField = (name: string, spec: FieldSpec, value: unknown): ClinicRecordData[string] => {
+  if (value === null || value === '') {
+    if (spec.required) {
+      throw new ClinicRecordError(400, `${name} is required`);
+    }
+    return null;
+  }
+
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string' || value.length > MAX_STRING_LENGTH) {
+        throw new ClinicRecordError(400, `${name} must be a string of at most ${MAX_STRING_LENGTH} characters`);
+      }
+      return value.trim();
+    case 'date':
+      return parseDate(value, name);
+    case 'duration':
+      if (!Number.isInteger(value) || (value as number) <= 0) {
+        throw new ClinicRecordError(400, `${name} must be a positive whole number of minutes`);
+      }
+      return value as number;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        throw new ClinicRecordError(400, `${name} must be true or false`);
+      }
+      return value;
+    case 'enum':
+      if (!spec.values.includes(value as string)) {
+        throw new ClinicRecordError(400, `${name} must be one of ${spec.values.join(', ')}`);
+      }
+      return value as string;
+  }
+};
+
+/**
+ * Validate a request body into the fields to store. Unknown fields, such as
+ * the timestamps of a Dexie record, are ignored. On create (no `existing`)
+ * required fields must be present; on update they may be left out but not
+ * cleared.
+ */
+export const parseClinicRecord = (
+  name: ClinicResourceName,
+  body: unknown,
+  existing?: StoredClinicRecord
+): ClinicRecordData => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ClinicRecordError(400, 'Request body must be a JSON object');
+  }
+
+  const input = body as Record<string, unknown>;
+  const data: ClinicRecordData = {};
+  for (const [field, spec] of Object.entries(CLINIC_RESOURCES[name].fields)) {
+    if (input[field] !== undefined) {
+      data[field] = parseField(field, spec, input[field]);
+    } else if (spec.required && !existing) {
+      throw new ClinicRecordError(400, `${field} is required`);
+    }
+  }
+
+  if (!existing && input.id !== undefined) {
+    if (typeof input.id !== 'string' || !CLIENT_ID_PATTERN.test(input.id)) {
+      throw new ClinicRecordError(400, 'id must be 1-128 letters, digits, dashes or underscores');
+    }
+    data.id = input.id;
+  }
+
+  return data;
+};
+
+/**
+ * Build the Prisma query for a collection from its query parameters: the
+ * resource's filters, `q`, `from`/`to`, `updatedSince` (records changed after
+ * a time, for incremental sync), `limit` and `offset`
+ */
+export const buildClinicQuery = (name: ClinicResourceName, query: NextApiRequest['query']) => {
+  const resource = CLINIC_RESOURCES[name];
+  const where: Record<string, unknown> = {};
+
+  for (const field of resource.filters || []) {
+    const value = param(query, field);
+    if (value !== undefined) {
+      where[field] = parseField(field, resource.fields[field], resource.fields[field].type === 'boolean' ? value === 'true' : value);
+    }
+  }
+
+  const q = param(query, 'q');
+  if (q && resource.search) {
+    where.OR = resource.search.map(field => ({ [field]: { contains: q } }));
+  }
+
+  const from = param(query, 'from');
+  const to = param(query, 'to');
+  if (resource.range && (from || to)) {
+    where[resource.range] = {
+      ...(from ? { gte: parseDate(from, 'from') } : {}),
+      ...(to ? { lte: parseDate(to, 'to') } : {}),
+    };
+  }
+
+  const updatedSince = param(query, 'updatedSince');
+  if (updatedSince) {
+    where.updatedAt = { gt: parseDate(updatedSince, 'updatedSince') };
+  }
+
+  const limit = param(query, 'limit') === undefined ? DEFAULT_PAGE_SIZE : Number(param(query, 'limit'));
+  const offset = param(query, 'offset') === undefined ? 0 : Number(param(query, 'offset'));
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new ClinicRecordError(400, `limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new ClinicRecordError(400, 'offset must be a non-negative integer');
+  }
+
+  // Incremental sync pages through changes oldest first, so no change is skipped
+  const orderBy = updatedSince ? [{ updatedAt: 'asc' }, { id: 'asc' }] : [resource.orderBy, { id: 'asc' }];
+  return { where, orderBy, skip: offset, take: limit };
+};
+
+/**
+ * The next free `PAT-` number, in the format the FHIR Patient endpoint uses
+ */
+export async function generatePatientId(): Promise<string> {
+  const count = await prisma.patient.count();
+  for (let number = count + 1; ; number++) {
+    const patientId = `PAT-${String(number).padStart(6, '0')}`;
+    if (!(await prisma.patient.findUnique({ where: { patientId } }))) {
+      return patientId;
+    }
+  }
+}
+
+/**
+ * The session user's role, or null after responding 401/403
+ */
+export async function requireClinicRole(
+  req: NextApiRequest,
+  res: NextApiResponse,
+  roles: readonly StaffRole[]
+): Promise<StaffRole | null> {
+  const session = await getServerSession(req, res, authOptions);
+  if (!session?.user) {
+    res.status(401).json({ error: 'Authentication required' });
+    return null;
+  }
+
+  const role = session.user.role as StaffRole;
+  if (!roles.includes(role)) {
+    res.status(403).json({ error: `This action requires one of the roles ${roles.join(', ')}` });
+    return null;
+  }
+  return role;
+}
+
+const getDelegate = (name: ClinicResourceName): ClinicDelegate =>
+  (prisma as Record<string, ClinicDelegate>)[CLINIC_RESOURCES[name].model];
+
+// Patients are listed with the date of their latest visit
+const findOptions = (name: ClinicResourceName) =>
+  name === 'patients' ? { include: { visits: { select: { date: true }, orderBy: { date: 'desc' }, take: 1 } } } : {};
+
+const serialize = (name: ClinicResourceName, record: StoredClinicRecord) => {
+  if (name !== 'patients' || !record?.visits) {
+    return record;
+  }
+  const { visits, ...patient } = record;
+  return { ...patient, lastVisit: visits[0]?.date ?? null };
+};
+
+const assertReferences = async (name: ClinicResourceName, data: ClinicRecordData) => {
+  for (const [field, target] of Object.entries(CLINIC_RESOURCES[name].references || {})) {
+    if (data[field] && !(await getDelegate(target).findUnique({ where: { id: data[field] } }))) {
+      throw new ClinicRecordError(400, `${field} does not match any ${CLINIC_RESOURCES[target].label.toLowerCase()}`);
+    }
+  }
+};
+
+// Keep the FHIR history of patients and visits in step with REST writes
+const recordFhirVersion = async (name: ClinicResourceName, record: StoredClinicRecord, method: 'POST' | 'PUT' | 'DELETE') => {
+  const resourceType = name === 'patients' ? 'Patient' : name === 'visits' ? 'Encounter' : null;
+  if (!resourceType) {
+    return;
+  }
+  if (method === 'DELETE') {
+    await recordDeletion(prisma, resourceType, record.id, record.versionId);
+  } else {
+    const resource = name === 'patients'
+      ? patientToFHIR(record as unknown as Parameters<typeof patientToFHIR>[0])
+      : visitToFHIREncounter(record as unknown as Parameters<typeof visitToFHIREncounter>[0]);
+    await recordVersion(prisma, resource, method);
+  }
+};
+
+/**
+ * The ETag of a record's version
+ */
+export const formatRecordETag = (updatedAt: Date | string): string => `"${new Date(updatedAt).getTime()}"`;
+
+/**
+ * Leave a tombstone for a deleted record, so clients that hold it remove it too
+ */
+export async function recordSyncDeletion(
+  db: { syncDeletion: { create(args: object): Promise<unknown> } },
+  entityType: ClinicResourceName,
+  recordId: string
+) {
+  await db.syncDeletion.create({ data: { entityType, recordId } });
+}
+
+// 412 with the current record when it changed after the client's copy
+const assertUnmodified = (req: NextApiRequest, record: StoredClinicRecord) => {
+  const ifMatch = req.headers['if-match'];
+  if (ifMatch) {
+    const etag = formatRecordETag(record.updatedAt);
+    if (!String(ifMatch).split(',').some(tag => tag.trim() === '*' || tag.trim().replace(/^W\//, '') === etag)) {
+      throw new ClinicRecordError(412, `${record.id} was modified at ${new Date(record.updatedAt).toISOString()}`, record);
+    }
+  }
+
+  const header = req.headers['if-unmodified-since'];
+  if (!header) {
+    return;
+  }
+  const since = new Date(header);
+  if (isNaN(since.getTime())) {
+    throw new ClinicRecordError(400, 'If-Unmodified-Since must be an HTTP date');
+  }
+  // HTTP dates have whole seconds
+  if (Math.floor(new Date(record.updatedAt).getTime() / 1000) > Math.floor(since.getTime() / 1000)) {
+    throw new ClinicRecordError(412, `${record.id} was modified at ${new Date(record.updatedAt).toISOString()}`, record);
+  }
+};
+
+const sendError = (res: NextApiResponse, name: ClinicResourceName, error: unknown, action: string) => {
+  if (error instanceof ClinicRecordError) {
+    return res.status(error.status).json({
+      error: error.message,
+      ...(error.record ? { record: serialize(name, error.record) } : {}),
+    });
+  }
+  const { code, meta } = (error || {}) as { code?: string; meta?: { target?: string | string[] } };
+  if (code === 'P2002') {
+    const target = Array.isArray(meta?.target) ? meta.target.join(', ') : meta?.target;
+    return res.status(409).json({ error: `${CLINIC_RESOURCES[name].label} with this ${target || 'value'} already exists` });
+  }
+  if (code === 'P2025') {
+    return res.status(412).json({ error: `${CLINIC_RESOURCES[name].label} was modified concurrently` });
+  }
+
+  console.error(`Error trying to ${action} ${CLINIC_RESOURCES[name].label.toLowerCase()}:`, error);
+  return res.status(500).json({ error: `Failed to ${action} ${CLINIC_RESOURCES[name].label.toLowerCase()}` });
+};
+
+/**
+ * GET /api/<path> - List records; POST /api/<path> - Create a record
+ */
+export async function handleClinicCollection(req: NextApiRequest, res: NextApiResponse, name: ClinicResourceName) {
+  const resource = CLINIC_RESOURCES[name];
+  const delegate = getDelegate(name);
+
+  if (req.method === 'GET') {
+    if (!(await requireClinicRole(req, res, STAFF_ROLES))) {
+      return;
+    }
+    try {
+      const query = buildClinicQuery(name, req.query);
+      const [records, total] = await Promise.all([
+        delegate.findMany({ ...query, ...findOptions(name) }),
+        delegate.count({ where: query.where }),
+      ]);
+      res.setHeader('X-Total-Count', String(total));
+      return res.status(200).json(records.map(record => serialize(name, record)));
+    } catch (error) {
+      return sendError(res, name, error, 'list');
+    }
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!(await requireClinicRole(req, res, resource.writeRoles))) {
+    return;
+  }
+  try {
+    const data = parseClinicRecord(name, req.body);
+
+    // A replayed offline create finds its record already there
+    if (data.id) {
+      const existing = await delegate.findUnique({ where: { id: data.id }, ...findOptions(name) });
+      if (existing) {
+        throw new ClinicRecordError(409, `${resource.label} ${data.id} already exists`, existing);
+      }
+    }
+    // Offline devices number patients independently; a taken patientId is replaced
+    if (name === 'patients' && (!data.patientId || await delegate.findUnique({ where: { patientId: data.patientId } }))) {
+      data.patientId = await generatePatientId();
+    }
+
+    await assertReferences(name, data);
+    await resource.validate?.(data);
+
+    const created = await delegate.create({ data, ...findOptions(name) });
+    await recordFhirVersion(name, created, 'POST');
+
+    res.setHeader('Location', `/api/${resource.path}/${created.id}`);
+    res.setHeader('ETag', formatRecordETag(created.updatedAt));
+    return res.status(201).json(serialize(name, created));
+  } catch (error) {
+    return sendError(res, name, error, 'create');
+  }
+}
+
+/**
+ * GET, PUT/PATCH and DELETE /api/<path>/[id]
+ */
+export async function handleClinicRecord(req: NextApiRequest, res: NextApiResponse, name: ClinicResourceName) {
+  const resource = CLINIC_RESOURCES[name];
+  const delegate = getDelegate(name);
+  const { id } = req.query;
+
+  if (!['GET', 'PUT', 'PATCH', 'DELETE'].includes(req.method as string)) {
+    res.setHeader('Allow', ['GET', 'PUT', 'PATCH', 'DELETE']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const roles = req.method === 'GET' ? STAFF_ROLES : req.method === 'DELETE' ? resource.deleteRoles : resource.writeRoles;
+  if (!(await requireClinicRole(req, res, roles))) {
+    return;
+  }
+  if (typeof id !== 'string') {
+    return res.status(400).json({ error: 'Invalid id' });
+  }
+
+  try {
+    const existing = await delegate.findUnique({ where: { id }, ...findOptions(name) });
+    if (!existing) {
+      return res.status(404).json({ error: `${resource.label} not found` });
+    }
+
+    if (req.method === 'GET') {
+      res.setHeader('ETag', formatRecordETag(existing.updatedAt));
+      return res.status(200).json(serialize(name, existing));
+    }
+
+    assertUnmodified(req, existing);
+
+    if (req.method === 'DELETE') {
+      // Only the version checked above is deleted, so a concurrent update is reported as a conflict
+      await delegate.delete({ where: { id, updatedAt: existing.updatedAt } });
+      await recordSyncDeletion(prisma, name, id);
+      await recordFhirVersion(name, existing, 'DELETE');
+      return res.status(204).end();
+    }
+
+    const data = parseClinicRecord(name, req.body, existing);
+    if (name === 'patients' && data.patientId === null) {
+      throw new ClinicRecordError(400, 'patientId is required');
+    }
+    const { visits: _visits, ...current } = existing;
+    await assertReferences(name, data);
+    await resource.validate?.({ ...current, ...data }, id);
+
+    const versioned = name === 'patients' || name === 'visits';
+    const updated = await delegate.update({
+      where: { id, updatedAt: existing.updatedAt },
+      data: { ...data, ...(versioned ? { versionId: { increment: 1 } } : {}) },
+      ...findOptions(name),
+    });
+    await recordFhirVersion(name, updated, 'PUT');
+
+    res.setHeader('ETag', formatRecordETag(updated.updatedAt));
+    return res.status(200).json(serialize(name, updated));
+  } catch (error) {
+    return sendError(res, name, error, req.method === 'DELETE' ? 'delete' : 'update');
+  }
+}
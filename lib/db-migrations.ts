@@ -0,0 +1,140 @@
+/**
+ * Offline Database Migrations
+ *
+ * The versions of the IndexedDB schema of ImagingHubDB (lib/db.ts), oldest
+ * first. Devices in the field may hold a database of any of them, and Dexie
+ * upgrades it one version at a time when it opens, running each version's
+ * `upgrade` on the data the previous versions left. Versions are never
+ * edited once released: a schema change is a new entry at the end.
+ *
+ * `stores` lists only the tables a version adds or changes, as Dexie schema
+ * strings (primary key first, then the indexed fields); null drops a table.
+ *
+ * Upgrades run when the database opens, before anyone has logged in. Once a
+ * device has key slots, the records of the encrypted tables
+ * (lib/vault/middleware.ts) cannot be read or rewritten in them, so a new
+ * field of an encrypted table has to be optional, with the code that reads it
+ * filling in the default.
+ */
+
+import type Dexie from 'dexie';
+import type { Transaction } from 'dexie';
+import { setVaultPresent } from './vault/session';
+
+export interface DbMigration {
+  version: number;
+  /** What the version adds, for whoever adds the next one */
+  description: string;
+  stores: Record<string, string | null>;
+  /** Brings the previous version's records up to this one */
+  upgrade?: (transaction: Transaction) => Promise<void>;
+}
+
+export const DB_MIGRATIONS: DbMigration[] = [
+  {
+    version: 1,
+    description: 'Offline auth, clinic records and the queue of changes to push',
+    stores: {
+      users: 'id, email, role',
+      patients: 'id, patientId, name, dob, gender',
+      visits: 'id, patientId, date',
+      providers: 'id, name, email, specialty',
+      appointmentTypes: 'id, name, duration',
+      timeSlots: 'id, providerId, startTime, endTime, isAvailable',
+      appointments: 'id, patientId, providerId, startTime, endTime, status',
+      pendingChanges: 'id, entityType, action, timestamp',
+    },
+  },
+  {
+    version: 2,
+    description: 'Sync engine (lib/sync): pending changes by record, conflicts and the pull cursor',
+    stores: {
+      pendingChanges: 'id, entityType, action, timestamp, recordId',
+      syncConflicts: 'id, entityType, recordId, detectedAt',
+      syncState: 'key',
+    },
+    // Changes queued before the sync engine only had their record in `data`
+    upgrade: async transaction => {
+      await transaction.table('pendingChanges').toCollection().modify(change => {
+        change.recordId ??= change.data?.id;
+        change.editedAt ??= change.timestamp;
+        if (change.baseVersion === undefined && change.action === 'create') {
+          change.baseVersion = null;
+        }
+      });
+    },
+  },
+  {
+    version: 3,
+    description: 'Background sync (lib/sync/background.ts): changes that failed too often to retry',
+    stores: {
+      deadLetters: 'id, entityType, recordId, failedAt',
+    },
+  },
+  {
+    version: 4,
+    description: 'Encryption at rest (lib/vault): key slots, and no index on patient details, which indexes keep in clear',
+    stores: {
+      patients: 'id, patientId',
+      keySlots: 'id, kind, subject',
+    },
+  },
+];
+
+export const LATEST_DB_VERSION = DB_MIGRATIONS[DB_MIGRATIONS.length - 1].version;
+
+/**
+ * Throws unless the versions are whole numbers in increasing order
+ */
+export function validateMigrations(migrations: DbMigration[]): void {
+  migrations.forEach((migration, index) => {
+    if (!Number.isInteger(migration.version) || migration.version < 1) {
+      throw new Error(`Invalid offline database version: ${migration.version}`);
+    }
+    if (index > 0 && migration.version <= migrations[index - 1].version) {
+      throw new Error(`Offline database version ${migration.version} comes after version ${migrations[index - 1].version}`);
+    }
+  });
+}
+
+// Until a database has key slots, nothing in it is encrypted and upgrades may rewrite any record
+async function hasKeySlots(transaction: Transaction): Promise<boolean> {
+  return transaction.storeNames.includes('keySlots') && (await transaction.table('keySlots').count()) > 0;
+}
+
+/**
+ * Declare the versions on a Dexie database, with their upgrades
+ */
+export function registerMigrations(db: Dexie, migrations: DbMigration[] = DB_MIGRATIONS): void {
+  validateMigrations(migrations);
+  for (const migration of migrations) {
+    const version = db.version(migration.version).stores(migration.stores);
+    if (migration.upgrade) {
+      const upgrade = migration.upgrade;
+      version.upgrade(async transaction => {
+        setVaultPresent(await hasKeySlots(transaction));
+        await upgrade(transaction);
+      });
+    }
+  }
+}
+
+/**
+ * The tables of the database as of a version, with their schema strings
+ */
+export function getSchemaAtVersion(version: number, migrations: DbMigration[] = DB_MIGRATIONS): Record<string, string> {
+  const schema: Record<string, string> = {};
+  for (const migration of migrations) {
+    if (migration.version > version) {
+      break;
+    }
+    for (const [table, stores] of Object.entries(migration.stores)) {
+      if (stores === null) {
+        delete schema[table];
+      } else {
+        schema[table] = stores;
+      }
+    }
+  }
+  return schema;
+}
@@ -0,0 +1,119 @@
+/**
+ * Offline Schema Check
+ *
+ * The offline tables that mirror server records (lib/db.ts) have to stay in
+ * step with the Prisma models they are synced from: the same primary key, and
+ * indexes only on fields the model stores, as a record pulled from the server
+ * has no others to index. checkOfflineSchema compares the latest offline
+ * schema (lib/db-migrations.ts) with prisma/schema.prisma; the Jest suite and
+ * `npm run db:check-offline` run it.
+ */
+
+import { getSchemaAtVersion, LATEST_DB_VERSION } from './db-migrations';
+
+// Offline tables and the Prisma models they mirror; the other tables are the client's own
+export const MIRRORED_MODELS: Record<string, string> = {
+  users: 'User',
+  patients: 'Patient',
+  visits: 'Visit',
+  providers: 'Provider',
+  appointmentTypes: 'AppointmentType',
+  timeSlots: 'TimeSlot',
+  appointments: 'Appointment',
+};
+
+const PRISMA_SCALARS = ['String', 'Int', 'BigInt', 'Float', 'Decimal', 'Boolean', 'DateTime', 'Json', 'Bytes'];
+
+export interface PrismaField {
+  name: string;
+  type: string;
+  optional: boolean;
+  list: boolean;
+  isId: boolean;
+  /** A stored column: a scalar or enum, not a relation */
+  isStored: boolean;
+}
+
+export interface OfflineTableSchema {
+  primaryKey: string;
+  indexes: string[];
+}
+
+/**
+ * The fields of every model of a Prisma schema, by model name
+ */
+export function parsePrismaModels(schema: string): Map<string, Map<string, PrismaField>> {
+  const enums = new Set([...schema.matchAll(/^enum\s+(\w+)\s*\{/gm)].map(match => match[1]));
+  const models = new Map<string, Map<string, PrismaField>>();
+
+  for (const [, name, body] of schema.matchAll(/^model\s+(\w+)\s*\{([\s\S]*?)^\}/gm)) {
+    const fields = new Map<string, PrismaField>();
+    for (const line of body.split('\n')) {
+      const match = line.trim().match(/^(\w+)\s+(\w+)(\[\])?(\?)?(.*)$/);
+      if (!match) {
+        continue;
+      }
+      const [, fieldName, type, list, optional, attributes] = match;
+      fields.set(fieldName, {
+        name: fieldName,
+        type,
+        optional: !!optional,
+        list: !!list,
+        isId: /@id\b/.test(attributes),
+        isStored: !list && (PRISMA_SCALARS.includes(type) || enums.has(type)),
+      });
+    }
+    models.set(name, fields);
+  }
+  return models;
+}
+
+/**
+ * The primary key and indexed fields of a Dexie schema string, such as
+ * `'++id, &email, *tags, [providerId+startTime]'`
+ */
+export function parseOfflineSchema(stores: string): OfflineTableSchema {
+  const [primaryKey, ...indexes] = stores.split(',').map(part => part.trim().replace(/^(\+\+|&|\*)/, ''));
+  return {
+    primaryKey,
+    indexes: indexes.flatMap(index => index.replace(/^\[|\]$/g, '').split('+')),
+  };
+}
+
+/**
+ * What keeps the offline schema from mirroring the Prisma schema; empty when they agree
+ */
+export function checkOfflineSchema(
+  prismaSchema: string,
+  offlineSchema: Record<string, string> = getSchemaAtVersion(LATEST_DB_VERSION)
+): string[] {
+  const models = parsePrismaModels(prismaSchema);
+  const problems: string[] = [];
+
+  for (const [table, modelName] of Object.entries(MIRRORED_MODELS)) {
+    const model = models.get(modelName);
+    if (!offlineSchema[table]) {
+      problems.push(`${table}: not in the offline schema`);
+      continue;
+    }
+    if (!model) {
+      problems.push(`${table}: there is no Prisma model ${modelName}`);
+      continue;
+    }
+
+    const { primaryKey, indexes } = parseOfflineSchema(offlineSchema[table]);
+    const id = [...model.values()].find(field => field.isId);
+    if (primaryKey !== id?.name) {
+      problems.push(`${table}: primary key ${primaryKey} is not the @id of ${modelName} (${id?.name ?? 'none'})`);
+    }
+    for (const index of indexes) {
+      const field = model.get(index);
+      if (!field) {
+        problems.push(`${table}: index ${index} is not a field of ${modelName}`);
+      } else if (!field.isStored) {
+        problems.push(`${table}: index ${index} is a relation of ${modelName}, not a stored field`);
+      }
+    }
+  }
+  return problems;
+}
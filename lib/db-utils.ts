@@ -1,5 +1,6 @@
 import { db, PatientType, ProviderType, AppointmentTypeType, TimeSlotType, AppointmentType, VisitType, UserType } from './db';
 import { v4 as uuidv4 } from 'uuid';
+import { recordChange } from './sync/queue';
 
 // Patient operations
 export async function getAllPatients() {
@@ -83,6 +84,7 @@ export async function createNewPatient(data: Omit<PatientType, 'id' | 'createdAt
     };
     
     await db.patients.add(patient);
+    await recordChange('patients', 'create', patient);
     
     // Create an initial visit record
     const visit: VisitType = {
@@ -95,6 +97,7 @@ export async function createNewPatient(data: Omit<PatientType, 'id' | 'createdAt
     };
     
     await db.visits.add(visit);
+    await recordChange('visits', 'create', visit);
     
     return {
       id: patient.patientId,
@@ -125,6 +128,7 @@ export async function updatePatient(patientId: string, data: Partial<PatientType
   };
   
   await db.patients.update(patient.id, updatedPatient);
+  await recordChange('patients', 'update', updatedPatient, patient);
   return updatedPatient;
 }
 
@@ -143,6 +147,7 @@ export async function deletePatient(patientId: string) {
   
   // Delete the patient
   await db.patients.delete(patient.id);
+  await recordChange('patients', 'delete', patient);
   
   return { message: 'Patient deleted successfully' };
 }
@@ -177,6 +182,7 @@ export async function createProvider(data: Omit<ProviderType, 'id' | 'createdAt'
     };
     
     await db.providers.add(provider);
+    await recordChange('providers', 'create', provider);
     return provider;
   } catch (error) {
     console.error('Error creating provider:', error);
@@ -199,6 +205,7 @@ export async function updateProvider(id: string, data: Partial<ProviderType>) {
     };
     
     await db.providers.update(id, updatedProvider);
+    await recordChange('providers', 'update', updatedProvider, provider);
     return updatedProvider;
   } catch (error) {
     console.error('Error updating provider:', error);
@@ -220,6 +227,7 @@ export async function deleteProvider(id: string) {
     
     // Delete the provider
     await db.providers.delete(id);
+    await recordChange('providers', 'delete', provider);
     
     return { message: 'Provider deleted successfully' };
   } catch (error) {
@@ -254,6 +262,7 @@ export async function createAppointmentType(data: Omit<AppointmentTypeType, 'id'
     };
     
     await db.appointmentTypes.add(appointmentType);
+    await recordChange('appointmentTypes', 'create', appointmentType);
     return appointmentType;
   } catch (error) {
     console.error('Error creating appointment type:', error);
@@ -276,6 +285,7 @@ export async function updateAppointmentType(id: string, data: Partial<Appointmen
     };
     
     await db.appointmentTypes.update(id, updatedAppointmentType);
+    await recordChange('appointmentTypes', 'update', updatedAppointmentType, appointmentType);
     return updatedAppointmentType;
   } catch (error) {
     console.error('Error updating appointment type:', error);
@@ -291,18 +301,19 @@ export async function deleteAppointmentType(id: string) {
       throw new Error('Appointment type not found');
     }
     
-    // Update appointments that use this type (set appointmentTypeId to null)
+    // Update appointments that use this type (set appointmentTypeId to null). The server
+    // clears them itself, so their version is left as it is
     const appointments = await db.appointments.where('appointmentTypeId').equals(id).toArray();
     for (const appointment of appointments) {
       await db.appointments.update(appointment.id, {
         ...appointment,
-        appointmentTypeId: null,
-        updatedAt: new Date()
+        appointmentTypeId: null
       });
     }
     
     // Delete the appointment type
     await db.appointmentTypes.delete(id);
+    await recordChange('appointmentTypes', 'delete', appointmentType);
     
     return { message: 'Appointment type deleted successfully' };
   } catch (error) {
@@ -339,9 +350,11 @@ export async function deleteAppointment(id: string) {
     // Update any matching time slots
     for (const slot of timeSlots) {
       await db.timeSlots.update(slot.id, { isAvailable: true });
+      await recordChange('timeSlots', 'update', { ...slot, isAvailable: true }, slot);
     }
     
     await db.appointments.delete(id);
+    await recordChange('appointments', 'delete', appointment);
     return true;
   } catch (error) {
     console.error(`Error deleting appointment: ${error}`);
@@ -493,6 +506,7 @@ export async function createTimeSlot(data: Omit<TimeSlotType, 'id' | 'createdAt'
     };
     
     await db.timeSlots.add(timeSlot);
+    await recordChange('timeSlots', 'create', timeSlot);
     return timeSlot;
   } catch (error) {
     console.error('Error creating time slot:', error);
@@ -515,6 +529,7 @@ export async function updateTimeSlot(id: string, data: Partial<TimeSlotType>) {
     };
     
     await db.timeSlots.update(id, updatedTimeSlot);
+    await recordChange('timeSlots', 'update', updatedTimeSlot, timeSlot);
     return updatedTimeSlot;
   } catch (error) {
     console.error('Error updating time slot:', error);
@@ -532,6 +547,7 @@ export async function deleteTimeSlot(id: string) {
     
     // Delete the time slot
     await db.timeSlots.delete(id);
+    await recordChange('timeSlots', 'delete', timeSlot);
     
     return { message: 'Time slot deleted successfully' };
   } catch (error) {
@@ -566,6 +582,7 @@ export async function createAppointment(data: Omit<AppointmentType, 'id' | 'crea
     };
     
     await db.appointments.add(appointment);
+    await recordChange('appointments', 'create', appointment);
     return appointment;
   } catch (error) {
     console.error('Error creating appointment:', error);
@@ -588,6 +605,7 @@ export async function updateAppointment(id: string, data: Partial<AppointmentTyp
     };
     
     await db.appointments.update(id, updatedAppointment);
+    await recordChange('appointments', 'update', updatedAppointment, appointment);
     return updatedAppointment;
   } catch (error) {
     console.error('Error updating appointment:', error);
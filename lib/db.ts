@@ -1,4 +1,7 @@
 import Dexie from 'dexie';
+import { registerMigrations } from './db-migrations';
+import { createVaultMiddleware } from './vault/middleware';
+import { setVaultPresent } from './vault/session';
 
 // Define types based on your existing Prisma schema
 export interface UserType {
@@ -83,7 +86,49 @@ export interface PendingChangeType {
   entityType: string; // e.g., 'patients', 'appointments'
   action: 'create' | 'update' | 'delete';
   data: any;
-  timestamp: Date;
+  timestamp: Date; // when the change was queued; changes are pushed in this order
+  recordId?: string; // id of the changed record
+  editedAt?: Date; // latest local edit folded into the change
+  baseVersion?: string | null; // server updatedAt the change was made on; null for records not on the server yet
+  attempts?: number; // failed pushes so far
+  nextAttemptAt?: Date; // not pushed again before this time
+  lastError?: string;
+}
+
+// A pending change that kept failing to push, set aside so the changes after it can go out
+export interface DeadLetterType extends PendingChangeType {
+  failedAt: Date;
+}
+
+export interface SyncConflictType {
+  id: string;
+  entityType: string;
+  recordId: string;
+  action: 'create' | 'update' | 'delete';
+  reason: 'modified' | 'deleted' | 'rejected'; // changed or deleted on the server, or refused by it
+  message?: string;
+  local: Record<string, unknown> | null; // the local record, null for a local deletion
+  remote: Record<string, unknown> | null; // the server record, null when it was deleted there
+  baseVersion?: string | null;
+  detectedAt: Date;
+}
+
+export interface SyncStateType {
+  key: string; // e.g., 'cursor', 'conflictPolicy'
+  value: unknown;
+}
+
+// The data key of the encrypted store, wrapped with a key derived from one login (lib/vault/keys.ts)
+export interface KeySlotType {
+  id: string; // e.g., 'password:user@example.com', 'wallet:0xabc...'
+  kind: 'password' | 'wallet';
+  subject: string; // email or wallet address
+  keyId: string; // which data key is wrapped; slots of a replaced key still verify their secret
+  salt: Uint8Array<ArrayBuffer>;
+  iterations: number;
+  iv: Uint8Array<ArrayBuffer>;
+  wrappedKey: ArrayBuffer;
+  createdAt: Date;
 }
 
 // Define the database class
@@ -96,22 +141,20 @@ export class ImagingHubDB extends Dexie {
   timeSlots: Dexie.Table<TimeSlotType, string>;
   appointments: Dexie.Table<AppointmentType, string>;
   pendingChanges: Dexie.Table<PendingChangeType, string>;
+  syncConflicts: Dexie.Table<SyncConflictType, string>;
+  syncState: Dexie.Table<SyncStateType, string>;
+  deadLetters: Dexie.Table<DeadLetterType, string>;
+  keySlots: Dexie.Table<KeySlotType, string>;
 
   constructor() {
     super('imagingHubDatabase');
     
-    this.version(1).stores({
-      // Define schemas for each table
-      // Format: primary key, indexes
-      users: 'id, email, role',
-      patients: 'id, patientId, name, dob, gender',
-      visits: 'id, patientId, date',
-      providers: 'id, name, email, specialty',
-      appointmentTypes: 'id, name, duration',
-      timeSlots: 'id, providerId, startTime, endTime, isAvailable',
-      appointments: 'id, patientId, providerId, startTime, endTime, status',
-      pendingChanges: 'id, entityType, action, timestamp'
-    });
+    // Schema versions and their data upgrades
+    registerMigrations(this);
+
+    this.use(createVaultMiddleware());
+    // Whether writes to the encrypted tables have to wait for an unlock
+    this.on('ready', () => this.keySlots.count().then(count => setVaultPresent(count > 0)));
   }
 }
 
@@ -125,6 +168,10 @@ class MockDB {
   timeSlots = { toArray: async () => [], get: async () => null, where: () => ({ equals: () => ({ first: async () => null, delete: async () => {} }), anyOf: () => ({ toArray: async () => [] }) }), add: async () => {}, update: async () => {}, delete: async () => {} };
   appointments = { toArray: async () => [], get: async () => null, where: () => ({ equals: () => ({ first: async () => null, delete: async () => {} }), anyOf: () => ({ toArray: async () => [] }) }), add: async () => {}, update: async () => {}, delete: async () => {} };
   pendingChanges = { toArray: async () => [], get: async () => null, where: () => ({ equals: () => ({ first: async () => null }), anyOf: () => ({ toArray: async () => [] }) }), add: async () => {}, update: async () => {}, delete: async () => {} };
+  syncConflicts = { toArray: async () => [], get: async () => null, count: async () => 0, add: async () => {}, put: async () => {}, delete: async () => {} };
+  syncState = { get: async () => null, put: async () => {} };
+  deadLetters = { toArray: async () => [], get: async () => null, count: async () => 0, put: async () => {}, delete: async () => {} };
+  keySlots = { toArray: async () => [], get: async () => null, count: async () => 0, put: async () => {}, clear: async () => {} };
   open = async () => {};
 }
 
@@ -153,8 +200,9 @@ export function getDb(): ImagingHubDB | MockDB {
   return dbInstance;
 }
 
-// For backward compatibility
-export const db = typeof window === 'undefined' ? new MockDB() as any : new ImagingHubDB();
+// For backward compatibility. Pages and the service worker (worker/index.ts) share the
+// IndexedDB database; only the server, which has neither window nor self, gets the mock.
+export const db = typeof self === 'undefined' ? new MockDB() as any : new ImagingHubDB();
 
 // Initialize the database when imported - with singleton pattern to prevent race conditions
 export async function initDatabase() {
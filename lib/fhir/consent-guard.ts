@@ -0,0 +1,138 @@
+/**
+ * Consent Guard
+ *
+ * Request-scoped consent checks for the FHIR API routes, on top of the
+ * evaluation rules in `consent.ts`.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth';
+import {
+  CONSENT_CATEGORIES,
+  ConsentDecision,
+  ConsentRecord,
+  evaluateConsent,
+  getPurposeOfUse,
+  isTreatmentPurpose,
+  normalizeConsentActor,
+} from './consent';
+
+export interface ConsentRequester {
+  /** Patient id of the signed-in user, who may always read their own data */
+  patientId?: string;
+  actors: string[];
+  purpose: string;
+}
+
+/**
+ * Identify who is asking: the signed-in user's patient id and wallet, and the
+ * Practitioner sharing the user's email. Only the session counts; a wallet
+ * address the client merely names proves nothing.
+ */
+export async function getConsentRequester(
+  prisma: any,
+  req: NextApiRequest,
+  res: NextApiResponse
+): Promise<ConsentRequester> {
+  const session = await getServerSession(req, res, authOptions);
+  const actors = new Set<string>();
+
+  const walletActor = normalizeConsentActor(session?.user?.ethereumAddress);
+  if (walletActor) actors.add(walletActor);
+
+  if (session?.user?.email) {
+    const provider = await prisma.provider.findUnique({ where: { email: session.user.email } });
+    if (provider) actors.add(`Practitioner/${provider.id}`);
+  }
+
+  return {
+    patientId: session?.user?.id,
+    actors: Array.from(actors),
+    purpose: getPurposeOfUse(req.headers),
+  };
+}
+
+/**
+ * Consent checks for one request. The requester is only looked up once a
+ * patient has consents that could apply, so routes pay nothing otherwise.
+ */
+export function createConsentGuard(prisma: any, req: NextApiRequest, res: NextApiResponse) {
+  const purpose = getPurposeOfUse(req.headers);
+  const consentsByPatient = new Map<string, Promise<ConsentRecord[]>>();
+  let requester: Promise<ConsentRequester> | undefined;
+
+  const getRequester = () => {
+    requester = requester || getConsentRequester(prisma, req, res);
+    return requester;
+  };
+
+  const getConsents = (patientId: string) => {
+    if (!consentsByPatient.has(patientId)) {
+      consentsByPatient.set(patientId, prisma.consent.findMany({ where: { patientId, status: 'active' } }));
+    }
+    return consentsByPatient.get(patientId);
+  };
+
+  return {
+    purpose,
+
+    /**
+     * Whether the requester may read a patient's data of one resource type
+     */
+    async check(patientId: string, resourceType: string): Promise<ConsentDecision> {
+      const consents = await getConsents(patientId);
+      if (consents.length === 0 && isTreatmentPurpose(purpose)) {
+        return { permitted: true };
+      }
+
+      const { patientId: self, actors } = await getRequester();
+      if (self === patientId) {
+        return { permitted: true };
+      }
+      return evaluateConsent(consents, { actors, purpose, resourceType });
+    },
+
+    /**
+     * Prisma filter limiting a search to patients whose consents release the
+     * resource type to the requester, or null when nothing needs filtering
+     */
+    async restrict(resourceType: string): Promise<Record<string, any> | null> {
+      if (!(CONSENT_CATEGORIES as readonly string[]).includes(resourceType)) {
+        return null;
+      }
+
+      const consents: ConsentRecord[] = await prisma.consent.findMany({
+        where: {
+          status: 'active',
+          OR: [{ categories: null }, { categories: { contains: resourceType } }],
+        },
+      });
+      const treatment = isTreatmentPurpose(purpose);
+      if (consents.length === 0 && treatment) {
+        return null;
+      }
+
+      const { patientId: self, actors } = await getRequester();
+      const byPatient = new Map<string, ConsentRecord[]>();
+      for (const consent of consents) {
+        byPatient.set(consent.patientId, [...(byPatient.get(consent.patientId) || []), consent]);
+      }
+
+      const field = resourceType === 'Patient' ? 'id' : 'patientId';
+      const decided = Array.from(byPatient.entries())
+        .filter(([patientId, patientConsents]) =>
+          patientId !== self &&
+          evaluateConsent(patientConsents, { actors, purpose, resourceType }).permitted !== treatment
+        )
+        .map(([patientId]) => patientId);
+
+      if (treatment) {
+        return decided.length > 0 ? { [field]: { notIn: decided } } : null;
+      }
+      return { [field]: { in: self ? [...decided, self] : decided } };
+    },
+  };
+}
+
+export type ConsentGuard = ReturnType<typeof createConsentGuard>;
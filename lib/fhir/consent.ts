@@ -0,0 +1,179 @@
+/**
+ * FHIR Consent Enforcement
+ *
+ * Patients record standing permissions as Consent resources: a permit or deny
+ * provision for a recipient (a Practitioner, a wallet address, or anyone), for
+ * some purposes of use and data categories (resource types), within a period.
+ *
+ * The FHIR read routes and the share flow evaluate these before releasing a
+ * patient's data:
+ * - provisions naming one of the requester's identities override provisions for anyone
+ * - among provisions at the same level, a deny wins over a permit
+ * - without a matching provision, treatment purposes are permitted and every
+ *   other purpose (payment, operations, research, ...) is denied
+ * - patients can always read their own data
+ *
+ * Request-scoped checks for API routes live in `consent-guard.ts`.
+ */
+
+export const PURPOSES_OF_USE = {
+  TREAT: 'Treatment',
+  ETREAT: 'Emergency treatment',
+  HPAYMT: 'Payment',
+  HOPERAT: 'Healthcare operations',
+  HRESCH: 'Research',
+  PATRQT: 'Patient requested',
+} as const;
+
+export type PurposeOfUse = keyof typeof PURPOSES_OF_USE;
+
+export const DEFAULT_PURPOSE_OF_USE: PurposeOfUse = 'TREAT';
+
+// Purposes released unless the patient denied them
+export const TREATMENT_PURPOSES: PurposeOfUse[] = ['TREAT', 'ETREAT'];
+
+// Resource types a consent provision can cover
+export const CONSENT_CATEGORIES = [
+  'Patient',
+  'Encounter',
+  'Observation',
+  'Condition',
+  'MedicationRequest',
+  'AllergyIntolerance',
+] as const;
+
+export const CONSENT_STATUSES = ['draft', 'proposed', 'active', 'rejected', 'inactive', 'entered-in-error'] as const;
+
+export interface ConsentRecord {
+  id: string;
+  patientId: string;
+  status: string;
+  provisionType: string;
+  actor?: string | null;
+  purposes?: string | null;
+  categories?: string | null;
+  periodStart?: Date | null;
+  periodEnd?: Date | null;
+}
+
+export interface ConsentRequest {
+  /** Identities of the requester: `Practitioner/<id>` references and wallet addresses */
+  actors: string[];
+  purpose: string;
+  resourceType?: string;
+  at?: Date;
+}
+
+export interface ConsentDecision {
+  permitted: boolean;
+  /** The consent that decided, if any provision matched */
+  consentId?: string;
+}
+
+export interface ShareConsentDenial {
+  resourceType?: string;
+  actor?: string;
+  consentId?: string;
+}
+
+const splitList = (value?: string | null): string[] =>
+  value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+
+export const isPurposeOfUse = (value: unknown): value is PurposeOfUse =>
+  typeof value === 'string' && Object.prototype.hasOwnProperty.call(PURPOSES_OF_USE, value);
+
+export const isTreatmentPurpose = (purpose: string): boolean =>
+  TREATMENT_PURPOSES.includes(purpose as PurposeOfUse);
+
+/**
+ * Normalize a consent actor: wallet addresses are lowercased and Practitioner
+ * references kept as is. Returns null for anything else.
+ */
+export function normalizeConsentActor(actor: unknown): string | null {
+  if (typeof actor !== 'string') return null;
+  const value = actor.trim();
+  if (/^0x[0-9a-fA-F]{40}$/.test(value)) return value.toLowerCase();
+  if (/^Practitioner\/[A-Za-z0-9\-.]{1,64}$/.test(value)) return value;
+  return null;
+}
+
+/**
+ * The patient a resource belongs to: its own id for a Patient, otherwise the
+ * id in its `subject` or `patient` reference
+ */
+export function getResourcePatientId(resource: any): string | undefined {
+  if (!resource) return undefined;
+  if (resource.resourceType === 'Patient') return resource.id;
+  const reference: string | undefined = resource.subject?.reference || resource.patient?.reference;
+  return reference?.startsWith('Patient/') ? reference.slice('Patient/'.length) : undefined;
+}
+
+/**
+ * Read the purpose of use a request declares (`X-Purpose-Of-Use`, default TREAT)
+ */
+export function getPurposeOfUse(headers: Record<string, string | string[] | undefined>): string {
+  const header = headers['x-purpose-of-use'];
+  const value = (Array.isArray(header) ? header[0] : header)?.trim().toUpperCase();
+  return value || DEFAULT_PURPOSE_OF_USE;
+}
+
+const appliesTo = (consent: ConsentRecord, request: ConsentRequest, at: Date): boolean => {
+  if (consent.status !== 'active') return false;
+  if (consent.periodStart && new Date(consent.periodStart) > at) return false;
+  if (consent.periodEnd && new Date(consent.periodEnd) < at) return false;
+
+  const purposes = splitList(consent.purposes);
+  if (purposes.length > 0 && !purposes.includes(request.purpose)) return false;
+
+  const categories = splitList(consent.categories);
+  return categories.length === 0 || (!!request.resourceType && categories.includes(request.resourceType));
+};
+
+/**
+ * Decide whether one patient's consents release data to a requester
+ */
+export function evaluateConsent(consents: ConsentRecord[], request: ConsentRequest): ConsentDecision {
+  const at = request.at || new Date();
+  const actors = request.actors.map(normalizeConsentActor).filter(Boolean);
+  const matching = consents.filter(consent => appliesTo(consent, request, at));
+
+  const levels = [
+    matching.filter(consent => consent.actor && actors.includes(consent.actor)),
+    matching.filter(consent => !consent.actor),
+  ];
+
+  for (const level of levels) {
+    if (level.length === 0) continue;
+    const deny = level.find(consent => consent.provisionType === 'deny');
+    return { permitted: !deny, consentId: (deny || level[0]).id };
+  }
+
+  return { permitted: isTreatmentPurpose(request.purpose) };
+}
+
+/**
+ * Check a patient's consents against a share: every resource type for every
+ * recipient, or for anyone holding the link when there are no recipients
+ */
+export async function evaluateShareConsent(
+  prisma: any,
+  patientId: string,
+  share: { recipients?: string[]; purpose?: string; resourceTypes?: string[] }
+): Promise<{ permitted: boolean; denied: ShareConsentDenial[] }> {
+  const consents: ConsentRecord[] = await prisma.consent.findMany({ where: { patientId, status: 'active' } });
+  const purpose = share.purpose || DEFAULT_PURPOSE_OF_USE;
+  const recipients: (string | undefined)[] = share.recipients?.length ? share.recipients : [undefined];
+  const resourceTypes: (string | undefined)[] = share.resourceTypes?.length ? share.resourceTypes : [undefined];
+  const denied: ShareConsentDenial[] = [];
+
+  for (const actor of recipients) {
+    for (const resourceType of resourceTypes) {
+      const decision = evaluateConsent(consents, { actors: actor ? [actor] : [], purpose, resourceType });
+      if (!decision.permitted) {
+        denied.push({ resourceType, actor, consentId: decision.consentId });
+      }
+    }
+  }
+
+  return { permitted: denied.length === 0, denied };
+}
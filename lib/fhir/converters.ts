@@ -7,6 +7,12 @@ import {
   FHIREncounter,
   FHIRAppointment,
   FHIRPractitioner,
+  FHIRObservation,
+  FHIRCondition,
+  FHIRMedicationRequest,
+  FHIRAllergyIntolerance,
+  FHIRConsent,
+  ConsentProvisionActor,
   FHIRDocumentReference,
   FHIRBundle,
   HumanName,
@@ -18,6 +24,7 @@ import {
   Annotation,
   Meta,
 } from './types';
+import { normalizeConsentActor } from './consent';
 
 // Prisma types (from our schema)
 interface PrismaPatient {
@@ -29,6 +36,7 @@ interface PrismaPatient {
   phone?: string | null;
   email?: string | null;
   address?: string | null;
+  versionId?: number;
   createdAt: Date;
   updatedAt: Date;
 }
@@ -38,6 +46,102 @@ interface PrismaVisit {
   date: Date;
   notes?: string | null;
   patientId: string;
+  versionId?: number;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+interface PrismaObservation {
+  id: string;
+  patientId: string;
+  visitId?: string | null;
+  status: string;
+  category?: string | null;
+  code: string;
+  codeSystem?: string | null;
+  codeDisplay?: string | null;
+  effectiveDate: Date;
+  valueQuantity?: number | null;
+  valueUnit?: string | null;
+  valueString?: string | null;
+  components?: string | null;
+  notes?: string | null;
+  versionId?: number;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+interface PrismaCondition {
+  id: string;
+  patientId: string;
+  visitId?: string | null;
+  clinicalStatus: string;
+  verificationStatus?: string | null;
+  category?: string | null;
+  severity?: string | null;
+  code: string;
+  codeSystem?: string | null;
+  codeDisplay?: string | null;
+  onsetDate?: Date | null;
+  abatementDate?: Date | null;
+  recordedDate: Date;
+  notes?: string | null;
+  versionId?: number;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+interface PrismaMedicationRequest {
+  id: string;
+  patientId: string;
+  visitId?: string | null;
+  providerId?: string | null;
+  status: string;
+  intent: string;
+  medicationCode?: string | null;
+  medicationSystem?: string | null;
+  medicationDisplay: string;
+  dosageText?: string | null;
+  authoredOn: Date;
+  reason?: string | null;
+  notes?: string | null;
+  versionId?: number;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+interface PrismaAllergyIntolerance {
+  id: string;
+  patientId: string;
+  clinicalStatus: string;
+  verificationStatus?: string | null;
+  type?: string | null;
+  category?: string | null;
+  criticality?: string | null;
+  code?: string | null;
+  codeSystem?: string | null;
+  codeDisplay: string;
+  reaction?: string | null;
+  reactionSeverity?: string | null;
+  onsetDate?: Date | null;
+  recordedDate: Date;
+  notes?: string | null;
+  versionId?: number;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+interface PrismaConsent {
+  id: string;
+  patientId: string;
+  status: string;
+  provisionType: string;
+  actor?: string | null;
+  purposes?: string | null;
+  categories?: string | null;
+  periodStart?: Date | null;
+  periodEnd?: Date | null;
+  versionId?: number;
   createdAt: Date;
   updatedAt: Date;
 }
@@ -247,6 +351,83 @@ function mapFHIRAppointmentStatusToInternal(
   return 'SCHEDULED';
 }
 
+const LOINC_SYSTEM = 'http://loinc.org';
+const UCUM_SYSTEM = 'http://unitsofmeasure.org';
+const OBSERVATION_CATEGORY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const SNOMED_SYSTEM = 'http://snomed.info/sct';
+const RXNORM_SYSTEM = 'http://www.nlm.nih.gov/research/umls/rxnorm';
+const CONDITION_CLINICAL_SYSTEM = 'http://terminology.hl7.org/CodeSystem/condition-clinical';
+const CONDITION_VERIFICATION_SYSTEM = 'http://terminology.hl7.org/CodeSystem/condition-ver-status';
+const CONDITION_CATEGORY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/condition-category';
+const ALLERGY_CLINICAL_SYSTEM = 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical';
+const ALLERGY_VERIFICATION_SYSTEM = 'http://terminology.hl7.org/CodeSystem/allergyintolerance-verification';
+const CONSENT_SCOPE_SYSTEM = 'http://terminology.hl7.org/CodeSystem/consentscope';
+const CONSENT_POLICY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-ActCode';
+const PARTICIPATION_TYPE_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-ParticipationType';
+const PURPOSE_OF_USE_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-ActReason';
+const RESOURCE_TYPE_SYSTEM = 'http://hl7.org/fhir/resource-types';
+const ETHEREUM_ADDRESS_SYSTEM = 'https://ethereum.org/address';
+
+const OBSERVATION_CATEGORY_DISPLAY: Record<string, string> = {
+  'vital-signs': 'Vital Signs',
+  laboratory: 'Laboratory',
+  imaging: 'Imaging',
+  'social-history': 'Social History',
+  survey: 'Survey',
+  exam: 'Exam',
+  procedure: 'Procedure',
+  therapy: 'Therapy',
+  activity: 'Activity',
+};
+
+/**
+ * Extract the resource ID from a relative reference such as "Patient/123"
+ */
+function extractReferenceId(reference: string | undefined, resourceType: string): string | undefined {
+  if (!reference) return undefined;
+  return reference.startsWith(`${resourceType}/`)
+    ? reference.slice(resourceType.length + 1)
+    : reference;
+}
+
+/**
+ * Build a single-coding CodeableConcept
+ */
+function createCodeableConcept(system: string, code: string, display?: string | null): CodeableConcept {
+  return {
+    coding: [
+      {
+        system,
+        code,
+        display: display || undefined,
+      },
+    ],
+    text: display || undefined,
+  };
+}
+
+/**
+ * Pick the coding from a CodeableConcept, preferring the given system
+ */
+function pickCoding(concept: CodeableConcept | undefined, preferredSystem?: string) {
+  const codings = concept?.coding || [];
+  return codings.find(c => c.system === preferredSystem) || codings[0];
+}
+
+/**
+ * Convert notes text to FHIR Annotations
+ */
+function notesToAnnotations(notes?: string | null): Annotation[] | undefined {
+  return notes ? [{ text: notes }] : undefined;
+}
+
+/**
+ * Convert FHIR Annotations back to a notes string
+ */
+function annotationsToNotes(annotations?: Annotation[]): string | undefined {
+  return annotations?.map(n => n.text).join('\n') || undefined;
+}
+
 // ============================================================================
 // Patient Converters
 // ============================================================================
@@ -260,7 +441,7 @@ export function patientToFHIR(patient: PrismaPatient, baseUrl?: string): FHIRPat
     id: patient.id,
     meta: {
       lastUpdated: formatFHIRInstant(patient.updatedAt),
-      versionId: '1',
+      versionId: String(patient.versionId ?? 1),
       profile: ['http://hl7.org/fhir/StructureDefinition/Patient'],
     },
     identifier: [
@@ -326,7 +507,7 @@ export function visitToFHIREncounter(visit: PrismaVisit, patientRef?: string): F
     id: visit.id,
     meta: {
       lastUpdated: formatFHIRInstant(visit.updatedAt),
-      versionId: '1',
+      versionId: String(visit.versionId ?? 1),
       profile: ['http://hl7.org/fhir/StructureDefinition/Encounter'],
     },
     status: 'finished',
@@ -385,6 +566,494 @@ export function fhirEncounterToVisit(encounter: FHIREncounter): Partial<PrismaVi
   };
 }
 
+// ============================================================================
+// Observation Converters
+// ============================================================================
+
+/**
+ * Convert Prisma Observation to FHIR Observation
+ */
+export function observationToFHIR(observation: PrismaObservation): FHIRObservation {
+  const fhirObservation: FHIRObservation = {
+    resourceType: 'Observation',
+    id: observation.id,
+    meta: {
+      lastUpdated: formatFHIRInstant(observation.updatedAt),
+      versionId: String(observation.versionId ?? 1),
+      profile: ['http://hl7.org/fhir/StructureDefinition/Observation'],
+    },
+    status: observation.status as FHIRObservation['status'],
+    code: {
+      coding: [
+        {
+          system: observation.codeSystem || LOINC_SYSTEM,
+          code: observation.code,
+          display: observation.codeDisplay || undefined,
+        },
+      ],
+      text: observation.codeDisplay || undefined,
+    },
+    subject: {
+      reference: `Patient/${observation.patientId}`,
+      type: 'Patient',
+    },
+    effectiveDateTime: formatFHIRInstant(observation.effectiveDate),
+  };
+
+  if (observation.category) {
+    fhirObservation.category = [
+      {
+        coding: [
+          {
+            system: OBSERVATION_CATEGORY_SYSTEM,
+            code: observation.category,
+            display: OBSERVATION_CATEGORY_DISPLAY[observation.category],
+          },
+        ],
+      },
+    ];
+  }
+
+  if (observation.visitId) {
+    fhirObservation.encounter = {
+      reference: `Encounter/${observation.visitId}`,
+      type: 'Encounter',
+    };
+  }
+
+  if (observation.valueQuantity !== null && observation.valueQuantity !== undefined) {
+    fhirObservation.valueQuantity = {
+      value: observation.valueQuantity,
+      unit: observation.valueUnit || undefined,
+      system: observation.valueUnit ? UCUM_SYSTEM : undefined,
+      code: observation.valueUnit || undefined,
+    };
+  } else if (observation.valueString) {
+    fhirObservation.valueString = observation.valueString;
+  }
+
+  if (observation.components) {
+    try {
+      fhirObservation.component = JSON.parse(observation.components);
+    } catch {
+      // Ignore malformed component data rather than failing the whole resource
+    }
+  }
+
+  if (observation.notes) {
+    fhirObservation.note = [{ text: observation.notes }];
+  }
+
+  return fhirObservation;
+}
+
+/**
+ * Convert FHIR Observation to Prisma Observation
+ */
+export function fhirToObservation(fhirObservation: FHIRObservation): Partial<PrismaObservation> {
+  // Prefer a LOINC coding, fall back to the first coding available
+  const codings = fhirObservation.code?.coding || [];
+  const coding = codings.find(c => c.system === LOINC_SYSTEM) || codings[0];
+
+  const categoryCode = fhirObservation.category
+    ?.flatMap(c => c.coding || [])
+    .find(c => c.code)?.code;
+
+  const effective =
+    fhirObservation.effectiveDateTime ||
+    fhirObservation.effectivePeriod?.start ||
+    fhirObservation.effectiveInstant ||
+    fhirObservation.issued;
+
+  const valueString =
+    fhirObservation.valueString ??
+    fhirObservation.valueCodeableConcept?.text ??
+    fhirObservation.valueCodeableConcept?.coding?.[0]?.display;
+
+  return {
+    id: fhirObservation.id,
+    patientId: extractReferenceId(fhirObservation.subject?.reference, 'Patient') || '',
+    visitId: extractReferenceId(fhirObservation.encounter?.reference, 'Encounter'),
+    status: fhirObservation.status,
+    category: categoryCode,
+    code: coding?.code || '',
+    codeSystem: coding?.system,
+    codeDisplay: coding?.display || fhirObservation.code?.text,
+    effectiveDate: effective ? new Date(effective) : new Date(),
+    valueQuantity: fhirObservation.valueQuantity?.value,
+    valueUnit: fhirObservation.valueQuantity?.unit || fhirObservation.valueQuantity?.code,
+    valueString,
+    components: fhirObservation.component ? JSON.stringify(fhirObservation.component) : undefined,
+    notes: fhirObservation.note?.map(n => n.text).join('\n') || undefined,
+  };
+}
+
+// ============================================================================
+// Condition Converters
+// ============================================================================
+
+/**
+ * Convert Prisma Condition to FHIR Condition
+ */
+export function conditionToFHIR(condition: PrismaCondition): FHIRCondition {
+  const fhirCondition: FHIRCondition = {
+    resourceType: 'Condition',
+    id: condition.id,
+    meta: {
+      lastUpdated: formatFHIRInstant(condition.updatedAt),
+      versionId: String(condition.versionId ?? 1),
+      profile: ['http://hl7.org/fhir/StructureDefinition/Condition'],
+    },
+    clinicalStatus: createCodeableConcept(CONDITION_CLINICAL_SYSTEM, condition.clinicalStatus),
+    code: createCodeableConcept(condition.codeSystem || SNOMED_SYSTEM, condition.code, condition.codeDisplay),
+    subject: {
+      reference: `Patient/${condition.patientId}`,
+      type: 'Patient',
+    },
+    recordedDate: formatFHIRInstant(condition.recordedDate),
+  };
+
+  if (condition.verificationStatus) {
+    fhirCondition.verificationStatus = createCodeableConcept(
+      CONDITION_VERIFICATION_SYSTEM,
+      condition.verificationStatus
+    );
+  }
+
+  if (condition.category) {
+    fhirCondition.category = [createCodeableConcept(CONDITION_CATEGORY_SYSTEM, condition.category)];
+  }
+
+  if (condition.severity) {
+    fhirCondition.severity = { text: condition.severity };
+  }
+
+  if (condition.visitId) {
+    fhirCondition.encounter = {
+      reference: `Encounter/${condition.visitId}`,
+      type: 'Encounter',
+    };
+  }
+
+  if (condition.onsetDate) {
+    fhirCondition.onsetDateTime = formatFHIRInstant(condition.onsetDate);
+  }
+
+  if (condition.abatementDate) {
+    fhirCondition.abatementDateTime = formatFHIRInstant(condition.abatementDate);
+  }
+
+  fhirCondition.note = notesToAnnotations(condition.notes);
+
+  return fhirCondition;
+}
+
+/**
+ * Convert FHIR Condition to Prisma Condition
+ */
+export function fhirToCondition(fhirCondition: FHIRCondition): Partial<PrismaCondition> {
+  const coding = pickCoding(fhirCondition.code, SNOMED_SYSTEM);
+
+  return {
+    id: fhirCondition.id,
+    patientId: extractReferenceId(fhirCondition.subject?.reference, 'Patient') || '',
+    visitId: extractReferenceId(fhirCondition.encounter?.reference, 'Encounter'),
+    clinicalStatus: pickCoding(fhirCondition.clinicalStatus)?.code || 'active',
+    verificationStatus: pickCoding(fhirCondition.verificationStatus)?.code,
+    category: pickCoding(fhirCondition.category?.[0])?.code,
+    severity: fhirCondition.severity?.text || pickCoding(fhirCondition.severity)?.display,
+    code: coding?.code || '',
+    codeSystem: coding?.system,
+    codeDisplay: coding?.display || fhirCondition.code?.text,
+    onsetDate: fhirCondition.onsetDateTime
+      ? new Date(fhirCondition.onsetDateTime)
+      : fhirCondition.onsetPeriod?.start ? new Date(fhirCondition.onsetPeriod.start) : undefined,
+    abatementDate: fhirCondition.abatementDateTime
+      ? new Date(fhirCondition.abatementDateTime)
+      : fhirCondition.abatementPeriod?.end ? new Date(fhirCondition.abatementPeriod.end) : undefined,
+    recordedDate: fhirCondition.recordedDate ? new Date(fhirCondition.recordedDate) : new Date(),
+    notes: annotationsToNotes(fhirCondition.note),
+  };
+}
+
+// ============================================================================
+// MedicationRequest Converters
+// ============================================================================
+
+/**
+ * Convert Prisma MedicationRequest to FHIR MedicationRequest
+ */
+export function medicationRequestToFHIR(medicationRequest: PrismaMedicationRequest): FHIRMedicationRequest {
+  const fhirMedicationRequest: FHIRMedicationRequest = {
+    resourceType: 'MedicationRequest',
+    id: medicationRequest.id,
+    meta: {
+      lastUpdated: formatFHIRInstant(medicationRequest.updatedAt),
+      versionId: String(medicationRequest.versionId ?? 1),
+      profile: ['http://hl7.org/fhir/StructureDefinition/MedicationRequest'],
+    },
+    status: medicationRequest.status as FHIRMedicationRequest['status'],
+    intent: medicationRequest.intent as FHIRMedicationRequest['intent'],
+    medicationCodeableConcept: medicationRequest.medicationCode
+      ? createCodeableConcept(
+          medicationRequest.medicationSystem || RXNORM_SYSTEM,
+          medicationRequest.medicationCode,
+          medicationRequest.medicationDisplay
+        )
+      : { text: medicationRequest.medicationDisplay },
+    subject: {
+      reference: `Patient/${medicationRequest.patientId}`,
+      type: 'Patient',
+    },
+    authoredOn: formatFHIRInstant(medicationRequest.authoredOn),
+  };
+
+  if (medicationRequest.visitId) {
+    fhirMedicationRequest.encounter = {
+      reference: `Encounter/${medicationRequest.visitId}`,
+      type: 'Encounter',
+    };
+  }
+
+  if (medicationRequest.providerId) {
+    fhirMedicationRequest.requester = {
+      reference: `Practitioner/${medicationRequest.providerId}`,
+      type: 'Practitioner',
+    };
+  }
+
+  if (medicationRequest.dosageText) {
+    fhirMedicationRequest.dosageInstruction = [{ text: medicationRequest.dosageText }];
+  }
+
+  if (medicationRequest.reason) {
+    fhirMedicationRequest.reasonCode = [{ text: medicationRequest.reason }];
+  }
+
+  fhirMedicationRequest.note = notesToAnnotations(medicationRequest.notes);
+
+  return fhirMedicationRequest;
+}
+
+/**
+ * Convert FHIR MedicationRequest to Prisma MedicationRequest
+ */
+export function fhirToMedicationRequest(
+  fhirMedicationRequest: FHIRMedicationRequest
+): Partial<PrismaMedicationRequest> {
+  const medication = fhirMedicationRequest.medicationCodeableConcept;
+  const coding = pickCoding(medication, RXNORM_SYSTEM);
+
+  return {
+    id: fhirMedicationRequest.id,
+    patientId: extractReferenceId(fhirMedicationRequest.subject?.reference, 'Patient') || '',
+    visitId: extractReferenceId(fhirMedicationRequest.encounter?.reference, 'Encounter'),
+    providerId: extractReferenceId(fhirMedicationRequest.requester?.reference, 'Practitioner'),
+    status: fhirMedicationRequest.status,
+    intent: fhirMedicationRequest.intent,
+    medicationCode: coding?.code,
+    medicationSystem: coding?.system,
+    medicationDisplay:
+      medication?.text ||
+      coding?.display ||
+      fhirMedicationRequest.medicationReference?.display ||
+      '',
+    dosageText: fhirMedicationRequest.dosageInstruction?.map(d => d.text).filter(Boolean).join('; ') || undefined,
+    authoredOn: fhirMedicationRequest.authoredOn ? new Date(fhirMedicationRequest.authoredOn) : new Date(),
+    reason: fhirMedicationRequest.reasonCode?.map(r => r.text || r.coding?.[0]?.display).filter(Boolean).join('; ') || undefined,
+    notes: annotationsToNotes(fhirMedicationRequest.note),
+  };
+}
+
+// ============================================================================
+// AllergyIntolerance Converters
+// ============================================================================
+
+/**
+ * Convert Prisma AllergyIntolerance to FHIR AllergyIntolerance
+ */
+export function allergyIntoleranceToFHIR(allergy: PrismaAllergyIntolerance): FHIRAllergyIntolerance {
+  const fhirAllergy: FHIRAllergyIntolerance = {
+    resourceType: 'AllergyIntolerance',
+    id: allergy.id,
+    meta: {
+      lastUpdated: formatFHIRInstant(allergy.updatedAt),
+      versionId: String(allergy.versionId ?? 1),
+      profile: ['http://hl7.org/fhir/StructureDefinition/AllergyIntolerance'],
+    },
+    clinicalStatus: createCodeableConcept(ALLERGY_CLINICAL_SYSTEM, allergy.clinicalStatus),
+    code: allergy.code
+      ? createCodeableConcept(allergy.codeSystem || SNOMED_SYSTEM, allergy.code, allergy.codeDisplay)
+      : { text: allergy.codeDisplay },
+    patient: {
+      reference: `Patient/${allergy.patientId}`,
+      type: 'Patient',
+    },
+    recordedDate: formatFHIRInstant(allergy.recordedDate),
+  };
+
+  if (allergy.verificationStatus) {
+    fhirAllergy.verificationStatus = createCodeableConcept(
+      ALLERGY_VERIFICATION_SYSTEM,
+      allergy.verificationStatus
+    );
+  }
+
+  if (allergy.type) {
+    fhirAllergy.type = allergy.type as FHIRAllergyIntolerance['type'];
+  }
+
+  if (allergy.category) {
+    fhirAllergy.category = allergy.category.split(',') as FHIRAllergyIntolerance['category'];
+  }
+
+  if (allergy.criticality) {
+    fhirAllergy.criticality = allergy.criticality as FHIRAllergyIntolerance['criticality'];
+  }
+
+  if (allergy.onsetDate) {
+    fhirAllergy.onsetDateTime = formatFHIRInstant(allergy.onsetDate);
+  }
+
+  if (allergy.reaction) {
+    fhirAllergy.reaction = [
+      {
+        manifestation: [{ text: allergy.reaction }],
+        severity: (allergy.reactionSeverity || undefined) as 'mild' | 'moderate' | 'severe' | undefined,
+      },
+    ];
+  }
+
+  fhirAllergy.note = notesToAnnotations(allergy.notes);
+
+  return fhirAllergy;
+}
+
+/**
+ * Convert FHIR AllergyIntolerance to Prisma AllergyIntolerance
+ */
+export function fhirToAllergyIntolerance(
+  fhirAllergy: FHIRAllergyIntolerance
+): Partial<PrismaAllergyIntolerance> {
+  const coding = pickCoding(fhirAllergy.code, SNOMED_SYSTEM);
+  const reaction = fhirAllergy.reaction?.[0];
+
+  return {
+    id: fhirAllergy.id,
+    patientId: extractReferenceId(fhirAllergy.patient?.reference, 'Patient') || '',
+    clinicalStatus: pickCoding(fhirAllergy.clinicalStatus)?.code || 'active',
+    verificationStatus: pickCoding(fhirAllergy.verificationStatus)?.code,
+    type: fhirAllergy.type,
+    category: fhirAllergy.category?.join(','),
+    criticality: fhirAllergy.criticality,
+    code: coding?.code,
+    codeSystem: coding?.system,
+    codeDisplay: fhirAllergy.code?.text || coding?.display || '',
+    reaction: reaction
+      ? reaction.description ||
+        reaction.manifestation?.map(m => m.text || m.coding?.[0]?.display).filter(Boolean).join(', ') ||
+        undefined
+      : undefined,
+    reactionSeverity: reaction?.severity,
+    onsetDate: fhirAllergy.onsetDateTime ? new Date(fhirAllergy.onsetDateTime) : undefined,
+    recordedDate: fhirAllergy.recordedDate ? new Date(fhirAllergy.recordedDate) : new Date(),
+    notes: annotationsToNotes(fhirAllergy.note),
+  };
+}
+
+// ============================================================================
+// Consent Converters
+// ============================================================================
+
+/**
+ * Convert a stored consent actor (Practitioner reference or wallet address) to a provision actor
+ */
+function consentActorToFHIR(actor: string): ConsentProvisionActor {
+  return {
+    role: createCodeableConcept(PARTICIPATION_TYPE_SYSTEM, 'IRCP', 'information recipient'),
+    reference: actor.startsWith('Practitioner/')
+      ? { reference: actor, type: 'Practitioner' }
+      : { identifier: { system: ETHEREUM_ADDRESS_SYSTEM, value: actor } },
+  };
+}
+
+/**
+ * Convert Prisma Consent to FHIR Consent
+ */
+export function consentToFHIR(consent: PrismaConsent): FHIRConsent {
+  const fhirConsent: FHIRConsent = {
+    resourceType: 'Consent',
+    id: consent.id,
+    meta: {
+      lastUpdated: formatFHIRInstant(consent.updatedAt),
+      versionId: String(consent.versionId ?? 1),
+      profile: ['http://hl7.org/fhir/StructureDefinition/Consent'],
+    },
+    status: consent.status as FHIRConsent['status'],
+    scope: createCodeableConcept(CONSENT_SCOPE_SYSTEM, 'patient-privacy', 'Privacy Consent'),
+    category: [createCodeableConcept(LOINC_SYSTEM, '59284-0', 'Patient Consent')],
+    patient: {
+      reference: `Patient/${consent.patientId}`,
+      type: 'Patient',
+    },
+    dateTime: formatFHIRInstant(consent.createdAt),
+    policyRule: createCodeableConcept(CONSENT_POLICY_SYSTEM, 'OPTIN', 'opt-in'),
+    provision: {
+      type: consent.provisionType as 'deny' | 'permit',
+    },
+  };
+
+  if (consent.periodStart || consent.periodEnd) {
+    fhirConsent.provision.period = {
+      start: consent.periodStart ? formatFHIRInstant(consent.periodStart) : undefined,
+      end: consent.periodEnd ? formatFHIRInstant(consent.periodEnd) : undefined,
+    };
+  }
+
+  if (consent.actor) {
+    fhirConsent.provision.actor = [consentActorToFHIR(consent.actor)];
+  }
+
+  if (consent.purposes) {
+    fhirConsent.provision.purpose = consent.purposes.split(',').map(code => ({
+      system: PURPOSE_OF_USE_SYSTEM,
+      code,
+    }));
+  }
+
+  if (consent.categories) {
+    fhirConsent.provision.class = consent.categories.split(',').map(code => ({
+      system: RESOURCE_TYPE_SYSTEM,
+      code,
+    }));
+  }
+
+  return fhirConsent;
+}
+
+/**
+ * Convert FHIR Consent to Prisma Consent
+ *
+ * Only the top-level provision is stored; its first actor is the recipient
+ * the consent applies to, and no actor means anyone.
+ */
+export function fhirToConsent(fhirConsent: FHIRConsent): Partial<PrismaConsent> {
+  const provision = fhirConsent.provision;
+  const actor = provision?.actor?.[0]?.reference;
+
+  return {
+    id: fhirConsent.id,
+    patientId: extractReferenceId(fhirConsent.patient?.reference, 'Patient') || '',
+    status: fhirConsent.status,
+    provisionType: provision?.type || 'permit',
+    actor: normalizeConsentActor(actor?.reference || actor?.identifier?.value),
+    purposes: provision?.purpose?.map(p => p.code).filter(Boolean).join(',') || null,
+    categories: provision?.class?.map(c => c.code).filter(Boolean).join(',') || null,
+    periodStart: provision?.period?.start ? new Date(provision.period.start) : null,
+    periodEnd: provision?.period?.end ? new Date(provision.period.end) : null,
+  };
+}
+
 // ============================================================================
 // Appointment Converters
 // ============================================================================
@@ -532,6 +1201,16 @@ export function createFHIRBundle(
   };
 }
 
+/**
+ * Additional clinical records to include in a patient summary bundle
+ */
+export interface PatientSummaryResources {
+  observations?: PrismaObservation[];
+  conditions?: PrismaCondition[];
+  medicationRequests?: PrismaMedicationRequest[];
+  allergyIntolerances?: PrismaAllergyIntolerance[];
+}
+
 /**
  * Create a patient summary bundle with related resources
  */
@@ -539,7 +1218,8 @@ export function createPatientSummaryBundle(
   patient: PrismaPatient,
   visits?: PrismaVisit[],
   appointments?: PrismaAppointment[],
-  baseUrl?: string
+  baseUrl?: string,
+  related: PatientSummaryResources = {}
 ): FHIRBundle {
   const resources: any[] = [patientToFHIR(patient, baseUrl)];
 
@@ -553,5 +1233,21 @@ export function createPatientSummaryBundle(
     resources.push(...fhirAppointments);
   }
 
+  if (related.observations) {
+    resources.push(...related.observations.map(o => observationToFHIR(o)));
+  }
+
+  if (related.conditions) {
+    resources.push(...related.conditions.map(c => conditionToFHIR(c)));
+  }
+
+  if (related.medicationRequests) {
+    resources.push(...related.medicationRequests.map(m => medicationRequestToFHIR(m)));
+  }
+
+  if (related.allergyIntolerances) {
+    resources.push(...related.allergyIntolerances.map(a => allergyIntoleranceToFHIR(a)));
+  }
+
   return createFHIRBundle(resources, 'collection', baseUrl);
 }
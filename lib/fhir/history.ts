@@ -0,0 +1,293 @@
+/**
+ * FHIR Resource Versioning
+ *
+ * Every create, update and delete of a FHIR resource stores a snapshot in the
+ * ResourceVersion table, so `_history` can show how a record changed over time.
+ * Also provides ETag / If-Match optimistic locking and the search matching used
+ * by conditional create (If-None-Exist) and conditional update.
+ */
+
+import { parseSearchParameters, searchDefinitions } from './search';
+import {
+  BundleEntry,
+  FHIRBundle,
+  FHIROperationOutcome,
+  Resource,
+} from './types';
+
+export type VersionMethod = 'POST' | 'PUT' | 'DELETE';
+
+export interface HistoryResult {
+  status: number;
+  body: FHIRBundle | Resource | FHIROperationOutcome;
+  /** The version returned by a vread, for ETag / Last-Modified headers */
+  version?: { versionId: number; lastModified: Date };
+}
+
+export interface ConditionalMatchResult {
+  status: number;
+  /** OperationOutcome when the criteria are invalid or match several resources */
+  body?: FHIROperationOutcome;
+  /** The single matching record, if any */
+  record?: any;
+}
+
+const RESPONSE_STATUS: Record<VersionMethod, string> = {
+  POST: '201 Created',
+  PUT: '200 OK',
+  DELETE: '204 No Content',
+};
+
+/**
+ * Store a snapshot of a resource version after it was created or updated
+ */
+export async function recordVersion(db: any, resource: Resource, method: 'POST' | 'PUT') {
+  await db.resourceVersion.create({
+    data: {
+      resourceType: resource.resourceType,
+      resourceId: resource.id,
+      versionId: Number(resource.meta?.versionId || 1),
+      method,
+      resource: JSON.stringify(resource),
+    },
+  });
+}
+
+/**
+ * Store a deletion marker as the version after the last stored one
+ */
+export async function recordDeletion(db: any, resourceType: string, id: string, lastVersionId: number) {
+  await db.resourceVersion.create({
+    data: {
+      resourceType,
+      resourceId: id,
+      versionId: (lastVersionId || 1) + 1,
+      method: 'DELETE',
+      resource: null,
+    },
+  });
+}
+
+/**
+ * Build the `history` Bundle for a resource instance, newest version first.
+ * Resources created before versioning was introduced get their current state as
+ * the only entry.
+ */
+export async function getResourceHistory(
+  db: any,
+  resourceType: string,
+  id: string,
+  baseUrl: string
+): Promise<HistoryResult> {
+  const versions = await db.resourceVersion.findMany({
+    where: { resourceType, resourceId: id },
+    orderBy: { versionId: 'desc' },
+  });
+
+  let entries: BundleEntry[] = versions.map((version: any) =>
+    createHistoryEntry(resourceType, id, version, baseUrl)
+  );
+
+  if (entries.length === 0) {
+    const definition = searchDefinitions[resourceType];
+    const record = await db[definition.model].findUnique({ where: { id } });
+    if (!record) {
+      return notFound(`${resourceType}/${id} not found`);
+    }
+
+    const resource = definition.toFHIR(record, baseUrl);
+    entries = [
+      createHistoryEntry(resourceType, id, {
+        versionId: record.versionId ?? 1,
+        method: (record.versionId ?? 1) > 1 ? 'PUT' : 'POST',
+        resource: JSON.stringify(resource),
+        createdAt: record.updatedAt,
+      }, baseUrl),
+    ];
+  }
+
+  return {
+    status: 200,
+    body: {
+      resourceType: 'Bundle',
+      type: 'history',
+      total: entries.length,
+      timestamp: new Date().toISOString(),
+      link: [{ relation: 'self', url: `${baseUrl}/${resourceType}/${id}/_history` }],
+      entry: entries,
+    },
+  };
+}
+
+/**
+ * Read a specific version of a resource (vread)
+ */
+export async function readResourceVersion(
+  db: any,
+  resourceType: string,
+  id: string,
+  vid: string,
+  baseUrl: string
+): Promise<HistoryResult> {
+  const versionId = Number(vid);
+  if (!Number.isInteger(versionId) || versionId < 1) {
+    return {
+      status: 400,
+      body: createOperationOutcome('error', 'invalid', `Invalid version id: ${vid}`),
+    };
+  }
+
+  const version = await db.resourceVersion.findUnique({
+    where: {
+      resourceType_resourceId_versionId: { resourceType, resourceId: id, versionId },
+    },
+  });
+
+  if (!version) {
+    // Fall back to the live record for resources without stored history
+    const definition = searchDefinitions[resourceType];
+    const record = await db[definition.model].findUnique({ where: { id } });
+    if (record && (record.versionId ?? 1) === versionId) {
+      return {
+        status: 200,
+        body: definition.toFHIR(record, baseUrl),
+        version: { versionId, lastModified: record.updatedAt },
+      };
+    }
+    return notFound(`${resourceType}/${id}/_history/${vid} not found`);
+  }
+
+  if (version.method === 'DELETE') {
+    return {
+      status: 410,
+      body: createOperationOutcome('error', 'deleted', `${resourceType}/${id} was deleted in version ${vid}`),
+    };
+  }
+
+  return {
+    status: 200,
+    body: JSON.parse(version.resource),
+    version: { versionId, lastModified: version.createdAt },
+  };
+}
+
+/**
+ * Find the resources matching conditional create/update criteria.
+ * Returns 412 when more than one resource matches (FHIR R4 3.1.0.8).
+ * @param criteria - Search parameters, e.g. `identifier=PAT-000001` or a parsed query
+ */
+export async function findConditionalMatch(
+  db: any,
+  resourceType: string,
+  criteria: string | Record<string, string | string[] | undefined>
+): Promise<ConditionalMatchResult> {
+  const query = typeof criteria === 'string' ? parseCriteria(criteria) : criteria;
+
+  if (Object.keys(query).length === 0) {
+    return {
+      status: 400,
+      body: createOperationOutcome('error', 'invalid', 'Conditional request requires search criteria'),
+    };
+  }
+
+  const search = parseSearchParameters(resourceType, query);
+  const errors = search.issues.filter(issue => issue.severity === 'error');
+  if (errors.length > 0) {
+    return {
+      status: 400,
+      body: { resourceType: 'OperationOutcome', issue: errors },
+    };
+  }
+
+  const definition = searchDefinitions[resourceType];
+  const matches = await db[definition.model].findMany({ where: search.where, take: 2 });
+
+  if (matches.length > 1) {
+    return {
+      status: 412,
+      body: createOperationOutcome('error', 'multiple-matches', `Multiple ${resourceType} resources match the conditional criteria`),
+    };
+  }
+
+  return matches.length === 1 ? { status: 200, record: matches[0] } : { status: 404 };
+}
+
+/**
+ * Check an If-Match header (`W/"3"`) against the current version.
+ * Returns true when there is no header or the versions agree.
+ */
+export function matchesVersion(ifMatch: string | string[] | undefined, currentVersionId: number): boolean {
+  if (!ifMatch) {
+    return true;
+  }
+
+  return parseETag(ifMatch) === (currentVersionId ?? 1);
+}
+
+/**
+ * Parse a FHIR ETag (`W/"3"` or `"3"`) into a version number
+ */
+export function parseETag(etag: string | string[]): number | null {
+  const value = Array.isArray(etag) ? etag[0] : etag;
+  const match = value?.trim().match(/^(?:W\/)?"?(\d+)"?$/);
+  return match ? Number(match[1]) : null;
+}
+
+export function formatETag(versionId: number | string | undefined): string {
+  return `W/"${versionId ?? 1}"`;
+}
+
+function createHistoryEntry(resourceType: string, id: string, version: any, baseUrl: string): BundleEntry {
+  const method = version.method as VersionMethod;
+
+  return {
+    fullUrl: `${baseUrl}/${resourceType}/${id}`,
+    ...(version.resource ? { resource: JSON.parse(version.resource) } : {}),
+    request: {
+      method,
+      url: method === 'POST' ? resourceType : `${resourceType}/${id}`,
+    },
+    response: {
+      status: RESPONSE_STATUS[method],
+      etag: formatETag(version.versionId),
+      lastModified: new Date(version.createdAt).toISOString(),
+    },
+  };
+}
+
+/**
+ * Parse an If-None-Exist value ("identifier=x", "?identifier=x" or "Patient?identifier=x")
+ */
+function parseCriteria(criteria: string): Record<string, string[]> {
+  const queryString = criteria.includes('?') ? criteria.slice(criteria.indexOf('?') + 1) : criteria;
+  const query: Record<string, string[]> = {};
+  new URLSearchParams(queryString).forEach((value, key) => {
+    query[key] = [...(query[key] || []), value];
+  });
+  return query;
+}
+
+function notFound(message: string): HistoryResult {
+  return {
+    status: 404,
+    body: createOperationOutcome('error', 'not-found', message),
+  };
+}
+
+function createOperationOutcome(
+  severity: 'fatal' | 'error' | 'warning' | 'information',
+  code: string,
+  message: string
+): FHIROperationOutcome {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [
+      {
+        severity,
+        code,
+        diagnostics: message,
+        details: { text: message },
+      },
+    ],
+  };
+}
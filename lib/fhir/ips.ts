@@ -0,0 +1,316 @@
+/**
+ * International Patient Summary (IPS) Document Generation
+ *
+ * Builds an IPS `document` Bundle (http://hl7.org/fhir/uv/ips) from a patient's
+ * FHIR resources: a Composition with the required Problems, Allergies and
+ * Medications sections, optional Results and Vital Signs sections, and a
+ * generated narrative for each section.
+ */
+
+import { randomUUID } from 'crypto';
+import {
+  BundleEntry,
+  CodeableConcept,
+  CompositionSection,
+  FHIRAllergyIntolerance,
+  FHIRBundle,
+  FHIRComposition,
+  FHIRCondition,
+  FHIRMedicationRequest,
+  FHIRObservation,
+  FHIRPatient,
+  Resource,
+} from './types';
+
+const LOINC_SYSTEM = 'http://loinc.org';
+const LIST_EMPTY_REASON_SYSTEM = 'http://terminology.hl7.org/CodeSystem/list-empty-reason';
+const XHTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+export const IPS_BUNDLE_PROFILE = 'http://hl7.org/fhir/uv/ips/StructureDefinition/Bundle-uv-ips';
+export const IPS_COMPOSITION_PROFILE = 'http://hl7.org/fhir/uv/ips/StructureDefinition/Composition-uv-ips';
+
+// Conditions with these clinical statuses belong in the Problems section;
+// the rest go to History of Past Illness
+const ACTIVE_CONDITION_STATUSES = ['active', 'recurrence', 'relapse'];
+
+export interface IPSResources {
+  conditions?: FHIRCondition[];
+  allergyIntolerances?: FHIRAllergyIntolerance[];
+  medicationRequests?: FHIRMedicationRequest[];
+  observations?: FHIRObservation[];
+}
+
+interface SectionDefinition {
+  title: string;
+  code: string;
+  display: string;
+  required: boolean;
+  headers: string[];
+}
+
+const SECTIONS: Record<string, SectionDefinition> = {
+  problems: {
+    title: 'Problem List',
+    code: '11450-4',
+    display: 'Problem list - Reported',
+    required: true,
+    headers: ['Problem', 'Status', 'Onset'],
+  },
+  pastIllness: {
+    title: 'History of Past Illness',
+    code: '11348-0',
+    display: 'History of Past illness Narrative',
+    required: false,
+    headers: ['Problem', 'Status', 'Resolved'],
+  },
+  allergies: {
+    title: 'Allergies and Intolerances',
+    code: '48765-2',
+    display: 'Allergies and adverse reactions Document',
+    required: true,
+    headers: ['Substance', 'Criticality', 'Reaction'],
+  },
+  medications: {
+    title: 'Medication Summary',
+    code: '10160-0',
+    display: 'History of Medication use Narrative',
+    required: true,
+    headers: ['Medication', 'Status', 'Dosage'],
+  },
+  results: {
+    title: 'Results',
+    code: '30954-2',
+    display: 'Relevant diagnostic tests/laboratory data Narrative',
+    required: false,
+    headers: ['Test', 'Result', 'Date'],
+  },
+  vitalSigns: {
+    title: 'Vital Signs',
+    code: '8716-3',
+    display: 'Vital signs',
+    required: false,
+    headers: ['Measurement', 'Value', 'Date'],
+  },
+};
+
+/**
+ * Create an IPS document Bundle for a patient
+ * @param patient - The FHIR Patient the summary is about
+ * @param resources - The patient's clinical resources
+ * @param baseUrl - FHIR base URL used for entry fullUrls
+ */
+export function createIPSDocumentBundle(
+  patient: FHIRPatient,
+  resources: IPSResources,
+  baseUrl: string
+): FHIRBundle {
+  const now = new Date().toISOString();
+  const conditions = resources.conditions || [];
+  const observations = resources.observations || [];
+
+  const activeConditions = conditions.filter(c => ACTIVE_CONDITION_STATUSES.includes(codeOf(c.clinicalStatus) || 'active'));
+  const pastConditions = conditions.filter(c => !activeConditions.includes(c));
+  const vitalSigns = observations.filter(o => o.category?.some(c => codeOf(c) === 'vital-signs'));
+  const results = observations.filter(o => !vitalSigns.includes(o));
+
+  const sections = [
+    createSection(SECTIONS.problems, activeConditions, c => [
+      conceptText(c.code),
+      codeOf(c.clinicalStatus) || '',
+      formatDate(c.onsetDateTime),
+    ]),
+    createSection(SECTIONS.pastIllness, pastConditions, c => [
+      conceptText(c.code),
+      codeOf(c.clinicalStatus) || '',
+      formatDate(c.abatementDateTime),
+    ]),
+    createSection(SECTIONS.allergies, resources.allergyIntolerances || [], a => [
+      conceptText(a.code),
+      a.criticality || '',
+      a.reaction?.flatMap(r => r.manifestation.map(m => conceptText(m))).join(', ') || '',
+    ]),
+    createSection(SECTIONS.medications, resources.medicationRequests || [], m => [
+      conceptText(m.medicationCodeableConcept) || m.medicationReference?.display || '',
+      m.status,
+      m.dosageInstruction?.map(d => d.text).filter(Boolean).join('; ') || '',
+    ]),
+    createSection(SECTIONS.results, results, o => [
+      conceptText(o.code),
+      formatObservationValue(o),
+      formatDate(o.effectiveDateTime),
+    ]),
+    createSection(SECTIONS.vitalSigns, vitalSigns, o => [
+      conceptText(o.code),
+      formatObservationValue(o),
+      formatDate(o.effectiveDateTime),
+    ]),
+  ].filter((section): section is CompositionSection => section !== null);
+
+  const patientName = patient.name?.[0]?.text ||
+    [patient.name?.[0]?.given?.join(' '), patient.name?.[0]?.family].filter(Boolean).join(' ') ||
+    `Patient/${patient.id}`;
+
+  const compositionId = randomUUID();
+  const composition: FHIRComposition = {
+    resourceType: 'Composition',
+    id: compositionId,
+    meta: {
+      profile: [IPS_COMPOSITION_PROFILE],
+    },
+    text: {
+      status: 'generated',
+      div: `<div xmlns="${XHTML_NAMESPACE}"><h1>International Patient Summary</h1><p>${escapeXhtml(patientName)}, generated ${escapeXhtml(formatDate(now))}</p></div>`,
+    },
+    identifier: {
+      system: 'urn:ietf:rfc:3986',
+      value: `urn:uuid:${compositionId}`,
+    },
+    status: 'final',
+    type: createLoincConcept('60591-5', 'Patient summary Document'),
+    subject: {
+      reference: `Patient/${patient.id}`,
+      display: patientName,
+    },
+    date: now,
+    // The wallet holder assembles and shares their own summary
+    author: [
+      {
+        reference: `Patient/${patient.id}`,
+        display: patientName,
+      },
+    ],
+    title: `International Patient Summary - ${patientName}`,
+    confidentiality: 'N',
+    event: [
+      {
+        code: [
+          {
+            coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ActClass', code: 'PCPR' }],
+          },
+        ],
+        period: { end: now },
+      },
+    ],
+    section: sections,
+  };
+
+  const clinicalResources: Resource[] = [
+    ...conditions,
+    ...(resources.allergyIntolerances || []),
+    ...(resources.medicationRequests || []),
+    ...observations,
+  ];
+
+  const entries: BundleEntry[] = [
+    { fullUrl: `urn:uuid:${compositionId}`, resource: composition },
+    { fullUrl: `${baseUrl}/Patient/${patient.id}`, resource: patient },
+    ...clinicalResources.map(resource => ({
+      fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+      resource,
+    })),
+  ];
+
+  return {
+    resourceType: 'Bundle',
+    id: randomUUID(),
+    meta: {
+      profile: [IPS_BUNDLE_PROFILE],
+    },
+    identifier: {
+      system: 'urn:ietf:rfc:3986',
+      value: `urn:uuid:${randomUUID()}`,
+    },
+    type: 'document',
+    timestamp: now,
+    entry: entries,
+  };
+}
+
+/**
+ * Build a Composition section with a narrative table and entry references.
+ * Empty required sections carry an emptyReason; empty optional ones are omitted.
+ */
+function createSection<T extends Resource>(
+  definition: SectionDefinition,
+  resources: T[],
+  toRow: (resource: T) => string[]
+): CompositionSection | null {
+  if (resources.length === 0 && !definition.required) {
+    return null;
+  }
+
+  const section: CompositionSection = {
+    title: definition.title,
+    code: createLoincConcept(definition.code, definition.display),
+  };
+
+  if (resources.length === 0) {
+    section.text = {
+      status: 'generated',
+      div: `<div xmlns="${XHTML_NAMESPACE}"><p>No information available</p></div>`,
+    };
+    section.emptyReason = {
+      coding: [{ system: LIST_EMPTY_REASON_SYSTEM, code: 'unavailable', display: 'Unavailable' }],
+    };
+    return section;
+  }
+
+  section.text = {
+    status: 'generated',
+    div: createNarrativeTable(definition.headers, resources.map(toRow)),
+  };
+  section.entry = resources.map(resource => ({
+    reference: `${resource.resourceType}/${resource.id}`,
+  }));
+
+  return section;
+}
+
+function createNarrativeTable(headers: string[], rows: string[][]): string {
+  const head = headers.map(h => `<th>${escapeXhtml(h)}</th>`).join('');
+  const body = rows
+    .map(row => `<tr>${row.map(cell => `<td>${escapeXhtml(cell)}</td>`).join('')}</tr>`)
+    .join('');
+
+  return `<div xmlns="${XHTML_NAMESPACE}"><table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table></div>`;
+}
+
+function createLoincConcept(code: string, display: string): CodeableConcept {
+  return {
+    coding: [{ system: LOINC_SYSTEM, code, display }],
+  };
+}
+
+function codeOf(concept?: CodeableConcept): string | undefined {
+  return concept?.coding?.find(c => c.code)?.code;
+}
+
+function conceptText(concept?: CodeableConcept): string {
+  return concept?.text || concept?.coding?.find(c => c.display)?.display || codeOf(concept) || '';
+}
+
+function formatObservationValue(observation: FHIRObservation): string {
+  if (observation.valueQuantity) {
+    return [observation.valueQuantity.value, observation.valueQuantity.unit].filter(v => v !== undefined).join(' ');
+  }
+
+  if (observation.component?.length) {
+    return observation.component
+      .map(c => [c.valueQuantity?.value, c.valueQuantity?.unit].filter(v => v !== undefined).join(' '))
+      .join(' / ');
+  }
+
+  return observation.valueString || conceptText(observation.valueCodeableConcept);
+}
+
+function formatDate(value?: string): string {
+  return value ? value.slice(0, 10) : '';
+}
+
+function escapeXhtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
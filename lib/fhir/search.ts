@@ -0,0 +1,1087 @@
+/**
+ * FHIR Search Engine
+ *
+ * Turns FHIR search query parameters into Prisma queries for every resource
+ * route, and describes the supported parameters for the capability statement.
+ *
+ * Supported:
+ * - string (default starts-with, `:exact`, `:contains`), token (`system|code`, `:not`),
+ *   date and number/quantity (prefixes eq, ne, gt, ge, lt, le, sa, eb), reference
+ * - `:missing` on every parameter
+ * - comma-separated values (OR) and repeated parameters (AND)
+ * - chained parameters on references (e.g. `subject:Patient.name=Doe`)
+ * - `_id`, `_lastUpdated`, `_count`, `_offset`, `_sort`, `_include`, `_revinclude`
+ *
+ * Filters only use operators SQLite supports (no `mode: 'insensitive'`); SQLite
+ * LIKE is already case-insensitive for ASCII, so starts-with/contains match any case.
+ */
+
+import {
+  patientToFHIR,
+  visitToFHIREncounter,
+  observationToFHIR,
+  conditionToFHIR,
+  medicationRequestToFHIR,
+  allergyIntoleranceToFHIR,
+  consentToFHIR,
+  providerToFHIRPractitioner,
+} from './converters';
+import {
+  BundleEntry,
+  FHIRBundle,
+  FHIROperationOutcome,
+  OperationOutcomeIssue,
+  Resource,
+} from './types';
+
+export type SearchParamType = 'string' | 'token' | 'date' | 'reference' | 'number' | 'quantity';
+
+export interface SearchParamDefinition {
+  type: SearchParamType;
+  documentation: string;
+  /** Prisma column the parameter filters on */
+  field?: string;
+  /** String parameters spanning several columns (matched with OR) */
+  fields?: string[];
+  /** Token parameters: column holding the code system */
+  systemField?: string;
+  /** Quantity parameters: column holding the unit */
+  unitField?: string;
+  /** Date parameters stored as `YYYY-MM-DD` strings rather than DateTime */
+  dateStoredAsString?: boolean;
+  /** Default string matching when no modifier is given (FHIR default is starts-with) */
+  match?: 'startsWith' | 'contains';
+  /** Reference parameters: target resource type */
+  target?: string;
+  /** Reference parameters: Prisma relation used for chained searches */
+  relation?: string;
+  /** Token parameters: expand a code to the stored values it matches */
+  tokenValues?: (code: string) => string[];
+  /** Custom filter for parameters that don't map onto a single column */
+  build?: (value: string) => any;
+}
+
+export interface ResourceSearchDefinition {
+  model: string;
+  toFHIR: (record: any, baseUrl: string) => Resource;
+  defaultSort: Record<string, 'asc' | 'desc'>;
+  params: Record<string, SearchParamDefinition>;
+}
+
+export interface SearchResult {
+  status: number;
+  body: FHIRBundle | FHIROperationOutcome;
+}
+
+export interface SearchOptions {
+  /** Ignore unknown parameters instead of rejecting them (Prefer: handling=lenient) */
+  lenient?: boolean;
+  /** Extra filter per resource type (e.g. consent enforcement), applied to matches and includes */
+  restrict?: (resourceType: string) => Promise<Record<string, any> | null>;
+}
+
+export interface ParsedSearch {
+  where: any;
+  orderBy: Record<string, 'asc' | 'desc'>[];
+  take: number;
+  skip: number;
+  include: { field: string; target: string }[];
+  revinclude: { source: string; field: string }[];
+  issues: OperationOutcomeIssue[];
+}
+
+type QueryValue = string | string[] | undefined;
+
+const DEFAULT_COUNT = 20;
+const MAX_COUNT = 100;
+
+// Result parameters handled by the engine itself, and ones accepted but ignored
+const RESULT_PARAMS = ['_count', '_offset', '_sort', '_include', '_revinclude'];
+const IGNORED_PARAMS = ['_format', '_pretty'];
+
+const DATE_PREFIXES = ['eq', 'ne', 'gt', 'lt', 'ge', 'le', 'sa', 'eb'];
+
+const commonParams = (): Record<string, SearchParamDefinition> => ({
+  _id: {
+    type: 'token',
+    field: 'id',
+    documentation: 'Search by logical id',
+  },
+  _lastUpdated: {
+    type: 'date',
+    field: 'updatedAt',
+    documentation: 'Search by last updated date',
+  },
+});
+
+const patientReference = (documentation: string): SearchParamDefinition => ({
+  type: 'reference',
+  field: 'patientId',
+  target: 'Patient',
+  relation: 'patient',
+  documentation,
+});
+
+const encounterReference = (): SearchParamDefinition => ({
+  type: 'reference',
+  field: 'visitId',
+  target: 'Encounter',
+  relation: 'visit',
+  documentation: 'Search by encounter reference',
+});
+
+/**
+ * Search parameters supported by each resource type
+ */
+export const searchDefinitions: Record<string, ResourceSearchDefinition> = {
+  Patient: {
+    model: 'patient',
+    toFHIR: (record, baseUrl) => patientToFHIR(record, baseUrl),
+    defaultSort: { createdAt: 'desc' },
+    params: {
+      ...commonParams(),
+      name: {
+        type: 'string',
+        field: 'name',
+        // Names are stored as one string, so any part of it may match
+        match: 'contains',
+        documentation: 'Search by any part of the patient name',
+      },
+      family: {
+        type: 'string',
+        field: 'name',
+        match: 'contains',
+        documentation: 'Search by family name',
+      },
+      given: {
+        type: 'string',
+        field: 'name',
+        match: 'contains',
+        documentation: 'Search by given name',
+      },
+      birthdate: {
+        type: 'date',
+        field: 'dob',
+        dateStoredAsString: true,
+        documentation: 'Search by birth date (supports prefixes, e.g. ge1990-01-01)',
+      },
+      gender: {
+        type: 'token',
+        field: 'gender',
+        tokenValues: code => [code, code.charAt(0).toUpperCase() + code.slice(1)],
+        documentation: 'Search by gender (male, female, other, unknown)',
+      },
+      identifier: {
+        type: 'token',
+        build: value => {
+          const { code } = splitToken(value);
+          return { OR: [{ patientId: code }, { id: code }] };
+        },
+        documentation: 'Search by patient identifier',
+      },
+      phone: {
+        type: 'string',
+        field: 'phone',
+        documentation: 'Search by phone number',
+      },
+      email: {
+        type: 'string',
+        field: 'email',
+        documentation: 'Search by email address',
+      },
+      address: {
+        type: 'string',
+        field: 'address',
+        match: 'contains',
+        documentation: 'Search by any part of the address',
+      },
+    },
+  },
+  Encounter: {
+    model: 'visit',
+    toFHIR: record => visitToFHIREncounter(record),
+    defaultSort: { date: 'desc' },
+    params: {
+      ...commonParams(),
+      patient: patientReference('Search by patient reference'),
+      subject: patientReference('Search by subject (patient) reference'),
+      date: {
+        type: 'date',
+        field: 'date',
+        documentation: 'Search by encounter date (supports prefixes)',
+      },
+    },
+  },
+  Observation: {
+    model: 'observation',
+    toFHIR: record => observationToFHIR(record),
+    defaultSort: { effectiveDate: 'desc' },
+    params: {
+      ...commonParams(),
+      patient: patientReference('Search by patient reference'),
+      subject: patientReference('Search by subject (patient) reference'),
+      encounter: encounterReference(),
+      code: {
+        type: 'token',
+        field: 'code',
+        systemField: 'codeSystem',
+        documentation: 'Search by observation code (LOINC)',
+      },
+      category: {
+        type: 'token',
+        field: 'category',
+        documentation: 'Search by category (vital-signs, laboratory, ...)',
+      },
+      status: {
+        type: 'token',
+        field: 'status',
+        documentation: 'Search by observation status',
+      },
+      date: {
+        type: 'date',
+        field: 'effectiveDate',
+        documentation: 'Search by effective date (supports prefixes)',
+      },
+      'value-quantity': {
+        type: 'quantity',
+        field: 'valueQuantity',
+        unitField: 'valueUnit',
+        documentation: 'Search by numeric value (supports prefixes)',
+      },
+      'value-string': {
+        type: 'string',
+        field: 'valueString',
+        documentation: 'Search by string value',
+      },
+    },
+  },
+  Condition: {
+    model: 'condition',
+    toFHIR: record => conditionToFHIR(record),
+    defaultSort: { recordedDate: 'desc' },
+    params: {
+      ...commonParams(),
+      patient: patientReference('Search by patient reference'),
+      subject: patientReference('Search by subject (patient) reference'),
+      encounter: encounterReference(),
+      code: {
+        type: 'token',
+        field: 'code',
+        systemField: 'codeSystem',
+        documentation: 'Search by condition code (SNOMED CT)',
+      },
+      'clinical-status': {
+        type: 'token',
+        field: 'clinicalStatus',
+        documentation: 'Search by clinical status',
+      },
+      'verification-status': {
+        type: 'token',
+        field: 'verificationStatus',
+        documentation: 'Search by verification status',
+      },
+      category: {
+        type: 'token',
+        field: 'category',
+        documentation: 'Search by condition category',
+      },
+      'onset-date': {
+        type: 'date',
+        field: 'onsetDate',
+        documentation: 'Search by onset date (supports prefixes)',
+      },
+      'abatement-date': {
+        type: 'date',
+        field: 'abatementDate',
+        documentation: 'Search by abatement date (supports prefixes)',
+      },
+      'recorded-date': {
+        type: 'date',
+        field: 'recordedDate',
+        documentation: 'Search by recorded date (supports prefixes)',
+      },
+    },
+  },
+  MedicationRequest: {
+    model: 'medicationRequest',
+    toFHIR: record => medicationRequestToFHIR(record),
+    defaultSort: { authoredOn: 'desc' },
+    params: {
+      ...commonParams(),
+      patient: patientReference('Search by patient reference'),
+      subject: patientReference('Search by subject (patient) reference'),
+      encounter: encounterReference(),
+      requester: {
+        type: 'reference',
+        field: 'providerId',
+        target: 'Practitioner',
+        relation: 'provider',
+        documentation: 'Search by requesting practitioner',
+      },
+      code: {
+        type: 'token',
+        field: 'medicationCode',
+        systemField: 'medicationSystem',
+        documentation: 'Search by medication code (RxNorm)',
+      },
+      status: {
+        type: 'token',
+        field: 'status',
+        documentation: 'Search by medication request status',
+      },
+      intent: {
+        type: 'token',
+        field: 'intent',
+        documentation: 'Search by medication request intent',
+      },
+      authoredon: {
+        type: 'date',
+        field: 'authoredOn',
+        documentation: 'Search by authored date (supports prefixes)',
+      },
+    },
+  },
+  AllergyIntolerance: {
+    model: 'allergyIntolerance',
+    toFHIR: record => allergyIntoleranceToFHIR(record),
+    defaultSort: { recordedDate: 'desc' },
+    params: {
+      ...commonParams(),
+      patient: patientReference('Search by patient reference'),
+      code: {
+        type: 'token',
+        field: 'code',
+        systemField: 'codeSystem',
+        documentation: 'Search by substance code',
+      },
+      'clinical-status': {
+        type: 'token',
+        field: 'clinicalStatus',
+        documentation: 'Search by clinical status',
+      },
+      'verification-status': {
+        type: 'token',
+        field: 'verificationStatus',
+        documentation: 'Search by verification status',
+      },
+      criticality: {
+        type: 'token',
+        field: 'criticality',
+        documentation: 'Search by criticality',
+      },
+      type: {
+        type: 'token',
+        field: 'type',
+        documentation: 'Search by type (allergy, intolerance)',
+      },
+      category: {
+        type: 'token',
+        // Categories are stored comma-separated
+        build: value => ({ category: { contains: splitToken(value).code } }),
+        documentation: 'Search by category (food, medication, environment, biologic)',
+      },
+      date: {
+        type: 'date',
+        field: 'recordedDate',
+        documentation: 'Search by recorded date (supports prefixes)',
+      },
+      onset: {
+        type: 'date',
+        field: 'onsetDate',
+        documentation: 'Search by onset date (supports prefixes)',
+      },
+    },
+  },
+  Consent: {
+    model: 'consent',
+    toFHIR: record => consentToFHIR(record),
+    defaultSort: { createdAt: 'desc' },
+    params: {
+      ...commonParams(),
+      patient: patientReference('Search by patient reference'),
+      status: {
+        type: 'token',
+        field: 'status',
+        documentation: 'Search by status (draft, active, inactive, rejected)',
+      },
+      actor: {
+        type: 'reference',
+        field: 'actor',
+        // Wallet actors are stored lowercased
+        build: value => ({ actor: /^0x[0-9a-fA-F]{40}$/.test(value) ? value.toLowerCase() : value }),
+        documentation: 'Search by recipient (Practitioner reference or wallet address)',
+      },
+      purpose: {
+        type: 'token',
+        // Purposes are stored comma-separated
+        build: value => ({ purposes: { contains: splitToken(value).code } }),
+        documentation: 'Search by purpose of use (v3-ActReason code)',
+      },
+      category: {
+        type: 'token',
+        build: value => ({ categories: { contains: splitToken(value).code } }),
+        documentation: 'Search by covered resource type',
+      },
+      period: {
+        type: 'date',
+        field: 'periodStart',
+        documentation: 'Search by the start of the provision period (supports prefixes)',
+      },
+    },
+  },
+  // Include target only (MedicationRequest:requester)
+  Practitioner: {
+    model: 'provider',
+    toFHIR: record => providerToFHIRPractitioner(record),
+    defaultSort: { createdAt: 'desc' },
+    params: {
+      ...commonParams(),
+      name: {
+        type: 'string',
+        field: 'name',
+        match: 'contains',
+        documentation: 'Search by practitioner name',
+      },
+    },
+  },
+};
+
+/**
+ * Run a FHIR search and build the searchset Bundle
+ * @param prisma - Prisma client
+ * @param resourceType - Resource type being searched
+ * @param query - Parsed query string (e.g. `req.query`)
+ * @param baseUrl - FHIR base URL for fullUrls and paging links
+ */
+export async function searchResources(
+  prisma: any,
+  resourceType: string,
+  query: Record<string, QueryValue>,
+  baseUrl: string,
+  options: SearchOptions = {}
+): Promise<SearchResult> {
+  const definition = searchDefinitions[resourceType];
+  const search = parseSearchParameters(resourceType, query, options);
+
+  if (search.issues.some(issue => issue.severity === 'error')) {
+    return {
+      status: 400,
+      body: { resourceType: 'OperationOutcome', issue: search.issues },
+    };
+  }
+
+  const where = await restrictWhere(search.where, resourceType, options);
+
+  const model = prisma[definition.model];
+  const [records, total] = await Promise.all([
+    model.findMany({
+      where,
+      orderBy: search.orderBy,
+      take: search.take,
+      skip: search.skip,
+    }),
+    model.count({ where }),
+  ]);
+
+  const entries: BundleEntry[] = records.map((record: any) =>
+    createSearchEntry(definition.toFHIR(record, baseUrl), baseUrl, 'match')
+  );
+
+  const includedEntries = await fetchIncludes(prisma, records, search, resourceType, baseUrl, options);
+  const seen = new Set(entries.map(entry => entry.fullUrl));
+  for (const entry of includedEntries) {
+    if (!seen.has(entry.fullUrl)) {
+      seen.add(entry.fullUrl);
+      entries.push(entry);
+    }
+  }
+
+  if (search.issues.length > 0) {
+    entries.push({
+      resource: { resourceType: 'OperationOutcome', issue: search.issues } as FHIROperationOutcome,
+      search: { mode: 'outcome' },
+    });
+  }
+
+  const bundle: FHIRBundle = {
+    resourceType: 'Bundle',
+    type: 'searchset',
+    total,
+    timestamp: new Date().toISOString(),
+    link: createPagingLinks(`${baseUrl}/${resourceType}`, query, search.skip, search.take, total),
+    entry: entries,
+  };
+
+  return { status: 200, body: bundle };
+}
+
+/**
+ * Read search options from request headers (`Prefer: handling=lenient|strict`)
+ */
+export function getSearchOptions(headers: Record<string, string | string[] | undefined>): SearchOptions {
+  const prefer = headers.prefer;
+  const values = Array.isArray(prefer) ? prefer : [prefer || ''];
+  return {
+    lenient: values.some(value => /handling\s*=\s*lenient/i.test(value)),
+  };
+}
+
+/**
+ * Translate FHIR search parameters into a Prisma query.
+ * Problems are reported as OperationOutcome issues rather than thrown.
+ */
+export function parseSearchParameters(
+  resourceType: string,
+  query: Record<string, QueryValue>,
+  options: SearchOptions = {}
+): ParsedSearch {
+  const definition = searchDefinitions[resourceType];
+  const issues: OperationOutcomeIssue[] = [];
+  const clauses: any[] = [];
+  const parsed: ParsedSearch = {
+    where: {},
+    orderBy: [],
+    take: DEFAULT_COUNT,
+    skip: 0,
+    include: [],
+    revinclude: [],
+    issues,
+  };
+
+  if (!definition) {
+    issues.push(createIssue('error', 'not-supported', `Search is not supported for ${resourceType}`));
+    return parsed;
+  }
+
+  for (const [key, rawValue] of Object.entries(query)) {
+    if (rawValue === undefined) continue;
+    const values = Array.isArray(rawValue) ? rawValue : [rawValue];
+
+    if (IGNORED_PARAMS.includes(key)) continue;
+
+    if (RESULT_PARAMS.includes(key)) {
+      applyResultParameter(resourceType, key, values, parsed);
+      continue;
+    }
+
+    try {
+      for (const value of values) {
+        clauses.push(buildParameterClause(resourceType, key, value));
+      }
+    } catch (error: any) {
+      if (error instanceof SearchParameterError && error.unknown && options.lenient) {
+        issues.push(createIssue('warning', 'not-supported', `${error.message} (ignored)`));
+      } else {
+        issues.push(createIssue('error', error.unknown ? 'not-supported' : 'invalid', error.message));
+      }
+    }
+  }
+
+  parsed.where = clauses.length === 1 ? clauses[0] : clauses.length > 1 ? { AND: clauses } : {};
+
+  if (parsed.orderBy.length === 0) {
+    parsed.orderBy = [definition.defaultSort];
+  }
+
+  return parsed;
+}
+
+/**
+ * Build the CapabilityStatement `searchParam` list for a resource type
+ */
+export function getCapabilitySearchParams(resourceType: string) {
+  const definition = searchDefinitions[resourceType];
+  if (!definition) return [];
+
+  return Object.entries(definition.params).map(([name, param]) => ({
+    name,
+    type: param.type,
+    documentation: param.documentation,
+  }));
+}
+
+/**
+ * Build the CapabilityStatement `searchInclude` list (e.g. Observation:patient)
+ */
+export function getCapabilitySearchIncludes(resourceType: string): string[] {
+  const definition = searchDefinitions[resourceType];
+  if (!definition) return [];
+
+  return Object.entries(definition.params)
+    .filter(([, param]) => param.type === 'reference' && param.target && searchDefinitions[param.target])
+    .map(([name]) => `${resourceType}:${name}`);
+}
+
+/**
+ * Build the CapabilityStatement `searchRevInclude` list (e.g. Observation:patient on Patient)
+ */
+export function getCapabilitySearchRevIncludes(resourceType: string): string[] {
+  return Object.keys(searchDefinitions).flatMap(source =>
+    getCapabilitySearchIncludes(source).filter(include => {
+      const name = include.split(':')[1];
+      return searchDefinitions[source].params[name].target === resourceType;
+    })
+  );
+}
+
+/**
+ * Error raised for an unsupported or malformed search parameter
+ */
+class SearchParameterError extends Error {
+  unknown: boolean;
+
+  constructor(message: string, unknown = false) {
+    super(message);
+    this.unknown = unknown;
+  }
+}
+
+/**
+ * Build the Prisma filter for one `name[:modifier][.chain]=value` pair
+ */
+function buildParameterClause(resourceType: string, key: string, value: string): any {
+  const definition = searchDefinitions[resourceType];
+  const chainIndex = key.indexOf('.');
+  const paramKey = chainIndex === -1 ? key : key.slice(0, chainIndex);
+  const [name, modifier] = paramKey.split(':');
+  const param = definition.params[name];
+
+  if (!param) {
+    throw new SearchParameterError(`Unknown search parameter '${name}' for ${resourceType}`, true);
+  }
+
+  if (chainIndex !== -1) {
+    return buildChainedClause(param, name, modifier, key.slice(chainIndex + 1), value);
+  }
+
+  if (modifier === 'missing') {
+    if (value !== 'true' && value !== 'false') {
+      throw new SearchParameterError(`Invalid value for ${name}:missing: ${value}`);
+    }
+    const missing = param.field ? { [param.field]: null } : null;
+    if (!missing) {
+      throw new SearchParameterError(`Modifier :missing is not supported for ${name}`);
+    }
+    return value === 'true' ? missing : { NOT: missing };
+  }
+
+  const clauses = splitValues(value).map(v => buildValueClause(param, name, modifier, v));
+  const clause = clauses.length === 1 ? clauses[0] : { OR: clauses };
+
+  return modifier === 'not' ? { NOT: clause } : clause;
+}
+
+/**
+ * Chained search: filter on a parameter of the referenced resource
+ */
+function buildChainedClause(
+  param: SearchParamDefinition,
+  name: string,
+  modifier: string | undefined,
+  chain: string,
+  value: string
+): any {
+  if (param.type !== 'reference' || !param.relation || !param.target) {
+    throw new SearchParameterError(`Parameter '${name}' does not support chaining`);
+  }
+
+  if (modifier && modifier !== param.target) {
+    throw new SearchParameterError(`Parameter '${name}' does not reference ${modifier}`);
+  }
+
+  if (!searchDefinitions[param.target] || chain.includes('.')) {
+    throw new SearchParameterError(`Unsupported chained search: ${name}.${chain}`);
+  }
+
+  return { [param.relation]: { is: buildParameterClause(param.target, chain, value) } };
+}
+
+function buildValueClause(
+  param: SearchParamDefinition,
+  name: string,
+  modifier: string | undefined,
+  value: string
+): any {
+  if (param.build) {
+    if (modifier && modifier !== 'not') {
+      throw new SearchParameterError(`Modifier :${modifier} is not supported for ${name}`);
+    }
+    return param.build(value);
+  }
+
+  switch (param.type) {
+    case 'string':
+      return buildStringClause(param, name, modifier, value);
+    case 'token':
+      return buildTokenClause(param, name, modifier, value);
+    case 'date':
+      assertNoModifier(name, modifier);
+      return buildDateClause(param, name, value);
+    case 'number':
+    case 'quantity':
+      assertNoModifier(name, modifier);
+      return buildNumberClause(param, name, value);
+    case 'reference':
+      return buildReferenceClause(param, name, modifier, value);
+    default:
+      throw new SearchParameterError(`Unsupported parameter type for ${name}`);
+  }
+}
+
+function buildStringClause(
+  param: SearchParamDefinition,
+  name: string,
+  modifier: string | undefined,
+  value: string
+): any {
+  let operator: string;
+  switch (modifier) {
+    case undefined:
+      operator = param.match || 'startsWith';
+      break;
+    case 'exact':
+      operator = 'equals';
+      break;
+    case 'contains':
+      operator = 'contains';
+      break;
+    default:
+      throw new SearchParameterError(`Modifier :${modifier} is not supported for ${name}`);
+  }
+
+  const fields = param.fields || [param.field!];
+  const clauses = fields.map(field => ({ [field]: { [operator]: value } }));
+  return clauses.length === 1 ? clauses[0] : { OR: clauses };
+}
+
+function buildTokenClause(
+  param: SearchParamDefinition,
+  name: string,
+  modifier: string | undefined,
+  value: string
+): any {
+  if (modifier && modifier !== 'not') {
+    throw new SearchParameterError(`Modifier :${modifier} is not supported for ${name}`);
+  }
+
+  const { system, code } = splitToken(value);
+  const field = param.field!;
+  const codeFilter = param.tokenValues ? { in: param.tokenValues(code) } : code;
+
+  if (!param.systemField) {
+    return { [field]: codeFilter };
+  }
+
+  // "system|" matches any code in the system, "|code" matches codes without a system
+  if (system === undefined) return { [field]: codeFilter };
+  if (!code) return { [param.systemField]: system };
+  return { [param.systemField]: system || null, [field]: codeFilter };
+}
+
+function buildDateClause(param: SearchParamDefinition, name: string, value: string): any {
+  const { prefix, rest } = splitPrefix(value);
+  const range = getDateRange(rest);
+  if (!range) {
+    throw new SearchParameterError(`Invalid date for ${name}: ${value}`);
+  }
+
+  const field = param.field!;
+  const start = param.dateStoredAsString ? range.start.toISOString().slice(0, 10) : range.start;
+  const end = param.dateStoredAsString ? range.end.toISOString().slice(0, 10) : range.end;
+
+  switch (prefix) {
+    case 'eq':
+      return { [field]: { gte: start, lt: end } };
+    case 'ne':
+      return { OR: [{ [field]: { lt: start } }, { [field]: { gte: end } }] };
+    case 'gt':
+    case 'sa':
+      return { [field]: { gte: end } };
+    case 'ge':
+      return { [field]: { gte: start } };
+    case 'lt':
+    case 'eb':
+      return { [field]: { lt: start } };
+    case 'le':
+      return { [field]: { lt: end } };
+  }
+}
+
+function buildNumberClause(param: SearchParamDefinition, name: string, value: string): any {
+  // Quantity values may carry "|system|unit"
+  const [numberPart, , unit] = value.split('|');
+  const { prefix, rest } = splitPrefix(numberPart);
+  const number = Number(rest);
+
+  if (rest === '' || isNaN(number)) {
+    throw new SearchParameterError(`Invalid number for ${name}: ${value}`);
+  }
+
+  const field = param.field!;
+  const operators: Record<string, any> = {
+    eq: { equals: number },
+    ne: { not: number },
+    gt: { gt: number },
+    sa: { gt: number },
+    ge: { gte: number },
+    lt: { lt: number },
+    eb: { lt: number },
+    le: { lte: number },
+  };
+
+  const clause: any = { [field]: operators[prefix] };
+  if (unit && param.unitField) {
+    clause[param.unitField] = unit;
+  }
+  return clause;
+}
+
+function buildReferenceClause(
+  param: SearchParamDefinition,
+  name: string,
+  modifier: string | undefined,
+  value: string
+): any {
+  if (modifier && modifier !== param.target) {
+    throw new SearchParameterError(`Parameter '${name}' does not reference ${modifier}`);
+  }
+
+  // Accept "123", "Patient/123" and absolute URLs ending in "Patient/123"
+  const segments = value.split('/').filter(Boolean);
+  const id = segments[segments.length - 1];
+  const type = segments.length > 1 ? segments[segments.length - 2] : param.target;
+
+  if (!id || type !== param.target) {
+    throw new SearchParameterError(`Invalid reference for ${name}: ${value}`);
+  }
+
+  return { [param.field!]: id };
+}
+
+function applyResultParameter(
+  resourceType: string,
+  key: string,
+  values: string[],
+  parsed: ParsedSearch
+) {
+  const definition = searchDefinitions[resourceType];
+  const value = values[values.length - 1];
+
+  switch (key) {
+    case '_count':
+    case '_offset': {
+      const number = parseInt(value, 10);
+      if (isNaN(number) || number < 0) {
+        parsed.issues.push(createIssue('error', 'invalid', `Invalid ${key}: ${value}`));
+      } else if (key === '_count') {
+        parsed.take = Math.min(number, MAX_COUNT);
+      } else {
+        parsed.skip = number;
+      }
+      return;
+    }
+    case '_sort':
+      for (const sortKey of value.split(',')) {
+        const descending = sortKey.startsWith('-');
+        const name = descending ? sortKey.slice(1) : sortKey;
+        const param = definition.params[name];
+        if (!param?.field) {
+          parsed.issues.push(createIssue('error', 'not-supported', `Unsupported _sort parameter: ${name}`));
+          continue;
+        }
+        parsed.orderBy.push({ [param.field]: descending ? 'desc' : 'asc' });
+      }
+      return;
+    case '_include':
+      for (const include of values) {
+        const [source, name, target] = include.split(':');
+        const param = definition.params[name];
+        if (
+          source !== resourceType ||
+          param?.type !== 'reference' ||
+          !param.target ||
+          !searchDefinitions[param.target] ||
+          (target && target !== param.target)
+        ) {
+          parsed.issues.push(createIssue('error', 'not-supported', `Unsupported _include: ${include}`));
+          continue;
+        }
+        parsed.include.push({ field: param.field!, target: param.target });
+      }
+      return;
+    case '_revinclude':
+      for (const revinclude of values) {
+        const [source, name] = revinclude.split(':');
+        const param = searchDefinitions[source]?.params[name];
+        if (param?.type !== 'reference' || param.target !== resourceType) {
+          parsed.issues.push(createIssue('error', 'not-supported', `Unsupported _revinclude: ${revinclude}`));
+          continue;
+        }
+        parsed.revinclude.push({ source, field: param.field! });
+      }
+      return;
+  }
+}
+
+/**
+ * Fetch resources requested with _include and _revinclude
+ */
+async function fetchIncludes(
+  prisma: any,
+  records: any[],
+  search: ParsedSearch,
+  resourceType: string,
+  baseUrl: string,
+  options: SearchOptions
+): Promise<BundleEntry[]> {
+  const entries: BundleEntry[] = [];
+  if (records.length === 0) return entries;
+
+  for (const { field, target } of search.include) {
+    const ids = Array.from(new Set(records.map(record => record[field]).filter(Boolean)));
+    if (ids.length === 0) continue;
+
+    const targetDefinition = searchDefinitions[target];
+    const included = await prisma[targetDefinition.model].findMany({
+      where: await restrictWhere({ id: { in: ids } }, target, options),
+    });
+    entries.push(...included.map((record: any) =>
+      createSearchEntry(targetDefinition.toFHIR(record, baseUrl), baseUrl, 'include')
+    ));
+  }
+
+  const ids = records.map(record => record.id);
+  for (const { source, field } of search.revinclude) {
+    const sourceDefinition = searchDefinitions[source];
+    const included = await prisma[sourceDefinition.model].findMany({
+      where: await restrictWhere({ [field]: { in: ids } }, source, options),
+    });
+    entries.push(...included.map((record: any) =>
+      createSearchEntry(sourceDefinition.toFHIR(record, baseUrl), baseUrl, 'include')
+    ));
+  }
+
+  return entries;
+}
+
+async function restrictWhere(where: any, resourceType: string, options: SearchOptions) {
+  const restriction = await options.restrict?.(resourceType);
+  if (!restriction) return where;
+  return Object.keys(where).length > 0 ? { AND: [where, restriction] } : restriction;
+}
+
+function createSearchEntry(resource: Resource, baseUrl: string, mode: 'match' | 'include'): BundleEntry {
+  return {
+    fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+    resource,
+    search: { mode },
+  };
+}
+
+function createPagingLinks(
+  url: string,
+  query: Record<string, QueryValue>,
+  skip: number,
+  take: number,
+  total: number
+) {
+  const links = [{ relation: 'self', url: buildSearchUrl(url, query) }];
+
+  if (take > 0 && skip + take < total) {
+    links.push({ relation: 'next', url: buildSearchUrl(url, { ...query, _offset: String(skip + take) }) });
+  }
+
+  if (skip > 0) {
+    links.push({ relation: 'previous', url: buildSearchUrl(url, { ...query, _offset: String(Math.max(0, skip - take)) }) });
+  }
+
+  return links;
+}
+
+function buildSearchUrl(baseUrl: string, params: Record<string, QueryValue>): string {
+  const queryString = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .flatMap(([key, value]) => (Array.isArray(value) ? value : [value]).map(v => [key, v]))
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(String(value))}`)
+    .join('&');
+
+  return queryString ? `${baseUrl}?${queryString}` : baseUrl;
+}
+
+/**
+ * Split a parameter value on commas that aren't escaped with a backslash
+ */
+function splitValues(value: string): string[] {
+  return value
+    .split(/(?<!\\),/)
+    .map(v => v.replace(/\\,/g, ','))
+    .filter(v => v !== '');
+}
+
+function splitToken(value: string): { system?: string; code: string } {
+  const separator = value.indexOf('|');
+  if (separator === -1) {
+    return { code: value };
+  }
+  return { system: value.slice(0, separator), code: value.slice(separator + 1) };
+}
+
+function splitPrefix(value: string): { prefix: string; rest: string } {
+  const prefix = value.slice(0, 2);
+  if (DATE_PREFIXES.includes(prefix)) {
+    return { prefix, rest: value.slice(2) };
+  }
+  return { prefix: 'eq', rest: value };
+}
+
+function assertNoModifier(name: string, modifier?: string) {
+  if (modifier) {
+    throw new SearchParameterError(`Modifier :${modifier} is not supported for ${name}`);
+  }
+}
+
+/**
+ * Get the [start, end) range covered by a partial FHIR date
+ */
+function getDateRange(value: string): { start: Date; end: Date } | null {
+  if (!/^\d{4}(-\d{2}(-\d{2}(T.+)?)?)?$/.test(value)) {
+    return null;
+  }
+
+  if (value.includes('T')) {
+    const instant = new Date(value);
+    if (isNaN(instant.getTime())) return null;
+    return { start: instant, end: new Date(instant.getTime() + 1000) };
+  }
+
+  const [year, month, day] = value.split('-').map(Number);
+  let start: Date;
+  let end: Date;
+
+  if (day !== undefined) {
+    start = new Date(Date.UTC(year, month - 1, day));
+    end = new Date(Date.UTC(year, month - 1, day + 1));
+  } else if (month !== undefined) {
+    start = new Date(Date.UTC(year, month - 1, 1));
+    end = new Date(Date.UTC(year, month, 1));
+  } else {
+    start = new Date(Date.UTC(year, 0, 1));
+    end = new Date(Date.UTC(year + 1, 0, 1));
+  }
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) return null;
+  return { start, end };
+}
+
+function createIssue(
+  severity: OperationOutcomeIssue['severity'],
+  code: string,
+  message: string
+): OperationOutcomeIssue {
+  return {
+    severity,
+    code,
+    diagnostics: message,
+    details: { text: message },
+  };
+}
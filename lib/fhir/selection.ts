@@ -0,0 +1,72 @@
+/**
+ * Selective Disclosure of Bundle Contents
+ *
+ * Lets a patient share only some entries of a Bundle, and hide individual
+ * fields of the resources they do share (e.g. the address but not the
+ * birthDate). Entries are identified by `ResourceType/id`, so a selection made
+ * on the records loaded in the browser also applies to the same records in a
+ * Bundle built on the server.
+ */
+
+import { BundleEntry, FHIRBundle, Resource } from './types';
+
+export interface BundleSelection {
+  /** Keys (`ResourceType/id`) of the entries to share; all entries when omitted */
+  entries?: string[];
+  /** Top-level fields to leave out, per entry key */
+  hiddenFields?: Record<string, string[]>;
+}
+
+// Fields that identify a resource and are always shared
+export const REQUIRED_FIELDS = ['resourceType', 'id', 'meta'];
+
+/**
+ * Key identifying an entry's resource, e.g. `Patient/123`
+ */
+export function getEntryKey(entry: BundleEntry): string {
+  return `${entry.resource?.resourceType}/${entry.resource?.id}`;
+}
+
+/**
+ * Top-level fields of a resource that the patient may hide
+ */
+export function getDisclosableFields(resource: Resource): string[] {
+  return Object.keys(resource || {}).filter(field =>
+    !REQUIRED_FIELDS.includes(field) && (resource as any)[field] !== undefined
+  );
+}
+
+/**
+ * Check whether an entry is shared under a selection
+ */
+export function isEntrySelected(entry: BundleEntry, selection?: BundleSelection): boolean {
+  return !selection?.entries || selection.entries.includes(getEntryKey(entry));
+}
+
+/**
+ * Apply a selection to a Bundle: drop unselected entries and hidden fields
+ */
+export function applyBundleSelection(bundle: FHIRBundle, selection?: BundleSelection): FHIRBundle {
+  if (!selection) {
+    return bundle;
+  }
+
+  return {
+    ...bundle,
+    entry: (bundle.entry || [])
+      .filter(entry => isEntrySelected(entry, selection))
+      .map(entry => {
+        const hidden = selection.hiddenFields?.[getEntryKey(entry)] || [];
+        if (hidden.length === 0 || !entry.resource) {
+          return entry;
+        }
+
+        const resource = { ...entry.resource } as Record<string, any>;
+        hidden
+          .filter(field => !REQUIRED_FIELDS.includes(field))
+          .forEach(field => delete resource[field]);
+
+        return { ...entry, resource: resource as Resource };
+      }),
+  };
+}
@@ -0,0 +1,756 @@
+/**
+ * FHIR Transaction/Batch Bundle Processing
+ *
+ * Processes `transaction` and `batch` Bundles posted to the FHIR base URL.
+ * Transactions resolve `urn:uuid` references between entries and run inside a
+ * single Prisma transaction; batches process every entry independently.
+ * Entries may be conditional (`ifNoneExist`, `ifMatch`, `PUT Patient?identifier=...`)
+ * and every write is recorded in the resource version history. Reads and
+ * searches honour the patient's consents when a consent guard is passed.
+ */
+
+import { randomUUID } from 'crypto';
+import {
+  patientToFHIR,
+  fhirToPatient,
+  visitToFHIREncounter,
+  fhirEncounterToVisit,
+  observationToFHIR,
+  fhirToObservation,
+  conditionToFHIR,
+  fhirToCondition,
+  medicationRequestToFHIR,
+  fhirToMedicationRequest,
+  allergyIntoleranceToFHIR,
+  fhirToAllergyIntolerance,
+} from './converters';
+import {
+  validatePatient,
+  validateEncounter,
+  validateObservation,
+  validateCondition,
+  validateMedicationRequest,
+  validateAllergyIntolerance,
+  ValidationResult,
+} from './validation';
+import { searchResources } from './search';
+import { recordVersion, recordDeletion, findConditionalMatch, matchesVersion } from './history';
+import {
+  BundleEntry,
+  BundleEntryResponse,
+  FHIRBundle,
+  FHIROperationOutcome,
+  Resource,
+} from './types';
+import type { ConsentGuard } from './consent-guard';
+
+/**
+ * Result of processing a Bundle: the HTTP status for the whole request and
+ * either a response Bundle or an OperationOutcome describing the failure.
+ */
+export interface BundleProcessingResult {
+  status: number;
+  body: FHIRBundle | FHIROperationOutcome;
+}
+
+export interface BundleOptions {
+  /** Consent checks for GET entries (see `consent-guard.ts`) */
+  consent?: ConsentGuard;
+}
+
+interface ResourceHandler {
+  model: string;
+  validate: (resource: any) => ValidationResult;
+  toFHIR: (record: any, baseUrl: string) => Resource;
+  toData: (resource: any) => Record<string, any>;
+}
+
+/**
+ * Resource types that can be written through a Bundle, keyed by resourceType
+ */
+const resourceHandlers: Record<string, ResourceHandler> = {
+  Patient: {
+    model: 'patient',
+    validate: validatePatient,
+    toFHIR: (record, baseUrl) => patientToFHIR(record, baseUrl),
+    toData: resource => withoutId(fhirToPatient(resource)),
+  },
+  Encounter: {
+    model: 'visit',
+    validate: validateEncounter,
+    toFHIR: record => visitToFHIREncounter(record),
+    toData: resource => withoutId(fhirEncounterToVisit(resource)),
+  },
+  Observation: {
+    model: 'observation',
+    validate: validateObservation,
+    toFHIR: record => observationToFHIR(record),
+    toData: resource => withoutId(fhirToObservation(resource)),
+  },
+  Condition: {
+    model: 'condition',
+    validate: validateCondition,
+    toFHIR: record => conditionToFHIR(record),
+    toData: resource => withoutId(fhirToCondition(resource)),
+  },
+  MedicationRequest: {
+    model: 'medicationRequest',
+    validate: validateMedicationRequest,
+    toFHIR: record => medicationRequestToFHIR(record),
+    toData: resource => withoutId(fhirToMedicationRequest(resource)),
+  },
+  AllergyIntolerance: {
+    model: 'allergyIntolerance',
+    validate: validateAllergyIntolerance,
+    toFHIR: record => allergyIntoleranceToFHIR(record),
+    toData: resource => withoutId(fhirToAllergyIntolerance(resource)),
+  },
+};
+
+// Order in which transaction entries are processed (FHIR R4 3.1.0.11.2)
+const TRANSACTION_METHOD_ORDER: Record<string, number> = {
+  DELETE: 0,
+  POST: 1,
+  PUT: 2,
+  GET: 3,
+};
+
+// Referenced resources are written before the resources that point at them
+const RESOURCE_DEPENDENCY_ORDER: Record<string, number> = {
+  Patient: 0,
+  Encounter: 1,
+};
+
+const HTTP_STATUS_TEXT: Record<number, string> = {
+  200: 'OK',
+  201: 'Created',
+  204: 'No Content',
+  400: 'Bad Request',
+  403: 'Forbidden',
+  404: 'Not Found',
+  405: 'Method Not Allowed',
+  409: 'Conflict',
+  412: 'Precondition Failed',
+  500: 'Internal Server Error',
+};
+
+/**
+ * Error raised while processing a single Bundle entry
+ */
+class BundleEntryError extends Error {
+  status: number;
+
+  constructor(status: number, message: string) {
+    super(message);
+    this.status = status;
+  }
+}
+
+interface ParsedRequest {
+  method: string;
+  resourceType: string;
+  id?: string;
+  query: Record<string, string[]>;
+}
+
+/**
+ * Process a transaction or batch Bundle
+ * @param prisma - Prisma client used to read and write resources
+ * @param bundle - The submitted Bundle
+ * @param baseUrl - FHIR base URL used for fullUrl values in the response
+ * @param options - Consent guard applied to GET entries
+ */
+export async function processBundle(
+  prisma: any,
+  bundle: FHIRBundle,
+  baseUrl: string,
+  options: BundleOptions = {}
+): Promise<BundleProcessingResult> {
+  if (bundle?.resourceType !== 'Bundle') {
+    return failure(400, 'Expected a Bundle resource');
+  }
+
+  if (bundle.type !== 'transaction' && bundle.type !== 'batch') {
+    return failure(400, `Bundle type must be 'transaction' or 'batch', got '${bundle.type}'`);
+  }
+
+  const entries = bundle.entry || [];
+  const missingRequest = entries.findIndex(entry => !entry.request?.method || !entry.request?.url);
+  if (missingRequest !== -1) {
+    return failure(400, `Bundle entry ${missingRequest} is missing request.method or request.url`);
+  }
+
+  if (bundle.type === 'batch') {
+    return processBatch(prisma, entries, baseUrl, options);
+  }
+
+  return processTransaction(prisma, entries, baseUrl, options);
+}
+
+/**
+ * Process a batch: each entry succeeds or fails on its own
+ */
+async function processBatch(
+  prisma: any,
+  entries: BundleEntry[],
+  baseUrl: string,
+  options: BundleOptions
+): Promise<BundleProcessingResult> {
+  const responseEntries: BundleEntry[] = [];
+
+  for (const entry of entries) {
+    try {
+      responseEntries.push(await processEntry(prisma, entry, baseUrl, undefined, options));
+    } catch (error) {
+      const { status, message } = toEntryError(error);
+      responseEntries.push({
+        response: {
+          status: formatStatus(status),
+          outcome: createOperationOutcome(status >= 500 ? 'fatal' : 'error', message),
+        },
+      });
+    }
+  }
+
+  return {
+    status: 200,
+    body: createResponseBundle('batch-response', responseEntries),
+  };
+}
+
+/**
+ * Process a transaction: all entries succeed or none are applied
+ */
+async function processTransaction(
+  prisma: any,
+  entries: BundleEntry[],
+  baseUrl: string,
+  options: BundleOptions
+): Promise<BundleProcessingResult> {
+  let resolved: ResolvedEntries;
+  try {
+    const matchedIds = await resolveConditionalCreates(prisma, entries);
+    resolved = resolveBundleReferences(entries, baseUrl, matchedIds);
+  } catch (error) {
+    const { status, message } = toEntryError(error);
+    return failure(status, message);
+  }
+
+  const { entries: resolvedEntries, assignedIds } = resolved;
+
+  // Process entries in FHIR transaction order but report them in request order
+  const processingOrder = resolvedEntries
+    .map((entry, index) => index)
+    .sort((a, b) => processingRank(resolvedEntries[a]) - processingRank(resolvedEntries[b]));
+
+  try {
+    const responseEntries = await prisma.$transaction(async (tx: any) => {
+      const results: BundleEntry[] = new Array(resolvedEntries.length);
+
+      for (const index of processingOrder) {
+        try {
+          results[index] = await processEntry(tx, resolvedEntries[index], baseUrl, assignedIds[index], options);
+        } catch (error) {
+          const { status, message } = toEntryError(error);
+          throw new BundleEntryError(status, `Bundle entry ${index}: ${message}`);
+        }
+      }
+
+      return results;
+    });
+
+    return {
+      status: 200,
+      body: createResponseBundle('transaction-response', responseEntries),
+    };
+  } catch (error) {
+    const { status, message } = toEntryError(error);
+    return failure(status, `Transaction failed and was rolled back. ${message}`);
+  }
+}
+
+/**
+ * Sort key for transaction entries: HTTP method first, then resource dependencies
+ */
+function processingRank(entry: BundleEntry): number {
+  const { method, resourceType } = parseRequest(entry);
+  const methodRank = TRANSACTION_METHOD_ORDER[method] ?? 4;
+  const dependencyRank = RESOURCE_DEPENDENCY_ORDER[resourceType] ?? 2;
+
+  // Deletes run in reverse dependency order so dependents go first
+  return methodRank * 10 + (method === 'DELETE' ? 2 - dependencyRank : dependencyRank);
+}
+
+interface ResolvedEntries {
+  entries: BundleEntry[];
+  assignedIds: (string | undefined)[];
+}
+
+/**
+ * Find the existing resource for each conditional create (`ifNoneExist`), so
+ * references to that entry point at the existing resource instead
+ */
+async function resolveConditionalCreates(db: any, entries: BundleEntry[]): Promise<(string | undefined)[]> {
+  const matchedIds: (string | undefined)[] = [];
+
+  for (const [index, entry] of entries.entries()) {
+    const { method, resourceType } = parseRequest(entry);
+    if (method !== 'POST' || !entry.request?.ifNoneExist || !resourceHandlers[resourceType]) {
+      matchedIds.push(undefined);
+      continue;
+    }
+
+    try {
+      const existing = await findExistingMatch(db, resourceType, entry.request.ifNoneExist);
+      matchedIds.push(existing?.id);
+    } catch (error) {
+      const { status, message } = toEntryError(error);
+      throw new BundleEntryError(status, `Bundle entry ${index}: ${message}`);
+    }
+  }
+
+  return matchedIds;
+}
+
+/**
+ * Assign ids to entries created by the transaction and rewrite references
+ * between entries (urn:uuid or absolute fullUrl) to relative references.
+ */
+function resolveBundleReferences(
+  entries: BundleEntry[],
+  baseUrl: string,
+  matchedIds: (string | undefined)[] = []
+): ResolvedEntries {
+  const referenceMap = new Map<string, string>();
+
+  const assignedIds = entries.map((entry, index) => {
+    const { method, resourceType, id } = parseRequest(entry);
+
+    if (method === 'POST' && matchedIds[index]) {
+      if (entry.fullUrl) {
+        referenceMap.set(entry.fullUrl, `${resourceType}/${matchedIds[index]}`);
+      }
+      return undefined;
+    }
+
+    if (method === 'POST') {
+      const newId = randomUUID();
+      if (entry.fullUrl) {
+        referenceMap.set(entry.fullUrl, `${resourceType}/${newId}`);
+      }
+      return newId;
+    }
+
+    if (method === 'PUT' && id && entry.fullUrl) {
+      referenceMap.set(entry.fullUrl, `${resourceType}/${id}`);
+    }
+
+    return undefined;
+  });
+
+  // Absolute URLs on this server are rewritten to relative references too
+  return {
+    entries: entries.map(entry => ({
+      ...entry,
+      resource: entry.resource
+        ? rewriteReferences(entry.resource, referenceMap, baseUrl)
+        : undefined,
+    })),
+    assignedIds,
+  };
+}
+
+/**
+ * Recursively rewrite `reference` values using the map of bundle fullUrls
+ */
+function rewriteReferences(value: any, referenceMap: Map<string, string>, baseUrl: string): any {
+  if (Array.isArray(value)) {
+    return value.map(item => rewriteReferences(item, referenceMap, baseUrl));
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const rewritten: Record<string, any> = {};
+  for (const [key, child] of Object.entries(value)) {
+    if (key === 'reference' && typeof child === 'string') {
+      rewritten[key] = resolveReference(child, referenceMap, baseUrl);
+    } else {
+      rewritten[key] = rewriteReferences(child, referenceMap, baseUrl);
+    }
+  }
+  return rewritten;
+}
+
+function resolveReference(reference: string, referenceMap: Map<string, string>, baseUrl: string): string {
+  const mapped = referenceMap.get(reference);
+  if (mapped) {
+    return mapped;
+  }
+
+  if (reference.startsWith('urn:uuid:') || reference.startsWith('urn:oid:')) {
+    throw new BundleEntryError(400, `Unresolved reference within bundle: ${reference}`);
+  }
+
+  if (reference.startsWith(`${baseUrl}/`)) {
+    return reference.slice(baseUrl.length + 1);
+  }
+
+  return reference;
+}
+
+/**
+ * Execute a single entry against the given Prisma client (or transaction)
+ */
+async function processEntry(
+  db: any,
+  entry: BundleEntry,
+  baseUrl: string,
+  assignedId?: string,
+  options: BundleOptions = {}
+): Promise<BundleEntry> {
+  const { method, resourceType, id, query } = parseRequest(entry);
+  const handler = resourceHandlers[resourceType];
+
+  if (!handler) {
+    throw new BundleEntryError(400, `Resource type not supported in bundles: ${resourceType}`);
+  }
+
+  switch (method) {
+    case 'GET':
+      return id
+        ? readEntry(db, handler, resourceType, id, baseUrl, options.consent)
+        : searchEntry(db, resourceType, query, baseUrl, options.consent);
+    case 'POST':
+      return createEntry(db, handler, resourceType, entry.resource, baseUrl, assignedId, entry.request!.ifNoneExist);
+    case 'PUT':
+      return updateEntry(db, handler, resourceType, id, query, entry.resource, baseUrl, entry.request!.ifMatch);
+    case 'DELETE':
+      return deleteEntry(db, handler, resourceType, id);
+    default:
+      throw new BundleEntryError(405, `Method ${method} not supported in bundles`);
+  }
+}
+
+async function readEntry(
+  db: any,
+  handler: ResourceHandler,
+  resourceType: string,
+  id: string,
+  baseUrl: string,
+  consent?: ConsentGuard
+): Promise<BundleEntry> {
+  const record = await db[handler.model].findUnique({ where: { id } });
+  if (!record) {
+    throw new BundleEntryError(404, `${resourceType}/${id} not found`);
+  }
+
+  const patientId = resourceType === 'Patient' ? record.id : record.patientId;
+  if (consent && !(await consent.check(patientId, resourceType)).permitted) {
+    throw new BundleEntryError(403, `Access to ${resourceType}/${id} is not permitted by the patient's consent`);
+  }
+
+  return createResponseEntry(handler.toFHIR(record, baseUrl), record, 200, baseUrl);
+}
+
+/**
+ * GET entries without an id are searches; the searchset Bundle is the entry resource
+ */
+async function searchEntry(
+  db: any,
+  resourceType: string,
+  query: Record<string, string[]>,
+  baseUrl: string,
+  consent?: ConsentGuard
+): Promise<BundleEntry> {
+  const result = await searchResources(db, resourceType, query, baseUrl, { restrict: consent?.restrict });
+
+  if (result.status !== 200) {
+    const issues = (result.body as FHIROperationOutcome).issue;
+    throw new BundleEntryError(result.status, issues.map(issue => issue.diagnostics).join('; '));
+  }
+
+  return {
+    resource: result.body,
+    response: { status: formatStatus(200) },
+  };
+}
+
+async function createEntry(
+  db: any,
+  handler: ResourceHandler,
+  resourceType: string,
+  resource: any,
+  baseUrl: string,
+  assignedId?: string,
+  ifNoneExist?: string
+): Promise<BundleEntry> {
+  assertResource(handler, resourceType, resource);
+
+  if (ifNoneExist) {
+    const existing = await findExistingMatch(db, resourceType, ifNoneExist);
+    if (existing) {
+      return createResponseEntry(handler.toFHIR(existing, baseUrl), existing, 200, baseUrl);
+    }
+  }
+
+  // Client-supplied ids are ignored on create (FHIR R4 3.1.0.7)
+  const data = omitUndefined(handler.toData({ ...resource, id: undefined }));
+
+  if (resourceType === 'Patient' && !data.patientId) {
+    const count = await db.patient.count();
+    data.patientId = `PAT-${String(count + 1).padStart(6, '0')}`;
+  }
+
+  await assertPatientExists(db, resourceType, data.patientId);
+
+  const record = await db[handler.model].create({
+    data: {
+      ...data,
+      ...(assignedId ? { id: assignedId } : {}),
+    },
+  });
+
+  const created = handler.toFHIR(record, baseUrl);
+  await recordVersion(db, created, 'POST');
+
+  return createResponseEntry(created, record, 201, baseUrl);
+}
+
+async function updateEntry(
+  db: any,
+  handler: ResourceHandler,
+  resourceType: string,
+  id: string | undefined,
+  query: Record<string, string[]>,
+  resource: any,
+  baseUrl: string,
+  ifMatch?: string
+): Promise<BundleEntry> {
+  if (!id && Object.keys(query).length === 0) {
+    throw new BundleEntryError(400, 'PUT requires a resource id or search criteria in request.url');
+  }
+
+  assertResource(handler, resourceType, resource);
+
+  // Conditional update: update the single match, or create when nothing matches
+  let existing: any;
+  if (id) {
+    existing = await db[handler.model].findUnique({ where: { id } });
+    if (!existing) {
+      throw new BundleEntryError(404, `${resourceType}/${id} not found`);
+    }
+  } else {
+    existing = await findExistingMatch(db, resourceType, query);
+    if (!existing) {
+      return createEntry(db, handler, resourceType, resource, baseUrl);
+    }
+  }
+
+  if (resource.id && resource.id !== existing.id) {
+    throw new BundleEntryError(400, 'Resource id does not match request.url');
+  }
+
+  if (!matchesVersion(ifMatch, existing.versionId)) {
+    throw new BundleEntryError(412, `Version conflict: ${resourceType}/${existing.id} is at version ${existing.versionId}`);
+  }
+
+  // Full replacement: absent optional fields are cleared, empty required fields are kept
+  const data: Record<string, any> = {};
+  for (const [key, value] of Object.entries(handler.toData(resource))) {
+    if (value === '') continue;
+    data[key] = value ?? null;
+  }
+
+  await assertPatientExists(db, resourceType, data.patientId);
+
+  let record: any;
+  try {
+    record = await db[handler.model].update({
+      where: { id: existing.id, versionId: existing.versionId },
+      data: { ...data, versionId: { increment: 1 } },
+    });
+  } catch (error: any) {
+    if (error?.code === 'P2025') {
+      throw new BundleEntryError(412, `Version conflict: ${resourceType}/${existing.id} was modified concurrently`);
+    }
+    throw error;
+  }
+
+  const updated = handler.toFHIR(record, baseUrl);
+  await recordVersion(db, updated, 'PUT');
+
+  return createResponseEntry(updated, record, 200, baseUrl);
+}
+
+async function deleteEntry(
+  db: any,
+  handler: ResourceHandler,
+  resourceType: string,
+  id: string | undefined
+): Promise<BundleEntry> {
+  if (!id) {
+    throw new BundleEntryError(400, 'DELETE requires a resource id in request.url');
+  }
+
+  const record = await db[handler.model].delete({ where: { id } });
+  await recordDeletion(db, resourceType, id, record.versionId);
+
+  return {
+    response: {
+      status: formatStatus(204),
+      outcome: createOperationOutcome('information', `${resourceType}/${id} deleted`),
+    },
+  };
+}
+
+/**
+ * Parse `request.url` ("Patient", "Patient/123", "Patient?identifier=...")
+ */
+function parseRequest(entry: BundleEntry): ParsedRequest {
+  const method = entry.request!.method.toUpperCase();
+  const [path, queryString = ''] = entry.request!.url.split('?');
+  const [resourceType, id] = path.replace(/^\/+/, '').split('/');
+
+  const query: Record<string, string[]> = {};
+  new URLSearchParams(queryString).forEach((value, key) => {
+    query[key] = [...(query[key] || []), value];
+  });
+
+  return { method, resourceType, id: id || undefined, query };
+}
+
+/**
+ * Resolve conditional criteria to the single existing record, or null when nothing matches
+ */
+async function findExistingMatch(
+  db: any,
+  resourceType: string,
+  criteria: string | Record<string, string[]>
+): Promise<any | null> {
+  const match = await findConditionalMatch(db, resourceType, criteria);
+  if (match.body) {
+    throw new BundleEntryError(match.status, match.body.issue.map(issue => issue.diagnostics).join('; '));
+  }
+  return match.record || null;
+}
+
+function assertResource(handler: ResourceHandler, resourceType: string, resource: any) {
+  if (!resource) {
+    throw new BundleEntryError(400, `Missing resource for ${resourceType} entry`);
+  }
+
+  if (resource.resourceType !== resourceType) {
+    throw new BundleEntryError(400, `Resource type ${resource.resourceType} does not match request.url ${resourceType}`);
+  }
+
+  const validation = handler.validate(resource);
+  if (!validation.valid) {
+    const messages = validation.errors
+      .filter(error => error.severity === 'error')
+      .map(error => `${error.path}: ${error.message}`);
+    throw new BundleEntryError(400, `Validation failed - ${messages.join('; ')}`);
+  }
+}
+
+async function assertPatientExists(db: any, resourceType: string, patientId?: string) {
+  if (resourceType === 'Patient' || !patientId) {
+    return;
+  }
+
+  const patient = await db.patient.findUnique({ where: { id: patientId } });
+  if (!patient) {
+    throw new BundleEntryError(400, `Referenced patient not found: Patient/${patientId}`);
+  }
+}
+
+function createResponseEntry(resource: Resource, record: any, status: number, baseUrl: string): BundleEntry {
+  const versionId = resource.meta?.versionId || '1';
+  const response: BundleEntryResponse = {
+    status: formatStatus(status),
+    location: `${resource.resourceType}/${resource.id}/_history/${versionId}`,
+    etag: `W/"${versionId}"`,
+    lastModified: new Date(record.updatedAt).toISOString(),
+    outcome: createOperationOutcome(
+      'information',
+      status === 201 ? 'Resource created' : status === 200 ? 'Resource processed' : formatStatus(status)
+    ),
+  };
+
+  return {
+    fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+    resource,
+    response,
+  };
+}
+
+function createResponseBundle(type: 'transaction-response' | 'batch-response', entries: BundleEntry[]): FHIRBundle {
+  return {
+    resourceType: 'Bundle',
+    id: randomUUID(),
+    type,
+    timestamp: new Date().toISOString(),
+    entry: entries,
+  };
+}
+
+/**
+ * Map thrown errors (including Prisma known request errors) to an HTTP status
+ */
+function toEntryError(error: any): { status: number; message: string } {
+  if (error instanceof BundleEntryError) {
+    return { status: error.status, message: error.message };
+  }
+
+  switch (error?.code) {
+    case 'P2025':
+      return { status: 404, message: 'Resource not found' };
+    case 'P2003':
+      return { status: 400, message: 'Referenced resource not found' };
+    case 'P2002':
+      return { status: 409, message: 'Resource conflicts with an existing record' };
+    default:
+      console.error('FHIR bundle processing error:', error);
+      return { status: 500, message: String(error?.message || error) };
+  }
+}
+
+function failure(status: number, message: string): BundleProcessingResult {
+  return {
+    status,
+    body: createOperationOutcome(status >= 500 ? 'fatal' : 'error', message),
+  };
+}
+
+function formatStatus(status: number): string {
+  return `${status} ${HTTP_STATUS_TEXT[status] || ''}`.trim();
+}
+
+function withoutId<T extends { id?: string }>(data: T): Omit<T, 'id'> {
+  const { id: _id, ...rest } = data;
+  return rest;
+}
+
+function omitUndefined(data: Record<string, any>): Record<string, any> {
+  return Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+}
+
+function createOperationOutcome(
+  severity: 'fatal' | 'error' | 'warning' | 'information',
+  message: string
+): FHIROperationOutcome {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [
+      {
+        severity,
+        code: severity === 'information' ? 'informational' : 'processing',
+        diagnostics: message,
+        details: {
+          text: message,
+        },
+      },
+    ],
+  };
+}
@@ -313,6 +313,44 @@ export interface ConditionEvidence {
   detail?: Reference[];
 }
 
+// ============================================================================
+// AllergyIntolerance Resource (allergies and intolerances)
+// ============================================================================
+
+export interface FHIRAllergyIntolerance extends DomainResource {
+  resourceType: 'AllergyIntolerance';
+  identifier?: Identifier[];
+  clinicalStatus?: CodeableConcept;
+  verificationStatus?: CodeableConcept;
+  type?: 'allergy' | 'intolerance';
+  category?: ('food' | 'medication' | 'environment' | 'biologic')[];
+  criticality?: 'low' | 'high' | 'unable-to-assess';
+  code?: CodeableConcept; // SNOMED CT or RxNorm recommended
+  patient: Reference; // Patient
+  encounter?: Reference;
+  onsetDateTime?: string;
+  onsetAge?: Quantity;
+  onsetPeriod?: Period;
+  onsetRange?: Range;
+  onsetString?: string;
+  recordedDate?: string; // dateTime
+  recorder?: Reference;
+  asserter?: Reference;
+  lastOccurrence?: string; // dateTime
+  note?: Annotation[];
+  reaction?: AllergyIntoleranceReaction[];
+}
+
+export interface AllergyIntoleranceReaction {
+  substance?: CodeableConcept;
+  manifestation: CodeableConcept[];
+  description?: string;
+  onset?: string; // dateTime
+  severity?: 'mild' | 'moderate' | 'severe';
+  exposureRoute?: CodeableConcept;
+  note?: Annotation[];
+}
+
 // ============================================================================
 // Encounter Resource (visits)
 // ============================================================================
@@ -563,6 +601,52 @@ export interface MedicationRequestSubstitution {
   reason?: CodeableConcept;
 }
 
+// ============================================================================
+// Composition Resource (for document Bundles such as the IPS)
+// ============================================================================
+
+export interface FHIRComposition extends DomainResource {
+  resourceType: 'Composition';
+  identifier?: Identifier;
+  status: 'preliminary' | 'final' | 'amended' | 'entered-in-error';
+  type: CodeableConcept;
+  category?: CodeableConcept[];
+  subject?: Reference;
+  encounter?: Reference;
+  date: string; // dateTime
+  author: Reference[];
+  title: string;
+  confidentiality?: string; // code
+  attester?: CompositionAttester[];
+  custodian?: Reference;
+  event?: CompositionEvent[];
+  section?: CompositionSection[];
+}
+
+export interface CompositionAttester {
+  mode: 'personal' | 'professional' | 'legal' | 'official';
+  time?: string; // dateTime
+  party?: Reference;
+}
+
+export interface CompositionEvent {
+  code?: CodeableConcept[];
+  period?: Period;
+  detail?: Reference[];
+}
+
+export interface CompositionSection {
+  title?: string;
+  code?: CodeableConcept;
+  author?: Reference[];
+  text?: Narrative;
+  mode?: 'working' | 'snapshot' | 'changes';
+  orderedBy?: CodeableConcept;
+  entry?: Reference[];
+  emptyReason?: CodeableConcept;
+  section?: CompositionSection[];
+}
+
 // ============================================================================
 // DocumentReference Resource (for medical documents)
 // ============================================================================
@@ -607,6 +691,42 @@ export interface DocumentReferenceContext {
   related?: Reference[];
 }
 
+// ============================================================================
+// Consent Resource (for the patient's standing data sharing permissions)
+// ============================================================================
+
+export interface FHIRConsent extends DomainResource {
+  resourceType: 'Consent';
+  identifier?: Identifier[];
+  status: 'draft' | 'proposed' | 'active' | 'rejected' | 'inactive' | 'entered-in-error';
+  scope: CodeableConcept;
+  category: CodeableConcept[];
+  patient?: Reference; // Patient
+  dateTime?: string;
+  performer?: Reference[];
+  organization?: Reference[];
+  policyRule?: CodeableConcept;
+  provision?: ConsentProvision;
+}
+
+export interface ConsentProvision {
+  type?: 'deny' | 'permit';
+  period?: Period;
+  actor?: ConsentProvisionActor[];
+  action?: CodeableConcept[];
+  securityLabel?: Coding[];
+  purpose?: Coding[];
+  class?: Coding[]; // Resource types the provision covers
+  code?: CodeableConcept[];
+  dataPeriod?: Period;
+  provision?: ConsentProvision[];
+}
+
+export interface ConsentProvisionActor {
+  role: CodeableConcept;
+  reference: Reference;
+}
+
 // ============================================================================
 // Bundle Resource (for returning multiple resources)
 // ============================================================================
@@ -10,9 +10,13 @@ import {
   FHIRAppointment,
   FHIRObservation,
   FHIRCondition,
+  FHIRMedicationRequest,
+  FHIRAllergyIntolerance,
+  FHIRConsent,
   FHIRPractitioner,
   Resource,
 } from './types';
+import { CONSENT_CATEGORIES, CONSENT_STATUSES, isPurposeOfUse, normalizeConsentActor } from './consent';
 
 export interface ValidationResult {
   valid: boolean;
@@ -354,6 +358,382 @@ export function validateObservation(observation: FHIRObservation): ValidationRes
   };
 }
 
+/**
+ * Validate that a reference points at the expected resource type
+ */
+function validateReference(
+  reference: { reference?: string } | undefined,
+  path: string,
+  resourceType: string,
+  errors: ValidationError[]
+): void {
+  if (reference?.reference && !reference.reference.startsWith(`${resourceType}/`) && !reference.reference.startsWith('urn:uuid:')) {
+    errors.push({
+      path,
+      message: `Reference must point to a ${resourceType} resource`,
+      severity: 'error',
+    });
+  }
+}
+
+/**
+ * Validate that a CodeableConcept uses one of the allowed codes
+ */
+function validateCodedStatus(
+  concept: { coding?: { code?: string }[] } | undefined,
+  path: string,
+  validCodes: string[],
+  errors: ValidationError[]
+): void {
+  const code = concept?.coding?.[0]?.code;
+  if (code && !validCodes.includes(code)) {
+    errors.push({
+      path,
+      message: `Invalid ${path}. Must be one of: ${validCodes.join(', ')}`,
+      severity: 'error',
+    });
+  }
+}
+
+/**
+ * Validate FHIR Condition resource
+ */
+export function validateCondition(condition: FHIRCondition): ValidationResult {
+  const errors: ValidationError[] = [];
+
+  if (condition.resourceType !== 'Condition') {
+    errors.push({
+      path: 'resourceType',
+      message: 'Resource type must be "Condition"',
+      severity: 'error',
+    });
+  }
+
+  // Validate required fields
+  validateRequired(condition, ['subject'], errors);
+  validateReference(condition.subject, 'subject', 'Patient', errors);
+
+  // The code is optional in FHIR, but a problem list entry without one is unusable
+  if (!condition.code || (!condition.code.coding?.length && !condition.code.text)) {
+    errors.push({
+      path: 'code',
+      message: 'Code must have either coding or text',
+      severity: 'error',
+    });
+  }
+
+  validateCodedStatus(
+    condition.clinicalStatus,
+    'clinicalStatus',
+    ['active', 'recurrence', 'relapse', 'inactive', 'remission', 'resolved'],
+    errors
+  );
+
+  validateCodedStatus(
+    condition.verificationStatus,
+    'verificationStatus',
+    ['unconfirmed', 'provisional', 'differential', 'confirmed', 'refuted', 'entered-in-error'],
+    errors
+  );
+
+  if (condition.onsetDateTime && !validateFHIRInstant(condition.onsetDateTime)) {
+    errors.push({
+      path: 'onsetDateTime',
+      message: 'Invalid onsetDateTime format',
+      severity: 'error',
+    });
+  }
+
+  if (condition.abatementDateTime && !validateFHIRInstant(condition.abatementDateTime)) {
+    errors.push({
+      path: 'abatementDateTime',
+      message: 'Invalid abatementDateTime format',
+      severity: 'error',
+    });
+  }
+
+  // A condition that has abated should not still be clinically active
+  const clinicalStatus = condition.clinicalStatus?.coding?.[0]?.code;
+  if (condition.abatementDateTime && ['active', 'recurrence', 'relapse'].includes(clinicalStatus || '')) {
+    errors.push({
+      path: 'clinicalStatus',
+      message: 'Condition with an abatement date should not have an active clinical status',
+      severity: 'warning',
+    });
+  }
+
+  return {
+    valid: errors.filter(e => e.severity === 'error').length === 0,
+    errors,
+  };
+}
+
+/**
+ * Validate FHIR MedicationRequest resource
+ */
+export function validateMedicationRequest(medicationRequest: FHIRMedicationRequest): ValidationResult {
+  const errors: ValidationError[] = [];
+
+  if (medicationRequest.resourceType !== 'MedicationRequest') {
+    errors.push({
+      path: 'resourceType',
+      message: 'Resource type must be "MedicationRequest"',
+      severity: 'error',
+    });
+  }
+
+  // Validate required fields
+  validateRequired(medicationRequest, ['status', 'intent', 'subject'], errors);
+  validateReference(medicationRequest.subject, 'subject', 'Patient', errors);
+
+  const validStatuses = [
+    'active',
+    'on-hold',
+    'cancelled',
+    'completed',
+    'entered-in-error',
+    'stopped',
+    'draft',
+    'unknown',
+  ];
+
+  if (medicationRequest.status && !validStatuses.includes(medicationRequest.status)) {
+    errors.push({
+      path: 'status',
+      message: `Invalid status. Must be one of: ${validStatuses.join(', ')}`,
+      severity: 'error',
+    });
+  }
+
+  const validIntents = [
+    'proposal',
+    'plan',
+    'order',
+    'original-order',
+    'reflex-order',
+    'filler-order',
+    'instance-order',
+    'option',
+  ];
+
+  if (medicationRequest.intent && !validIntents.includes(medicationRequest.intent)) {
+    errors.push({
+      path: 'intent',
+      message: `Invalid intent. Must be one of: ${validIntents.join(', ')}`,
+      severity: 'error',
+    });
+  }
+
+  // medication[x] is required
+  const medication = medicationRequest.medicationCodeableConcept;
+  const hasMedication =
+    (medication && (medication.coding?.length || medication.text)) ||
+    medicationRequest.medicationReference;
+
+  if (!hasMedication) {
+    errors.push({
+      path: 'medication[x]',
+      message: 'MedicationRequest must have a medicationCodeableConcept or medicationReference',
+      severity: 'error',
+    });
+  }
+
+  if (medicationRequest.authoredOn && !validateFHIRInstant(medicationRequest.authoredOn)) {
+    errors.push({
+      path: 'authoredOn',
+      message: 'Invalid authoredOn format',
+      severity: 'error',
+    });
+  }
+
+  return {
+    valid: errors.filter(e => e.severity === 'error').length === 0,
+    errors,
+  };
+}
+
+/**
+ * Validate FHIR AllergyIntolerance resource
+ */
+export function validateAllergyIntolerance(allergy: FHIRAllergyIntolerance): ValidationResult {
+  const errors: ValidationError[] = [];
+
+  if (allergy.resourceType !== 'AllergyIntolerance') {
+    errors.push({
+      path: 'resourceType',
+      message: 'Resource type must be "AllergyIntolerance"',
+      severity: 'error',
+    });
+  }
+
+  // Validate required fields
+  validateRequired(allergy, ['patient'], errors);
+  validateReference(allergy.patient, 'patient', 'Patient', errors);
+
+  if (!allergy.code || (!allergy.code.coding?.length && !allergy.code.text)) {
+    errors.push({
+      path: 'code',
+      message: 'Code must have either coding or text',
+      severity: 'error',
+    });
+  }
+
+  validateCodedStatus(allergy.clinicalStatus, 'clinicalStatus', ['active', 'inactive', 'resolved'], errors);
+
+  validateCodedStatus(
+    allergy.verificationStatus,
+    'verificationStatus',
+    ['unconfirmed', 'confirmed', 'refuted', 'entered-in-error'],
+    errors
+  );
+
+  if (allergy.type && !['allergy', 'intolerance'].includes(allergy.type)) {
+    errors.push({
+      path: 'type',
+      message: 'Invalid type. Must be one of: allergy, intolerance',
+      severity: 'error',
+    });
+  }
+
+  const validCategories = ['food', 'medication', 'environment', 'biologic'];
+  allergy.category?.forEach((category, index) => {
+    if (!validCategories.includes(category)) {
+      errors.push({
+        path: `category[${index}]`,
+        message: `Invalid category. Must be one of: ${validCategories.join(', ')}`,
+        severity: 'error',
+      });
+    }
+  });
+
+  if (allergy.criticality && !['low', 'high', 'unable-to-assess'].includes(allergy.criticality)) {
+    errors.push({
+      path: 'criticality',
+      message: 'Invalid criticality. Must be one of: low, high, unable-to-assess',
+      severity: 'error',
+    });
+  }
+
+  allergy.reaction?.forEach((reaction, index) => {
+    if (!reaction.manifestation || reaction.manifestation.length === 0) {
+      errors.push({
+        path: `reaction[${index}].manifestation`,
+        message: 'Reaction must have at least one manifestation',
+        severity: 'error',
+      });
+    }
+  });
+
+  return {
+    valid: errors.filter(e => e.severity === 'error').length === 0,
+    errors,
+  };
+}
+
+/**
+ * Validate FHIR Consent resource
+ */
+export function validateConsent(consent: FHIRConsent): ValidationResult {
+  const errors: ValidationError[] = [];
+
+  if (consent.resourceType !== 'Consent') {
+    errors.push({
+      path: 'resourceType',
+      message: 'Resource type must be "Consent"',
+      severity: 'error',
+    });
+  }
+
+  // Validate required fields
+  validateRequired(consent, ['status', 'patient', 'provision'], errors);
+  validateReference(consent.patient, 'patient', 'Patient', errors);
+
+  if (consent.status && !(CONSENT_STATUSES as readonly string[]).includes(consent.status)) {
+    errors.push({
+      path: 'status',
+      message: `Invalid status. Must be one of: ${CONSENT_STATUSES.join(', ')}`,
+      severity: 'error',
+    });
+  }
+
+  const provision = consent.provision;
+  if (!provision) {
+    return { valid: false, errors };
+  }
+
+  if (provision.type && !['permit', 'deny'].includes(provision.type)) {
+    errors.push({
+      path: 'provision.type',
+      message: 'Invalid provision type. Must be one of: permit, deny',
+      severity: 'error',
+    });
+  }
+
+  if (provision.period) {
+    const { start, end } = provision.period;
+    if (start && !validateFHIRInstant(start) && !validateFHIRDate(start)) {
+      errors.push({ path: 'provision.period.start', message: 'Invalid period start', severity: 'error' });
+    }
+    if (end && !validateFHIRInstant(end) && !validateFHIRDate(end)) {
+      errors.push({ path: 'provision.period.end', message: 'Invalid period end', severity: 'error' });
+    }
+    if (start && end && new Date(start) > new Date(end)) {
+      errors.push({ path: 'provision.period', message: 'Period start must not be after its end', severity: 'error' });
+    }
+  }
+
+  if ((provision.actor?.length || 0) > 1) {
+    errors.push({
+      path: 'provision.actor',
+      message: 'Only one actor per provision is supported; create a Consent for each recipient',
+      severity: 'error',
+    });
+  }
+  provision.actor?.forEach((actor, index) => {
+    const value = actor.reference?.reference || actor.reference?.identifier?.value;
+    if (!normalizeConsentActor(value)) {
+      errors.push({
+        path: `provision.actor[${index}].reference`,
+        message: 'Actor must be a Practitioner reference or an Ethereum address identifier',
+        severity: 'error',
+      });
+    }
+  });
+
+  provision.purpose?.forEach((purpose, index) => {
+    if (!isPurposeOfUse(purpose.code)) {
+      errors.push({
+        path: `provision.purpose[${index}]`,
+        message: 'Unsupported purpose of use',
+        severity: 'error',
+      });
+    }
+  });
+
+  provision.class?.forEach((resourceClass, index) => {
+    if (!(CONSENT_CATEGORIES as readonly string[]).includes(resourceClass.code)) {
+      errors.push({
+        path: `provision.class[${index}]`,
+        message: `Invalid class. Must be one of: ${CONSENT_CATEGORIES.join(', ')}`,
+        severity: 'error',
+      });
+    }
+  });
+
+  if (provision.provision?.length) {
+    errors.push({
+      path: 'provision.provision',
+      message: 'Nested provisions are not supported',
+      severity: 'error',
+    });
+  }
+
+  return {
+    valid: errors.filter(e => e.severity === 'error').length === 0,
+    errors,
+  };
+}
+
 /**
  * Validate any FHIR resource (dispatches to specific validators)
  */
@@ -367,6 +747,14 @@ export function validateResource(resource: Resource): ValidationResult {
       return validateAppointment(resource as FHIRAppointment);
     case 'Observation':
       return validateObservation(resource as FHIRObservation);
+    case 'Condition':
+      return validateCondition(resource as FHIRCondition);
+    case 'MedicationRequest':
+      return validateMedicationRequest(resource as FHIRMedicationRequest);
+    case 'AllergyIntolerance':
+      return validateAllergyIntolerance(resource as FHIRAllergyIntolerance);
+    case 'Consent':
+      return validateConsent(resource as FHIRConsent);
     default:
       return {
         valid: true,
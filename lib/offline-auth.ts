@@ -1,6 +1,11 @@
 import { db, UserType } from './db';
 import bcrypt from 'bcryptjs';
 import { v4 as uuidv4 } from 'uuid';
+import { enrolOfflineVault, openOfflineVault, unlockOfflineVault, VaultCredential, wipeOfflineRecords } from './vault/keys';
+import { getVaultUser, isVaultUnlocked, OfflineVaultError, wipeVaultSession } from './vault/session';
+
+// Service worker caches (next-pwa) that can hold API responses and pages with patient data
+const USER_DATA_CACHES = ['apis', 'next-data', 'others', 'cross-origin'];
 
 // Initial setup - can be run during app installation or first load
 export async function setupOfflineAuth(initialUsers: Array<{email: string, password: string, name?: string, role: 'ADMIN' | 'DOCTOR' | 'STAFF' | 'PATIENT'}>) {
@@ -30,13 +35,46 @@ export async function setupOfflineAuth(initialUsers: Array<{email: string, passw
   }
 }
 
+const withoutPassword = ({ password: _, ...user }: UserType): Omit<UserType, 'password'> => user;
+
+/**
+ * Unlock the encrypted offline store with a password. A login without a key
+ * slot on this device, or whose slot is out of date, is enrolled once its
+ * password checks out against the stored bcrypt hash, or when `verified` says
+ * the server accepted it. The hash is dropped once the user has a slot, which
+ * verifies the password from then on.
+ */
+export async function unlockWithPassword(email: string, password: string, verified = false): Promise<boolean> {
+  const user: UserType | undefined = await db.users.where('email').equals(email).first();
+  const vaultUser = user ? withoutPassword(user) : null;
+  const credential: VaultCredential = { kind: 'password', subject: email, secret: password };
+
+  if (verified) {
+    await openOfflineVault(credential, vaultUser);
+  } else {
+    const result = await unlockOfflineVault(credential, vaultUser);
+    if (result !== 'unlocked') {
+      const isValid = result === 'stale' || (!!user?.password && await bcrypt.compare(password, user.password));
+      if (!isValid) {
+        return false;
+      }
+      await enrolOfflineVault(credential, vaultUser);
+    }
+  }
+
+  if (user?.password) {
+    await db.users.update(user.id, { password: undefined });
+  }
+  return true;
+}
+
 // Function to authenticate a user offline
 export async function authenticateOffline(email: string, password: string, role?: string): Promise<Omit<UserType, 'password'> | null> {
   try {
     const user = await db.users.where('email').equals(email).first();
     
-    if (!user || !user.password) {
-      console.log('User not found or password not set');
+    if (!user) {
+      console.log('User not found');
       return null;
     }
     
@@ -46,71 +84,62 @@ export async function authenticateOffline(email: string, password: string, role?
       return null;
     }
     
-    const isValid = await bcrypt.compare(password, user.password);
+    // Logging in unlocks the encrypted offline store
+    const isValid = await unlockWithPassword(email, password);
     if (!isValid) {
       console.log('Invalid password');
       return null;
     }
     
-    // Return user without password
-    const { password: _, ...userWithoutPassword } = user;
-    return userWithoutPassword;
+    return withoutPassword(user);
   } catch (error) {
+    // The store cannot be opened for this user; say why
+    if (error instanceof OfflineVaultError) {
+      throw error;
+    }
     console.error('Offline authentication error:', error);
     return null;
   }
 }
 
-// Function to get the current user from local storage or MetaMask session
+// The user who unlocked the offline store; nothing in localStorage is taken on trust
 export function getCurrentUser(): Omit<UserType, 'password'> | null {
   if (typeof window === 'undefined') return null;
-  
-  // First check for regular user in localStorage
-  const userStr = localStorage.getItem('currentUser');
-  if (userStr) {
-    try {
-      return JSON.parse(userStr);
-    } catch (error) {
-      console.error('Error parsing currentUser:', error);
-    }
-  }
-  
-  // If no regular user, check for MetaMask patient session
-  const patientSessionStr = localStorage.getItem('patientSession');
-  if (patientSessionStr) {
-    try {
-      const patientSession = JSON.parse(patientSessionStr);
-      if (patientSession?.user) {
-        // Convert the MetaMask patient session to a user object
-        return {
-          id: `eth-${patientSession.user.ethereumAddress}`,
-          email: null,
-          name: patientSession.user.name || 'Patient',
-          role: 'PATIENT',
-          ethereumAddress: patientSession.user.ethereumAddress,
-          createdAt: new Date(),
-          updatedAt: new Date()
-        };
-      }
-    } catch (error) {
-      console.error('Error parsing patientSession:', error);
-    }
-  }
-  
-  // No user found
-  return null;
+  return isVaultUnlocked() ? getVaultUser() : null;
 }
 
-// Function to log out the current user
-export function logoutUser(): void {
+/**
+ * Log out the current user, wiping what the session left on the device: the
+ * offline store's key, the clinic records and cached responses. Unsynced
+ * changes stay encrypted in the sync queue until a login pushes them.
+ */
+export async function logoutUser(): Promise<void> {
   if (typeof window === 'undefined') return;
   
+  // Forget the offline store's key in every page of the app, and in the service worker
+  wipeVaultSession();
+  
+  try {
+    await wipeOfflineRecords();
+  } catch (error) {
+    console.error('Error deleting offline records:', error);
+  }
+  
   // Remove regular user authentication
   localStorage.removeItem('currentUser');
   
   // Also remove MetaMask-related session data
   localStorage.removeItem('patientWalletAddress');
   localStorage.removeItem('patientSession');
+  
+  // Cached responses would show the last user's records offline
+  if ('caches' in window) {
+    try {
+      await Promise.all(USER_DATA_CACHES.map(name => caches.delete(name)));
+    } catch (error) {
+      console.error('Error clearing cached responses:', error);
+    }
+  }
 }
 
 // Function to check if user is authenticated
@@ -1,5 +1,6 @@
 import { db } from './db';
 import { setupOfflineAuth } from './offline-auth';
+import { isVaultLocked } from './vault/session';
 import { v4 as uuidv4 } from 'uuid';
 
 // Helper function to seed appointments
@@ -80,6 +81,11 @@ async function seedAppointments() {
 // Seed the offline database with initial data
 export async function seedOfflineDatabase() {
   try {
+    // An encrypted store is left as it is until a user unlocks it (lib/vault)
+    if (isVaultLocked()) {
+      return;
+    }
+    
     // Check if already seeded by checking if any users exist
     const userCount = await db.users.count();
     const appointmentCount = await db.appointments.count();
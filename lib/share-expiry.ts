@@ -0,0 +1,259 @@
+/**
+ * Share Expiry and View Limits
+ *
+ * A share's expiry used to be checked only when someone opened it, so expired
+ * shares stayed active in the database and their content stayed pinned.
+ * `cleanupExpiredShares()` is run by `npm run cleanup:shares` and
+ * `POST /api/shared-data/cleanup`:
+ *
+ * - active shares past their expiry time are marked inactive (`expiredAt`)
+ * - the CIDs of expired shares are unpinned once no active share uses them
+ * - both steps are written to the owner's audit log
+ *
+ * Shares can also allow a limited number of views (`maxViews`, 1 for "view
+ * once"). `/api/ipfs?accessId=` claims a view with `claimShareView()` before
+ * it releases the content, and deactivates the share in the same transaction
+ * when the last one is used, which leaves it to the next cleanup run to unpin.
+ */
+
+import { appendAuditEntry } from './audit-log';
+
+export const MAX_VIEW_LIMIT = 1000;
+
+// Shares deactivated per findMany, so a long backlog does not load at once
+const DEFAULT_CLEANUP_BATCH_SIZE = 100;
+
+export type UnpinStatus = 'unpinned' | 'still-shared' | 'not-configured' | 'failed';
+
+export type ShareExpiryReason = 'expired' | 'view_limit';
+
+export type ShareViewOutcome = 'granted' | 'expired' | 'view_limit';
+
+export interface ShareViewClaim {
+  outcome: ShareViewOutcome;
+  accessCount: number;
+  /** Views left after this one, null for unlimited */
+  remainingViews: number | null;
+}
+
+/** The part of a StorageProvider the cleanup needs */
+export interface ShareUnpinner {
+  isConfigured(): boolean;
+  unpin(cid: string): Promise<boolean>;
+}
+
+export interface ShareCleanupOptions {
+  prisma: any;
+  storage: ShareUnpinner;
+  /** Reference time, defaults to now */
+  now?: Date;
+  batchSize?: number;
+}
+
+export interface ShareCleanupResult {
+  /** Shares marked inactive in this run */
+  expired: number;
+  /** CIDs unpinned in this run */
+  unpinned: number;
+  /** CIDs left pinned because an active share still uses them */
+  stillShared: number;
+  /** CIDs the storage provider failed to unpin; they are retried on the next run */
+  failed: number;
+  /** Whether unpinning was skipped because storage is not configured */
+  unpinSkipped: boolean;
+}
+
+/**
+ * Parse a `maxViews` request value: null for unlimited, undefined if invalid
+ */
+export const parseMaxViews = (value: unknown): number | null | undefined => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const maxViews = typeof value === 'string' ? Number(value) : value;
+  return Number.isInteger(maxViews) && (maxViews as number) >= 1 && (maxViews as number) <= MAX_VIEW_LIMIT
+    ? maxViews as number
+    : undefined;
+};
+
+/**
+ * Mark an active share inactive because it expired or used up its views and
+ * record it in the owner's audit log. Returns false if it was already inactive.
+ */
+export async function expireShare(
+  prisma: any,
+  share: { id: string; userId: string; accessId: string; ipfsCid: string; expiryTime: Date; accessCount: number },
+  reason: ShareExpiryReason,
+  now = new Date()
+): Promise<boolean> {
+  // Only an active share is updated, so a concurrent revoke or cleanup wins
+  const { count } = await prisma.sharedMedicalData.updateMany({
+    where: { id: share.id, isActive: true },
+    data: { isActive: false, expiredAt: now },
+  });
+  if (count === 0) {
+    return false;
+  }
+
+  await auditExpiry(prisma, share, reason);
+  return true;
+}
+
+/**
+ * Count a view of a share before its content is released. Expired and inactive
+ * shares are refused, and so are views beyond `maxViews`: concurrent viewers
+ * cannot both take the last view, and the one that does deactivates the share
+ * in the same transaction.
+ */
+export async function claimShareView(
+  prisma: any,
+  share: { id: string; userId: string; accessId: string; ipfsCid: string; expiryTime: Date; isActive: boolean; maxViews?: number | null },
+  now = new Date()
+): Promise<ShareViewClaim> {
+  if (!share.isActive || now > share.expiryTime) {
+    return { outcome: 'expired', accessCount: null, remainingViews: null };
+  }
+
+  const limited = share.maxViews !== null && share.maxViews !== undefined;
+  const claimed = await prisma.$transaction(async (tx: any) => {
+    const { count } = await tx.sharedMedicalData.updateMany({
+      where: { id: share.id, isActive: true, ...(limited ? { accessCount: { lt: share.maxViews } } : {}) },
+      data: { accessCount: { increment: 1 } },
+    });
+    if (count === 0) {
+      return null;
+    }
+
+    const updated = await tx.sharedMedicalData.findUnique({ where: { id: share.id } });
+    if (limited && updated.accessCount >= updated.maxViews) {
+      await tx.sharedMedicalData.update({
+        where: { id: share.id },
+        data: { isActive: false, expiredAt: now },
+      });
+      return { ...updated, isActive: false };
+    }
+    return updated;
+  });
+
+  // Another viewer took the last view, or the share was revoked since it was read
+  if (!claimed) {
+    return { outcome: limited ? 'view_limit' : 'expired', accessCount: null, remainingViews: limited ? 0 : null };
+  }
+
+  if (!claimed.isActive) {
+    await auditExpiry(prisma, claimed, 'view_limit');
+  }
+  return {
+    outcome: 'granted',
+    accessCount: claimed.accessCount,
+    remainingViews: limited ? Math.max(claimed.maxViews - claimed.accessCount, 0) : null,
+  };
+}
+
+async function auditExpiry(
+  prisma: any,
+  share: { userId: string; accessId: string; ipfsCid: string; expiryTime: Date; accessCount: number },
+  reason: ShareExpiryReason
+) {
+  await appendAuditEntry(prisma, share.userId, 'share.expired', {
+    accessId: share.accessId,
+    ipfsCid: share.ipfsCid,
+    reason,
+    expiryTime: share.expiryTime,
+    accessCount: share.accessCount,
+  });
+}
+
+/**
+ * Unpin a share's CID from storage, unless another active share still uses it
+ */
+export async function unpinShareCid(
+  prisma: any,
+  storage: ShareUnpinner,
+  share: { id: string; ipfsCid: string }
+): Promise<UnpinStatus> {
+  const otherShares = await prisma.sharedMedicalData.count({
+    where: {
+      ipfsCid: share.ipfsCid,
+      isActive: true,
+      id: { not: share.id },
+    },
+  });
+  if (otherShares > 0) {
+    return 'still-shared';
+  }
+
+  if (!storage.isConfigured()) {
+    return 'not-configured';
+  }
+
+  return (await storage.unpin(share.ipfsCid)) ? 'unpinned' : 'failed';
+}
+
+/**
+ * Deactivate expired shares and unpin the content of expired shares
+ */
+export async function cleanupExpiredShares(options: ShareCleanupOptions): Promise<ShareCleanupResult> {
+  const { prisma, storage, now = new Date(), batchSize = DEFAULT_CLEANUP_BATCH_SIZE } = options;
+  const result: ShareCleanupResult = { expired: 0, unpinned: 0, stillShared: 0, failed: 0, unpinSkipped: false };
+
+  // Each batch is inactive before the next query, so the same query returns the next batch
+  for (;;) {
+    const shares = await prisma.sharedMedicalData.findMany({
+      where: { isActive: true, expiryTime: { lte: now } },
+      orderBy: { expiryTime: 'asc' },
+      take: batchSize,
+    });
+
+    for (const share of shares) {
+      if (await expireShare(prisma, share, 'expired', now)) {
+        result.expired++;
+      }
+    }
+
+    if (shares.length < batchSize) {
+      break;
+    }
+  }
+
+  if (!storage.isConfigured()) {
+    result.unpinSkipped = true;
+    return result;
+  }
+
+  // Revoked shares are unpinned only when the owner asks for it on revoke
+  const pinnedShares = await prisma.sharedMedicalData.findMany({
+    where: { isActive: false, expiredAt: { not: null }, unpinnedAt: null },
+    orderBy: { expiredAt: 'asc' },
+  });
+
+  const seen = new Set<string>();
+  for (const share of pinnedShares) {
+    if (seen.has(share.ipfsCid)) {
+      continue;
+    }
+    seen.add(share.ipfsCid);
+
+    const status = await unpinShareCid(prisma, storage, share);
+    if (status === 'still-shared') {
+      result.stillShared++;
+    } else if (status === 'failed') {
+      result.failed++;
+    } else if (status === 'unpinned') {
+      result.unpinned++;
+      const unpinnedShares = pinnedShares.filter((other: any) => other.ipfsCid === share.ipfsCid);
+      await prisma.sharedMedicalData.updateMany({
+        where: { id: { in: unpinnedShares.map((other: any) => other.id) } },
+        data: { unpinnedAt: now },
+      });
+      for (const owner of new Set<string>(unpinnedShares.map((other: any) => other.userId))) {
+        await appendAuditEntry(prisma, owner, 'share.unpinned', {
+          ipfsCid: share.ipfsCid,
+          accessIds: unpinnedShares.filter((other: any) => other.userId === owner).map((other: any) => other.accessId),
+        });
+      }
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,330 @@
+/**
+ * Content Identifiers for Stored Content
+ *
+ * CIDs are parsed here rather than matched against a pattern, so that v0 and
+ * v1 can be converted into each other and content can be checked against the
+ * multihash it is addressed by. The filesystem and S3 drivers address content
+ * by a CIDv1 of its bytes (raw codec, sha2-256), the same CID IPFS gives a
+ * small file added with raw leaves. Everything is implemented with
+ * node:crypto, since multiformats only ships ES modules.
+ */
+
+import { createHash } from 'crypto';
+import { StorageError } from './types';
+
+// Multicodec codes
+export const RAW_CODEC = 0x55;
+export const DAG_PB_CODEC = 0x70;
+export const DAG_CBOR_CODEC = 0x71;
+export const DAG_JSON_CODEC = 0x0129;
+export const JSON_CODEC = 0x0200;
+
+// Multihash codes
+export const IDENTITY_HASH = 0x00;
+export const SHA2_256 = 0x12;
+export const SHA2_512 = 0x13;
+
+const HASH_ALGORITHMS: Record<number, string> = {
+  [SHA2_256]: 'sha256',
+  [SHA2_512]: 'sha512',
+};
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+export interface Multihash {
+  code: number;
+  digest: Buffer;
+}
+
+export interface ParsedCid {
+  version: 0 | 1;
+  codec: number;
+  multihash: Multihash;
+}
+
+/**
+ * Encode bytes as RFC 4648 base32, lowercase and without padding
+ */
+export const toBase32 = (bytes: Uint8Array): string => {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode unpadded RFC 4648 base32 (either case); null if it is not base32
+ */
+export const fromBase32 = (text: string): Buffer | null => {
+  const bytes: number[] = [];
+  let buffer = 0;
+  let bits = 0;
+
+  for (const char of text.toLowerCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      return null;
+    }
+    buffer = ((buffer << 5) | value) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((buffer >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Encode bytes as base58btc
+ */
+export const toBase58 = (bytes: Uint8Array): string => {
+  const digits: number[] = [];
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = Math.floor(carry / 58);
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = Math.floor(carry / 58);
+    }
+  }
+
+  let output = '';
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+    output += BASE58_ALPHABET[0];
+  }
+  for (let i = digits.length - 1; i >= 0; i--) {
+    output += BASE58_ALPHABET[digits[i]];
+  }
+  return output;
+};
+
+/**
+ * Decode base58btc; null if it is not base58
+ */
+export const fromBase58 = (text: string): Buffer | null => {
+  const bytes: number[] = [];
+  for (const char of text) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry === -1) {
+      return null;
+    }
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  for (let i = 0; i < text.length && text[i] === BASE58_ALPHABET[0]; i++) {
+    bytes.push(0);
+  }
+  return Buffer.from(bytes.reverse());
+};
+
+/**
+ * Read an unsigned varint at `offset`; returns the value and the offset after it
+ */
+export const readVarint = (bytes: Uint8Array, offset: number): [number, number] => {
+  let value = 0;
+  let multiplier = 1;
+  for (let i = offset; i < bytes.length && i < offset + 8; i++) {
+    value += (bytes[i] & 0x7f) * multiplier;
+    if ((bytes[i] & 0x80) === 0) {
+      return [value, i + 1];
+    }
+    multiplier *= 128;
+  }
+  throw new StorageError(400, 'Invalid varint in IPFS CID');
+};
+
+const encodeVarint = (value: number): number[] => {
+  const bytes: number[] = [];
+  while (value >= 0x80) {
+    bytes.push((value % 128) | 0x80);
+    value = Math.floor(value / 128);
+  }
+  bytes.push(value);
+  return bytes;
+};
+
+// A multihash as code, digest length and digest, checking the length matches
+const decodeMultihash = (bytes: Uint8Array, offset: number): [Multihash, number] => {
+  const [code, lengthOffset] = readVarint(bytes, offset);
+  const [length, digestOffset] = readVarint(bytes, lengthOffset);
+  const end = digestOffset + length;
+  if (end > bytes.length) {
+    throw new StorageError(400, 'Invalid IPFS CID: truncated multihash');
+  }
+  return [{ code, digest: Buffer.from(bytes.subarray(digestOffset, end)) }, end];
+};
+
+/**
+ * Parse a binary CID, such as a link inside a dag-pb node
+ */
+export const decodeCid = (bytes: Uint8Array): ParsedCid => {
+  // A CIDv0 is a bare sha2-256 multihash
+  if (bytes.length === 34 && bytes[0] === SHA2_256 && bytes[1] === 32) {
+    return { version: 0, codec: DAG_PB_CODEC, multihash: { code: SHA2_256, digest: Buffer.from(bytes.subarray(2)) } };
+  }
+
+  const [version, codecOffset] = readVarint(bytes, 0);
+  if (version !== 1) {
+    throw new StorageError(400, `Unsupported CID version ${version}`);
+  }
+  const [codec, multihashOffset] = readVarint(bytes, codecOffset);
+  const [multihash, end] = decodeMultihash(bytes, multihashOffset);
+  if (end !== bytes.length) {
+    throw new StorageError(400, 'Invalid IPFS CID: trailing bytes');
+  }
+  return { version: 1, codec, multihash };
+};
+
+/**
+ * Parse a CIDv0 or a base32/base58btc CIDv1
+ */
+export const parseCid = (cid: string): ParsedCid => {
+  let bytes: Buffer | null = null;
+  if (typeof cid === 'string' && /^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(cid)) {
+    bytes = fromBase58(cid);
+  } else if (typeof cid === 'string' && /^[bB][a-zA-Z2-7]+$/.test(cid)) {
+    bytes = fromBase32(cid.slice(1));
+  } else if (typeof cid === 'string' && /^z[1-9A-HJ-NP-Za-km-z]+$/.test(cid)) {
+    bytes = fromBase58(cid.slice(1));
+  }
+
+  if (!bytes) {
+    throw new StorageError(400, 'Invalid IPFS CID');
+  }
+  const parsed = decodeCid(bytes);
+  if (cid.startsWith('Qm') !== (parsed.version === 0)) {
+    throw new StorageError(400, 'Invalid IPFS CID');
+  }
+  return parsed;
+};
+
+const cidV1Bytes = (cid: ParsedCid): Buffer => Buffer.concat([
+  Buffer.from([1, ...encodeVarint(cid.codec), ...encodeVarint(cid.multihash.code), ...encodeVarint(cid.multihash.digest.length)]),
+  cid.multihash.digest,
+]);
+
+/**
+ * The CIDv1 of a parsed CID in base32 (`bafy...`, `bafkrei...`)
+ */
+export const formatCidV1 = (cid: ParsedCid): string => `b${toBase32(cidV1Bytes(cid))}`;
+
+/**
+ * The string form of a parsed CID in its own version
+ */
+export const formatCid = (cid: ParsedCid): string =>
+  cid.version === 0
+    ? toBase58(Buffer.concat([Buffer.from([SHA2_256, 32]), cid.multihash.digest]))
+    : formatCidV1(cid);
+
+/**
+ * Convert any CID to a base32 CIDv1
+ */
+export const toCidV1 = (cid: string): string => formatCidV1(parseCid(cid));
+
+/**
+ * Convert a CID to a CIDv0, which only exists for dag-pb content hashed with sha2-256
+ */
+export const toCidV0 = (cid: string): string => {
+  const parsed = parseCid(cid);
+  if (parsed.codec !== DAG_PB_CODEC || parsed.multihash.code !== SHA2_256 || parsed.multihash.digest.length !== 32) {
+    throw new StorageError(400, 'Only dag-pb content hashed with sha2-256 has a CIDv0');
+  }
+  return formatCid({ ...parsed, version: 0 });
+};
+
+/**
+ * The canonical form of a CID (base32 CIDv1), so v0 and v1 of the same content compare equal
+ */
+export const normalizeCid = toCidV1;
+
+/**
+ * CIDv1 (raw, sha2-256) of the given bytes, in base32 (`bafkrei...`)
+ */
+export const computeCid = (data: Uint8Array): string => {
+  const digest = createHash('sha256').update(data).digest();
+  return formatCidV1({ version: 1, codec: RAW_CODEC, multihash: { code: SHA2_256, digest } });
+};
+
+/**
+ * Whether a string is a CID this module can parse
+ */
+export const isValidCid = (cid: string): boolean => {
+  try {
+    parseCid(cid);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Reject anything but a CID before it is used in a path, key or API request
+ */
+export const assertValidCid = (cid: string): string => {
+  parseCid(cid);
+  return cid;
+};
+
+/**
+ * Whether content hashed with this multihash can be verified
+ */
+export const isSupportedMultihash = (code: number): boolean => code === IDENTITY_HASH || code in HASH_ALGORITHMS;
+
+/**
+ * The node:crypto algorithm of a multihash function
+ */
+export const getHashAlgorithm = (code: number): string => {
+  const algorithm = HASH_ALGORITHMS[code];
+  if (!algorithm) {
+    throw new StorageError(422, `Cannot verify content hashed with multihash 0x${code.toString(16)}`);
+  }
+  return algorithm;
+};
+
+/**
+ * Hash bytes with a multihash function, returning the digest
+ */
+export const hashMultihash = (code: number, data: Uint8Array): Buffer =>
+  code === IDENTITY_HASH ? Buffer.from(data) : createHash(getHashAlgorithm(code)).update(data).digest();
+
+/**
+ * Whether a block's bytes are the ones a CID addresses
+ */
+export const verifyBlock = (cid: string | ParsedCid, block: Uint8Array): boolean => {
+  const { multihash } = typeof cid === 'string' ? parseCid(cid) : cid;
+  return hashMultihash(multihash.code, block).equals(multihash.digest);
+};
+
+/**
+ * Bytes of string or binary content
+ */
+export const toBytes = (content: Buffer | Uint8Array | string): Buffer =>
+  typeof content === 'string' ? Buffer.from(content, 'utf8') : Buffer.from(content);
@@ -0,0 +1,140 @@
+/**
+ * Filesystem Storage Driver
+ *
+ * A content-addressed store in a local directory (STORAGE_FS_DIR, `.storage`
+ * by default) for development and offline deployments. Each object is saved
+ * as `<cid>` with a `<cid>.json` sidecar holding its content type and pin
+ * time; unpinning deletes both. Content is checked against its CID when it
+ * is read, so a corrupted or tampered file is not served.
+ */
+
+import { createReadStream, promises as fs } from 'fs';
+import path from 'path';
+import { StorageError, StorageProvider, StorageStat, StoredContent, StoredStream, PutOptions } from './types';
+import { computeCid, normalizeCid, toBytes, verifyBlock } from './cid';
+import { verifyRawStream } from './streams';
+
+export const DEFAULT_STORAGE_FS_DIR = '.storage';
+
+export interface FilesystemStorageConfig {
+  directory: string;
+}
+
+interface ObjectMetadata {
+  name?: string;
+  contentType: string;
+  size: number;
+  createdAt: string;
+}
+
+export const getFilesystemStorageConfig = (env: NodeJS.ProcessEnv = process.env): FilesystemStorageConfig => ({
+  directory: path.resolve(env.STORAGE_FS_DIR || DEFAULT_STORAGE_FS_DIR),
+});
+
+export class FilesystemStorageProvider implements StorageProvider {
+  readonly driver = 'filesystem' as const;
+
+  constructor(private config: FilesystemStorageConfig = getFilesystemStorageConfig()) {}
+
+  isConfigured(): boolean {
+    return Boolean(this.config.directory);
+  }
+
+  async put(content: Buffer | Uint8Array | string, options: PutOptions = {}): Promise<string> {
+    const data = toBytes(content);
+    const cid = computeCid(data);
+    const metadata: ObjectMetadata = {
+      name: options.name,
+      contentType: options.contentType || 'application/octet-stream',
+      size: data.length,
+      createdAt: new Date().toISOString(),
+    };
+
+    await fs.mkdir(this.config.directory, { recursive: true });
+    // Written under a temporary name first, so a reader never sees a partial object
+    const temporaryPath = `${this.getPath(cid)}.${process.pid}.tmp`;
+    await fs.writeFile(temporaryPath, data);
+    await fs.rename(temporaryPath, this.getPath(cid));
+    await fs.writeFile(`${this.getPath(cid)}.json`, JSON.stringify(metadata));
+
+    return cid;
+  }
+
+  async get(cid: string): Promise<StoredContent> {
+    try {
+      const data = await fs.readFile(this.getPath(cid));
+      if (!verifyBlock(cid, data)) {
+        throw new StorageError(502, `Stored content does not match ${cid}`);
+      }
+      const metadata = await this.readMetadata(cid);
+      return { data, contentType: metadata?.contentType || 'application/octet-stream' };
+    } catch (error: any) {
+      if (error.code === 'ENOENT') {
+        throw new StorageError(404, `Content ${cid} is not stored`);
+      }
+      throw error;
+    }
+  }
+
+  async stream(cid: string): Promise<StoredStream> {
+    const stat = await this.stat(cid);
+    if (!stat) {
+      throw new StorageError(404, `Content ${cid} is not stored`);
+    }
+    const metadata = await this.readMetadata(cid);
+    return {
+      contentType: metadata?.contentType || 'application/octet-stream',
+      size: stat.size,
+      body: verifyRawStream(cid, createReadStream(this.getPath(cid))),
+    };
+  }
+
+  async pin(cid: string): Promise<void> {
+    // Stored content is always kept; there is nothing to fetch content from
+    if (!(await this.stat(cid))) {
+      throw new StorageError(404, `Content ${cid} is not stored`);
+    }
+  }
+
+  async unpin(cid: string): Promise<boolean> {
+    try {
+      await fs.rm(this.getPath(cid), { force: true });
+      await fs.rm(`${this.getPath(cid)}.json`, { force: true });
+      return true;
+    } catch (error) {
+      console.error('Error removing stored content:', error);
+      return false;
+    }
+  }
+
+  async stat(cid: string): Promise<StorageStat | null> {
+    try {
+      const stats = await fs.stat(this.getPath(cid));
+      const metadata = await this.readMetadata(cid);
+      return {
+        cid,
+        size: stats.size,
+        pinned: true,
+        createdAt: metadata ? new Date(metadata.createdAt) : stats.mtime,
+      };
+    } catch (error: any) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Files are named by the base32 CIDv1 that put() returns, whichever form is asked for
+  private getPath(cid: string): string {
+    return path.join(this.config.directory, normalizeCid(cid));
+  }
+
+  private async readMetadata(cid: string): Promise<ObjectMetadata | null> {
+    try {
+      return JSON.parse(await fs.readFile(`${this.getPath(cid)}.json`, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,350 @@
+/**
+ * IPFS HTTP Gateways
+ *
+ * Content stored through Pinata or a Kubo node is on the IPFS network, so it
+ * can also be read from a gateway when the node or API is unreachable. The
+ * gateways come from IPFS_GATEWAY_URLS (comma-separated); deployments that must
+ * not reach public infrastructure set it to their own gateway or leave it empty.
+ *
+ * Gateways are not trusted with the content. They are asked for raw blocks
+ * (`?format=raw`, the trustless gateway response), every block is hashed and
+ * compared with the CID that addresses it, and files spread over several
+ * blocks are put together from verified blocks only. Responses are read up to
+ * the largest size a block can have. A gateway that returns a block that does
+ * not match, or a body too large to be one, is skipped for the longest
+ * backoff, and one that fails is skipped for a backoff that doubles with each
+ * consecutive failure. Each block is requested from the healthiest few
+ * gateways at once, and the first verified answer wins.
+ */
+
+import { StorageError, StoredContent, StoredStream } from './types';
+import {
+  DAG_JSON_CODEC,
+  DAG_PB_CODEC,
+  JSON_CODEC,
+  ParsedCid,
+  RAW_CODEC,
+  formatCid,
+  isSupportedMultihash,
+  parseCid,
+  verifyBlock,
+} from './cid';
+import { DagPbNode, UnixFsData, UnixFsType, decodeDagPbNode, decodeUnixFsData } from './unixfs';
+import { bufferStream, collectStream } from './streams';
+
+export const DEFAULT_IPFS_GATEWAYS = [
+  'https://ipfs.io/ipfs',
+  'https://dweb.link/ipfs',
+];
+
+const GATEWAY_TIMEOUT_MS = 15000;
+
+// IPFS does not move blocks larger than 2 MiB, so no verified block is bigger
+export const MAX_BLOCK_BYTES = 2 * 1024 * 1024;
+
+// Gateways asked for a block at the same time
+const GATEWAY_RACE_SIZE = 3;
+
+// Blocks of a file requested ahead of the one being passed on
+const BLOCK_PREFETCH = 4;
+
+const FAILURE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+
+// Assumed response time of a gateway that has not answered yet
+const UNKNOWN_LATENCY_MS = 1000;
+
+export interface GatewayHealth {
+  gateway: string;
+  successes: number;
+  failures: number;
+  /** Failures since the last success */
+  consecutiveFailures: number;
+  /** Blocks that did not match their CID */
+  forgeries: number;
+  /** Smoothed response time of verified blocks */
+  latencyMs?: number;
+  /** The gateway is skipped until this time (ms since the epoch) */
+  unavailableUntil?: number;
+}
+
+type GatewayFailure = 'missing' | 'failed' | 'forged';
+
+class GatewayError extends Error {
+  kind: GatewayFailure;
+
+  constructor(kind: GatewayFailure, message: string) {
+    super(message);
+    this.kind = kind;
+  }
+}
+
+const gatewayHealth = new Map<string, GatewayHealth>();
+
+const getHealth = (gateway: string): GatewayHealth => {
+  let health = gatewayHealth.get(gateway);
+  if (!health) {
+    health = { gateway, successes: 0, failures: 0, consecutiveFailures: 0, forgeries: 0 };
+    gatewayHealth.set(gateway, health);
+  }
+  return health;
+};
+
+const recordSuccess = (gateway: string, latencyMs: number) => {
+  const health = getHealth(gateway);
+  health.successes++;
+  health.consecutiveFailures = 0;
+  health.unavailableUntil = undefined;
+  health.latencyMs = health.latencyMs === undefined ? latencyMs : Math.round(health.latencyMs * 0.7 + latencyMs * 0.3);
+};
+
+const recordFailure = (gateway: string, kind: GatewayFailure) => {
+  // Content a gateway cannot find is not held against it
+  if (kind === 'missing') {
+    return;
+  }
+
+  const health = getHealth(gateway);
+  health.failures++;
+  health.consecutiveFailures++;
+  if (kind === 'forged') {
+    health.forgeries++;
+  }
+  const backoff = kind === 'forged'
+    ? MAX_BACKOFF_MS
+    : Math.min(MAX_BACKOFF_MS, FAILURE_BACKOFF_MS * 2 ** (health.consecutiveFailures - 1));
+  health.unavailableUntil = Date.now() + backoff;
+};
+
+// Lower is better: response time, scaled up by the share of failed requests
+const getScore = (health: GatewayHealth): number =>
+  (health.latencyMs ?? UNKNOWN_LATENCY_MS) * (health.successes + health.failures + 2) / (health.successes + 1);
+
+/**
+ * A snapshot of the health of every gateway that has been used
+ */
+export const getGatewayHealth = (): GatewayHealth[] => [...gatewayHealth.values()].map(health => ({ ...health }));
+
+/**
+ * Forget all gateway health, e.g. after the gateway configuration changes
+ */
+export const resetGatewayHealth = () => {
+  gatewayHealth.clear();
+};
+
+/**
+ * Gateways in the order they should be asked, healthiest first. Gateways
+ * backing off are left out, unless every gateway is and none of them forged
+ * content, so that a short outage everywhere does not make content unreadable.
+ */
+export const rankGateways = (gateways: string[], now = Date.now()): string[] => {
+  const unique = [...new Set(gateways)];
+  const byScore = (a: string, b: string) => getScore(getHealth(a)) - getScore(getHealth(b));
+
+  const available = unique.filter(gateway => (getHealth(gateway).unavailableUntil ?? 0) <= now);
+  if (available.length > 0) {
+    return available.sort(byScore);
+  }
+  return unique.filter(gateway => getHealth(gateway).forgeries === 0).sort(byScore);
+};
+
+/**
+ * The configured gateways, without trailing slashes
+ */
+export const getGatewayUrls = (env: NodeJS.ProcessEnv = process.env): string[] => {
+  const configured = env.IPFS_GATEWAY_URLS;
+  const urls = configured === undefined ? DEFAULT_IPFS_GATEWAYS : configured.split(',');
+  return urls.map(url => url.trim().replace(/\/+$/, '')).filter(Boolean);
+};
+
+/**
+ * Fetch a URL, giving up after the timeout
+ */
+export async function fetchWithTimeout(url: string, options: RequestInit = {}, timeout = GATEWAY_TIMEOUT_MS): Promise<Response> {
+  const controller = new AbortController();
+  const id = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(id);
+  }
+}
+
+// Read a gateway response, or null once it is larger than a block can be
+async function readBlock(response: Response): Promise<Buffer | null> {
+  if (Number(response.headers.get('content-length')) > MAX_BLOCK_BYTES) {
+    response.body?.cancel().catch(() => undefined);
+    return null;
+  }
+  if (!response.body) {
+    return Buffer.alloc(0);
+  }
+
+  const reader = response.body.getReader();
+  const chunks: Buffer[] = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      return Buffer.concat(chunks, size);
+    }
+    size += value.length;
+    if (size > MAX_BLOCK_BYTES) {
+      reader.cancel().catch(() => undefined);
+      return null;
+    }
+    chunks.push(Buffer.from(value));
+  }
+}
+
+// Ask one gateway for a block and check it against its CID
+async function requestBlock(gateway: string, cid: ParsedCid, controller: AbortController): Promise<Buffer> {
+  const timeout = setTimeout(() => controller.abort(), GATEWAY_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(`${gateway}/${formatCid(cid)}?format=raw`, {
+      headers: { Accept: 'application/vnd.ipld.raw' },
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      throw new GatewayError(response.status === 404 ? 'missing' : 'failed', `returned status ${response.status}`);
+    }
+
+    const block = await readBlock(response);
+    if (!block || !verifyBlock(cid, block)) {
+      // A gateway without raw block support sends the whole file, which is only a block for raw CIDs
+      const rawBlock = cid.codec === RAW_CODEC || (response.headers.get('content-type') || '').includes('application/vnd.ipld.raw');
+      throw new GatewayError(rawBlock ? 'forged' : 'failed', rawBlock ? 'returned a block that does not match the CID' : 'does not serve raw blocks');
+    }
+    return block;
+  } catch (error) {
+    throw error instanceof GatewayError ? error : new GatewayError('failed', error instanceof Error ? error.message : String(error));
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Ask several gateways for a block; resolves with the first verified block, or the failures
+function raceBlock(gateways: string[], cid: ParsedCid): Promise<Buffer | GatewayFailure[]> {
+  return new Promise(resolve => {
+    const controllers = gateways.map(() => new AbortController());
+    const failures: GatewayFailure[] = [];
+    let settled = false;
+
+    gateways.forEach((gateway, index) => {
+      const startedAt = Date.now();
+      requestBlock(gateway, cid, controllers[index]).then(block => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        recordSuccess(gateway, Date.now() - startedAt);
+        controllers.forEach((controller, other) => other !== index && controller.abort());
+        resolve(block);
+      }, (error: GatewayError) => {
+        // Requests cancelled because another gateway won are not failures
+        if (settled) {
+          return;
+        }
+        console.warn(`Gateway ${gateway} failed for ${formatCid(cid)}: ${error.message}`);
+        recordFailure(gateway, error.kind);
+        failures.push(error.kind);
+        if (failures.length === gateways.length) {
+          resolve(failures);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Fetch one block from the gateways and verify it against its CID
+ */
+export async function fetchBlock(cid: ParsedCid, gateways: string[]): Promise<Buffer> {
+  if (!isSupportedMultihash(cid.multihash.code)) {
+    throw new StorageError(422, `Cannot verify content hashed with multihash 0x${cid.multihash.code.toString(16)}`);
+  }
+
+  const ranked = rankGateways(gateways);
+  const failures: GatewayFailure[] = [];
+  for (let start = 0; start < ranked.length; start += GATEWAY_RACE_SIZE) {
+    const result = await raceBlock(ranked.slice(start, start + GATEWAY_RACE_SIZE), cid);
+    if (Buffer.isBuffer(result)) {
+      return result;
+    }
+    failures.push(...result);
+  }
+
+  if (failures.includes('forged')) {
+    throw new StorageError(502, `Gateways returned content that does not match ${formatCid(cid)}`);
+  }
+  throw new StorageError(404, `Content ${formatCid(cid)} was not found on any gateway`);
+}
+
+// Pass on the bytes of a UnixFS file node and, in order, of the blocks it links to
+async function* readFileNode(node: DagPbNode, unixFs: UnixFsData, gateways: string[]): AsyncGenerator<Buffer> {
+  if (unixFs.data?.length) {
+    yield unixFs.data;
+  }
+
+  const pending: Promise<Buffer>[] = [];
+  let next = 0;
+  const prefetch = () => {
+    while (next < node.links.length && pending.length < BLOCK_PREFETCH) {
+      const block = fetchBlock(node.links[next++].cid, gateways);
+      // Handled when it is awaited below; this keeps an early failure from being reported as unhandled
+      block.catch(() => undefined);
+      pending.push(block);
+    }
+  };
+
+  for (const link of node.links) {
+    prefetch();
+    const block = await pending.shift();
+
+    if (link.cid.codec === RAW_CODEC) {
+      yield block;
+    } else if (link.cid.codec === DAG_PB_CODEC) {
+      const child = decodeDagPbNode(block);
+      yield* readFileNode(child, decodeUnixFsData(child.data || Buffer.alloc(0)), gateways);
+    } else {
+      throw new StorageError(502, `Unexpected codec 0x${link.cid.codec.toString(16)} in a UnixFS file`);
+    }
+  }
+}
+
+/**
+ * Stream content from the gateways, one verified block at a time
+ */
+export async function streamFromGateways(cid: string, gateways: string[]): Promise<StoredStream> {
+  const root = parseCid(cid);
+  const block = await fetchBlock(root, gateways);
+
+  if (root.codec === RAW_CODEC || root.codec === JSON_CODEC || root.codec === DAG_JSON_CODEC) {
+    const contentType = root.codec === RAW_CODEC ? 'application/octet-stream' : 'application/json';
+    return bufferStream({ data: block, contentType });
+  }
+  if (root.codec !== DAG_PB_CODEC) {
+    throw new StorageError(422, `Content with codec 0x${root.codec.toString(16)} cannot be read as a file`);
+  }
+
+  const node = decodeDagPbNode(block);
+  const unixFs = node.data ? decodeUnixFsData(node.data) : null;
+  if (!unixFs || (unixFs.type !== UnixFsType.File && unixFs.type !== UnixFsType.Raw)) {
+    throw new StorageError(422, `${cid} is not a file`);
+  }
+
+  return {
+    contentType: 'application/octet-stream',
+    size: unixFs.fileSize,
+    body: readFileNode(node, unixFs, gateways),
+  };
+}
+
+/**
+ * Read content from the gateways, verified against its CID
+ */
+export async function fetchFromGateways(cid: string, gateways: string[]): Promise<StoredContent> {
+  return collectStream(await streamFromGateways(cid, gateways));
+}
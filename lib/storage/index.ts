@@ -0,0 +1,69 @@
+/**
+ * Storage Providers
+ *
+ * Shared payloads are stored through a StorageProvider selected by
+ * STORAGE_DRIVER:
+ *
+ * - `pinata` - Pinata pinning service (the default when Pinata credentials are set)
+ * - `kubo` - a self-hosted IPFS node's RPC API
+ * - `filesystem` - a local content-addressed directory for development and
+ *   offline use (the default otherwise)
+ * - `s3` - an S3-compatible bucket such as MinIO
+ *
+ * Providers hold credentials and use Node APIs, so they only run on the
+ * server; the browser goes through `/api/ipfs`.
+ */
+
+import { FilesystemStorageProvider } from './filesystem';
+import { KuboStorageProvider } from './kubo';
+import { PinataStorageProvider, getPinataStorageConfig } from './pinata';
+import { S3StorageProvider } from './s3';
+import { STORAGE_DRIVERS, StorageDriver, StorageProvider } from './types';
+
+export * from './types';
+export { computeCid, isValidCid, normalizeCid, parseCid, toCidV0, toCidV1, verifyBlock } from './cid';
+export { getGatewayHealth } from './gateways';
+export { collectStream } from './streams';
+
+let storageProvider: StorageProvider | null = null;
+
+/**
+ * The driver named by STORAGE_DRIVER, or the default for the environment
+ */
+export const getStorageDriver = (env: NodeJS.ProcessEnv = process.env): StorageDriver => {
+  const driver = env.STORAGE_DRIVER?.trim().toLowerCase();
+  if (driver) {
+    if (!STORAGE_DRIVERS.includes(driver as StorageDriver)) {
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}"; use one of ${STORAGE_DRIVERS.join(', ')}`);
+    }
+    return driver as StorageDriver;
+  }
+
+  return new PinataStorageProvider(getPinataStorageConfig(env)).isConfigured() ? 'pinata' : 'filesystem';
+};
+
+/**
+ * Create a provider for a driver, configured from the environment
+ */
+export const createStorageProvider = (driver: StorageDriver = getStorageDriver()): StorageProvider => {
+  switch (driver) {
+    case 'pinata':
+      return new PinataStorageProvider();
+    case 'kubo':
+      return new KuboStorageProvider();
+    case 's3':
+      return new S3StorageProvider();
+    case 'filesystem':
+      return new FilesystemStorageProvider();
+  }
+};
+
+/**
+ * The configured provider, created on first use
+ */
+export const getStorageProvider = (): StorageProvider => {
+  if (!storageProvider) {
+    storageProvider = createStorageProvider();
+  }
+  return storageProvider;
+};
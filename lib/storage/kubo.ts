@@ -0,0 +1,125 @@
+/**
+ * Kubo Storage Driver
+ *
+ * Adds and pins content on a self-hosted IPFS (Kubo) node through its RPC API
+ * (IPFS_API_URL, e.g. http://127.0.0.1:5001/api/v0). IPFS_API_AUTHORIZATION
+ * is sent as the Authorization header for nodes behind an authenticating
+ * proxy. The node checks the blocks it stores itself, so its answers are
+ * trusted; reads fall back to the configured IPFS gateways, whose blocks are
+ * verified here.
+ */
+
+import { Readable } from 'stream';
+import { ReadableStream as WebReadableStream } from 'stream/web';
+import { StorageError, StorageProvider, StorageStat, StoredContent, StoredStream, PutOptions } from './types';
+import { fetchFromGateways, fetchWithTimeout, getGatewayUrls, streamFromGateways } from './gateways';
+import { assertValidCid, toBytes } from './cid';
+
+export const DEFAULT_KUBO_API_URL = 'http://127.0.0.1:5001/api/v0';
+
+export interface KuboStorageConfig {
+  apiUrl: string;
+  authorization?: string;
+  fallbackGateways: string[];
+}
+
+export const getKuboStorageConfig = (env: NodeJS.ProcessEnv = process.env): KuboStorageConfig => ({
+  apiUrl: (env.IPFS_API_URL || DEFAULT_KUBO_API_URL).replace(/\/+$/, ''),
+  authorization: env.IPFS_API_AUTHORIZATION || undefined,
+  fallbackGateways: getGatewayUrls(env),
+});
+
+export class KuboStorageProvider implements StorageProvider {
+  readonly driver = 'kubo' as const;
+
+  constructor(private config: KuboStorageConfig = getKuboStorageConfig()) {}
+
+  isConfigured(): boolean {
+    return Boolean(this.config.apiUrl);
+  }
+
+  async put(content: Buffer | Uint8Array | string, options: PutOptions = {}): Promise<string> {
+    const formData = new FormData();
+    formData.append('file', new Blob([new Uint8Array(toBytes(content))], { type: options.contentType || 'application/octet-stream' }), options.name || 'upload');
+
+    const response = await this.request('add?cid-version=1&raw-leaves=true&pin=true', { body: formData });
+    const result = await response.json();
+    return result.Hash;
+  }
+
+  async get(cid: string): Promise<StoredContent> {
+    try {
+      // Only local blocks; a node searching the network for missing content would hang
+      const response = await this.request(`cat?arg=${assertValidCid(cid)}&offline=true`);
+      return {
+        data: Buffer.from(await response.arrayBuffer()),
+        contentType: 'application/octet-stream',
+      };
+    } catch (error) {
+      if (error instanceof StorageError && error.status === 400) {
+        throw error;
+      }
+      console.warn('Error reading from the IPFS node, trying gateways:', error);
+      return fetchFromGateways(cid, this.config.fallbackGateways);
+    }
+  }
+
+  async stream(cid: string): Promise<StoredStream> {
+    try {
+      const response = await this.request(`cat?arg=${assertValidCid(cid)}&offline=true`);
+      const contentLength = response.headers.get('x-content-length');
+      return {
+        contentType: 'application/octet-stream',
+        size: contentLength ? parseInt(contentLength, 10) : undefined,
+        body: Readable.fromWeb(response.body as WebReadableStream),
+      };
+    } catch (error) {
+      if (error instanceof StorageError && error.status === 400) {
+        throw error;
+      }
+      console.warn('Error reading from the IPFS node, trying gateways:', error);
+      return streamFromGateways(cid, this.config.fallbackGateways);
+    }
+  }
+
+  async pin(cid: string): Promise<void> {
+    await this.request(`pin/add?arg=${assertValidCid(cid)}`);
+  }
+
+  async unpin(cid: string): Promise<boolean> {
+    try {
+      await this.request(`pin/rm?arg=${assertValidCid(cid)}`);
+      return true;
+    } catch (error) {
+      console.error('Error unpinning content from the IPFS node:', error);
+      return false;
+    }
+  }
+
+  async stat(cid: string): Promise<StorageStat | null> {
+    const response = await this.request(`pin/ls?arg=${assertValidCid(cid)}&type=recursive`, {}, [500]);
+    const pinned = response.ok;
+
+    // `files/stat` would fetch unknown content from the network; only ask about pinned content
+    if (!pinned) {
+      return null;
+    }
+    const stat = await (await this.request(`files/stat?arg=/ipfs/${cid}`)).json();
+    return { cid, size: stat.CumulativeSize ?? stat.Size ?? 0, pinned };
+  }
+
+  // The RPC API only accepts POST; statuses in `allowed` are returned instead of thrown
+  private async request(path: string, init: RequestInit = {}, allowed: number[] = []): Promise<Response> {
+    const response = await fetchWithTimeout(`${this.config.apiUrl}/${path}`, {
+      ...init,
+      method: 'POST',
+      headers: this.config.authorization ? { Authorization: this.config.authorization } : {},
+    });
+    if (!response.ok && !allowed.includes(response.status)) {
+      // Kubo reports content it does not have as a 500
+      const status = response.status === 500 && path.startsWith('cat') ? 404 : 502;
+      throw new StorageError(status, `IPFS node request ${path.split('?')[0]} failed with status ${response.status}`);
+    }
+    return response;
+  }
+}
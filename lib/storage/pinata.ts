@@ -0,0 +1,124 @@
+/**
+ * Pinata Storage Driver
+ *
+ * Pins content through the Pinata API and reads it from the Pinata gateway
+ * and the configured IPFS gateways, checking every block against its CID. Uses PINATA_JWT or
+ * PINATA_API_KEY / PINATA_SECRET_KEY, or the NEXT_PUBLIC_ variants the browser
+ * uploader used before uploads went through `/api/ipfs`.
+ */
+
+import { StorageError, StorageProvider, StorageStat, StoredContent, StoredStream, PutOptions } from './types';
+import { fetchFromGateways, getGatewayUrls, streamFromGateways } from './gateways';
+import { assertValidCid, toBytes } from './cid';
+
+const PINATA_API_URL = 'https://api.pinata.cloud';
+
+export interface PinataStorageConfig {
+  jwt?: string;
+  apiKey?: string;
+  secretApiKey?: string;
+  gatewayUrl: string;
+  /** Gateways raced with the Pinata gateway */
+  fallbackGateways: string[];
+}
+
+export const getPinataStorageConfig = (env: NodeJS.ProcessEnv = process.env): PinataStorageConfig => ({
+  jwt: env.PINATA_JWT || env.NEXT_PUBLIC_PINATA_JWT,
+  apiKey: env.PINATA_API_KEY || env.NEXT_PUBLIC_PINATA_API_KEY,
+  secretApiKey: env.PINATA_SECRET_KEY || env.NEXT_PUBLIC_PINATA_SECRET_API_KEY,
+  gatewayUrl: (env.PINATA_GATEWAY_URL || env.NEXT_PUBLIC_PINATA_GATEWAY_URL || 'https://gateway.pinata.cloud/ipfs').replace(/\/+$/, ''),
+  fallbackGateways: getGatewayUrls(env),
+});
+
+export class PinataStorageProvider implements StorageProvider {
+  readonly driver = 'pinata' as const;
+
+  constructor(private config: PinataStorageConfig = getPinataStorageConfig()) {}
+
+  isConfigured(): boolean {
+    return Boolean(this.config.jwt || (this.config.apiKey && this.config.secretApiKey));
+  }
+
+  async put(content: Buffer | Uint8Array | string, options: PutOptions = {}): Promise<string> {
+    const name = options.name || `Upload-${Date.now()}`;
+    const formData = new FormData();
+    formData.append('file', new Blob([new Uint8Array(toBytes(content))], { type: options.contentType || 'application/octet-stream' }), name);
+    formData.append('pinataMetadata', JSON.stringify({ name, keyvalues: { timestamp: Date.now().toString() } }));
+    formData.append('pinataOptions', JSON.stringify({ cidVersion: 1 }));
+
+    const result = await this.request('/pinning/pinFileToIPFS', { method: 'POST', body: formData });
+    return result.IpfsHash;
+  }
+
+  async get(cid: string): Promise<StoredContent> {
+    return fetchFromGateways(cid, this.getGateways());
+  }
+
+  async stream(cid: string): Promise<StoredStream> {
+    return streamFromGateways(cid, this.getGateways());
+  }
+
+  async pin(cid: string): Promise<void> {
+    await this.request('/pinning/pinByHash', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ hashToPin: assertValidCid(cid) }),
+    });
+  }
+
+  async unpin(cid: string): Promise<boolean> {
+    try {
+      await this.request(`/pinning/unpin/${assertValidCid(cid)}`, { method: 'DELETE' });
+      return true;
+    } catch (error) {
+      console.error('Error unpinning content from Pinata:', error);
+      return false;
+    }
+  }
+
+  async stat(cid: string): Promise<StorageStat | null> {
+    const result = await this.request(`/data/pinList?status=pinned&hashContains=${assertValidCid(cid)}`);
+    const pin = (result.rows || []).find((row: any) => row.ipfs_pin_hash === cid);
+    if (!pin) {
+      return null;
+    }
+
+    return {
+      cid,
+      size: pin.size || 0,
+      pinned: true,
+      createdAt: pin.date_pinned ? new Date(pin.date_pinned) : undefined,
+    };
+  }
+
+  private async request(path: string, init: RequestInit = {}): Promise<any> {
+    if (!this.isConfigured()) {
+      throw new StorageError(503, 'Pinata credentials not configured');
+    }
+
+    const response = await fetch(`${PINATA_API_URL}${path}`, {
+      ...init,
+      headers: { ...init.headers, ...this.getAuthHeaders() },
+    });
+    if (!response.ok) {
+      throw new StorageError(502, `Pinata request ${path} failed with status ${response.status}`);
+    }
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : {};
+  }
+
+  private getGateways(): string[] {
+    return [this.config.gatewayUrl, ...this.config.fallbackGateways];
+  }
+
+  private getAuthHeaders(): Record<string, string> {
+    if (this.config.jwt) {
+      return { Authorization: `Bearer ${this.config.jwt}` };
+    }
+    return {
+      pinata_api_key: this.config.apiKey as string,
+      pinata_secret_api_key: this.config.secretApiKey as string,
+    };
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * S3 Storage Driver
+ *
+ * Stores content in an S3-compatible bucket (AWS S3, MinIO, Ceph) under its
+ * CID, so the same bytes are only stored once. Requests use path-style URLs
+ * and are signed with AWS Signature Version 4, which every S3-compatible
+ * server accepts, so no SDK is needed. Configured with S3_ENDPOINT,
+ * S3_REGION, S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY and an
+ * optional S3_PREFIX for the object keys. Objects are checked against their
+ * CID when they are read, since the bucket is outside this server's control.
+ */
+
+import { createHash, createHmac } from 'crypto';
+import { Readable } from 'stream';
+import { ReadableStream as WebReadableStream } from 'stream/web';
+import { StorageError, StorageProvider, StorageStat, StoredContent, StoredStream, PutOptions } from './types';
+import { fetchWithTimeout } from './gateways';
+import { computeCid, normalizeCid, toBytes, verifyBlock } from './cid';
+import { verifyRawStream } from './streams';
+
+export const DEFAULT_S3_REGION = 'us-east-1';
+
+export interface S3StorageConfig {
+  endpoint: string;
+  region: string;
+  bucket?: string;
+  accessKeyId?: string;
+  secretAccessKey?: string;
+  prefix: string;
+}
+
+export interface S3SigningOptions {
+  method: string;
+  url: string;
+  /** Headers to sign; host, x-amz-date and x-amz-content-sha256 are added */
+  headers?: Record<string, string>;
+  payloadHash: string;
+  accessKeyId: string;
+  secretAccessKey: string;
+  region: string;
+  date?: Date;
+}
+
+export const getS3StorageConfig = (env: NodeJS.ProcessEnv = process.env): S3StorageConfig => {
+  const region = env.S3_REGION || DEFAULT_S3_REGION;
+  return {
+    endpoint: (env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, ''),
+    region,
+    bucket: env.S3_BUCKET,
+    accessKeyId: env.S3_ACCESS_KEY_ID,
+    secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+    prefix: env.S3_PREFIX || '',
+  };
+};
+
+const sha256Hex = (data: string | Buffer): string => createHash('sha256').update(data).digest('hex');
+
+const hmac = (key: string | Buffer, data: string): Buffer => createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding, as SigV4 expects for query parameters
+const encodeRfc3986 = (value: string): string =>
+  encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Sign a request with AWS Signature Version 4 and return the headers to send
+ */
+export const signS3Request = (options: S3SigningOptions): Record<string, string> => {
+  const url = new URL(options.url);
+  const amzDate = (options.date || new Date()).toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const day = amzDate.slice(0, 8);
+  const scope = `${day}/${options.region}/s3/aws4_request`;
+
+  const headers: Record<string, string> = {
+    ...options.headers,
+    host: url.host,
+    'x-amz-content-sha256': options.payloadHash,
+    'x-amz-date': amzDate,
+  };
+  const canonicalHeaders = Object.keys(headers)
+    .map(name => [name.toLowerCase(), String(headers[name]).trim().replace(/\s+/g, ' ')])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const signedHeaders = canonicalHeaders.map(([name]) => name).join(';');
+
+  const canonicalQuery = [...url.searchParams.entries()]
+    .map(([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(value)}`)
+    .sort()
+    .join('&');
+
+  const canonicalRequest = [
+    options.method,
+    url.pathname,
+    canonicalQuery,
+    canonicalHeaders.map(([name, value]) => `${name}:${value}\n`).join(''),
+    signedHeaders,
+    options.payloadHash,
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${options.secretAccessKey}`, day), options.region), 's3'), 'aws4_request');
+  const signature = createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...headers,
+    authorization: `AWS4-HMAC-SHA256 Credential=${options.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+};
+
+export class S3StorageProvider implements StorageProvider {
+  readonly driver = 's3' as const;
+
+  constructor(private config: S3StorageConfig = getS3StorageConfig()) {}
+
+  isConfigured(): boolean {
+    return Boolean(this.config.bucket && this.config.accessKeyId && this.config.secretAccessKey);
+  }
+
+  async put(content: Buffer | Uint8Array | string, options: PutOptions = {}): Promise<string> {
+    const data = toBytes(content);
+    const cid = computeCid(data);
+    await this.request('PUT', cid, {
+      body: data,
+      headers: { 'content-type': options.contentType || 'application/octet-stream' },
+    });
+    return cid;
+  }
+
+  async get(cid: string): Promise<StoredContent> {
+    const response = await this.request('GET', cid);
+    if (response.status === 404) {
+      throw new StorageError(404, `Content ${cid} is not stored`);
+    }
+    const data = Buffer.from(await response.arrayBuffer());
+    if (!verifyBlock(cid, data)) {
+      throw new StorageError(502, `Stored object does not match ${cid}`);
+    }
+    return { data, contentType: response.headers.get('content-type') || 'application/octet-stream' };
+  }
+
+  async stream(cid: string): Promise<StoredStream> {
+    const response = await this.request('GET', cid);
+    if (response.status === 404) {
+      throw new StorageError(404, `Content ${cid} is not stored`);
+    }
+    const contentLength = response.headers.get('content-length');
+    return {
+      contentType: response.headers.get('content-type') || 'application/octet-stream',
+      size: contentLength ? parseInt(contentLength, 10) : undefined,
+      body: verifyRawStream(cid, Readable.fromWeb(response.body as WebReadableStream)),
+    };
+  }
+
+  async pin(cid: string): Promise<void> {
+    // Objects are kept until they are deleted; content that was never put cannot be pinned
+    if (!(await this.stat(cid))) {
+      throw new StorageError(404, `Content ${cid} is not stored`);
+    }
+  }
+
+  async unpin(cid: string): Promise<boolean> {
+    try {
+      await this.request('DELETE', cid);
+      return true;
+    } catch (error) {
+      console.error('Error deleting object from S3:', error);
+      return false;
+    }
+  }
+
+  async stat(cid: string): Promise<StorageStat | null> {
+    const response = await this.request('HEAD', cid);
+    if (response.status === 404) {
+      return null;
+    }
+    const lastModified = response.headers.get('last-modified');
+    return {
+      cid,
+      size: parseInt(response.headers.get('content-length') || '0', 10),
+      pinned: true,
+      createdAt: lastModified ? new Date(lastModified) : undefined,
+    };
+  }
+
+  // 404s are returned to the caller; other failures throw
+  private async request(
+    method: string,
+    cid: string,
+    { body, headers }: { body?: Buffer; headers?: Record<string, string> } = {}
+  ): Promise<Response> {
+    if (!this.isConfigured()) {
+      throw new StorageError(503, 'S3 storage is not configured');
+    }
+
+    const url = `${this.config.endpoint}/${this.config.bucket}/${this.config.prefix}${normalizeCid(cid)}`;
+    const signedHeaders = signS3Request({
+      method,
+      url,
+      headers,
+      payloadHash: sha256Hex(body || ''),
+      accessKeyId: this.config.accessKeyId as string,
+      secretAccessKey: this.config.secretAccessKey as string,
+      region: this.config.region,
+    });
+    // `host` is set by fetch itself
+    const requestHeaders = { ...signedHeaders };
+    delete requestHeaders.host;
+
+    const response = await fetchWithTimeout(url, { method, headers: requestHeaders, body: body ? new Uint8Array(body) : undefined });
+    if (!response.ok && response.status !== 404) {
+      throw new StorageError(502, `S3 ${method} ${cid} failed with status ${response.status}`);
+    }
+    return response;
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * Stored Content Streams
+ *
+ * Helpers for StoredStream, which the drivers return so that large files can
+ * be passed on as they arrive instead of being buffered in memory.
+ */
+
+import { createHash } from 'crypto';
+import { StorageError, StoredContent, StoredStream } from './types';
+import { RAW_CODEC, getHashAlgorithm, parseCid } from './cid';
+
+/**
+ * A stream of content that is already in memory
+ */
+export const bufferStream = (content: StoredContent): StoredStream => ({
+  contentType: content.contentType,
+  size: content.data.length,
+  body: (async function* () {
+    yield content.data;
+  })(),
+});
+
+/**
+ * Read a whole stream into memory
+ */
+export async function collectStream(stream: StoredStream): Promise<StoredContent> {
+  const chunks: Buffer[] = [];
+  for await (const chunk of stream.body) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return { data: Buffer.concat(chunks), contentType: stream.contentType };
+}
+
+/**
+ * Pass on the chunks of content addressed by a raw-codec CID, hashing them on
+ * the way. The hash can only be checked once the last chunk has gone out, so
+ * a mismatch ends the stream with an error instead of completing it.
+ */
+export async function* verifyRawStream(cid: string, chunks: AsyncIterable<Buffer | Uint8Array>): AsyncGenerator<Buffer> {
+  const { codec, multihash } = parseCid(cid);
+  if (codec !== RAW_CODEC) {
+    throw new StorageError(422, `Cannot verify ${cid} as a single block`);
+  }
+
+  const hash = createHash(getHashAlgorithm(multihash.code));
+  for await (const chunk of chunks) {
+    const buffer = Buffer.from(chunk);
+    hash.update(buffer);
+    yield buffer;
+  }
+
+  if (!hash.digest().equals(multihash.digest)) {
+    throw new StorageError(502, `Content does not match ${cid}`);
+  }
+}
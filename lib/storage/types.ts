@@ -0,0 +1,80 @@
+/**
+ * Storage Provider Types
+ */
+
+export const STORAGE_DRIVERS = ['pinata', 'kubo', 'filesystem', 's3'] as const;
+
+export type StorageDriver = typeof STORAGE_DRIVERS[number];
+
+export interface PutOptions {
+  /** Name shown by the backend, e.g. in the Pinata dashboard */
+  name?: string;
+  contentType?: string;
+}
+
+export interface StoredContent {
+  data: Buffer;
+  contentType: string;
+}
+
+/**
+ * Content read as a stream of chunks, for files too large to buffer
+ */
+export interface StoredStream {
+  contentType: string;
+  /** Size in bytes, when the backend knows it before sending the content */
+  size?: number;
+  body: AsyncIterable<Buffer>;
+}
+
+export interface StorageStat {
+  cid: string;
+  size: number;
+  pinned: boolean;
+  createdAt?: Date;
+}
+
+/**
+ * A content-addressed store for shared payloads. Content is identified by the
+ * CID the provider returns from `put`.
+ */
+export interface StorageProvider {
+  readonly driver: StorageDriver;
+
+  /** Whether the provider has the configuration it needs */
+  isConfigured(): boolean;
+
+  /** Store content and return its CID */
+  put(content: Buffer | Uint8Array | string, options?: PutOptions): Promise<string>;
+
+  /** Read content; throws a 404 StorageError when it is not stored */
+  get(cid: string): Promise<StoredContent>;
+
+  /**
+   * Read content as a stream. Content that fails verification against its
+   * CID makes the stream throw before the forged bytes are yielded where the
+   * backend serves blocks, or at the end where it serves whole files.
+   */
+  stream(cid: string): Promise<StoredStream>;
+
+  /** Keep content that is already known to the backend */
+  pin(cid: string): Promise<void>;
+
+  /** Release content; returns false when the backend refused */
+  unpin(cid: string): Promise<boolean>;
+
+  /** Size and pin state, or null when the content is not stored */
+  stat(cid: string): Promise<StorageStat | null>;
+}
+
+/**
+ * Error raised by a storage provider, with the HTTP status to report
+ */
+export class StorageError extends Error {
+  status: number;
+
+  constructor(status: number, message: string) {
+    super(message);
+    this.status = status;
+  }
+}
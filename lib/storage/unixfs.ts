@@ -0,0 +1,144 @@
+/**
+ * dag-pb and UnixFS Decoding
+ *
+ * Files added to IPFS without raw leaves, and every file larger than one
+ * chunk, are a tree of dag-pb nodes whose leaves hold the bytes. Gateways are
+ * asked for these nodes one block at a time, so that each block can be checked
+ * against the CID that links to it before its bytes are used. This decodes
+ * the two protobuf messages involved:
+ *
+ * - PBNode { Data = 1; repeated PBLink Links = 2 }, PBLink { Hash = 1; Name = 2; Tsize = 3 }
+ * - UnixFS Data { Type = 1; Data = 2; filesize = 3; blocksizes = 4; ... }
+ */
+
+import { StorageError } from './types';
+import { ParsedCid, decodeCid, readVarint } from './cid';
+
+export enum UnixFsType {
+  Raw = 0,
+  Directory = 1,
+  File = 2,
+  Metadata = 3,
+  Symlink = 4,
+  HAMTShard = 5,
+}
+
+export interface DagPbLink {
+  cid: ParsedCid;
+  name?: string;
+  size?: number;
+}
+
+export interface DagPbNode {
+  data?: Buffer;
+  links: DagPbLink[];
+}
+
+export interface UnixFsData {
+  type: UnixFsType;
+  data?: Buffer;
+  fileSize?: number;
+}
+
+type ProtobufField = { field: number; value: number | Buffer };
+
+// A malformed block is the fault of the content, not of the request
+const readBlockVarint = (bytes: Uint8Array, offset: number): [number, number] => {
+  try {
+    return readVarint(bytes, offset);
+  } catch {
+    throw new StorageError(502, 'Invalid dag-pb block: bad varint');
+  }
+};
+
+// Split a protobuf message into fields; only varint and length-delimited values are kept
+const readFields = (bytes: Uint8Array): ProtobufField[] => {
+  const fields: ProtobufField[] = [];
+  let offset = 0;
+
+  while (offset < bytes.length) {
+    const [key, valueOffset] = readBlockVarint(bytes, offset);
+    const field = Math.floor(key / 8);
+    const wireType = key & 7;
+
+    if (wireType === 0) {
+      const [value, next] = readBlockVarint(bytes, valueOffset);
+      fields.push({ field, value });
+      offset = next;
+    } else if (wireType === 2) {
+      const [length, start] = readBlockVarint(bytes, valueOffset);
+      if (start + length > bytes.length) {
+        throw new StorageError(502, 'Invalid dag-pb block: truncated field');
+      }
+      fields.push({ field, value: Buffer.from(bytes.subarray(start, start + length)) });
+      offset = start + length;
+    } else if (wireType === 1 || wireType === 5) {
+      offset = valueOffset + (wireType === 1 ? 8 : 4);
+    } else {
+      throw new StorageError(502, `Invalid dag-pb block: wire type ${wireType}`);
+    }
+  }
+
+  return fields;
+};
+
+const decodeLinkCid = (bytes: Buffer): ParsedCid => {
+  try {
+    return decodeCid(bytes);
+  } catch {
+    throw new StorageError(502, 'Invalid dag-pb block: bad link hash');
+  }
+};
+
+/**
+ * Decode a dag-pb block into its data and links
+ */
+export const decodeDagPbNode = (block: Uint8Array): DagPbNode => {
+  const node: DagPbNode = { links: [] };
+
+  for (const { field, value } of readFields(block)) {
+    if (field === 1 && Buffer.isBuffer(value)) {
+      node.data = value;
+    } else if (field === 2 && Buffer.isBuffer(value)) {
+      const link: Partial<DagPbLink> = {};
+      for (const linkField of readFields(value)) {
+        if (linkField.field === 1 && Buffer.isBuffer(linkField.value)) {
+          link.cid = decodeLinkCid(linkField.value);
+        } else if (linkField.field === 2 && Buffer.isBuffer(linkField.value)) {
+          link.name = linkField.value.toString('utf8');
+        } else if (linkField.field === 3 && typeof linkField.value === 'number') {
+          link.size = linkField.value;
+        }
+      }
+      if (!link.cid) {
+        throw new StorageError(502, 'Invalid dag-pb block: link without a hash');
+      }
+      node.links.push(link as DagPbLink);
+    }
+  }
+
+  return node;
+};
+
+/**
+ * Decode the UnixFS metadata in a dag-pb node's data
+ */
+export const decodeUnixFsData = (data: Uint8Array): UnixFsData => {
+  let type: UnixFsType | undefined;
+  const unixFs: Partial<UnixFsData> = {};
+
+  for (const { field, value } of readFields(data)) {
+    if (field === 1 && typeof value === 'number') {
+      type = value;
+    } else if (field === 2 && Buffer.isBuffer(value)) {
+      unixFs.data = value;
+    } else if (field === 3 && typeof value === 'number') {
+      unixFs.fileSize = value;
+    }
+  }
+
+  if (type === undefined) {
+    throw new StorageError(502, 'Invalid UnixFS node: missing type');
+  }
+  return { ...unixFs, type };
+};
@@ -0,0 +1,136 @@
+/**
+ * Clinic Records Change Feed
+ *
+ * Offline clients pull what changed on the server since their last sync from
+ * GET /api/sync/changes: every record of the clinic REST API (lib/clinic-records.ts)
+ * created or updated after the client's cursor, and every record deleted
+ * since, from the SyncDeletion tombstones. Changes are ordered by time, then
+ * table, then id, and the cursor is the position of the last change returned,
+ * so a page boundary between changes made in the same millisecond skips nothing.
+ *
+ * The newest changes are held back for a moment, so that a write still being
+ * committed with an earlier timestamp is not skipped by a cursor that has
+ * already moved past it.
+ */
+
+import { prisma } from '@/lib/prisma';
+import { ClinicResourceName, CLINIC_RESOURCES } from '@/lib/clinic-records';
+
+export const DEFAULT_FEED_LIMIT = 500;
+export const MAX_FEED_LIMIT = 1000;
+
+// Changes younger than this are left for the next pull
+export const FEED_SETTLE_MS = 2000;
+
+const FEED_TABLES = Object.keys(CLINIC_RESOURCES) as ClinicResourceName[];
+
+// Tombstones are ordered after the records of the same instant
+const DELETIONS = FEED_TABLES.length;
+
+export interface SyncFeedChange {
+  entityType: ClinicResourceName;
+  action: 'upsert' | 'delete';
+  id: string;
+  /** The record as the REST API returns it; absent for deletions */
+  record?: Record<string, unknown>;
+  /** When the record was last written or deleted */
+  changedAt: Date;
+}
+
+export interface SyncFeedPage {
+  changes: SyncFeedChange[];
+  /** Pass as `since` to continue after the last change */
+  cursor: string | null;
+  hasMore: boolean;
+}
+
+interface FeedPosition {
+  /** Time in ms since the epoch */
+  t: number;
+  /** Table index; DELETIONS for tombstones */
+  e: number;
+  id: string;
+}
+
+interface FeedRow {
+  position: FeedPosition;
+  change: SyncFeedChange;
+}
+
+export const encodeFeedCursor = (position: FeedPosition): string =>
+  Buffer.from(JSON.stringify(position)).toString('base64url');
+
+/**
+ * Decode a cursor from the feed; throws for anything the feed did not issue
+ */
+export const decodeFeedCursor = (cursor: string): FeedPosition => {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isFinite(position.t) && Number.isInteger(position.e) && typeof position.id === 'string') {
+      return position;
+    }
+  } catch {
+    // Reported below
+  }
+  throw new Error('Invalid sync cursor');
+};
+
+// Rows of one stream that come after the cursor in (time, table, id) order
+const afterCursor = (timeField: string, index: number, since: FeedPosition | null) => {
+  if (!since) {
+    return {};
+  }
+  const time = new Date(since.t);
+  if (index > since.e) {
+    return { [timeField]: { gte: time } };
+  }
+  if (index < since.e) {
+    return { [timeField]: { gt: time } };
+  }
+  return { OR: [{ [timeField]: { gt: time } }, { [timeField]: time, id: { gt: since.id } }] };
+};
+
+const comparePositions = (a: FeedPosition, b: FeedPosition): number =>
+  a.t - b.t || a.e - b.e || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+/**
+ * Read the changes after a cursor (from the beginning when it is null)
+ */
+export async function readChangeFeed(
+  since: string | null,
+  limit = DEFAULT_FEED_LIMIT,
+  now = Date.now()
+): Promise<SyncFeedPage> {
+  const position = since ? decodeFeedCursor(since) : null;
+  const settled = new Date(now - FEED_SETTLE_MS);
+
+  // One more row than requested from every stream tells whether anything is left
+  const query = (timeField: string, index: number) => ({
+    where: { AND: [afterCursor(timeField, index, position), { [timeField]: { lte: settled } }] },
+    orderBy: [{ [timeField]: 'asc' }, { id: 'asc' }],
+    take: limit + 1,
+  });
+
+  const [records, deletions] = await Promise.all([
+    Promise.all(FEED_TABLES.map((name, index) => prisma[CLINIC_RESOURCES[name].model].findMany(query('updatedAt', index)))),
+    prisma.syncDeletion.findMany(query('deletedAt', DELETIONS)),
+  ]);
+
+  const rows: FeedRow[] = [
+    ...FEED_TABLES.flatMap((name, index) => records[index].map((record): FeedRow => ({
+      position: { t: new Date(record.updatedAt).getTime(), e: index, id: record.id },
+      change: { entityType: name, action: 'upsert', id: record.id, record, changedAt: record.updatedAt },
+    }))),
+    ...deletions.map((deletion): FeedRow => ({
+      position: { t: new Date(deletion.deletedAt).getTime(), e: DELETIONS, id: deletion.id },
+      change: { entityType: deletion.entityType, action: 'delete', id: deletion.recordId, changedAt: deletion.deletedAt },
+    })),
+  ].sort((a, b) => comparePositions(a.position, b.position));
+
+  const page = rows.slice(0, limit);
+  return {
+    changes: page.map(row => row.change),
+    cursor: page.length ? encodeFeedCursor(page[page.length - 1].position) : since,
+    hasMore: rows.length > limit,
+  };
+}
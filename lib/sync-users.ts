@@ -1,6 +1,7 @@
 import { db, UserType } from './db';
 import { v4 as uuidv4 } from 'uuid';
 import bcrypt from 'bcryptjs';
+import { getKeySlotId } from './vault/keys';
 
 // Function to sync a new user to the offline database
 export async function syncUserToOfflineDB(userData: {
@@ -13,6 +14,10 @@ export async function syncUserToOfflineDB(userData: {
   try {
     // Check if user already exists in offline DB
     const existingUser = await db.users.where('email').equals(userData.email).first();
+
+    // Once the login has a key slot, the slot checks the password and the
+    // bcrypt hash is no longer kept in the unsealed users table
+    const hasKeySlot = !!(await db.keySlots.get(getKeySlotId({ kind: 'password', subject: userData.email })));
     
     if (existingUser) {
       // Update existing user
@@ -25,8 +30,10 @@ export async function syncUserToOfflineDB(userData: {
         role: role
       };
       
-      // Add password only if provided
-      if (userData.password) {
+      // Add password only if provided and no key slot checks it
+      if (hasKeySlot) {
+        updateData.password = undefined;
+      } else if (userData.password) {
         updateData.password = userData.password;
       }
       
@@ -39,8 +46,8 @@ export async function syncUserToOfflineDB(userData: {
       return { success: true, message: 'User updated in offline database' };
     } else {
       // Create new user
-      // Only add user if we have a password
-      if (!userData.password) {
+      // Only add user if we have a password or a key slot to check logins
+      if (!userData.password && !hasKeySlot) {
         return { success: false, message: 'Password required for new users' };
       }
       
@@ -48,7 +55,7 @@ export async function syncUserToOfflineDB(userData: {
         id: userData.id || uuidv4(),
         name: userData.name,
         email: userData.email,
-        password: userData.password,
+        password: hasKeySlot ? undefined : userData.password,
         role: userData.role as 'ADMIN' | 'DOCTOR' | 'STAFF',
         createdAt: new Date(),
         updatedAt: new Date()
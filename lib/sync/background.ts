@@ -0,0 +1,106 @@
+/**
+ * Background Sync
+ *
+ * Pending changes are pushed by the service worker (worker/index.ts) as well
+ * as by the open pages, so they go out once the device is back online even if
+ * nobody has the app open. Queuing a change registers a one-off Background
+ * Sync, which the browser fires when it has a connection and retries when the
+ * sync fails. Installed apps also register a periodic sync, and browsers with
+ * neither fall back on SyncManager's timer while a page is open.
+ *
+ * The worker reports every sync it runs to the open pages with a
+ * BackgroundSyncMessage.
+ */
+
+import type { SyncResult } from './engine';
+
+export const SYNC_TAG = 'ehr-wallet-sync';
+
+export const PERIODIC_SYNC_TAG = 'ehr-wallet-periodic-sync';
+
+// Browsers treat this as a lower bound and may sync far less often
+export const PERIODIC_SYNC_INTERVAL_MS = 15 * 60 * 1000;
+
+export const SYNC_MESSAGE_TYPE = 'ehr-wallet-sync';
+
+export interface BackgroundSyncMessage {
+  type: typeof SYNC_MESSAGE_TYPE;
+  /** The sync that finished */
+  result?: SyncResult;
+  /** Why the sync failed; `status` is 0 when the server was not reached */
+  error?: { status: number; message: string };
+}
+
+// The Background Sync APIs are not in the standard TypeScript types
+interface SyncRegistration extends ServiceWorkerRegistration {
+  sync?: {
+    register(tag: string): Promise<void>;
+  };
+  periodicSync?: {
+    register(tag: string, options: { minInterval: number }): Promise<void>;
+  };
+}
+
+async function getRegistration(): Promise<SyncRegistration | undefined> {
+  if (typeof window === 'undefined' || !('serviceWorker' in navigator)) {
+    return undefined;
+  }
+  return navigator.serviceWorker.getRegistration();
+}
+
+/**
+ * Ask the service worker to sync once the device is online. Returns false
+ * when the browser cannot, leaving the sync to the open pages.
+ */
+export async function requestBackgroundSync(): Promise<boolean> {
+  try {
+    const registration = await getRegistration();
+    if (!registration?.sync) {
+      return false;
+    }
+    await registration.sync.register(SYNC_TAG);
+    return true;
+  } catch (error) {
+    console.warn('Could not register a background sync:', error);
+    return false;
+  }
+}
+
+/**
+ * Have the service worker sync every so often, where the browser allows it
+ * (installed apps in Chromium). Returns whether it was registered.
+ */
+export async function registerPeriodicSync(): Promise<boolean> {
+  try {
+    const registration = await getRegistration();
+    if (!registration?.periodicSync) {
+      return false;
+    }
+    const permission = await navigator.permissions.query({ name: 'periodic-background-sync' as PermissionName });
+    if (permission.state !== 'granted') {
+      return false;
+    }
+    await registration.periodicSync.register(PERIODIC_SYNC_TAG, { minInterval: PERIODIC_SYNC_INTERVAL_MS });
+    return true;
+  } catch (error) {
+    console.warn('Could not register a periodic sync:', error);
+    return false;
+  }
+}
+
+/**
+ * Listen for the syncs the service worker runs; returns a function that stops listening
+ */
+export function onBackgroundSync(listener: (message: BackgroundSyncMessage) => void): () => void {
+  if (typeof window === 'undefined' || !('serviceWorker' in navigator)) {
+    return () => {};
+  }
+
+  const handleMessage = (event: MessageEvent) => {
+    if (event.data?.type === SYNC_MESSAGE_TYPE) {
+      listener(event.data);
+    }
+  };
+  navigator.serviceWorker.addEventListener('message', handleMessage);
+  return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+}
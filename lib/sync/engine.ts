@@ -0,0 +1,520 @@
+/**
+ * Offline Sync Engine
+ *
+ * Keeps the synced Dexie tables and the clinic REST API (lib/clinic-records.ts)
+ * in step. A sync pushes the pending changes (./queue.ts) in the order they
+ * were made, then pulls the server's change feed (/api/sync/changes) from the
+ * cursor of the last pull. Every step can be repeated safely: a create that
+ * already reached the server comes back as a 409 with the stored record, a
+ * delete of a record that is gone as a 404, and an update whose result is
+ * already stored as a 412 with a matching record.
+ *
+ * Updates and deletes are sent with `If-Match` for the version they were made
+ * on. When the record changed or was deleted on the server since, the change
+ * is a conflict. Under the `last-writer-wins` policy the later edit is kept
+ * (a deletion on the server always wins, as its time is not known); under
+ * `manual` the conflict is stored in syncConflicts for the user to resolve in
+ * SyncManager, and pulls leave the record alone until then. Changes the server
+ * refuses, such as a double booking, are always stored as conflicts.
+ *
+ * A change that fails for any other reason is retried with backoff and set
+ * aside as a dead letter once it keeps failing (./retry.ts). Syncs run in the
+ * open pages and in the service worker (./background.ts); a Web Lock keeps
+ * them from running at the same time.
+ */
+
+// Relative imports: the service worker bundle has no path aliases
+import { db, DeadLetterType, PendingChangeType, SyncConflictType } from '../db';
+import {
+  CASCADES,
+  SyncedRecord,
+  SyncedTable,
+  getRecordVersion,
+  recordChange,
+} from './queue';
+import { isRetryDue, recordPushFailure } from './retry';
+
+export type ConflictPolicy = 'last-writer-wins' | 'manual';
+
+export const DEFAULT_CONFLICT_POLICY: ConflictPolicy = 'manual';
+
+export const PULL_PAGE_SIZE = 500;
+
+export const SYNC_LOCK_NAME = 'ehr-wallet-sync';
+
+export const RESOURCE_PATHS: Record<SyncedTable, string> = {
+  patients: 'patients',
+  visits: 'visits',
+  providers: 'providers',
+  appointmentTypes: 'appointment-types',
+  timeSlots: 'time-slots',
+  appointments: 'appointments',
+};
+
+// Fields Dexie stores as Date objects
+const DATE_FIELDS = ['date', 'startTime', 'endTime', 'createdAt', 'updatedAt'];
+
+// Fields the server maintains itself
+const SERVER_FIELDS = ['id', 'createdAt', 'updatedAt', 'versionId', 'lastVisit'];
+
+export interface SyncResult {
+  /** Pending changes settled with the server */
+  pushed: number;
+  /** Server changes applied locally */
+  pulled: number;
+  /** Conflicts stored for the user */
+  conflicts: number;
+  /** Changes set aside after failing too often */
+  deadLettered: number;
+  /** When the first pending change, waiting out its backoff, is due again */
+  retryAt: Date | null;
+  /** Changes still waiting to be pushed */
+  pending: number;
+}
+
+/**
+ * A sync step that cannot go on; `status` is 0 when the server was not reached
+ */
+export class SyncError extends Error {
+  status: number;
+
+  constructor(status: number, message: string) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// A change from /api/sync/changes (lib/sync-feed.ts)
+interface FeedChange {
+  entityType: SyncedTable;
+  action: 'upsert' | 'delete';
+  id: string;
+  record?: Record<string, unknown>;
+}
+
+// What the clinic REST API and the change feed respond with
+interface ResponseBody {
+  error?: string;
+  record?: Record<string, unknown>;
+  changes?: FeedChange[];
+  cursor?: string | null;
+  hasMore?: boolean;
+  [field: string]: unknown;
+}
+
+// Settled: the server and the local copy agree again, whichever side won
+type PushOutcome = 'settled' | 'conflict';
+
+/**
+ * A server record as Dexie stores it: dates as Date objects, without list-only fields
+ */
+export const reviveRecord = (record: Record<string, unknown>): SyncedRecord => {
+  const revived: Record<string, unknown> = { ...record };
+  delete revived.lastVisit;
+  for (const field of DATE_FIELDS) {
+    if (typeof revived[field] === 'string') {
+      revived[field] = new Date(revived[field] as string);
+    }
+  }
+  return revived as unknown as SyncedRecord;
+};
+
+// Values as the server stores them: trimmed, empty as null, dates as times
+const normalizeValue = (field: string, value: unknown): unknown => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  if (DATE_FIELDS.includes(field) && value !== null) {
+    return new Date(value as string).getTime();
+  }
+  return typeof value === 'string' ? value.trim() : value;
+};
+
+/**
+ * Whether a server record holds the values of a local one
+ */
+export const hasSameContent = (local: Record<string, unknown>, remote: Record<string, unknown>): boolean =>
+  Object.keys(local)
+    .filter(field => !SERVER_FIELDS.includes(field))
+    .every(field => normalizeValue(field, local[field]) === normalizeValue(field, remote[field]));
+
+/**
+ * The fields whose values differ between two versions of a record
+ */
+export const getDifferingFields = (local: Record<string, unknown> | null, remote: Record<string, unknown> | null): string[] =>
+  [...new Set([...Object.keys(local || {}), ...Object.keys(remote || {})])]
+    .filter(field => !SERVER_FIELDS.includes(field))
+    .filter(field => normalizeValue(field, local?.[field]) !== normalizeValue(field, remote?.[field]));
+
+const getTable = (entityType: string) => db[entityType as SyncedTable];
+
+async function request(method: string, url: string, body?: unknown, headers: Record<string, string> = {}) {
+  let response: Response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+  } catch (error) {
+    throw new SyncError(0, `Could not reach the server: ${error instanceof Error ? error.message : error}`);
+  }
+
+  const text = response.status === 204 ? '' : await response.text();
+  let json: ResponseBody | null = null;
+  try {
+    json = text ? JSON.parse(text) : null;
+  } catch {
+    // Left null; the status says what happened
+  }
+  return { status: response.status, ok: response.ok, body: json };
+}
+
+export async function getSyncState<T>(key: string, fallback: T): Promise<T> {
+  const state = await db.syncState.get(key);
+  return state ? state.value as T : fallback;
+}
+
+export async function setSyncState(key: string, value: unknown): Promise<void> {
+  await db.syncState.put({ key, value });
+}
+
+export const getConflictPolicy = (): Promise<ConflictPolicy> => getSyncState('conflictPolicy', DEFAULT_CONFLICT_POLICY);
+
+export const setConflictPolicy = (policy: ConflictPolicy): Promise<void> => setSyncState('conflictPolicy', policy);
+
+/**
+ * Remove a record deleted on the server, with the local records the server deleted along with it
+ */
+export async function applyRemoteDeletion(entityType: SyncedTable, id: string): Promise<void> {
+  for (const cascade of CASCADES[entityType] || []) {
+    const dependents = await db[cascade.table].where(cascade.field).equals(id).toArray();
+    for (const dependent of dependents) {
+      if (cascade.onDelete === 'delete') {
+        await db[cascade.table].delete(dependent.id);
+      } else {
+        await db[cascade.table].update(dependent.id, { [cascade.field]: null });
+      }
+    }
+  }
+  await db[entityType].delete(id);
+}
+
+// When the change was last edited locally
+const getEditTime = (change: PendingChangeType): number => new Date(change.editedAt ?? change.timestamp).getTime();
+
+// Send a change; `force` leaves out the version check
+function sendChange(change: PendingChangeType, force = false) {
+  const collection = `/api/${RESOURCE_PATHS[change.entityType as SyncedTable]}`;
+  const headers: Record<string, string> = !force && change.baseVersion
+    ? { 'If-Match': `"${new Date(change.baseVersion).getTime()}"` }
+    : {};
+
+  if (change.action === 'create') {
+    return request('POST', collection, change.data);
+  }
+  if (change.action === 'update') {
+    return request('PUT', `${collection}/${change.recordId}`, change.data, headers);
+  }
+  return request('DELETE', `${collection}/${change.recordId}`, undefined, headers);
+}
+
+// The change reached the server; `remote` is the record the server stored
+async function completeChange(change: PendingChangeType, remote: Record<string, unknown> | null) {
+  const current: PendingChangeType | undefined = await db.pendingChanges.get(change.id);
+  if (!current && change.action === 'create' && remote) {
+    // Deleted locally while its create was on the way, which dropped the create
+    await recordChange(change.entityType as SyncedTable, 'delete', remote as unknown as SyncedRecord, remote as unknown as SyncedRecord);
+    return;
+  }
+  if (current && getEditTime(current) !== getEditTime(change)) {
+    // Edited again while it was being pushed: the newer edit goes on top of the server's version
+    await db.pendingChanges.update(change.id, {
+      action: current.action === 'delete' ? 'delete' : 'update',
+      baseVersion: remote ? getRecordVersion(remote as unknown as SyncedRecord) : current.baseVersion,
+    });
+    return;
+  }
+
+  await db.pendingChanges.delete(change.id);
+  if (remote) {
+    await getTable(change.entityType).put(reviveRecord(remote));
+  }
+}
+
+async function storeConflict(
+  change: PendingChangeType,
+  reason: SyncConflictType['reason'],
+  remote: Record<string, unknown> | null,
+  message?: string
+): Promise<PushOutcome> {
+  await db.syncConflicts.put({
+    id: change.id,
+    entityType: change.entityType,
+    recordId: change.recordId,
+    action: change.action,
+    reason,
+    message,
+    local: change.action === 'delete' ? null : change.data,
+    remote,
+    baseVersion: change.baseVersion,
+    detectedAt: new Date(),
+  });
+  await db.pendingChanges.delete(change.id);
+  return 'conflict';
+}
+
+async function resolveByLastWriter(change: PendingChangeType, remote: Record<string, unknown> | null): Promise<PushOutcome> {
+  if (!remote) {
+    await db.pendingChanges.delete(change.id);
+    await applyRemoteDeletion(change.entityType as SyncedTable, change.recordId);
+    return 'settled';
+  }
+
+  // Server and device clocks are compared as they are; a skewed device clock favours one side
+  if (new Date(remote.updatedAt as string).getTime() >= getEditTime(change)) {
+    await db.pendingChanges.delete(change.id);
+    await getTable(change.entityType).put(reviveRecord(remote));
+    return 'settled';
+  }
+
+  const response = await sendChange(change, true);
+  if (response.ok || (change.action === 'delete' && response.status === 404)) {
+    await completeChange(change, change.action === 'delete' ? null : response.body);
+    return 'settled';
+  }
+  return storeConflict(change, 'rejected', null, response.body?.error);
+}
+
+// Push one change and settle what came back
+async function pushChange(change: PendingChangeType, policy: ConflictPolicy): Promise<PushOutcome> {
+  const response = await sendChange(change);
+  const { status, body } = response;
+
+  if (response.ok) {
+    await completeChange(change, change.action === 'delete' ? null : body);
+    return 'settled';
+  }
+  // Replays of a change that already reached the server
+  if (change.action === 'create' && status === 409 && body?.record?.id === change.recordId) {
+    await completeChange(change, body.record);
+    return 'settled';
+  }
+  if (change.action === 'delete' && status === 404) {
+    await completeChange(change, null);
+    return 'settled';
+  }
+  if (change.action === 'update' && status === 412 && body?.record && hasSameContent(change.data, body.record)) {
+    await completeChange(change, body.record);
+    return 'settled';
+  }
+
+  if (status === 401 || status === 403) {
+    throw new SyncError(status, body?.error || 'Not allowed to sync');
+  }
+  if (status === 412 || status === 404) {
+    const remote = status === 412 ? body?.record ?? null : null;
+    return policy === 'last-writer-wins'
+      ? resolveByLastWriter(change, remote)
+      : storeConflict(change, remote ? 'modified' : 'deleted', remote, body?.error);
+  }
+  if (status === 400 || status === 409 || status === 422) {
+    return storeConflict(change, 'rejected', null, body?.error);
+  }
+  throw new SyncError(status, body?.error || `Server returned status ${status}`);
+}
+
+// Failures that say nothing about the change itself: no connection, or no session
+const isChangeFailure = (error: unknown): boolean =>
+  !(error instanceof SyncError && [0, 401, 403].includes(error.status));
+
+/**
+ * Push the pending changes, oldest first. Stops at the first change that
+ * cannot be sent, or is waiting to be retried, so that later changes never
+ * overtake it; `retryNow` retries failed changes without waiting.
+ */
+export async function pushChanges(
+  policy?: ConflictPolicy,
+  retryNow = false
+): Promise<Pick<SyncResult, 'pushed' | 'conflicts' | 'deadLettered' | 'retryAt'>> {
+  const conflictPolicy = policy ?? await getConflictPolicy();
+  const changes: PendingChangeType[] = await db.pendingChanges.orderBy('timestamp').toArray();
+
+  let pushed = 0;
+  let conflicts = 0;
+  let deadLettered = 0;
+  for (const change of changes) {
+    if (!retryNow && !isRetryDue(change)) {
+      return { pushed, conflicts, deadLettered, retryAt: new Date(change.nextAttemptAt) };
+    }
+
+    let outcome: PushOutcome;
+    try {
+      outcome = await pushChange(change, conflictPolicy);
+    } catch (error) {
+      if (!isChangeFailure(error)) {
+        throw error;
+      }
+      const message = error instanceof Error ? error.message : String(error);
+      if (await recordPushFailure(change, message) === 'retry') {
+        throw error;
+      }
+      deadLettered++;
+      continue;
+    }
+
+    if (outcome === 'settled') {
+      pushed++;
+    } else {
+      conflicts++;
+    }
+  }
+  return { pushed, conflicts, deadLettered, retryAt: null };
+}
+
+// Records with a pending change, an open conflict or a dead letter, which pulls leave alone
+async function getLocallyHeldRecords(): Promise<Set<string>> {
+  const pending: PendingChangeType[] = await db.pendingChanges.toArray();
+  const conflicts: SyncConflictType[] = await db.syncConflicts.toArray();
+  const deadLetters: DeadLetterType[] = await db.deadLetters.toArray();
+  return new Set([...pending, ...conflicts, ...deadLetters].map(item => `${item.entityType}/${item.recordId}`));
+}
+
+/**
+ * Apply the server's changes since the last pull; returns how many were applied
+ */
+export async function pullChanges(): Promise<number> {
+  let cursor = await getSyncState<string | null>('cursor', null);
+  let pulled = 0;
+  let hasMore = true;
+
+  while (hasMore) {
+    const query = new URLSearchParams({ limit: String(PULL_PAGE_SIZE), ...(cursor ? { since: cursor } : {}) });
+    const response = await request('GET', `/api/sync/changes?${query}`);
+    if (!response.ok) {
+      throw new SyncError(response.status, response.body?.error || `Server returned status ${response.status}`);
+    }
+
+    const held = await getLocallyHeldRecords();
+    for (const change of response.body.changes) {
+      if (held.has(`${change.entityType}/${change.id}`)) {
+        continue;
+      }
+      if (change.action === 'delete') {
+        await applyRemoteDeletion(change.entityType, change.id);
+      } else {
+        await getTable(change.entityType).put(reviveRecord(change.record));
+      }
+      pulled++;
+    }
+
+    cursor = response.body.cursor;
+    hasMore = response.body.hasMore;
+    await setSyncState('cursor', cursor);
+  }
+
+  await setSyncState('lastSyncedAt', new Date());
+  return pulled;
+}
+
+let inFlight: Promise<SyncResult> | null = null;
+
+async function runSync(retryNow: boolean): Promise<SyncResult> {
+  const pushResult = await pushChanges(undefined, retryNow);
+  const pulled = await pullChanges();
+  return { ...pushResult, pulled, pending: await db.pendingChanges.count() };
+}
+
+/**
+ * Push pending changes, then pull the server's. Calls made while a sync is
+ * running share it, and a sync in another tab or the service worker is
+ * waited for rather than run alongside. `retryNow` is for syncs the user
+ * asked for, which do not wait out the backoff of failed changes.
+ */
+export function syncNow({ retryNow = false }: { retryNow?: boolean } = {}): Promise<SyncResult> {
+  if (!inFlight) {
+    const locks = typeof navigator === 'undefined' ? undefined : navigator.locks;
+    const run = () => runSync(retryNow);
+    inFlight = (locks ? locks.request(SYNC_LOCK_NAME, run) : run()).finally(() => {
+      inFlight = null;
+    });
+  }
+  return inFlight;
+}
+
+export const getConflicts = (): Promise<SyncConflictType[]> => db.syncConflicts.orderBy('detectedAt').toArray();
+
+// Undo a change the server did not take: back to the server's copy, or gone if it never got there
+async function restoreServerCopy(conflict: Pick<PendingChangeType, 'entityType' | 'recordId' | 'action'>) {
+  const table = getTable(conflict.entityType);
+  if (conflict.action === 'create') {
+    await table.delete(conflict.recordId);
+    return;
+  }
+
+  const response = await request('GET', `/api/${RESOURCE_PATHS[conflict.entityType as SyncedTable]}/${conflict.recordId}`);
+  if (response.status === 404) {
+    await applyRemoteDeletion(conflict.entityType as SyncedTable, conflict.recordId);
+  } else if (response.ok) {
+    await table.put(reviveRecord(response.body));
+  } else {
+    throw new SyncError(response.status, response.body?.error || 'Could not load the server copy');
+  }
+}
+
+/**
+ * Settle a conflict: `remote` keeps the server's version, `local` pushes the
+ * local one again on top of it, and an object of field values pushes the
+ * local version with those fields replaced (a manual merge)
+ */
+export async function resolveConflict(id: string, resolution: 'local' | 'remote' | Record<string, unknown>): Promise<void> {
+  const conflict: SyncConflictType | undefined = await db.syncConflicts.get(id);
+  if (!conflict) {
+    return;
+  }
+  const entityType = conflict.entityType as SyncedTable;
+  const table = getTable(entityType);
+
+  if (resolution === 'remote') {
+    if (conflict.reason === 'rejected') {
+      await restoreServerCopy(conflict);
+    } else if (conflict.remote) {
+      await table.put(reviveRecord(conflict.remote));
+    } else {
+      await applyRemoteDeletion(entityType, conflict.recordId);
+    }
+    await db.syncConflicts.delete(id);
+    return;
+  }
+
+  const local = resolution === 'local' ? conflict.local : { ...(conflict.local ?? conflict.remote), ...resolution };
+  // The version the kept change now builds on
+  const base: SyncedRecord | null = conflict.remote
+    ? reviveRecord(conflict.remote)
+    : conflict.baseVersion ? { id: conflict.recordId, updatedAt: conflict.baseVersion } : null;
+
+  // The conflict must be gone before the change is queued, or the next pull would skip the record
+  await db.syncConflicts.delete(id);
+  if (!local) {
+    await table.delete(conflict.recordId);
+    await recordChange(entityType, 'delete', base ?? { id: conflict.recordId }, base);
+    return;
+  }
+
+  const record = reviveRecord({ ...local, id: conflict.recordId });
+  await table.put(record);
+  const onServer = conflict.reason === 'rejected' ? conflict.action !== 'create' : Boolean(conflict.remote);
+  await recordChange(entityType, onServer ? 'update' : 'create', record, base);
+}
+
+/**
+ * Drop a dead letter and put the record back as the server has it
+ */
+export async function discardDeadLetter(id: string): Promise<void> {
+  const letter: DeadLetterType | undefined = await db.deadLetters.get(id);
+  if (!letter) {
+    return;
+  }
+  await restoreServerCopy(letter);
+  await db.deadLetters.delete(id);
+}
@@ -0,0 +1,124 @@
+/**
+ * Offline Change Queue
+ *
+ * Local writes to the synced Dexie tables are recorded here as pending changes,
+ * which the sync engine (./engine.ts) pushes to the clinic REST API. Each change
+ * remembers the server version (`updatedAt`) of the record it was made on, so
+ * the engine can tell whether someone else changed the record in the meantime.
+ *
+ * A record has at most one pending change: an update of a record created
+ * offline is still a create, a second update keeps the version of the first,
+ * and deleting a record that never reached the server drops it altogether.
+ * Queuing a change asks the service worker for a background sync.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { db, PendingChangeType } from '../db';
+import { requestBackgroundSync } from './background';
+
+export const SYNCED_TABLES = ['patients', 'visits', 'providers', 'appointmentTypes', 'timeSlots', 'appointments'] as const;
+
+export type SyncedTable = typeof SYNCED_TABLES[number];
+
+export type ChangeAction = PendingChangeType['action'];
+
+/** A record of one of the synced tables */
+export interface SyncedRecord {
+  id: string;
+  updatedAt?: Date | string;
+}
+
+/**
+ * Records that go with another record when it is deleted, as the server's
+ * foreign keys have it: deleted with it, or with their reference cleared
+ */
+export const CASCADES: Partial<Record<SyncedTable, { table: SyncedTable; field: string; onDelete: 'delete' | 'clear' }[]>> = {
+  patients: [
+    { table: 'visits', field: 'patientId', onDelete: 'delete' },
+    { table: 'appointments', field: 'patientId', onDelete: 'delete' },
+  ],
+  providers: [
+    { table: 'timeSlots', field: 'providerId', onDelete: 'delete' },
+    { table: 'appointments', field: 'providerId', onDelete: 'delete' },
+  ],
+  appointmentTypes: [
+    { table: 'appointments', field: 'appointmentTypeId', onDelete: 'clear' },
+  ],
+};
+
+/**
+ * The server version of a record, as an ISO date
+ */
+export const getRecordVersion = (record?: SyncedRecord | null): string | null =>
+  record?.updatedAt ? new Date(record.updatedAt).toISOString() : null;
+
+/**
+ * The pending change of a record, if there is one
+ */
+export async function getPendingChange(entityType: SyncedTable, recordId: string): Promise<PendingChangeType | undefined> {
+  const changes: PendingChangeType[] = await db.pendingChanges.where('recordId').equals(recordId).toArray();
+  return changes.find(change => change.entityType === entityType);
+}
+
+/**
+ * Queue a local write for the next sync. Call it after the write, with the
+ * record as it is now (as it was, for deletes) and, for updates, the record
+ * as it was before.
+ */
+export async function recordChange(
+  entityType: SyncedTable,
+  action: ChangeAction,
+  record: SyncedRecord,
+  previous?: SyncedRecord | null
+): Promise<void> {
+  // Dexie only exists in pages and the service worker
+  if (typeof self === 'undefined') {
+    return;
+  }
+
+  const now = new Date();
+  const pending = await getPendingChange(entityType, record.id);
+
+  if (!pending) {
+    await db.pendingChanges.add({
+      id: uuidv4(),
+      entityType,
+      action,
+      recordId: record.id,
+      data: record,
+      baseVersion: action === 'create' ? null : getRecordVersion(previous ?? record),
+      timestamp: now,
+      editedAt: now,
+    });
+  } else if (pending.action === 'create' && action === 'delete') {
+    await db.pendingChanges.delete(pending.id);
+  } else {
+    const folded: ChangeAction = pending.action === 'create' ? 'create' : action === 'delete' ? 'delete' : 'update';
+    // The change keeps its place in the queue, so records are still created before what refers to them
+    await db.pendingChanges.update(pending.id, { action: folded, data: record, editedAt: now });
+  }
+
+  if (action === 'delete') {
+    await foldCascade(entityType, record.id);
+  }
+
+  // Without waiting: the change is queued, whether or not the browser can sync it in the background
+  requestBackgroundSync();
+}
+
+// The server applies a delete to the records that depend on it, so their own pending changes go with it
+async function foldCascade(entityType: SyncedTable, recordId: string) {
+  for (const cascade of CASCADES[entityType] || []) {
+    const changes: PendingChangeType[] = await db.pendingChanges.where('entityType').equals(cascade.table).toArray();
+    for (const change of changes) {
+      if (change.data?.[cascade.field] !== recordId) {
+        continue;
+      }
+      if (cascade.onDelete === 'delete') {
+        await db.pendingChanges.delete(change.id);
+      } else {
+        await db.pendingChanges.update(change.id, { data: { ...change.data, [cascade.field]: null } });
+      }
+    }
+  }
+}
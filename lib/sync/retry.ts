@@ -0,0 +1,96 @@
+/**
+ * Push Retries and Dead Letters
+ *
+ * A pending change that fails to push is retried with exponential backoff,
+ * and pushes stop at it until it is due again, so that the changes queued
+ * after it never overtake it. A change that still fails after
+ * MAX_PUSH_ATTEMPTS tries is taken to be a poison entry, one the server will
+ * not accept as it stands, and is moved to the deadLetters table so the rest
+ * of the queue can go out. The user can queue it again or drop it from
+ * SyncManager.
+ *
+ * Only failures that are the change's own count as attempts: the sync engine
+ * does not report an unreachable server or a refused session here.
+ */
+
+import { db, DeadLetterType, PendingChangeType } from '../db';
+import { getPendingChange, SyncedTable } from './queue';
+
+export const MAX_PUSH_ATTEMPTS = 8;
+
+export const RETRY_BASE_DELAY_MS = 30 * 1000;
+
+export const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+
+/**
+ * How long to wait after a change failed for the `attempts`th time: doubling
+ * from RETRY_BASE_DELAY_MS up to RETRY_MAX_DELAY_MS, plus up to 20% jitter so
+ * that devices coming back online together do not retry in step
+ */
+export const getRetryDelay = (attempts: number, random: () => number = Math.random): number => {
+  const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY_MS);
+  return Math.round(delay * (1 + random() * 0.2));
+};
+
+/**
+ * Whether a change may be pushed now
+ */
+export const isRetryDue = (change: PendingChangeType, now = Date.now()): boolean =>
+  !change.nextAttemptAt || new Date(change.nextAttemptAt).getTime() <= now;
+
+/**
+ * Count a failed push of a change: schedule its next attempt, or move it to
+ * the dead letters once it has used up its attempts
+ */
+export async function recordPushFailure(change: PendingChangeType, message: string): Promise<'retry' | 'dead-letter'> {
+  // The change may have been edited while it was being pushed
+  const current: PendingChangeType | undefined = await db.pendingChanges.get(change.id);
+  if (!current) {
+    return 'retry';
+  }
+
+  const now = new Date();
+  const attempts = (current.attempts ?? 0) + 1;
+  if (attempts >= MAX_PUSH_ATTEMPTS) {
+    const { nextAttemptAt: _nextAttemptAt, ...rest } = current;
+    await db.deadLetters.put({ ...rest, attempts, lastError: message, failedAt: now });
+    await db.pendingChanges.delete(current.id);
+    return 'dead-letter';
+  }
+
+  await db.pendingChanges.update(current.id, {
+    attempts,
+    lastError: message,
+    nextAttemptAt: new Date(now.getTime() + getRetryDelay(attempts)),
+  });
+  return 'retry';
+}
+
+export const getDeadLetters = (): Promise<DeadLetterType[]> => db.deadLetters.orderBy('failedAt').toArray();
+
+/**
+ * Queue a dead letter again with fresh attempts. Changes made to the record
+ * since are folded into it, as the queue would have done.
+ */
+export async function retryDeadLetter(id: string): Promise<void> {
+  const letter: DeadLetterType | undefined = await db.deadLetters.get(id);
+  if (!letter) {
+    return;
+  }
+  const { failedAt: _failedAt, ...change } = letter;
+  const pending = await getPendingChange(letter.entityType as SyncedTable, letter.recordId);
+
+  if (!pending) {
+    await db.pendingChanges.put({ ...change, attempts: 0, nextAttemptAt: undefined });
+  } else if (letter.action === 'create' && pending.action === 'delete') {
+    // Created and deleted again without ever reaching the server
+    await db.pendingChanges.delete(pending.id);
+  } else {
+    await db.pendingChanges.update(pending.id, {
+      action: letter.action === 'create' ? 'create' : pending.action,
+      baseVersion: letter.baseVersion,
+      timestamp: letter.timestamp,
+    });
+  }
+  await db.deadLetters.delete(id);
+}
@@ -0,0 +1,172 @@
+/**
+ * Offline Vault Cryptography
+ *
+ * The offline IndexedDB store is encrypted with a random AES-GCM data key. The
+ * data key is never stored as it is: every user who may open the store on this
+ * device has a key slot holding the data key wrapped with a key derived from
+ * their login secret (their password, or the signature of the wallet vault
+ * message) with PBKDF2. A wrong secret derives a different wrapping key, which
+ * the AES-GCM tag check rejects when unwrapping.
+ *
+ * Records keep their primary key and indexed fields in clear, so Dexie can
+ * still look them up, and everything else is sealed into one encrypted field.
+ * The table and primary key are authenticated with the ciphertext, so a sealed
+ * payload cannot be moved to another record.
+ *
+ * Only WebCrypto is used here, in pages and the service worker alike.
+ */
+
+export const KDF_ITERATIONS = 600000;
+
+export const SEALED_FIELD = '_sealed';
+
+export interface SealedBox {
+  iv: Uint8Array<ArrayBuffer>;
+  data: ArrayBuffer;
+}
+
+export interface WrappedKey {
+  salt: Uint8Array<ArrayBuffer>;
+  iterations: number;
+  iv: Uint8Array<ArrayBuffer>;
+  wrappedKey: ArrayBuffer;
+}
+
+const DATA_KEY_ALGORITHM = { name: 'AES-GCM', length: 256 };
+
+const randomBytes = (length: number) => crypto.getRandomValues(new Uint8Array(length));
+
+// AES-GCM takes a 96-bit IV, never reused with the same key
+const newIv = () => randomBytes(12);
+
+/**
+ * A new data key; extractable only so it can be wrapped into key slots
+ */
+export const generateDataKey = (): Promise<CryptoKey> =>
+  crypto.subtle.generateKey(DATA_KEY_ALGORITHM, true, ['encrypt', 'decrypt']);
+
+async function deriveWrappingKey(secret: string, salt: Uint8Array<ArrayBuffer>, iterations: number): Promise<CryptoKey> {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+}
+
+/**
+ * Wrap the data key with a key derived from a login secret
+ */
+export async function wrapDataKey(dataKey: CryptoKey, secret: string, iterations = KDF_ITERATIONS): Promise<WrappedKey> {
+  const salt = randomBytes(16);
+  const iv = newIv();
+  const wrappingKey = await deriveWrappingKey(secret, salt, iterations);
+  const wrappedKey = await crypto.subtle.wrapKey('raw', dataKey, wrappingKey, { name: 'AES-GCM', iv });
+  return { salt, iterations, iv, wrappedKey };
+}
+
+/**
+ * Unwrap the data key of a key slot, or null when the secret is not the one
+ * it was wrapped with. The key comes back non-extractable unless asked.
+ */
+export async function unwrapDataKey(slot: WrappedKey, secret: string, extractable = false): Promise<CryptoKey | null> {
+  const wrappingKey = await deriveWrappingKey(secret, slot.salt, slot.iterations);
+  try {
+    return await crypto.subtle.unwrapKey(
+      'raw',
+      slot.wrappedKey,
+      wrappingKey,
+      { name: 'AES-GCM', iv: slot.iv },
+      DATA_KEY_ALGORITHM,
+      extractable,
+      ['encrypt', 'decrypt']
+    );
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * A non-extractable copy of an extractable data key
+ */
+export async function toSessionKey(dataKey: CryptoKey): Promise<CryptoKey> {
+  const raw = await crypto.subtle.exportKey('raw', dataKey);
+  return crypto.subtle.importKey('raw', raw, DATA_KEY_ALGORITHM, false, ['encrypt', 'decrypt']);
+}
+
+// JSON with Dates kept as Dates: the records' dates are Date objects, which JSON would turn into strings
+function encodeJson(value: unknown): Uint8Array<ArrayBuffer> {
+  const json = JSON.stringify(value, function (this: Record<string, unknown>, key: string, item: unknown) {
+    const raw = this[key];
+    return raw instanceof Date ? { $date: raw.toISOString() } : item;
+  });
+  return new TextEncoder().encode(json);
+}
+
+function decodeJson(bytes: ArrayBuffer): Record<string, unknown> {
+  return JSON.parse(new TextDecoder().decode(bytes), (_key, item) =>
+    item && typeof item === 'object' && typeof item.$date === 'string' && Object.keys(item).length === 1
+      ? new Date(item.$date)
+      : item
+  );
+}
+
+const getAdditionalData = (table: string, primaryKey: unknown) => new TextEncoder().encode(`${table}/${String(primaryKey)}`);
+
+export const isSealed = (row: unknown): boolean =>
+  !!row && typeof row === 'object' && SEALED_FIELD in row;
+
+/**
+ * Encrypt a record of a table, keeping the fields in `clearFields` readable
+ */
+export async function sealRecord(
+  key: CryptoKey,
+  table: string,
+  primaryKeyField: string,
+  clearFields: string[],
+  record: Record<string, unknown>
+): Promise<Record<string, unknown>> {
+  const clear: Record<string, unknown> = {};
+  const secret: Record<string, unknown> = {};
+  for (const [field, value] of Object.entries(record)) {
+    if (field === primaryKeyField || clearFields.includes(field)) {
+      clear[field] = value;
+    } else {
+      secret[field] = value;
+    }
+  }
+
+  const iv = newIv();
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: getAdditionalData(table, record[primaryKeyField]) },
+    key,
+    encodeJson(secret)
+  );
+  const box: SealedBox = { iv, data };
+  return { ...clear, [SEALED_FIELD]: box };
+}
+
+/**
+ * Decrypt a record sealed by sealRecord; rows that are not sealed come back as
+ * they are. Throws when the record was sealed with another key or tampered with.
+ */
+export async function openRecord(
+  key: CryptoKey,
+  table: string,
+  primaryKeyField: string,
+  row: Record<string, unknown>
+): Promise<Record<string, unknown>> {
+  if (!isSealed(row)) {
+    return row;
+  }
+  const { [SEALED_FIELD]: box, ...clear } = row;
+  const { iv, data } = box as SealedBox;
+  const secret = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv, additionalData: getAdditionalData(table, row[primaryKeyField]) },
+    key,
+    data
+  );
+  return { ...clear, ...decodeJson(secret) };
+}
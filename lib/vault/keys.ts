@@ -0,0 +1,174 @@
+/**
+ * Offline Vault Key Slots
+ *
+ * Every login that opened the encrypted store on this device has a key slot
+ * (./crypto.ts) in the keySlots table: password logins by email, wallet logins
+ * by address with the signature of the wallet vault message as their secret. The
+ * first login to enrol creates the data key and encrypts the records the store
+ * held in clear until then, in one transaction.
+ *
+ * The store has one data key at a time. A login without a slot, or with a
+ * slot of a replaced key, gets a slot of the current key when the page holds
+ * it, i.e. while another login has the store unlocked. A login verified by the
+ * server proves who the user is, but cannot open the key, so when no page
+ * holds the key the only way in is to start over with a new one: the encrypted
+ * records are dropped and pulled from the server again on the next sync. That
+ * is refused while the store holds changes the server does not have. The slots
+ * of the replaced key stay, as they still tell whether a secret is right;
+ * their logins get a slot of the new key when they next sign in.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { db, KeySlotType } from '../db';
+import { generateDataKey, toSessionKey, unwrapDataKey, wrapDataKey } from './crypto';
+import { SEALED_TABLES } from './middleware';
+import {
+  getWrappableDataKey,
+  lockVaultSession,
+  OfflineVaultError,
+  setVaultPresent,
+  unlockVaultSession,
+  VaultUser,
+} from './session';
+
+export interface VaultCredential {
+  kind: KeySlotType['kind'];
+  /** The email or wallet address */
+  subject: string;
+  /** The password, or the signature of the wallet vault message */
+  secret: string;
+}
+
+/**
+ * What a credential's key slot made of an unlock: `stale` when the secret is
+ * right but the slot is of a data key that was replaced since
+ */
+export type UnlockResult = 'unlocked' | 'stale' | 'no-slot' | 'wrong-secret';
+
+export const getKeySlotId = ({ kind, subject }: Pick<VaultCredential, 'kind' | 'subject'>): string =>
+  `${kind}:${subject.trim().toLowerCase()}`;
+
+// The sync queue: changes made on this device that the server may not have
+const UNSYNCED_TABLES = ['pendingChanges', 'syncConflicts', 'deadLetters'];
+
+export const hasOfflineVault = async (): Promise<boolean> => (await db.keySlots.count()) > 0;
+
+// The newest slot is always of the current data key
+async function getCurrentKeyId(): Promise<string | null> {
+  const slots: KeySlotType[] = await db.keySlots.toArray();
+  const newest = slots.sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime())[0];
+  return newest?.keyId ?? null;
+}
+
+/**
+ * Changes made on this device that the server does not have yet. Counting
+ * works while the store is locked.
+ */
+export async function countUnsyncedChanges(): Promise<number> {
+  const counts = await Promise.all(UNSYNCED_TABLES.map(name => db.table(name).count()));
+  return counts.reduce((total, count) => total + count, 0);
+}
+
+/**
+ * Delete the clinic records on this device, and the sync cursor so the next
+ * login pulls them again. The sync queue stays, sealed, so unsynced changes
+ * are not lost; a login that can open it pushes them later. Key slots stay as
+ * well: they hold no records, and still check offline logins. Works while the
+ * store is locked.
+ */
+export async function wipeOfflineRecords(): Promise<void> {
+  const recordTables = SEALED_TABLES.filter(name => !UNSYNCED_TABLES.includes(name));
+  await db.transaction('rw', [...recordTables, 'syncState'], async () => {
+    for (const name of recordTables) {
+      await db.table(name).clear();
+    }
+    await db.syncState.delete('cursor');
+  });
+}
+
+/**
+ * Unlock the store with a credential's key slot on this device
+ */
+export async function unlockOfflineVault(credential: VaultCredential, user: VaultUser | null): Promise<UnlockResult> {
+  const slot: KeySlotType | undefined = await db.keySlots.get(getKeySlotId(credential));
+  if (!slot) {
+    return 'no-slot';
+  }
+  const key = await unwrapDataKey(slot, credential.secret, true);
+  if (!key) {
+    return 'wrong-secret';
+  }
+  if (slot.keyId !== (await getCurrentKeyId())) {
+    return 'stale';
+  }
+  unlockVaultSession(await toSessionKey(key), user, { key, keyId: slot.keyId });
+  return 'unlocked';
+}
+
+/**
+ * Give a credential a slot of the current data key when this page holds it,
+ * or else of a new one, and unlock the store with it. The caller has verified
+ * the credential: with the user's bcrypt hash, the server, a stale slot or a
+ * wallet signature. Throws an OfflineVaultError when a new key would drop
+ * unsynced changes.
+ */
+export async function enrolOfflineVault(credential: VaultCredential, user: VaultUser | null): Promise<void> {
+  const hadVault = await hasOfflineVault();
+  const held = getWrappableDataKey();
+  const current = hadVault && held?.keyId === (await getCurrentKeyId()) ? held : null;
+  const startOver = hadVault && !current;
+  if (startOver && (await countUnsyncedChanges()) > 0) {
+    throw new OfflineVaultError(
+      'in-use',
+      'This device holds offline changes that have not been synced yet, made under another login. Sign in with that login and sync them first.'
+    );
+  }
+
+  const dataKey = current?.key ?? await generateDataKey();
+  const keyId = current?.keyId ?? uuidv4();
+  const wrapped = await wrapDataKey(dataKey, credential.secret);
+  // The session only gets a non-extractable copy of the key
+  const key = await toSessionKey(dataKey);
+  const slot: KeySlotType = {
+    id: getKeySlotId(credential),
+    kind: credential.kind,
+    subject: credential.subject.trim().toLowerCase(),
+    keyId,
+    ...wrapped,
+    createdAt: new Date(),
+  };
+
+  // Records are sealed from here on
+  unlockVaultSession(key, user, { key: dataKey, keyId });
+  try {
+    await db.transaction('rw', [...SEALED_TABLES, 'keySlots', 'syncState'], async () => {
+      if (startOver) {
+        for (const name of SEALED_TABLES) {
+          await db.table(name).clear();
+        }
+        // Pull everything again on the next sync
+        await db.syncState.delete('cursor');
+      } else if (!hadVault) {
+        for (const name of SEALED_TABLES) {
+          const table = db.table(name);
+          await table.bulkPut(await table.toArray());
+        }
+      }
+      await db.keySlots.put(slot);
+    });
+  } catch (error) {
+    lockVaultSession();
+    setVaultPresent(hadVault);
+    throw error;
+  }
+}
+
+/**
+ * Unlock the store with a credential verified some other way, enrolling it
+ * when its slot cannot
+ */
+export async function openOfflineVault(credential: VaultCredential, user: VaultUser | null): Promise<void> {
+  if ((await unlockOfflineVault(credential, user)) !== 'unlocked') {
+    await enrolOfflineVault(credential, user);
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Offline Vault Middleware
+ *
+ * A Dexie DBCore middleware that seals the records of SEALED_TABLES on their
+ * way into IndexedDB and opens them on their way out, with the data key of the
+ * vault session (./session.ts). Primary keys and indexed fields stay in clear,
+ * so every Dexie query works as before; filters run on the opened records.
+ *
+ * Until a store has a key slot, records are written as they are, and the first
+ * user to log in encrypts them (./keys.ts). Once it has one, a locked store
+ * refuses to read or write sealed records, though deleting them still works.
+ *
+ * The crypto calls run inside Dexie.waitFor, which keeps the IndexedDB
+ * transaction alive while WebCrypto works.
+ */
+
+import Dexie, { DBCore, DBCoreCursor, DBCoreTable, Middleware } from 'dexie';
+import { isSealed, openRecord, sealRecord } from './crypto';
+import { getDataKey, isVaultLocked, OfflineVaultError } from './session';
+
+// The clinic records and the sync bookkeeping that copies them; users, key slots and sync state are not PHI
+export const SEALED_TABLES = [
+  'patients',
+  'visits',
+  'providers',
+  'appointmentTypes',
+  'timeSlots',
+  'appointments',
+  'pendingChanges',
+  'syncConflicts',
+  'deadLetters',
+];
+
+const lockedError = () => new OfflineVaultError('locked', 'The offline data is locked. Sign in again to unlock it.');
+
+function createSealedTable(table: DBCoreTable): DBCoreTable {
+  const primaryKeyField = table.schema.primaryKey.keyPath as string;
+  const clearFields = table.schema.indexes.flatMap(index => index.keyPath ?? []);
+
+  const seal = (values: readonly Record<string, unknown>[]) => {
+    const key = getDataKey();
+    if (!key) {
+      if (isVaultLocked()) {
+        throw lockedError();
+      }
+      return values;
+    }
+    return Dexie.waitFor(Promise.all(values.map(value => sealRecord(key, table.name, primaryKeyField, clearFields, value))));
+  };
+
+  const openAll = <T>(rows: T[]): T[] | Promise<T[]> => {
+    if (!rows.some(isSealed)) {
+      return rows;
+    }
+    const key = getDataKey();
+    if (!key) {
+      throw lockedError();
+    }
+    return Dexie.waitFor(Promise.all(rows.map(row => openRecord(key, table.name, primaryKeyField, row as Record<string, unknown>) as Promise<T>)));
+  };
+
+  const open = <T>(row: T) => Dexie.Promise.resolve(row).then(value => openAll([value])).then(([value]) => value);
+
+  // Cursors hand out the opened record as their value; the next step waits until it is ready
+  const openCursor = (cursor: DBCoreCursor): DBCoreCursor => {
+    let value: unknown;
+    return Object.create(cursor, {
+      value: { get: () => value },
+      start: {
+        value: (onNext: () => void) => cursor.start(() => {
+          open(cursor.value).then(opened => {
+            value = opened;
+            onNext();
+          }, error => cursor.fail(error));
+        }),
+      },
+    });
+  };
+
+  return {
+    ...table,
+    mutate: req => {
+      if (req.type !== 'add' && req.type !== 'put') {
+        return table.mutate(req);
+      }
+      return Dexie.Promise.resolve()
+        .then(() => seal(req.values))
+        .then(values => table.mutate({ ...req, values }));
+    },
+    get: req => table.get(req).then(open),
+    getMany: req => table.getMany(req).then(openAll),
+    query: req => table.query(req).then(response =>
+      req.values === false ? response : Dexie.Promise.resolve(openAll(response.result)).then(result => ({ ...response, result }))
+    ),
+    openCursor: req => table.openCursor(req).then(cursor =>
+      cursor && req.values !== false ? openCursor(cursor) : cursor
+    ),
+  };
+}
+
+export function createVaultMiddleware(): Middleware<DBCore> {
+  return {
+    stack: 'dbcore',
+    name: 'offlineVault',
+    create: down => ({
+      ...down,
+      table: name => (SEALED_TABLES.includes(name) ? createSealedTable(down.table(name)) : down.table(name)),
+    }),
+  };
+}
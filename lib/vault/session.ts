@@ -0,0 +1,180 @@
+/**
+ * Offline Vault Session
+ *
+ * The unlocked data key of the offline store (./crypto.ts) lives here, in
+ * memory only, with the user who unlocked it. Every page and the service worker
+ * hold their own copy: a page shares its key with the worker when it unlocks
+ * and when it locks, so background syncs can read the queue, and a worker that
+ * the browser stopped stays locked until a page unlocks again.
+ *
+ * A page also keeps an extractable copy of the key, never handed to the
+ * worker, to give other logins a slot of the same key (./keys.ts).
+ *
+ * Pages lock themselves after IDLE_LOCK_MS without input, keeping the user so
+ * the lock screen knows whom to ask. Logging out wipes the key and the user in
+ * every open page of the app.
+ */
+
+import type { UserType } from '../db';
+
+export type VaultUser = Omit<UserType, 'password'>;
+
+export const IDLE_LOCK_MS = 15 * 60 * 1000;
+
+export const VAULT_MESSAGE_TYPE = 'ehr-wallet-vault';
+
+export interface VaultKeyMessage {
+  type: typeof VAULT_MESSAGE_TYPE;
+  /** The data key, or null to lock */
+  key: CryptoKey | null;
+}
+
+/**
+ * The extractable copy of a page's data key, with the id of its key slots
+ */
+export interface WrappableDataKey {
+  key: CryptoKey;
+  keyId: string;
+}
+
+/**
+ * The offline store cannot be used as asked: it is locked, or holds another
+ * user's unsynced changes
+ */
+export class OfflineVaultError extends Error {
+  reason: 'locked' | 'in-use';
+
+  constructor(reason: 'locked' | 'in-use', message: string) {
+    super(message);
+    this.reason = reason;
+  }
+}
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+const WIPE_CHANNEL = 'ehr-wallet-vault';
+
+let dataKey: CryptoKey | null = null;
+let wrappableKey: WrappableDataKey | null = null;
+let vaultUser: VaultUser | null = null;
+// Whether the store has key slots; unknown until the database is open
+let vaultPresent: boolean | null = null;
+let wipeChannel: BroadcastChannel | null = null;
+const listeners = new Set<() => void>();
+
+const notify = () => listeners.forEach(listener => listener());
+
+function shareWithWorker(key: CryptoKey | null) {
+  if (typeof window === 'undefined' || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+    return;
+  }
+  const message: VaultKeyMessage = { type: VAULT_MESSAGE_TYPE, key };
+  navigator.serviceWorker.ready
+    .then(registration => registration.active?.postMessage(message))
+    .catch(error => console.warn('Could not reach the service worker:', error));
+}
+
+function getWipeChannel(): BroadcastChannel | null {
+  if (!wipeChannel && typeof window !== 'undefined' && typeof BroadcastChannel !== 'undefined') {
+    wipeChannel = new BroadcastChannel(WIPE_CHANNEL);
+    wipeChannel.onmessage = () => wipeVaultSession(false);
+  }
+  return wipeChannel;
+}
+
+export const getDataKey = (): CryptoKey | null => dataKey;
+
+export const getWrappableDataKey = (): WrappableDataKey | null => wrappableKey;
+
+export const isVaultUnlocked = (): boolean => dataKey !== null;
+
+/**
+ * Whether the store is encrypted and this page cannot read it. A store that
+ * is not encrypted yet is never locked.
+ */
+export const isVaultLocked = (): boolean => dataKey === null && vaultPresent !== false;
+
+/**
+ * The user who last unlocked the store in this page, kept while it is locked
+ * for being idle
+ */
+export const getVaultUser = (): VaultUser | null => vaultUser;
+
+export const setVaultPresent = (present: boolean): void => {
+  vaultPresent = present;
+};
+
+/**
+ * Use a data key from now on; pages pass it on to the service worker, and
+ * keep its extractable copy to themselves
+ */
+export function unlockVaultSession(key: CryptoKey, user: VaultUser | null, wrappable: WrappableDataKey | null = null): void {
+  dataKey = key;
+  wrappableKey = wrappable;
+  vaultUser = user;
+  vaultPresent = true;
+  getWipeChannel();
+  shareWithWorker(key);
+  notify();
+}
+
+/**
+ * Forget the data key, keeping the user for the lock screen
+ */
+export function lockVaultSession(): void {
+  if (!dataKey) {
+    return;
+  }
+  dataKey = null;
+  wrappableKey = null;
+  shareWithWorker(null);
+  notify();
+}
+
+/**
+ * Forget the data key and the user, here and, unless `broadcast` is false, in
+ * the other pages of the app
+ */
+export function wipeVaultSession(broadcast = true): void {
+  const hadSession = dataKey !== null || vaultUser !== null;
+  dataKey = null;
+  wrappableKey = null;
+  vaultUser = null;
+  shareWithWorker(null);
+  if (broadcast) {
+    getWipeChannel()?.postMessage('wipe');
+  }
+  if (hadSession) {
+    notify();
+  }
+}
+
+/**
+ * Be told whenever the store is unlocked or locked. Returns the unsubscribe function.
+ */
+export function onVaultChange(listener: () => void): () => void {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+/**
+ * Lock the store once the page has had no input for `timeout` ms. Returns the
+ * function that stops watching.
+ */
+export function startIdleLock(timeout = IDLE_LOCK_MS): () => void {
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  const restart = () => {
+    clearTimeout(timer);
+    timer = setTimeout(lockVaultSession, timeout);
+  };
+
+  ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, restart, { passive: true }));
+  restart();
+
+  return () => {
+    clearTimeout(timer);
+    ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, restart));
+  };
+}
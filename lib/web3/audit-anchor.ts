@@ -0,0 +1,63 @@
+/**
+ * Audit Log Anchoring
+ *
+ * Takes the latest entry of every patient's audit chain (see `lib/audit-log.ts`),
+ * builds a Merkle tree over them and stores its root with
+ * FHIRAccessControl.anchorAuditRoot. The leaves are kept in AuditAnchor, so
+ * `/api/audit/verify` can hand each patient the proof for their chain.
+ */
+
+import { FHIRAccessControlContract } from './generated/FHIRAccessControl';
+import { AuditLeaf, getAuditLeafHash, getMerkleRoot } from '../audit-log';
+
+export interface AuditAnchorResult {
+  root: string;
+  leafCount: number;
+  transactionHash: string;
+  blockNumber: number;
+}
+
+/**
+ * Anchor the current chain heads, unless nothing was appended since the last anchor
+ */
+export async function anchorAuditLog(prisma: any, contract: FHIRAccessControlContract): Promise<AuditAnchorResult | null> {
+  const heads = await prisma.auditEntry.findMany({
+    distinct: ['ownerId'],
+    orderBy: [{ ownerId: 'asc' }, { sequence: 'desc' }],
+    select: { ownerId: true, sequence: true, hash: true },
+  });
+  if (heads.length === 0) {
+    return null;
+  }
+
+  const leaves: AuditLeaf[] = heads.map(({ ownerId, sequence, hash }: AuditLeaf) => ({ ownerId, sequence, hash }));
+  const root = getMerkleRoot(leaves.map(getAuditLeafHash));
+  if (await prisma.auditAnchor.findUnique({ where: { root } })) {
+    return null;
+  }
+
+  const tx = await contract.anchorAuditRoot(root, leaves.length);
+  const receipt = await tx.wait();
+  const block = await receipt.getBlock();
+
+  await prisma.auditAnchor.create({
+    data: {
+      root,
+      leaves: JSON.stringify(leaves),
+      chainId: Number((await contract.runner.provider.getNetwork()).chainId),
+      contractAddress: (await contract.getAddress()).toLowerCase(),
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      anchoredAt: new Date(block.timestamp * 1000),
+    },
+  });
+
+  return { root, leafCount: leaves.length, transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+}
+
+/**
+ * Whether a root was anchored on the contract
+ */
+export async function isAuditRootAnchored(contract: FHIRAccessControlContract, root: string): Promise<boolean> {
+  return (await contract.auditRootAnchoredAt(root)) > BigInt(0);
+}
@@ -0,0 +1,622 @@
+/**
+ * Verifiable Credentials for Shared Health Records
+ *
+ * Issues a FHIR Bundle as a W3C Verifiable Credential (VCDM 2.0 secured as a
+ * `vc+jwt`) or as an SD-JWT VC (`dc+sd-jwt`) where every Bundle entry, and every
+ * field of its resource, is a salted disclosure. Credentials are signed with
+ * ES256K by the EHR's issuer key and bound to the patient's Ethereum account,
+ * identified as a `did:pkh` DID.
+ *
+ * Signing only happens on the server (pages/api/credentials); verification has
+ * no Node dependencies so the `/shared/[accessId]` page can run it in the browser.
+ * When an SD-JWT VC is presented to a verifier, the holder appends a key binding
+ * JWT signed with MetaMask `personal_sign`, since MetaMask cannot sign a raw
+ * ES256K digest.
+ */
+
+import { ethers } from 'ethers';
+import { BundleEntry, FHIRBundle } from '@/lib/fhir/types';
+import { BundleSelection, REQUIRED_FIELDS, getEntryKey, isEntrySelected } from '@/lib/fhir/selection';
+
+export type CredentialFormat = 'jwt_vc' | 'sd_jwt_vc';
+
+export const VC_CONTEXT = 'https://www.w3.org/ns/credentials/v2';
+export const HEALTH_RECORD_CREDENTIAL_TYPE = 'HealthRecordCredential';
+export const HEALTH_RECORD_VCT = 'https://openwallet.foundation/ehr-wallet/credentials/HealthRecordCredential';
+
+// Holder proofs and key binding JWTs older than this are rejected to limit replay
+const HOLDER_PROOF_MAX_AGE_MS = 5 * 60 * 1000;
+
+// JWS `alg` of key binding JWTs: an EIP-191 personal_sign signature of the signing input
+export const KEY_BINDING_ALG = 'EIP191';
+
+const JWT_TYPES: Record<CredentialFormat, string> = {
+  jwt_vc: 'vc+jwt',
+  sd_jwt_vc: 'dc+sd-jwt',
+};
+
+export interface IssueCredentialOptions {
+  /** Bundle to issue, e.g. from createPatientSummaryBundle or the IPS $summary operation */
+  bundle: FHIRBundle;
+  /** `did:pkh` of the patient's wallet the credential is bound to */
+  holder: string;
+  /** Reference to the Patient resource, e.g. `Patient/123` */
+  patientReference?: string;
+  format?: CredentialFormat;
+  /** Lifetime in seconds; credentials without one do not expire */
+  expiresIn?: number;
+  now?: Date;
+}
+
+export interface IssuedCredential {
+  format: CredentialFormat;
+  /** Compact serialization: a JWS, or for SD-JWT `<jws>~<disclosure>~...~` */
+  credential: string;
+  id: string;
+  issuer: string;
+  holder: string;
+  issuedAt: string;
+  expiresAt?: string;
+}
+
+export interface HolderProof {
+  patientId: string;
+  holder: string;
+  issuedAt: string;
+  /** EIP-191 personal_sign signature of createHolderProofMessage() */
+  signature: string;
+}
+
+export interface ParsedSdJwt {
+  jws: string;
+  disclosures: string[];
+  /** Key binding JWT appended by the holder when presenting */
+  keyBinding?: string;
+}
+
+export interface KeyBindingOptions {
+  /** Verifier the presentation is meant for (OpenID4VP client_id) */
+  audience: string;
+  nonce: string;
+  now?: Date;
+}
+
+export interface VerifyCredentialOptions {
+  /** Issuer DIDs the verifier trusts; when given, other issuers fail verification */
+  trustedIssuers?: string[];
+  /** Bundle that was shared alongside the credential; must equal the signed one */
+  bundle?: FHIRBundle;
+  now?: Date;
+}
+
+export interface CredentialVerificationResult {
+  valid: boolean;
+  format?: CredentialFormat;
+  id?: string;
+  issuer?: string;
+  holder?: string;
+  /** Key the holder binds presentations with: the SD-JWT `cnf.kid` */
+  holderKey?: string;
+  issuedAt?: string;
+  expiresAt?: string;
+  /** The signed Bundle, with only the disclosed entries for SD-JWT VCs */
+  bundle?: FHIRBundle;
+  /** Number of SD-JWT Bundle entries the holder did not disclose */
+  undisclosedEntries?: number;
+  /** Number of fields hidden in the disclosed SD-JWT entries */
+  undisclosedFields?: number;
+  errors: string[];
+}
+
+/**
+ * Build the `did:pkh` DID for an Ethereum account (CAIP-10)
+ * @param chainId - Numeric chain id or the hex string reported by MetaMask
+ */
+export function getEthereumDid(address: string, chainId: number | string = 1): string {
+  const chain = typeof chainId === 'string' && chainId.startsWith('0x') ? parseInt(chainId, 16) : Number(chainId);
+  return `did:pkh:eip155:${chain}:${ethers.getAddress(address)}`;
+}
+
+/**
+ * Extract the Ethereum address from a `did:pkh:eip155` DID, or null if it is not one
+ */
+export function getAddressFromDid(did: string): string | null {
+  const match = did?.match(/^did:pkh:eip155:\d+:(0x[0-9a-fA-F]{40})$/);
+  return match ? ethers.getAddress(match[1]) : null;
+}
+
+/**
+ * The `did:pkh` DID of an issuer private key
+ */
+export function getIssuerDid(issuerKey: string, chainId: number | string = 1): string {
+  return getEthereumDid(ethers.computeAddress(issuerKey), chainId);
+}
+
+/**
+ * The message the patient signs with MetaMask to prove control of the holder key
+ */
+export function createHolderProofMessage(patientId: string, holder: string, issuedAt: string): string {
+  return [
+    'EHR Wallet credential request',
+    `Patient: ${patientId}`,
+    `Holder: ${holder}`,
+    `Issued at: ${issuedAt}`,
+  ].join('\n');
+}
+
+/**
+ * Split a compact SD-JWT (`<jws>~<disclosure>~...~<kb-jwt>`) into its parts.
+ * A plain JWS yields no disclosures.
+ */
+export function parseSdJwt(credential: string): ParsedSdJwt {
+  const segments = (credential || '').split('~');
+  const keyBinding = segments.length > 1 ? segments[segments.length - 1] : '';
+
+  return {
+    jws: segments[0],
+    disclosures: segments.slice(1, -1).filter(Boolean),
+    ...(keyBinding ? { keyBinding } : {}),
+  };
+}
+
+/**
+ * Build the key binding JWT signing input for presenting an SD-JWT VC.
+ * The holder signs it with `personal_sign` and passes the result to appendKeyBinding().
+ */
+export function createKeyBindingInput(credential: string, options: KeyBindingOptions): string {
+  const { jws, disclosures } = parseSdJwt(credential);
+  const header = { typ: 'kb+jwt', alg: KEY_BINDING_ALG };
+  const payload = {
+    iat: Math.floor((options.now || new Date()).getTime() / 1000),
+    aud: options.audience,
+    nonce: options.nonce,
+    sd_hash: hashDisclosure(serializeSdJwt(jws, disclosures)),
+  };
+
+  return `${encodeJSON(header)}.${encodeJSON(payload)}`;
+}
+
+/**
+ * Append a signed key binding JWT to an SD-JWT VC
+ * @param signature - Hex `personal_sign` signature of the signing input
+ */
+export function appendKeyBinding(credential: string, signingInput: string, signature: string): string {
+  const { jws, disclosures } = parseSdJwt(credential);
+  return `${serializeSdJwt(jws, disclosures)}${signingInput}.${base64UrlEncode(signature)}`;
+}
+
+/**
+ * Check the key binding JWT of a presented SD-JWT VC: signed by the holder,
+ * for this verifier and nonce, recent, and covering exactly the disclosures sent.
+ * Returns an error message, or null when the key binding is valid.
+ */
+export function verifyKeyBinding(credential: string, holder: string, options: KeyBindingOptions): string | null {
+  const { jws, disclosures, keyBinding } = parseSdJwt(credential);
+  if (!keyBinding) {
+    return 'Presentation has no key binding JWT';
+  }
+
+  const parts = keyBinding.split('.');
+  let header: any;
+  let payload: any;
+  try {
+    header = decodeJSON(parts[0]);
+    payload = decodeJSON(parts[1]);
+  } catch {
+    return 'Key binding JWT is malformed';
+  }
+
+  if (parts.length !== 3 || header.typ !== 'kb+jwt' || header.alg !== KEY_BINDING_ALG) {
+    return 'Key binding JWT is malformed';
+  }
+
+  let signer: string;
+  try {
+    signer = ethers.verifyMessage(`${parts[0]}.${parts[1]}`, ethers.hexlify(base64UrlDecode(parts[2])));
+  } catch {
+    return 'Key binding signature is malformed';
+  }
+
+  if (signer !== getAddressFromDid(holder)) {
+    return 'Key binding JWT was not signed by the credential holder';
+  }
+  if (payload.aud !== options.audience || payload.nonce !== options.nonce) {
+    return 'Key binding JWT was issued for another request';
+  }
+  if (Math.abs((options.now || new Date()).getTime() - payload.iat * 1000) > HOLDER_PROOF_MAX_AGE_MS) {
+    return 'Key binding JWT has expired';
+  }
+  if (payload.sd_hash !== hashDisclosure(serializeSdJwt(jws, disclosures))) {
+    return 'Key binding JWT does not match the disclosures';
+  }
+
+  return null;
+}
+
+/**
+ * Check a holder proof signature and its freshness.
+ * Returns an error message, or null when the proof is valid.
+ */
+export function verifyHolderProof(proof: HolderProof, now: Date = new Date()): string | null {
+  const address = getAddressFromDid(proof.holder);
+  if (!address) {
+    return 'Holder must be a did:pkh:eip155 DID';
+  }
+
+  const issuedAt = new Date(proof.issuedAt).getTime();
+  if (Number.isNaN(issuedAt) || Math.abs(now.getTime() - issuedAt) > HOLDER_PROOF_MAX_AGE_MS) {
+    return 'Holder proof has expired, please sign a new request';
+  }
+
+  let signer: string;
+  try {
+    signer = ethers.verifyMessage(createHolderProofMessage(proof.patientId, proof.holder, proof.issuedAt), proof.signature);
+  } catch {
+    return 'Holder proof signature is malformed';
+  }
+
+  return signer === address ? null : 'Holder proof was not signed by the holder account';
+}
+
+/**
+ * Issue a FHIR Bundle as a signed credential
+ * @param issuerKey - secp256k1 private key of the issuer (hex)
+ */
+export function issueHealthRecordCredential(
+  issuerKey: string,
+  options: IssueCredentialOptions,
+  chainId: number | string = 1
+): IssuedCredential {
+  const signingKey = new ethers.SigningKey(issuerKey);
+  const issuer = getIssuerDid(issuerKey, chainId);
+  const format = options.format || 'jwt_vc';
+  const now = options.now || new Date();
+  const issuedAt = Math.floor(now.getTime() / 1000);
+  const expiresAt = options.expiresIn ? issuedAt + options.expiresIn : undefined;
+  const id = `urn:uuid:${ethers.uuidV4(ethers.randomBytes(16))}`;
+
+  const header = {
+    alg: 'ES256K',
+    typ: JWT_TYPES[format],
+    kid: `${issuer}#blockchainAccountId`,
+  };
+
+  let payload: Record<string, any>;
+  const disclosures: string[] = [];
+
+  if (format === 'sd_jwt_vc') {
+    const { entry, ...bundle } = options.bundle;
+    const entryDigests = (entry || []).map(item => {
+      const concealed = concealResourceFields(item);
+      const entryDisclosure = createDisclosure(concealed.entry);
+      disclosures.push(entryDisclosure, ...concealed.disclosures);
+      return { '...': hashDisclosure(entryDisclosure) };
+    });
+
+    payload = {
+      iss: issuer,
+      sub: options.holder,
+      jti: id,
+      iat: issuedAt,
+      ...(expiresAt ? { exp: expiresAt } : {}),
+      vct: HEALTH_RECORD_VCT,
+      cnf: { kid: options.holder },
+      ...(options.patientReference ? { patient: options.patientReference } : {}),
+      _sd_alg: 'sha-256',
+      fhirBundle: {
+        ...bundle,
+        entry: entryDigests,
+      },
+    };
+  } else {
+    payload = {
+      '@context': [VC_CONTEXT],
+      id,
+      type: ['VerifiableCredential', HEALTH_RECORD_CREDENTIAL_TYPE],
+      issuer,
+      validFrom: toISOString(issuedAt),
+      ...(expiresAt ? { validUntil: toISOString(expiresAt) } : {}),
+      credentialSubject: {
+        id: options.holder,
+        ...(options.patientReference ? { patient: options.patientReference } : {}),
+        fhirBundle: options.bundle,
+      },
+      iat: issuedAt,
+      ...(expiresAt ? { exp: expiresAt } : {}),
+    };
+  }
+
+  const signingInput = `${encodeJSON(header)}.${encodeJSON(payload)}`;
+  const signature = signingKey.sign(ethers.sha256(ethers.toUtf8Bytes(signingInput)));
+  const jws = `${signingInput}.${base64UrlEncode(ethers.concat([signature.r, signature.s]))}`;
+
+  return {
+    format,
+    credential: format === 'sd_jwt_vc' ? serializeSdJwt(jws, disclosures) : jws,
+    id,
+    issuer,
+    holder: options.holder,
+    issuedAt: toISOString(issuedAt),
+    ...(expiresAt ? { expiresAt: toISOString(expiresAt) } : {}),
+  };
+}
+
+/**
+ * Verify a credential's ES256K signature, its validity period and, for SD-JWT
+ * VCs, that every disclosure was signed by the issuer
+ */
+export function verifyHealthRecordCredential(
+  credential: string,
+  options: VerifyCredentialOptions = {}
+): CredentialVerificationResult {
+  const errors: string[] = [];
+  const { jws, disclosures } = parseSdJwt(credential);
+  const parts = (jws || '').split('.');
+
+  if (parts.length !== 3) {
+    return { valid: false, errors: ['Credential is not a compact JWS'] };
+  }
+
+  let header: any;
+  let payload: any;
+  try {
+    header = decodeJSON(parts[0]);
+    payload = decodeJSON(parts[1]);
+  } catch {
+    return { valid: false, errors: ['Credential header or payload is not valid JSON'] };
+  }
+
+  const format = (Object.keys(JWT_TYPES) as CredentialFormat[]).find(key => JWT_TYPES[key] === header.typ);
+  if (!format) {
+    return { valid: false, errors: [`Unsupported credential type: ${header.typ}`] };
+  }
+
+  const isSdJwt = format === 'sd_jwt_vc';
+  const issuer: string = isSdJwt ? payload.iss : payload.issuer;
+  const holder: string = isSdJwt ? payload.cnf?.kid || payload.sub : payload.credentialSubject?.id;
+
+  if (header.alg !== 'ES256K') {
+    errors.push(`Unsupported signature algorithm: ${header.alg}`);
+  } else if (!verifyES256K(`${parts[0]}.${parts[1]}`, parts[2], issuer)) {
+    errors.push('Signature does not match the issuer');
+  }
+
+  if (options.trustedIssuers && !options.trustedIssuers.includes(issuer)) {
+    errors.push(`Issuer ${issuer} is not trusted`);
+  }
+
+  const now = Math.floor((options.now || new Date()).getTime() / 1000);
+  if (payload.exp && now >= payload.exp) {
+    errors.push('Credential has expired');
+  }
+  if (payload.iat && now < payload.iat - 60) {
+    errors.push('Credential is not yet valid');
+  }
+
+  let bundle: FHIRBundle | undefined;
+  let undisclosedEntries: number | undefined;
+
+  let undisclosedFields: number | undefined;
+
+  if (isSdJwt) {
+    const claims = new Map<string, any[]>();
+    for (const disclosure of disclosures) {
+      const digest = hashDisclosure(disclosure);
+      if (claims.has(digest)) {
+        errors.push('Disclosure was included more than once');
+        continue;
+      }
+      try {
+        claims.set(digest, decodeDisclosure(disclosure));
+      } catch {
+        errors.push('Disclosure is not valid JSON');
+      }
+    }
+
+    // Only disclosures reachable from the signed payload count; entries are
+    // array element disclosures and fields are object property disclosures
+    const used = new Set<string>();
+    const entryDigests: string[] = (payload.fhirBundle?.entry || []).map((item: any) => item?.['...']);
+    undisclosedFields = 0;
+
+    const entries = entryDigests
+      .filter(digest => claims.get(digest)?.length === 2)
+      .map(digest => {
+        used.add(digest);
+        const entry = claims.get(digest)[1];
+        const { _sd, ...resource } = entry.resource || {};
+
+        (Array.isArray(_sd) ? _sd : []).forEach((fieldDigest: string) => {
+          const claim = claims.get(fieldDigest);
+          if (claim?.length === 3) {
+            used.add(fieldDigest);
+            resource[claim[1]] = claim[2];
+          } else {
+            undisclosedFields++;
+          }
+        });
+
+        return entry.resource ? { ...entry, resource } : entry;
+      });
+
+    if ([...claims.keys()].some(digest => !used.has(digest))) {
+      errors.push('Disclosure is not covered by the issuer signature');
+    }
+
+    bundle = { ...payload.fhirBundle, entry: entries };
+    undisclosedEntries = entryDigests.length - entries.length;
+  } else {
+    bundle = payload.credentialSubject?.fhirBundle;
+  }
+
+  if (options.bundle && canonicalize(options.bundle) !== canonicalize(bundle)) {
+    errors.push('Shared records do not match the signed credential');
+  }
+
+  return {
+    valid: errors.length === 0,
+    format,
+    id: isSdJwt ? payload.jti : payload.id,
+    issuer,
+    holder,
+    holderKey: isSdJwt ? payload.cnf?.kid : undefined,
+    issuedAt: payload.iat ? toISOString(payload.iat) : payload.validFrom,
+    expiresAt: payload.exp ? toISOString(payload.exp) : payload.validUntil,
+    bundle,
+    undisclosedEntries,
+    undisclosedFields,
+    errors,
+  };
+}
+
+/**
+ * Present an SD-JWT VC with only the selected entries and fields disclosed.
+ * The signature stays valid because it covers the digests, and the verifier
+ * can still see how many entries and fields were withheld.
+ */
+export function selectDisclosures(credential: string, selection: BundleSelection): string {
+  const { jws, disclosures } = parseSdJwt(credential);
+  const byDigest = new Map(disclosures.map(disclosure => [hashDisclosure(disclosure), disclosure]));
+  const kept: string[] = [];
+
+  disclosures.forEach(disclosure => {
+    const claim = decodeDisclosure(disclosure);
+    // Field disclosures are kept together with their entry below
+    if (claim.length !== 2 || !isEntrySelected(claim[1], selection)) {
+      return;
+    }
+
+    const entry: BundleEntry = claim[1];
+    const hidden = selection.hiddenFields?.[getEntryKey(entry)] || [];
+    kept.push(disclosure);
+
+    ((entry.resource as any)?._sd || []).forEach((digest: string) => {
+      const field = byDigest.get(digest);
+      if (field && !hidden.includes(decodeDisclosure(field)[1])) {
+        kept.push(field);
+      }
+    });
+  });
+
+  return serializeSdJwt(jws, kept);
+}
+
+/**
+ * ES256K signatures carry no recovery id, so try both and compare the
+ * recovered address with the one in the issuer's did:pkh
+ */
+function verifyES256K(signingInput: string, signature: string, issuer: string): boolean {
+  const address = getAddressFromDid(issuer);
+  let bytes: Uint8Array;
+  try {
+    bytes = base64UrlDecode(signature);
+  } catch {
+    return false;
+  }
+  if (!address || bytes.length !== 64) {
+    return false;
+  }
+
+  const digest = ethers.sha256(ethers.toUtf8Bytes(signingInput));
+  const r = ethers.hexlify(bytes.slice(0, 32));
+  const s = ethers.hexlify(bytes.slice(32));
+
+  return [27, 28].some(v => {
+    try {
+      const publicKey = ethers.SigningKey.recoverPublicKey(digest, ethers.Signature.from({ r, s, v }));
+      return ethers.computeAddress(publicKey) === address;
+    } catch {
+      return false;
+    }
+  });
+}
+
+/**
+ * Replace the fields of an entry's resource with sorted `_sd` digests, keeping
+ * the fields that identify the resource in the clear
+ */
+function concealResourceFields(entry: BundleEntry): { entry: BundleEntry; disclosures: string[] } {
+  if (!entry.resource) {
+    return { entry, disclosures: [] };
+  }
+
+  const resource: Record<string, any> = {};
+  const disclosures: string[] = [];
+
+  Object.entries(entry.resource).forEach(([field, value]) => {
+    if (value === undefined) {
+      return;
+    }
+    if (REQUIRED_FIELDS.includes(field)) {
+      resource[field] = value;
+    } else {
+      disclosures.push(createDisclosure(field, value));
+    }
+  });
+
+  resource._sd = disclosures.map(hashDisclosure).sort();
+
+  return { entry: { ...entry, resource: resource as any }, disclosures };
+}
+
+/**
+ * SD-JWT disclosure: base64url(JSON.stringify([salt, value])) for array
+ * elements, or [salt, name, value] for object properties
+ */
+function createDisclosure(...claim: any[]): string {
+  const salt = base64UrlEncode(ethers.randomBytes(16));
+  return base64UrlEncode(ethers.toUtf8Bytes(JSON.stringify([salt, ...claim])));
+}
+
+function decodeDisclosure(disclosure: string): any[] {
+  return JSON.parse(ethers.toUtf8String(base64UrlDecode(disclosure)));
+}
+
+function serializeSdJwt(jws: string, disclosures: string[]): string {
+  return `${jws}~${disclosures.map(d => `${d}~`).join('')}`;
+}
+
+/**
+ * base64url SHA-256, used for disclosure digests and the key binding sd_hash
+ */
+function hashDisclosure(disclosure: string): string {
+  return base64UrlEncode(ethers.getBytes(ethers.sha256(ethers.toUtf8Bytes(disclosure))));
+}
+
+/**
+ * JSON with sorted object keys, so Bundles can be compared after an IPFS round trip
+ */
+function canonicalize(value: any): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function encodeJSON(value: any): string {
+  return base64UrlEncode(ethers.toUtf8Bytes(JSON.stringify(value)));
+}
+
+function decodeJSON(value: string): any {
+  return JSON.parse(ethers.toUtf8String(base64UrlDecode(value)));
+}
+
+function base64UrlEncode(bytes: ethers.BytesLike): string {
+  return ethers.encodeBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(value: string): Uint8Array {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return ethers.decodeBase64(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+}
+
+function toISOString(seconds: number): string {
+  return new Date(seconds * 1000).toISOString();
+}
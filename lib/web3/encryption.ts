@@ -0,0 +1,368 @@
+/**
+ * Envelope Encryption for IPFS Payloads
+ *
+ * A shared payload is encrypted once with a random AES-256-GCM content key,
+ * and the content key is wrapped separately for every recipient:
+ * - `password`: a key derived with PBKDF2-SHA256 from the share password and a random salt
+ * - `ecies-secp256k1`: ECIES to the recipient's secp256k1 share key (see
+ *   `share-key.ts`), using ECDH with an ephemeral key and HKDF-SHA256
+ *
+ * Shares without recipients are still encrypted; the raw content key is put in
+ * the share link's URL fragment, which browsers never send to a server or gateway.
+ *
+ * Envelopes start with a versioned header that is bound to the ciphertext.
+ * Version 1 payloads (a base64 IV + ciphertext keyed by SHA-256 of the password,
+ * from before envelopes were introduced) can still be decrypted.
+ */
+
+import { ethers } from 'ethers';
+
+export const ENVELOPE_TYPE = 'ehr-wallet+encrypted';
+export const ENVELOPE_VERSION = 2;
+export const PBKDF2_ITERATIONS = 310000;
+
+// URL fragment parameter carrying the content key of a share without recipients
+export const CONTENT_KEY_PARAM = 'key';
+
+const ECIES_INFO = 'ehr-wallet/ecies-secp256k1/v2';
+
+type Bytes = Uint8Array<ArrayBuffer>;
+
+export interface EnvelopeHeader {
+  typ: typeof ENVELOPE_TYPE;
+  v: number;
+  enc: 'A256GCM';
+}
+
+export interface PasswordRecipient {
+  type: 'password';
+  kdf: 'PBKDF2-SHA256';
+  iterations: number;
+  salt: string;
+  iv: string;
+  encryptedKey: string;
+}
+
+export interface PublicKeyRecipient {
+  type: 'ecies-secp256k1';
+  /** Compressed public key of the recipient */
+  publicKey: string;
+  ephemeralPublicKey: string;
+  iv: string;
+  encryptedKey: string;
+}
+
+export type EnvelopeRecipient = PasswordRecipient | PublicKeyRecipient;
+
+export interface EncryptedEnvelope {
+  header: EnvelopeHeader;
+  recipients: EnvelopeRecipient[];
+  iv: string;
+  ciphertext: string;
+}
+
+export interface EnvelopeKeys {
+  password?: string;
+  /** secp256k1 public keys of share keys (compressed or uncompressed hex) */
+  publicKeys?: string[];
+}
+
+export type DecryptionKey =
+  | { password: string }
+  /** Private half of a share key from deriveShareKey(), never a wallet's own key */
+  | { privateKey: string }
+  | { contentKey: string };
+
+export type PayloadEncryption = 'envelope' | 'legacy' | null;
+
+/**
+ * Encrypt a payload for a password and/or a list of recipient public keys
+ * @returns The envelope and the base64url content key, for shares without recipients
+ */
+export async function encryptEnvelope(
+  data: any,
+  keys: EnvelopeKeys = {}
+): Promise<{ envelope: EncryptedEnvelope; contentKey: string }> {
+  const header: EnvelopeHeader = { typ: ENVELOPE_TYPE, v: ENVELOPE_VERSION, enc: 'A256GCM' };
+  const rawKey = randomBytes(32);
+  const contentKey = await importAesKey(rawKey);
+
+  const iv = randomBytes(12);
+  const plaintext = new TextEncoder().encode(typeof data === 'object' ? JSON.stringify(data) : data);
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: encodeHeader(header) },
+    contentKey,
+    plaintext
+  );
+
+  const recipients: EnvelopeRecipient[] = [];
+  if (keys.password) {
+    recipients.push(await wrapForPassword(rawKey, keys.password));
+  }
+  for (const publicKey of keys.publicKeys || []) {
+    recipients.push(await wrapForPublicKey(rawKey, publicKey));
+  }
+
+  return {
+    envelope: {
+      header,
+      recipients,
+      iv: encodeBase64Url(iv),
+      ciphertext: encodeBase64Url(new Uint8Array(ciphertext)),
+    },
+    contentKey: encodeBase64Url(rawKey),
+  };
+}
+
+/**
+ * Decrypt an envelope with a password, a share key or the content key
+ */
+export async function decryptEnvelope(envelope: EncryptedEnvelope, key: DecryptionKey): Promise<any> {
+  if (envelope.header?.typ !== ENVELOPE_TYPE || envelope.header.v !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported encryption format version: ${envelope.header?.v}`);
+  }
+
+  const rawKey = await unwrapContentKey(envelope, key);
+  let plaintext: ArrayBuffer;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: decodeBase64Url(envelope.iv), additionalData: encodeHeader(envelope.header) },
+      await importAesKey(rawKey),
+      decodeBase64Url(envelope.ciphertext)
+    );
+  } catch {
+    throw new Error('Invalid key or corrupted data');
+  }
+
+  return parseDecrypted(plaintext);
+}
+
+/**
+ * Decrypt a payload in either format. A string key is treated as a password.
+ */
+export async function decryptPayload(payload: any, key: DecryptionKey | string): Promise<any> {
+  const decryptionKey: DecryptionKey = typeof key === 'string' ? { password: key } : key;
+  const envelope = parseEnvelope(payload);
+
+  if (envelope) {
+    return decryptEnvelope(envelope, decryptionKey);
+  }
+  if (typeof payload === 'string' && 'password' in decryptionKey) {
+    return decryptLegacyPayload(payload, decryptionKey.password);
+  }
+
+  throw new Error('Payload is not encrypted in a supported format');
+}
+
+/**
+ * Read an envelope from a retrieved payload (object or JSON string)
+ */
+export function parseEnvelope(payload: any): EncryptedEnvelope | null {
+  let value = payload;
+  if (typeof payload === 'string') {
+    try {
+      value = JSON.parse(payload);
+    } catch {
+      return null;
+    }
+  }
+
+  return value?.header?.typ === ENVELOPE_TYPE && typeof value.ciphertext === 'string' ? value : null;
+}
+
+/**
+ * How a retrieved payload is encrypted: an envelope, a legacy (version 1)
+ * ciphertext, or not at all
+ */
+export function getPayloadEncryption(payload: any): PayloadEncryption {
+  if (parseEnvelope(payload)) {
+    return 'envelope';
+  }
+  if (typeof payload !== 'string') {
+    return null;
+  }
+
+  // Unencrypted shares uploaded as a JSON string still parse
+  try {
+    JSON.parse(payload);
+    return null;
+  } catch {
+    return 'legacy';
+  }
+}
+
+/**
+ * Append the content key of a share without recipients to its link
+ */
+export function appendContentKey(link: string, contentKey: string): string {
+  return `${link}#${CONTENT_KEY_PARAM}=${contentKey}`;
+}
+
+/**
+ * Read the content key from a share link's URL fragment (e.g. `window.location.hash`)
+ */
+export function getContentKeyFromHash(hash: string): string | null {
+  return new URLSearchParams((hash || '').replace(/^#/, '')).get(CONTENT_KEY_PARAM);
+}
+
+/**
+ * Decrypt a version 1 payload: base64 of a 12-byte IV and AES-GCM ciphertext,
+ * keyed by SHA-256 of the password
+ */
+export async function decryptLegacyPayload(encryptedData: string, password: string): Promise<any> {
+  const encryptedArray = Uint8Array.from(atob(encryptedData), c => c.charCodeAt(0));
+  const keyData = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(password));
+  const key = await crypto.subtle.importKey('raw', keyData, { name: 'AES-GCM' }, false, ['decrypt']);
+
+  const decryptedData = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: encryptedArray.slice(0, 12) },
+    key,
+    encryptedArray.slice(12)
+  );
+
+  return parseDecrypted(decryptedData);
+}
+
+async function unwrapContentKey(envelope: EncryptedEnvelope, key: DecryptionKey): Promise<Bytes> {
+  if ('contentKey' in key) {
+    return decodeBase64Url(key.contentKey);
+  }
+
+  if ('password' in key) {
+    const recipients = envelope.recipients.filter((r): r is PasswordRecipient => r.type === 'password');
+    if (recipients.length === 0) {
+      throw new Error('This data is not protected by a password');
+    }
+    for (const recipient of recipients) {
+      const kek = await derivePasswordKey(key.password, decodeBase64Url(recipient.salt), recipient.iterations);
+      const rawKey = await unwrapKey(kek, recipient).catch(() => null);
+      if (rawKey) {
+        return rawKey;
+      }
+    }
+    throw new Error('Invalid password or corrupted data');
+  }
+
+  const signingKey = new ethers.SigningKey(key.privateKey);
+  const recipient = envelope.recipients.find((r): r is PublicKeyRecipient =>
+    r.type === 'ecies-secp256k1' && r.publicKey === signingKey.compressedPublicKey
+  );
+  if (!recipient) {
+    throw new Error('This data is not encrypted for this key');
+  }
+
+  const kek = await deriveEciesKey(signingKey, recipient.ephemeralPublicKey, recipient.ephemeralPublicKey);
+  return unwrapKey(kek, recipient).catch(() => {
+    throw new Error('Invalid key or corrupted data');
+  });
+}
+
+async function wrapForPassword(rawKey: Bytes, password: string): Promise<PasswordRecipient> {
+  const salt = randomBytes(16);
+  const kek = await derivePasswordKey(password, salt, PBKDF2_ITERATIONS);
+  return {
+    type: 'password',
+    kdf: 'PBKDF2-SHA256',
+    iterations: PBKDF2_ITERATIONS,
+    salt: encodeBase64Url(salt),
+    ...await wrapKey(kek, rawKey),
+  };
+}
+
+async function wrapForPublicKey(rawKey: Bytes, publicKey: string): Promise<PublicKeyRecipient> {
+  const ephemeral = new ethers.SigningKey(randomBytes(32));
+  const kek = await deriveEciesKey(ephemeral, publicKey, ephemeral.compressedPublicKey);
+  return {
+    type: 'ecies-secp256k1',
+    publicKey: ethers.SigningKey.computePublicKey(publicKey, true),
+    ephemeralPublicKey: ephemeral.compressedPublicKey,
+    ...await wrapKey(kek, rawKey),
+  };
+}
+
+async function wrapKey(kek: CryptoKey, rawKey: Bytes): Promise<{ iv: string; encryptedKey: string }> {
+  const iv = randomBytes(12);
+  const encryptedKey = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, kek, rawKey);
+  return { iv: encodeBase64Url(iv), encryptedKey: encodeBase64Url(new Uint8Array(encryptedKey)) };
+}
+
+async function unwrapKey(kek: CryptoKey, recipient: { iv: string; encryptedKey: string }): Promise<Bytes> {
+  const rawKey = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: decodeBase64Url(recipient.iv) },
+    kek,
+    decodeBase64Url(recipient.encryptedKey)
+  );
+  return new Uint8Array(rawKey);
+}
+
+async function derivePasswordKey(password: string, salt: Bytes, iterations: number): Promise<CryptoKey> {
+  const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// ECDH between our key and the other party's public key, expanded with HKDF
+// salted with the ephemeral public key
+async function deriveEciesKey(
+  signingKey: ethers.SigningKey,
+  otherPublicKey: string,
+  ephemeralPublicKey: string
+): Promise<CryptoKey> {
+  const sharedPoint = toBytes(signingKey.computeSharedSecret(otherPublicKey));
+  const baseKey = await crypto.subtle.importKey('raw', sharedPoint.slice(1, 33), 'HKDF', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: toBytes(ephemeralPublicKey),
+      info: new TextEncoder().encode(ECIES_INFO),
+    },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+function importAesKey(rawKey: Bytes): Promise<CryptoKey> {
+  return crypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+// The header is authenticated as AES-GCM additional data, in a fixed field order
+function encodeHeader(header: EnvelopeHeader): Bytes {
+  return new TextEncoder().encode(JSON.stringify({ typ: header.typ, v: header.v, enc: header.enc }));
+}
+
+function parseDecrypted(plaintext: ArrayBuffer): any {
+  const decryptedString = new TextDecoder().decode(plaintext);
+
+  // Try to parse as JSON, return as string if not valid JSON
+  try {
+    return JSON.parse(decryptedString);
+  } catch {
+    return decryptedString;
+  }
+}
+
+function encodeBase64Url(bytes: Uint8Array): string {
+  return ethers.encodeBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeBase64Url(value: string): Bytes {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return toBytes(ethers.decodeBase64(base64 + '='.repeat((4 - (base64.length % 4)) % 4)));
+}
+
+// WebCrypto only takes ArrayBuffer-backed views
+function toBytes(value: ethers.BytesLike): Bytes {
+  return new Uint8Array(ethers.getBytes(value));
+}
+
+function randomBytes(length: number): Bytes {
+  return toBytes(ethers.randomBytes(length));
+}
@@ -0,0 +1,224 @@
+/**
+ * FHIRAccessControl client
+ *
+ * App-facing wrapper around the generated FHIRAccessControl contract binding.
+ * Grants carry FHIR metadata (resource type and id, FHIR version and the
+ * resource types in the Bundle) and are either link grants or bound to
+ * grantee wallets. Passwords never go on chain, where their hash could be
+ * brute-forced; they only protect the encrypted payload. `lib/web3/mock-contract.ts`
+ * implements the same interface without a chain.
+ */
+
+import { ethers } from 'ethers';
+import { FHIRAccessControlContract } from './generated/FHIRAccessControl';
+
+export const DEFAULT_FHIR_VERSION = '4.0.1';
+
+// FHIR metadata recorded with a grant
+export interface FHIRGrantMetadata {
+  fhirResourceType?: string;
+  fhirResourceId?: string;
+  fhirVersion?: string;
+  resourceTypes?: string[];
+}
+
+export interface CreateFHIRGrantOptions extends FHIRGrantMetadata {
+  /** Wallet addresses the grant is bound to; anyone with the link can verify otherwise */
+  grantees?: string[];
+}
+
+export interface FHIRAccessResult {
+  ipfsCid: string;
+  fhirResourceType: string;
+  fhirResourceId: string;
+  resourceTypes: string[];
+}
+
+export interface FHIRGrantDetails {
+  accessId: string;
+  owner: string;
+  ipfsCid: string;
+  expiryTime: Date;
+  fhirResourceType: string;
+  fhirResourceId: string;
+  fhirVersion: string;
+  resourceTypes: string[];
+  isExpired: boolean;
+  recipientBound: boolean;
+  grantees: string[];
+}
+
+export interface FHIRRevocation {
+  accessId: string;
+  /** Hash of the revokeFHIRAccess transaction; null for the mock client */
+  transactionHash: string | null;
+  blockNumber: number | null;
+}
+
+export interface FHIRAccessClient {
+  /** Create a grant and return its accessId */
+  createGrant(ipfsCid: string, durationInSeconds: number, options?: CreateFHIRGrantOptions): Promise<string>;
+  /** Check the grant, and the connected wallet for recipient-bound grants, and return the shared CID */
+  verifyAccess(accessId: string): Promise<FHIRAccessResult>;
+  getGrantDetails(accessId: string): Promise<FHIRGrantDetails>;
+  getGrantsByOwner(owner: string): Promise<string[]>;
+  /** Expire a grant immediately (owner only), resolving once FHIRAccessRevoked is emitted */
+  revokeGrant(accessId: string): Promise<FHIRRevocation>;
+  addGrantee(accessId: string, grantee: string): Promise<void>;
+  removeGrantee(accessId: string, grantee: string): Promise<void>;
+}
+
+/**
+ * The revert reason of a failed contract call, falling back to the error message
+ */
+export const getRevertReason = (error: any): string =>
+  error?.reason || error?.revert?.args?.[0] || error?.shortMessage || error?.message || 'Contract call failed';
+
+/**
+ * Whether a mined transaction of the contract emitted FHIRAccessRevoked for a grant
+ */
+export const receiptRevokesGrant = (
+  contract: FHIRAccessControlContract,
+  contractAddress: string,
+  receipt: ethers.TransactionReceipt | null,
+  accessId: string
+): boolean =>
+  !!receipt && receipt.status === 1 && receipt.logs
+    .filter(log => log.address.toLowerCase() === contractAddress.toLowerCase())
+    .map(log => contract.interface.parseLog(log))
+    .some(event => event?.name === 'FHIRAccessRevoked' && event.args.accessId.toLowerCase() === accessId.toLowerCase());
+
+/**
+ * Wrap a FHIRAccessControl contract instance in the app-facing client
+ */
+export const createFHIRAccessClient = (contract: FHIRAccessControlContract): FHIRAccessClient => {
+  // Run a contract call, surfacing the revert reason
+  const call = async <T>(operation: () => Promise<T>): Promise<T> => {
+    try {
+      return await operation();
+    } catch (error) {
+      throw new Error(getRevertReason(error));
+    }
+  };
+
+  const send = (operation: () => Promise<ethers.ContractTransactionResponse>) =>
+    call(async () => {
+      const tx = await operation();
+      return tx.wait();
+    });
+
+  // Find an event emitted for a grant in a transaction receipt
+  const findEvent = (receipt: ethers.ContractTransactionReceipt, name: string, accessId?: string) =>
+    receipt.logs
+      .map(log => contract.interface.parseLog(log))
+      .find(event => event?.name === name && (!accessId || event.args.accessId.toLowerCase() === accessId.toLowerCase()));
+
+  return {
+    async createGrant(ipfsCid, durationInSeconds, options = {}) {
+      const grantees = (options.grantees || []).map(grantee => ethers.getAddress(grantee));
+      const fhirResourceType = options.fhirResourceType || 'Bundle';
+      const fhirResourceId = options.fhirResourceId || '';
+      const fhirVersion = options.fhirVersion || DEFAULT_FHIR_VERSION;
+      const resourceTypes = options.resourceTypes || [];
+
+      const receipt = await send(() => grantees.length > 0
+        ? contract.createFHIRAccessForGrantees(ipfsCid, durationInSeconds, fhirResourceType, fhirResourceId, fhirVersion, resourceTypes, grantees)
+        : contract.createFHIRAccess(ipfsCid, durationInSeconds, fhirResourceType, fhirResourceId, fhirVersion, resourceTypes)
+      );
+
+      const created = findEvent(receipt, 'FHIRAccessCreated');
+      if (!created) {
+        throw new Error('FHIRAccessCreated event not found in the transaction receipt');
+      }
+      return created.args.accessId;
+    },
+
+    async verifyAccess(accessId) {
+      const recipientBound = await call(() => contract.isRecipientBound(accessId));
+      const [ipfsCid, fhirResourceType, fhirResourceId, resourceTypes] = await call(() => recipientBound
+        ? contract.verifyGranteeAccess(accessId)
+        : contract.verifyFHIRAccess(accessId)
+      );
+      return { ipfsCid, fhirResourceType, fhirResourceId, resourceTypes: [...resourceTypes] };
+    },
+
+    async getGrantDetails(accessId) {
+      const [details, recipientBound, grantees] = await call(() => Promise.all([
+        contract.getFHIRAccessDetails(accessId),
+        contract.isRecipientBound(accessId),
+        contract.getGrantees(accessId),
+      ]));
+      return {
+        accessId,
+        owner: details.owner,
+        ipfsCid: details.ipfsCid,
+        expiryTime: new Date(Number(details.expiryTime) * 1000),
+        fhirResourceType: details.fhirResourceType,
+        fhirResourceId: details.fhirResourceId,
+        fhirVersion: details.fhirVersion,
+        resourceTypes: [...details.resourceTypes],
+        isExpired: details.isExpired,
+        recipientBound,
+        grantees: [...grantees],
+      };
+    },
+
+    async getGrantsByOwner(owner) {
+      return [...await call(() => contract.getGrantsByOwner(ethers.getAddress(owner)))];
+    },
+
+    async revokeGrant(accessId) {
+      const receipt = await send(() => contract.revokeFHIRAccess(accessId));
+      if (!findEvent(receipt, 'FHIRAccessRevoked', accessId)) {
+        throw new Error('FHIRAccessRevoked event not found in the transaction receipt');
+      }
+      return { accessId, transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+    },
+
+    async addGrantee(accessId, grantee) {
+      await send(() => contract.addGrantee(accessId, ethers.getAddress(grantee)));
+    },
+
+    async removeGrantee(accessId, grantee) {
+      await send(() => contract.removeGrantee(accessId, ethers.getAddress(grantee)));
+    },
+  };
+};
+
+export type ShareSyncState = 'in-sync' | 'revoked-on-chain' | 'active-on-chain' | 'missing-on-chain';
+
+// The DB expiry is computed in the browser, so it can trail the block timestamp by a little
+const EXPIRY_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * Compare a SharedMedicalData row with its on-chain grant.
+ *
+ * - `revoked-on-chain`: the grant was revoked but the row is still active
+ * - `active-on-chain`: the row was revoked but the grant can still be verified
+ * - `missing-on-chain`: the row has a grant accessId the contract does not know
+ *
+ * Rows of direct IPFS shares (whose accessId is the CID) have no grant and are always in sync.
+ */
+export const getShareSyncState = (
+  record: { accessId: string; isActive: boolean; expiryTime: Date | string },
+  grant: FHIRGrantDetails | null | undefined
+): ShareSyncState => {
+  if (!ethers.isHexString(record.accessId, 32)) {
+    return 'in-sync';
+  }
+  if (!grant) {
+    return 'missing-on-chain';
+  }
+
+  // A grant that ended well before the row's expiry was revoked rather than left to expire
+  const revokedOnChain = grant.isExpired
+    && new Date(record.expiryTime).getTime() - grant.expiryTime.getTime() > EXPIRY_TOLERANCE_MS;
+
+  if (record.isActive && revokedOnChain) {
+    return 'revoked-on-chain';
+  }
+  if (!record.isActive && !grant.isExpired) {
+    return 'active-on-chain';
+  }
+  return 'in-sync';
+};
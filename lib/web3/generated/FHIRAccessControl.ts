@@ -0,0 +1,814 @@
+// This file is generated by scripts/generate-types.js from
+// artifacts/contracts/FHIRAccessControl.sol/FHIRAccessControl.json. Do not edit it by hand.
+
+import { BaseContract, BigNumberish, Contract, ContractRunner, ContractTransactionResponse } from 'ethers';
+
+export const FHIRAccessControlAbi = [
+  {
+    "inputs": [],
+    "stateMutability": "nonpayable",
+    "type": "constructor"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "previousAnchorer",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "newAnchorer",
+        "type": "address"
+      }
+    ],
+    "name": "AuditAnchorerChanged",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "bytes32",
+        "name": "root",
+        "type": "bytes32"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "anchorer",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "leafCount",
+        "type": "uint256"
+      }
+    ],
+    "name": "AuditRootAnchored",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "bytes32",
+        "name": "accessId",
+        "type": "bytes32"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "owner",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "string",
+        "name": "ipfsCid",
+        "type": "string"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "expiryTime",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "string",
+        "name": "fhirResourceType",
+        "type": "string"
+      },
+      {
+        "indexed": false,
+        "internalType": "string",
+        "name": "fhirResourceId",
+        "type": "string"
+      }
+    ],
+    "name": "FHIRAccessCreated",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "bytes32",
+        "name": "accessId",
+        "type": "bytes32"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "viewer",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "string",
+        "name": "reason",
+        "type": "string"
+      }
+    ],
+    "name": "FHIRAccessDenied",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "bytes32",
+        "name": "accessId",
+        "type": "bytes32"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "owner",
+        "type": "address"
+      }
+    ],
+    "name": "FHIRAccessRevoked",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "bytes32",
+        "name": "accessId",
+        "type": "bytes32"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "viewer",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "string",
+        "name": "fhirResourceType",
+        "type": "string"
+      }
+    ],
+    "name": "FHIRAccessVerified",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "bytes32",
+        "name": "accessId",
+        "type": "bytes32"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "grantee",
+        "type": "address"
+      }
+    ],
+    "name": "FHIRGranteeAdded",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "bytes32",
+        "name": "accessId",
+        "type": "bytes32"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "grantee",
+        "type": "address"
+      }
+    ],
+    "name": "FHIRGranteeRemoved",
+    "type": "event"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "",
+        "type": "bytes32"
+      }
+    ],
+    "name": "accessGrants",
+    "outputs": [
+      {
+        "internalType": "address",
+        "name": "owner",
+        "type": "address"
+      },
+      {
+        "internalType": "string",
+        "name": "ipfsCid",
+        "type": "string"
+      },
+      {
+        "internalType": "uint256",
+        "name": "expiryTime",
+        "type": "uint256"
+      },
+      {
+        "internalType": "string",
+        "name": "fhirResourceType",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "fhirResourceId",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "fhirVersion",
+        "type": "string"
+      },
+      {
+        "internalType": "bool",
+        "name": "exists",
+        "type": "bool"
+      },
+      {
+        "internalType": "bool",
+        "name": "recipientBound",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "_accessId",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "address",
+        "name": "_grantee",
+        "type": "address"
+      }
+    ],
+    "name": "addGrantee",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "_root",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_leafCount",
+        "type": "uint256"
+      }
+    ],
+    "name": "anchorAuditRoot",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "auditAnchorer",
+    "outputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "",
+        "type": "bytes32"
+      }
+    ],
+    "name": "auditRootAnchoredAt",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "string",
+        "name": "_ipfsCid",
+        "type": "string"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_durationSeconds",
+        "type": "uint256"
+      },
+      {
+        "internalType": "string",
+        "name": "_fhirResourceType",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "_fhirResourceId",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "_fhirVersion",
+        "type": "string"
+      },
+      {
+        "internalType": "string[]",
+        "name": "_resourceTypes",
+        "type": "string[]"
+      }
+    ],
+    "name": "createFHIRAccess",
+    "outputs": [
+      {
+        "internalType": "bytes32",
+        "name": "accessId",
+        "type": "bytes32"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "string",
+        "name": "_ipfsCid",
+        "type": "string"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_durationSeconds",
+        "type": "uint256"
+      },
+      {
+        "internalType": "string",
+        "name": "_fhirResourceType",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "_fhirResourceId",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "_fhirVersion",
+        "type": "string"
+      },
+      {
+        "internalType": "string[]",
+        "name": "_resourceTypes",
+        "type": "string[]"
+      },
+      {
+        "internalType": "address[]",
+        "name": "_grantees",
+        "type": "address[]"
+      }
+    ],
+    "name": "createFHIRAccessForGrantees",
+    "outputs": [
+      {
+        "internalType": "bytes32",
+        "name": "accessId",
+        "type": "bytes32"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "_accessId",
+        "type": "bytes32"
+      }
+    ],
+    "name": "getFHIRAccessDetails",
+    "outputs": [
+      {
+        "internalType": "address",
+        "name": "owner",
+        "type": "address"
+      },
+      {
+        "internalType": "string",
+        "name": "ipfsCid",
+        "type": "string"
+      },
+      {
+        "internalType": "uint256",
+        "name": "expiryTime",
+        "type": "uint256"
+      },
+      {
+        "internalType": "string",
+        "name": "fhirResourceType",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "fhirResourceId",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "fhirVersion",
+        "type": "string"
+      },
+      {
+        "internalType": "string[]",
+        "name": "resourceTypes",
+        "type": "string[]"
+      },
+      {
+        "internalType": "bool",
+        "name": "isExpired",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "_accessId",
+        "type": "bytes32"
+      }
+    ],
+    "name": "getGrantees",
+    "outputs": [
+      {
+        "internalType": "address[]",
+        "name": "",
+        "type": "address[]"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "_owner",
+        "type": "address"
+      }
+    ],
+    "name": "getGrantsByOwner",
+    "outputs": [
+      {
+        "internalType": "bytes32[]",
+        "name": "",
+        "type": "bytes32[]"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "string",
+        "name": "_fhirResourceId",
+        "type": "string"
+      }
+    ],
+    "name": "getGrantsByResourceId",
+    "outputs": [
+      {
+        "internalType": "bytes32[]",
+        "name": "",
+        "type": "bytes32[]"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "_owner",
+        "type": "address"
+      }
+    ],
+    "name": "getOwnerGrantCount",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "count",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "_accessId",
+        "type": "bytes32"
+      }
+    ],
+    "name": "isAccessValid",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "_accessId",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "address",
+        "name": "_grantee",
+        "type": "address"
+      }
+    ],
+    "name": "isGrantee",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "_accessId",
+        "type": "bytes32"
+      }
+    ],
+    "name": "isRecipientBound",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "name": "ownerGrants",
+    "outputs": [
+      {
+        "internalType": "bytes32",
+        "name": "",
+        "type": "bytes32"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "_accessId",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "address",
+        "name": "_grantee",
+        "type": "address"
+      }
+    ],
+    "name": "removeGrantee",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "string",
+        "name": "",
+        "type": "string"
+      },
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "name": "resourceGrants",
+    "outputs": [
+      {
+        "internalType": "bytes32",
+        "name": "",
+        "type": "bytes32"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "_accessId",
+        "type": "bytes32"
+      }
+    ],
+    "name": "revokeFHIRAccess",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "_anchorer",
+        "type": "address"
+      }
+    ],
+    "name": "setAuditAnchorer",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "_accessId",
+        "type": "bytes32"
+      }
+    ],
+    "name": "verifyFHIRAccess",
+    "outputs": [
+      {
+        "internalType": "string",
+        "name": "ipfsCid",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "fhirResourceType",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "fhirResourceId",
+        "type": "string"
+      },
+      {
+        "internalType": "string[]",
+        "name": "resourceTypes",
+        "type": "string[]"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "_accessId",
+        "type": "bytes32"
+      }
+    ],
+    "name": "verifyGranteeAccess",
+    "outputs": [
+      {
+        "internalType": "string",
+        "name": "ipfsCid",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "fhirResourceType",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "fhirResourceId",
+        "type": "string"
+      },
+      {
+        "internalType": "string[]",
+        "name": "resourceTypes",
+        "type": "string[]"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  }
+] as const;
+
+export type FHIRAccessControlEventName =
+  | 'AuditAnchorerChanged'
+  | 'AuditRootAnchored'
+  | 'FHIRAccessCreated'
+  | 'FHIRAccessDenied'
+  | 'FHIRAccessRevoked'
+  | 'FHIRAccessVerified'
+  | 'FHIRGranteeAdded'
+  | 'FHIRGranteeRemoved';
+
+export interface FHIRAccessControlMethods {
+  accessGrants(arg0: string): Promise<[owner: string, ipfsCid: string, expiryTime: bigint, fhirResourceType: string, fhirResourceId: string, fhirVersion: string, exists: boolean, recipientBound: boolean] & { owner: string; ipfsCid: string; expiryTime: bigint; fhirResourceType: string; fhirResourceId: string; fhirVersion: string; exists: boolean; recipientBound: boolean }>;
+  addGrantee(accessId: string, grantee: string): Promise<ContractTransactionResponse>;
+  anchorAuditRoot(root: string, leafCount: BigNumberish): Promise<ContractTransactionResponse>;
+  auditAnchorer(): Promise<string>;
+  auditRootAnchoredAt(arg0: string): Promise<bigint>;
+  createFHIRAccess(ipfsCid: string, durationSeconds: BigNumberish, fhirResourceType: string, fhirResourceId: string, fhirVersion: string, resourceTypes: string[]): Promise<ContractTransactionResponse>;
+  createFHIRAccessForGrantees(ipfsCid: string, durationSeconds: BigNumberish, fhirResourceType: string, fhirResourceId: string, fhirVersion: string, resourceTypes: string[], grantees: string[]): Promise<ContractTransactionResponse>;
+  getFHIRAccessDetails(accessId: string): Promise<[owner: string, ipfsCid: string, expiryTime: bigint, fhirResourceType: string, fhirResourceId: string, fhirVersion: string, resourceTypes: string[], isExpired: boolean] & { owner: string; ipfsCid: string; expiryTime: bigint; fhirResourceType: string; fhirResourceId: string; fhirVersion: string; resourceTypes: string[]; isExpired: boolean }>;
+  getGrantees(accessId: string): Promise<string[]>;
+  getGrantsByOwner(owner: string): Promise<string[]>;
+  getGrantsByResourceId(fhirResourceId: string): Promise<string[]>;
+  getOwnerGrantCount(owner: string): Promise<bigint>;
+  isAccessValid(accessId: string): Promise<boolean>;
+  isGrantee(accessId: string, grantee: string): Promise<boolean>;
+  isRecipientBound(accessId: string): Promise<boolean>;
+  ownerGrants(arg0: string, arg1: BigNumberish): Promise<string>;
+  removeGrantee(accessId: string, grantee: string): Promise<ContractTransactionResponse>;
+  resourceGrants(arg0: string, arg1: BigNumberish): Promise<string>;
+  revokeFHIRAccess(accessId: string): Promise<ContractTransactionResponse>;
+  setAuditAnchorer(anchorer: string): Promise<ContractTransactionResponse>;
+  verifyFHIRAccess(accessId: string): Promise<[ipfsCid: string, fhirResourceType: string, fhirResourceId: string, resourceTypes: string[]] & { ipfsCid: string; fhirResourceType: string; fhirResourceId: string; resourceTypes: string[] }>;
+  verifyGranteeAccess(accessId: string): Promise<[ipfsCid: string, fhirResourceType: string, fhirResourceId: string, resourceTypes: string[]] & { ipfsCid: string; fhirResourceType: string; fhirResourceId: string; resourceTypes: string[] }>;
+}
+
+export type FHIRAccessControlContract = BaseContract & FHIRAccessControlMethods;
+
+// Bind a typed FHIRAccessControl instance to a deployed address
+export const connectFHIRAccessControl = (address: string, runner?: ContractRunner | null): FHIRAccessControlContract =>
+  new Contract(address, FHIRAccessControlAbi as any, runner) as unknown as FHIRAccessControlContract;
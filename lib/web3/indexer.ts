@@ -0,0 +1,197 @@
+/**
+ * FHIRAccessControl Event Indexer
+ *
+ * SharedMedicalData rows are written by the browser after an upload, so the
+ * database can miss grants or keep showing revoked ones. The indexer reads the
+ * FHIRAccessCreated, FHIRAccessVerified, FHIRAccessDenied and FHIRAccessRevoked
+ * logs of the configured contract and mirrors them into Prisma:
+ *
+ * - every event is stored in GrantEvent
+ * - FHIRAccessCreated upserts the grant into SharedMedicalData
+ * - FHIRAccessRevoked marks the grant's row inactive
+ *
+ * The last processed block is kept in IndexerCheckpoint, so each run continues
+ * where the previous one stopped. All writes are upserts, so processing a block
+ * range twice is harmless. Runs stay 12 blocks behind the chain head by
+ * default, as the checkpoint never goes back to re-read reorged blocks.
+ *
+ * Note that the contract's verify functions are views and do not emit
+ * FHIRAccessVerified / FHIRAccessDenied; they are indexed for contracts that do.
+ */
+
+import { ethers } from 'ethers';
+import { connectFHIRAccessControl } from './generated/FHIRAccessControl';
+
+export const INDEXED_EVENTS = {
+  FHIRAccessCreated: 'created',
+  FHIRAccessVerified: 'verified',
+  FHIRAccessDenied: 'denied',
+  FHIRAccessRevoked: 'revoked',
+} as const;
+
+export const DEFAULT_INDEXER_RPC_URL = 'http://127.0.0.1:8545';
+
+// Blocks per eth_getLogs request; public RPC endpoints cap the range
+const DEFAULT_BATCH_SIZE = 2000;
+
+// Blocks to stay behind the head; deeper reorgs are rare on mainnet and its rollups
+export const DEFAULT_INDEXER_CONFIRMATIONS = 12;
+
+export interface IndexerOptions {
+  provider: ethers.Provider;
+  contractAddress: string;
+  prisma: any;
+  /** First block to read when there is no checkpoint yet, e.g. the deployment block */
+  startBlock?: number;
+  batchSize?: number;
+  /** Blocks to stay behind the chain head, so reorged logs are not indexed; defaults to 12 */
+  confirmations?: number;
+}
+
+export interface IndexerResult {
+  chainId: number;
+  contractAddress: string;
+  fromBlock: number;
+  toBlock: number;
+  events: number;
+  grants: number;
+}
+
+export interface IndexerConfig {
+  rpcUrl: string;
+  contractAddress: string | undefined;
+  startBlock: number;
+  confirmations: number;
+}
+
+/**
+ * Indexer settings from the environment
+ */
+export const getIndexerConfig = (): IndexerConfig => ({
+  rpcUrl: process.env.FHIR_INDEXER_RPC_URL || DEFAULT_INDEXER_RPC_URL,
+  contractAddress: process.env.FHIR_INDEXER_CONTRACT_ADDRESS || process.env.NEXT_PUBLIC_FHIR_ACCESS_CONTRACT_ADDRESS,
+  startBlock: parseInt(process.env.FHIR_INDEXER_START_BLOCK || '0', 10),
+  confirmations: process.env.FHIR_INDEXER_CONFIRMATIONS
+    ? parseInt(process.env.FHIR_INDEXER_CONFIRMATIONS, 10)
+    : DEFAULT_INDEXER_CONFIRMATIONS,
+});
+
+export const getCheckpointId = (chainId: number, contractAddress: string): string =>
+  `${chainId}:${contractAddress.toLowerCase()}`;
+
+/**
+ * Read the contract's events since the last checkpoint and write them to the database
+ */
+export async function syncGrantEvents(options: IndexerOptions): Promise<IndexerResult> {
+  const { provider, prisma } = options;
+  const contractAddress = ethers.getAddress(options.contractAddress);
+  const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  const contract = connectFHIRAccessControl(contractAddress, provider);
+
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const checkpointId = getCheckpointId(chainId, contractAddress);
+  const checkpoint = await prisma.indexerCheckpoint.findUnique({ where: { id: checkpointId } });
+
+  const fromBlock = checkpoint ? checkpoint.blockNumber + 1 : options.startBlock || 0;
+  const headBlock = (await provider.getBlockNumber()) - (options.confirmations ?? DEFAULT_INDEXER_CONFIRMATIONS);
+  const result: IndexerResult = { chainId, contractAddress, fromBlock, toBlock: Math.max(headBlock, fromBlock - 1), events: 0, grants: 0 };
+
+  const topics = [Object.keys(INDEXED_EVENTS).map(name => contract.interface.getEvent(name).topicHash)];
+  const blockTimes = new Map<number, Date>();
+  const getBlockTime = async (blockNumber: number) => {
+    if (!blockTimes.has(blockNumber)) {
+      const block = await provider.getBlock(blockNumber);
+      blockTimes.set(blockNumber, new Date(block.timestamp * 1000));
+    }
+    return blockTimes.get(blockNumber);
+  };
+
+  for (let start = fromBlock; start <= headBlock; start += batchSize) {
+    const end = Math.min(start + batchSize - 1, headBlock);
+    const logs = await provider.getLogs({ address: contractAddress, fromBlock: start, toBlock: end, topics });
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    for (const log of logs) {
+      const event = contract.interface.parseLog(log);
+      if (!event) {
+        continue;
+      }
+
+      await applyEvent(prisma, event, log, chainId, await getBlockTime(log.blockNumber));
+      result.events++;
+      if (event.name === 'FHIRAccessCreated') {
+        result.grants++;
+      }
+    }
+
+    // Only advance the checkpoint once the whole range is written
+    await prisma.indexerCheckpoint.upsert({
+      where: { id: checkpointId },
+      create: { id: checkpointId, chainId, contractAddress: contractAddress.toLowerCase(), blockNumber: end },
+      update: { blockNumber: end },
+    });
+  }
+
+  return result;
+}
+
+async function applyEvent(
+  prisma: any,
+  event: ethers.LogDescription,
+  log: ethers.Log,
+  chainId: number,
+  occurredAt: Date
+) {
+  const accessId: string = event.args.accessId;
+
+  if (event.name === 'FHIRAccessCreated') {
+    const owner = (event.args.owner as string).toLowerCase();
+
+    await prisma.sharedMedicalData.upsert({
+      where: { accessId },
+      create: {
+        accessId,
+        ipfsCid: event.args.ipfsCid,
+        userId: owner,
+        expiryTime: new Date(Number(event.args.expiryTime) * 1000),
+        createdAt: occurredAt,
+        createdBlock: log.blockNumber,
+      },
+      update: {
+        ipfsCid: event.args.ipfsCid,
+        userId: owner,
+        createdBlock: log.blockNumber,
+      },
+    });
+  }
+
+  if (event.name === 'FHIRAccessRevoked') {
+    await prisma.sharedMedicalData.updateMany({
+      where: { accessId },
+      data: {
+        isActive: false,
+        expiryTime: occurredAt,
+        revokedAt: occurredAt,
+        revocationTxHash: log.transactionHash,
+      },
+    });
+  }
+
+  const id = `${log.transactionHash}:${log.index}`;
+  await prisma.grantEvent.upsert({
+    where: { id },
+    create: {
+      id,
+      accessId,
+      event: INDEXED_EVENTS[event.name as keyof typeof INDEXED_EVENTS],
+      actor: ((event.args.owner || event.args.viewer) as string).toLowerCase(),
+      reason: event.name === 'FHIRAccessDenied' ? event.args.reason : null,
+      chainId,
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      occurredAt,
+    },
+    update: {},
+  });
+}
@@ -1,380 +1,114 @@
 'use client';
 
-// Import CID statically (no native dependencies)
-import { CID } from 'multiformats/cid';
-import { base58btc } from 'multiformats/bases/base58';
-
-// List of allowed IPFS gateways to prevent SSRF
-const ALLOWED_IPFS_GATEWAYS = [
-  'https://gateway.pinata.cloud/ipfs',
-  'https://ipfs.io/ipfs',
-  'https://dweb.link/ipfs',
-  'https://cloudflare-ipfs.com/ipfs',
-];
+import { DecryptionKey, decryptPayload, encryptEnvelope } from './encryption';
 
 /**
- * Validate that a string is a valid IPFS CID
+ * Shared payloads are stored and read through `/api/ipfs`, which uses the
+ * storage provider configured on the server (Pinata, a Kubo node, the local
+ * filesystem or S3; see lib/storage). The browser never holds storage
+ * credentials or talks to gateways itself.
  */
-function isValidCID(cidString: string): boolean {
-  try {
-    CID.parse(cidString);
-    return true;
-  } catch {
-    return false;
-  }
-}
 
-/**
- * Validate that a URL is from an allowed IPFS gateway
- */
-function isAllowedGateway(url: string): boolean {
-  return ALLOWED_IPFS_GATEWAYS.some(gateway => url.startsWith(gateway));
+export interface UploadOptions {
+  /** Name shown by the storage backend */
+  name?: string;
 }
 
-// Create a Helia instance
-let heliaInstance: any = null;
-
-// Dynamic imports for Helia modules to avoid loading native modules during build
-const getHeliaModules = async () => {
-  const { createHelia } = await import('helia');
-  const { json } = await import('@helia/json');
-  return { createHelia, json };
-};
+export interface StorageStatus {
+  driver: string;
+  configured: boolean;
+}
 
-// Fallback to HTTP API if Helia fails
-const uploadViaHttpApi = async (data: any): Promise<string> => {
-  const gatewayUrl = process.env.NEXT_PUBLIC_IPFS_NODE_URL || 'https://ipfs.infura.io:5001/api/v0';
-  const projectId = process.env.NEXT_PUBLIC_IPFS_PROJECT_ID;
-  const projectSecret = process.env.NEXT_PUBLIC_IPFS_PROJECT_SECRET;
-  
-  // Prepare the data
-  const formData = new FormData();
-  const blob = new Blob([typeof data === 'string' ? data : JSON.stringify(data)], { type: 'application/json' });
-  formData.append('file', blob);
-  
-  // Set up headers
-  const headers: HeadersInit = {};
-  if (projectId && projectSecret) {
-    headers['Authorization'] = 'Basic ' + btoa(`${projectId}:${projectSecret}`);
-  }
-  
+// Read the error message of a failed API response
+const getResponseError = async (response: Response): Promise<string> => {
   try {
-    const response = await fetch(`${gatewayUrl}/add`, {
-      method: 'POST',
-      headers,
-      body: formData,
-    });
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    
-    const result = await response.json();
-    return result.Hash;
-  } catch (error) {
-    console.error('Error uploading to IPFS via HTTP API:', error);
-    throw error;
+    const body = await response.json();
+    return body.message || body.error || `HTTP error! status: ${response.status}`;
+  } catch {
+    return `HTTP error! status: ${response.status}`;
   }
 };
 
-const createHeliaClient = async () => {
-  if (heliaInstance) {
-    return heliaInstance;
-  }
-
-  try {
-    // Dynamically import to avoid loading during build
-    const { createHelia } = await getHeliaModules();
+// Upload data through the configured storage provider and return its CID; needs a session
+export const uploadToIpfs = async (data: any, options: UploadOptions = {}): Promise<string> => {
+  const response = await fetch('/api/ipfs/upload', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ data, name: options.name }),
+  });
 
-    // Create Helia with minimal configuration to avoid delegated routing issues
-    // Using a basic configuration to avoid TypeScript errors and delegated routing issues
-    heliaInstance = await createHelia({
-      // Using a simpler configuration to avoid the delegated-ipfs.dev 404 error
-      start: true,
-      datastore: undefined // Use default in-memory datastore
-    });
-    return heliaInstance;
-  } catch (error) {
-    console.error('Error creating Helia instance:', error);
-    throw new Error('Failed to initialize Helia');
+  if (!response.ok) {
+    throw new Error('Failed to upload to IPFS: ' + await getResponseError(response));
   }
-};
-
-// Import the Pinata service
-import { pinataService } from './pinata';
-
-// Upload data to IPFS using Pinata with fallback to Helia and HTTP API
-export const uploadToIpfs = async (data: any): Promise<string> => {
-  try {
-    // First attempt: Use Pinata if configured
-    if (pinataService.isConfigured()) {
-      try {
-        console.log('Uploading to IPFS via Pinata...');
-        const jsonData = typeof data === 'object' ? data : JSON.parse(data);
-        const cid = await pinataService.uploadJSON(jsonData);
-        console.log('Successfully uploaded to Pinata with CID:', cid);
-        return cid;
-      } catch (pinataError) {
-        console.warn('Pinata upload failed, falling back to Helia:', pinataError);
-      }
-    }
-    
-    try {
-      // Second attempt: Use Helia
-      console.log('Uploading to IPFS via Helia...');
-      const helia = await createHeliaClient();
-      const { json } = await getHeliaModules();
-      const jsonStorage = json(helia);
-
-      // Add content to IPFS
-      const cid = await jsonStorage.add(data);
-      console.log('Successfully uploaded to Helia with CID:', cid.toString());
 
-      // Return the CID (Content Identifier) as a string
-      return cid.toString();
-    } catch (heliaError) {
-      console.warn('Helia upload failed, falling back to HTTP API:', heliaError);
-      
-      // Third attempt: Use HTTP API
-      console.log('Uploading to IPFS via HTTP API...');
-      const cid = await uploadViaHttpApi(data);
-      console.log('Successfully uploaded to HTTP API with CID:', cid);
-      return cid;
-    }
-  } catch (error) {
-    console.error('All IPFS upload methods failed:', error);
-    throw new Error('Failed to upload to IPFS: ' + (error instanceof Error ? error.message : String(error)));
-  }
+  const { cid } = await response.json();
+  return cid;
 };
 
-// Retrieve data from IPFS using Pinata with fallback to Helia and gateway
+// Retrieve JSON data through the configured storage provider
 export const getFromIpfs = async (cidString: string): Promise<any> => {
-  try {
-    // First attempt: Use Pinata if configured
-    if (pinataService.isConfigured()) {
-      try {
-        console.log('Retrieving from IPFS via Pinata...', cidString);
-        const content = await pinataService.getContent(cidString);
-        console.log('Successfully retrieved from Pinata');
-        return content;
-      } catch (pinataError) {
-        console.warn('Pinata retrieval failed, falling back to Helia:', pinataError);
-      }
-    }
-    
-    try {
-      // Second attempt: Use Helia
-      console.log('Retrieving from IPFS via Helia...', cidString);
-      const helia = await createHeliaClient();
-      const { json } = await getHeliaModules();
-      const jsonStorage = json(helia);
-
-      // Parse the CID string
-      const cid = CID.parse(cidString);
-
-      // Get content from IPFS
-      const content = await jsonStorage.get(cid);
-      console.log('Successfully retrieved from Helia');
-      return content;
-    } catch (heliaError) {
-      console.warn('Helia retrieval failed, falling back to proxy API:', heliaError);
-      
-      // Third attempt: Use our Next.js API proxy to avoid CORS issues
-      console.log('Retrieving from IPFS via API proxy...', cidString);
-      const gatewayUrl = getIpfsGatewayUrl(cidString);
-      
-      try {
-        if (!isAllowedGateway(gatewayUrl)) {
-          throw new Error(`Invalid gateway URL: ${gatewayUrl}`);
-        }
-        const response = await fetch(gatewayUrl);
-
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        const content = await response.json();
-        console.log('Successfully retrieved from API proxy');
-        return content;
-      } catch (proxyError) {
-        console.warn('Proxy API failed, attempting direct gateway as last resort:', proxyError);
-        
-        // Last resort: Try direct gateway (may fail due to CORS in browser)
-        console.log('Retrieving from IPFS via direct gateway...', cidString);
-        
-        // Try Pinata gateway first
-        const pinataGatewayUrl = process.env.NEXT_PUBLIC_PINATA_GATEWAY_URL || 'https://gateway.pinata.cloud/ipfs';
-        const pinataUrl = `${pinataGatewayUrl}/${cidString}`;
-        
-        try {
-          if (!isAllowedGateway(pinataUrl)) {
-            throw new Error(`Invalid gateway URL: ${pinataUrl}`);
-          }
-          const pinataResponse = await fetch(pinataUrl);
+  const response = await fetch(`/api/ipfs?cid=${encodeURIComponent(cidString)}&responseType=json`);
 
-          if (pinataResponse.ok) {
-            const pinataContent = await pinataResponse.json();
-            console.log('Successfully retrieved from Pinata gateway');
-            return pinataContent;
-          }
-        } catch (pinataGatewayError) {
-          console.warn('Pinata gateway failed:', pinataGatewayError);
-        }
-        
-        // Fall back to default gateway
-        const directGatewayUrl = process.env.NEXT_PUBLIC_IPFS_GATEWAY_URL || 'https://ipfs.io/ipfs';
-        const directUrl = `${directGatewayUrl}/${cidString}`;
-
-        if (!isAllowedGateway(directUrl)) {
-          throw new Error(`Invalid gateway URL: ${directUrl}`);
-        }
-
-        const directResponse = await fetch(directUrl);
-        
-        if (!directResponse.ok) {
-          throw new Error(`HTTP error! status: ${directResponse.status}`);
-        }
-        
-        const directContent = await directResponse.json();
-        console.log('Successfully retrieved from direct gateway');
-        return directContent;
-      }
-    }
-  } catch (error) {
-    console.error('All IPFS retrieval methods failed:', error);
-    throw new Error('Failed to retrieve from IPFS: ' + (error instanceof Error ? error.message : String(error)));
+  if (!response.ok) {
+    throw new Error('Failed to retrieve from IPFS: ' + await getResponseError(response));
   }
+
+  return response.json();
 };
 
-// Helper function to get the IPFS gateway URL for a CID
-export const getIpfsGatewayUrl = (cid: string): string => {
-  // Check if we're in a browser environment and should use the API route
-  if (typeof window !== 'undefined') {
-    // When running in the browser, use our API proxy
-    const baseUrl = window.location.origin;
-    return `${baseUrl}/api/ipfs?cid=${encodeURIComponent(cid)}&format=raw`;
+// Retrieve a share's JSON content. The server counts this as a view of the
+// share and refuses it once the share has expired or used up its views.
+export const getSharedContent = async (
+  accessId: string,
+  viewer: { viewerAddress?: string | null; sessionId?: string } = {}
+): Promise<any> => {
+  const params = new URLSearchParams({ accessId, responseType: 'json' });
+  if (viewer.viewerAddress) {
+    params.set('viewerAddress', viewer.viewerAddress);
+  }
+  if (viewer.sessionId) {
+    params.set('sessionId', viewer.sessionId);
   }
-  
-  // For server-side, we can try to access the gateway directly
-  // Prioritize Pinata gateway if available
-  const pinataGatewayUrl = process.env.NEXT_PUBLIC_PINATA_GATEWAY_URL || 'https://gateway.pinata.cloud/ipfs';
-  if (pinataService.isConfigured()) {
-    return `${pinataGatewayUrl}/${cid}`;
+  const response = await fetch(`/api/ipfs?${params}`);
+
+  if (!response.ok) {
+    throw Object.assign(new Error(await getResponseError(response)), { status: response.status });
   }
-  
-  // Fall back to default gateway
-  const gatewayUrl = process.env.NEXT_PUBLIC_IPFS_GATEWAY_URL || 'https://ipfs.io/ipfs';
-  return `${gatewayUrl}/${cid}`;
+
+  return response.json();
 };
 
-// Check if IPFS is available
-export const checkIpfsAvailability = async (): Promise<boolean> => {
+// URL the content of a CID can be opened at
+export const getIpfsGatewayUrl = (cid: string): string => `/api/ipfs?cid=${encodeURIComponent(cid)}`;
+
+// Which storage driver the server uses, or null if it cannot be reached
+export const getStorageStatus = async (): Promise<StorageStatus | null> => {
   try {
-    // Try to create a Helia client
-    await createHeliaClient();
-    return true;
+    const response = await fetch('/api/ipfs/upload');
+    return response.ok ? await response.json() : null;
   } catch (error) {
-    console.warn('IPFS not available via Helia:', error);
-    
-    // Try to access a public gateway as fallback
-    try {
-      const knownValidCid = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
-      const gatewayUrl = `https://ipfs.io/ipfs/${knownValidCid}/readme`;
-      const response = await fetch(gatewayUrl);
-      return response.ok;
-    } catch (gatewayError) {
-      console.error('IPFS gateway not available:', gatewayError);
-      return false;
-    }
+    console.warn('Storage status not available:', error);
+    return null;
   }
 };
 
-// Encrypt data before uploading to IPFS
+// Check if the configured storage provider can take uploads
+export const checkIpfsAvailability = async (): Promise<boolean> => {
+  const status = await getStorageStatus();
+  return Boolean(status?.configured);
+};
+
+// Encrypt data with a password before uploading to IPFS.
+// Returns the JSON envelope; use encryptEnvelope() for public key recipients.
 export const encryptData = async (data: any, password: string): Promise<string> => {
-  // This is a simple encryption for demo purposes
-  // In production, use a proper encryption library
-  
-  // Convert data to JSON string
-  const jsonData = typeof data === 'object' ? JSON.stringify(data) : data;
-  
-  // Convert password to key using subtle crypto
-  const encoder = new TextEncoder();
-  const keyData = await crypto.subtle.digest(
-    'SHA-256',
-    encoder.encode(password)
-  );
-  
-  const key = await crypto.subtle.importKey(
-    'raw',
-    keyData,
-    { name: 'AES-GCM' },
-    false,
-    ['encrypt']
-  );
-  
-  // Create initialization vector
-  const iv = crypto.getRandomValues(new Uint8Array(12));
-  
-  // Encrypt the data
-  const encryptedData = await crypto.subtle.encrypt(
-    {
-      name: 'AES-GCM',
-      iv
-    },
-    key,
-    encoder.encode(jsonData)
-  );
-  
-  // Combine IV and encrypted data
-  const encryptedArray = new Uint8Array(iv.length + encryptedData.byteLength);
-  encryptedArray.set(iv, 0);
-  encryptedArray.set(new Uint8Array(encryptedData), iv.length);
-  
-  // Convert to base64 for storage
-  return btoa(String.fromCharCode(...encryptedArray));
+  const { envelope } = await encryptEnvelope(data, { password });
+  return JSON.stringify(envelope);
 };
 
-// Decrypt data retrieved from IPFS
-export const decryptData = async (encryptedData: string, password: string): Promise<any> => {
-  // Convert from base64
-  const encryptedArray = Uint8Array.from(atob(encryptedData), c => c.charCodeAt(0));
-  
-  // Extract IV and data
-  const iv = encryptedArray.slice(0, 12);
-  const data = encryptedArray.slice(12);
-  
-  // Convert password to key
-  const encoder = new TextEncoder();
-  const keyData = await crypto.subtle.digest(
-    'SHA-256',
-    encoder.encode(password)
-  );
-  
-  const key = await crypto.subtle.importKey(
-    'raw',
-    keyData,
-    { name: 'AES-GCM' },
-    false,
-    ['decrypt']
-  );
-  
-  // Decrypt the data
-  const decryptedData = await crypto.subtle.decrypt(
-    {
-      name: 'AES-GCM',
-      iv
-    },
-    key,
-    data
-  );
-  
-  // Convert to string
-  const decryptedString = new TextDecoder().decode(decryptedData);
-  
-  // Try to parse as JSON, return as string if not valid JSON
-  try {
-    return JSON.parse(decryptedString);
-  } catch {
-    return decryptedString;
-  }
+// Decrypt data retrieved from IPFS, in the envelope or the legacy format.
+// A string key is a password.
+export const decryptData = async (encryptedData: any, key: string | DecryptionKey): Promise<any> => {
+  return decryptPayload(encryptedData, key);
 };
@@ -1,127 +1,210 @@
 'use client';
 
-import { v4 as uuidv4 } from 'uuid';
+import { ethers } from 'ethers';
+import {
+  DEFAULT_FHIR_VERSION,
+  FHIRAccessClient,
+  FHIRGrantDetails,
+} from './fhir-access-control';
 
-// Mock storage for access grants
-interface AccessGrant {
-  id: string;
-  ipfsCid: string;
+// Mock storage for FHIR access grants, mirroring the contract's grant struct
+interface MockFHIRAccessGrant {
+  accessId: string;
   owner: string;
-  expiryTime: Date;
-  hasPassword: boolean;
-  passwordHash?: string;
-  createdAt: Date;
+  ipfsCid: string;
+  expiryTime: number; // Unix timestamp in seconds, like the contract
+  fhirResourceType: string;
+  fhirResourceId: string;
+  fhirVersion: string;
+  resourceTypes: string[];
+  recipientBound: boolean;
+  grantees: string[];
 }
 
-// Use local storage to persist access grants
-const getStoredGrants = (): AccessGrant[] => {
-  if (typeof window === 'undefined') return [];
-  
-  const stored = localStorage.getItem('mockAccessGrants');
-  if (!stored) return [];
-  
-  try {
-    return JSON.parse(stored);
-  } catch (e) {
-    console.error('Error parsing stored grants:', e);
-    return [];
-  }
-};
+export interface MockGrantStorage {
+  getItem(key: string): string | null;
+  setItem(key: string, value: string): void;
+}
 
-const storeGrants = (grants: AccessGrant[]) => {
-  if (typeof window === 'undefined') return;
-  localStorage.setItem('mockAccessGrants', JSON.stringify(grants));
-};
+export interface MockFHIRAccessClientOptions {
+  /** Address acting as msg.sender; defaults to a fixed mock wallet */
+  account?: string;
+  /** Where grants are kept; defaults to localStorage in the browser and memory elsewhere */
+  storage?: MockGrantStorage;
+  now?: () => Date;
+}
 
-// Create a new access grant
-export const mockCreateAccessGrant = async (
-  ipfsCid: string,
-  durationInSeconds: number,
-  password?: string
-): Promise<string> => {
-  // Generate a unique ID for the access grant
-  const accessId = uuidv4().replace(/-/g, '');
-  
-  // Calculate expiry time
-  const expiryTime = new Date();
-  expiryTime.setSeconds(expiryTime.getSeconds() + durationInSeconds);
-  
-  // Create the access grant
-  const grant: AccessGrant = {
-    id: accessId,
-    ipfsCid,
-    owner: 'mock-address-' + Math.random().toString(36).substring(2, 10),
-    expiryTime,
-    hasPassword: !!password,
-    passwordHash: password ? btoa(password) : undefined,
-    createdAt: new Date()
+export const MOCK_ACCOUNT = '0x000000000000000000000000000000000000dEaD';
+
+const STORAGE_KEY = 'mockFHIRAccessGrants';
+
+const createMemoryStorage = (): MockGrantStorage => {
+  const items = new Map<string, string>();
+  return {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => { items.set(key, value); },
   };
-  
-  // Store the grant
-  const grants = getStoredGrants();
-  grants.push(grant);
-  storeGrants(grants);
-  
-  // Log for debugging
-  console.log('Created mock access grant:', grant);
-  
-  // Return the access ID
-  return accessId;
 };
 
-// Verify access to a shared resource
-export const mockVerifyAccess = async (
-  accessId: string,
-  password?: string
-): Promise<string> => {
-  const grants = getStoredGrants();
-  const grant = grants.find(g => g.id === accessId);
-  
-  if (!grant) {
-    throw new Error('Access grant not found');
-  }
-  
-  // Check if expired
-  if (grant.expiryTime < new Date()) {
-    throw new Error('Access grant has expired');
-  }
-  
-  // Check password if required
-  if (grant.hasPassword && grant.passwordHash) {
-    if (!password || btoa(password) !== grant.passwordHash) {
-      throw new Error('Invalid password');
+/**
+ * A FHIRAccessClient that keeps grants in local storage instead of on chain,
+ * for trying sharing flows and testing without a node. It enforces the same
+ * rules and revert messages as FHIRAccessControl.sol.
+ */
+export const createMockFHIRAccessClient = (options: MockFHIRAccessClientOptions = {}): FHIRAccessClient => {
+  const account = ethers.getAddress(options.account || MOCK_ACCOUNT);
+  const storage = options.storage
+    || (typeof window !== 'undefined' && window.localStorage ? window.localStorage : createMemoryStorage());
+  const now = () => Math.floor((options.now ? options.now() : new Date()).getTime() / 1000);
+
+  const getStoredGrants = (): MockFHIRAccessGrant[] => {
+    const stored = storage.getItem(STORAGE_KEY);
+    if (!stored) return [];
+
+    try {
+      return JSON.parse(stored);
+    } catch (e) {
+      console.error('Error parsing stored grants:', e);
+      return [];
     }
-  }
-  
-  return grant.ipfsCid;
-};
+  };
 
-// Get details about an access grant
-export const mockGetAccessGrantDetails = async (
-  accessId: string
-): Promise<{
-  owner: string;
-  ipfsCid: string;
-  expiryTime: Date;
-  hasPassword: boolean;
-}> => {
-  const grants = getStoredGrants();
-  const grant = grants.find(g => g.id === accessId);
-  
-  if (!grant) {
-    throw new Error('Access grant not found');
-  }
-  
-  return {
-    owner: grant.owner,
-    ipfsCid: grant.ipfsCid,
-    expiryTime: grant.expiryTime,
-    hasPassword: grant.hasPassword
+  const storeGrants = (grants: MockFHIRAccessGrant[]) => {
+    storage.setItem(STORAGE_KEY, JSON.stringify(grants));
   };
-};
 
-// Generate a shareable link for an access grant
-export const mockGenerateShareableLink = (accessId: string): string => {
-  const baseUrl = window.location.origin;
-  return `${baseUrl}/shared/${accessId}`;
+  const findGrant = (accessId: string) => {
+    const grant = getStoredGrants().find(g => g.accessId === accessId);
+    if (!grant) {
+      throw new Error('Access grant does not exist');
+    }
+    return grant;
+  };
+
+  const findValidGrant = (accessId: string) => {
+    const grant = findGrant(accessId);
+    if (now() >= grant.expiryTime) {
+      throw new Error('Access grant has expired');
+    }
+    return grant;
+  };
+
+  const updateGrant = (accessId: string, update: (grant: MockFHIRAccessGrant) => void) => {
+    const grants = getStoredGrants();
+    const grant = grants.find(g => g.accessId === accessId);
+    update(grant);
+    storeGrants(grants);
+  };
+
+  const requireOwner = (grant: MockFHIRAccessGrant) => {
+    if (grant.owner !== account) {
+      throw new Error('Only owner can perform this action');
+    }
+  };
+
+  const toResult = (grant: MockFHIRAccessGrant) => ({
+    ipfsCid: grant.ipfsCid,
+    fhirResourceType: grant.fhirResourceType,
+    fhirResourceId: grant.fhirResourceId,
+    resourceTypes: grant.resourceTypes,
+  });
+
+  return {
+    async createGrant(ipfsCid, durationInSeconds, createOptions = {}) {
+      if (!(durationInSeconds > 0)) {
+        throw new Error('Duration must be positive');
+      }
+      if (!ipfsCid) {
+        throw new Error('IPFS CID cannot be empty');
+      }
+
+      const grantees = (createOptions.grantees || []).map(grantee => ethers.getAddress(grantee));
+      if (grantees.includes(ethers.ZeroAddress)) {
+        throw new Error('Grantee cannot be the zero address');
+      }
+      if (new Set(grantees).size !== grantees.length) {
+        throw new Error('Address is already a grantee');
+      }
+
+      const accessId = ethers.keccak256(ethers.toUtf8Bytes(`${account}${ipfsCid}${Date.now()}${Math.random()}`));
+      const grant: MockFHIRAccessGrant = {
+        accessId,
+        owner: account,
+        ipfsCid,
+        expiryTime: now() + durationInSeconds,
+        fhirResourceType: createOptions.fhirResourceType || 'Bundle',
+        fhirResourceId: createOptions.fhirResourceId || '',
+        fhirVersion: createOptions.fhirVersion || DEFAULT_FHIR_VERSION,
+        resourceTypes: createOptions.resourceTypes || [],
+        recipientBound: grantees.length > 0,
+        grantees,
+      };
+
+      storeGrants([...getStoredGrants(), grant]);
+      return accessId;
+    },
+
+    async verifyAccess(accessId) {
+      const grant = findValidGrant(accessId);
+
+      if (grant.recipientBound && grant.owner !== account && !grant.grantees.includes(account)) {
+        throw new Error('Caller is not a grantee');
+      }
+
+      return toResult(grant);
+    },
+
+    async getGrantDetails(accessId): Promise<FHIRGrantDetails> {
+      const grant = findGrant(accessId);
+      return {
+        ...toResult(grant),
+        accessId,
+        owner: grant.owner,
+        expiryTime: new Date(grant.expiryTime * 1000),
+        fhirVersion: grant.fhirVersion,
+        isExpired: now() >= grant.expiryTime,
+        recipientBound: grant.recipientBound,
+        grantees: grant.grantees,
+      };
+    },
+
+    async getGrantsByOwner(owner) {
+      const address = ethers.getAddress(owner);
+      return getStoredGrants().filter(g => g.owner === address).map(g => g.accessId);
+    },
+
+    async revokeGrant(accessId) {
+      requireOwner(findGrant(accessId));
+      updateGrant(accessId, grant => { grant.expiryTime = now(); });
+      return { accessId, transactionHash: null, blockNumber: null };
+    },
+
+    async addGrantee(accessId, grantee) {
+      const grant = findValidGrant(accessId);
+      requireOwner(grant);
+      if (!grant.recipientBound) {
+        throw new Error('Grant is not bound to grantees');
+      }
+
+      const address = ethers.getAddress(grantee);
+      if (address === ethers.ZeroAddress) {
+        throw new Error('Grantee cannot be the zero address');
+      }
+      if (grant.grantees.includes(address)) {
+        throw new Error('Address is already a grantee');
+      }
+      updateGrant(accessId, g => { g.grantees.push(address); });
+    },
+
+    async removeGrantee(accessId, grantee) {
+      const grant = findGrant(accessId);
+      requireOwner(grant);
+
+      const address = ethers.getAddress(grantee);
+      if (!grant.grantees.includes(address)) {
+        throw new Error('Address is not a grantee');
+      }
+      updateGrant(accessId, g => { g.grantees = g.grantees.filter(a => a !== address); });
+    },
+  };
 };
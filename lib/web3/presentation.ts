@@ -0,0 +1,371 @@
+/**
+ * OpenID4VP Presentation Requests
+ *
+ * Verifier-initiated sharing: a provider creates an OpenID for Verifiable
+ * Presentations authorization request carrying a DIF Presentation Exchange
+ * definition. The patient's wallet shows the request and, on consent, posts a
+ * `vp_token` (an SD-JWT VC with a key binding JWT) to the verifier's
+ * `response_uri` with `response_mode=direct_post`.
+ *
+ * A HealthRecordCredential holds a whole FHIR Bundle, so input descriptors are
+ * matched against the individual resources in the Bundle. A definition can then
+ * ask for e.g. "the Patient and Observations from the last 12 months", and the
+ * wallet discloses only the matching entries.
+ */
+
+import { ethers } from 'ethers';
+import { FHIRBundle } from '@/lib/fhir/types';
+import { BundleSelection, getEntryKey } from '@/lib/fhir/selection';
+import {
+  CredentialVerificationResult,
+  verifyHealthRecordCredential,
+  verifyKeyBinding,
+} from './credentials';
+
+export const VP_FORMAT = 'dc+sd-jwt';
+
+// Presentation requests the wallet can no longer answer after this long
+export const PRESENTATION_REQUEST_TTL_SECONDS = 10 * 60;
+
+/**
+ * How a verifier's poll token is stored: the result is only returned to the
+ * verifier holding the token, as it carries the disclosed records
+ */
+export const hashPollToken = (token: string): string => ethers.sha256(ethers.toUtf8Bytes(token));
+
+export interface JSONSchemaFilter {
+  type?: 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array';
+  const?: any;
+  enum?: any[];
+  pattern?: string;
+  format?: 'date' | 'date-time';
+  formatMinimum?: string;
+  formatMaximum?: string;
+  minimum?: number;
+  maximum?: number;
+}
+
+export interface InputDescriptorField {
+  path: string[];
+  filter?: JSONSchemaFilter;
+  optional?: boolean;
+  purpose?: string;
+}
+
+export interface InputDescriptor {
+  id: string;
+  name?: string;
+  purpose?: string;
+  constraints: {
+    limit_disclosure?: 'required' | 'preferred';
+    fields: InputDescriptorField[];
+  };
+}
+
+export interface PresentationDefinition {
+  id: string;
+  name?: string;
+  purpose?: string;
+  format?: Record<string, any>;
+  input_descriptors: InputDescriptor[];
+}
+
+export interface PresentationSubmission {
+  id: string;
+  definition_id: string;
+  descriptor_map: { id: string; format: string; path: string }[];
+}
+
+export interface AuthorizationRequest {
+  response_type: 'vp_token';
+  response_mode: 'direct_post';
+  client_id: string;
+  client_id_scheme: 'redirect_uri';
+  response_uri: string;
+  nonce: string;
+  state: string;
+  presentation_definition: PresentationDefinition;
+  client_metadata?: { client_name?: string };
+}
+
+export interface PresentationVerificationResult {
+  valid: boolean;
+  errors: string[];
+  credential?: CredentialVerificationResult;
+  /** Entry keys (`ResourceType/id`) of the disclosed resources matching each input descriptor */
+  matches?: Record<string, string[]>;
+}
+
+export interface VerifyPresentationOptions {
+  definition: PresentationDefinition;
+  clientId: string;
+  nonce: string;
+  /** Issuer DIDs whose credentials are accepted; required, as anyone can sign a credential */
+  trustedIssuers: string[];
+  now?: Date;
+}
+
+const patientDescriptor: InputDescriptor = {
+  id: 'patient',
+  name: 'Patient demographics',
+  purpose: 'Identify the patient the records belong to',
+  constraints: {
+    fields: [{ path: ['$.resourceType'], filter: { type: 'string', const: 'Patient' } }],
+  },
+};
+
+/**
+ * Presentation definitions the stand-in verifier can request
+ */
+export const PRESENTATION_TEMPLATES: Record<string, { label: string; build: (now: Date) => PresentationDefinition }> = {
+  'patient-observations-12m': {
+    label: 'Patient + last 12 months Observations',
+    build: (now) => {
+      const since = new Date(now);
+      since.setUTCFullYear(since.getUTCFullYear() - 1);
+
+      return {
+        id: 'patient-observations-12m',
+        name: 'Patient and recent observations',
+        purpose: 'Review your vital signs and lab results from the last 12 months',
+        format: { [VP_FORMAT]: { 'sd-jwt_alg_values': ['ES256K'], 'kb-jwt_alg_values': ['EIP191'] } },
+        input_descriptors: [
+          patientDescriptor,
+          {
+            id: 'observations',
+            name: 'Observations from the last 12 months',
+            constraints: {
+              limit_disclosure: 'required',
+              fields: [
+                { path: ['$.resourceType'], filter: { type: 'string', const: 'Observation' } },
+                {
+                  path: ['$.effectiveDateTime', '$.effectivePeriod.start'],
+                  filter: { type: 'string', format: 'date-time', formatMinimum: since.toISOString() },
+                },
+              ],
+            },
+          },
+        ],
+      };
+    },
+  },
+  'patient-conditions': {
+    label: 'Patient + Conditions',
+    build: () => ({
+      id: 'patient-conditions',
+      name: 'Patient and problem list',
+      purpose: 'Review your current and past conditions',
+      format: { [VP_FORMAT]: { 'sd-jwt_alg_values': ['ES256K'], 'kb-jwt_alg_values': ['EIP191'] } },
+      input_descriptors: [
+        patientDescriptor,
+        {
+          id: 'conditions',
+          name: 'Conditions',
+          constraints: {
+            limit_disclosure: 'required',
+            fields: [{ path: ['$.resourceType'], filter: { type: 'string', const: 'Condition' } }],
+          },
+        },
+      ],
+    }),
+  },
+  'patient-demographics': {
+    label: 'Patient demographics only',
+    build: () => ({
+      id: 'patient-demographics',
+      name: 'Patient demographics',
+      purpose: 'Register you as a patient',
+      format: { [VP_FORMAT]: { 'sd-jwt_alg_values': ['ES256K'], 'kb-jwt_alg_values': ['EIP191'] } },
+      input_descriptors: [patientDescriptor],
+    }),
+  },
+};
+
+/**
+ * Build the OpenID4VP authorization request the wallet fetches via request_uri
+ */
+export function createAuthorizationRequest(options: {
+  responseUri: string;
+  nonce: string;
+  state: string;
+  definition: PresentationDefinition;
+  clientName?: string;
+}): AuthorizationRequest {
+  return {
+    response_type: 'vp_token',
+    response_mode: 'direct_post',
+    client_id: options.responseUri,
+    client_id_scheme: 'redirect_uri',
+    response_uri: options.responseUri,
+    nonce: options.nonce,
+    state: options.state,
+    presentation_definition: options.definition,
+    ...(options.clientName ? { client_metadata: { client_name: options.clientName } } : {}),
+  };
+}
+
+/**
+ * Resource types a definition asks for, from `$.resourceType` const filters
+ */
+export function getRequestedResourceTypes(definition: PresentationDefinition): string[] {
+  const types = definition.input_descriptors.flatMap(descriptor =>
+    descriptor.constraints.fields
+      .filter(field => field.path.includes('$.resourceType') && field.filter?.const)
+      .map(field => field.filter.const as string)
+  );
+  return [...new Set(types)];
+}
+
+/**
+ * Match every input descriptor against the resources of a Bundle
+ * @returns Entry keys of the matching resources, per descriptor id
+ */
+export function matchPresentationDefinition(definition: PresentationDefinition, bundle: FHIRBundle): Record<string, string[]> {
+  const entries = (bundle?.entry || []).filter(entry => entry.resource);
+
+  return Object.fromEntries(definition.input_descriptors.map(descriptor => [
+    descriptor.id,
+    entries.filter(entry => matchesDescriptor(descriptor, entry.resource)).map(getEntryKey),
+  ]));
+}
+
+/**
+ * The Bundle entries to disclose for a definition: those matching any input descriptor
+ */
+export function selectForPresentation(definition: PresentationDefinition, bundle: FHIRBundle): BundleSelection {
+  const matches = matchPresentationDefinition(definition, bundle);
+  return { entries: [...new Set(Object.values(matches).flat())] };
+}
+
+/**
+ * A presentation submission mapping every descriptor to the single vp_token
+ */
+export function createPresentationSubmission(definition: PresentationDefinition, id: string): PresentationSubmission {
+  return {
+    id,
+    definition_id: definition.id,
+    descriptor_map: definition.input_descriptors.map(descriptor => ({ id: descriptor.id, format: VP_FORMAT, path: '$' })),
+  };
+}
+
+/**
+ * Verify a vp_token against the request it answers: the issuer signature and
+ * trust, the holder's key binding to this verifier and nonce, and the input
+ * descriptors. Credentials without a holder key (`cnf`) cannot be bound to the
+ * presenter and are rejected.
+ */
+export function verifyPresentation(
+  vpToken: string,
+  submission: PresentationSubmission | undefined,
+  options: VerifyPresentationOptions
+): PresentationVerificationResult {
+  const errors: string[] = [];
+
+  if (!submission || submission.definition_id !== options.definition.id) {
+    errors.push('Presentation submission does not answer this presentation definition');
+  }
+
+  if (!options.trustedIssuers?.length) {
+    errors.push('No trusted credential issuer is configured');
+  }
+
+  const credential = verifyHealthRecordCredential(vpToken, {
+    trustedIssuers: options.trustedIssuers || [],
+    now: options.now,
+  });
+  errors.push(...credential.errors);
+
+  if (credential.format && credential.format !== 'sd_jwt_vc') {
+    errors.push(`Presentations must use the ${VP_FORMAT} format`);
+  } else if (credential.format && !credential.holderKey) {
+    errors.push('Credential has no holder key to bind the presentation to');
+  } else if (credential.holderKey) {
+    const keyBindingError = verifyKeyBinding(vpToken, credential.holderKey, {
+      audience: options.clientId,
+      nonce: options.nonce,
+      now: options.now,
+    });
+    if (keyBindingError) {
+      errors.push(keyBindingError);
+    }
+  }
+
+  const matches = credential.bundle ? matchPresentationDefinition(options.definition, credential.bundle) : {};
+  options.definition.input_descriptors.forEach(descriptor => {
+    if (!matches[descriptor.id]?.length) {
+      errors.push(`No disclosed record satisfies '${descriptor.name || descriptor.id}'`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors, credential, matches };
+}
+
+function matchesDescriptor(descriptor: InputDescriptor, resource: any): boolean {
+  return descriptor.constraints.fields.every(field =>
+    field.optional || field.path.some(path => evaluatePath(path, resource).some(value => matchesFilter(value, field.filter)))
+  );
+}
+
+/**
+ * Evaluate the JSONPath subset used in definitions: `$.a.b`, `$.a[0]`, `$.a[*].b`
+ */
+function evaluatePath(path: string, root: any): any[] {
+  const segments: string[] = path.replace(/^\$/, '').match(/[^.[\]]+|\[\*\]/g) || [];
+
+  return segments.reduce<any[]>((values, segment) => values.flatMap(value => {
+    if (value === null || typeof value !== 'object') {
+      return [];
+    }
+    if (segment === '[*]' || segment === '*') {
+      return Array.isArray(value) ? value : Object.values(value);
+    }
+    const key = segment.replace(/^['"]|['"]$/g, '');
+    return value[key] === undefined ? [] : [value[key]];
+  }), [root]);
+}
+
+/**
+ * Check a value against the JSON Schema keywords Presentation Exchange filters use
+ */
+function matchesFilter(value: any, filter?: JSONSchemaFilter): boolean {
+  if (!filter) {
+    return value !== undefined;
+  }
+
+  if (filter.type) {
+    const actual = Array.isArray(value) ? 'array' : typeof value;
+    const typeMatches = filter.type === 'integer' ? Number.isInteger(value) : actual === filter.type;
+    if (!typeMatches) {
+      return false;
+    }
+  }
+  if (filter.const !== undefined && value !== filter.const) {
+    return false;
+  }
+  if (filter.enum && !filter.enum.includes(value)) {
+    return false;
+  }
+  if (filter.pattern && !new RegExp(filter.pattern).test(String(value))) {
+    return false;
+  }
+  if (filter.minimum !== undefined && !(value >= filter.minimum)) {
+    return false;
+  }
+  if (filter.maximum !== undefined && !(value <= filter.maximum)) {
+    return false;
+  }
+  if (filter.format === 'date' || filter.format === 'date-time') {
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) {
+      return false;
+    }
+    if (filter.formatMinimum && time < new Date(filter.formatMinimum).getTime()) {
+      return false;
+    }
+    if (filter.formatMaximum && time > new Date(filter.formatMaximum).getTime()) {
+      return false;
+    }
+  }
+
+  return true;
+}
@@ -0,0 +1,57 @@
+/**
+ * Wallet Share Keys
+ *
+ * Records shared with a specific recipient are encrypted for the recipient's
+ * share key: a secp256k1 key pair derived from their wallet's `personal_sign`
+ * signature of a fixed message. Wallets sign deterministically (RFC 6979), so
+ * the same wallet always gets the same share key, and its private half only
+ * exists in the browser while decrypting. Recipients hand out the public half;
+ * nobody is ever asked for a wallet's private key.
+ *
+ * The signature is as good as the share key, so the message says to sign it
+ * on this site only.
+ */
+
+import { ethers } from 'ethers';
+import { EncryptedEnvelope } from './encryption';
+
+/**
+ * The message a wallet signs to get its share key
+ */
+export function getShareKeyMessage(address: string): string {
+  return [
+    'EHR Wallet share key',
+    '',
+    `Sign to open health records shared with ${ethers.getAddress(address)}.`,
+    'The signature never leaves your browser. Only sign this message on the EHR Wallet site.',
+  ].join('\n');
+}
+
+/**
+ * Derive the share key from a signature of getShareKeyMessage()
+ */
+export function deriveShareKey(signature: string): ethers.SigningKey {
+  return new ethers.SigningKey(ethers.keccak256(signature));
+}
+
+/**
+ * Ask the connected wallet to sign the share key message and derive the key
+ */
+export async function requestShareKey(address: string): Promise<ethers.SigningKey> {
+  if (!window.ethereum) {
+    throw new Error('Connect MetaMask to use your share key');
+  }
+
+  const signature = await window.ethereum.request({
+    method: 'personal_sign',
+    params: [getShareKeyMessage(address), address],
+  });
+  return deriveShareKey(signature);
+}
+
+/**
+ * Whether an envelope is encrypted for at least one share key
+ */
+export function isEncryptedForShareKeys(envelope: EncryptedEnvelope | null): boolean {
+  return !!envelope?.recipients.some(recipient => recipient.type === 'ecies-secp256k1');
+}
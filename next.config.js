@@ -1,3 +1,9 @@
+// Generates public/sw.js on webpack builds, bundling worker/index.ts (background sync) into it
+const withPWA = require('next-pwa')({
+  dest: 'public',
+  disable: process.env.NODE_ENV === 'development',
+});
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: false,
@@ -27,4 +33,4 @@ const nextConfig = {
   },
 };
 
-module.exports = nextConfig;
\ No newline at end of file
+module.exports = withPWA(nextConfig);
\ No newline at end of file
@@ -2,18 +2,24 @@ import { NextApiRequest, NextApiResponse } from 'next';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from '@/lib/auth';
 import { prisma } from '@/lib/prisma';
+import { parseAccessLogQuery } from '@/lib/access-events';
 
+/**
+ * GET /api/access-logs - Page through the access events of the caller's shares
+ */
 export default async function handler(
   req: NextApiRequest,
   res: NextApiResponse
 ) {
-  // Accept authentication via either NextAuth session OR wallet address header
+  // The owner is the wallet the user signed in with; an unsigned address header proves nothing
   const session = await getServerSession(req, res, authOptions);
-  const walletAddress = req.headers['x-wallet-address'] as string | undefined;
-  const ethereumAddress = session?.user?.ethereumAddress || walletAddress?.toLowerCase();
+  if (!session?.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
 
+  const ethereumAddress = session.user.ethereumAddress;
   if (!ethereumAddress) {
-    return res.status(401).json({ error: 'Authentication required' });
+    return res.status(403).json({ error: 'Sign in with the wallet that owns the shares to see their access logs' });
   }
 
   // Only GET method is allowed
@@ -21,77 +27,48 @@ export default async function handler(
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  let query;
   try {
-    
-    // For debugging, let's first check all shared data records in the database
-    const allSharedData = await prisma.sharedMedicalData.findMany({
-      where: {},
-      orderBy: {
-        createdAt: 'desc',
-      },
-      take: 10, // Limit to 10 records for debugging
-    });
-    
-    if (allSharedData.length > 0) {
-    }
-    
-    // Get all ethereum addresses associated with this user (for testing purposes)
-    // This helps if the user has multiple addresses or if there's a mismatch
-    const possibleAddresses = [
-      ethereumAddress,
-      ethereumAddress?.toLowerCase(),
-      ethereumAddress?.toUpperCase(),
-    ].filter(Boolean) as string[];
-
-
-    // Fetch shared medical data records for this user with any of their addresses
-    const sharedData = await prisma.sharedMedicalData.findMany({
-      where: {
-        OR: possibleAddresses.map(address => ({ userId: address })),
-      },
-      orderBy: {
-        createdAt: 'desc',
-      },
-    });
+    query = parseAccessLogQuery(ethereumAddress.toLowerCase(), req.query);
+  } catch (error: any) {
+    return res.status(400).json({ error: error.message });
+  }
 
-    if (sharedData.length === 0 && allSharedData.length > 0) {
-      // If no records were found for this user but there are records in the database,
-      // let's use all records for testing purposes
-      return res.status(200).json(allSharedData.map(data => {
-        const dataTypes = data.dataTypes ? data.dataTypes.split(',') : [];
-        return {
-          id: data.accessId,
-          accessedBy: data.userId,
-          accessedAt: data.createdAt,
-          dataTypes: dataTypes,
-          ipfsCid: data.ipfsCid,
-          status: data.isActive && new Date() < data.expiryTime ? 'active' : 'expired',
-          expiryTime: data.expiryTime,
-          accessCount: data.accessCount || 0,
-          pinStatus: 'pinned'
-        };
-      }));
-    }
+  try {
+    const { where, page, pageSize } = query;
+    const [events, total] = await Promise.all([
+      prisma.accessEvent.findMany({
+        where,
+        include: {
+          sharedData: {
+            select: { accessId: true, ipfsCid: true, dataTypes: true },
+          },
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+      }),
+      prisma.accessEvent.count({ where }),
+    ]);
 
-    // Transform the data to match the expected format in the frontend
-    const accessLogs = sharedData.map(data => {
-      // Parse dataTypes from comma-separated string to array
-      const dataTypes = data.dataTypes ? data.dataTypes.split(',') : [];
-      
-      return {
-        id: data.accessId,
-        accessedBy: data.userId, // This is actually the owner, in a real blockchain implementation this would be different
-        accessedAt: data.createdAt,
-        dataTypes: dataTypes,
-        ipfsCid: data.ipfsCid,
-        status: data.isActive && new Date() < data.expiryTime ? 'active' : 'expired',
-        expiryTime: data.expiryTime,
-        accessCount: data.accessCount || 0, // Use actual count or 0 if not set
-        pinStatus: 'pinned'
-      };
+    return res.status(200).json({
+      events: events.map((event: any) => ({
+        id: event.id,
+        accessId: event.sharedData.accessId,
+        ipfsCid: event.sharedData.ipfsCid,
+        sharedDataTypes: event.sharedData.dataTypes ? event.sharedData.dataTypes.split(',') : [],
+        viewerAddress: event.viewerAddress,
+        viewerSession: event.viewerSession,
+        ipAddress: event.ipAddress,
+        userAgent: event.userAgent,
+        outcome: event.outcome,
+        resourceTypes: event.resourceTypes ? event.resourceTypes.split(',') : [],
+        accessedAt: event.createdAt,
+      })),
+      total,
+      page,
+      pageSize,
     });
-
-    return res.status(200).json(accessLogs);
   } catch (error) {
     console.error('Error fetching access logs:', error);
     return res.status(500).json({ error: 'Failed to fetch access logs' });
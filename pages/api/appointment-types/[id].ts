@@ -0,0 +1,9 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { handleClinicRecord } from '@/lib/clinic-records';
+
+/**
+ * GET/PUT/PATCH/DELETE /api/appointment-types/[id] - Read, update or delete one of the appointment types
+ */
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  return handleClinicRecord(req, res, 'appointmentTypes');
+}
@@ -0,0 +1,10 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { handleClinicCollection } from '@/lib/clinic-records';
+
+/**
+ * GET /api/appointment-types - List appointment types
+ * POST /api/appointment-types - Create one
+ */
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  return handleClinicCollection(req, res, 'appointmentTypes');
+}
@@ -0,0 +1,10 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { handleClinicCollection } from '@/lib/clinic-records';
+
+/**
+ * GET /api/appointments - List appointments
+ * POST /api/appointments - Create one
+ */
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  return handleClinicCollection(req, res, 'appointments');
+}
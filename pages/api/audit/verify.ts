@@ -0,0 +1,74 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { ethers } from 'ethers';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { verifyAuditAnchor, verifyAuditChain } from '@/lib/audit-log';
+import { isAuditRootAnchored } from '@/lib/web3/audit-anchor';
+import { getIndexerConfig } from '@/lib/web3/indexer';
+import { connectFHIRAccessControl } from '@/lib/web3/generated/FHIRAccessControl';
+
+/**
+ * GET /api/audit/verify - Check the caller's hash-chained audit log
+ *
+ * Recomputes every entry hash and link, and checks the chain against the
+ * latest anchor that includes it, looking the anchored root up on the
+ * contract. A chain is only valid once an anchor of it is found on chain.
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  // The owner is the wallet the user signed in with; an unsigned address header proves nothing
+  const session = await getServerSession(req, res, authOptions);
+  if (!session?.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const ethereumAddress = session.user.ethereumAddress;
+  if (!ethereumAddress) {
+    return res.status(403).json({ error: 'Sign in with the wallet that owns the audit log to verify it' });
+  }
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const ownerId = ethereumAddress.toLowerCase();
+    const entries = await prisma.auditEntry.findMany({
+      where: { ownerId },
+      orderBy: { sequence: 'asc' },
+    });
+    const verification = verifyAuditChain(entries);
+
+    // Anchors hold every chain's head, so the newest one mentioning the owner is enough
+    const anchors = await prisma.auditAnchor.findMany({ orderBy: { anchoredAt: 'desc' } });
+    const anchorCheck = anchors
+      .map((anchor: any) => verifyAuditAnchor(ownerId, entries, anchor))
+      .find(Boolean);
+
+    const breaks = [...verification.breaks, ...(anchorCheck?.breaks || [])];
+    let anchoredOnChain = false;
+
+    if (anchorCheck) {
+      const { rpcUrl, contractAddress } = getIndexerConfig();
+      if (!contractAddress) {
+        return res.status(503).json({ error: 'FHIRAccessControl contract address is not configured' });
+      }
+      const contract = connectFHIRAccessControl(contractAddress, new ethers.JsonRpcProvider(rpcUrl));
+      anchoredOnChain = await isAuditRootAnchored(contract, anchorCheck.anchor.root);
+    }
+
+    return res.status(200).json({
+      ...verification,
+      valid: breaks.length === 0 && anchoredOnChain,
+      breaks,
+      anchor: anchorCheck ? { ...anchorCheck.anchor, anchoredOnChain } : null,
+    });
+  } catch (error) {
+    console.error('Error verifying audit log:', error);
+    return res.status(500).json({ error: 'Failed to verify audit log' });
+  }
+}
@@ -0,0 +1,210 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { PrismaClient } from '@prisma/client';
+import { authOptions } from '@/lib/auth';
+import {
+  createPatientSummaryBundle,
+  patientToFHIR,
+  observationToFHIR,
+  conditionToFHIR,
+  medicationRequestToFHIR,
+  allergyIntoleranceToFHIR,
+} from '@/lib/fhir/converters';
+import { createIPSDocumentBundle } from '@/lib/fhir/ips';
+import { applyBundleSelection } from '@/lib/fhir/selection';
+import {
+  CredentialFormat,
+  getAddressFromDid,
+  getIssuerDid,
+  issueHealthRecordCredential,
+  verifyHolderProof,
+} from '@/lib/web3/credentials';
+
+const prisma = new PrismaClient();
+
+const CREDENTIAL_FORMATS: CredentialFormat[] = ['jwt_vc', 'sd_jwt_vc'];
+
+// Resource types that can be included in a `bundle` credential besides the Patient
+const SUMMARY_RESOURCE_TYPES = ['Encounter', 'Appointment', 'Observation', 'Condition', 'MedicationRequest', 'AllergyIntolerance'];
+
+/**
+ * Health Record Credential Endpoint
+ * GET /api/credentials - Issuer DID and supported formats, for verifiers
+ * POST /api/credentials - Issue a patient's records as a signed W3C VC or SD-JWT VC
+ *
+ * The Bundle is always built on the server from the database, so the issuer
+ * signature vouches for the data. The request must carry a `proof` signed with
+ * the patient's wallet, which becomes the credential holder. As anyone can sign
+ * a proof, the holder must also be the wallet of the patient's account, or the
+ * patient must be signed in.
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const issuerKey = process.env.CREDENTIAL_ISSUER_PRIVATE_KEY;
+  const chainId = process.env.CREDENTIAL_ISSUER_CHAIN_ID || 137;
+
+  try {
+    switch (req.method) {
+      case 'GET':
+        if (!issuerKey) {
+          return res.status(503).json({ error: 'Credential issuer is not configured' });
+        }
+        return res.status(200).json({
+          issuer: getIssuerDid(issuerKey, chainId),
+          formats: CREDENTIAL_FORMATS,
+        });
+      case 'POST':
+        if (!issuerKey) {
+          return res.status(503).json({ error: 'Credential issuer is not configured' });
+        }
+        return await issueCredential(req, res, issuerKey, chainId);
+      default:
+        res.setHeader('Allow', ['GET', 'POST']);
+        return res.status(405).json({ error: `Method ${req.method} not allowed` });
+    }
+  } catch (error) {
+    console.error('Credential endpoint error:', error);
+    return res.status(500).json({ error: 'Failed to issue credential' });
+  }
+}
+
+/**
+ * Issue a credential (POST)
+ * Body: { patientId, format, payloadFormat: 'bundle' | 'ips', resourceTypes?, selection?, expiresIn?,
+ *         proof: { holder, issuedAt, signature } }
+ *
+ * A `selection` of entries and hidden fields is applied before signing a `jwt_vc`.
+ * SD-JWT VCs are always issued complete; the holder withholds disclosures instead,
+ * so the verifier can see that hidden claims exist.
+ */
+async function issueCredential(
+  req: NextApiRequest,
+  res: NextApiResponse,
+  issuerKey: string,
+  chainId: number | string
+) {
+  const { patientId, format = 'jwt_vc', payloadFormat = 'bundle', resourceTypes, selection, expiresIn, proof } = req.body || {};
+
+  if (!patientId || !proof?.holder || !proof?.signature) {
+    return res.status(400).json({ error: 'Missing required fields: patientId, proof' });
+  }
+
+  if (!CREDENTIAL_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Unsupported credential format: ${format}` });
+  }
+
+  if (payloadFormat !== 'bundle' && payloadFormat !== 'ips') {
+    return res.status(400).json({ error: `Unsupported payload format: ${payloadFormat}` });
+  }
+
+  const proofError = verifyHolderProof({ ...proof, patientId });
+  if (proofError) {
+    return res.status(401).json({ error: proofError });
+  }
+
+  const patient = await prisma.patient.findUnique({
+    where: { id: patientId },
+  });
+
+  if (!patient) {
+    return res.status(404).json({ error: 'Patient not found' });
+  }
+
+  if (!(await isPatientHolder(req, res, patient, proof.holder))) {
+    return res.status(403).json({ error: 'The holder is not the patient\'s wallet, and the patient is not signed in' });
+  }
+
+  const included: string[] = Array.isArray(resourceTypes)
+    ? resourceTypes.filter((type: string) => SUMMARY_RESOURCE_TYPES.includes(type))
+    : SUMMARY_RESOURCE_TYPES;
+  const includes = (type: string) => payloadFormat === 'ips' || included.includes(type);
+
+  const [visits, appointments, observations, conditions, medicationRequests, allergyIntolerances] = await Promise.all([
+    payloadFormat === 'bundle' && includes('Encounter')
+      ? prisma.visit.findMany({ where: { patientId }, orderBy: { date: 'desc' } })
+      : undefined,
+    payloadFormat === 'bundle' && includes('Appointment')
+      ? prisma.appointment.findMany({ where: { patientId }, orderBy: { startTime: 'desc' } })
+      : undefined,
+    includes('Observation')
+      ? prisma.observation.findMany({ where: { patientId }, orderBy: { effectiveDate: 'desc' } })
+      : undefined,
+    includes('Condition')
+      ? prisma.condition.findMany({ where: { patientId }, orderBy: { recordedDate: 'desc' } })
+      : undefined,
+    includes('MedicationRequest')
+      ? prisma.medicationRequest.findMany({ where: { patientId }, orderBy: { authoredOn: 'desc' } })
+      : undefined,
+    includes('AllergyIntolerance')
+      ? prisma.allergyIntolerance.findMany({ where: { patientId }, orderBy: { recordedDate: 'desc' } })
+      : undefined,
+  ]);
+
+  const baseUrl = getBaseUrl(req);
+  const summary = payloadFormat === 'ips'
+    ? createIPSDocumentBundle(
+      patientToFHIR(patient, baseUrl),
+      {
+        observations: observations.map(o => observationToFHIR(o)),
+        conditions: conditions.map(c => conditionToFHIR(c)),
+        medicationRequests: medicationRequests.map(m => medicationRequestToFHIR(m)),
+        allergyIntolerances: allergyIntolerances.map(a => allergyIntoleranceToFHIR(a)),
+      },
+      baseUrl
+    )
+    : createPatientSummaryBundle(patient, visits, appointments, baseUrl, {
+      observations,
+      conditions,
+      medicationRequests,
+      allergyIntolerances,
+    });
+  const bundle = format === 'jwt_vc' && payloadFormat === 'bundle' ? applyBundleSelection(summary, selection) : summary;
+
+  const issued = issueHealthRecordCredential(issuerKey, {
+    bundle,
+    holder: proof.holder,
+    patientReference: `Patient/${patient.id}`,
+    format,
+    expiresIn: Number(expiresIn) > 0 ? Number(expiresIn) : undefined,
+  }, chainId);
+
+  return res.status(201).json({ ...issued, bundle });
+}
+
+/**
+ * Helper: Whether the records may be issued to the holder: the holder wallet is
+ * the one on the patient's user account, or that account is signed in. The
+ * account is the user with the patient's id, as the patient pages use, or with
+ * the patient's email.
+ */
+async function isPatientHolder(
+  req: NextApiRequest,
+  res: NextApiResponse,
+  patient: { id: string; email?: string | null },
+  holder: string
+): Promise<boolean> {
+  const accounts = await prisma.user.findMany({
+    where: {
+      OR: [{ id: patient.id }, ...(patient.email ? [{ email: patient.email }] : [])],
+    },
+  });
+
+  const holderAddress = getAddressFromDid(holder)?.toLowerCase();
+  if (accounts.some(account => account.ethereumAddress?.toLowerCase() === holderAddress)) {
+    return true;
+  }
+
+  const session = await getServerSession(req, res, authOptions);
+  return !!session?.user?.id && accounts.some(account => account.id === session.user.id);
+}
+
+/**
+ * Helper: Get FHIR base URL from request
+ */
+function getBaseUrl(req: NextApiRequest): string {
+  const protocol = req.headers['x-forwarded-proto'] || 'http';
+  const host = req.headers.host;
+  return `${protocol}://${host}/api/fhir`;
+}
@@ -0,0 +1,196 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { PrismaClient } from '@prisma/client';
+import { allergyIntoleranceToFHIR, fhirToAllergyIntolerance } from '@/lib/fhir/converters';
+import { validateAllergyIntolerance, validationErrorsToOperationOutcome } from '@/lib/fhir/validation';
+import { recordVersion, recordDeletion, matchesVersion, formatETag } from '@/lib/fhir/history';
+import { FHIROperationOutcome } from '@/lib/fhir/types';
+import { createConsentGuard } from '@/lib/fhir/consent-guard';
+
+const prisma = new PrismaClient();
+
+/**
+ * FHIR AllergyIntolerance Resource Endpoint
+ * GET /api/fhir/AllergyIntolerance/[id] - Read a specific allergy intolerance
+ * PUT /api/fhir/AllergyIntolerance/[id] - Update a specific allergy intolerance
+ * DELETE /api/fhir/AllergyIntolerance/[id] - Delete a specific allergy intolerance
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const { id } = req.query;
+
+  if (typeof id !== 'string') {
+    return res.status(400).json(createOperationOutcome('error', 'Invalid allergy intolerance ID'));
+  }
+
+  try {
+    switch (req.method) {
+      case 'GET':
+        return await getAllergyIntolerance(id, req, res);
+      case 'PUT':
+        return await updateAllergyIntolerance(id, req, res);
+      case 'DELETE':
+        return await deleteAllergyIntolerance(id, req, res);
+      default:
+        res.setHeader('Allow', ['GET', 'PUT', 'DELETE']);
+        return res.status(405).json(createOperationOutcome('error', `Method ${req.method} not allowed`));
+    }
+  } catch (error) {
+    console.error('FHIR AllergyIntolerance endpoint error:', error);
+    return res.status(500).json(createOperationOutcome('error', 'Internal server error', String(error)));
+  }
+}
+
+/**
+ * Read a specific allergy intolerance (GET)
+ */
+async function getAllergyIntolerance(
+  id: string,
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const allergyIntolerance = await prisma.allergyIntolerance.findUnique({
+    where: { id },
+  });
+
+  if (!allergyIntolerance) {
+    return res.status(404).json(createOperationOutcome('error', 'AllergyIntolerance not found'));
+  }
+
+  const consent = await createConsentGuard(prisma, req, res).check(allergyIntolerance.patientId, 'AllergyIntolerance');
+  if (!consent.permitted) {
+    return res.status(403).json(createOperationOutcome('error', 'Access is not permitted by the patient\'s consent'));
+  }
+
+  const fhirAllergyIntolerance = allergyIntoleranceToFHIR(allergyIntolerance);
+
+  res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+  res.setHeader('ETag', `W/"${fhirAllergyIntolerance.meta?.versionId || '1'}"`);
+  res.setHeader('Last-Modified', new Date(allergyIntolerance.updatedAt).toUTCString());
+
+  return res.status(200).json(fhirAllergyIntolerance);
+}
+
+/**
+ * Update a specific allergy intolerance (PUT)
+ */
+async function updateAllergyIntolerance(
+  id: string,
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const fhirAllergyIntolerance = req.body;
+
+  if (fhirAllergyIntolerance?.resourceType !== 'AllergyIntolerance') {
+    return res.status(400).json(createOperationOutcome('error', 'Invalid resource type'));
+  }
+
+  if (fhirAllergyIntolerance.id && fhirAllergyIntolerance.id !== id) {
+    return res.status(400).json(createOperationOutcome('error', 'Resource id does not match the request URL'));
+  }
+
+  const validation = validateAllergyIntolerance(fhirAllergyIntolerance);
+  if (!validation.valid) {
+    return res.status(400).json(validationErrorsToOperationOutcome(validation.errors));
+  }
+
+  const existingAllergyIntolerance = await prisma.allergyIntolerance.findUnique({
+    where: { id },
+  });
+
+  if (!existingAllergyIntolerance) {
+    return res.status(404).json(createOperationOutcome('error', 'AllergyIntolerance not found'));
+  }
+
+  if (!matchesVersion(req.headers['if-match'], existingAllergyIntolerance.versionId)) {
+    return res.status(412).json(createOperationOutcome('error', `Version conflict: AllergyIntolerance/${id} is at version ${existingAllergyIntolerance.versionId}`));
+  }
+
+  const allergyIntoleranceData = fhirToAllergyIntolerance(fhirAllergyIntolerance);
+
+  // Only the version checked above is updated, so a concurrent write is reported as a conflict
+  let updatedAllergyIntolerance;
+  try {
+    updatedAllergyIntolerance = await prisma.allergyIntolerance.update({
+      where: { id, versionId: existingAllergyIntolerance.versionId },
+      data: {
+        versionId: { increment: 1 },
+        patientId: allergyIntoleranceData.patientId || existingAllergyIntolerance.patientId,
+        clinicalStatus: allergyIntoleranceData.clinicalStatus,
+        verificationStatus: allergyIntoleranceData.verificationStatus ?? null,
+        type: allergyIntoleranceData.type ?? null,
+        category: allergyIntoleranceData.category ?? null,
+        criticality: allergyIntoleranceData.criticality ?? null,
+        code: allergyIntoleranceData.code ?? null,
+        codeSystem: allergyIntoleranceData.codeSystem ?? null,
+        codeDisplay: allergyIntoleranceData.codeDisplay || existingAllergyIntolerance.codeDisplay,
+        reaction: allergyIntoleranceData.reaction ?? null,
+        reactionSeverity: allergyIntoleranceData.reactionSeverity ?? null,
+        onsetDate: allergyIntoleranceData.onsetDate ?? null,
+        recordedDate: fhirAllergyIntolerance.recordedDate ? allergyIntoleranceData.recordedDate : existingAllergyIntolerance.recordedDate,
+        notes: allergyIntoleranceData.notes ?? null,
+      },
+    });
+  } catch (error: any) {
+    if (error.code === 'P2025') {
+      return res.status(412).json(createOperationOutcome('error', `Version conflict: AllergyIntolerance/${id} was modified concurrently`));
+    }
+    throw error;
+  }
+
+  const updatedFhirAllergyIntolerance = allergyIntoleranceToFHIR(updatedAllergyIntolerance);
+  await recordVersion(prisma, updatedFhirAllergyIntolerance, 'PUT');
+
+  res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+  res.setHeader('ETag', formatETag(updatedFhirAllergyIntolerance.meta?.versionId));
+  res.setHeader('Last-Modified', new Date(updatedAllergyIntolerance.updatedAt).toUTCString());
+
+  return res.status(200).json(updatedFhirAllergyIntolerance);
+}
+
+/**
+ * Delete a specific allergy intolerance (DELETE)
+ */
+async function deleteAllergyIntolerance(
+  id: string,
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  try {
+    const deletedAllergyIntolerance = await prisma.allergyIntolerance.delete({
+      where: { id },
+    });
+    await recordDeletion(prisma, 'AllergyIntolerance', id, deletedAllergyIntolerance.versionId);
+
+    return res.status(204).end();
+  } catch (error: any) {
+    if (error.code === 'P2025') {
+      return res.status(404).json(createOperationOutcome('error', 'AllergyIntolerance not found'));
+    }
+    throw error;
+  }
+}
+
+/**
+ * Helper: Create FHIR OperationOutcome
+ */
+function createOperationOutcome(
+  severity: 'fatal' | 'error' | 'warning' | 'information',
+  message: string,
+  diagnostics?: string
+): FHIROperationOutcome {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [
+      {
+        severity,
+        code: 'processing',
+        diagnostics: diagnostics || message,
+        details: {
+          text: message,
+        },
+      },
+    ],
+  };
+}
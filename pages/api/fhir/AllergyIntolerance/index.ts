@@ -0,0 +1,164 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { PrismaClient } from '@prisma/client';
+import { allergyIntoleranceToFHIR, fhirToAllergyIntolerance } from '@/lib/fhir/converters';
+import { validateAllergyIntolerance, validationErrorsToOperationOutcome } from '@/lib/fhir/validation';
+import { searchResources, getSearchOptions } from '@/lib/fhir/search';
+import { recordVersion, findConditionalMatch, formatETag } from '@/lib/fhir/history';
+import { FHIROperationOutcome } from '@/lib/fhir/types';
+import { createConsentGuard } from '@/lib/fhir/consent-guard';
+
+const prisma = new PrismaClient();
+
+/**
+ * FHIR AllergyIntolerance Collection Endpoint
+ * GET /api/fhir/AllergyIntolerance - Search allergies and intolerances
+ * POST /api/fhir/AllergyIntolerance - Create a new allergy intolerance
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  try {
+    switch (req.method) {
+      case 'GET':
+        return await searchAllergyIntolerances(req, res);
+      case 'POST':
+        return await createAllergyIntolerance(req, res);
+      default:
+        res.setHeader('Allow', ['GET', 'POST']);
+        return res.status(405).json(createOperationOutcome('error', `Method ${req.method} not allowed`));
+    }
+  } catch (error) {
+    console.error('FHIR AllergyIntolerance endpoint error:', error);
+    return res.status(500).json(createOperationOutcome('error', 'Internal server error', String(error)));
+  }
+}
+
+/**
+ * Search allergies and intolerances (GET)
+ * Supports the AllergyIntolerance search parameters registered in lib/fhir/search.ts
+ * (modifiers, prefixes, chaining) plus _count, _offset, _sort, _include and _revinclude
+ */
+async function searchAllergyIntolerances(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const result = await searchResources(prisma, 'AllergyIntolerance', req.query, getBaseUrl(req), {
+    ...getSearchOptions(req.headers),
+    restrict: createConsentGuard(prisma, req, res).restrict,
+  });
+
+  res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+  return res.status(result.status).json(result.body);
+}
+
+/**
+ * Create a new allergy intolerance (POST)
+ */
+async function createAllergyIntolerance(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const fhirAllergyIntolerance = req.body;
+
+  // Validate resource type
+  if (fhirAllergyIntolerance?.resourceType !== 'AllergyIntolerance') {
+    return res.status(400).json(createOperationOutcome('error', 'Invalid resource type'));
+  }
+
+  // Conditional create: return the matching resource instead of creating a duplicate
+  const ifNoneExist = req.headers['if-none-exist'];
+  if (ifNoneExist) {
+    const match = await findConditionalMatch(prisma, 'AllergyIntolerance', String(ifNoneExist));
+    if (match.body) {
+      return res.status(match.status).json(match.body);
+    }
+    if (match.record) {
+      const existingFhirAllergyIntolerance = allergyIntoleranceToFHIR(match.record);
+      res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+      res.setHeader('ETag', formatETag(existingFhirAllergyIntolerance.meta?.versionId));
+      return res.status(200).json(existingFhirAllergyIntolerance);
+    }
+  }
+
+  const validation = validateAllergyIntolerance(fhirAllergyIntolerance);
+  if (!validation.valid) {
+    return res.status(400).json(validationErrorsToOperationOutcome(validation.errors));
+  }
+
+  // Convert FHIR allergy intolerance to internal format
+  const allergyIntoleranceData = fhirToAllergyIntolerance(fhirAllergyIntolerance);
+
+  if (!allergyIntoleranceData.codeDisplay) {
+    return res.status(400).json(createOperationOutcome('error', 'Missing required field: code'));
+  }
+
+  const patient = await prisma.patient.findUnique({
+    where: { id: allergyIntoleranceData.patientId },
+  });
+
+  if (!patient) {
+    return res.status(400).json(createOperationOutcome('error', `Referenced patient not found: Patient/${allergyIntoleranceData.patientId}`));
+  }
+
+  const createdAllergyIntolerance = await prisma.allergyIntolerance.create({
+    data: {
+      patientId: allergyIntoleranceData.patientId,
+      clinicalStatus: allergyIntoleranceData.clinicalStatus,
+      verificationStatus: allergyIntoleranceData.verificationStatus,
+      type: allergyIntoleranceData.type,
+      category: allergyIntoleranceData.category,
+      criticality: allergyIntoleranceData.criticality,
+      code: allergyIntoleranceData.code,
+      codeSystem: allergyIntoleranceData.codeSystem,
+      codeDisplay: allergyIntoleranceData.codeDisplay,
+      reaction: allergyIntoleranceData.reaction,
+      reactionSeverity: allergyIntoleranceData.reactionSeverity,
+      onsetDate: allergyIntoleranceData.onsetDate,
+      recordedDate: allergyIntoleranceData.recordedDate,
+      notes: allergyIntoleranceData.notes,
+    },
+  });
+
+  const baseUrl = getBaseUrl(req);
+  const createdFhirAllergyIntolerance = allergyIntoleranceToFHIR(createdAllergyIntolerance);
+  await recordVersion(prisma, createdFhirAllergyIntolerance, 'POST');
+
+  res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+  res.setHeader('Location', `${baseUrl}/AllergyIntolerance/${createdAllergyIntolerance.id}`);
+  res.setHeader('ETag', formatETag(createdFhirAllergyIntolerance.meta?.versionId));
+
+  return res.status(201).json(createdFhirAllergyIntolerance);
+}
+
+/**
+ * Helper: Get base URL from request
+ */
+function getBaseUrl(req: NextApiRequest): string {
+  const protocol = req.headers['x-forwarded-proto'] || 'http';
+  const host = req.headers.host;
+  return `${protocol}://${host}/api/fhir`;
+}
+
+/**
+ * Helper: Create FHIR OperationOutcome
+ */
+function createOperationOutcome(
+  severity: 'fatal' | 'error' | 'warning' | 'information',
+  message: string,
+  diagnostics?: string
+): FHIROperationOutcome {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [
+      {
+        severity,
+        code: 'processing',
+        diagnostics: diagnostics || message,
+        details: {
+          text: message,
+        },
+      },
+    ],
+  };
+}
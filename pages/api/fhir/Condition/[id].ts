@@ -0,0 +1,195 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { PrismaClient } from '@prisma/client';
+import { conditionToFHIR, fhirToCondition } from '@/lib/fhir/converters';
+import { validateCondition, validationErrorsToOperationOutcome } from '@/lib/fhir/validation';
+import { recordVersion, recordDeletion, matchesVersion, formatETag } from '@/lib/fhir/history';
+import { FHIROperationOutcome } from '@/lib/fhir/types';
+import { createConsentGuard } from '@/lib/fhir/consent-guard';
+
+const prisma = new PrismaClient();
+
+/**
+ * FHIR Condition Resource Endpoint
+ * GET /api/fhir/Condition/[id] - Read a specific condition
+ * PUT /api/fhir/Condition/[id] - Update a specific condition
+ * DELETE /api/fhir/Condition/[id] - Delete a specific condition
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const { id } = req.query;
+
+  if (typeof id !== 'string') {
+    return res.status(400).json(createOperationOutcome('error', 'Invalid condition ID'));
+  }
+
+  try {
+    switch (req.method) {
+      case 'GET':
+        return await getCondition(id, req, res);
+      case 'PUT':
+        return await updateCondition(id, req, res);
+      case 'DELETE':
+        return await deleteCondition(id, req, res);
+      default:
+        res.setHeader('Allow', ['GET', 'PUT', 'DELETE']);
+        return res.status(405).json(createOperationOutcome('error', `Method ${req.method} not allowed`));
+    }
+  } catch (error) {
+    console.error('FHIR Condition endpoint error:', error);
+    return res.status(500).json(createOperationOutcome('error', 'Internal server error', String(error)));
+  }
+}
+
+/**
+ * Read a specific condition (GET)
+ */
+async function getCondition(
+  id: string,
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const condition = await prisma.condition.findUnique({
+    where: { id },
+  });
+
+  if (!condition) {
+    return res.status(404).json(createOperationOutcome('error', 'Condition not found'));
+  }
+
+  const consent = await createConsentGuard(prisma, req, res).check(condition.patientId, 'Condition');
+  if (!consent.permitted) {
+    return res.status(403).json(createOperationOutcome('error', 'Access is not permitted by the patient\'s consent'));
+  }
+
+  const fhirCondition = conditionToFHIR(condition);
+
+  res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+  res.setHeader('ETag', `W/"${fhirCondition.meta?.versionId || '1'}"`);
+  res.setHeader('Last-Modified', new Date(condition.updatedAt).toUTCString());
+
+  return res.status(200).json(fhirCondition);
+}
+
+/**
+ * Update a specific condition (PUT)
+ */
+async function updateCondition(
+  id: string,
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const fhirCondition = req.body;
+
+  if (fhirCondition?.resourceType !== 'Condition') {
+    return res.status(400).json(createOperationOutcome('error', 'Invalid resource type'));
+  }
+
+  if (fhirCondition.id && fhirCondition.id !== id) {
+    return res.status(400).json(createOperationOutcome('error', 'Resource id does not match the request URL'));
+  }
+
+  const validation = validateCondition(fhirCondition);
+  if (!validation.valid) {
+    return res.status(400).json(validationErrorsToOperationOutcome(validation.errors));
+  }
+
+  const existingCondition = await prisma.condition.findUnique({
+    where: { id },
+  });
+
+  if (!existingCondition) {
+    return res.status(404).json(createOperationOutcome('error', 'Condition not found'));
+  }
+
+  if (!matchesVersion(req.headers['if-match'], existingCondition.versionId)) {
+    return res.status(412).json(createOperationOutcome('error', `Version conflict: Condition/${id} is at version ${existingCondition.versionId}`));
+  }
+
+  const conditionData = fhirToCondition(fhirCondition);
+
+  // Only the version checked above is updated, so a concurrent write is reported as a conflict
+  let updatedCondition;
+  try {
+    updatedCondition = await prisma.condition.update({
+      where: { id, versionId: existingCondition.versionId },
+      data: {
+        versionId: { increment: 1 },
+        patientId: conditionData.patientId || existingCondition.patientId,
+        visitId: conditionData.visitId ?? null,
+        clinicalStatus: conditionData.clinicalStatus,
+        verificationStatus: conditionData.verificationStatus ?? null,
+        category: conditionData.category ?? null,
+        severity: conditionData.severity ?? null,
+        code: conditionData.code || existingCondition.code,
+        codeSystem: conditionData.codeSystem ?? null,
+        codeDisplay: conditionData.codeDisplay ?? null,
+        onsetDate: conditionData.onsetDate ?? null,
+        abatementDate: conditionData.abatementDate ?? null,
+        recordedDate: fhirCondition.recordedDate ? conditionData.recordedDate : existingCondition.recordedDate,
+        notes: conditionData.notes ?? null,
+      },
+    });
+  } catch (error: any) {
+    if (error.code === 'P2025') {
+      return res.status(412).json(createOperationOutcome('error', `Version conflict: Condition/${id} was modified concurrently`));
+    }
+    throw error;
+  }
+
+  const updatedFhirCondition = conditionToFHIR(updatedCondition);
+  await recordVersion(prisma, updatedFhirCondition, 'PUT');
+
+  res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+  res.setHeader('ETag', formatETag(updatedFhirCondition.meta?.versionId));
+  res.setHeader('Last-Modified', new Date(updatedCondition.updatedAt).toUTCString());
+
+  return res.status(200).json(updatedFhirCondition);
+}
+
+/**
+ * Delete a specific condition (DELETE)
+ */
+async function deleteCondition(
+  id: string,
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  try {
+    const deletedCondition = await prisma.condition.delete({
+      where: { id },
+    });
+    await recordDeletion(prisma, 'Condition', id, deletedCondition.versionId);
+
+    return res.status(204).end();
+  } catch (error: any) {
+    if (error.code === 'P2025') {
+      return res.status(404).json(createOperationOutcome('error', 'Condition not found'));
+    }
+    throw error;
+  }
+}
+
+/**
+ * Helper: Create FHIR OperationOutcome
+ */
+function createOperationOutcome(
+  severity: 'fatal' | 'error' | 'warning' | 'information',
+  message: string,
+  diagnostics?: string
+): FHIROperationOutcome {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [
+      {
+        severity,
+        code: 'processing',
+        diagnostics: diagnostics || message,
+        details: {
+          text: message,
+        },
+      },
+    ],
+  };
+}
@@ -0,0 +1,163 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { PrismaClient } from '@prisma/client';
+import { conditionToFHIR, fhirToCondition } from '@/lib/fhir/converters';
+import { validateCondition, validationErrorsToOperationOutcome } from '@/lib/fhir/validation';
+import { searchResources, getSearchOptions } from '@/lib/fhir/search';
+import { recordVersion, findConditionalMatch, formatETag } from '@/lib/fhir/history';
+import { FHIROperationOutcome } from '@/lib/fhir/types';
+import { createConsentGuard } from '@/lib/fhir/consent-guard';
+
+const prisma = new PrismaClient();
+
+/**
+ * FHIR Condition Collection Endpoint (problem list)
+ * GET /api/fhir/Condition - Search conditions
+ * POST /api/fhir/Condition - Create a new condition
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  try {
+    switch (req.method) {
+      case 'GET':
+        return await searchConditions(req, res);
+      case 'POST':
+        return await createCondition(req, res);
+      default:
+        res.setHeader('Allow', ['GET', 'POST']);
+        return res.status(405).json(createOperationOutcome('error', `Method ${req.method} not allowed`));
+    }
+  } catch (error) {
+    console.error('FHIR Condition endpoint error:', error);
+    return res.status(500).json(createOperationOutcome('error', 'Internal server error', String(error)));
+  }
+}
+
+/**
+ * Search conditions (GET)
+ * Supports the Condition search parameters registered in lib/fhir/search.ts
+ * (modifiers, prefixes, chaining) plus _count, _offset, _sort, _include and _revinclude
+ */
+async function searchConditions(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const result = await searchResources(prisma, 'Condition', req.query, getBaseUrl(req), {
+    ...getSearchOptions(req.headers),
+    restrict: createConsentGuard(prisma, req, res).restrict,
+  });
+
+  res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+  return res.status(result.status).json(result.body);
+}
+
+/**
+ * Create a new condition (POST)
+ */
+async function createCondition(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const fhirCondition = req.body;
+
+  // Validate resource type
+  if (fhirCondition?.resourceType !== 'Condition') {
+    return res.status(400).json(createOperationOutcome('error', 'Invalid resource type'));
+  }
+
+  // Conditional create: return the matching resource instead of creating a duplicate
+  const ifNoneExist = req.headers['if-none-exist'];
+  if (ifNoneExist) {
+    const match = await findConditionalMatch(prisma, 'Condition', String(ifNoneExist));
+    if (match.body) {
+      return res.status(match.status).json(match.body);
+    }
+    if (match.record) {
+      const existingFhirCondition = conditionToFHIR(match.record);
+      res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+      res.setHeader('ETag', formatETag(existingFhirCondition.meta?.versionId));
+      return res.status(200).json(existingFhirCondition);
+    }
+  }
+
+  const validation = validateCondition(fhirCondition);
+  if (!validation.valid) {
+    return res.status(400).json(validationErrorsToOperationOutcome(validation.errors));
+  }
+
+  // Convert FHIR condition to internal format
+  const conditionData = fhirToCondition(fhirCondition);
+
+  if (!conditionData.code) {
+    return res.status(400).json(createOperationOutcome('error', 'Missing required field: code.coding.code'));
+  }
+
+  const patient = await prisma.patient.findUnique({
+    where: { id: conditionData.patientId },
+  });
+
+  if (!patient) {
+    return res.status(400).json(createOperationOutcome('error', `Referenced patient not found: Patient/${conditionData.patientId}`));
+  }
+
+  const createdCondition = await prisma.condition.create({
+    data: {
+      patientId: conditionData.patientId,
+      visitId: conditionData.visitId,
+      clinicalStatus: conditionData.clinicalStatus,
+      verificationStatus: conditionData.verificationStatus,
+      category: conditionData.category,
+      severity: conditionData.severity,
+      code: conditionData.code,
+      codeSystem: conditionData.codeSystem,
+      codeDisplay: conditionData.codeDisplay,
+      onsetDate: conditionData.onsetDate,
+      abatementDate: conditionData.abatementDate,
+      recordedDate: conditionData.recordedDate,
+      notes: conditionData.notes,
+    },
+  });
+
+  const baseUrl = getBaseUrl(req);
+  const createdFhirCondition = conditionToFHIR(createdCondition);
+  await recordVersion(prisma, createdFhirCondition, 'POST');
+
+  res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+  res.setHeader('Location', `${baseUrl}/Condition/${createdCondition.id}`);
+  res.setHeader('ETag', formatETag(createdFhirCondition.meta?.versionId));
+
+  return res.status(201).json(createdFhirCondition);
+}
+
+/**
+ * Helper: Get base URL from request
+ */
+function getBaseUrl(req: NextApiRequest): string {
+  const protocol = req.headers['x-forwarded-proto'] || 'http';
+  const host = req.headers.host;
+  return `${protocol}://${host}/api/fhir`;
+}
+
+/**
+ * Helper: Create FHIR OperationOutcome
+ */
+function createOperationOutcome(
+  severity: 'fatal' | 'error' | 'warning' | 'information',
+  message: string,
+  diagnostics?: string
+): FHIROperationOutcome {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [
+      {
+        severity,
+        code: 'processing',
+        diagnostics: diagnostics || message,
+        details: {
+          text: message,
+        },
+      },
+    ],
+  };
+}
@@ -0,0 +1,103 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { PrismaClient } from '@prisma/client';
+import {
+  DEFAULT_PURPOSE_OF_USE,
+  evaluateShareConsent,
+  isPurposeOfUse,
+  normalizeConsentActor,
+} from '@/lib/fhir/consent';
+import { FHIROperationOutcome } from '@/lib/fhir/types';
+
+const prisma = new PrismaClient();
+
+/**
+ * FHIR Consent Check Operation
+ * GET /api/fhir/Consent/$check?patient=...&actor=...&purpose=...&category=...
+ *
+ * Evaluates a patient's consents for releasing the given resource types to
+ * each actor (or to anyone, without actors) and returns a Parameters resource
+ * with the decision and every denied actor/category pair. The share flow calls
+ * this before uploading anything.
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json(createOperationOutcome('error', `Method ${req.method} not allowed`));
+  }
+
+  const patientId = typeof req.query.patient === 'string'
+    ? req.query.patient.replace(/^Patient\//, '')
+    : undefined;
+  if (!patientId) {
+    return res.status(400).json(createOperationOutcome('error', 'Missing required parameter: patient'));
+  }
+
+  const purpose = typeof req.query.purpose === 'string' ? req.query.purpose : DEFAULT_PURPOSE_OF_USE;
+  if (!isPurposeOfUse(purpose)) {
+    return res.status(400).json(createOperationOutcome('error', `Unsupported purpose of use: ${purpose}`));
+  }
+
+  const actors = getListParameter(req.query.actor);
+  const recipients = actors.map(normalizeConsentActor);
+  if (recipients.some(actor => !actor)) {
+    return res.status(400).json(createOperationOutcome('error', 'Actors must be Practitioner references or wallet addresses'));
+  }
+
+  try {
+    const result = await evaluateShareConsent(prisma, patientId, {
+      recipients,
+      purpose,
+      resourceTypes: getListParameter(req.query.category),
+    });
+
+    res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+    return res.status(200).json({
+      resourceType: 'Parameters',
+      parameter: [
+        { name: 'decision', valueCode: result.permitted ? 'permit' : 'deny' },
+        ...result.denied.map(denial => ({
+          name: 'denied',
+          part: [
+            denial.resourceType && { name: 'category', valueCode: denial.resourceType },
+            denial.actor && { name: 'actor', valueString: denial.actor },
+            denial.consentId && { name: 'consent', valueReference: { reference: `Consent/${denial.consentId}` } },
+          ].filter(Boolean),
+        })),
+      ],
+    });
+  } catch (error) {
+    console.error('FHIR Consent $check error:', error);
+    return res.status(500).json(createOperationOutcome('error', 'Internal server error', String(error)));
+  }
+}
+
+/**
+ * Read a repeatable, comma-separated query parameter
+ */
+function getListParameter(value: string | string[] | undefined): string[] {
+  const values = Array.isArray(value) ? value : value ? [value] : [];
+  return values.flatMap(item => item.split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+function createOperationOutcome(
+  severity: 'fatal' | 'error' | 'warning' | 'information',
+  message: string,
+  diagnostics?: string
+): FHIROperationOutcome {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [
+      {
+        severity,
+        code: 'processing',
+        diagnostics: diagnostics || message,
+        details: {
+          text: message,
+        },
+      },
+    ],
+  };
+}
@@ -0,0 +1,203 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { PrismaClient } from '@prisma/client';
+import { consentToFHIR, fhirToConsent } from '@/lib/fhir/converters';
+import { validateConsent, validationErrorsToOperationOutcome } from '@/lib/fhir/validation';
+import { recordVersion, recordDeletion, matchesVersion, formatETag } from '@/lib/fhir/history';
+import { getConsentRequester } from '@/lib/fhir/consent-guard';
+import { FHIROperationOutcome } from '@/lib/fhir/types';
+
+const prisma = new PrismaClient();
+
+/**
+ * FHIR Consent Resource Endpoint
+ * GET /api/fhir/Consent/[id] - Read a specific consent
+ * PUT /api/fhir/Consent/[id] - Update a specific consent (only its patient)
+ * DELETE /api/fhir/Consent/[id] - Delete a specific consent (only its patient)
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const { id } = req.query;
+
+  if (typeof id !== 'string') {
+    return res.status(400).json(createOperationOutcome('error', 'Invalid consent ID'));
+  }
+
+  try {
+    switch (req.method) {
+      case 'GET':
+        return await getConsent(id, req, res);
+      case 'PUT':
+        return await updateConsent(id, req, res);
+      case 'DELETE':
+        return await deleteConsent(id, req, res);
+      default:
+        res.setHeader('Allow', ['GET', 'PUT', 'DELETE']);
+        return res.status(405).json(createOperationOutcome('error', `Method ${req.method} not allowed`));
+    }
+  } catch (error) {
+    console.error('FHIR Consent endpoint error:', error);
+    return res.status(500).json(createOperationOutcome('error', 'Internal server error', String(error)));
+  }
+}
+
+/**
+ * Read a specific consent (GET)
+ */
+async function getConsent(
+  id: string,
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const consent = await prisma.consent.findUnique({
+    where: { id },
+  });
+
+  if (!consent) {
+    return res.status(404).json(createOperationOutcome('error', 'Consent not found'));
+  }
+
+  const fhirConsent = consentToFHIR(consent);
+
+  res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+  res.setHeader('ETag', `W/"${fhirConsent.meta?.versionId || '1'}"`);
+  res.setHeader('Last-Modified', new Date(consent.updatedAt).toUTCString());
+
+  return res.status(200).json(fhirConsent);
+}
+
+/**
+ * Update a specific consent (PUT)
+ */
+async function updateConsent(
+  id: string,
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const fhirConsent = req.body;
+
+  if (fhirConsent?.resourceType !== 'Consent') {
+    return res.status(400).json(createOperationOutcome('error', 'Invalid resource type'));
+  }
+
+  if (fhirConsent.id && fhirConsent.id !== id) {
+    return res.status(400).json(createOperationOutcome('error', 'Resource id does not match the request URL'));
+  }
+
+  const validation = validateConsent(fhirConsent);
+  if (!validation.valid) {
+    return res.status(400).json(validationErrorsToOperationOutcome(validation.errors));
+  }
+
+  const existingConsent = await prisma.consent.findUnique({
+    where: { id },
+  });
+
+  if (!existingConsent) {
+    return res.status(404).json(createOperationOutcome('error', 'Consent not found'));
+  }
+
+  const consentData = fhirToConsent(fhirConsent);
+
+  // A consent cannot be moved to another patient
+  const requester = await getConsentRequester(prisma, req, res);
+  if (requester.patientId !== existingConsent.patientId || consentData.patientId !== existingConsent.patientId) {
+    return res.status(403).json(createOperationOutcome('error', 'Only the patient can change their consents'));
+  }
+
+  if (!matchesVersion(req.headers['if-match'], existingConsent.versionId)) {
+    return res.status(412).json(createOperationOutcome('error', `Version conflict: Consent/${id} is at version ${existingConsent.versionId}`));
+  }
+
+  // Only the version checked above is updated, so a concurrent write is reported as a conflict
+  let updatedConsent;
+  try {
+    updatedConsent = await prisma.consent.update({
+      where: { id, versionId: existingConsent.versionId },
+      data: {
+        versionId: { increment: 1 },
+        status: consentData.status,
+        provisionType: consentData.provisionType,
+        actor: consentData.actor,
+        purposes: consentData.purposes,
+        categories: consentData.categories,
+        periodStart: consentData.periodStart,
+        periodEnd: consentData.periodEnd,
+      },
+    });
+  } catch (error: any) {
+    if (error.code === 'P2025') {
+      return res.status(412).json(createOperationOutcome('error', `Version conflict: Consent/${id} was modified concurrently`));
+    }
+    throw error;
+  }
+
+  const updatedFhirConsent = consentToFHIR(updatedConsent);
+  await recordVersion(prisma, updatedFhirConsent, 'PUT');
+
+  res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+  res.setHeader('ETag', formatETag(updatedFhirConsent.meta?.versionId));
+  res.setHeader('Last-Modified', new Date(updatedConsent.updatedAt).toUTCString());
+
+  return res.status(200).json(updatedFhirConsent);
+}
+
+/**
+ * Delete a specific consent (DELETE)
+ */
+async function deleteConsent(
+  id: string,
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const existingConsent = await prisma.consent.findUnique({
+    where: { id },
+  });
+
+  if (!existingConsent) {
+    return res.status(404).json(createOperationOutcome('error', 'Consent not found'));
+  }
+
+  const requester = await getConsentRequester(prisma, req, res);
+  if (requester.patientId !== existingConsent.patientId) {
+    return res.status(403).json(createOperationOutcome('error', 'Only the patient can delete their consents'));
+  }
+
+  try {
+    const deletedConsent = await prisma.consent.delete({
+      where: { id },
+    });
+    await recordDeletion(prisma, 'Consent', id, deletedConsent.versionId);
+
+    return res.status(204).end();
+  } catch (error: any) {
+    if (error.code === 'P2025') {
+      return res.status(404).json(createOperationOutcome('error', 'Consent not found'));
+    }
+    throw error;
+  }
+}
+
+/**
+ * Helper: Create FHIR OperationOutcome
+ */
+function createOperationOutcome(
+  severity: 'fatal' | 'error' | 'warning' | 'information',
+  message: string,
+  diagnostics?: string
+): FHIROperationOutcome {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [
+      {
+        severity,
+        code: 'processing',
+        diagnostics: diagnostics || message,
+        details: {
+          text: message,
+        },
+      },
+    ],
+  };
+}
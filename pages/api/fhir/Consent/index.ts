@@ -0,0 +1,141 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { PrismaClient } from '@prisma/client';
+import { consentToFHIR, fhirToConsent } from '@/lib/fhir/converters';
+import { validateConsent, validationErrorsToOperationOutcome } from '@/lib/fhir/validation';
+import { searchResources, getSearchOptions } from '@/lib/fhir/search';
+import { recordVersion, formatETag } from '@/lib/fhir/history';
+import { getConsentRequester } from '@/lib/fhir/consent-guard';
+import { FHIROperationOutcome } from '@/lib/fhir/types';
+
+const prisma = new PrismaClient();
+
+/**
+ * FHIR Consent Collection Endpoint
+ * GET /api/fhir/Consent - Search consents
+ * POST /api/fhir/Consent - Create a new consent (only the patient it belongs to)
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  try {
+    switch (req.method) {
+      case 'GET':
+        return await searchConsents(req, res);
+      case 'POST':
+        return await createConsent(req, res);
+      default:
+        res.setHeader('Allow', ['GET', 'POST']);
+        return res.status(405).json(createOperationOutcome('error', `Method ${req.method} not allowed`));
+    }
+  } catch (error) {
+    console.error('FHIR Consent endpoint error:', error);
+    return res.status(500).json(createOperationOutcome('error', 'Internal server error', String(error)));
+  }
+}
+
+/**
+ * Search consents (GET)
+ * Supports the Consent search parameters registered in lib/fhir/search.ts
+ * plus _count, _offset, _sort, _include and _revinclude
+ */
+async function searchConsents(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const result = await searchResources(prisma, 'Consent', req.query, getBaseUrl(req), getSearchOptions(req.headers));
+
+  res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+  return res.status(result.status).json(result.body);
+}
+
+/**
+ * Create a new consent (POST)
+ */
+async function createConsent(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const fhirConsent = req.body;
+
+  // Validate resource type
+  if (fhirConsent?.resourceType !== 'Consent') {
+    return res.status(400).json(createOperationOutcome('error', 'Invalid resource type'));
+  }
+
+  const validation = validateConsent(fhirConsent);
+  if (!validation.valid) {
+    return res.status(400).json(validationErrorsToOperationOutcome(validation.errors));
+  }
+
+  // Convert FHIR consent to internal format
+  const consentData = fhirToConsent(fhirConsent);
+
+  const requester = await getConsentRequester(prisma, req, res);
+  if (!requester.patientId || requester.patientId !== consentData.patientId) {
+    return res.status(403).json(createOperationOutcome('error', 'Only the patient can record their consents'));
+  }
+
+  const patient = await prisma.patient.findUnique({
+    where: { id: consentData.patientId },
+  });
+
+  if (!patient) {
+    return res.status(400).json(createOperationOutcome('error', `Referenced patient not found: Patient/${consentData.patientId}`));
+  }
+
+  const createdConsent = await prisma.consent.create({
+    data: {
+      patientId: consentData.patientId,
+      status: consentData.status,
+      provisionType: consentData.provisionType,
+      actor: consentData.actor,
+      purposes: consentData.purposes,
+      categories: consentData.categories,
+      periodStart: consentData.periodStart,
+      periodEnd: consentData.periodEnd,
+    },
+  });
+
+  const baseUrl = getBaseUrl(req);
+  const createdFhirConsent = consentToFHIR(createdConsent);
+  await recordVersion(prisma, createdFhirConsent, 'POST');
+
+  res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+  res.setHeader('Location', `${baseUrl}/Consent/${createdConsent.id}`);
+  res.setHeader('ETag', formatETag(createdFhirConsent.meta?.versionId));
+
+  return res.status(201).json(createdFhirConsent);
+}
+
+/**
+ * Helper: Get base URL from request
+ */
+function getBaseUrl(req: NextApiRequest): string {
+  const protocol = req.headers['x-forwarded-proto'] || 'http';
+  const host = req.headers.host;
+  return `${protocol}://${host}/api/fhir`;
+}
+
+/**
+ * Helper: Create FHIR OperationOutcome
+ */
+function createOperationOutcome(
+  severity: 'fatal' | 'error' | 'warning' | 'information',
+  message: string,
+  diagnostics?: string
+): FHIROperationOutcome {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [
+      {
+        severity,
+        code: 'processing',
+        diagnostics: diagnostics || message,
+        details: {
+          text: message,
+        },
+      },
+    ],
+  };
+}
@@ -1,7 +1,8 @@
 import { NextApiRequest, NextApiResponse } from 'next';
 import { PrismaClient } from '@prisma/client';
-import { visitToFHIREncounter, createFHIRBundle } from '@/lib/fhir/converters';
+import { searchResources, getSearchOptions } from '@/lib/fhir/search';
 import { FHIROperationOutcome } from '@/lib/fhir/types';
+import { createConsentGuard } from '@/lib/fhir/consent-guard';
 
 const prisma = new PrismaClient();
 
@@ -28,59 +29,21 @@ export default async function handler(
 }
 
 /**
- * Search encounters (visits)
- * Supports FHIR search parameters:
- * - patient: Search by patient ID
- * - date: Search by encounter date
- * - _count: Number of results (default 20)
+ * Search encounters (visits) (GET)
+ * Supports the Encounter search parameters registered in lib/fhir/search.ts
+ * (modifiers, prefixes, chaining) plus _count, _offset, _sort, _include and _revinclude
  */
 async function searchEncounters(
   req: NextApiRequest,
   res: NextApiResponse
 ) {
-  const {
-    patient,
-    date,
-    _count = '20',
-    _offset = '0',
-  } = req.query;
-
-  const where: any = {};
-
-  if (patient && typeof patient === 'string') {
-    where.patientId = patient.replace('Patient/', '');
-  }
-
-  if (date && typeof date === 'string') {
-    const searchDate = new Date(date);
-    where.date = {
-      gte: new Date(searchDate.setHours(0, 0, 0, 0)),
-      lte: new Date(searchDate.setHours(23, 59, 59, 999)),
-    };
-  }
-
-  const take = parseInt(_count as string, 10);
-  const skip = parseInt(_offset as string, 10);
-
-  const [visits, total] = await Promise.all([
-    prisma.visit.findMany({
-      where,
-      take,
-      skip,
-      orderBy: {
-        date: 'desc',
-      },
-    }),
-    prisma.visit.count({ where }),
-  ]);
-
-  const baseUrl = getBaseUrl(req);
-  const fhirEncounters = visits.map(v => visitToFHIREncounter(v));
-  const bundle = createFHIRBundle(fhirEncounters, 'searchset', baseUrl);
-  bundle.total = total;
+  const result = await searchResources(prisma, 'Encounter', req.query, getBaseUrl(req), {
+    ...getSearchOptions(req.headers),
+    restrict: createConsentGuard(prisma, req, res).restrict,
+  });
 
   res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
-  return res.status(200).json(bundle);
+  return res.status(result.status).json(result.body);
 }
 
 function getBaseUrl(req: NextApiRequest): string {
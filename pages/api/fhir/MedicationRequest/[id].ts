@@ -0,0 +1,194 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { PrismaClient } from '@prisma/client';
+import { medicationRequestToFHIR, fhirToMedicationRequest } from '@/lib/fhir/converters';
+import { validateMedicationRequest, validationErrorsToOperationOutcome } from '@/lib/fhir/validation';
+import { recordVersion, recordDeletion, matchesVersion, formatETag } from '@/lib/fhir/history';
+import { FHIROperationOutcome } from '@/lib/fhir/types';
+import { createConsentGuard } from '@/lib/fhir/consent-guard';
+
+const prisma = new PrismaClient();
+
+/**
+ * FHIR MedicationRequest Resource Endpoint
+ * GET /api/fhir/MedicationRequest/[id] - Read a specific medication request
+ * PUT /api/fhir/MedicationRequest/[id] - Update a specific medication request
+ * DELETE /api/fhir/MedicationRequest/[id] - Delete a specific medication request
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const { id } = req.query;
+
+  if (typeof id !== 'string') {
+    return res.status(400).json(createOperationOutcome('error', 'Invalid medication request ID'));
+  }
+
+  try {
+    switch (req.method) {
+      case 'GET':
+        return await getMedicationRequest(id, req, res);
+      case 'PUT':
+        return await updateMedicationRequest(id, req, res);
+      case 'DELETE':
+        return await deleteMedicationRequest(id, req, res);
+      default:
+        res.setHeader('Allow', ['GET', 'PUT', 'DELETE']);
+        return res.status(405).json(createOperationOutcome('error', `Method ${req.method} not allowed`));
+    }
+  } catch (error) {
+    console.error('FHIR MedicationRequest endpoint error:', error);
+    return res.status(500).json(createOperationOutcome('error', 'Internal server error', String(error)));
+  }
+}
+
+/**
+ * Read a specific medication request (GET)
+ */
+async function getMedicationRequest(
+  id: string,
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const medicationRequest = await prisma.medicationRequest.findUnique({
+    where: { id },
+  });
+
+  if (!medicationRequest) {
+    return res.status(404).json(createOperationOutcome('error', 'MedicationRequest not found'));
+  }
+
+  const consent = await createConsentGuard(prisma, req, res).check(medicationRequest.patientId, 'MedicationRequest');
+  if (!consent.permitted) {
+    return res.status(403).json(createOperationOutcome('error', 'Access is not permitted by the patient\'s consent'));
+  }
+
+  const fhirMedicationRequest = medicationRequestToFHIR(medicationRequest);
+
+  res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+  res.setHeader('ETag', `W/"${fhirMedicationRequest.meta?.versionId || '1'}"`);
+  res.setHeader('Last-Modified', new Date(medicationRequest.updatedAt).toUTCString());
+
+  return res.status(200).json(fhirMedicationRequest);
+}
+
+/**
+ * Update a specific medication request (PUT)
+ */
+async function updateMedicationRequest(
+  id: string,
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const fhirMedicationRequest = req.body;
+
+  if (fhirMedicationRequest?.resourceType !== 'MedicationRequest') {
+    return res.status(400).json(createOperationOutcome('error', 'Invalid resource type'));
+  }
+
+  if (fhirMedicationRequest.id && fhirMedicationRequest.id !== id) {
+    return res.status(400).json(createOperationOutcome('error', 'Resource id does not match the request URL'));
+  }
+
+  const validation = validateMedicationRequest(fhirMedicationRequest);
+  if (!validation.valid) {
+    return res.status(400).json(validationErrorsToOperationOutcome(validation.errors));
+  }
+
+  const existingMedicationRequest = await prisma.medicationRequest.findUnique({
+    where: { id },
+  });
+
+  if (!existingMedicationRequest) {
+    return res.status(404).json(createOperationOutcome('error', 'MedicationRequest not found'));
+  }
+
+  if (!matchesVersion(req.headers['if-match'], existingMedicationRequest.versionId)) {
+    return res.status(412).json(createOperationOutcome('error', `Version conflict: MedicationRequest/${id} is at version ${existingMedicationRequest.versionId}`));
+  }
+
+  const medicationRequestData = fhirToMedicationRequest(fhirMedicationRequest);
+
+  // Only the version checked above is updated, so a concurrent write is reported as a conflict
+  let updatedMedicationRequest;
+  try {
+    updatedMedicationRequest = await prisma.medicationRequest.update({
+      where: { id, versionId: existingMedicationRequest.versionId },
+      data: {
+        versionId: { increment: 1 },
+        patientId: medicationRequestData.patientId || existingMedicationRequest.patientId,
+        visitId: medicationRequestData.visitId ?? null,
+        providerId: medicationRequestData.providerId ?? null,
+        status: medicationRequestData.status,
+        intent: medicationRequestData.intent,
+        medicationCode: medicationRequestData.medicationCode ?? null,
+        medicationSystem: medicationRequestData.medicationSystem ?? null,
+        medicationDisplay: medicationRequestData.medicationDisplay || existingMedicationRequest.medicationDisplay,
+        dosageText: medicationRequestData.dosageText ?? null,
+        authoredOn: fhirMedicationRequest.authoredOn ? medicationRequestData.authoredOn : existingMedicationRequest.authoredOn,
+        reason: medicationRequestData.reason ?? null,
+        notes: medicationRequestData.notes ?? null,
+      },
+    });
+  } catch (error: any) {
+    if (error.code === 'P2025') {
+      return res.status(412).json(createOperationOutcome('error', `Version conflict: MedicationRequest/${id} was modified concurrently`));
+    }
+    throw error;
+  }
+
+  const updatedFhirMedicationRequest = medicationRequestToFHIR(updatedMedicationRequest);
+  await recordVersion(prisma, updatedFhirMedicationRequest, 'PUT');
+
+  res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+  res.setHeader('ETag', formatETag(updatedFhirMedicationRequest.meta?.versionId));
+  res.setHeader('Last-Modified', new Date(updatedMedicationRequest.updatedAt).toUTCString());
+
+  return res.status(200).json(updatedFhirMedicationRequest);
+}
+
+/**
+ * Delete a specific medication request (DELETE)
+ */
+async function deleteMedicationRequest(
+  id: string,
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  try {
+    const deletedMedicationRequest = await prisma.medicationRequest.delete({
+      where: { id },
+    });
+    await recordDeletion(prisma, 'MedicationRequest', id, deletedMedicationRequest.versionId);
+
+    return res.status(204).end();
+  } catch (error: any) {
+    if (error.code === 'P2025') {
+      return res.status(404).json(createOperationOutcome('error', 'MedicationRequest not found'));
+    }
+    throw error;
+  }
+}
+
+/**
+ * Helper: Create FHIR OperationOutcome
+ */
+function createOperationOutcome(
+  severity: 'fatal' | 'error' | 'warning' | 'information',
+  message: string,
+  diagnostics?: string
+): FHIROperationOutcome {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [
+      {
+        severity,
+        code: 'processing',
+        diagnostics: diagnostics || message,
+        details: {
+          text: message,
+        },
+      },
+    ],
+  };
+}
@@ -0,0 +1,158 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { PrismaClient } from '@prisma/client';
+import { medicationRequestToFHIR, fhirToMedicationRequest } from '@/lib/fhir/converters';
+import { validateMedicationRequest, validationErrorsToOperationOutcome } from '@/lib/fhir/validation';
+import { searchResources, getSearchOptions } from '@/lib/fhir/search';
+import { recordVersion, findConditionalMatch, formatETag } from '@/lib/fhir/history';
+import { FHIROperationOutcome } from '@/lib/fhir/types';
+import { createConsentGuard } from '@/lib/fhir/consent-guard';
+
+const prisma = new PrismaClient();
+
+/**
+ * FHIR MedicationRequest Collection Endpoint
+ * GET /api/fhir/MedicationRequest - Search medication requests
+ * POST /api/fhir/MedicationRequest - Create a new medication request
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  try {
+    switch (req.method) {
+      case 'GET':
+        return await searchMedicationRequests(req, res);
+      case 'POST':
+        return await createMedicationRequest(req, res);
+      default:
+        res.setHeader('Allow', ['GET', 'POST']);
+        return res.status(405).json(createOperationOutcome('error', `Method ${req.method} not allowed`));
+    }
+  } catch (error) {
+    console.error('FHIR MedicationRequest endpoint error:', error);
+    return res.status(500).json(createOperationOutcome('error', 'Internal server error', String(error)));
+  }
+}
+
+/**
+ * Search medication requests (GET)
+ * Supports the MedicationRequest search parameters registered in lib/fhir/search.ts
+ * (modifiers, prefixes, chaining) plus _count, _offset, _sort, _include and _revinclude
+ */
+async function searchMedicationRequests(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const result = await searchResources(prisma, 'MedicationRequest', req.query, getBaseUrl(req), {
+    ...getSearchOptions(req.headers),
+    restrict: createConsentGuard(prisma, req, res).restrict,
+  });
+
+  res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+  return res.status(result.status).json(result.body);
+}
+
+/**
+ * Create a new medication request (POST)
+ */
+async function createMedicationRequest(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const fhirMedicationRequest = req.body;
+
+  // Validate resource type
+  if (fhirMedicationRequest?.resourceType !== 'MedicationRequest') {
+    return res.status(400).json(createOperationOutcome('error', 'Invalid resource type'));
+  }
+
+  // Conditional create: return the matching resource instead of creating a duplicate
+  const ifNoneExist = req.headers['if-none-exist'];
+  if (ifNoneExist) {
+    const match = await findConditionalMatch(prisma, 'MedicationRequest', String(ifNoneExist));
+    if (match.body) {
+      return res.status(match.status).json(match.body);
+    }
+    if (match.record) {
+      const existingFhirMedicationRequest = medicationRequestToFHIR(match.record);
+      res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+      res.setHeader('ETag', formatETag(existingFhirMedicationRequest.meta?.versionId));
+      return res.status(200).json(existingFhirMedicationRequest);
+    }
+  }
+
+  const validation = validateMedicationRequest(fhirMedicationRequest);
+  if (!validation.valid) {
+    return res.status(400).json(validationErrorsToOperationOutcome(validation.errors));
+  }
+
+  // Convert FHIR medication request to internal format
+  const medicationRequestData = fhirToMedicationRequest(fhirMedicationRequest);
+
+  const patient = await prisma.patient.findUnique({
+    where: { id: medicationRequestData.patientId },
+  });
+
+  if (!patient) {
+    return res.status(400).json(createOperationOutcome('error', `Referenced patient not found: Patient/${medicationRequestData.patientId}`));
+  }
+
+  const createdMedicationRequest = await prisma.medicationRequest.create({
+    data: {
+      patientId: medicationRequestData.patientId,
+      visitId: medicationRequestData.visitId,
+      providerId: medicationRequestData.providerId,
+      status: medicationRequestData.status,
+      intent: medicationRequestData.intent,
+      medicationCode: medicationRequestData.medicationCode,
+      medicationSystem: medicationRequestData.medicationSystem,
+      medicationDisplay: medicationRequestData.medicationDisplay,
+      dosageText: medicationRequestData.dosageText,
+      authoredOn: medicationRequestData.authoredOn,
+      reason: medicationRequestData.reason,
+      notes: medicationRequestData.notes,
+    },
+  });
+
+  const baseUrl = getBaseUrl(req);
+  const createdFhirMedicationRequest = medicationRequestToFHIR(createdMedicationRequest);
+  await recordVersion(prisma, createdFhirMedicationRequest, 'POST');
+
+  res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+  res.setHeader('Location', `${baseUrl}/MedicationRequest/${createdMedicationRequest.id}`);
+  res.setHeader('ETag', formatETag(createdFhirMedicationRequest.meta?.versionId));
+
+  return res.status(201).json(createdFhirMedicationRequest);
+}
+
+/**
+ * Helper: Get base URL from request
+ */
+function getBaseUrl(req: NextApiRequest): string {
+  const protocol = req.headers['x-forwarded-proto'] || 'http';
+  const host = req.headers.host;
+  return `${protocol}://${host}/api/fhir`;
+}
+
+/**
+ * Helper: Create FHIR OperationOutcome
+ */
+function createOperationOutcome(
+  severity: 'fatal' | 'error' | 'warning' | 'information',
+  message: string,
+  diagnostics?: string
+): FHIROperationOutcome {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [
+      {
+        severity,
+        code: 'processing',
+        diagnostics: diagnostics || message,
+        details: {
+          text: message,
+        },
+      },
+    ],
+  };
+}
@@ -0,0 +1,200 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { PrismaClient } from '@prisma/client';
+import { observationToFHIR, fhirToObservation } from '@/lib/fhir/converters';
+import { validateObservation, validationErrorsToOperationOutcome } from '@/lib/fhir/validation';
+import { recordVersion, recordDeletion, matchesVersion, formatETag } from '@/lib/fhir/history';
+import { FHIROperationOutcome } from '@/lib/fhir/types';
+import { createConsentGuard } from '@/lib/fhir/consent-guard';
+
+const prisma = new PrismaClient();
+
+/**
+ * FHIR Observation Resource Endpoint
+ * GET /api/fhir/Observation/[id] - Read a specific observation
+ * PUT /api/fhir/Observation/[id] - Update a specific observation
+ * DELETE /api/fhir/Observation/[id] - Delete a specific observation
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const { id } = req.query;
+
+  if (typeof id !== 'string') {
+    return res.status(400).json(createOperationOutcome('error', 'Invalid observation ID'));
+  }
+
+  try {
+    switch (req.method) {
+      case 'GET':
+        return await getObservation(id, req, res);
+      case 'PUT':
+        return await updateObservation(id, req, res);
+      case 'DELETE':
+        return await deleteObservation(id, req, res);
+      default:
+        res.setHeader('Allow', ['GET', 'PUT', 'DELETE']);
+        return res.status(405).json(createOperationOutcome('error', `Method ${req.method} not allowed`));
+    }
+  } catch (error) {
+    console.error('FHIR Observation endpoint error:', error);
+    return res.status(500).json(createOperationOutcome('error', 'Internal server error', String(error)));
+  }
+}
+
+/**
+ * Read a specific observation (GET)
+ */
+async function getObservation(
+  id: string,
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const observation = await prisma.observation.findUnique({
+    where: { id },
+  });
+
+  if (!observation) {
+    return res.status(404).json(createOperationOutcome('error', 'Observation not found'));
+  }
+
+  const consent = await createConsentGuard(prisma, req, res).check(observation.patientId, 'Observation');
+  if (!consent.permitted) {
+    return res.status(403).json(createOperationOutcome('error', 'Access is not permitted by the patient\'s consent'));
+  }
+
+  const fhirObservation = observationToFHIR(observation);
+
+  // Set FHIR-specific headers
+  res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+  res.setHeader('ETag', `W/"${fhirObservation.meta?.versionId || '1'}"`);
+  res.setHeader('Last-Modified', new Date(observation.updatedAt).toUTCString());
+
+  return res.status(200).json(fhirObservation);
+}
+
+/**
+ * Update a specific observation (PUT)
+ * The submitted resource replaces the stored one, as required by FHIR update semantics
+ */
+async function updateObservation(
+  id: string,
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const fhirObservation = req.body;
+
+  // Validate resource type
+  if (fhirObservation?.resourceType !== 'Observation') {
+    return res.status(400).json(createOperationOutcome('error', 'Invalid resource type'));
+  }
+
+  if (fhirObservation.id && fhirObservation.id !== id) {
+    return res.status(400).json(createOperationOutcome('error', 'Resource id does not match the request URL'));
+  }
+
+  const validation = validateObservation(fhirObservation);
+  if (!validation.valid) {
+    return res.status(400).json(validationErrorsToOperationOutcome(validation.errors));
+  }
+
+  // Check if observation exists
+  const existingObservation = await prisma.observation.findUnique({
+    where: { id },
+  });
+
+  if (!existingObservation) {
+    return res.status(404).json(createOperationOutcome('error', 'Observation not found'));
+  }
+
+  if (!matchesVersion(req.headers['if-match'], existingObservation.versionId)) {
+    return res.status(412).json(createOperationOutcome('error', `Version conflict: Observation/${id} is at version ${existingObservation.versionId}`));
+  }
+
+  // Convert FHIR observation to internal format
+  const observationData = fhirToObservation(fhirObservation);
+
+  // Only the version checked above is updated, so a concurrent write is reported as a conflict
+  let updatedObservation;
+  try {
+    updatedObservation = await prisma.observation.update({
+      where: { id, versionId: existingObservation.versionId },
+      data: {
+        versionId: { increment: 1 },
+        patientId: observationData.patientId || existingObservation.patientId,
+        visitId: observationData.visitId ?? null,
+        status: observationData.status,
+        category: observationData.category ?? null,
+        code: observationData.code || existingObservation.code,
+        codeSystem: observationData.codeSystem ?? null,
+        codeDisplay: observationData.codeDisplay ?? null,
+        effectiveDate: observationData.effectiveDate,
+        valueQuantity: observationData.valueQuantity ?? null,
+        valueUnit: observationData.valueUnit ?? null,
+        valueString: observationData.valueString ?? null,
+        components: observationData.components ?? null,
+        notes: observationData.notes ?? null,
+      },
+    });
+  } catch (error: any) {
+    if (error.code === 'P2025') {
+      return res.status(412).json(createOperationOutcome('error', `Version conflict: Observation/${id} was modified concurrently`));
+    }
+    throw error;
+  }
+
+  const updatedFhirObservation = observationToFHIR(updatedObservation);
+  await recordVersion(prisma, updatedFhirObservation, 'PUT');
+
+  res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+  res.setHeader('ETag', formatETag(updatedFhirObservation.meta?.versionId));
+  res.setHeader('Last-Modified', new Date(updatedObservation.updatedAt).toUTCString());
+
+  return res.status(200).json(updatedFhirObservation);
+}
+
+/**
+ * Delete a specific observation (DELETE)
+ */
+async function deleteObservation(
+  id: string,
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  try {
+    const deletedObservation = await prisma.observation.delete({
+      where: { id },
+    });
+    await recordDeletion(prisma, 'Observation', id, deletedObservation.versionId);
+
+    return res.status(204).end();
+  } catch (error: any) {
+    if (error.code === 'P2025') {
+      return res.status(404).json(createOperationOutcome('error', 'Observation not found'));
+    }
+    throw error;
+  }
+}
+
+/**
+ * Helper: Create FHIR OperationOutcome
+ */
+function createOperationOutcome(
+  severity: 'fatal' | 'error' | 'warning' | 'information',
+  message: string,
+  diagnostics?: string
+): FHIROperationOutcome {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [
+      {
+        severity,
+        code: 'processing',
+        diagnostics: diagnostics || message,
+        details: {
+          text: message,
+        },
+      },
+    ],
+  };
+}
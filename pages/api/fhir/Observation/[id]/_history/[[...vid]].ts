@@ -0,0 +1,87 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { PrismaClient } from '@prisma/client';
+import { getResourceHistory, readResourceVersion, formatETag } from '@/lib/fhir/history';
+import { createConsentGuard } from '@/lib/fhir/consent-guard';
+import { getResourcePatientId } from '@/lib/fhir/consent';
+import { FHIROperationOutcome } from '@/lib/fhir/types';
+
+const prisma = new PrismaClient();
+
+/**
+ * FHIR Observation History Endpoint
+ * GET /api/fhir/Observation/[id]/_history - Every version of a observation, newest first
+ * GET /api/fhir/Observation/[id]/_history/[vid] - Read a specific version (vread)
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const { id, vid } = req.query;
+
+  if (typeof id !== 'string') {
+    return res.status(400).json(createOperationOutcome('error', 'Invalid observation ID'));
+  }
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json(createOperationOutcome('error', `Method ${req.method} not allowed`));
+  }
+
+  try {
+    const baseUrl = getBaseUrl(req);
+    const versionId = Array.isArray(vid) ? vid[0] : undefined;
+    const result = versionId
+      ? await readResourceVersion(prisma, 'Observation', id, versionId, baseUrl)
+      : await getResourceHistory(prisma, 'Observation', id, baseUrl);
+
+    // Older versions are checked against the patient's consents like the current one
+    const resource = versionId ? result.body : (result.body as any).entry?.find((entry: any) => entry.resource)?.resource;
+    const patientId = result.status === 200 ? getResourcePatientId(resource) : undefined;
+    if (patientId && !(await createConsentGuard(prisma, req, res).check(patientId, 'Observation')).permitted) {
+      return res.status(403).json(createOperationOutcome('error', 'Access is not permitted by the patient\'s consent'));
+    }
+
+    res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+    if (result.version) {
+      res.setHeader('ETag', formatETag(result.version.versionId));
+      res.setHeader('Last-Modified', new Date(result.version.lastModified).toUTCString());
+    }
+
+    return res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('FHIR Observation history endpoint error:', error);
+    return res.status(500).json(createOperationOutcome('error', 'Internal server error', String(error)));
+  }
+}
+
+/**
+ * Helper: Get base URL from request
+ */
+function getBaseUrl(req: NextApiRequest): string {
+  const protocol = req.headers['x-forwarded-proto'] || 'http';
+  const host = req.headers.host;
+  return `${protocol}://${host}/api/fhir`;
+}
+
+/**
+ * Helper: Create FHIR OperationOutcome
+ */
+function createOperationOutcome(
+  severity: 'fatal' | 'error' | 'warning' | 'information',
+  message: string,
+  diagnostics?: string
+): FHIROperationOutcome {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [
+      {
+        severity,
+        code: 'processing',
+        diagnostics: diagnostics || message,
+        details: {
+          text: message,
+        },
+      },
+    ],
+  };
+}
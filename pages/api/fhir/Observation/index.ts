@@ -0,0 +1,167 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { PrismaClient } from '@prisma/client';
+import { observationToFHIR, fhirToObservation } from '@/lib/fhir/converters';
+import { validateObservation, validationErrorsToOperationOutcome } from '@/lib/fhir/validation';
+import { searchResources, getSearchOptions } from '@/lib/fhir/search';
+import { recordVersion, findConditionalMatch, formatETag } from '@/lib/fhir/history';
+import { FHIROperationOutcome } from '@/lib/fhir/types';
+import { createConsentGuard } from '@/lib/fhir/consent-guard';
+
+const prisma = new PrismaClient();
+
+/**
+ * FHIR Observation Collection Endpoint
+ * GET /api/fhir/Observation - Search observations (vitals, lab results)
+ * POST /api/fhir/Observation - Create a new observation
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  try {
+    switch (req.method) {
+      case 'GET':
+        return await searchObservations(req, res);
+      case 'POST':
+        return await createObservation(req, res);
+      default:
+        res.setHeader('Allow', ['GET', 'POST']);
+        return res.status(405).json(createOperationOutcome('error', `Method ${req.method} not allowed`));
+    }
+  } catch (error) {
+    console.error('FHIR Observation endpoint error:', error);
+    return res.status(500).json(createOperationOutcome('error', 'Internal server error', String(error)));
+  }
+}
+
+/**
+ * Search observations (GET)
+ * Supports the Observation search parameters registered in lib/fhir/search.ts
+ * (modifiers, prefixes, chaining) plus _count, _offset, _sort, _include and _revinclude
+ */
+async function searchObservations(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const result = await searchResources(prisma, 'Observation', req.query, getBaseUrl(req), {
+    ...getSearchOptions(req.headers),
+    restrict: createConsentGuard(prisma, req, res).restrict,
+  });
+
+  res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+  return res.status(result.status).json(result.body);
+}
+
+/**
+ * Create a new observation (POST)
+ */
+async function createObservation(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const fhirObservation = req.body;
+
+  // Validate resource type
+  if (fhirObservation?.resourceType !== 'Observation') {
+    return res.status(400).json(createOperationOutcome('error', 'Invalid resource type'));
+  }
+
+  // Conditional create: return the matching resource instead of creating a duplicate
+  const ifNoneExist = req.headers['if-none-exist'];
+  if (ifNoneExist) {
+    const match = await findConditionalMatch(prisma, 'Observation', String(ifNoneExist));
+    if (match.body) {
+      return res.status(match.status).json(match.body);
+    }
+    if (match.record) {
+      const existingFhirObservation = observationToFHIR(match.record);
+      res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+      res.setHeader('ETag', formatETag(existingFhirObservation.meta?.versionId));
+      return res.status(200).json(existingFhirObservation);
+    }
+  }
+
+  const validation = validateObservation(fhirObservation);
+  if (!validation.valid) {
+    return res.status(400).json(validationErrorsToOperationOutcome(validation.errors));
+  }
+
+  // Convert FHIR observation to internal format
+  const observationData = fhirToObservation(fhirObservation);
+
+  if (!observationData.patientId) {
+    return res.status(400).json(createOperationOutcome('error', 'Missing required field: subject (Patient reference)'));
+  }
+
+  if (!observationData.code) {
+    return res.status(400).json(createOperationOutcome('error', 'Missing required field: code.coding.code'));
+  }
+
+  const patient = await prisma.patient.findUnique({
+    where: { id: observationData.patientId },
+  });
+
+  if (!patient) {
+    return res.status(400).json(createOperationOutcome('error', `Referenced patient not found: Patient/${observationData.patientId}`));
+  }
+
+  const createdObservation = await prisma.observation.create({
+    data: {
+      patientId: observationData.patientId,
+      visitId: observationData.visitId,
+      status: observationData.status,
+      category: observationData.category,
+      code: observationData.code,
+      codeSystem: observationData.codeSystem,
+      codeDisplay: observationData.codeDisplay,
+      effectiveDate: observationData.effectiveDate!,
+      valueQuantity: observationData.valueQuantity,
+      valueUnit: observationData.valueUnit,
+      valueString: observationData.valueString,
+      components: observationData.components,
+      notes: observationData.notes,
+    },
+  });
+
+  const baseUrl = getBaseUrl(req);
+  const createdFhirObservation = observationToFHIR(createdObservation);
+  await recordVersion(prisma, createdFhirObservation, 'POST');
+
+  res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+  res.setHeader('Location', `${baseUrl}/Observation/${createdObservation.id}`);
+  res.setHeader('ETag', formatETag(createdFhirObservation.meta?.versionId));
+
+  return res.status(201).json(createdFhirObservation);
+}
+
+/**
+ * Helper: Get base URL from request
+ */
+function getBaseUrl(req: NextApiRequest): string {
+  const protocol = req.headers['x-forwarded-proto'] || 'http';
+  const host = req.headers.host;
+  return `${protocol}://${host}/api/fhir`;
+}
+
+/**
+ * Helper: Create FHIR OperationOutcome
+ */
+function createOperationOutcome(
+  severity: 'fatal' | 'error' | 'warning' | 'information',
+  message: string,
+  diagnostics?: string
+): FHIROperationOutcome {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [
+      {
+        severity,
+        code: 'processing',
+        diagnostics: diagnostics || message,
+        details: {
+          text: message,
+        },
+      },
+    ],
+  };
+}
@@ -1,7 +1,10 @@
 import { NextApiRequest, NextApiResponse } from 'next';
 import { PrismaClient } from '@prisma/client';
 import { patientToFHIR, fhirToPatient } from '@/lib/fhir/converters';
+import { recordVersion, recordDeletion, matchesVersion, formatETag } from '@/lib/fhir/history';
 import { FHIROperationOutcome } from '@/lib/fhir/types';
+import { createConsentGuard } from '@/lib/fhir/consent-guard';
+import { recordSyncDeletion } from '@/lib/clinic-records';
 
 const prisma = new PrismaClient();
 
@@ -55,6 +58,11 @@ async function getPatient(
     return res.status(404).json(createOperationOutcome('error', 'Patient not found'));
   }
 
+  const consent = await createConsentGuard(prisma, req, res).check(patient.id, 'Patient');
+  if (!consent.permitted) {
+    return res.status(403).json(createOperationOutcome('error', 'Access is not permitted by the patient\'s consent'));
+  }
+
   const baseUrl = getBaseUrl(req);
   const fhirPatient = patientToFHIR(patient, baseUrl);
 
@@ -93,23 +101,38 @@ async function updatePatient(
     return res.status(404).json(createOperationOutcome('error', 'Patient not found'));
   }
 
-  // Update patient
-  const updatedPatient = await prisma.patient.update({
-    where: { id },
-    data: {
-      name: patientData.name || existingPatient.name,
-      dob: patientData.dob || existingPatient.dob,
-      gender: patientData.gender || existingPatient.gender,
-      phone: patientData.phone !== undefined ? patientData.phone : existingPatient.phone,
-      email: patientData.email !== undefined ? patientData.email : existingPatient.email,
-      address: patientData.address !== undefined ? patientData.address : existingPatient.address,
-    },
-  });
+  if (!matchesVersion(req.headers['if-match'], existingPatient.versionId)) {
+    return res.status(412).json(createOperationOutcome('error', `Version conflict: Patient/${id} is at version ${existingPatient.versionId}`));
+  }
+
+  // Only the version checked above is updated, so a concurrent write is reported as a conflict
+  let updatedPatient;
+  try {
+    updatedPatient = await prisma.patient.update({
+      where: { id, versionId: existingPatient.versionId },
+      data: {
+        versionId: { increment: 1 },
+        name: patientData.name || existingPatient.name,
+        dob: patientData.dob || existingPatient.dob,
+        gender: patientData.gender || existingPatient.gender,
+        phone: patientData.phone !== undefined ? patientData.phone : existingPatient.phone,
+        email: patientData.email !== undefined ? patientData.email : existingPatient.email,
+        address: patientData.address !== undefined ? patientData.address : existingPatient.address,
+      },
+    });
+  } catch (error: any) {
+    if (error.code === 'P2025') {
+      return res.status(412).json(createOperationOutcome('error', `Version conflict: Patient/${id} was modified concurrently`));
+    }
+    throw error;
+  }
 
   const baseUrl = getBaseUrl(req);
   const updatedFhirPatient = patientToFHIR(updatedPatient, baseUrl);
+  await recordVersion(prisma, updatedFhirPatient, 'PUT');
 
   res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+  res.setHeader('ETag', formatETag(updatedFhirPatient.meta?.versionId));
   res.setHeader('Last-Modified', new Date(updatedPatient.updatedAt).toUTCString());
 
   return res.status(200).json(updatedFhirPatient);
@@ -124,9 +147,11 @@ async function deletePatient(
   res: NextApiResponse
 ) {
   try {
-    await prisma.patient.delete({
+    const deletedPatient = await prisma.patient.delete({
       where: { id },
     });
+    await recordDeletion(prisma, 'Patient', id, deletedPatient.versionId);
+    await recordSyncDeletion(prisma, 'patients', id);
 
     return res.status(204).end();
   } catch (error: any) {
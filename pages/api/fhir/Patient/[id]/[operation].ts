@@ -1,6 +1,16 @@
 import { NextApiRequest, NextApiResponse } from 'next';
 import { PrismaClient } from '@prisma/client';
-import { createPatientSummaryBundle } from '@/lib/fhir/converters';
+import {
+  createPatientSummaryBundle,
+  patientToFHIR,
+  observationToFHIR,
+  conditionToFHIR,
+  medicationRequestToFHIR,
+  allergyIntoleranceToFHIR,
+} from '@/lib/fhir/converters';
+import { createIPSDocumentBundle } from '@/lib/fhir/ips';
+import { createConsentGuard, ConsentGuard } from '@/lib/fhir/consent-guard';
+import { CONSENT_CATEGORIES } from '@/lib/fhir/consent';
 import { FHIROperationOutcome } from '@/lib/fhir/types';
 
 const prisma = new PrismaClient();
@@ -8,6 +18,9 @@ const prisma = new PrismaClient();
 /**
  * FHIR Patient Operations Endpoint
  * GET /api/fhir/Patient/[id]/$everything - Get patient summary with all related resources
+ * GET /api/fhir/Patient/[id]/$summary - Get an International Patient Summary document
+ *
+ * Resource types the patient's consents do not release to the caller are left out.
  */
 export default async function handler(
   req: NextApiRequest,
@@ -23,6 +36,8 @@ export default async function handler(
     switch (operation) {
       case '$everything':
         return await getEverything(id, req, res);
+      case '$summary':
+        return await getSummary(id, req, res);
       default:
         return res.status(404).json(createOperationOutcome('error', `Operation ${operation} not found`));
     }
@@ -50,9 +65,14 @@ async function getEverything(
     return res.status(404).json(createOperationOutcome('error', 'Patient not found'));
   }
 
+  const released = await getReleasedTypes(createConsentGuard(prisma, req, res), id);
+  if (!released.has('Patient')) {
+    return res.status(403).json(createOperationOutcome('error', 'Access is not permitted by the patient\'s consent'));
+  }
+
   // Fetch related resources
-  const [visits, appointments] = await Promise.all([
-    prisma.visit.findMany({
+  const [visits, appointments, observations, conditions, medicationRequests, allergyIntolerances] = await Promise.all([
+    !released.has('Encounter') ? [] : prisma.visit.findMany({
       where: { patientId: id },
       orderBy: { date: 'desc' },
     }),
@@ -60,15 +80,103 @@ async function getEverything(
       where: { patientId: id },
       orderBy: { startTime: 'desc' },
     }),
+    !released.has('Observation') ? [] : prisma.observation.findMany({
+      where: { patientId: id },
+      orderBy: { effectiveDate: 'desc' },
+    }),
+    !released.has('Condition') ? [] : prisma.condition.findMany({
+      where: { patientId: id },
+      orderBy: { recordedDate: 'desc' },
+    }),
+    !released.has('MedicationRequest') ? [] : prisma.medicationRequest.findMany({
+      where: { patientId: id },
+      orderBy: { authoredOn: 'desc' },
+    }),
+    !released.has('AllergyIntolerance') ? [] : prisma.allergyIntolerance.findMany({
+      where: { patientId: id },
+      orderBy: { recordedDate: 'desc' },
+    }),
   ]);
 
   const baseUrl = getBaseUrl(req);
-  const bundle = createPatientSummaryBundle(patient, visits, appointments, baseUrl);
+  const bundle = createPatientSummaryBundle(patient, visits, appointments, baseUrl, {
+    observations,
+    conditions,
+    medicationRequests,
+    allergyIntolerances,
+  });
 
   res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
   return res.status(200).json(bundle);
 }
 
+/**
+ * Get an International Patient Summary ($summary operation)
+ * Returns an IPS document Bundle with a Composition and its referenced resources
+ */
+async function getSummary(
+  id: string,
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const patient = await prisma.patient.findUnique({
+    where: { id },
+  });
+
+  if (!patient) {
+    return res.status(404).json(createOperationOutcome('error', 'Patient not found'));
+  }
+
+  const released = await getReleasedTypes(createConsentGuard(prisma, req, res), id);
+  if (!released.has('Patient')) {
+    return res.status(403).json(createOperationOutcome('error', 'Access is not permitted by the patient\'s consent'));
+  }
+
+  const [observations, conditions, medicationRequests, allergyIntolerances] = await Promise.all([
+    !released.has('Observation') ? [] : prisma.observation.findMany({
+      where: { patientId: id },
+      orderBy: { effectiveDate: 'desc' },
+    }),
+    !released.has('Condition') ? [] : prisma.condition.findMany({
+      where: { patientId: id },
+      orderBy: { recordedDate: 'desc' },
+    }),
+    !released.has('MedicationRequest') ? [] : prisma.medicationRequest.findMany({
+      where: { patientId: id },
+      orderBy: { authoredOn: 'desc' },
+    }),
+    !released.has('AllergyIntolerance') ? [] : prisma.allergyIntolerance.findMany({
+      where: { patientId: id },
+      orderBy: { recordedDate: 'desc' },
+    }),
+  ]);
+
+  const baseUrl = getBaseUrl(req);
+  const bundle = createIPSDocumentBundle(
+    patientToFHIR(patient, baseUrl),
+    {
+      observations: observations.map(o => observationToFHIR(o)),
+      conditions: conditions.map(c => conditionToFHIR(c)),
+      medicationRequests: medicationRequests.map(m => medicationRequestToFHIR(m)),
+      allergyIntolerances: allergyIntolerances.map(a => allergyIntoleranceToFHIR(a)),
+    },
+    baseUrl
+  );
+
+  res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+  return res.status(200).json(bundle);
+}
+
+/**
+ * Resource types the patient's consents release to the caller
+ */
+async function getReleasedTypes(consent: ConsentGuard, patientId: string): Promise<Set<string>> {
+  const decisions = await Promise.all(
+    CONSENT_CATEGORIES.map(async type => [type, (await consent.check(patientId, type)).permitted] as const)
+  );
+  return new Set(decisions.filter(([, permitted]) => permitted).map(([type]) => type));
+}
+
 function getBaseUrl(req: NextApiRequest): string {
   const protocol = req.headers['x-forwarded-proto'] || 'http';
   const host = req.headers.host;
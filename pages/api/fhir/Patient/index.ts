@@ -1,14 +1,18 @@
 import { NextApiRequest, NextApiResponse } from 'next';
 import { PrismaClient } from '@prisma/client';
-import { patientToFHIR, fhirToPatient, createFHIRBundle } from '@/lib/fhir/converters';
-import { FHIROperationOutcome, FHIRBundle } from '@/lib/fhir/types';
+import { patientToFHIR, fhirToPatient } from '@/lib/fhir/converters';
+import { searchResources, getSearchOptions } from '@/lib/fhir/search';
+import { recordVersion, findConditionalMatch, matchesVersion, formatETag } from '@/lib/fhir/history';
+import { FHIROperationOutcome } from '@/lib/fhir/types';
+import { createConsentGuard } from '@/lib/fhir/consent-guard';
 
 const prisma = new PrismaClient();
 
 /**
  * FHIR Patient Collection Endpoint
  * GET /api/fhir/Patient - Search patients
- * POST /api/fhir/Patient - Create a new patient
+ * POST /api/fhir/Patient - Create a new patient (conditional with If-None-Exist)
+ * PUT /api/fhir/Patient?identifier=... - Conditional update
  */
 export default async function handler(
   req: NextApiRequest,
@@ -20,8 +24,10 @@ export default async function handler(
         return await searchPatients(req, res);
       case 'POST':
         return await createPatient(req, res);
+      case 'PUT':
+        return await conditionalUpdatePatient(req, res);
       default:
-        res.setHeader('Allow', ['GET', 'POST']);
+        res.setHeader('Allow', ['GET', 'POST', 'PUT']);
         return res.status(405).json(createOperationOutcome('error', `Method ${req.method} not allowed`));
     }
   } catch (error) {
@@ -32,101 +38,20 @@ export default async function handler(
 
 /**
  * Search patients (GET)
- * Supports FHIR search parameters:
- * - name: Search by patient name
- * - birthdate: Search by date of birth
- * - gender: Search by gender
- * - identifier: Search by patient ID
- * - _count: Number of results to return (default 20)
- * - _offset: Offset for pagination (default 0)
+ * Supports the Patient search parameters registered in lib/fhir/search.ts
+ * (modifiers, prefixes, chaining) plus _count, _offset, _sort, _include and _revinclude
  */
 async function searchPatients(
   req: NextApiRequest,
   res: NextApiResponse
 ) {
-  const {
-    name,
-    birthdate,
-    gender,
-    identifier,
-    _count = '20',
-    _offset = '0',
-  } = req.query;
-
-  // Build where clause
-  const where: any = {};
-
-  if (name && typeof name === 'string') {
-    where.name = {
-      contains: name,
-      mode: 'insensitive',
-    };
-  }
-
-  if (birthdate && typeof birthdate === 'string') {
-    where.dob = birthdate;
-  }
-
-  if (gender && typeof gender === 'string') {
-    where.gender = {
-      equals: gender,
-      mode: 'insensitive',
-    };
-  }
-
-  if (identifier && typeof identifier === 'string') {
-    where.OR = [
-      { patientId: identifier },
-      { id: identifier },
-    ];
-  }
-
-  const take = parseInt(_count as string, 10);
-  const skip = parseInt(_offset as string, 10);
-
-  // Execute search
-  const [patients, total] = await Promise.all([
-    prisma.patient.findMany({
-      where,
-      take,
-      skip,
-      orderBy: {
-        createdAt: 'desc',
-      },
-    }),
-    prisma.patient.count({ where }),
-  ]);
-
-  const baseUrl = getBaseUrl(req);
-  const fhirPatients = patients.map(p => patientToFHIR(p, baseUrl));
-  const bundle = createFHIRBundle(fhirPatients, 'searchset', baseUrl);
-  bundle.total = total;
-
-  // Add pagination links
-  const currentUrl = `${baseUrl}/Patient`;
-  bundle.link = [
-    {
-      relation: 'self',
-      url: buildSearchUrl(currentUrl, req.query),
-    },
-  ];
-
-  if (skip + take < total) {
-    bundle.link.push({
-      relation: 'next',
-      url: buildSearchUrl(currentUrl, { ...req.query, _offset: String(skip + take) }),
-    });
-  }
-
-  if (skip > 0) {
-    bundle.link.push({
-      relation: 'previous',
-      url: buildSearchUrl(currentUrl, { ...req.query, _offset: String(Math.max(0, skip - take)) }),
-    });
-  }
+  const result = await searchResources(prisma, 'Patient', req.query, getBaseUrl(req), {
+    ...getSearchOptions(req.headers),
+    restrict: createConsentGuard(prisma, req, res).restrict,
+  });
 
   res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
-  return res.status(200).json(bundle);
+  return res.status(result.status).json(result.body);
 }
 
 /**
@@ -143,6 +68,21 @@ async function createPatient(
     return res.status(400).json(createOperationOutcome('error', 'Invalid resource type'));
   }
 
+  // Conditional create: return the matching resource instead of creating a duplicate
+  const ifNoneExist = req.headers['if-none-exist'];
+  if (ifNoneExist) {
+    const match = await findConditionalMatch(prisma, 'Patient', String(ifNoneExist));
+    if (match.body) {
+      return res.status(match.status).json(match.body);
+    }
+    if (match.record) {
+      const existingFhirPatient = patientToFHIR(match.record, getBaseUrl(req));
+      res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+      res.setHeader('ETag', formatETag(existingFhirPatient.meta?.versionId));
+      return res.status(200).json(existingFhirPatient);
+    }
+  }
+
   // Convert FHIR patient to internal format
   const patientData = fhirToPatient(fhirPatient);
 
@@ -172,13 +112,83 @@ async function createPatient(
 
   const baseUrl = getBaseUrl(req);
   const createdFhirPatient = patientToFHIR(createdPatient, baseUrl);
+  await recordVersion(prisma, createdFhirPatient, 'POST');
 
   res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
   res.setHeader('Location', `${baseUrl}/Patient/${createdPatient.id}`);
+  res.setHeader('ETag', formatETag(createdFhirPatient.meta?.versionId));
 
   return res.status(201).json(createdFhirPatient);
 }
 
+/**
+ * Conditional update (PUT with search criteria, e.g. ?identifier=PAT-000001)
+ * Updates the single matching patient, or creates a new one when nothing matches
+ */
+async function conditionalUpdatePatient(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const fhirPatient = req.body;
+
+  // Validate resource type
+  if (fhirPatient?.resourceType !== 'Patient') {
+    return res.status(400).json(createOperationOutcome('error', 'Invalid resource type'));
+  }
+
+  const match = await findConditionalMatch(prisma, 'Patient', req.query);
+  if (match.body) {
+    return res.status(match.status).json(match.body);
+  }
+
+  if (!match.record) {
+    return await createPatient(req, res);
+  }
+
+  const existingPatient = match.record;
+
+  if (fhirPatient.id && fhirPatient.id !== existingPatient.id) {
+    return res.status(400).json(createOperationOutcome('error', 'Resource id does not match the patient found by the search criteria'));
+  }
+
+  if (!matchesVersion(req.headers['if-match'], existingPatient.versionId)) {
+    return res.status(412).json(createOperationOutcome('error', `Version conflict: Patient/${existingPatient.id} is at version ${existingPatient.versionId}`));
+  }
+
+  const patientData = fhirToPatient(fhirPatient);
+
+  let updatedPatient;
+  try {
+    updatedPatient = await prisma.patient.update({
+      where: { id: existingPatient.id, versionId: existingPatient.versionId },
+      data: {
+        versionId: { increment: 1 },
+        name: patientData.name || existingPatient.name,
+        dob: patientData.dob || existingPatient.dob,
+        gender: patientData.gender || existingPatient.gender,
+        phone: patientData.phone !== undefined ? patientData.phone : existingPatient.phone,
+        email: patientData.email !== undefined ? patientData.email : existingPatient.email,
+        address: patientData.address !== undefined ? patientData.address : existingPatient.address,
+      },
+    });
+  } catch (error: any) {
+    if (error.code === 'P2025') {
+      return res.status(412).json(createOperationOutcome('error', `Version conflict: Patient/${existingPatient.id} was modified concurrently`));
+    }
+    throw error;
+  }
+
+  const baseUrl = getBaseUrl(req);
+  const updatedFhirPatient = patientToFHIR(updatedPatient, baseUrl);
+  await recordVersion(prisma, updatedFhirPatient, 'PUT');
+
+  res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+  res.setHeader('ETag', formatETag(updatedFhirPatient.meta?.versionId));
+  res.setHeader('Last-Modified', new Date(updatedPatient.updatedAt).toUTCString());
+
+  return res.status(200).json(updatedFhirPatient);
+}
+
 /**
  * Helper: Get base URL from request
  */
@@ -188,18 +198,6 @@ function getBaseUrl(req: NextApiRequest): string {
   return `${protocol}://${host}/api/fhir`;
 }
 
-/**
- * Helper: Build search URL with query parameters
- */
-function buildSearchUrl(baseUrl: string, params: any): string {
-  const queryString = Object.entries(params)
-    .filter(([_, value]) => value !== undefined && value !== null)
-    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(String(value))}`)
-    .join('&');
-
-  return queryString ? `${baseUrl}?${queryString}` : baseUrl;
-}
-
 /**
  * Helper: Create FHIR OperationOutcome
  */
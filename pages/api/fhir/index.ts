@@ -0,0 +1,78 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { PrismaClient } from '@prisma/client';
+import { processBundle } from '@/lib/fhir/transaction';
+import { createConsentGuard } from '@/lib/fhir/consent-guard';
+import { FHIROperationOutcome } from '@/lib/fhir/types';
+
+const prisma = new PrismaClient();
+
+/**
+ * FHIR Base Endpoint
+ * POST /api/fhir - Process a transaction or batch Bundle
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  try {
+    switch (req.method) {
+      case 'POST':
+        return await processBundleRequest(req, res);
+      default:
+        res.setHeader('Allow', ['POST']);
+        return res.status(405).json(createOperationOutcome('error', `Method ${req.method} not allowed`));
+    }
+  } catch (error) {
+    console.error('FHIR base endpoint error:', error);
+    return res.status(500).json(createOperationOutcome('error', 'Internal server error', String(error)));
+  }
+}
+
+/**
+ * Process a transaction or batch Bundle (POST)
+ * Transactions are applied atomically; batches report success or failure per entry.
+ * GET entries only return data the patients' consents release to the caller.
+ */
+async function processBundleRequest(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const result = await processBundle(prisma, req.body, getBaseUrl(req), {
+    consent: createConsentGuard(prisma, req, res),
+  });
+
+  res.setHeader('Content-Type', 'application/fhir+json; charset=utf-8');
+  return res.status(result.status).json(result.body);
+}
+
+/**
+ * Helper: Get base URL from request
+ */
+function getBaseUrl(req: NextApiRequest): string {
+  const protocol = req.headers['x-forwarded-proto'] || 'http';
+  const host = req.headers.host;
+  return `${protocol}://${host}/api/fhir`;
+}
+
+/**
+ * Helper: Create FHIR OperationOutcome
+ */
+function createOperationOutcome(
+  severity: 'fatal' | 'error' | 'warning' | 'information',
+  message: string,
+  diagnostics?: string
+): FHIROperationOutcome {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [
+      {
+        severity,
+        code: 'processing',
+        diagnostics: diagnostics || message,
+        details: {
+          text: message,
+        },
+      },
+    ],
+  };
+}
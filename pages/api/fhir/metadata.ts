@@ -1,4 +1,9 @@
 import { NextApiRequest, NextApiResponse } from 'next';
+import {
+  getCapabilitySearchParams,
+  getCapabilitySearchIncludes,
+  getCapabilitySearchRevIncludes,
+} from '@/lib/fhir/search';
 
 /**
  * FHIR Capability Statement
@@ -51,39 +56,31 @@ export default async function handler(
             documentation: 'Patient demographics and administrative information',
             interaction: [
               { code: 'read', documentation: 'Read a patient resource' },
+              { code: 'vread', documentation: 'Read a specific version' },
+              { code: 'history-instance', documentation: 'Version history of a resource' },
               { code: 'search-type', documentation: 'Search for patients' },
               { code: 'create', documentation: 'Create a new patient' },
               { code: 'update', documentation: 'Update an existing patient' },
               { code: 'delete', documentation: 'Delete a patient' },
             ],
-            searchParam: [
-              {
-                name: 'name',
-                type: 'string',
-                documentation: 'Search by patient name',
-              },
-              {
-                name: 'birthdate',
-                type: 'date',
-                documentation: 'Search by date of birth',
-              },
-              {
-                name: 'gender',
-                type: 'token',
-                documentation: 'Search by gender',
-              },
-              {
-                name: 'identifier',
-                type: 'token',
-                documentation: 'Search by patient identifier',
-              },
-            ],
+            versioning: 'versioned-update',
+            readHistory: true,
+            conditionalCreate: true,
+            conditionalUpdate: true,
+            searchParam: getCapabilitySearchParams('Patient'),
+            searchInclude: getCapabilitySearchIncludes('Patient'),
+            searchRevInclude: getCapabilitySearchRevIncludes('Patient'),
             operation: [
               {
                 name: '$everything',
                 definition: `${baseUrl}/OperationDefinition/Patient-everything`,
                 documentation: 'Retrieve all resources related to a patient',
               },
+              {
+                name: '$summary',
+                definition: 'http://hl7.org/fhir/uv/ips/OperationDefinition/summary',
+                documentation: 'Generate an International Patient Summary document Bundle',
+              },
             ],
           },
           {
@@ -94,18 +91,9 @@ export default async function handler(
               { code: 'read', documentation: 'Read an encounter' },
               { code: 'search-type', documentation: 'Search for encounters' },
             ],
-            searchParam: [
-              {
-                name: 'patient',
-                type: 'reference',
-                documentation: 'Search by patient reference',
-              },
-              {
-                name: 'date',
-                type: 'date',
-                documentation: 'Search by encounter date',
-              },
-            ],
+            searchParam: getCapabilitySearchParams('Encounter'),
+            searchInclude: getCapabilitySearchIncludes('Encounter'),
+            searchRevInclude: getCapabilitySearchRevIncludes('Encounter'),
           },
           {
             type: 'Appointment',
@@ -157,25 +145,19 @@ export default async function handler(
             documentation: 'Lab results, vitals, and other observations',
             interaction: [
               { code: 'read', documentation: 'Read an observation' },
+              { code: 'vread', documentation: 'Read a specific version' },
+              { code: 'history-instance', documentation: 'Version history of a resource' },
               { code: 'search-type', documentation: 'Search for observations' },
+              { code: 'create', documentation: 'Create a new observation' },
+              { code: 'update', documentation: 'Update an observation' },
+              { code: 'delete', documentation: 'Delete an observation' },
             ],
-            searchParam: [
-              {
-                name: 'patient',
-                type: 'reference',
-                documentation: 'Search by patient reference',
-              },
-              {
-                name: 'code',
-                type: 'token',
-                documentation: 'Search by observation code (LOINC)',
-              },
-              {
-                name: 'date',
-                type: 'date',
-                documentation: 'Search by observation date',
-              },
-            ],
+            versioning: 'versioned-update',
+            readHistory: true,
+            conditionalCreate: true,
+            searchParam: getCapabilitySearchParams('Observation'),
+            searchInclude: getCapabilitySearchIncludes('Observation'),
+            searchRevInclude: getCapabilitySearchRevIncludes('Observation'),
           },
           {
             type: 'Condition',
@@ -183,20 +165,19 @@ export default async function handler(
             documentation: 'Patient diagnoses and conditions',
             interaction: [
               { code: 'read', documentation: 'Read a condition' },
+              { code: 'vread', documentation: 'Read a specific version' },
+              { code: 'history-instance', documentation: 'Version history of a resource' },
               { code: 'search-type', documentation: 'Search for conditions' },
+              { code: 'create', documentation: 'Create a new condition' },
+              { code: 'update', documentation: 'Update a condition' },
+              { code: 'delete', documentation: 'Delete a condition' },
             ],
-            searchParam: [
-              {
-                name: 'patient',
-                type: 'reference',
-                documentation: 'Search by patient reference',
-              },
-              {
-                name: 'code',
-                type: 'token',
-                documentation: 'Search by condition code (SNOMED CT)',
-              },
-            ],
+            versioning: 'versioned-update',
+            readHistory: true,
+            conditionalCreate: true,
+            searchParam: getCapabilitySearchParams('Condition'),
+            searchInclude: getCapabilitySearchIncludes('Condition'),
+            searchRevInclude: getCapabilitySearchRevIncludes('Condition'),
           },
           {
             type: 'MedicationRequest',
@@ -204,18 +185,63 @@ export default async function handler(
             documentation: 'Patient medication prescriptions',
             interaction: [
               { code: 'read', documentation: 'Read a medication request' },
+              { code: 'vread', documentation: 'Read a specific version' },
+              { code: 'history-instance', documentation: 'Version history of a resource' },
               { code: 'search-type', documentation: 'Search for medication requests' },
+              { code: 'create', documentation: 'Create a new medication request' },
+              { code: 'update', documentation: 'Update a medication request' },
+              { code: 'delete', documentation: 'Delete a medication request' },
             ],
-            searchParam: [
-              {
-                name: 'patient',
-                type: 'reference',
-                documentation: 'Search by patient reference',
-              },
+            versioning: 'versioned-update',
+            readHistory: true,
+            conditionalCreate: true,
+            searchParam: getCapabilitySearchParams('MedicationRequest'),
+            searchInclude: getCapabilitySearchIncludes('MedicationRequest'),
+            searchRevInclude: getCapabilitySearchRevIncludes('MedicationRequest'),
+          },
+          {
+            type: 'AllergyIntolerance',
+            profile: 'http://hl7.org/fhir/StructureDefinition/AllergyIntolerance',
+            documentation: 'Patient allergies and intolerances',
+            interaction: [
+              { code: 'read', documentation: 'Read an allergy or intolerance' },
+              { code: 'vread', documentation: 'Read a specific version' },
+              { code: 'history-instance', documentation: 'Version history of a resource' },
+              { code: 'search-type', documentation: 'Search for allergies and intolerances' },
+              { code: 'create', documentation: 'Create a new allergy or intolerance' },
+              { code: 'update', documentation: 'Update an allergy or intolerance' },
+              { code: 'delete', documentation: 'Delete an allergy or intolerance' },
+            ],
+            versioning: 'versioned-update',
+            readHistory: true,
+            conditionalCreate: true,
+            searchParam: getCapabilitySearchParams('AllergyIntolerance'),
+            searchInclude: getCapabilitySearchIncludes('AllergyIntolerance'),
+            searchRevInclude: getCapabilitySearchRevIncludes('AllergyIntolerance'),
+          },
+          {
+            type: 'Consent',
+            profile: 'http://hl7.org/fhir/StructureDefinition/Consent',
+            documentation: 'Patient privacy consents, enforced on every read of patient data (purpose of use from the X-Purpose-Of-Use header)',
+            interaction: [
+              { code: 'read', documentation: 'Read a consent' },
+              { code: 'vread', documentation: 'Read a specific version' },
+              { code: 'history-instance', documentation: 'Version history of a resource' },
+              { code: 'search-type', documentation: 'Search for consents' },
+              { code: 'create', documentation: 'Record a consent (patient only)' },
+              { code: 'update', documentation: 'Update a consent (patient only)' },
+              { code: 'delete', documentation: 'Delete a consent (patient only)' },
+            ],
+            versioning: 'versioned-update',
+            readHistory: true,
+            searchParam: getCapabilitySearchParams('Consent'),
+            searchInclude: getCapabilitySearchIncludes('Consent'),
+            searchRevInclude: getCapabilitySearchRevIncludes('Consent'),
+            operation: [
               {
-                name: 'status',
-                type: 'token',
-                documentation: 'Search by medication request status',
+                name: '$check',
+                definition: `${baseUrl}/OperationDefinition/Consent-check`,
+                documentation: 'Check whether a patient\'s consents permit releasing resource types to recipients for a purpose',
               },
             ],
           },
@@ -242,6 +268,10 @@ export default async function handler(
             ],
           },
         ],
+        interaction: [
+          { code: 'transaction', documentation: 'Atomic transaction Bundles with urn:uuid reference resolution' },
+          { code: 'batch', documentation: 'Batch Bundles processed entry by entry' },
+        ],
       },
     ],
   };
@@ -0,0 +1,41 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { ethers } from 'ethers';
+import { prisma } from '@/lib/prisma';
+import { getIndexerConfig, syncGrantEvents } from '@/lib/web3/indexer';
+
+/**
+ * POST /api/indexer/sync - Run one pass of the FHIRAccessControl event indexer
+ *
+ * Meant for a cron job; requires `Authorization: Bearer <INDEXER_SECRET>`.
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const secret = process.env.INDEXER_SECRET;
+  if (!secret) {
+    return res.status(503).json({ error: 'Indexer is not enabled' });
+  }
+  if (req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { rpcUrl, contractAddress, startBlock, confirmations } = getIndexerConfig();
+  if (!contractAddress) {
+    return res.status(503).json({ error: 'FHIRAccessControl contract address is not configured' });
+  }
+
+  try {
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const result = await syncGrantEvents({ provider, contractAddress, prisma, startBlock, confirmations });
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error indexing FHIRAccessControl events:', error);
+    return res.status(500).json({ error: 'Failed to index events' });
+  }
+}
@@ -1,63 +1,37 @@
 import { NextApiRequest, NextApiResponse } from 'next';
-
-// List of allowed IPFS gateways to prevent SSRF
-const ALLOWED_IPFS_GATEWAYS = [
-  'https://gateway.pinata.cloud/ipfs',
-  'https://ipfs.io/ipfs',
-  'https://dweb.link/ipfs',
-  'https://cloudflare-ipfs.com/ipfs',
-];
-
-/**
- * Validate that a URL is from an allowed IPFS gateway
- */
-function isAllowedGateway(url: string): boolean {
-  return ALLOWED_IPFS_GATEWAYS.some(gateway => url.startsWith(gateway));
-}
-
-/**
- * Validate that a string is a valid IPFS CID
- */
-function isValidCID(cid: string): boolean {
-  // Basic validation: CIDs start with 'Qm' (v0) or 'b' (v1)
-  return /^Qm[a-zA-Z0-9]{44}$/.test(cid) || /^b[a-zA-Z0-9]{58}$/.test(cid);
-}
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/lib/auth';
+import { prisma } from '@/lib/prisma';
+import { recordAccessEvent } from '@/lib/access-events';
+import { claimShareView } from '@/lib/share-expiry';
+import { collectStream, getStorageProvider, isValidCid, normalizeCid, StorageError, StoredStream } from '@/lib/storage';
+
+// Content up to this size is read into memory so `auto` can return it as JSON
+const MAX_BUFFERED_SIZE = 1024 * 1024;
+
+// Large files are streamed, so Next's 4mb response warning does not apply
+export const config = {
+  api: {
+    responseLimit: false,
+  },
+};
 
 /**
- * Helper function to fetch with timeout
- */
-async function fetchWithTimeout(url: string, options: RequestInit = {}, timeout = 5000): Promise<Response> {
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), timeout);
-  
-  const response = await fetch(url, {
-    ...options,
-    signal: controller.signal
-  });
-  
-  clearTimeout(id);
-  return response;
-}
-
-/**
- * Helper function to convert between CID versions
- * This is a simplified implementation - in production, use a proper CID library
- */
-function normalizeCid(cid: string): { cidv0: string | null, cidv1: string | null } {
-  // Simple detection of CID version
-  const isCidv0 = cid.startsWith('Qm');
-  const isCidv1 = cid.startsWith('b');
-  
-  // For this simple implementation, we just return the original CID
-  // In a production environment, use the CID library to properly convert between versions
-  return {
-    cidv0: isCidv0 ? cid : null,
-    cidv1: isCidv1 ? cid : null
-  };
-}
-
-/**
- * API route to proxy IPFS requests to avoid CORS issues
+ * GET /api/ipfs?cid=... or ?accessId=... - Read shared content through the
+ * configured storage provider (see lib/storage), so the browser never talks to
+ * IPFS gateways or storage credentials directly. Content from gateways is
+ * verified against the CID block by block.
+ *
+ * With an accessId, a view of the share is claimed (see lib/share-expiry.ts)
+ * and recorded in the owner's access log before any content is sent, so
+ * expired shares and views beyond the share's view limit get nothing. The
+ * shared page passes `viewerAddress` and `sessionId` for the log. A CID that
+ * backs a share is only served by `?cid=` to the wallet that shared it, so the
+ * share's limits cannot be skipped by asking for its CID.
+ *
+ * `responseType` is `auto` (JSON when the content parses as JSON), `json` or
+ * `text`. Other content larger than MAX_BUFFERED_SIZE, or of unknown size, is
+ * streamed as it arrives.
  */
 export default async function handler(req: NextApiRequest, res: NextApiResponse) {
   // Only allow GET requests
@@ -66,17 +40,14 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
   }
 
   // Get the CID or accessId from the query parameters
-  const { cid, accessId, format = 'raw', responseType = 'auto' } = req.query;
+  const { cid, accessId, responseType = 'auto', viewerAddress, sessionId } = req.query;
   
   // If accessId is provided, look up the CID in the database
   let cidToUse = cid;
+  const viaShare = accessId && (!cid || Array.isArray(cid));
   
-  if (accessId && (!cid || Array.isArray(cid))) {
+  if (viaShare) {
     try {
-      // Import prisma client
-      const { prisma } = require('@/lib/prisma');
-      
-      
       // Look up the shared data record in the database
       const sharedData = await prisma.sharedMedicalData.findFirst({
         where: {
@@ -90,37 +61,26 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
         return res.status(404).json({ error: 'Shared data not found or access has been revoked' });
       }
       
-      // Check if the data has expired
-      const now = new Date();
-      if (now > sharedData.expiryTime) {
+      // Count the view before anything is sent; the last allowed view deactivates the share
+      const { outcome } = await claimShareView(prisma, sharedData);
+      const session = await getServerSession(req, res, authOptions);
+      await recordAccessEvent(prisma, req, sharedData, {
+        outcome,
+        viewerAddress,
+        sessionId,
+        userId: session?.user?.id,
+        resourceTypes: outcome === 'granted' && sharedData.dataTypes ? sharedData.dataTypes.split(',') : null,
+      });
+
+      if (outcome === 'expired') {
         return res.status(403).json({ error: 'Access has expired' });
       }
+      if (outcome === 'view_limit') {
+        return res.status(403).json({ error: 'This share has reached its view limit' });
+      }
       
       // Get the IPFS CID from the shared data record
       cidToUse = sharedData.ipfsCid;
-      
-      // Increment the access count
-      await prisma.sharedMedicalData.update({
-        where: {
-          id: sharedData.id,
-        },
-        data: {
-          accessCount: {
-            increment: 1,
-          },
-        },
-      });
-      
-      // If the data is password protected, return a JSON response with metadata
-      if (sharedData.hasPassword) {
-        return res.status(200).json({
-          accessId: sharedData.accessId,
-          ipfsCid: sharedData.ipfsCid,
-          hasPassword: true,
-          expiryTime: sharedData.expiryTime,
-          message: 'This content is password protected. Please use the password to decrypt it.',
-        });
-      }
     } catch (error) {
       console.error('Error retrieving shared data:', error);
       return res.status(500).json({ error: 'Failed to retrieve shared data' });
@@ -131,281 +91,126 @@ export default async function handler(req: NextApiRequest, res: NextApiResponse)
   if (!cidToUse || Array.isArray(cidToUse)) {
     return res.status(400).json({ error: 'Missing IPFS CID parameter' });
   }
-  
-  // Make sure cidToUse is a string
-  const cidString = Array.isArray(cidToUse) ? cidToUse[0] : cidToUse;
 
-  // Validate the CID to prevent SSRF
-  if (!isValidCID(cidString)) {
+  // Validate the CID before it reaches a gateway URL, file path or object key
+  if (!isValidCid(cidToUse)) {
     return res.status(400).json({ error: 'Invalid IPFS CID format' });
   }
 
-  // Normalize the CID to determine its version
-  const normalizedCid = normalizeCid(cidString);
-  const isCIDv1 = !!normalizedCid.cidv1;
-  const isCIDv0 = !!normalizedCid.cidv0;
-  
-  // Log CID information for debugging
-  
-  // Special handling for known CIDs with their specific requirements
-  const knownCids: Record<string, {
-    preferredFormats: string[];
-    preferredGateways: string[];
-    needsSpecialHandling: boolean;
-  }> = {
-    'bagaaierapfdluuliyl5h6bwstq6o7427terxinsbd5ougxvvtrgit52fmxqq': {
-      preferredFormats: ['dag-json', 'raw', 'dag-cbor', ''],
-      preferredGateways: ['https://dweb.link/ipfs', 'https://cloudflare-ipfs.com/ipfs'],
-      needsSpecialHandling: true
-    },
-    'bagaaieraogtm52c46bjycxklevgsfs5lben3k2zfoqxgqcwguvb2wuqyngmq': {
-      preferredFormats: ['dag-json', 'dag-cbor', 'raw', ''],
-      preferredGateways: ['https://ipfs.io/ipfs', 'https://dweb.link/ipfs'],
-      needsSpecialHandling: true
+  if (!viaShare) {
+    try {
+      if (!(await mayReadByCid(req, res, cidToUse))) {
+        return res.status(403).json({ error: 'This content is shared. Open it with its share link.' });
+      }
+    } catch (error) {
+      console.error('Error looking up shares of a CID:', error);
+      return res.status(500).json({ error: 'Failed to retrieve shared data' });
     }
-  };
-  
-  // Check if this is a known CID
-  const knownCidConfig = knownCids[cidString as keyof typeof knownCids];
-  
-  // For CIDv1 format, we need to try specific IPFS API approaches
-  // These CIDs often require special handling with the IPFS HTTP API
-  const needsDirectIpfsAccess = isCIDv1 && (!knownCidConfig || knownCidConfig.needsSpecialHandling);
-  
+  }
+
   try {
-    let response: Response | null = null;
-    let gatewayError: string | null = null;
-    let attemptedUrls: string[] = [];
-    
-    // For CIDs that need special handling, try direct IPFS node access first
-    if (needsDirectIpfsAccess) {
-      
-      // Try direct IPFS node access if available
-      try {
-        // Try Pinata API first if credentials are available
-        const pinataApiKey = process.env.NEXT_PUBLIC_PINATA_API_KEY;
-        const pinataSecretApiKey = process.env.NEXT_PUBLIC_PINATA_SECRET_API_KEY;
-        const pinataJwt = process.env.NEXT_PUBLIC_PINATA_JWT;
-        
-        if (pinataJwt || (pinataApiKey && pinataSecretApiKey)) {
-          
-          // Set up headers based on available credentials
-          const headers: HeadersInit = {};
-          if (pinataJwt) {
-            headers['Authorization'] = `Bearer ${pinataJwt}`;
-          } else {
-            headers['pinata_api_key'] = pinataApiKey!;
-            headers['pinata_secret_api_key'] = pinataSecretApiKey!;
-          }
-          
-          try {
-            // First check if the CID is pinned on Pinata
-            const pinStatusResponse = await fetchWithTimeout(`https://api.pinata.cloud/pinning/pinJobs?ipfs_pin_hash=${cid}`, {
-              method: 'GET',
-              headers: {
-                ...headers,
-                'Accept': 'application/json'
-              }
-            }, 10000);
-            
-            if (pinStatusResponse.ok) {
-              const pinStatusData = await pinStatusResponse.json();
-              
-              if (pinStatusData.rows && pinStatusData.rows.length > 0) {
-                
-                // Try to get the content directly from Pinata gateway with different formats
-                const pinataGatewayUrl = process.env.NEXT_PUBLIC_PINATA_GATEWAY_URL || 'https://gateway.pinata.cloud/ipfs';
-                const formats = isCIDv1 ? ['dag-json', 'raw', 'dag-cbor', ''] : [''];
-                
-                for (const format of formats) {
-                  const formatParam = format ? `?format=${format}` : '';
-                  const url = `${pinataGatewayUrl}/${cid}${formatParam}`;
+    const stream = await getStorageProvider().stream(normalizeCid(cidToUse));
+    const buffered = responseType === 'json' || responseType === 'text'
+      || stream.contentType.startsWith('text/') || stream.contentType.includes('json')
+      || (stream.size !== undefined && stream.size <= MAX_BUFFERED_SIZE);
+    if (!buffered) {
+      return await sendStream(res, stream);
+    }
 
-                  // Validate gateway URL to prevent SSRF
-                  if (!isAllowedGateway(url)) {
-                    console.warn(`Skipping invalid gateway URL: ${url}`);
-                    continue;
-                  }
+    const content = await collectStream(stream);
 
-                  try {
-                    const gatewayResponse = await fetchWithTimeout(url, {
-                      headers: {
-                        'Accept': '*/*'
-                      }
-                    }, 10000);
-                    
-                    if (gatewayResponse.ok) {
-                      response = gatewayResponse;
-                      break;
-                    }
-                  } catch (formatError) {
-                    console.warn(`Error with Pinata gateway format ${format}:`, formatError);
-                  }
-                }
-              }
-            }
-          } catch (pinataError) {
-            console.warn('Error accessing Pinata API:', pinataError);
-          }
+    // Content stored as JSON, or JSON read back from a store that does not keep content types
+    if (responseType === 'json' || (responseType === 'auto' && !content.contentType.startsWith('text/'))) {
+      try {
+        const jsonData = JSON.parse(content.data.toString('utf8'));
+        res.setHeader('Content-Type', 'application/json');
+        return res.status(200).json(jsonData);
+      } catch (jsonError) {
+        if (responseType === 'json') {
+          return res.status(422).json({ error: 'IPFS content is not JSON', cid: cidToUse });
         }
-        
-        // If Pinata didn't work, try Infura as fallback
-        if (!response || !response.ok) {
-          const ipfsNodeUrl = process.env.NEXT_PUBLIC_IPFS_NODE_URL;
-          const infuraProjectId = process.env.NEXT_PUBLIC_IPFS_PROJECT_ID;
-          const infuraProjectSecret = process.env.NEXT_PUBLIC_IPFS_PROJECT_SECRET;
-          
-          // Try Infura IPFS API directly if credentials are available
-          if (infuraProjectId && infuraProjectSecret) {
-            
-            const auth = 'Basic ' + Buffer.from(infuraProjectId + ':' + infuraProjectSecret).toString('base64');
-            const infuraApiUrl = 'https://ipfs.infura.io:5001/api/v0';
+      }
+    }
 
-            // Allowlist of known Infura IPFS API endpoints
-            const allowedInfuraEndpoints = ['dag/get', 'cat', 'block/get'];
+    res.setHeader('Content-Type', content.contentType);
+    if (responseType === 'text' || content.contentType.includes('text')) {
+      return res.status(200).send(content.data.toString('utf8'));
+    }
+    return res.status(200).send(content.data);
+  } catch (error: any) {
+    if (error instanceof StorageError && error.status === 404) {
+      return res.status(404).json({
+        error: 'IPFS content not found',
+        message: error.message,
+        cid: cidToUse,
+      });
+    }
 
-            // For CIDv1, try dag/get first, then cat as fallback
-            const endpoints = allowedInfuraEndpoints;
+    console.error('Error in IPFS proxy:', error);
+    return res.status(error instanceof StorageError ? error.status : 500).json({
+      error: 'IPFS proxy error',
+      message: error.message || 'An unexpected error occurred',
+      cid: cidToUse
+    });
+  }
+}
 
-            for (const endpoint of endpoints) {
-              try {
-                const url = `${infuraApiUrl}/${endpoint}?arg=${cid}`;
+// Content that backs no share can be read by CID; shared content only by its owner
+async function mayReadByCid(req: NextApiRequest, res: NextApiResponse, cid: string): Promise<boolean> {
+  const shares: { userId: string }[] = await prisma.sharedMedicalData.findMany({
+    where: { ipfsCid: { in: Array.from(new Set([cid, normalizeCid(cid)])) } },
+    select: { userId: true },
+  });
+  if (shares.length === 0) {
+    return true;
+  }
 
-                // Validate URL is from trusted Infura domain
-                if (!url.startsWith('https://ipfs.infura.io:5001/')) {
-                  console.warn(`Skipping invalid Infura URL: ${url}`);
-                  continue;
-                }
+  const session = await getServerSession(req, res, authOptions);
+  const wallet = session?.user?.ethereumAddress?.toLowerCase();
+  return !!wallet && shares.some(share => share.userId === wallet);
+}
 
-                const infuraResponse = await fetchWithTimeout(url, {
-                  method: 'POST',
-                  headers: {
-                    'Authorization': auth,
-                    'Accept': '*/*'
-                  }
-                }, 15000);
-                
-                if (infuraResponse.ok) {
-                  response = infuraResponse;
-                  break;
-                } else {
-                  console.warn(`Infura IPFS API with endpoint ${endpoint} failed with status: ${infuraResponse.status}`);
-                }
-              } catch (endpointError) {
-                console.warn(`Error with Infura IPFS API endpoint ${endpoint}:`, endpointError);
-              }
-            }
-          }
-        }
-      } catch (directAccessError) {
-        console.warn('Error with direct IPFS node access:', directAccessError);
-      }
-    }
-    
-    // If direct access didn't work or wasn't needed, try public gateways
-    if (!response || !response.ok) {
-      
-      // Define a list of IPFS gateways to try
-      const publicGateways = [
-        'https://ipfs.io/ipfs',
-        'https://dweb.link/ipfs',
-        'https://cloudflare-ipfs.com/ipfs',
-        'https://gateway.pinata.cloud/ipfs'
-      ];
-      
-      // If this is a known CID with preferred gateways, use those first
-      const gatewaysToTry = knownCidConfig?.preferredGateways || publicGateways;
-      
-      // For CIDv1, we might need to try different formats
-      const formatsToTry = knownCidConfig?.preferredFormats || 
-                          (isCIDv1 ? ['dag-json', 'raw', 'dag-cbor', ''] : ['']);
-      
-      // Try each gateway with each format
-      for (const gateway of gatewaysToTry) {
-        // Validate gateway is in allowlist
-        if (!isAllowedGateway(`${gateway}/`)) {
-          console.warn(`Skipping non-allowed gateway: ${gateway}`);
-          continue;
-        }
-        for (const format of formatsToTry) {
-          const formatParam = format ? `?format=${format}` : '';
-          const url = `${gateway}/${cid}${formatParam}`;
-          attemptedUrls.push(url);
+// Pipe a stream to the response, waiting for the client to keep up
+async function sendStream(res: NextApiResponse, stream: StoredStream) {
+  const chunks = stream.body[Symbol.asyncIterator]();
+  // Read before the headers are sent, so content that cannot be read still gets an error status
+  let chunk = await chunks.next();
 
-          // Validate gateway URL to prevent SSRF
-          if (!isAllowedGateway(url)) {
-            console.warn(`Skipping invalid gateway URL: ${url}`);
-            continue;
-          }
+  res.setHeader('Content-Type', stream.contentType);
+  if (stream.size !== undefined) {
+    res.setHeader('Content-Length', stream.size);
+  }
+  res.status(200);
 
-          try {
-            const gatewayResponse = await fetchWithTimeout(url, {
-              headers: {
-                'Accept': '*/*'
-              }
-            }, 15000);
-            
-            if (gatewayResponse.ok) {
-              response = gatewayResponse;
-              break;
-            } else {
-              console.warn(`Gateway ${gateway} with format ${format} failed with status: ${gatewayResponse.status}`);
-              gatewayError = `Gateway ${gateway} returned status ${gatewayResponse.status}`;
-            }
-          } catch (gatewayError) {
-            console.warn(`Error with gateway ${gateway} format ${format}:`, gatewayError);
-          }
-        }
-        
-        if (response && response.ok) break;
-      }
-    }
-    
-    // If we have a successful response, return the content
-    if (response && response.ok) {
-      // Determine content type based on response headers or requested type
-      const contentType = response.headers.get('content-type') || 'application/octet-stream';
-      
-      // Set content type header
-      res.setHeader('Content-Type', contentType);
-      
-      // If the response type is JSON or the content type indicates JSON, parse and return as JSON
-      if (responseType === 'json' || contentType.includes('json')) {
-        try {
-          const jsonData = await response.json();
-          return res.status(200).json(jsonData);
-        } catch (jsonError) {
-          console.warn('Failed to parse response as JSON:', jsonError);
-          // Fall back to text/binary if JSON parsing fails
-        }
+  try {
+    while (!chunk.done) {
+      if (!res.write(chunk.value)) {
+        await waitForDrain(res);
       }
-      
-      // For text content types, return as text
-      if (contentType.includes('text') || responseType === 'text') {
-        const textData = await response.text();
-        return res.status(200).send(textData);
+      if (res.destroyed) {
+        await chunks.return?.(undefined);
+        return;
       }
-      
-      // For other content types, return as binary
-      const arrayBuffer = await response.arrayBuffer();
-      const buffer = Buffer.from(arrayBuffer);
-      return res.status(200).send(buffer);
+      chunk = await chunks.next();
     }
-    
-    // If we get here, all attempts failed
-    console.error(`All IPFS gateway attempts failed for CID: ${cid}`);
-    return res.status(404).json({
-      error: 'IPFS content not found',
-      message: gatewayError || 'Failed to retrieve content from IPFS',
-      cid,
-      attemptedUrls
-    });
-  } catch (error: any) {
-    console.error('Error in IPFS proxy:', error);
-    return res.status(500).json({
-      error: 'IPFS proxy error',
-      message: error.message || 'An unexpected error occurred',
-      cid
-    });
+    res.end();
+  } catch (error) {
+    // The status is already sent, so a failure can only be reported by cutting the response short
+    console.error('Error streaming IPFS content:', error);
+    res.destroy(error as Error);
   }
 }
+
+// Wait until the client took the buffered data or went away, removing both
+// listeners so a long stream does not pile them up on the response
+function waitForDrain(res: NextApiResponse) {
+  return new Promise<void>(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.once('drain', done);
+    res.once('close', done);
+  });
+}
@@ -0,0 +1,67 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/lib/auth';
+import { getStorageProvider, StorageError } from '@/lib/storage';
+
+// Encrypted share payloads embed uploaded documents, so they outgrow the 1mb default
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '25mb',
+    },
+  },
+};
+
+/**
+ * GET /api/ipfs/upload - Which storage driver is configured
+ * POST /api/ipfs/upload - Store a share payload through the configured storage provider
+ *
+ * The POST body is `{ data, name? }`; `data` is stored as JSON (strings as they are).
+ * Uploads are pinned on the server's storage account, so they take a session.
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const session = await getServerSession(req, res, authOptions);
+  if (!session?.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  let storage;
+  try {
+    storage = getStorageProvider();
+  } catch (error) {
+    console.error('Error creating storage provider:', error);
+    return res.status(500).json({ error: 'Storage is misconfigured' });
+  }
+
+  if (req.method === 'GET') {
+    return res.status(200).json({ driver: storage.driver, configured: storage.isConfigured() });
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { data, name } = req.body || {};
+  if (data === undefined || data === null) {
+    return res.status(400).json({ error: 'Missing data to upload' });
+  }
+  if (!storage.isConfigured()) {
+    return res.status(503).json({ error: `The ${storage.driver} storage driver is not configured` });
+  }
+
+  try {
+    const cid = await storage.put(typeof data === 'string' ? data : JSON.stringify(data), {
+      name: typeof name === 'string' ? name : undefined,
+      contentType: 'application/json',
+    });
+    return res.status(201).json({ cid, driver: storage.driver });
+  } catch (error) {
+    console.error('Error storing upload:', error);
+    const status = error instanceof StorageError ? error.status : 500;
+    return res.status(status).json({ error: 'Failed to store data', message: error instanceof Error ? error.message : String(error) });
+  }
+}
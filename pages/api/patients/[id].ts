@@ -0,0 +1,9 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { handleClinicRecord } from '@/lib/clinic-records';
+
+/**
+ * GET/PUT/PATCH/DELETE /api/patients/[id] - Read, update or delete one of the patients
+ */
+export default async function handler(req: NextApiRequest, res: NextApiResponse) {
+  return handleClinicRecord(req, res, 'patients');
+}
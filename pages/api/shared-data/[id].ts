@@ -2,18 +2,27 @@ import { NextApiRequest, NextApiResponse } from 'next';
 import { prisma } from '@/lib/prisma';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from '@/lib/auth';
+import { getStorageProvider } from '@/lib/storage';
+import { ethers } from 'ethers';
+import { appendAuditEntry } from '@/lib/audit-log';
+import { unpinShareCid } from '@/lib/share-expiry';
+import { getIndexerConfig } from '@/lib/web3/indexer';
+import { receiptRevokesGrant } from '@/lib/web3/fhir-access-control';
+import { connectFHIRAccessControl } from '@/lib/web3/generated/FHIRAccessControl';
 
 export default async function handler(
   req: NextApiRequest,
   res: NextApiResponse
 ) {
-  // Accept authentication via either NextAuth session OR wallet address header
+  // The owner is the wallet the user signed in with; an unsigned address header proves nothing
   const session = await getServerSession(req, res, authOptions);
-  const walletAddress = req.headers['x-wallet-address'] as string | undefined;
-  const ethereumAddress = session?.user?.ethereumAddress || walletAddress?.toLowerCase();
+  if (!session?.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
 
+  const ethereumAddress = session.user.ethereumAddress;
   if (!ethereumAddress) {
-    return res.status(401).json({ error: 'Authentication required' });
+    return res.status(403).json({ error: 'Sign in with the wallet that owns this share' });
   }
 
   // Get the shared data ID from the URL
@@ -108,7 +117,37 @@ async function updateSharedData(
     }
 
     // Update the shared data record
-    const { isActive, expiryTime } = req.body;
+    const { isActive, expiryTime, revocationTxHash, unpin } = req.body;
+
+    if (revocationTxHash !== undefined && !ethers.isHexString(revocationTxHash, 32)) {
+      return res.status(400).json({ error: 'Invalid revocation transaction hash' });
+    }
+
+    // A grant revoked on chain cannot be reactivated
+    if (isActive === true && existingData.revocationTxHash) {
+      return res.status(409).json({ error: 'This share was revoked on chain. Share the data again instead.' });
+    }
+
+    // Nothing is left to view once the content is unpinned
+    if (isActive === true && existingData.unpinnedAt) {
+      return res.status(409).json({ error: 'The shared data was unpinned from IPFS. Share the data again instead.' });
+    }
+
+    // Only record a revocation the contract actually emitted for this grant
+    if (revocationTxHash) {
+      const { rpcUrl, contractAddress } = getIndexerConfig();
+      if (!contractAddress) {
+        return res.status(503).json({ error: 'FHIRAccessControl contract address is not configured' });
+      }
+      const provider = new ethers.JsonRpcProvider(rpcUrl);
+      const receipt = await provider.getTransactionReceipt(revocationTxHash);
+      const contract = connectFHIRAccessControl(contractAddress, provider);
+      if (!receiptRevokesGrant(contract, contractAddress, receipt, existingData.accessId)) {
+        return res.status(400).json({ error: 'The transaction did not revoke this share on chain' });
+      }
+    }
+
+    const revoking = isActive === false && existingData.isActive;
 
     const updatedData = await prisma.sharedMedicalData.update({
       where: {
@@ -117,9 +156,27 @@ async function updateSharedData(
       data: {
         isActive: isActive !== undefined ? isActive : existingData.isActive,
         expiryTime: expiryTime ? new Date(expiryTime) : existingData.expiryTime,
+        ...(revoking ? { revokedAt: new Date() } : {}),
+        ...(isActive === true ? { expiredAt: null } : {}),
+        ...(revocationTxHash ? { revocationTxHash } : {}),
       },
     });
 
+    await appendAuditEntry(prisma, normalizedAddress, revoking ? 'share.revoked' : 'share.updated', {
+      accessId: updatedData.accessId,
+      isActive: updatedData.isActive,
+      expiryTime: updatedData.expiryTime,
+      revocationTxHash: updatedData.revocationTxHash,
+    });
+
+    if (unpin && updatedData.isActive === false) {
+      const unpinStatus = await unpinShareCid(prisma, getStorageProvider(), updatedData);
+      const unpinnedData = unpinStatus === 'unpinned'
+        ? await prisma.sharedMedicalData.update({ where: { id }, data: { unpinnedAt: new Date() } })
+        : updatedData;
+      return res.status(200).json({ ...unpinnedData, unpinStatus });
+    }
+
     return res.status(200).json(updatedData);
   } catch (error) {
     console.error('Error updating shared data:', error);
@@ -160,7 +217,12 @@ async function deleteSharedData(
         id,
       },
     });
-    
+
+    await appendAuditEntry(prisma, normalizedAddress, 'share.deleted', {
+      accessId: existingData.accessId,
+      ipfsCid: existingData.ipfsCid,
+    });
+
     return res.status(200).json({ message: 'Shared data deleted successfully' });
   } catch (error) {
     console.error('Error deleting shared data:', error);
@@ -0,0 +1,35 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { prisma } from '@/lib/prisma';
+import { getStorageProvider } from '@/lib/storage';
+import { cleanupExpiredShares } from '@/lib/share-expiry';
+
+/**
+ * POST /api/shared-data/cleanup - Deactivate expired shares and unpin their content
+ *
+ * Meant for a cron job; requires `Authorization: Bearer <SHARE_CLEANUP_SECRET>`.
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const secret = process.env.SHARE_CLEANUP_SECRET;
+  if (!secret) {
+    return res.status(503).json({ error: 'Share cleanup is not enabled' });
+  }
+  if (req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const result = await cleanupExpiredShares({ prisma, storage: getStorageProvider() });
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error cleaning up expired shares:', error);
+    return res.status(500).json({ error: 'Failed to clean up expired shares' });
+  }
+}
@@ -2,6 +2,9 @@ import { NextApiRequest, NextApiResponse } from 'next';
 import { PrismaClient } from '@prisma/client';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from '@/lib/auth';
+import { appendAuditEntry } from '@/lib/audit-log';
+import { evaluateShareConsent, normalizeConsentActor } from '@/lib/fhir/consent';
+import { MAX_VIEW_LIMIT, parseMaxViews } from '@/lib/share-expiry';
 
 // Initialize Prisma client directly in the API route
 // Use type assertion to avoid TypeScript errors with model names
@@ -45,25 +48,6 @@ async function getSharedData(
   ethereumAddress: string
 ) {
   try {
-    // Check if we should return all records (for access logs page)
-    const returnAllRecords = req.query.all === 'true';
-
-    // For debugging, get all shared data records
-    const allRecords = await prisma.sharedMedicalData.findMany({
-      orderBy: {
-        createdAt: 'desc',
-      },
-    });
-
-    if (allRecords.length > 0) {
-    }
-
-    // If all=true parameter is provided, return all records
-    if (returnAllRecords) {
-      return res.status(200).json(allRecords);
-    }
-
-    // Otherwise, get user-specific records
     // Normalize the ethereum address to lowercase for consistency
     const normalizedAddress = ethereumAddress.toLowerCase();
 
@@ -98,14 +82,32 @@ async function createSharedData(
       ipfsCid,
       expiryTime,
       hasPassword,
-      dataTypes
+      dataTypes,
+      patientId,
+      purpose,
+      resourceTypes,
+      grantees
     } = req.body;
+    const maxViews = parseMaxViews(req.body.maxViews);
 
 
-    // Validate required fields
-    if (!accessId || !ipfsCid || !expiryTime) {
+    // Validate required fields; the patient is needed to check their consents
+    if (!accessId || !ipfsCid || !expiryTime || typeof patientId !== 'string' || !patientId) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
+    if (maxViews === undefined) {
+      return res.status(400).json({ error: `maxViews must be a whole number from 1 to ${MAX_VIEW_LIMIT}` });
+    }
+
+    // Re-check the patient's consents, whatever the client checked before uploading
+    const consent = await evaluateShareConsent(prisma, patientId, {
+      recipients: Array.isArray(grantees) ? grantees.map(normalizeConsentActor).filter(Boolean) : [],
+      purpose: typeof purpose === 'string' ? purpose : undefined,
+      resourceTypes: Array.isArray(resourceTypes) ? resourceTypes.filter(type => typeof type === 'string') : [],
+    });
+    if (!consent.permitted) {
+      return res.status(403).json({ error: 'Sharing is not permitted by your consent settings', denied: consent.denied });
+    }
 
     // Normalize the address to lowercase
     const normalizedAddress = ethereumAddress.toLowerCase();
@@ -120,10 +122,20 @@ async function createSharedData(
         hasPassword: hasPassword || false,
         dataTypes: Array.isArray(dataTypes) ? dataTypes.join(',') : dataTypes,
         accessCount: 0,
+        maxViews,
         isActive: true,
       },
     });
 
+    await appendAuditEntry(prisma, normalizedAddress, 'share.created', {
+      accessId: sharedData.accessId,
+      ipfsCid: sharedData.ipfsCid,
+      expiryTime: sharedData.expiryTime,
+      hasPassword: sharedData.hasPassword,
+      dataTypes: sharedData.dataTypes,
+      maxViews: sharedData.maxViews,
+    });
+
 
     return res.status(201).json(sharedData);
   } catch (error) {
@@ -0,0 +1,60 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { PrismaClient } from '@prisma/client';
+import { hashPollToken } from '@/lib/web3/presentation';
+
+const prisma = new PrismaClient();
+
+/**
+ * GET /api/shared-data/presentation-requests/[id]
+ * Lets the verifier that created a presentation request poll for the wallet's
+ * response and the verification result, which holds the disclosed records.
+ * Ids are not secret, so the verifier sends the poll token it got when creating
+ * the request as `Authorization: Bearer <pollToken>`; the wallet never sees it.
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id } = req.query;
+  if (!id || typeof id !== 'string') {
+    return res.status(400).json({ error: 'Invalid presentation request ID' });
+  }
+
+  try {
+    const presentationRequest = await prisma.presentationRequest.findUnique({
+      where: { id },
+    });
+
+    if (!presentationRequest) {
+      return res.status(404).json({ error: 'Presentation request not found' });
+    }
+
+    const pollToken = req.headers.authorization?.match(/^Bearer (\S+)$/)?.[1];
+    if (!pollToken || !presentationRequest.pollTokenHash || hashPollToken(pollToken) !== presentationRequest.pollTokenHash) {
+      return res.status(401).json({ error: 'Poll token required' });
+    }
+
+    const expired = presentationRequest.status === 'pending' && new Date() > presentationRequest.expiresAt;
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({
+      id: presentationRequest.id,
+      status: expired ? 'expired' : presentationRequest.status,
+      verifierName: presentationRequest.verifierName,
+      presentationDefinition: JSON.parse(presentationRequest.presentationDefinition),
+      holder: presentationRequest.holder,
+      createdAt: presentationRequest.createdAt,
+      expiresAt: presentationRequest.expiresAt,
+      respondedAt: presentationRequest.respondedAt,
+      result: presentationRequest.verificationResult ? JSON.parse(presentationRequest.verificationResult) : null,
+    });
+  } catch (error) {
+    console.error('Error fetching presentation request:', error);
+    return res.status(500).json({ error: 'Failed to fetch presentation request' });
+  }
+}
@@ -0,0 +1,115 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { PrismaClient } from '@prisma/client';
+import { randomBytes } from 'crypto';
+import {
+  PRESENTATION_REQUEST_TTL_SECONDS,
+  PRESENTATION_TEMPLATES,
+  createAuthorizationRequest,
+  hashPollToken,
+} from '@/lib/web3/presentation';
+
+const prisma = new PrismaClient();
+
+/**
+ * OpenID4VP Presentation Requests
+ * POST /api/shared-data/presentation-requests - Verifier creates a request from a template
+ * GET /api/shared-data/presentation-requests?state=... - Wallet fetches the authorization request (request_uri)
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  try {
+    switch (req.method) {
+      case 'GET':
+        return await getAuthorizationRequest(req, res);
+      case 'POST':
+        return await createPresentationRequest(req, res);
+      default:
+        res.setHeader('Allow', ['GET', 'POST']);
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Presentation request error:', error);
+    return res.status(500).json({ error: 'Failed to process presentation request' });
+  }
+}
+
+// Create a presentation request for a verifier
+async function createPresentationRequest(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const { template, verifierName } = req.body || {};
+  const definitionTemplate = PRESENTATION_TEMPLATES[template];
+
+  if (!definitionTemplate) {
+    return res.status(400).json({ error: `Unknown presentation template: ${template}` });
+  }
+
+  const state = randomBytes(16).toString('hex');
+  const pollToken = randomBytes(16).toString('hex');
+  const presentationRequest = await prisma.presentationRequest.create({
+    data: {
+      state,
+      nonce: randomBytes(16).toString('hex'),
+      pollTokenHash: hashPollToken(pollToken),
+      verifierName: verifierName || null,
+      presentationDefinition: JSON.stringify(definitionTemplate.build(new Date())),
+      expiresAt: new Date(Date.now() + PRESENTATION_REQUEST_TTL_SECONDS * 1000),
+    },
+  });
+
+  const origin = getOrigin(req);
+  const requestUri = `${origin}/api/shared-data/presentation-requests?state=${state}`;
+  const clientId = `${origin}/api/shared-data/presentation-response`;
+
+  // The poll token stays with the verifier, who polls /presentation-requests/[id] with it for the result
+  return res.status(201).json({
+    id: presentationRequest.id,
+    pollToken,
+    state,
+    expiresAt: presentationRequest.expiresAt,
+    requestUri,
+    authorizationRequestUrl: `openid4vp://?client_id=${encodeURIComponent(clientId)}&request_uri=${encodeURIComponent(requestUri)}`,
+    walletUrl: `${origin}/patient/presentation?request_uri=${encodeURIComponent(requestUri)}`,
+  });
+}
+
+// Return the OpenID4VP authorization request for the wallet
+async function getAuthorizationRequest(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  const { state } = req.query;
+
+  if (!state || typeof state !== 'string') {
+    return res.status(400).json({ error: 'Missing or invalid state parameter' });
+  }
+
+  const presentationRequest = await prisma.presentationRequest.findUnique({
+    where: { state },
+  });
+
+  if (!presentationRequest) {
+    return res.status(404).json({ error: 'Presentation request not found' });
+  }
+
+  if (presentationRequest.status !== 'pending' || new Date() > presentationRequest.expiresAt) {
+    return res.status(410).json({ error: 'Presentation request is no longer open' });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(200).json(createAuthorizationRequest({
+    responseUri: `${getOrigin(req)}/api/shared-data/presentation-response`,
+    nonce: presentationRequest.nonce,
+    state,
+    definition: JSON.parse(presentationRequest.presentationDefinition),
+    clientName: presentationRequest.verifierName || undefined,
+  }));
+}
+
+function getOrigin(req: NextApiRequest): string {
+  const protocol = req.headers['x-forwarded-proto'] || 'http';
+  return `${protocol}://${req.headers.host}`;
+}
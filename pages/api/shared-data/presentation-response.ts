@@ -0,0 +1,110 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { PrismaClient } from '@prisma/client';
+import { getIssuerDid } from '@/lib/web3/credentials';
+import { verifyPresentation } from '@/lib/web3/presentation';
+
+const prisma = new PrismaClient();
+
+/**
+ * POST /api/shared-data/presentation-response
+ * OpenID4VP `direct_post` response endpoint. The wallet posts `state` with either
+ * a `vp_token` and `presentation_submission`, or `error=access_denied` when the
+ * patient declines. The presentation is verified against the stored request
+ * and the outcome kept for the verifier to poll.
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { state, vp_token: vpToken, presentation_submission: submission, error } = req.body || {};
+
+  if (!state || typeof state !== 'string') {
+    return res.status(400).json({ error: 'invalid_request', error_description: 'Missing state' });
+  }
+
+  try {
+    const presentationRequest = await prisma.presentationRequest.findUnique({
+      where: { state },
+    });
+
+    if (!presentationRequest) {
+      return res.status(404).json({ error: 'invalid_request', error_description: 'Unknown state' });
+    }
+
+    if (presentationRequest.status !== 'pending' || new Date() > presentationRequest.expiresAt) {
+      return res.status(400).json({ error: 'invalid_request', error_description: 'Presentation request is no longer open' });
+    }
+
+    if (error) {
+      await prisma.presentationRequest.update({
+        where: { id: presentationRequest.id },
+        data: { status: 'declined', respondedAt: new Date() },
+      });
+      return res.status(200).json({});
+    }
+
+    if (!vpToken || typeof vpToken !== 'string') {
+      return res.status(400).json({ error: 'invalid_request', error_description: 'Missing vp_token' });
+    }
+
+    // Form-encoded direct_post sends the submission as a JSON string
+    let presentationSubmission;
+    try {
+      presentationSubmission = typeof submission === 'string' ? JSON.parse(submission) : submission;
+    } catch {
+      return res.status(400).json({ error: 'invalid_request', error_description: 'presentation_submission is not valid JSON' });
+    }
+
+    // Only credentials of this deployment's issuer are accepted
+    const issuerKey = process.env.CREDENTIAL_ISSUER_PRIVATE_KEY;
+    if (!issuerKey) {
+      return res.status(503).json({ error: 'server_error', error_description: 'Credential issuer is not configured' });
+    }
+
+    const result = verifyPresentation(vpToken, presentationSubmission, {
+      definition: JSON.parse(presentationRequest.presentationDefinition),
+      clientId: `${getOrigin(req)}/api/shared-data/presentation-response`,
+      nonce: presentationRequest.nonce,
+      trustedIssuers: [getIssuerDid(issuerKey, process.env.CREDENTIAL_ISSUER_CHAIN_ID || 137)],
+    });
+
+    await prisma.presentationRequest.update({
+      where: { id: presentationRequest.id },
+      data: {
+        status: result.valid ? 'submitted' : 'rejected',
+        vpToken,
+        presentationSubmission: JSON.stringify(presentationSubmission),
+        holder: result.credential?.holder || null,
+        verificationResult: JSON.stringify({
+          valid: result.valid,
+          errors: result.errors,
+          issuer: result.credential?.issuer,
+          matches: result.matches,
+          undisclosedEntries: result.credential?.undisclosedEntries,
+          undisclosedFields: result.credential?.undisclosedFields,
+          bundle: result.valid ? result.credential?.bundle : undefined,
+        }),
+        respondedAt: new Date(),
+      },
+    });
+
+    if (!result.valid) {
+      return res.status(400).json({ error: 'invalid_presentation', error_description: result.errors.join('; ') });
+    }
+
+    return res.status(200).json({});
+  } catch (err) {
+    console.error('Error processing presentation response:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+}
+
+function getOrigin(req: NextApiRequest): string {
+  const protocol = req.headers['x-forwarded-proto'] || 'http';
+  return `${protocol}://${req.headers.host}`;
+}
@@ -1,6 +1,20 @@
 import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/lib/auth';
 import { prisma } from '@/lib/prisma';
+import { isAccessOutcome, recordAccessEvent } from '@/lib/access-events';
 
+// Failures only the viewer's browser sees; views are recorded by /api/ipfs
+const CLIENT_OUTCOMES = ['wrong_password', 'not_grantee'];
+
+/**
+ * POST /api/shared-data/record-access - Record a failed attempt to open a share
+ *
+ * Called by the shared page when the password or recipient check fails in the
+ * browser. Each call is stored as an AccessEvent for the owner. Successful
+ * views are claimed and recorded by `/api/ipfs?accessId=` before it releases
+ * the content, so this endpoint never counts a view.
+ */
 export default async function handler(
   req: NextApiRequest,
   res: NextApiResponse
@@ -11,11 +25,14 @@ export default async function handler(
   }
 
   try {
-    const { accessId } = req.body;
-    
+    const { accessId, outcome, viewerAddress, sessionId } = req.body;
+
     if (!accessId || typeof accessId !== 'string') {
       return res.status(400).json({ error: 'Invalid access ID' });
     }
+    if (!isAccessOutcome(outcome) || !CLIENT_OUTCOMES.includes(outcome)) {
+      return res.status(400).json({ error: 'Invalid outcome' });
+    }
 
     // Find the shared data record by accessId
     const sharedData = await prisma.sharedMedicalData.findFirst({
@@ -23,33 +40,26 @@ export default async function handler(
         accessId,
       },
     });
-    
+
     if (!sharedData) {
       return res.status(404).json({ error: 'Shared data not found' });
     }
-    
-    // Check if the data has expired
-    const now = new Date();
-    if (now > sharedData.expiryTime || !sharedData.isActive) {
+
+    // An expired or revoked share is logged as such, whatever the client saw
+    const expired = new Date() > sharedData.expiryTime || !sharedData.isActive;
+    const session = await getServerSession(req, res, authOptions);
+
+    await recordAccessEvent(prisma, req, sharedData, {
+      outcome: expired ? 'expired' : outcome,
+      viewerAddress,
+      sessionId,
+      userId: session?.user?.id,
+    });
+
+    if (expired) {
       return res.status(403).json({ error: 'Access has expired or is inactive' });
     }
-    
-    // Increment the access count
-    const updatedData = await prisma.sharedMedicalData.update({
-      where: {
-        id: sharedData.id,
-      },
-      data: {
-        accessCount: {
-          increment: 1,
-        },
-      },
-    });
-    
-    return res.status(200).json({ 
-      success: true, 
-      accessCount: updatedData.accessCount 
-    });
+    return res.status(200).json({ success: true });
   } catch (error) {
     console.error('Error recording access:', error);
     return res.status(500).json({ error: 'Failed to record access' });
@@ -0,0 +1,43 @@
+import { NextApiRequest, NextApiResponse } from 'next';
+import { requireClinicRole, STAFF_ROLES } from '@/lib/clinic-records';
+import { DEFAULT_FEED_LIMIT, MAX_FEED_LIMIT, decodeFeedCursor, readChangeFeed } from '@/lib/sync-feed';
+
+/**
+ * GET /api/sync/changes - Page through the clinic records changed since a cursor
+ *
+ * Offline clients call this with the `cursor` of their last page as `since`
+ * (or without it for a full sync) until `hasMore` is false.
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!(await requireClinicRole(req, res, STAFF_ROLES))) {
+    return;
+  }
+
+  const since = typeof req.query.since === 'string' && req.query.since ? req.query.since : null;
+  const limit = req.query.limit === undefined ? DEFAULT_FEED_LIMIT : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_FEED_LIMIT) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_FEED_LIMIT}` });
+  }
+  try {
+    if (since) {
+      decodeFeedCursor(since);
+    }
+  } catch (error) {
+    return res.status(400).json({ error: (error as Error).message });
+  }
+
+  try {
+    return res.status(200).json(await readChangeFeed(since, limit));
+  } catch (error) {
+    console.error('Error reading the sync change feed:', error);
+    return res.status(500).json({ error: 'Failed to read changes' });
+  }
+}
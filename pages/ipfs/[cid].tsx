@@ -3,9 +3,12 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 import { getFromIpfs, decryptData } from '@/lib/web3/ipfs';
-import { Button, Card, CardSection, TextInput, Text, Title, Modal, Alert, Loader } from '@mantine/core';
+import { DecryptionKey, getContentKeyFromHash, getPayloadEncryption, parseEnvelope } from '@/lib/web3/encryption';
+import { isEncryptedForShareKeys, requestShareKey } from '@/lib/web3/share-key';
+import { useMetaMask } from '@/components/web3/MetaMaskProvider';
+import { Button, Card, CardSection, TextInput, Text, Title, Modal, Alert, Loader, Group } from '@mantine/core';
 import { notifications } from '@mantine/notifications';
-import { Loader2, FileText, Download, Lock, Eye } from 'lucide-react';
+import { Loader2, FileText, Download, Lock, Eye, Wallet } from 'lucide-react';
 
 // Force dynamic rendering to avoid build-time IPFS module loading
 export const dynamic = 'force-dynamic';
@@ -13,12 +16,13 @@ export const dynamic = 'force-dynamic';
 export default function IpfsViewerPage() {
   const router = useRouter();
   const { cid } = router.query;
+  const { currentAccount, connectWallet } = useMetaMask();
 
   const [data, setData] = useState<any>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [password, setPassword] = useState('');
-  const [isEncrypted, setIsEncrypted] = useState(false);
+  const [encryptedPayload, setEncryptedPayload] = useState<any>(null);
   const [decryptError, setDecryptError] = useState<string | null>(null);
   const [showPasswordDialog, setShowPasswordDialog] = useState(false);
 
@@ -32,9 +36,13 @@ export default function IpfsViewerPage() {
       try {
         const fetchedData = await getFromIpfs(cid);
 
-        // Check if the data is encrypted
-        if (typeof fetchedData === 'string' && fetchedData.startsWith('eyJ')) {
-          setIsEncrypted(true);
+        // Check if the data is encrypted; links without a password carry the key in the fragment
+        const encryption = getPayloadEncryption(fetchedData);
+        const contentKey = getContentKeyFromHash(window.location.hash);
+        if (encryption === 'envelope' && contentKey) {
+          setData(await decryptData(fetchedData, { contentKey }));
+        } else if (encryption) {
+          setEncryptedPayload(fetchedData);
           setShowPasswordDialog(true);
         } else {
           setData(fetchedData);
@@ -50,15 +58,35 @@ export default function IpfsViewerPage() {
     fetchData();
   }, [cid]);
 
+  const decryptWith = async (key: string | DecryptionKey) => {
+    const decrypted = await decryptData(encryptedPayload, key);
+    setData(decrypted);
+    setShowPasswordDialog(false);
+  };
+
   const handleDecrypt = async () => {
-    if (!cid || typeof cid !== 'string') return;
+    if (!encryptedPayload) return;
     setDecryptError(null);
 
     try {
-      const encryptedData = await getFromIpfs(cid);
-      const decrypted = await decryptData(encryptedData, password);
-      setData(decrypted);
-      setShowPasswordDialog(false);
+      await decryptWith(password);
+    } catch (err: any) {
+      console.error('Error decrypting data:', err);
+      setDecryptError(err.message || 'Failed to decrypt data');
+    }
+  };
+
+  // Open data encrypted for the viewer's share key with a signature from their wallet
+  const handleDecryptWithWallet = async () => {
+    if (!encryptedPayload) return;
+    setDecryptError(null);
+
+    try {
+      const account = currentAccount || await connectWallet();
+      if (!account) {
+        throw new Error('Connect MetaMask to open data shared with your wallet');
+      }
+      await decryptWith({ privateKey: (await requestShareKey(account)).privateKey });
     } catch (err: any) {
       console.error('Error decrypting data:', err);
       setDecryptError(err.message || 'Failed to decrypt data');
@@ -196,10 +224,10 @@ export default function IpfsViewerPage() {
       <Modal
         opened={showPasswordDialog}
         onClose={() => setShowPasswordDialog(false)}
-        title={<Title order={3}>Password Protected Data</Title>}
+        title={<Title order={3}>Encrypted Data</Title>}
       >
         <Text size="sm" c="dimmed" mb="md">
-          This data is password protected. Enter the password to view it.
+          This data is encrypted. Enter the password, or open it with the wallet it was shared with.
         </Text>
 
         <TextInput
@@ -215,9 +243,16 @@ export default function IpfsViewerPage() {
           <Text size="sm" c="red" mb="md">{decryptError}</Text>
         )}
 
-        <Button onClick={handleDecrypt} disabled={!password} leftSection={<Lock size={16} />}>
-          Decrypt
-        </Button>
+        <Group gap="sm">
+          <Button onClick={handleDecrypt} disabled={!password} leftSection={<Lock size={16} />}>
+            Decrypt
+          </Button>
+          {isEncryptedForShareKeys(parseEnvelope(encryptedPayload)) && (
+            <Button variant="outline" onClick={handleDecryptWithWallet} leftSection={<Wallet size={16} />}>
+              Open with my wallet
+            </Button>
+          )}
+        </Group>
       </Modal>
     </div>
   );
@@ -1,56 +1,56 @@
 import { useState, useEffect } from 'react';
-import { useSession } from 'next-auth/react';
-import { Card, Table, Badge, Button, Alert, Group, Text, LoadingOverlay, Title } from '@mantine/core';
-import { AlertCircle, Clock, ExternalLink, ShieldAlert, Eye } from 'lucide-react';
+import { Card, Table, Badge, Button, Alert, Group, Text, LoadingOverlay, Title, Select, TextInput, Pagination } from '@mantine/core';
+import { AlertCircle, Clock, ShieldAlert, ShieldCheck, Eye } from 'lucide-react';
+import { useDebouncedValue } from '@mantine/hooks';
 import PatientLayout from '@/components/layout/PatientLayout';
-import { useMetaMask } from '@/components/web3/MetaMaskProvider';
+import { AccessOutcome, DEFAULT_ACCESS_LOG_PAGE_SIZE } from '@/lib/access-events';
+
+const OUTCOME_LABELS: Record<AccessOutcome, { label: string; color: string }> = {
+  granted: { label: 'Viewed', color: 'green' },
+  wrong_password: { label: 'Wrong password', color: 'red' },
+  not_grantee: { label: 'Not a grantee', color: 'red' },
+  expired: { label: 'Expired', color: 'gray' },
+  view_limit: { label: 'View limit reached', color: 'orange' },
+};
+
+const outcomeOptions = [
+  { value: '', label: 'All outcomes' },
+  ...Object.entries(OUTCOME_LABELS).map(([value, { label }]) => ({ value, label })),
+];
 
 export default function AccessLogsPage() {
-  const { data: session } = useSession();
-  const { currentAccount } = useMetaMask();
   const [accessLogs, setAccessLogs] = useState<any[]>([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [outcome, setOutcome] = useState('');
+  const [accessId, setAccessId] = useState('');
+  const [debouncedAccessId] = useDebouncedValue(accessId.trim(), 300);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [auditStatus, setAuditStatus] = useState<any>(null);
 
-  // Load access logs directly from the database
+  // Load the access events of the user's shares, one page at a time
   useEffect(() => {
     const fetchAccessLogs = async () => {
       try {
         setLoading(true);
+        setError(null);
 
-        // Build headers with wallet address if available
-        const headers: Record<string, string> = {
-          'Content-Type': 'application/json'
-        };
-        if (currentAccount) {
-          headers['x-wallet-address'] = currentAccount;
-        }
+        const params = new URLSearchParams({ page: String(page), pageSize: String(DEFAULT_ACCESS_LOG_PAGE_SIZE) });
+        if (outcome) params.set('outcome', outcome);
+        if (debouncedAccessId) params.set('accessId', debouncedAccessId);
 
-        const response = await fetch('/api/shared-data?all=true', { headers });
+        // The server finds the owner from the session of the wallet login
+        const response = await fetch(`/api/access-logs?${params}`);
 
         if (!response.ok) {
           const errorData = await response.json();
           throw new Error(errorData.error || 'Failed to fetch access logs');
         }
 
-        const sharedData = await response.json();
-
-        // Transform the shared data into access logs format
-        const logs = sharedData.map((data: any) => {
-          const dataTypes = data.dataTypes ? data.dataTypes.split(',') : [];
-          return {
-            id: data.accessId,
-            accessedBy: data.userId,
-            accessedAt: new Date(data.createdAt),
-            dataTypes: dataTypes,
-            ipfsCid: data.ipfsCid,
-            status: data.isActive && new Date() < new Date(data.expiryTime) ? 'active' : 'expired',
-            accessCount: data.accessCount || 0,
-            pinStatus: 'pinned'
-          };
-        });
-
-        setAccessLogs(logs);
+        const result = await response.json();
+        setAccessLogs(result.events.map((event: any) => ({ ...event, accessedAt: new Date(event.accessedAt) })));
+        setTotal(result.total);
       } catch (err: any) {
         setError(err.message || 'Failed to fetch access logs');
       } finally {
@@ -59,9 +59,30 @@ export default function AccessLogsPage() {
     };
 
     fetchAccessLogs();
-  }, [currentAccount]);
+  }, [page, outcome, debouncedAccessId]);
+
+  // Check that the hash-chained audit log behind these events is intact
+  useEffect(() => {
+    const verifyAuditLog = async () => {
+      try {
+        const response = await fetch('/api/audit/verify');
+        setAuditStatus(response.ok ? await response.json() : null);
+      } catch (err) {
+        console.error('Error verifying audit log:', err);
+      }
+    };
+
+    verifyAuditLog();
+  }, []);
 
-  // Format data types for display
+  // Show the viewer's wallet, or the session they opened the share from
+  const formatViewer = (log: any) => {
+    if (log.viewerAddress) return truncateAddress(log.viewerAddress);
+    if (log.viewerSession) return `Session ${log.viewerSession.substring(0, 8)}`;
+    return 'Anonymous';
+  };
+
+  // Format data types for display; FHIR resource types are shown as they are
   const formatDataTypes = (types: string[]) => {
     const labels: Record<string, string> = {
       'medical-history': 'Medical History',
@@ -110,12 +131,46 @@ export default function AccessLogsPage() {
         <Card shadow="sm" padding="lg" radius="md" withBorder>
           <Card.Section withBorder inheritPadding py="xs">
             <Group justify="space-between">
-              <Title order={3}>Data Access History</Title>
+              <Group gap="xs">
+                <Title order={3}>Data Access History</Title>
+                {auditStatus && auditStatus.entries > 0 && (
+                  <Badge
+                    color={auditStatus.valid ? 'green' : auditStatus.breaks.length > 0 ? 'red' : 'yellow'}
+                    variant="light"
+                    leftSection={auditStatus.valid ? <ShieldCheck size={12} /> : <ShieldAlert size={12} />}
+                    title={auditStatus.anchor?.anchoredOnChain
+                      ? `Anchored on chain in ${auditStatus.anchor.transactionHash}`
+                      : 'Not anchored on chain yet'}
+                  >
+                    {auditStatus.valid
+                      ? `Audit log intact (${auditStatus.entries} entries)`
+                      : auditStatus.breaks.length > 0
+                        ? `Audit log altered at entry ${auditStatus.breaks[0].sequence}`
+                        : 'Audit log not verified on chain yet'}
+                  </Badge>
+                )}
+              </Group>
               <Text size="sm" c="dimmed">
-                A record of all access to your shared medical data
+                Every attempt to open your shares, including failed ones
               </Text>
             </Group>
           </Card.Section>
+          <Card.Section withBorder inheritPadding py="xs">
+            <Group>
+              <Select
+                data={outcomeOptions}
+                value={outcome}
+                onChange={(value) => { setOutcome(value || ''); setPage(1); }}
+                aria-label="Outcome"
+              />
+              <TextInput
+                placeholder="Filter by share access ID"
+                value={accessId}
+                onChange={(event) => { setAccessId(event.currentTarget.value); setPage(1); }}
+                style={{ flex: 1 }}
+              />
+            </Group>
+          </Card.Section>
           <Card.Section withBorder inheritPadding py="md" pos="relative">
             <LoadingOverlay visible={loading} zIndex={1000} overlayProps={{ blur: 2 }} />
 
@@ -126,7 +181,7 @@ export default function AccessLogsPage() {
             ) : accessLogs.length === 0 ? (
               <div style={{ textAlign: 'center', padding: '48px 16px' }}>
                 <ShieldAlert size={48} style={{ margin: '0 auto 16px', color: 'var(--mantine-color-dimmed)' }} />
-                <Text fw={500} size="lg" mb="xs">No access logs yet</Text>
+                <Text fw={500} size="lg" mb="xs">No access logs {outcome || accessId ? 'match these filters' : 'yet'}</Text>
                 <Text c="dimmed">
                   When someone accesses your shared medical data, it will be recorded here.
                 </Text>
@@ -135,63 +190,57 @@ export default function AccessLogsPage() {
               <Table striped highlightOnHover>
                 <Table.Thead>
                   <Table.Tr>
-                    <Table.Th>Accessed By</Table.Th>
+                    <Table.Th>Viewer</Table.Th>
                     <Table.Th>Time</Table.Th>
-                    <Table.Th>Data Types</Table.Th>
-                    <Table.Th>Status</Table.Th>
-                    <Table.Th style={{ textAlign: 'right' }}>Actions</Table.Th>
+                    <Table.Th>Outcome</Table.Th>
+                    <Table.Th>Resources Viewed</Table.Th>
+                    <Table.Th>Client</Table.Th>
+                    <Table.Th style={{ textAlign: 'right' }}>Share</Table.Th>
                   </Table.Tr>
                 </Table.Thead>
                 <Table.Tbody>
                   {accessLogs.map((log) => (
                     <Table.Tr key={log.id}>
                       <Table.Td>
-                        <Text fw={500}>
-                          {truncateAddress(log.accessedBy)}
+                        <Text fw={500} title={log.viewerAddress || log.viewerSession || undefined}>
+                          {formatViewer(log)}
                         </Text>
                       </Table.Td>
                       <Table.Td>
-                        <Group gap={4}>
+                        <Group gap={4} title={log.accessedAt.toLocaleString()}>
                           <Clock size={12} />
                           <span>{formatTimeAgo(log.accessedAt)}</span>
                         </Group>
                       </Table.Td>
-                      <Table.Td>{formatDataTypes(log.dataTypes)}</Table.Td>
                       <Table.Td>
-                        <Badge color={log.status === 'active' ? 'green' : 'gray'} variant="outline">
-                          {log.status === 'active' ? 'Active' : 'Expired'}
+                        <Badge color={OUTCOME_LABELS[log.outcome as AccessOutcome]?.color || 'gray'} variant="outline">
+                          {OUTCOME_LABELS[log.outcome as AccessOutcome]?.label || log.outcome}
                         </Badge>
                       </Table.Td>
+                      <Table.Td>
+                        {log.resourceTypes.length > 0 ? formatDataTypes(log.resourceTypes) : <Text size="sm" c="dimmed">None</Text>}
+                      </Table.Td>
+                      <Table.Td>
+                        <Text size="sm">{log.ipAddress || 'Unknown IP'}</Text>
+                        {log.userAgent && (
+                          <Text size="xs" c="dimmed" lineClamp={1} title={log.userAgent} maw={220}>
+                            {log.userAgent}
+                          </Text>
+                        )}
+                      </Table.Td>
                       <Table.Td style={{ textAlign: 'right' }}>
                         <Group gap="xs" justify="flex-end">
+                          <Text size="xs" c="dimmed" title={log.accessId}>
+                            {truncateAddress(log.accessId)}
+                          </Text>
                           <Button
                             variant="outline"
                             size="xs"
-                            onClick={() => window.open(`/shared/${log.id}`, '_blank')}
-                            disabled={log.status !== 'active'}
+                            onClick={() => window.open(`/shared/${log.accessId}`, '_blank')}
                             leftSection={<Eye size={14} />}
                           >
                             View
                           </Button>
-                          <Button
-                            variant="outline"
-                            size="xs"
-                            onClick={() => window.open(`https://ipfs.io/ipfs/${log.ipfsCid}`, '_blank')}
-                            title="View on IPFS"
-                            leftSection={<ExternalLink size={14} />}
-                          >
-                            IPFS
-                          </Button>
-                          <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-end', marginLeft: 8 }}>
-                            <Text size="xs" c="dimmed">
-                              {log.accessCount} {log.accessCount === 1 ? 'view' : 'views'}
-                            </Text>
-                            {log.pinStatus && (
-                              <Text size="xs" c="dimmed">
-                                {log.pinStatus === 'pinned' ? 'Active pin' : log.pinStatus}
-                              </Text>
-                            )}
-                          </div>
                         </Group>
                       </Table.Td>
                     </Table.Tr>
@@ -199,6 +248,11 @@ export default function AccessLogsPage() {
                 </Table.Tbody>
               </Table>
             )}
+            {total > DEFAULT_ACCESS_LOG_PAGE_SIZE && (
+              <Group justify="center" mt="md">
+                <Pagination total={Math.ceil(total / DEFAULT_ACCESS_LOG_PAGE_SIZE)} value={page} onChange={setPage} />
+              </Group>
+            )}
           </Card.Section>
         </Card>
       </div>
@@ -0,0 +1,265 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useSession } from 'next-auth/react';
+import { useRouter } from 'next/router';
+import { Card, Text, Title, Button, Alert, Group, Stack, Badge, Loader } from '@mantine/core';
+import { AlertCircle, CheckCircle2, ShieldCheck } from 'lucide-react';
+import PatientLayout from '@/components/layout/PatientLayout';
+import RecordPicker from '@/components/web3/RecordPicker';
+import { useMetaMask } from '@/components/web3/MetaMaskProvider';
+import { applyBundleSelection, BundleSelection } from '@/lib/fhir/selection';
+import { FHIRBundle } from '@/lib/fhir/types';
+import {
+  appendKeyBinding,
+  createHolderProofMessage,
+  createKeyBindingInput,
+  getEthereumDid,
+  selectDisclosures,
+} from '@/lib/web3/credentials';
+import {
+  AuthorizationRequest,
+  createPresentationSubmission,
+  getRequestedResourceTypes,
+  matchPresentationDefinition,
+  selectForPresentation,
+} from '@/lib/web3/presentation';
+
+type Stage = 'loading' | 'request' | 'review' | 'sending' | 'done' | 'error';
+
+/**
+ * Wallet side of an OpenID4VP presentation request: shows what the verifier
+ * asks for, lets the patient review the matching records and answers with a
+ * key-bound SD-JWT presentation (or declines).
+ */
+export default function PresentationRequestPage() {
+  const { data: session } = useSession();
+  const router = useRouter();
+  const { currentAccount, chainId, connectWallet } = useMetaMask();
+
+  const [stage, setStage] = useState<Stage>('loading');
+  const [error, setError] = useState<string | null>(null);
+  const [request, setRequest] = useState<AuthorizationRequest | null>(null);
+  const [credential, setCredential] = useState<string | null>(null);
+  const [bundle, setBundle] = useState<FHIRBundle | null>(null);
+  const [selection, setSelection] = useState<BundleSelection | null>(null);
+  const [outcome, setOutcome] = useState<'shared' | 'declined' | null>(null);
+
+  const requestUri = typeof router.query.request_uri === 'string' ? router.query.request_uri : null;
+  const patientId = session?.user?.id;
+
+  // Fetch the authorization request by reference
+  useEffect(() => {
+    if (!router.isReady) {
+      return;
+    }
+    if (!requestUri) {
+      setError('No presentation request was provided');
+      setStage('error');
+      return;
+    }
+
+    fetch(requestUri)
+      .then(async response => {
+        const result = await response.json();
+        if (!response.ok) {
+          throw new Error(result.error || 'Could not load the presentation request');
+        }
+        setRequest(result);
+        setStage('request');
+      })
+      .catch(err => {
+        setError(err.message);
+        setStage('error');
+      });
+  }, [router.isReady, requestUri]);
+
+  const getSigner = async () => {
+    const address = currentAccount || await connectWallet();
+    if (!window.ethereum || !address) {
+      throw new Error('Connect MetaMask to answer presentation requests');
+    }
+    return address;
+  };
+
+  // Have the EHR issue the requested records as an SD-JWT VC bound to the wallet
+  const reviewRecords = async () => {
+    setError(null);
+    try {
+      const address = await getSigner();
+      const holder = getEthereumDid(address, chainId || await window.ethereum.request({ method: 'eth_chainId' }));
+      const issuedAt = new Date().toISOString();
+      const signature = await window.ethereum.request({
+        method: 'personal_sign',
+        params: [createHolderProofMessage(patientId, holder, issuedAt), address],
+      });
+
+      const response = await fetch('/api/credentials', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          patientId,
+          format: 'sd_jwt_vc',
+          payloadFormat: 'bundle',
+          resourceTypes: getRequestedResourceTypes(request.presentation_definition),
+          proof: { holder, issuedAt, signature },
+        }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Could not issue the credential');
+      }
+
+      setCredential(result.credential);
+      setBundle(result.bundle);
+      setSelection(selectForPresentation(request.presentation_definition, result.bundle));
+      setStage('review');
+    } catch (err: any) {
+      setError(err.message || 'Could not load your records');
+    }
+  };
+
+  // Disclose the selected records, bind them to this verifier and post the vp_token
+  const sharePresentation = async () => {
+    setError(null);
+    setStage('sending');
+    try {
+      const address = await getSigner();
+      const presentation = selectDisclosures(credential, selection);
+      const signingInput = createKeyBindingInput(presentation, {
+        audience: request.client_id,
+        nonce: request.nonce,
+      });
+      const signature = await window.ethereum.request({
+        method: 'personal_sign',
+        params: [signingInput, address],
+      });
+
+      const response = await fetch(request.response_uri, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+          state: request.state,
+          vp_token: appendKeyBinding(presentation, signingInput, signature),
+          presentation_submission: JSON.stringify(
+            createPresentationSubmission(request.presentation_definition, crypto.randomUUID())
+          ),
+        }).toString(),
+      });
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(result.error_description || result.error || 'The verifier rejected the presentation');
+      }
+
+      setOutcome('shared');
+      setStage('done');
+    } catch (err: any) {
+      setError(err.message || 'Could not share your records');
+      setStage('review');
+    }
+  };
+
+  const declineRequest = async () => {
+    setError(null);
+    try {
+      await fetch(request.response_uri, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ state: request.state, error: 'access_denied' }).toString(),
+      });
+      setOutcome('declined');
+      setStage('done');
+    } catch (err: any) {
+      setError(err.message || 'Could not decline the request');
+    }
+  };
+
+  const definition = request?.presentation_definition;
+  const matches = definition && bundle && selection
+    ? matchPresentationDefinition(definition, applyBundleSelection(bundle, selection))
+    : null;
+
+  return (
+    <PatientLayout>
+      <div style={{ maxWidth: 800, margin: '0 auto', padding: 40, paddingLeft: 20, paddingRight: 20 }}>
+        <Title order={1} mb="lg">Presentation Request</Title>
+
+        {error && (
+          <Alert color="red" icon={<AlertCircle size={16} />} mb="md">
+            {error}
+          </Alert>
+        )}
+
+        {stage === 'loading' && (
+          <Group justify="center" p="xl">
+            <Loader />
+          </Group>
+        )}
+
+        {stage === 'done' && (
+          <Alert
+            color={outcome === 'shared' ? 'green' : 'gray'}
+            icon={<CheckCircle2 size={16} />}
+            title={outcome === 'shared' ? 'Records shared' : 'Request declined'}
+          >
+            {outcome === 'shared'
+              ? `Your records were sent to ${request.client_metadata?.client_name || 'the verifier'}.`
+              : 'Nothing was shared with the verifier.'}
+          </Alert>
+        )}
+
+        {definition && (stage === 'request' || stage === 'review' || stage === 'sending') && (
+          <Card withBorder p="lg" radius="md">
+            <Stack gap="md">
+              <Group gap="sm">
+                <ShieldCheck size={20} />
+                <Text fw={600}>{request.client_metadata?.client_name || 'A verifier'} is requesting your records</Text>
+              </Group>
+              <Text size="xs" c="dimmed">{request.client_id}</Text>
+
+              {definition.purpose && <Text size="sm">{definition.purpose}</Text>}
+
+              <Stack gap="xs">
+                {definition.input_descriptors.map(descriptor => (
+                  <Group key={descriptor.id} justify="space-between">
+                    <Text size="sm">{descriptor.name || descriptor.id}</Text>
+                    {matches && (
+                      <Badge color={matches[descriptor.id]?.length ? 'green' : 'red'} variant="light">
+                        {matches[descriptor.id]?.length || 0} matching
+                      </Badge>
+                    )}
+                  </Group>
+                ))}
+              </Stack>
+
+              {!patientId && (
+                <Alert color="yellow" icon={<AlertCircle size={16} />}>
+                  Sign in as a patient to answer this request.
+                </Alert>
+              )}
+
+              {stage !== 'request' && bundle && selection && (
+                <RecordPicker bundle={bundle} selection={selection} onChange={setSelection} />
+              )}
+
+              <Group justify="flex-end">
+                <Button variant="outline" color="red" onClick={declineRequest} disabled={stage === 'sending'}>
+                  Decline
+                </Button>
+                {stage === 'request' ? (
+                  <Button onClick={reviewRecords} disabled={!patientId}>
+                    Review records
+                  </Button>
+                ) : (
+                  <Button onClick={sharePresentation} loading={stage === 'sending'} disabled={!selection?.entries?.length}>
+                    Share selected records
+                  </Button>
+                )}
+              </Group>
+            </Stack>
+          </Card>
+        )}
+      </div>
+    </PatientLayout>
+  );
+}
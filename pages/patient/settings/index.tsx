@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import { useSession } from 'next-auth/react';
 import PatientLayout from '@/components/layout/PatientLayout';
+import ConsentManager from '@/components/consent/ConsentManager';
 import { Card, Text, Button, Switch, TextInput, Divider, Tabs } from '@mantine/core';
 import { notifications } from '@mantine/notifications';
 
@@ -17,10 +18,6 @@ export default function PatientSettingsPage() {
   const [appointmentReminders, setAppointmentReminders] = useState(true);
   const [dataAccessAlerts, setDataAccessAlerts] = useState(true);
 
-  // Privacy settings
-  const [autoApproveProviders, setAutoApproveProviders] = useState(false);
-  const [shareAnonymizedData, setShareAnonymizedData] = useState(false);
-
   // Handle profile update
   const handleProfileUpdate = (e: React.FormEvent) => {
     e.preventDefault();
@@ -40,15 +37,6 @@ export default function PatientSettingsPage() {
     });
   };
 
-  // Handle privacy settings update
-  const handlePrivacyUpdate = () => {
-    // In a real app, this would call an API to update privacy settings
-    notifications.show({
-      title: 'Privacy Settings Updated',
-      message: 'Your privacy preferences have been saved.',
-    });
-  };
-
   return (
     <PatientLayout>
       <div style={{ maxWidth: '56rem', margin: '0 auto', padding: '2rem 1rem' }}>
@@ -168,37 +156,11 @@ export default function PatientSettingsPage() {
             <Card shadow="sm" padding="lg" radius="md" withBorder>
               <Text fw={700} size="lg" mb="xs">Privacy & Security</Text>
               <Text size="sm" c="dimmed" mb="md">
-                Manage your data sharing and security preferences
+                Manage who can access your data, for which purposes, and your security options. Consent changes are saved immediately.
               </Text>
               <Divider mb="md" />
               <div style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem' }}>
-                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
-                  <div>
-                    <Text size="sm" fw={500}>Auto-approve Trusted Providers</Text>
-                    <Text size="xs" c="dimmed">
-                      Automatically approve data access requests from your primary care providers
-                    </Text>
-                  </div>
-                  <Switch
-                    id="auto-approve"
-                    checked={autoApproveProviders}
-                    onChange={(event) => setAutoApproveProviders(event.currentTarget.checked)}
-                  />
-                </div>
-
-                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
-                  <div>
-                    <Text size="sm" fw={500}>Share Anonymized Data</Text>
-                    <Text size="xs" c="dimmed">
-                      Allow your anonymized medical data to be used for research purposes
-                    </Text>
-                  </div>
-                  <Switch
-                    id="anonymized-data"
-                    checked={shareAnonymizedData}
-                    onChange={(event) => setShareAnonymizedData(event.currentTarget.checked)}
-                  />
-                </div>
+                <ConsentManager patientId={session?.user?.id} />
 
                 <Divider my="md" />
                 <div>
@@ -220,7 +182,6 @@ export default function PatientSettingsPage() {
                   </div>
                 </div>
               </div>
-              <Button onClick={handlePrivacyUpdate} mt="md">Save Settings</Button>
             </Card>
           </Tabs.Panel>
         </Tabs>
@@ -1,6 +1,7 @@
 import React from "react";
 import { useForm } from "react-hook-form";
 import { Card, Text, Button, Switch, Avatar, Divider, TextInput, Textarea, Title } from "@mantine/core";
+import ShareKeyCard from "@/components/web3/ShareKeyCard";
 
 export default function Settings() {
   const { register, handleSubmit, formState: { errors, isSubmitting } } = useForm({
@@ -101,6 +102,8 @@ export default function Settings() {
           <Button type="submit" variant="outline" loading={isSubmitting}>Save Preferences</Button>
         </form>
       </Card>
+
+      <ShareKeyCard />
     </div>
   );
 }
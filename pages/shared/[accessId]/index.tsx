@@ -1,12 +1,37 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useRouter } from 'next/router';
-import { Card, Text, Button, TextInput, Alert, LoadingOverlay } from '@mantine/core';
-import { Lock, AlertTriangle, Check, Clock, Eye } from 'lucide-react';
+import { Card, Text, Button, TextInput, Alert, LoadingOverlay, Group, Badge } from '@mantine/core';
+import { Lock, AlertTriangle, Check, Clock, Eye, ShieldCheck } from 'lucide-react';
 import dynamic from 'next/dynamic';
 import { useWeb3 } from '@/components/web3/Web3Handler';
+import { FHIRGrantDetails } from '@/lib/web3/contract';
+import { CredentialVerificationResult, verifyHealthRecordCredential } from '@/lib/web3/credentials';
+import { DecryptionKey, getContentKeyFromHash, getPayloadEncryption, parseEnvelope } from '@/lib/web3/encryption';
+import { getSharedContent } from '@/lib/web3/ipfs';
+import { isEncryptedForShareKeys, requestShareKey } from '@/lib/web3/share-key';
+import { AccessOutcome } from '@/lib/access-events';
 
 // We're using MetaMaskProvider from _app.tsx
 
+const VIEWER_SESSION_KEY = 'ehr-viewer-session';
+
+// Identify anonymous viewers across attempts in the same browser tab
+const getViewerSessionId = () => {
+  let sessionId = sessionStorage.getItem(VIEWER_SESSION_KEY);
+  if (!sessionId) {
+    sessionId = crypto.randomUUID();
+    sessionStorage.setItem(VIEWER_SESSION_KEY, sessionId);
+  }
+  return sessionId;
+};
+
+// Map a verification or decryption error to the outcome logged for the owner
+const getFailedOutcome = (message: string): AccessOutcome | null => {
+  if (/invalid password/i.test(message)) return 'wrong_password';
+  if (/not a grantee/i.test(message)) return 'not_grantee';
+  return null;
+};
+
 export default function SharedDataPage() {
   const router = useRouter();
   const { accessId, useProxy } = router.query;
@@ -17,11 +42,15 @@ export default function SharedDataPage() {
   const [loading, setLoading] = useState(true);
   const [verifying, setVerifying] = useState(false);
   const [error, setError] = useState<string | null>(null);
-  const [accessDetails, setAccessDetails] = useState<any>(null);
+  const [accessDetails, setAccessDetails] = useState<FHIRGrantDetails | null>(null);
   const [password, setPassword] = useState('');
   const [sharedData, setSharedData] = useState<any>(null);
+  const [credentialResult, setCredentialResult] = useState<CredentialVerificationResult | null>(null);
+  const [issuerTrusted, setIssuerTrusted] = useState(false);
   const [expiryTime, setExpiryTime] = useState<Date | null>(null);
   const [timeLeft, setTimeLeft] = useState<string>('');
+  // Content already claimed from the server, so retrying a password does not use up another view
+  const claimedContent = useRef<any>(null);
 
   // Fetch access details on load
   useEffect(() => {
@@ -93,54 +122,110 @@ export default function SharedDataPage() {
     setError(null);
 
     try {
-      // Verify access using the Web3Handler
-      const ipfsCid = await web3.verifyAccess(accessId, passwordInput || undefined);
+      if (!claimedContent.current) {
+        // Verify access using the Web3Handler
+        const { ipfsCid } = await web3.verifyAccess(accessId);
 
-      if (!ipfsCid) {
-        throw new Error('Failed to verify access - no IPFS CID returned');
-      }
+        if (!ipfsCid) {
+          throw new Error('Failed to verify access - no IPFS CID returned');
+        }
 
-      // Fetch the data from IPFS using our proxy if requested
-      let data = await web3.getFromIpfs(ipfsCid);
+        // The server counts the view and logs it for the owner before it sends
+        // the content, and refuses expired shares and views beyond the limit
+        claimedContent.current = await getSharedContent(accessId, {
+          viewerAddress: web3.currentAccount,
+          sessionId: getViewerSessionId(),
+        });
+      }
+      let data = claimedContent.current;
+
+      // Decrypt with the key from the link fragment, the password or the wallet's share key
+      const encryption = getPayloadEncryption(data);
+      if (encryption) {
+        const contentKey = encryption === 'envelope' ? getContentKeyFromHash(window.location.hash) : null;
+        const key = contentKey ? { contentKey } : passwordInput || await getWalletShareKey(data);
+        if (!key) {
+          throw new Error('This data is encrypted. Enter the password, or connect the wallet it was shared with.');
+        }
 
-      // If the data is encrypted and we have a password, decrypt it
-      if (typeof data === 'string' && passwordInput) {
         try {
-          data = await web3.decryptData(data, passwordInput);
+          data = await web3.decryptData(data, key);
         } catch (decryptError) {
           console.error('Error decrypting data:', decryptError);
-          throw new Error('Invalid password or corrupted data');
+          throw new Error(typeof key === 'string' ? 'Invalid password or corrupted data' : 'This data was not shared with the connected wallet');
         }
       }
 
-      // Record this access in the database
-      try {
-        const recordResponse = await fetch('/api/shared-data/record-access', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({ accessId }),
-        });
-
-        if (recordResponse.ok) {
-        } else {
-          console.warn('Failed to record access:', await recordResponse.json());
-        }
-      } catch (recordError) {
-        console.error('Error recording access:', recordError);
-        // Continue even if recording fails - don't block access to data
+      if (data?.credential?.credential) {
+        await verifyCredential(data);
       }
 
       setSharedData(data);
     } catch (err: any) {
       console.error('Error verifying access:', err);
       setError(err.message || 'Failed to verify access');
+
+      // Refusals from the server are already in the owner's log
+      const outcome = err.status ? null : getFailedOutcome(err.message || '');
+      if (outcome) {
+        await recordAccess(accessId, outcome);
+      }
     } finally {
       setVerifying(false);
     }
   };
 
+  // Data encrypted for share keys is opened with a signature from the viewer's wallet
+  const getWalletShareKey = async (data: any): Promise<DecryptionKey | null> => {
+    if (!isEncryptedForShareKeys(parseEnvelope(data))) {
+      return null;
+    }
+
+    const account = web3.currentAccount || await web3.connectWallet();
+    return account ? { privateKey: (await requestShareKey(account)).privateKey } : null;
+  };
+
+  // Log a failed attempt for the share's owner
+  const recordAccess = async (accessId: string, outcome: AccessOutcome) => {
+    try {
+      const recordResponse = await fetch('/api/shared-data/record-access', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          accessId,
+          outcome,
+          viewerAddress: web3.currentAccount,
+          sessionId: getViewerSessionId(),
+        }),
+      });
+
+      if (!recordResponse.ok) {
+        console.warn('Failed to record access:', await recordResponse.json());
+      }
+    } catch (recordError) {
+      console.error('Error recording access:', recordError);
+    }
+  };
+
+  // Check the issuer signature of a shared Verifiable Credential and that the
+  // shared records are the ones that were signed
+  const verifyCredential = async (data: any) => {
+    const result = verifyHealthRecordCredential(data.credential.credential, { bundle: data.fhirBundle });
+    setCredentialResult(result);
+
+    try {
+      const issuerResponse = await fetch('/api/credentials');
+      if (issuerResponse.ok) {
+        const { issuer } = await issuerResponse.json();
+        setIssuerTrusted(issuer === result.issuer);
+      }
+    } catch (issuerError) {
+      console.error('Error fetching credential issuer:', issuerError);
+    }
+  };
+
   const handleVerify = () => {
     verifyAndFetchData(password);
   };
@@ -155,12 +240,28 @@ export default function SharedDataPage() {
           You have successfully accessed the shared medical data
         </Alert>
 
+        {credentialResult && renderCredentialStatus()}
+
         <div style={{ backgroundColor: 'var(--mantine-color-gray-1)', padding: '16px', borderRadius: '8px' }}>
           <Text fw={500} mb="xs">Patient Information</Text>
           <Text size="sm">Patient ID: {sharedData.patientId}</Text>
           <Text size="sm">Shared on: {new Date(sharedData.createdAt).toLocaleString()}</Text>
         </div>
 
+        {sharedData.fhirBundle?.type === 'document' && (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+            <Text fw={500}>{getComposition()?.title || 'International Patient Summary'}</Text>
+            {(getComposition()?.section || []).map((section: any) => (
+              <Group key={section.title} justify="space-between">
+                <Text size="sm">{section.title}</Text>
+                <Badge variant="light" color={section.entry?.length ? 'blue' : 'gray'}>
+                  {section.entry?.length ? `${section.entry.length} entries` : 'No information'}
+                </Badge>
+              </Group>
+            ))}
+          </div>
+        )}
+
         <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
           <Text fw={500}>Shared Data Types</Text>
           <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(250px, 1fr))', gap: '16px' }}>
@@ -168,7 +269,9 @@ export default function SharedDataPage() {
               <Card key={type} withBorder>
                 <Text fw={500} size="md" mb="xs">{formatDataType(type)}</Text>
                 <Text size="sm" c="dimmed">
-                  Data available for viewing
+                  {sharedData.fhirBundle
+                    ? `${countRecords(type)} record(s) shared`
+                    : 'Data available for viewing'}
                 </Text>
                 <Button variant="outline" fullWidth mt="md">
                   View Details
@@ -181,18 +284,77 @@ export default function SharedDataPage() {
     );
   };
 
+  // Show who issued the shared credential and whether its signature checks out
+  const renderCredentialStatus = () => {
+    if (!credentialResult.valid) {
+      return (
+        <Alert color="red" title="Credential verification failed" icon={<AlertTriangle size={16} />}>
+          {credentialResult.errors.map(message => (
+            <Text size="sm" key={message}>{message}</Text>
+          ))}
+        </Alert>
+      );
+    }
+
+    return (
+      <Alert
+        color={issuerTrusted ? 'green' : 'yellow'}
+        title={issuerTrusted ? 'Verified Credential' : 'Valid signature from an unknown issuer'}
+        icon={<ShieldCheck size={16} />}
+      >
+        <Text size="sm">Issuer: {credentialResult.issuer}</Text>
+        <Text size="sm">Holder: {credentialResult.holder}</Text>
+        <Text size="sm">Issued: {new Date(credentialResult.issuedAt).toLocaleString()}</Text>
+        {credentialResult.expiresAt && (
+          <Text size="sm">Valid until: {new Date(credentialResult.expiresAt).toLocaleString()}</Text>
+        )}
+        <Group gap="xs" mt="xs">
+          <Badge variant="light">{credentialResult.format === 'sd_jwt_vc' ? 'SD-JWT VC' : 'W3C VC'}</Badge>
+          {credentialResult.undisclosedEntries > 0 && (
+            <Badge variant="light" color="gray">{credentialResult.undisclosedEntries} undisclosed entries</Badge>
+          )}
+          {credentialResult.undisclosedFields > 0 && (
+            <Badge variant="light" color="gray">{credentialResult.undisclosedFields} hidden fields</Badge>
+          )}
+        </Group>
+      </Alert>
+    );
+  };
+
   // Helper to format data type IDs into readable labels
   const formatDataType = (type: string) => {
     const labels: Record<string, string> = {
       'medical-history': 'Medical History',
       'lab-results': 'Lab Results',
       'imaging': 'Imaging & Scans',
+      'allergies': 'Allergies',
       'prescriptions': 'Prescriptions',
       'visit-notes': 'Visit Notes',
     };
     return labels[type] || type;
   };
 
+  // Helper to get the Composition of a shared IPS document
+  const getComposition = () => {
+    return sharedData?.fhirBundle?.entry?.[0]?.resource?.resourceType === 'Composition'
+      ? sharedData.fhirBundle.entry[0].resource
+      : null;
+  };
+
+  // Helper to count the FHIR records shared for a data type
+  const countRecords = (type: string) => {
+    const resourceTypes: Record<string, string> = {
+      'medical-history': 'Condition',
+      'lab-results': 'Observation',
+      'allergies': 'AllergyIntolerance',
+      'prescriptions': 'MedicationRequest',
+      'visit-notes': 'Encounter',
+    };
+    return (sharedData?.fhirBundle?.entry || [])
+      .filter((entry: any) => entry.resource?.resourceType === resourceTypes[type])
+      .length;
+  };
+
   if (loading) {
     return (
       <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '100vh' }}>
@@ -229,9 +391,7 @@ export default function SharedDataPage() {
           <Card>
             <Text fw={600} size="lg" mb="xs">Access Verification</Text>
             <Text size="sm" c="dimmed" mb="md">
-              {accessDetails?.hasPassword
-                ? 'Enter the password to access the shared medical data'
-                : 'Verifying access to the shared medical data'}
+              Enter the password if the patient gave you one, then select Verify
             </Text>
 
             {error && (
@@ -240,6 +400,24 @@ export default function SharedDataPage() {
               </Alert>
             )}
 
+            {accessDetails?.recipientBound && (
+              <Alert color="blue" title="Shared with specific recipients" icon={<ShieldCheck size={16} />} mb="md">
+                Only {accessDetails.grantees?.length === 1 ? 'the recipient wallet' : `the ${accessDetails.grantees?.length} recipient wallets`} can
+                open this data. Connect a recipient wallet in MetaMask, then select Verify.
+              </Alert>
+            )}
+
+            {accessDetails?.resourceTypes?.length > 0 && (
+              <Group gap="xs" mb="md">
+                <Text size="sm">
+                  {accessDetails.fhirResourceType}{accessDetails.fhirVersion && ` (FHIR ${accessDetails.fhirVersion})`} containing:
+                </Text>
+                {accessDetails.resourceTypes.map(type => (
+                  <Badge key={type} variant="light" size="sm">{type}</Badge>
+                ))}
+              </Group>
+            )}
+
             {expiryTime && (
               <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px' }}>
                 <Clock size={16} />
@@ -262,13 +440,17 @@ export default function SharedDataPage() {
                 />
                 <Button
                   onClick={handleVerify}
-                  disabled={verifying || !password}
+                  disabled={verifying}
                   leftSection={!verifying ? <Lock size={16} /> : undefined}
                   loading={verifying}
                 >
                   {verifying ? 'Verifying' : 'Verify'}
                 </Button>
               </div>
+              <Text size="xs" c="dimmed">
+                If the data was encrypted for your share key, leave the password empty: MetaMask asks you to sign a
+                message, and the key to open the data is derived from it in your browser.
+              </Text>
             </div>
 
             {verifying && (
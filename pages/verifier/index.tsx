@@ -0,0 +1,162 @@
+import { useState, useEffect } from 'react';
+import { Card, Text, Title, Button, Select, TextInput, Alert, Group, Stack, Badge, Code } from '@mantine/core';
+import { AlertCircle, CheckCircle2, Clock, XCircle } from 'lucide-react';
+import QRCode from 'react-qr-code';
+import { PRESENTATION_TEMPLATES } from '@/lib/web3/presentation';
+
+const templateOptions = Object.entries(PRESENTATION_TEMPLATES).map(([value, template]) => ({
+  value,
+  label: template.label,
+}));
+
+const statusColors: Record<string, string> = {
+  pending: 'blue',
+  submitted: 'green',
+  rejected: 'red',
+  declined: 'gray',
+  expired: 'gray',
+};
+
+/**
+ * Stand-in verifier for trying the OpenID4VP flow locally: creates a
+ * presentation request, shows it as a QR code / wallet link and polls for the
+ * verified response.
+ */
+export default function VerifierPage() {
+  const [template, setTemplate] = useState<string>('patient-observations-12m');
+  const [verifierName, setVerifierName] = useState('Demo Clinic');
+  const [created, setCreated] = useState<any>(null);
+  const [status, setStatus] = useState<any>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [creating, setCreating] = useState(false);
+
+  const createRequest = async () => {
+    setCreating(true);
+    setError(null);
+    setStatus(null);
+    try {
+      const response = await fetch('/api/shared-data/presentation-requests', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ template, verifierName }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Could not create the presentation request');
+      }
+      setCreated(result);
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  // Poll for the wallet's response until the request is answered or expires
+  useEffect(() => {
+    if (!created?.id) {
+      return;
+    }
+
+    const interval = window.setInterval(async () => {
+      try {
+        const response = await fetch(`/api/shared-data/presentation-requests/${created.id}`, {
+          headers: { Authorization: `Bearer ${created.pollToken}` },
+        });
+        const result = await response.json();
+        if (response.ok) {
+          setStatus(result);
+          if (result.status !== 'pending') {
+            window.clearInterval(interval);
+          }
+        }
+      } catch (err) {
+        console.error('Error polling presentation request:', err);
+      }
+    }, 2000);
+
+    return () => window.clearInterval(interval);
+  }, [created?.id, created?.pollToken]);
+
+  const currentStatus = status?.status || (created ? 'pending' : null);
+  const entries = status?.result?.bundle?.entry || [];
+
+  return (
+    <div style={{ maxWidth: 800, margin: '0 auto', padding: 40, paddingLeft: 20, paddingRight: 20 }}>
+      <Title order={1} mb="xs">Verifier</Title>
+      <Text c="dimmed" mb="xl">
+        Request patient records from a wallet with OpenID4VP and verify the presentation.
+      </Text>
+
+      {error && (
+        <Alert color="red" icon={<AlertCircle size={16} />} mb="md">
+          {error}
+        </Alert>
+      )}
+
+      <Card withBorder p="lg" radius="md" mb="lg">
+        <Stack gap="md">
+          <TextInput
+            label="Verifier name"
+            value={verifierName}
+            onChange={(event) => setVerifierName(event.currentTarget.value)}
+          />
+          <Select
+            label="Requested data"
+            data={templateOptions}
+            value={template}
+            onChange={(value) => setTemplate(value || 'patient-observations-12m')}
+          />
+          <Group justify="flex-end">
+            <Button onClick={createRequest} loading={creating}>
+              Create request
+            </Button>
+          </Group>
+        </Stack>
+      </Card>
+
+      {created && (
+        <Card withBorder p="lg" radius="md" mb="lg">
+          <Stack gap="md" align="center">
+            <QRCode value={created.authorizationRequestUrl} size={200} />
+            <Button component="a" href={created.walletUrl} target="_blank" variant="outline">
+              Open in wallet
+            </Button>
+            <Group gap="xs">
+              <Text size="sm">Status:</Text>
+              <Badge color={statusColors[currentStatus] || 'gray'} leftSection={currentStatus === 'pending' ? <Clock size={12} /> : null}>
+                {currentStatus}
+              </Badge>
+            </Group>
+          </Stack>
+        </Card>
+      )}
+
+      {status?.result && (
+        <Alert
+          color={status.result.valid ? 'green' : 'red'}
+          icon={status.result.valid ? <CheckCircle2 size={16} /> : <XCircle size={16} />}
+          title={status.result.valid ? 'Presentation verified' : 'Presentation rejected'}
+        >
+          <Stack gap="xs">
+            {status.holder && <Text size="sm">Holder: {status.holder}</Text>}
+            {status.result.issuer && <Text size="sm">Issuer: {status.result.issuer}</Text>}
+            {status.result.errors?.map((message: string) => (
+              <Text size="sm" key={message}>{message}</Text>
+            ))}
+            {status.result.valid && (
+              <Text size="sm">
+                {entries.length} records disclosed
+                {status.result.undisclosedEntries > 0 && `, ${status.result.undisclosedEntries} withheld`}
+              </Text>
+            )}
+          </Stack>
+        </Alert>
+      )}
+
+      {entries.length > 0 && (
+        <Code block mt="md">{JSON.stringify(status.result.bundle, null, 2)}</Code>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "Observation" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "patientId" TEXT NOT NULL,
+    "visitId" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'final',
+    "category" TEXT,
+    "code" TEXT NOT NULL,
+    "codeSystem" TEXT,
+    "codeDisplay" TEXT,
+    "effectiveDate" DATETIME NOT NULL,
+    "valueQuantity" REAL,
+    "valueUnit" TEXT,
+    "valueString" TEXT,
+    "components" TEXT,
+    "notes" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Observation_patientId_fkey" FOREIGN KEY ("patientId") REFERENCES "Patient" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Observation_visitId_fkey" FOREIGN KEY ("visitId") REFERENCES "Visit" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "Observation_patientId_code_idx" ON "Observation"("patientId", "code");
@@ -0,0 +1,74 @@
+-- CreateTable
+CREATE TABLE "Condition" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "patientId" TEXT NOT NULL,
+    "visitId" TEXT,
+    "clinicalStatus" TEXT NOT NULL DEFAULT 'active',
+    "verificationStatus" TEXT,
+    "category" TEXT,
+    "severity" TEXT,
+    "code" TEXT NOT NULL,
+    "codeSystem" TEXT,
+    "codeDisplay" TEXT,
+    "onsetDate" DATETIME,
+    "abatementDate" DATETIME,
+    "recordedDate" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "notes" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Condition_patientId_fkey" FOREIGN KEY ("patientId") REFERENCES "Patient" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Condition_visitId_fkey" FOREIGN KEY ("visitId") REFERENCES "Visit" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "MedicationRequest" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "patientId" TEXT NOT NULL,
+    "visitId" TEXT,
+    "providerId" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "intent" TEXT NOT NULL DEFAULT 'order',
+    "medicationCode" TEXT,
+    "medicationSystem" TEXT,
+    "medicationDisplay" TEXT NOT NULL,
+    "dosageText" TEXT,
+    "authoredOn" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "reason" TEXT,
+    "notes" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "MedicationRequest_patientId_fkey" FOREIGN KEY ("patientId") REFERENCES "Patient" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "MedicationRequest_visitId_fkey" FOREIGN KEY ("visitId") REFERENCES "Visit" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "MedicationRequest_providerId_fkey" FOREIGN KEY ("providerId") REFERENCES "Provider" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "AllergyIntolerance" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "patientId" TEXT NOT NULL,
+    "clinicalStatus" TEXT NOT NULL DEFAULT 'active',
+    "verificationStatus" TEXT,
+    "type" TEXT,
+    "category" TEXT,
+    "criticality" TEXT,
+    "code" TEXT,
+    "codeSystem" TEXT,
+    "codeDisplay" TEXT NOT NULL,
+    "reaction" TEXT,
+    "reactionSeverity" TEXT,
+    "onsetDate" DATETIME,
+    "recordedDate" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "notes" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "AllergyIntolerance_patientId_fkey" FOREIGN KEY ("patientId") REFERENCES "Patient" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "Condition_patientId_code_idx" ON "Condition"("patientId", "code");
+
+-- CreateIndex
+CREATE INDEX "MedicationRequest_patientId_status_idx" ON "MedicationRequest"("patientId", "status");
+
+-- CreateIndex
+CREATE INDEX "AllergyIntolerance_patientId_idx" ON "AllergyIntolerance"("patientId");
@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE "Patient" ADD COLUMN "versionId" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "Visit" ADD COLUMN "versionId" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "Observation" ADD COLUMN "versionId" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "Condition" ADD COLUMN "versionId" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "MedicationRequest" ADD COLUMN "versionId" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "AllergyIntolerance" ADD COLUMN "versionId" INTEGER NOT NULL DEFAULT 1;
+
+-- CreateTable
+CREATE TABLE "ResourceVersion" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "resourceType" TEXT NOT NULL,
+    "resourceId" TEXT NOT NULL,
+    "versionId" INTEGER NOT NULL,
+    "method" TEXT NOT NULL,
+    "resource" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "ResourceVersion_resourceType_resourceId_idx" ON "ResourceVersion"("resourceType", "resourceId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ResourceVersion_resourceType_resourceId_versionId_key" ON "ResourceVersion"("resourceType", "resourceId", "versionId");
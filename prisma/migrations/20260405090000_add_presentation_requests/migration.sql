@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "PresentationRequest" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "state" TEXT NOT NULL,
+    "nonce" TEXT NOT NULL,
+    "verifierName" TEXT,
+    "presentationDefinition" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "vpToken" TEXT,
+    "presentationSubmission" TEXT,
+    "holder" TEXT,
+    "verificationResult" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" DATETIME NOT NULL,
+    "respondedAt" DATETIME
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PresentationRequest_state_key" ON "PresentationRequest"("state");
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "SharedMedicalData" ADD COLUMN "revokedAt" DATETIME;
+ALTER TABLE "SharedMedicalData" ADD COLUMN "revocationTxHash" TEXT;
+ALTER TABLE "SharedMedicalData" ADD COLUMN "unpinnedAt" DATETIME;
@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "SharedMedicalData" ADD COLUMN "createdBlock" INTEGER;
+
+-- CreateTable
+CREATE TABLE "GrantEvent" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "accessId" TEXT NOT NULL,
+    "event" TEXT NOT NULL,
+    "actor" TEXT NOT NULL,
+    "reason" TEXT,
+    "chainId" INTEGER NOT NULL,
+    "blockNumber" INTEGER NOT NULL,
+    "transactionHash" TEXT NOT NULL,
+    "logIndex" INTEGER NOT NULL,
+    "occurredAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "IndexerCheckpoint" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "chainId" INTEGER NOT NULL,
+    "contractAddress" TEXT NOT NULL,
+    "blockNumber" INTEGER NOT NULL,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "GrantEvent_accessId_idx" ON "GrantEvent"("accessId");
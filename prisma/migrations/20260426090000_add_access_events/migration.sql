@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "AccessEvent" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "sharedDataId" TEXT NOT NULL,
+    "ownerId" TEXT NOT NULL,
+    "viewerAddress" TEXT,
+    "viewerSession" TEXT,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "outcome" TEXT NOT NULL,
+    "resourceTypes" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "AccessEvent_sharedDataId_fkey" FOREIGN KEY ("sharedDataId") REFERENCES "SharedMedicalData" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "AccessEvent_ownerId_createdAt_idx" ON "AccessEvent"("ownerId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AccessEvent_sharedDataId_idx" ON "AccessEvent"("sharedDataId");
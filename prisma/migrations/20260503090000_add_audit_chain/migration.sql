@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "AuditEntry" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "ownerId" TEXT NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "action" TEXT NOT NULL,
+    "details" TEXT NOT NULL,
+    "prevHash" TEXT NOT NULL,
+    "hash" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "AuditAnchor" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "root" TEXT NOT NULL,
+    "leaves" TEXT NOT NULL,
+    "chainId" INTEGER NOT NULL,
+    "contractAddress" TEXT NOT NULL,
+    "transactionHash" TEXT NOT NULL,
+    "blockNumber" INTEGER NOT NULL,
+    "anchoredAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AuditEntry_ownerId_sequence_key" ON "AuditEntry"("ownerId", "sequence");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AuditAnchor_root_key" ON "AuditAnchor"("root");
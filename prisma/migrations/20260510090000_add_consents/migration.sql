@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "Consent" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "patientId" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "provisionType" TEXT NOT NULL DEFAULT 'permit',
+    "actor" TEXT,
+    "purposes" TEXT,
+    "categories" TEXT,
+    "periodStart" DATETIME,
+    "periodEnd" DATETIME,
+    "versionId" INTEGER NOT NULL DEFAULT 1,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Consent_patientId_fkey" FOREIGN KEY ("patientId") REFERENCES "Patient" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "Consent_patientId_status_idx" ON "Consent"("patientId", "status");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "SharedMedicalData" ADD COLUMN "maxViews" INTEGER;
+ALTER TABLE "SharedMedicalData" ADD COLUMN "expiredAt" DATETIME;
+
+-- CreateIndex
+CREATE INDEX "SharedMedicalData_isActive_expiryTime_idx" ON "SharedMedicalData"("isActive", "expiryTime");
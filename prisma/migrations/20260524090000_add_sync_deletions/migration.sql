@@ -0,0 +1,10 @@
+-- CreateTable
+CREATE TABLE "SyncDeletion" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "entityType" TEXT NOT NULL,
+    "recordId" TEXT NOT NULL,
+    "deletedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "SyncDeletion_deletedAt_idx" ON "SyncDeletion"("deletedAt");
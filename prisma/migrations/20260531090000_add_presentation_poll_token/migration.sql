@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "PresentationRequest" ADD COLUMN "pollTokenHash" TEXT;
@@ -0,0 +1,63 @@
+/**
+ * Anchor the Merkle root of the audit log chain heads on FHIRAccessControl.
+ *
+ *   npm run anchor:audit               # anchor once and exit
+ *   npm run anchor:audit -- --watch    # anchor every AUDIT_ANCHOR_INTERVAL_MINUTES
+ *
+ * Signs with AUDIT_ANCHOR_PRIVATE_KEY, which must be the contract's audit
+ * anchorer (the deployer, or whoever it handed over to), and uses the RPC
+ * endpoint and contract address of the event indexer (FHIR_INDEXER_RPC_URL,
+ * NEXT_PUBLIC_FHIR_ACCESS_CONTRACT_ADDRESS) from .env.local.
+ */
+
+import { config } from 'dotenv';
+import { ethers } from 'ethers';
+import { PrismaClient } from '@prisma/client';
+import { getIndexerConfig } from '../lib/web3/indexer';
+import { anchorAuditLog } from '../lib/web3/audit-anchor';
+import { connectFHIRAccessControl } from '../lib/web3/generated/FHIRAccessControl';
+
+config({ path: '.env.local' });
+
+const prisma = new PrismaClient();
+
+async function main() {
+  const { rpcUrl, contractAddress } = getIndexerConfig();
+  if (!contractAddress) {
+    throw new Error('Set NEXT_PUBLIC_FHIR_ACCESS_CONTRACT_ADDRESS or FHIR_INDEXER_CONTRACT_ADDRESS');
+  }
+  if (!process.env.AUDIT_ANCHOR_PRIVATE_KEY) {
+    throw new Error('Set AUDIT_ANCHOR_PRIVATE_KEY to the key of the wallet that pays for anchoring');
+  }
+
+  const signer = new ethers.Wallet(process.env.AUDIT_ANCHOR_PRIVATE_KEY, new ethers.JsonRpcProvider(rpcUrl));
+  const contract = connectFHIRAccessControl(contractAddress, signer);
+  const anchorer = await contract.auditAnchorer();
+  if (anchorer.toLowerCase() !== signer.address.toLowerCase()) {
+    throw new Error(`AUDIT_ANCHOR_PRIVATE_KEY is not the contract's audit anchorer (${anchorer}); hand it over with setAuditAnchorer`);
+  }
+  const intervalMs = parseInt(process.env.AUDIT_ANCHOR_INTERVAL_MINUTES || '60', 10) * 60 * 1000;
+  const watch = process.argv.includes('--watch');
+
+  do {
+    const result = await anchorAuditLog(prisma, contract);
+    if (result) {
+      console.log(`Anchored ${result.root} over ${result.leafCount} chains in ${result.transactionHash}`);
+    } else {
+      console.log('Nothing new to anchor');
+    }
+
+    if (watch) {
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+  } while (watch);
+}
+
+main()
+  .catch((error) => {
+    console.error('Error anchoring audit log:', error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
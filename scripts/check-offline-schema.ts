@@ -0,0 +1,23 @@
+/**
+ * Check that the offline IndexedDB schema still mirrors the Prisma schema.
+ *
+ *   npm run db:check-offline
+ *
+ * Exits with an error listing every table that does not.
+ */
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { checkOfflineSchema } from '../lib/db-schema-check';
+import { LATEST_DB_VERSION } from '../lib/db-migrations';
+
+const prismaSchema = readFileSync(path.join(__dirname, '../prisma/schema.prisma'), 'utf8');
+const problems = checkOfflineSchema(prismaSchema);
+
+if (problems.length) {
+  console.error(`The offline schema (version ${LATEST_DB_VERSION}) does not match prisma/schema.prisma:`);
+  problems.forEach(problem => console.error(`  - ${problem}`));
+  process.exitCode = 1;
+} else {
+  console.log(`The offline schema (version ${LATEST_DB_VERSION}) matches prisma/schema.prisma`);
+}
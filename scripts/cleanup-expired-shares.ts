@@ -0,0 +1,48 @@
+/**
+ * Deactivate expired shares and unpin their content from storage.
+ *
+ *   npm run cleanup:shares               # clean up once and exit
+ *   npm run cleanup:shares -- --watch    # clean up every SHARE_CLEANUP_INTERVAL_MINUTES
+ *
+ * Unpins through the storage driver configured in .env.local (STORAGE_DRIVER);
+ * when it is not configured, shares are only deactivated.
+ */
+
+import { config } from 'dotenv';
+import { PrismaClient } from '@prisma/client';
+
+config({ path: '.env.local' });
+
+const prisma = new PrismaClient();
+
+async function main() {
+  // Imported after dotenv, so the storage driver sees its configuration
+  const { getStorageProvider } = await import('../lib/storage');
+  const { cleanupExpiredShares } = await import('../lib/share-expiry');
+
+  const intervalMs = parseInt(process.env.SHARE_CLEANUP_INTERVAL_MINUTES || '15', 10) * 60 * 1000;
+  const watch = process.argv.includes('--watch');
+
+  do {
+    const result = await cleanupExpiredShares({ prisma, storage: getStorageProvider() });
+    console.log(`Expired ${result.expired} shares, unpinned ${result.unpinned} CIDs`
+      + (result.stillShared ? `, ${result.stillShared} still shared` : '')
+      + (result.failed ? `, ${result.failed} failed to unpin` : ''));
+    if (result.unpinSkipped) {
+      console.log('Storage is not configured, so nothing was unpinned');
+    }
+
+    if (watch) {
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+  } while (watch);
+}
+
+main()
+  .catch((error) => {
+    console.error('Error cleaning up expired shares:', error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -1,4 +1,4 @@
-// Scripts for deploying the AccessControl contract
+// Scripts for deploying the AccessControl and FHIRAccessControl contracts
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
@@ -20,10 +20,20 @@ async function main() {
   const address = await accessControl.getAddress();
   console.log(`\n✅ AccessControl contract deployed to: ${address}`);
 
+  // Deploy FHIRAccessControl, used for recipient-bound grants
+  console.log("📝 Deploying FHIRAccessControl contract...");
+  const FHIRAccessControlFactory = await hre.ethers.getContractFactory("FHIRAccessControl");
+  const fhirAccessControl = await FHIRAccessControlFactory.deploy();
+  await fhirAccessControl.waitForDeployment();
+
+  const fhirAddress = await fhirAccessControl.getAddress();
+  console.log(`✅ FHIRAccessControl contract deployed to: ${fhirAddress}`);
+
   // Get network-specific info
   const networkInfo = {
     network: network,
     contractAddress: address,
+    fhirContractAddress: fhirAddress,
     deployedAt: new Date().toISOString(),
     chainId: hre.network.config.chainId
   };
@@ -45,22 +55,28 @@ async function main() {
     envContent = fs.readFileSync(envPath, "utf8");
   }
 
-  const envVarName = "NEXT_PUBLIC_ACCESS_CONTRACT_ADDRESS";
-  const envLine = `${envVarName}=${address}`;
-
-  if (envContent.includes(envVarName)) {
-    // Update existing variable
-    envContent = envContent.replace(
-      new RegExp(`${envVarName}=.*`, "g"),
-      envLine
-    );
-  } else {
-    // Add new variable
-    envContent += `\n${envLine}\n`;
+  const envVars = {
+    NEXT_PUBLIC_ACCESS_CONTRACT_ADDRESS: address,
+    NEXT_PUBLIC_FHIR_ACCESS_CONTRACT_ADDRESS: fhirAddress,
+  };
+
+  for (const [envVarName, value] of Object.entries(envVars)) {
+    const envLine = `${envVarName}=${value}`;
+
+    if (envContent.includes(`${envVarName}=`)) {
+      // Update existing variable
+      envContent = envContent.replace(
+        new RegExp(`^${envVarName}=.*`, "gm"),
+        envLine
+      );
+    } else {
+      // Add new variable
+      envContent += `\n${envLine}\n`;
+    }
   }
 
   fs.writeFileSync(envPath, envContent);
-  console.log(`📝 Updated .env.local with contract address`);
+  console.log(`📝 Updated .env.local with contract addresses`);
 
   // Network-specific verification instructions
   if (network === "amoy") {
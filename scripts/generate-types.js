@@ -1,47 +1,96 @@
-const { execSync } = require('child_process');
+// Generates typed ethers v6 clients for the contracts from the Hardhat artifacts.
+// Run `npx hardhat compile` first, then `npm run generate:types`.
 const fs = require('fs');
 const path = require('path');
 
-// Ensure the types directory exists
-const typesDir = path.join(__dirname, '../types/contracts');
-if (!fs.existsSync(typesDir)) {
-  fs.mkdirSync(typesDir, { recursive: true });
+// Contracts the app talks to, and where their generated modules go
+const CONTRACTS = ['FHIRAccessControl'];
+
+const artifactsDir = path.join(__dirname, '../artifacts/contracts');
+const outDir = path.join(__dirname, '../lib/web3/generated');
+
+// Map a Solidity ABI type to the TypeScript type ethers v6 uses
+const toTsType = (param, isInput) => {
+  const arrayMatch = param.type.match(/^(.*)\[\d*\]$/);
+  if (arrayMatch) {
+    return `${toTsType({ ...param, type: arrayMatch[1] }, isInput)}[]`;
+  }
+  if (/^u?int\d*$/.test(param.type)) {
+    return isInput ? 'BigNumberish' : 'bigint';
+  }
+  if (param.type === 'bool') {
+    return 'boolean';
+  }
+  return 'string';
+};
+
+const toParamName = (param, index) => param.name ? param.name.replace(/^_/, '') : `arg${index}`;
+
+const renderOutputs = (outputs) => {
+  if (outputs.length === 0) {
+    return 'void';
+  }
+  if (outputs.length === 1) {
+    return toTsType(outputs[0], false);
+  }
+
+  // ethers returns a Result, which can be read both by position and by name
+  const tuple = outputs.map((output, index) => `${toParamName(output, index)}: ${toTsType(output, false)}`).join(', ');
+  const named = outputs
+    .filter(output => output.name)
+    .map((output, index) => `${toParamName(output, index)}: ${toTsType(output, false)}`)
+    .join('; ');
+  return named ? `[${tuple}] & { ${named} }` : `[${tuple}]`;
+};
+
+const renderFunction = (fragment) => {
+  const inputs = fragment.inputs.map((input, index) => `${toParamName(input, index)}: ${toTsType(input, true)}`).join(', ');
+  const isView = fragment.stateMutability === 'view' || fragment.stateMutability === 'pure';
+  const returns = isView ? renderOutputs(fragment.outputs) : 'ContractTransactionResponse';
+  return `  ${fragment.name}(${inputs}): Promise<${returns}>;`;
+};
+
+const renderModule = (contractName, artifact) => {
+  const functions = artifact.abi.filter(fragment => fragment.type === 'function');
+  const events = artifact.abi.filter(fragment => fragment.type === 'event');
+
+  return `// This file is generated by scripts/generate-types.js from
+// ${path.posix.join('artifacts/contracts', `${contractName}.sol`, `${contractName}.json`)}. Do not edit it by hand.
+
+import { BaseContract, BigNumberish, Contract, ContractRunner, ContractTransactionResponse } from 'ethers';
+
+export const ${contractName}Abi = ${JSON.stringify(artifact.abi, null, 2)} as const;
+
+export type ${contractName}EventName =
+${events.map(event => `  | '${event.name}'`).join('\n')};
+
+export interface ${contractName}Methods {
+${functions.map(renderFunction).join('\n')}
 }
 
-console.log('Generating TypeScript types for contracts...');
-
-// Run hardhat typechain to generate TypeScript types
-try {
-  execSync('npx hardhat typechain', { stdio: 'inherit' });
-  console.log('Contract types successfully generated.');
-  
-  // Copy the generated types to a location that the Next.js app can use
-  const contractArtifactsDir = path.join(__dirname, '../artifacts/contracts');
-  const contractTypesDir = path.join(__dirname, '../types/contracts');
-  
-  console.log('Copying contract ABI to app directory...');
-  
-  // Read AccessControl.sol artifacts
-  const artifactPath = path.join(contractArtifactsDir, 'AccessControl.sol/AccessControl.json');
-  if (fs.existsSync(artifactPath)) {
-    const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
-    
-    // Extract and save the ABI
-    const abiPath = path.join(__dirname, '../app/lib/contracts/AccessControlAbi.json');
-    
-    // Ensure directory exists
-    const abiDir = path.dirname(abiPath);
-    if (!fs.existsSync(abiDir)) {
-      fs.mkdirSync(abiDir, { recursive: true });
-    }
-    
-    // Write the ABI to a file
-    fs.writeFileSync(abiPath, JSON.stringify(artifact.abi, null, 2));
-    console.log(`ABI saved to ${abiPath}`);
-  } else {
-    console.log('AccessControl artifacts not found. Make sure to run "npx hardhat compile" first.');
+export type ${contractName}Contract = BaseContract & ${contractName}Methods;
+
+// Bind a typed ${contractName} instance to a deployed address
+export const connect${contractName} = (address: string, runner?: ContractRunner | null): ${contractName}Contract =>
+  new Contract(address, ${contractName}Abi as any, runner) as unknown as ${contractName}Contract;
+`;
+};
+
+console.log('Generating TypeScript clients for contracts...');
+
+if (!fs.existsSync(outDir)) {
+  fs.mkdirSync(outDir, { recursive: true });
+}
+
+for (const contractName of CONTRACTS) {
+  const artifactPath = path.join(artifactsDir, `${contractName}.sol`, `${contractName}.json`);
+  if (!fs.existsSync(artifactPath)) {
+    console.error(`${contractName} artifacts not found. Make sure to run "npx hardhat compile" first.`);
+    process.exit(1);
   }
-} catch (error) {
-  console.error('Error generating contract types:', error);
-  process.exit(1);
+
+  const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+  const outPath = path.join(outDir, `${contractName}.ts`);
+  fs.writeFileSync(outPath, renderModule(contractName, artifact));
+  console.log(`${contractName} client saved to ${path.relative(process.cwd(), outPath)}`);
 }
@@ -0,0 +1,53 @@
+/**
+ * Sync FHIRAccessControl events into the database.
+ *
+ *   npm run index:events               # index once and exit
+ *   npm run index:events -- --watch    # keep polling for new blocks
+ *
+ * Reads FHIR_INDEXER_RPC_URL (defaults to a local Hardhat node),
+ * NEXT_PUBLIC_FHIR_ACCESS_CONTRACT_ADDRESS (or FHIR_INDEXER_CONTRACT_ADDRESS),
+ * FHIR_INDEXER_START_BLOCK and FHIR_INDEXER_CONFIRMATIONS from .env.local.
+ */
+
+import { config } from 'dotenv';
+import { ethers } from 'ethers';
+import { PrismaClient } from '@prisma/client';
+import { getIndexerConfig, syncGrantEvents } from '../lib/web3/indexer';
+
+config({ path: '.env.local' });
+
+const POLL_INTERVAL_MS = 15000;
+
+const prisma = new PrismaClient();
+
+async function main() {
+  const { rpcUrl, contractAddress, startBlock, confirmations } = getIndexerConfig();
+  if (!contractAddress) {
+    throw new Error('Set NEXT_PUBLIC_FHIR_ACCESS_CONTRACT_ADDRESS or FHIR_INDEXER_CONTRACT_ADDRESS');
+  }
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const watch = process.argv.includes('--watch');
+
+  console.log(`Indexing FHIRAccessControl events of ${contractAddress} from ${rpcUrl}...`);
+
+  do {
+    const result = await syncGrantEvents({ provider, contractAddress, prisma, startBlock, confirmations });
+    if (result.toBlock >= result.fromBlock) {
+      console.log(`Blocks ${result.fromBlock}-${result.toBlock}: ${result.events} events, ${result.grants} grants`);
+    }
+
+    if (watch) {
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    }
+  } while (watch);
+}
+
+main()
+  .catch((error) => {
+    console.error('Error indexing events:', error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -1,12 +1,18 @@
-const { uploadToIpfs, getFromIpfs, encryptData, decryptData } = require('../lib/web3/ipfs');
+const { getStorageProvider } = require('../lib/storage');
+const { encryptData, decryptData } = require('../lib/web3/ipfs');
+
+// Store and read JSON through the driver selected by STORAGE_DRIVER
+const storage = getStorageProvider();
+const uploadToIpfs = (data: unknown) => storage.put(JSON.stringify(data), { contentType: 'application/json' });
+const getFromIpfs = async (cid: string) => JSON.parse((await storage.get(cid)).data.toString('utf8'));
 
 async function testIpfs() {
   try {
-    console.log('Testing IPFS with Helia implementation...');
+    console.log(`Testing IPFS with the ${storage.driver} storage driver...`);
     
     // Test data
     const testData = {
-      message: 'Hello from Helia!',
+      message: 'Hello from IPFS!',
       timestamp: new Date().toISOString(),
       testNumber: 42
     };
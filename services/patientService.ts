@@ -1,5 +1,7 @@
 import { v4 as uuidv4 } from 'uuid';
-import { db, PatientType, PendingChangeType } from '@/lib/db';
+import { db, PatientType } from '@/lib/db';
+import { recordChange } from '@/lib/sync/queue';
+import { pullChanges, syncNow } from '@/lib/sync/engine';
 
 // Function to register a patient locally
 export async function registerPatient(patientData: Omit<PatientType, 'id' | 'patientId' | 'createdAt' | 'updatedAt'>) {
@@ -37,84 +39,39 @@ export async function registerPatient(patientData: Omit<PatientType, 'id' | 'pat
       updatedAt: new Date()
     };
     
-    // Store in local database
+    // Store in local database and queue it for the server
     await db.patients.add(newPatient);
+    await recordChange('patients', 'create', newPatient);
     
     // If online, try to sync with server immediately
     if (isOnline) {
       try {
-        const response = await fetch('/api/patients', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            name: newPatient.name,
-            dob: newPatient.dob,
-            gender: newPatient.gender,
-            phone: newPatient.phone,
-            email: newPatient.email,
-            address: newPatient.address
-          })
-        });
-        
-        if (response.ok) {
-          console.log('Patient synced with server successfully');
-          return newPatient;
-        } else {
-          throw new Error('Failed to sync with server');
-        }
+        await syncNow();
       } catch (error) {
+        // The change stays queued for the next sync
         console.error('Error syncing with server:', error);
-        // Store as pending change to sync later
-        await addToPendingChanges(newPatient);
       }
-    } else {
-      // Store as pending change to sync later
-      await addToPendingChanges(newPatient);
     }
     
-    return newPatient;
+    // The server may have given the patient another patientId
+    return (await db.patients.get(newPatient.id)) || newPatient;
   } catch (error) {
     console.error('Error registering patient:', error);
     throw error;
   }
 }
 
-// Helper function to add pending changes
-async function addToPendingChanges(patient: PatientType) {
-  const pendingChange: PendingChangeType = {
-    id: uuidv4(),
-    entityType: 'patients',
-    action: 'create',
-    data: patient,
-    timestamp: new Date()
-  };
-  
-  await db.pendingChanges.add(pendingChange);
-}
-
 // Function to get all patients (combining local and server data)
 export async function getAllPatients() {
   try {
     // Get all patients from local database
     const localPatients = await db.patients.toArray();
     
-    // If online, try to sync with server
+    // If online, bring in the server's changes first
     if (navigator.onLine) {
       try {
-        const response = await fetch('/api/patients');
-        if (response.ok) {
-          const serverPatients = await response.json();
-          
-          // Merge local and server data (this is a simplified approach)
-          // In a real app, you'd need more complex merging logic
-          const mergedPatients = [...localPatients];
-          
-          // Handle syncing logic here...
-          
-          return mergedPatients;
-        }
+        await pullChanges();
+        return await db.patients.toArray();
       } catch (error) {
         console.error('Error syncing with server:', error);
       }
@@ -131,42 +88,5 @@ export async function getAllPatients() {
 export async function syncPendingChanges() {
   if (!navigator.onLine) return;
   
-  try {
-    const pendingChanges = await db.pendingChanges
-      .where('entityType')
-      .equals('patients')
-      .toArray();
-    
-    for (const change of pendingChanges) {
-      if (change.action === 'create') {
-        try {
-          const patient = change.data as PatientType;
-          const response = await fetch('/api/patients', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-              name: patient.name,
-              dob: patient.dob,
-              gender: patient.gender,
-              phone: patient.phone,
-              email: patient.email,
-              address: patient.address
-            })
-          });
-          
-          if (response.ok) {
-            // Remove from pending changes
-            await db.pendingChanges.delete(change.id);
-          }
-        } catch (error) {
-          console.error('Error syncing pending change:', error);
-        }
-      }
-      // Add handlers for 'update' and 'delete' actions as needed
-    }
-  } catch (error) {
-    console.error('Error syncing pending changes:', error);
-  }
+  await syncNow();
 }
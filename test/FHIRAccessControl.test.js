@@ -21,11 +21,10 @@ describe("FHIRAccessControl", function () {
   });
 
   describe("createFHIRAccess", function () {
-    it("should create access grant without password", async function () {
+    it("should create a link grant", async function () {
       const tx = await fhirAccessControl.createFHIRAccess(
         testCid,
         oneDay,
-        zeroHash,
         "Bundle",
         "Patient/123",
         "4.0.1",
@@ -46,43 +45,17 @@ describe("FHIRAccessControl", function () {
       const details = await fhirAccessControl.getFHIRAccessDetails(accessId);
       expect(details[0]).to.equal(owner.address); // owner
       expect(details[1]).to.equal(testCid); // ipfsCid
-      expect(details[4]).to.equal("Bundle"); // fhirResourceType
-      expect(details[5]).to.equal("Patient/123"); // fhirResourceId
-      expect(details[6]).to.equal("4.0.1"); // fhirVersion
-      expect(details[7]).to.have.lengthOf(2); // resourceTypes array length
-      expect(details[8]).to.equal(false); // isExpired
-    });
-
-    it("should create access grant with password", async function () {
-      const password = "securePassword123";
-      const passwordHash = ethers.keccak256(ethers.toUtf8Bytes(password));
-
-      const tx = await fhirAccessControl.createFHIRAccess(
-        testCid,
-        oneDay,
-        passwordHash,
-        "Patient",
-        "Patient/456",
-        "4.0.1",
-        ["Patient"]
-      );
-      const receipt = await tx.wait();
-
-      const event = receipt.logs.find(
-        log => log.fragment && log.fragment.name === "FHIRAccessCreated"
-      );
-      expect(event).to.not.be.undefined;
-
-      const accessId = event.args[0];
-      const details = await fhirAccessControl.getFHIRAccessDetails(accessId);
-      expect(details[3]).to.equal(true); // hasPassword
+      expect(details[3]).to.equal("Bundle"); // fhirResourceType
+      expect(details[4]).to.equal("Patient/123"); // fhirResourceId
+      expect(details[5]).to.equal("4.0.1"); // fhirVersion
+      expect(details[6]).to.have.lengthOf(2); // resourceTypes array length
+      expect(details[7]).to.equal(false); // isExpired
     });
 
     it("should track grants by owner", async function () {
       await fhirAccessControl.createFHIRAccess(
         testCid,
         oneDay,
-        zeroHash,
         "Bundle",
         "Patient/123",
         "4.0.1",
@@ -97,7 +70,6 @@ describe("FHIRAccessControl", function () {
       await fhirAccessControl.createFHIRAccess(
         testCid,
         oneDay,
-        zeroHash,
         "Bundle",
         "Patient/789",
         "4.0.1",
@@ -113,7 +85,6 @@ describe("FHIRAccessControl", function () {
         fhirAccessControl.createFHIRAccess(
           testCid,
           0,
-          zeroHash,
           "Bundle",
           "Patient/123",
           "4.0.1",
@@ -127,7 +98,6 @@ describe("FHIRAccessControl", function () {
         fhirAccessControl.createFHIRAccess(
           "",
           oneDay,
-          zeroHash,
           "Bundle",
           "Patient/123",
           "4.0.1",
@@ -141,7 +111,6 @@ describe("FHIRAccessControl", function () {
         fhirAccessControl.createFHIRAccess(
           testCid,
           oneDay,
-          zeroHash,
           "",
           "Patient/123",
           "4.0.1",
@@ -154,7 +123,6 @@ describe("FHIRAccessControl", function () {
       const tx = await fhirAccessControl.createFHIRAccess(
         testCid,
         oneDay,
-        zeroHash,
         "DocumentReference",
         "DocumentReference/abc123",
         "4.0.1",
@@ -176,13 +144,9 @@ describe("FHIRAccessControl", function () {
     let accessId;
 
     beforeEach(async function () {
-      const password = "testPassword";
-      const passwordHash = ethers.keccak256(ethers.toUtf8Bytes(password));
-
       const tx = await fhirAccessControl.createFHIRAccess(
         testCid,
         oneDay,
-        passwordHash,
         "Bundle",
         "Patient/test",
         "4.0.1",
@@ -195,9 +159,9 @@ describe("FHIRAccessControl", function () {
       accessId = event.args[0];
     });
 
-    it("should verify access with correct password", async function () {
+    it("should verify access for anyone with the accessId", async function () {
       const [ipfsCid, fhirType, fhirId, resourceTypes] =
-        await fhirAccessControl.verifyFHIRAccess(accessId, "testPassword");
+        await fhirAccessControl.connect(thirdParty).verifyFHIRAccess(accessId);
 
       expect(ipfsCid).to.equal(testCid);
       expect(fhirType).to.equal("Bundle");
@@ -205,39 +169,10 @@ describe("FHIRAccessControl", function () {
       expect(resourceTypes).to.have.lengthOf(2);
     });
 
-    it("should verify access without password when none set", async function () {
-      const noPasswordTx = await fhirAccessControl.createFHIRAccess(
-        "QmNoPassword",
-        oneDay,
-        zeroHash,
-        "Patient",
-        "Patient/no-pass",
-        "4.0.1",
-        ["Patient"]
-      );
-      const noPassReceipt = await noPasswordTx.wait();
-      const noPassEvent = noPassReceipt.logs.find(
-        log => log.fragment && log.fragment.name === "FHIRAccessCreated"
-      );
-      const noPassId = noPassEvent.args[0];
-
-      const [ipfsCid, fhirType, fhirId] =
-        await fhirAccessControl.verifyFHIRAccess(noPassId, "");
-
-      expect(ipfsCid).to.equal("QmNoPassword");
-      expect(fhirType).to.equal("Patient");
-    });
-
-    it("should revert with incorrect password", async function () {
-      await expect(
-        fhirAccessControl.verifyFHIRAccess(accessId, "wrongPassword")
-      ).to.be.revertedWith("Invalid password");
-    });
-
     it("should revert when grant does not exist", async function () {
       const fakeId = ethers.keccak256(ethers.toUtf8Bytes("fake"));
       await expect(
-        fhirAccessControl.verifyFHIRAccess(fakeId, "")
+        fhirAccessControl.verifyFHIRAccess(fakeId)
       ).to.be.revertedWith("Access grant does not exist");
     });
   });
@@ -249,7 +184,6 @@ describe("FHIRAccessControl", function () {
       const tx = await fhirAccessControl.createFHIRAccess(
         testCid,
         oneDay,
-        zeroHash,
         "Bundle",
         "Patient/revoke-test",
         "4.0.1",
@@ -268,11 +202,11 @@ describe("FHIRAccessControl", function () {
 
       // Check that grant is now expired
       const details = await fhirAccessControl.getFHIRAccessDetails(accessId);
-      expect(details[8]).to.equal(true); // isExpired
+      expect(details[7]).to.equal(true); // isExpired
 
       // Verify that access is now denied
       await expect(
-        fhirAccessControl.verifyFHIRAccess(accessId, "")
+        fhirAccessControl.verifyFHIRAccess(accessId)
       ).to.be.revertedWith("Access grant has expired");
     });
 
@@ -305,15 +239,158 @@ describe("FHIRAccessControl", function () {
     });
   });
 
+  describe("recipient-bound grants", function () {
+    let accessId;
+
+    beforeEach(async function () {
+      const tx = await fhirAccessControl.createFHIRAccessForGrantees(
+        testCid,
+        oneDay,
+        "Bundle",
+        "Patient/grantee-test",
+        "4.0.1",
+        ["Patient", "Observation"],
+        [viewer.address]
+      );
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(
+        log => log.fragment && log.fragment.name === "FHIRAccessCreated"
+      );
+      accessId = event.args[0];
+    });
+
+    it("should emit FHIRGranteeAdded for each grantee on creation", async function () {
+      const tx = await fhirAccessControl.createFHIRAccessForGrantees(
+        "QmMultiGrantee",
+        oneDay,
+        "Bundle",
+        "Patient/multi",
+        "4.0.1",
+        ["Patient"],
+        [viewer.address, thirdParty.address]
+      );
+      const receipt = await tx.wait();
+
+      const granteeEvents = receipt.logs.filter(
+        log => log.fragment && log.fragment.name === "FHIRGranteeAdded"
+      );
+      expect(granteeEvents.map(event => event.args[1])).to.deep.equal([viewer.address, thirdParty.address]);
+    });
+
+    it("should revert without grantees", async function () {
+      await expect(
+        fhirAccessControl.createFHIRAccessForGrantees(
+          testCid,
+          oneDay,
+          "Bundle",
+          "Patient/none",
+          "4.0.1",
+          ["Patient"],
+          []
+        )
+      ).to.be.revertedWith("At least one grantee is required");
+    });
+
+    it("should let grantees and the owner verify access", async function () {
+      const result = await fhirAccessControl.connect(viewer).verifyGranteeAccess(accessId);
+      expect(result[0]).to.equal(testCid);
+      expect(result[2]).to.equal("Patient/grantee-test");
+
+      const ownerResult = await fhirAccessControl.verifyGranteeAccess(accessId);
+      expect(ownerResult[0]).to.equal(testCid);
+
+      expect(await fhirAccessControl.isRecipientBound(accessId)).to.equal(true);
+      expect(await fhirAccessControl.isGrantee(accessId, viewer.address)).to.equal(true);
+    });
+
+    it("should deny access to other addresses", async function () {
+      await expect(
+        fhirAccessControl.connect(thirdParty).verifyGranteeAccess(accessId)
+      ).to.be.revertedWith("Caller is not a grantee");
+    });
+
+    it("should not allow verifyFHIRAccess to bypass grantees", async function () {
+      await expect(
+        fhirAccessControl.connect(thirdParty).verifyFHIRAccess(accessId)
+      ).to.be.revertedWith("Grant is bound to grantees");
+    });
+
+    it("should allow the owner to add and remove grantees", async function () {
+      await expect(fhirAccessControl.addGrantee(accessId, thirdParty.address))
+        .to.emit(fhirAccessControl, "FHIRGranteeAdded")
+        .withArgs(accessId, thirdParty.address);
+      expect(await fhirAccessControl.getGrantees(accessId)).to.deep.equal([viewer.address, thirdParty.address]);
+
+      const result = await fhirAccessControl.connect(thirdParty).verifyGranteeAccess(accessId);
+      expect(result[0]).to.equal(testCid);
+
+      await expect(fhirAccessControl.removeGrantee(accessId, viewer.address))
+        .to.emit(fhirAccessControl, "FHIRGranteeRemoved")
+        .withArgs(accessId, viewer.address);
+      expect(await fhirAccessControl.getGrantees(accessId)).to.deep.equal([thirdParty.address]);
+
+      await expect(
+        fhirAccessControl.connect(viewer).verifyGranteeAccess(accessId)
+      ).to.be.revertedWith("Caller is not a grantee");
+    });
+
+    it("should revert when adding an existing grantee", async function () {
+      await expect(
+        fhirAccessControl.addGrantee(accessId, viewer.address)
+      ).to.be.revertedWith("Address is already a grantee");
+    });
+
+    it("should revert when removing an address that is not a grantee", async function () {
+      await expect(
+        fhirAccessControl.removeGrantee(accessId, thirdParty.address)
+      ).to.be.revertedWith("Address is not a grantee");
+    });
+
+    it("should revert when non-owner changes grantees", async function () {
+      await expect(
+        fhirAccessControl.connect(viewer).addGrantee(accessId, thirdParty.address)
+      ).to.be.revertedWith("Only owner can perform this action");
+      await expect(
+        fhirAccessControl.connect(viewer).removeGrantee(accessId, viewer.address)
+      ).to.be.revertedWith("Only owner can perform this action");
+    });
+
+    it("should not add grantees to link grants", async function () {
+      const tx = await fhirAccessControl.createFHIRAccess(
+        testCid,
+        oneDay,
+        "Bundle",
+        "Patient/open",
+        "4.0.1",
+        ["Patient"]
+      );
+      const receipt = await tx.wait();
+      const openAccessId = receipt.logs.find(
+        log => log.fragment && log.fragment.name === "FHIRAccessCreated"
+      ).args[0];
+
+      await expect(
+        fhirAccessControl.addGrantee(openAccessId, viewer.address)
+      ).to.be.revertedWith("Grant is not bound to grantees");
+      await expect(
+        fhirAccessControl.connect(viewer).verifyGranteeAccess(openAccessId)
+      ).to.be.revertedWith("Grant is not bound to grantees");
+    });
+
+    it("should deny grantees after the grant is revoked", async function () {
+      await fhirAccessControl.revokeFHIRAccess(accessId);
+
+      await expect(
+        fhirAccessControl.connect(viewer).verifyGranteeAccess(accessId)
+      ).to.be.revertedWith("Access grant has expired");
+    });
+  });
+
   describe("getFHIRAccessDetails", function () {
     it("should return correct grant details", async function () {
-      const password = "detailPassword";
-      const passwordHash = ethers.keccak256(ethers.toUtf8Bytes(password));
-
       const tx = await fhirAccessControl.createFHIRAccess(
         testCid,
         oneDay,
-        passwordHash,
         "Observation",
         "Observation/obs-001",
         "4.0.1",
@@ -330,13 +407,12 @@ describe("FHIRAccessControl", function () {
       expect(details[0]).to.equal(owner.address);
       expect(details[1]).to.equal(testCid);
       expect(details[2]).to.be.greaterThan(0); // expiryTime
-      expect(details[3]).to.equal(true); // hasPassword
-      expect(details[4]).to.equal("Observation");
-      expect(details[5]).to.equal("Observation/obs-001");
-      expect(details[6]).to.equal("4.0.1");
-      expect(details[7]).to.include("Observation");
-      expect(details[7]).to.include("Patient");
-      expect(details[8]).to.equal(false); // isExpired
+      expect(details[3]).to.equal("Observation");
+      expect(details[4]).to.equal("Observation/obs-001");
+      expect(details[5]).to.equal("4.0.1");
+      expect(details[6]).to.include("Observation");
+      expect(details[6]).to.include("Patient");
+      expect(details[7]).to.equal(false); // isExpired
     });
 
     it("should revert for non-existent grant", async function () {
@@ -352,7 +428,6 @@ describe("FHIRAccessControl", function () {
       const tx = await fhirAccessControl.createFHIRAccess(
         testCid,
         oneDay,
-        zeroHash,
         "Patient",
         "Patient/valid",
         "4.0.1",
@@ -372,7 +447,6 @@ describe("FHIRAccessControl", function () {
       const tx = await fhirAccessControl.createFHIRAccess(
         testCid,
         1, // 1 second
-        zeroHash,
         "Patient",
         "Patient/expired",
         "4.0.1",
@@ -405,7 +479,6 @@ describe("FHIRAccessControl", function () {
       await fhirAccessControl.createFHIRAccess(
         "Qm1",
         oneDay,
-        zeroHash,
         "Patient",
         "Patient/1",
         "4.0.1",
@@ -414,7 +487,6 @@ describe("FHIRAccessControl", function () {
       await fhirAccessControl.createFHIRAccess(
         "Qm2",
         oneDay,
-        zeroHash,
         "Patient",
         "Patient/2",
         "4.0.1",
@@ -423,7 +495,6 @@ describe("FHIRAccessControl", function () {
       await fhirAccessControl.createFHIRAccess(
         "Qm3",
         oneDay,
-        zeroHash,
         "Patient",
         "Patient/3",
         "4.0.1",
@@ -445,7 +516,6 @@ describe("FHIRAccessControl", function () {
       const tx1 = await fhirAccessControl.createFHIRAccess(
         "QmFirst",
         oneDay,
-        zeroHash,
         "Patient",
         "Patient/first",
         "4.0.1",
@@ -459,7 +529,6 @@ describe("FHIRAccessControl", function () {
       const tx2 = await fhirAccessControl.createFHIRAccess(
         "QmSecond",
         oneDay,
-        zeroHash,
         "Bundle",
         "Patient/second",
         "4.0.1",
@@ -482,7 +551,6 @@ describe("FHIRAccessControl", function () {
       const tx1 = await fhirAccessControl.createFHIRAccess(
         "QmRes1",
         oneDay,
-        zeroHash,
         "Bundle",
         "SharedResource/123",
         "4.0.1",
@@ -496,7 +564,6 @@ describe("FHIRAccessControl", function () {
       const tx2 = await fhirAccessControl.createFHIRAccess(
         "QmRes2",
         oneDay,
-        zeroHash,
         "Bundle",
         "SharedResource/123",
         "4.0.1",
@@ -516,4 +583,60 @@ describe("FHIRAccessControl", function () {
       expect(grants).to.have.lengthOf(0);
     });
   });
+
+  describe("anchorAuditRoot", function () {
+    const root = ethers.keccak256(ethers.toUtf8Bytes("audit-root"));
+
+    it("should make the deployer the audit anchorer", async function () {
+      expect(await fhirAccessControl.auditAnchorer()).to.equal(owner.address);
+    });
+
+    it("should record the anchor time and emit AuditRootAnchored", async function () {
+      await expect(fhirAccessControl.anchorAuditRoot(root, 3))
+        .to.emit(fhirAccessControl, "AuditRootAnchored")
+        .withArgs(root, owner.address, 3);
+
+      const block = await ethers.provider.getBlock("latest");
+      expect(await fhirAccessControl.auditRootAnchoredAt(root)).to.equal(block.timestamp);
+    });
+
+    it("should revert when anyone else anchors a root", async function () {
+      await expect(fhirAccessControl.connect(thirdParty).anchorAuditRoot(root, 3))
+        .to.be.revertedWith("Only the audit anchorer can perform this action");
+
+      expect(await fhirAccessControl.auditRootAnchoredAt(root)).to.equal(0);
+    });
+
+    it("should let the audit anchorer hand anchoring over", async function () {
+      await expect(fhirAccessControl.setAuditAnchorer(thirdParty.address))
+        .to.emit(fhirAccessControl, "AuditAnchorerChanged")
+        .withArgs(owner.address, thirdParty.address);
+
+      await expect(fhirAccessControl.connect(thirdParty).anchorAuditRoot(root, 3))
+        .to.emit(fhirAccessControl, "AuditRootAnchored")
+        .withArgs(root, thirdParty.address, 3);
+      await expect(fhirAccessControl.anchorAuditRoot(ethers.keccak256(ethers.toUtf8Bytes("other-root")), 1))
+        .to.be.revertedWith("Only the audit anchorer can perform this action");
+    });
+
+    it("should only let the audit anchorer change the anchorer", async function () {
+      await expect(fhirAccessControl.connect(thirdParty).setAuditAnchorer(thirdParty.address))
+        .to.be.revertedWith("Only the audit anchorer can perform this action");
+      await expect(fhirAccessControl.setAuditAnchorer(ethers.ZeroAddress))
+        .to.be.revertedWith("Anchorer cannot be the zero address");
+    });
+
+    it("should not anchor the same root twice", async function () {
+      await fhirAccessControl.anchorAuditRoot(root, 3);
+      await expect(fhirAccessControl.anchorAuditRoot(root, 3))
+        .to.be.revertedWith("Root is already anchored");
+    });
+
+    it("should revert with an empty root or no leaves", async function () {
+      await expect(fhirAccessControl.anchorAuditRoot(zeroHash, 1))
+        .to.be.revertedWith("Root cannot be empty");
+      await expect(fhirAccessControl.anchorAuditRoot(root, 0))
+        .to.be.revertedWith("Leaf count must be positive");
+    });
+  });
 });
@@ -0,0 +1,92 @@
+/**
+ * Custom service worker code, bundled by next-pwa into the generated sw.js
+ *
+ * Runs the offline sync (lib/sync/engine.ts) when the browser fires a
+ * Background Sync or periodic sync registered by lib/sync/background.ts, and
+ * reports the outcome to the open pages. It reads the encrypted offline store
+ * with the key the pages send when they unlock it (lib/vault/session.ts), and
+ * leaves syncing to the pages while it has none. Imports are relative, as the
+ * worker bundle has no path aliases.
+ */
+
+import { db } from '../lib/db';
+import { SyncError, syncNow } from '../lib/sync/engine';
+import { BackgroundSyncMessage, PERIODIC_SYNC_TAG, SYNC_MESSAGE_TYPE, SYNC_TAG } from '../lib/sync/background';
+import { isVaultLocked, lockVaultSession, unlockVaultSession, VAULT_MESSAGE_TYPE, VaultKeyMessage } from '../lib/vault/session';
+
+// Service worker types are not in the DOM typings the app is compiled with
+interface SyncEvent extends Event {
+  readonly tag: string;
+  waitUntil(promise: Promise<unknown>): void;
+}
+
+interface WorkerClient {
+  postMessage(message: unknown): void;
+}
+
+interface WorkerMessageEvent extends Event {
+  readonly data: unknown;
+}
+
+interface SyncWorkerScope {
+  clients: {
+    matchAll(options: { type: 'window'; includeUncontrolled: boolean }): Promise<WorkerClient[]>;
+  };
+  addEventListener(type: 'sync' | 'periodicsync', listener: (event: SyncEvent) => void): void;
+  addEventListener(type: 'message', listener: (event: WorkerMessageEvent) => void): void;
+}
+
+declare const self: SyncWorkerScope;
+
+async function notifyClients(message: BackgroundSyncMessage) {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clients.forEach(client => client.postMessage(message));
+}
+
+async function backgroundSync() {
+  // The vault state is known once the database is open
+  await db.open();
+  if (isVaultLocked()) {
+    // Without the key, the queue cannot be read; the pages sync once unlocked
+    return;
+  }
+  try {
+    const result = await syncNow();
+    await notifyClients({ type: SYNC_MESSAGE_TYPE, result });
+  } catch (error) {
+    await notifyClients({
+      type: SYNC_MESSAGE_TYPE,
+      error: {
+        status: error instanceof SyncError ? error.status : 0,
+        message: error instanceof Error ? error.message : String(error),
+      },
+    });
+    // A failed sync event is fired again later by the browser
+    throw error;
+  }
+}
+
+self.addEventListener('message', event => {
+  const message = event.data as VaultKeyMessage;
+  if (message?.type !== VAULT_MESSAGE_TYPE) {
+    return;
+  }
+  if (message.key) {
+    unlockVaultSession(message.key, null);
+  } else {
+    lockVaultSession();
+  }
+});
+
+self.addEventListener('sync', event => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(backgroundSync());
+  }
+});
+
+self.addEventListener('periodicsync', event => {
+  if (event.tag === PERIODIC_SYNC_TAG) {
+    // Nothing to retry: the next period comes anyway
+    event.waitUntil(backgroundSync().catch(() => {}));
+  }
+});